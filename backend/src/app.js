@@ -1,7 +1,6 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const path = require('path');
 require('dotenv').config();
 
 // Import configurations
@@ -28,6 +27,10 @@ const adminRoutes = require('./routes/admin');
 const dashboardRoutes = require('./routes/dashboard');
 const exportRoutes = require('./routes/export');
 const mapRoutes = require('./routes/maps');
+const notificationRoutes = require('./routes/notifications');
+
+// Uploaded evidence is served from the same directory it is written to
+const EvidenceService = require('./services/evidenceService');
 
 // Initialize Express app
 const app = express();
@@ -61,7 +64,7 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Static files
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+app.use('/uploads', express.static(EvidenceService.getUploadRoot()));
 
 // Health check endpoints
 const healthResponse = (req, res) => {
@@ -85,6 +88,7 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/export', exportRoutes);
 app.use('/api/maps', mapRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // API documentation endpoint
 app.get('/api', (req, res) => {
@@ -100,7 +104,10 @@ app.get('/api', (req, res) => {
         getProfile: 'GET /api/auth/profile',
         updateProfile: 'PUT /api/auth/profile',
         changePassword: 'PUT /api/auth/change-password',
-        logout: 'POST /api/auth/logout'
+        logout: 'POST /api/auth/logout',
+        authorityApplication: 'GET /api/auth/authority-application',
+        applyForAuthority: 'POST /api/auth/authority-application',
+        withdrawAuthorityApplication: 'DELETE /api/auth/authority-application'
       },
       incidents: {
         getIncidents: 'GET /api/incidents',
@@ -129,7 +136,22 @@ app.get('/api', (req, res) => {
         delete: 'DELETE /api/alerts/:id',
         markRead: 'POST /api/alerts/:id/mark-read',
         nearby: 'GET /api/alerts/nearby',
-        stats: 'GET /api/alerts/stats'
+        stats: 'GET /api/alerts/stats',
+        approvals: 'GET /api/alerts/approvals',
+        submit: 'POST /api/alerts/:id/submit',
+        approve: 'POST /api/alerts/:id/approve',
+        reject: 'POST /api/alerts/:id/reject'
+      },
+      notifications: {
+        vapidPublicKey: 'GET /api/notifications/vapid-public-key',
+        subscriptions: 'GET /api/notifications/subscriptions',
+        subscribe: 'POST /api/notifications/subscriptions',
+        unsubscribe: 'DELETE /api/notifications/subscriptions',
+        inbox: 'GET /api/notifications',
+        unreadCount: 'GET /api/notifications/unread-count',
+        update: 'PATCH /api/notifications/:id',
+        markRead: 'POST /api/notifications/mark-read',
+        archive: 'POST /api/notifications/archive'
       },
       dashboard: {
         overview: 'GET /api/dashboard/overview',
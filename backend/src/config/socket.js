@@ -256,49 +256,7 @@ const initializeSocket = (server) => {
       }
     });
 
-    // Handle alert broadcasting
-    socket.on('broadcast-alert', (alertData) => {
-      try {
-        if (user.role === 'authority' || user.role === 'admin') {
-          const { targetAudience, location, radius } = alertData;
-
-          if (targetAudience === 'all') {
-            io.emit('emergency-alert', {
-              ...alertData,
-              broadcastBy: {
-                id: user._id,
-                name: `${user.firstName} ${user.lastName}`,
-                role: user.role
-              },
-              timestamp: new Date()
-            });
-          } else if (targetAudience === 'specific_area' && location) {
-            const locationKey = `${Math.round(location.coordinates[1] * 100) / 100},${Math.round(location.coordinates[0] * 100) / 100}`;
-
-            socket.to(`location:${locationKey}`).emit('emergency-alert', {
-              ...alertData,
-              broadcastBy: {
-                id: user._id,
-                name: `${user.firstName} ${user.lastName}`,
-                role: user.role
-              },
-              timestamp: new Date()
-            });
-          }
-
-          logger.info('Alert broadcasted:', {
-            alertId: alertData._id,
-            broadcasterId: userId,
-            targetAudience
-          });
-        } else {
-          socket.emit('error', { message: 'Unauthorized to broadcast alerts' });
-        }
-      } catch (error) {
-        logger.error('Alert broadcasting error:', error);
-        socket.emit('error', { message: 'Failed to broadcast alert' });
-      }
-    });
+    // Alerts are only sent through POST /api/alerts, which applies the approval policy
 
     // Handle dashboard subscription
     socket.on('dashboard:subscribe', (data) => {
@@ -341,6 +299,19 @@ const initializeSocket = (server) => {
       }
     });
 
+    // Follow the live comment thread of an incident
+    socket.on('incident:join', (data) => {
+      if (data && data.incidentId) {
+        socket.join(`incident:${data.incidentId}`);
+      }
+    });
+
+    socket.on('incident:leave', (data) => {
+      if (data && data.incidentId) {
+        socket.leave(`incident:${data.incidentId}`);
+      }
+    });
+
     // Handle typing indicators for chat
     socket.on('typing-start', (data) => {
       socket.to(`user:${data.userId}`).emit('user-typing', {
@@ -422,6 +393,38 @@ const initializeSocket = (server) => {
     }
   };
 
+  // Emit to the personal rooms of specific users, e.g. recipients inside an alert geofence
+  const broadcastToUsers = (userIds, event, payload) => {
+    if (!userIds || userIds.length === 0) {return;}
+
+    io.to(userIds.map(id => `user:${id}`)).emit(event, {
+      ...payload,
+      timestamp: new Date()
+    });
+  };
+
+  const broadcastIncidentComment = (incident, payload) => {
+    const update = {
+      ...payload,
+      timestamp: new Date()
+    };
+
+    // Viewers of the incident thread, plus the reporter wherever they are in the app
+    let target = io.to(`incident:${incident._id}`);
+    if (incident.reportedBy) {
+      target = target.to(`user:${incident.reportedBy._id || incident.reportedBy}`);
+    }
+    target.emit('incident:comment', update);
+  };
+
+  // Notification inbox events go to every socket the user has open
+  const broadcastNotification = (userId, event, payload) => {
+    io.to(`user:${userId}`).emit(event, {
+      ...payload,
+      timestamp: new Date()
+    });
+  };
+
   const getConnectedUsers = () => {
     return Array.from(connectedUsers.values());
   };
@@ -462,6 +465,9 @@ const initializeSocket = (server) => {
     io,
     broadcastIncident,
     broadcastAlert,
+    broadcastToUsers,
+    broadcastIncidentComment,
+    broadcastNotification,
     broadcastDashboardUpdate,
     broadcastMetricsUpdate,
     getConnectedUsers,
@@ -1,11 +1,23 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Incident = require('../models/Incident');
 const Alert = require('../models/Alert');
+const ReputationService = require('../services/reputationService');
+const LoginThrottleService = require('../services/loginThrottleService');
+const TwoFactorService = require('../services/twoFactorService');
+const SecurityPolicyService = require('../services/securityPolicyService');
+const SlaService = require('../services/slaService');
+const AlertApprovalService = require('../services/alertApprovalService');
+const PermissionService = require('../services/permissionService');
+const JurisdictionService = require('../services/jurisdictionService');
+const PushService = require('../services/pushService');
+const PushSubscription = require('../models/PushSubscription');
+const Jurisdiction = require('../models/Jurisdiction');
 const logger = require('../config/logger');
 
 // @desc    Get all users with pagination
 // @route   GET /api/admin/users
-// @access  Private (Admin/Authority only)
+// @access  Private (users:view)
 const getAllUsers = async (req, res) => {
   try {
     const {
@@ -89,11 +101,12 @@ const getAllUsers = async (req, res) => {
 
 // @desc    Get user by ID
 // @route   GET /api/admin/users/:id
-// @access  Private (Admin/Authority only)
+// @access  Private (users:view)
 const getUserById = async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
-      .select('-password -verificationToken -resetPasswordToken');
+      .select('-password -verificationToken -resetPasswordToken -unlockToken')
+      .populate('jurisdictions', 'name type');
 
     if (!user) {
       return res.status(404).json({
@@ -108,6 +121,8 @@ const getUserById = async (req, res) => {
       reportedBy: user._id, 
       status: 'verified' 
     });
+    const reputationEvents = await ReputationService.getRecentEvents(user._id);
+    const lockout = await LoginThrottleService.getAccountState(user.email);
 
     logger.info('Admin user details accessed:', {
       adminId: req.user._id,
@@ -122,7 +137,12 @@ const getUserById = async (req, res) => {
           incidentsReported: incidentCount,
           verifiedIncidents: verifiedIncidentCount,
           verificationRate: incidentCount > 0 ? (verifiedIncidentCount / incidentCount * 100).toFixed(1) : 0
-        }
+        },
+        reputation: {
+          ...user.toObject().reputation,
+          recentEvents: reputationEvents
+        },
+        lockout
       }
     });
   } catch (error) {
@@ -136,7 +156,7 @@ const getUserById = async (req, res) => {
 
 // @desc    Update user status (verify, activate/deactivate)
 // @route   PUT /api/admin/users/:id/status
-// @access  Private (Admin only)
+// @access  Private (users:manage)
 const updateUserStatus = async (req, res) => {
   try {
     const { isVerified, isActive, role } = req.body;
@@ -153,15 +173,17 @@ const updateUserStatus = async (req, res) => {
     const updateData = {};
     if (typeof isVerified === 'boolean') updateData.isVerified = isVerified;
     if (typeof isActive === 'boolean') updateData.isActive = isActive;
-    if (role && ['citizen', 'authority', 'admin'].includes(role)) {
-      // Only super admin can create other admins
-      if (role === 'admin' && req.user.role !== 'admin') {
+    if (role && PermissionService.ROLES.includes(role)) {
+      // The admin role can change every role's permissions
+      if (role === 'admin' && !PermissionService.can(req.user, 'permissions:manage')) {
         return res.status(403).json({
           success: false,
-          message: 'Only admins can assign admin role.'
+          message: 'Access denied. Missing permission: permissions:manage'
         });
       }
       updateData.role = role;
+      updateData.roleGrantedBy = req.user._id;
+      updateData.roleGrantedAt = new Date();
     }
 
     const user = await User.findByIdAndUpdate(
@@ -199,7 +221,7 @@ const updateUserStatus = async (req, res) => {
 
 // @desc    Delete user account
 // @route   DELETE /api/admin/users/:id
-// @access  Private (Admin only)
+// @access  Private (users:manage)
 const deleteUser = async (req, res) => {
   try {
     const userId = req.params.id;
@@ -246,7 +268,7 @@ const deleteUser = async (req, res) => {
 
 // @desc    Get system statistics
 // @route   GET /api/admin/statistics
-// @access  Private (Admin/Authority only)
+// @access  Private (system:statistics)
 const getSystemStats = async (req, res) => {
   try {
     // User statistics
@@ -326,7 +348,7 @@ const getSystemStats = async (req, res) => {
 
 // @desc    Get recent activity logs
 // @route   GET /api/admin/activity
-// @access  Private (Admin only)
+// @access  Private (system:activity)
 const getRecentActivity = async (req, res) => {
   try {
     const { page = 1, limit = 20 } = req.query;
@@ -373,11 +395,673 @@ const getRecentActivity = async (req, res) => {
   }
 };
 
+// @desc    List locked accounts and IPs
+// @route   GET /api/admin/lockouts
+// @access  Private (security:manage)
+const getLockouts = async (req, res) => {
+  try {
+    const lockouts = await LoginThrottleService.listActiveLockouts();
+
+    res.json({
+      success: true,
+      data: {
+        lockouts: lockouts.map(lockout => ({
+          scope: lockout.scope,
+          // Keys are "account:<email>" or "ip:<address>"
+          subject: lockout.key.slice(lockout.key.indexOf(':') + 1),
+          failures: lockout.failures,
+          lockedUntil: lockout.lockedUntil,
+          lastFailureAt: lockout.lastFailureAt,
+          lastIp: lockout.lastIp
+        })),
+        config: LoginThrottleService.getConfig()
+      }
+    });
+  } catch (error) {
+    logger.error('Get lockouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve lockouts.'
+    });
+  }
+};
+
+// @desc    Lift a user's login lockout
+// @route   DELETE /api/admin/users/:id/lockout
+// @access  Private (security:manage)
+const unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.'
+      });
+    }
+
+    const cleared = await LoginThrottleService.unlock(user.email);
+    await User.updateOne({ _id: user._id }, { $unset: { unlockToken: 1, unlockTokenExpire: 1 } });
+
+    logger.info('User lockout cleared by admin:', {
+      adminId: req.user._id,
+      targetUserId: user._id,
+      cleared
+    });
+
+    res.json({
+      success: true,
+      message: cleared ? 'Account unlocked.' : 'Account was not locked.'
+    });
+  } catch (error) {
+    logger.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock account.'
+    });
+  }
+};
+
+// @desc    Get security policy
+// @route   GET /api/admin/security-policy
+// @access  Private (security:manage)
+const getSecurityPolicy = async (req, res) => {
+  try {
+    const policy = await SecurityPolicyService.get();
+    const enrolled = await User.aggregate([
+      { $match: { isActive: { $ne: false } } },
+      {
+        $group: {
+          _id: '$role',
+          total: { $sum: 1 },
+          twoFactorEnabled: { $sum: { $cond: ['$twoFactor.enabled', 1, 0] } }
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        policy,
+        // Lets admins see who would be forced to enrol before requiring a role
+        twoFactorByRole: Object.fromEntries(enrolled.map(row => [row._id, {
+          total: row.total,
+          enabled: row.twoFactorEnabled
+        }]))
+      }
+    });
+  } catch (error) {
+    logger.error('Get security policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve security policy.'
+    });
+  }
+};
+
+// @desc    Update security policy
+// @route   PUT /api/admin/security-policy
+// @access  Private (security:manage)
+const updateSecurityPolicy = async (req, res) => {
+  try {
+    // Requiring 2FA for their own role would lock an unenrolled admin out of this page
+    const { twoFactorRequiredRoles } = req.body;
+    if (twoFactorRequiredRoles.includes(req.user.role) && !(req.user.twoFactor && req.user.twoFactor.enabled)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enable two-factor authentication on your own account before requiring it for your role.'
+      });
+    }
+
+    const policy = await SecurityPolicyService.update(req.body, req.user._id);
+
+    logger.warn('Security policy updated by admin:', {
+      adminId: req.user._id,
+      policy
+    });
+
+    res.json({
+      success: true,
+      message: 'Security policy updated.',
+      data: { policy }
+    });
+  } catch (error) {
+    logger.error('Update security policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update security policy.'
+    });
+  }
+};
+
+// @desc    Get incident SLA targets
+// @route   GET /api/admin/sla
+// @access  Private (sla:manage)
+const getSlaPolicy = async (req, res) => {
+  try {
+    const policy = await SlaService.getPolicy();
+
+    res.json({
+      success: true,
+      data: {
+        policy,
+        defaults: SlaService.DEFAULT_POLICY
+      }
+    });
+  } catch (error) {
+    logger.error('Get SLA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve SLA policy.'
+    });
+  }
+};
+
+// @desc    Update incident SLA targets
+// @route   PUT /api/admin/sla
+// @access  Private (sla:manage)
+const updateSlaPolicy = async (req, res) => {
+  try {
+    const policy = await SlaService.updatePolicy(req.body, req.user._id);
+
+    logger.info('SLA policy updated by admin:', {
+      adminId: req.user._id,
+      policy
+    });
+
+    res.json({
+      success: true,
+      message: 'SLA policy updated.',
+      data: { policy }
+    });
+  } catch (error) {
+    logger.error('Update SLA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update SLA policy.'
+    });
+  }
+};
+
+// @desc    Restore the default incident SLA targets
+// @route   DELETE /api/admin/sla
+// @access  Private (sla:manage)
+const resetSlaPolicy = async (req, res) => {
+  try {
+    const policy = await SlaService.resetPolicy();
+
+    logger.info('SLA policy reset by admin:', { adminId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'SLA policy reset to defaults.',
+      data: { policy }
+    });
+  } catch (error) {
+    logger.error('Reset SLA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset SLA policy.'
+    });
+  }
+};
+
+// @desc    Get which alerts need approval before they are published
+// @route   GET /api/admin/alert-approval
+// @access  Private (alerts:approve)
+const getAlertApprovalPolicy = async (req, res) => {
+  try {
+    const [policy, pending] = await Promise.all([
+      AlertApprovalService.getPolicy(),
+      Alert.countDocuments({ status: 'pending_approval', isActive: true })
+    ]);
+
+    res.json({
+      success: true,
+      data: { policy, pending }
+    });
+  } catch (error) {
+    logger.error('Get alert approval policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve alert approval policy.'
+    });
+  }
+};
+
+// @desc    Change which alerts need approval before they are published
+// @route   PUT /api/admin/alert-approval
+// @access  Private (alerts:approve)
+const updateAlertApprovalPolicy = async (req, res) => {
+  try {
+    const policy = await AlertApprovalService.updatePolicy(req.body, req.user._id);
+
+    logger.info('Alert approval policy updated by admin:', {
+      adminId: req.user._id,
+      policy
+    });
+
+    res.json({
+      success: true,
+      message: 'Alert approval policy updated.',
+      data: { policy }
+    });
+  } catch (error) {
+    logger.error('Update alert approval policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update alert approval policy.'
+    });
+  }
+};
+
+// @desc    Web Push key status and subscription count
+// @route   GET /api/admin/push
+// @access  Private (notifications:manage)
+const getPushStatus = async (req, res) => {
+  try {
+    const { publicKey, subject, source, createdAt } = await PushService.getVapidKeys();
+    const [subscriptions, subscribedUsers] = await Promise.all([
+      PushSubscription.countDocuments(),
+      PushSubscription.distinct('user').then(users => users.length)
+    ]);
+
+    res.json({
+      success: true,
+      data: { publicKey, subject, source, createdAt, subscriptions, subscribedUsers }
+    });
+  } catch (error) {
+    logger.error('Get push status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve push notification status.'
+    });
+  }
+};
+
+// @desc    Generate new VAPID keys; every browser has to subscribe again
+// @route   POST /api/admin/push/rotate-keys
+// @access  Private (notifications:manage)
+const rotatePushKeys = async (req, res, next) => {
+  try {
+    const result = await PushService.rotateKeys(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Push notification keys rotated. Browsers will need to enable notifications again.',
+      data: result
+    });
+  } catch (error) {
+    if (error.statusCode && error.statusCode < 500) {
+      return next(error);
+    }
+    logger.error('Rotate push keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rotate push notification keys.'
+    });
+  }
+};
+
+// @desc    Reset a user's two-factor authentication (lost device)
+// @route   DELETE /api/admin/users/:id/2fa
+// @access  Private (security:manage)
+const resetUserTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.'
+      });
+    }
+
+    await TwoFactorService.disable(user._id);
+
+    logger.warn('User two-factor reset by admin:', {
+      adminId: req.user._id,
+      targetUserId: user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset. The user must enrol again if their role requires it.'
+    });
+  } catch (error) {
+    logger.error('Reset user two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset two-factor authentication.'
+    });
+  }
+};
+
+// @desc    Get the permission catalogue and role mappings
+// @route   GET /api/admin/permissions
+// @access  Private (permissions:manage)
+const getPermissions = async (req, res) => {
+  try {
+    const roles = await PermissionService.load();
+
+    res.json({
+      success: true,
+      data: {
+        permissions: Object.entries(PermissionService.PERMISSIONS).map(([key, description]) => ({ key, description })),
+        roles,
+        defaults: PermissionService.DEFAULT_ROLE_PERMISSIONS
+      }
+    });
+  } catch (error) {
+    logger.error('Get permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve permissions.'
+    });
+  }
+};
+
+// @desc    Replace the permissions of a role
+// @route   PUT /api/admin/permissions/:role
+// @access  Private (permissions:manage)
+const updateRolePermissions = async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { permissions } = req.body;
+
+    if (!PermissionService.ROLES.includes(role)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found.'
+      });
+    }
+
+    // Removing it from their own role would lock the admin out of this page
+    if (role === req.user.role && !permissions.includes('permissions:manage')) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove permissions:manage from your own role.'
+      });
+    }
+
+    const roles = await PermissionService.update(role, permissions, req.user._id);
+
+    logger.warn('Role permissions updated by admin:', {
+      adminId: req.user._id,
+      role,
+      permissions
+    });
+
+    res.json({
+      success: true,
+      message: `Permissions for ${role} updated.`,
+      data: { roles }
+    });
+  } catch (error) {
+    logger.error('Update role permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update permissions.'
+    });
+  }
+};
+
+// @desc    Restore the built-in role permissions
+// @route   DELETE /api/admin/permissions
+// @access  Private (permissions:manage)
+const resetPermissions = async (req, res) => {
+  try {
+    const roles = await PermissionService.reset();
+
+    logger.warn('Role permissions reset to defaults by admin:', {
+      adminId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Role permissions restored to defaults.',
+      data: { roles }
+    });
+  } catch (error) {
+    logger.error('Reset permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset permissions.'
+    });
+  }
+};
+
+// @desc    List jurisdictions
+// @route   GET /api/admin/jurisdictions
+// @access  Private (jurisdictions:manage)
+const getJurisdictions = async (req, res) => {
+  try {
+    const jurisdictions = await Jurisdiction.find({ isActive: true }).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: { jurisdictions }
+    });
+  } catch (error) {
+    logger.error('Get jurisdictions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve jurisdictions.'
+    });
+  }
+};
+
+// @desc    Create a jurisdiction
+// @route   POST /api/admin/jurisdictions
+// @access  Private (jurisdictions:manage)
+const createJurisdiction = async (req, res) => {
+  try {
+    const jurisdiction = await Jurisdiction.create({
+      ...req.body,
+      createdBy: req.user._id
+    });
+    // Incidents reported before the jurisdiction existed
+    const routedIncidents = await JurisdictionService.backfill(jurisdiction);
+
+    logger.info('Jurisdiction created:', {
+      adminId: req.user._id,
+      jurisdictionId: jurisdiction._id,
+      name: jurisdiction.name,
+      routedIncidents
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Jurisdiction created.',
+      data: { jurisdiction, routedIncidents }
+    });
+  } catch (error) {
+    // 16755: MongoDB could not index the boundary (self-intersecting, unclosed ring, ...)
+    if (error.name === 'ValidationError' || error.code === 16755) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid jurisdiction boundary. Provide a closed GeoJSON polygon.'
+      });
+    }
+    logger.error('Create jurisdiction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create jurisdiction.'
+    });
+  }
+};
+
+// @desc    Update a jurisdiction's name, type, boundary or report branding
+// @route   PUT /api/admin/jurisdictions/:id
+// @access  Private (jurisdictions:manage)
+const updateJurisdiction = async (req, res) => {
+  try {
+    const jurisdiction = mongoose.isValidObjectId(req.params.id) &&
+      await Jurisdiction.findOne({ _id: req.params.id, isActive: true });
+    if (!jurisdiction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Jurisdiction not found.'
+      });
+    }
+
+    const previousBoundary = jurisdiction.toObject().boundary;
+    Object.assign(jurisdiction, req.body);
+    await jurisdiction.save();
+
+    // A new boundary can both drop incidents and pick up unrouted ones
+    let routedIncidents = 0;
+    if (req.body.boundary) {
+      routedIncidents = await JurisdictionService.reroute(jurisdiction, previousBoundary);
+    }
+
+    logger.info('Jurisdiction updated:', {
+      adminId: req.user._id,
+      jurisdictionId: jurisdiction._id,
+      fields: Object.keys(req.body)
+    });
+
+    res.json({
+      success: true,
+      message: 'Jurisdiction updated.',
+      data: { jurisdiction, routedIncidents }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 16755) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid jurisdiction boundary. Provide a closed GeoJSON polygon.'
+      });
+    }
+    logger.error('Update jurisdiction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update jurisdiction.'
+    });
+  }
+};
+
+// @desc    Retire a jurisdiction
+// @route   DELETE /api/admin/jurisdictions/:id
+// @access  Private (jurisdictions:manage)
+const deleteJurisdiction = async (req, res) => {
+  try {
+    const jurisdiction = mongoose.isValidObjectId(req.params.id) &&
+      await Jurisdiction.findOne({ _id: req.params.id, isActive: true });
+    if (!jurisdiction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Jurisdiction not found.'
+      });
+    }
+
+    jurisdiction.isActive = false;
+    await jurisdiction.save();
+    const { modifiedCount: usersUpdated } = await User.updateMany(
+      { jurisdictions: jurisdiction._id },
+      { $pull: { jurisdictions: jurisdiction._id } }
+    );
+    const routedIncidents = await JurisdictionService.reroute(jurisdiction);
+
+    logger.warn('Jurisdiction retired:', {
+      adminId: req.user._id,
+      jurisdictionId: jurisdiction._id,
+      usersUpdated,
+      routedIncidents
+    });
+
+    res.json({
+      success: true,
+      message: 'Jurisdiction retired.',
+      data: { usersUpdated, routedIncidents }
+    });
+  } catch (error) {
+    logger.error('Delete jurisdiction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retire jurisdiction.'
+    });
+  }
+};
+
+// @desc    Set the jurisdictions an authority is responsible for
+// @route   PUT /api/admin/users/:id/jurisdictions
+// @access  Private (jurisdictions:manage)
+const setUserJurisdictions = async (req, res) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.id) && await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.'
+      });
+    }
+
+    if (user.role === 'citizen') {
+      return res.status(400).json({
+        success: false,
+        message: 'Jurisdictions can only be assigned to authorities and admins.'
+      });
+    }
+
+    const { jurisdictions } = req.body;
+    const found = await Jurisdiction.countDocuments({ _id: { $in: jurisdictions }, isActive: true });
+    if (found !== jurisdictions.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Some jurisdictions were not found.'
+      });
+    }
+
+    user.jurisdictions = jurisdictions;
+    await user.save();
+    await user.populate('jurisdictions', 'name type');
+
+    logger.info('User jurisdictions updated by admin:', {
+      adminId: req.user._id,
+      targetUserId: user._id,
+      jurisdictions
+    });
+
+    res.json({
+      success: true,
+      message: jurisdictions.length > 0
+        ? 'Jurisdictions updated.'
+        : 'Jurisdictions cleared. The user can act on incidents anywhere.',
+      data: { jurisdictions: user.jurisdictions }
+    });
+  } catch (error) {
+    logger.error('Set user jurisdictions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update jurisdictions.'
+    });
+  }
+};
+
 module.exports = {
   getAllUsers,
   getUserById,
   updateUserStatus,
   deleteUser,
   getSystemStats,
-  getRecentActivity
+  getRecentActivity,
+  getLockouts,
+  unlockUser,
+  getSecurityPolicy,
+  updateSecurityPolicy,
+  getSlaPolicy,
+  updateSlaPolicy,
+  resetSlaPolicy,
+  getAlertApprovalPolicy,
+  updateAlertApprovalPolicy,
+  resetUserTwoFactor,
+  getPushStatus,
+  rotatePushKeys,
+  getPermissions,
+  updateRolePermissions,
+  resetPermissions,
+  getJurisdictions,
+  createJurisdiction,
+  updateJurisdiction,
+  deleteJurisdiction,
+  setUserJurisdictions
 };
@@ -2,6 +2,12 @@ const mongoose = require('mongoose');
 const Alert = require('../models/Alert');
 const User = require('../models/User');
 const { alertSchemas } = require('../middleware/validation');
+const AlertDeliveryService = require('../services/alertDeliveryService');
+const AlertApprovalService = require('../services/alertApprovalService');
+const PermissionService = require('../services/permissionService');
+const SmsService = require('../services/smsService');
+const NotificationService = require('../services/notificationService');
+const logger = require('../config/logger');
 
 // Helper to build standard success response
 function ok(res, data, message = 'Success', status = 200) {
@@ -13,6 +19,21 @@ function fail(res, message = 'Request failed', status = 400, extra = {}) {
   return res.status(status).json({ success: false, message, ...extra });
 }
 
+// Operational errors from the approval workflow keep their status; anything else is a 500
+function failWith(res, err, fallback) {
+  if (err.statusCode && err.statusCode < 500) {
+    return fail(res, err.message, err.statusCode);
+  }
+  logger.error(`${fallback}:`, err);
+  return fail(res, fallback, 500);
+}
+
+const MESSAGES = {
+  draft: 'Alert saved as draft',
+  pending_approval: 'Alert submitted for approval',
+  published: 'Alert created successfully'
+};
+
 // POST /api/alerts
 async function createAlert(req, res) {
   try {
@@ -22,24 +43,43 @@ async function createAlert(req, res) {
       return fail(res, 'Validation error', 400, { errors: error.details.map(d => d.message) });
     }
 
+    const { draft, ...fields } = value;
     const alertToCreate = {
-      ...value,
-      createdBy: req.user._id
+      ...fields,
+      createdBy: req.user._id,
+      status: 'draft'
     };
+    if (value.location && value.location.type === 'Polygon') {
+      Object.assign(alertToCreate, AlertDeliveryService.normalizePolygon(value.location));
+    }
 
     const alert = await Alert.create(alertToCreate);
+
+    // Published straight away unless it is a draft or the approval policy holds it back
+    let delivery = null;
+    if (!draft) {
+      ({ delivery } = await AlertApprovalService.submit(alert, req.user));
+    }
+
     const populated = await Alert.findById(alert._id).populate('createdBy', '-password');
-    return ok(res, { alert: populated }, 'Alert created successfully', 201);
+    return ok(res, { alert: populated, delivery }, MESSAGES[populated.status], 201);
   } catch (err) {
-    return fail(res, err.message || 'Failed to create alert', 500);
+    return failWith(res, err, 'Failed to create alert');
   }
 }
 
 // GET /api/alerts
 async function getAlerts(req, res) {
   try {
-    const { type, priority, targetAudience, page = 1, limit = 10, sort = 'createdAt', order = 'desc' } = req.query;
+    const { type, priority, targetAudience, status, page = 1, limit = 10, sort = 'createdAt', order = 'desc' } = req.query;
     const filter = { isActive: { $ne: false } };
+    // Unpublished alerts are listed only on request, and only the user's own unless they approve alerts
+    if (AlertApprovalService.UNPUBLISHED_STATUSES.includes(status)) {
+      filter.status = status;
+      if (!PermissionService.can(req.user, 'alerts:approve')) {filter.createdBy = req.user._id;}
+    } else {
+      filter.status = { $nin: AlertApprovalService.UNPUBLISHED_STATUSES };
+    }
     if (type) {filter.type = type;}
     if (priority) {filter.priority = priority;}
     if (targetAudience) {filter.targetAudience = targetAudience;}
@@ -63,7 +103,7 @@ async function getAlertById(req, res) {
   try {
     const { id } = req.params;
     const alert = await Alert.findById(id);
-    if (!alert) {
+    if (!alert || !AlertApprovalService.canView(alert, req.user)) {
       return fail(res, 'Alert not found', 404);
     }
     return ok(res, { alert });
@@ -81,33 +121,29 @@ async function updateAlert(req, res) {
       return fail(res, 'Alert not found', 404);
     }
 
-    // Permission: creator or admin
+    // Permission: creator or alert manager
     const isCreator = alert.createdBy?.toString() === req.user._id.toString();
-    const isAdmin = req.user.role === 'admin';
-    if (!isCreator && !isAdmin) {
+    if (!isCreator && !PermissionService.can(req.user, 'alerts:manage')) {
       return fail(res, 'Not authorized', 403);
     }
+    await AlertApprovalService.checkUpdate(alert, req.body, req.user);
 
-    // Validate partial update for known fields
-    const updatable = ['title', 'message', 'type', 'priority', 'targetAudience', 'location', 'expiresAt', 'actionRequired', 'actionText', 'actionUrl', 'isActive'];
-    const payload = {};
-    for (const key of updatable) {
-      if (key in req.body) {payload[key] = req.body[key];}
+    const { location, ...fields } = req.body;
+    Object.assign(alert, fields);
+    if (location && location.type === 'Polygon') {
+      Object.assign(alert, AlertDeliveryService.normalizePolygon(location));
+    } else if (location) {
+      alert.location = location;
+      alert.geofence = undefined;
     }
-
-    // Basic validation for update (reuse create rules where applicable)
-    if ('title' in payload && (typeof payload.title !== 'string' || payload.title.trim().length < 1)) {
-      return fail(res, 'Validation error', 400, { errors: ['Alert title is required'] });
-    }
-    if ('priority' in payload && !['low', 'medium', 'high', 'urgent', 'critical'].includes(payload.priority)) {
-      return fail(res, 'Validation error', 400, { errors: ['Invalid priority'] });
+    if (alert.targetAudience === 'specific_area' && !AlertDeliveryService.getArea(alert)) {
+      return fail(res, 'Validation error', 400, { errors: ['Location is required for area alerts'] });
     }
 
-    Object.assign(alert, payload);
     await alert.save();
     return ok(res, { alert }, 'Alert updated successfully');
   } catch (err) {
-    return fail(res, err.message || 'Failed to update alert', 500);
+    return failWith(res, err, 'Failed to update alert');
   }
 }
 
@@ -120,8 +156,7 @@ async function deleteAlert(req, res) {
       return fail(res, 'Alert not found', 404);
     }
     const isCreator = alert.createdBy?.toString() === req.user._id.toString();
-    const isAdmin = req.user.role === 'admin';
-    if (!isCreator && !isAdmin) {
+    if (!isCreator && !PermissionService.can(req.user, 'alerts:manage')) {
       return fail(res, 'Not authorized', 403);
     }
 
@@ -138,19 +173,13 @@ async function markAlertAsRead(req, res) {
   try {
     const { id } = req.params;
     const alert = await Alert.findById(id);
-    if (!alert) {
+    if (!alert || !AlertApprovalService.canView(alert, req.user)) {
       return fail(res, 'Alert not found', 404);
     }
 
-    const existing = (alert.deliveryStatus || []).find(s => s.user?.toString() === req.user._id.toString());
-    if (existing) {
-      existing.status = 'read';
-      existing.deliveredAt = existing.deliveredAt || new Date();
-    } else {
-      alert.deliveryStatus.push({ user: req.user._id, status: 'read', deliveredAt: new Date(), deliveryMethod: 'in_app' });
-    }
-    await alert.save();
-    return ok(res, { alert }, 'Alert marked as read');
+    await NotificationService.markAlertsRead(req.user._id, [alert._id]);
+    await NotificationService.markAlertNotificationsRead(req.user._id, alert._id);
+    return ok(res, { alertId: alert._id, isRead: true }, 'Alert marked as read');
   } catch (err) {
     return fail(res, err.message || 'Failed to mark alert as read', 500);
   }
@@ -171,7 +200,8 @@ async function getNearbyAlerts(req, res) {
           $maxDistance: meters
         }
       },
-      isActive: { $ne: false }
+      isActive: { $ne: false },
+      status: { $nin: AlertApprovalService.UNPUBLISHED_STATUSES }
     };
     if (type) {filter.type = type;}
 
@@ -204,6 +234,93 @@ async function getAlertStats(req, res) {
   }
 }
 
+// GET /api/alerts/approvals (alerts:approve)
+async function getApprovalQueue(req, res) {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const [queue, policy] = await Promise.all([
+      AlertApprovalService.getQueue({ page, limit }),
+      AlertApprovalService.getPolicy()
+    ]);
+    return ok(res, { ...queue, policy });
+  } catch (err) {
+    return failWith(res, err, 'Failed to get approval queue');
+  }
+}
+
+// POST /api/alerts/:id/submit (creator)
+async function submitAlert(req, res) {
+  try {
+    const alert = mongoose.isValidObjectId(req.params.id) && await Alert.findById(req.params.id);
+    if (!alert || !alert.isActive) {
+      return fail(res, 'Alert not found', 404);
+    }
+    if (alert.createdBy.toString() !== req.user._id.toString()) {
+      return fail(res, 'Only the creator can submit an alert', 403);
+    }
+
+    const submitted = await AlertApprovalService.submit(alert, req.user);
+    return ok(res, submitted, MESSAGES[submitted.alert.status]);
+  } catch (err) {
+    return failWith(res, err, 'Failed to submit alert');
+  }
+}
+
+// POST /api/alerts/:id/approve (alerts:approve)
+async function approveAlert(req, res) {
+  try {
+    const alert = mongoose.isValidObjectId(req.params.id) && await Alert.findById(req.params.id);
+    if (!alert || !alert.isActive) {
+      return fail(res, 'Alert not found', 404);
+    }
+
+    const approved = await AlertApprovalService.approve(alert, req.user, req.body.comment);
+    return ok(res, approved, 'Alert approved and published');
+  } catch (err) {
+    return failWith(res, err, 'Failed to approve alert');
+  }
+}
+
+// POST /api/alerts/:id/reject (alerts:approve)
+async function rejectAlert(req, res) {
+  try {
+    const alert = mongoose.isValidObjectId(req.params.id) && await Alert.findById(req.params.id);
+    if (!alert || !alert.isActive) {
+      return fail(res, 'Alert not found', 404);
+    }
+
+    const rejected = await AlertApprovalService.reject(alert, req.user, req.body.comment);
+    return ok(res, { alert: rejected }, 'Alert rejected');
+  } catch (err) {
+    return failWith(res, err, 'Failed to reject alert');
+  }
+}
+
+// POST /api/alerts/sms/receipts (called by the SMS provider)
+async function handleSmsReceipt(req, res) {
+  try {
+    if (!SmsService.isEnabled()) {
+      return fail(res, 'SMS is not enabled', 404);
+    }
+
+    const provider = SmsService.getProvider();
+    if (!provider.verifyReceipt(req)) {
+      logger.warn('Rejected SMS receipt with an invalid signature:', { ip: req.ip });
+      return fail(res, 'Invalid receipt signature', 403);
+    }
+
+    const known = await SmsService.handleReceipt(provider.parseReceipt(req.body));
+    if (!known) {
+      return fail(res, 'Message not found', 404);
+    }
+    return ok(res, null, 'Receipt recorded');
+  } catch (err) {
+    logger.error('SMS receipt error:', err);
+    return fail(res, 'Failed to record receipt', 500);
+  }
+}
+
 module.exports = {
   createAlert,
   getAlerts,
@@ -212,7 +329,12 @@ module.exports = {
   deleteAlert,
   markAlertAsRead,
   getNearbyAlerts,
-  getAlertStats
+  getAlertStats,
+  getApprovalQueue,
+  submitAlert,
+  approveAlert,
+  rejectAlert,
+  handleSmsReceipt
 };
 
 
@@ -1,8 +1,16 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const { generateToken, generateRefreshToken } = require('../middleware/auth');
+const SessionService = require('../services/sessionService');
+const LoginThrottleService = require('../services/loginThrottleService');
+const TwoFactorService = require('../services/twoFactorService');
+const SecurityPolicyService = require('../services/securityPolicyService');
+const PermissionService = require('../services/permissionService');
+const MailService = require('../services/mailService');
 const logger = require('../config/logger');
 const crypto = require('crypto');
 
+const RESET_TOKEN_TTL_MINUTES = 10;
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -14,7 +22,6 @@ const register = async (req, res) => {
       email, 
       password, 
       phone, 
-      role,
       location,
       preferences 
     } = req.body;
@@ -38,7 +45,8 @@ const register = async (req, res) => {
       email: email.toLowerCase(),
       password,
       phone,
-      role: role || 'citizen',
+      // Everyone starts as a citizen; authorities apply through /api/auth/authority-application
+      role: 'citizen',
       verificationToken,
       verificationTokenExpire: Date.now() + 24 * 60 * 60 * 1000, // 24 hours
     };
@@ -68,16 +76,22 @@ const register = async (req, res) => {
           push: preferences.notifications?.push !== false,   // Default true
           sms: preferences.notifications?.sms || false       // Default false
         },
-        alertRadius: preferences.alertRadius || 5
+        alertRadius: preferences.alertRadius || 5,
+        digest: preferences.digest || 'off'
       };
     }
 
     // Create user with complete registration details
     const user = await User.create(userData);
 
-    // Generate tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    // Start a session for this device
+    const { token, refreshToken } = await SessionService.create(user, req);
+
+    await MailService.sendSafely({
+      to: user.email,
+      template: 'verifyEmail',
+      data: { firstName: user.firstName, link: MailService.link('/verify-email', { token: verificationToken }) }
+    });
 
     // Log successful registration with all details preserved
     logger.info('User registered with complete details:', { 
@@ -140,6 +154,60 @@ const register = async (req, res) => {
   }
 };
 
+// Refuse an attempt while the account or IP is locked out
+const sendLockout = (res, lockout) => {
+  res.set('Retry-After', String(lockout.retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed login attempts. Try again in ${Math.ceil(lockout.retryAfter / 60)} minute(s).`,
+    retryAfter: lockout.retryAfter
+  });
+};
+
+// Finish a login once every factor has been checked: clear failures,
+// start a session for this device and return its tokens
+const completeLogin = async (req, res, user) => {
+  await LoginThrottleService.recordSuccess(user.email, req.ip);
+
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Start a session for this device
+  const { token, refreshToken } = await SessionService.create(user, req);
+
+  logger.info('User logged in:', { userId: user._id, email: user.email });
+
+  res.json({
+    success: true,
+    message: 'Login successful.',
+    // Backward-compatible top-level tokens (some tests read token at root)
+    token,
+    refreshToken,
+    data: {
+      user: {
+        id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        phone: user.phone,
+        role: user.role,
+        isVerified: user.isVerified,
+        location: user.location,
+        preferences: user.preferences,
+        lastLogin: user.lastLogin,
+        profileImage: user.profileImage,
+        createdAt: user.createdAt,
+        isActive: user.isActive
+      },
+      token,
+      refreshToken,
+      // Accounts whose role requires 2FA can only enrol until they set it up
+      twoFactorSetupRequired: await SecurityPolicyService.isTwoFactorSetupPending(user)
+    }
+  });
+};
+
 // @desc    Login user
 // @route   POST /api/auth/login
 // @access  Public
@@ -147,65 +215,94 @@ const login = async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    // Locked accounts and IPs are refused before the password is checked
+    const lockout = await LoginThrottleService.getLockout(email, req.ip);
+    if (lockout) {
+      return sendLockout(res, lockout);
+    }
+
     // Find user and include password for comparison
     const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
 
-    if (!user) {
+    // Account status check removed - allow all users
+
+    // Check password; unknown emails count as failures too so they lock the same way
+    const isPasswordValid = user ? await user.comparePassword(password) : false;
+    if (!isPasswordValid) {
+      const { accountLocked } = await LoginThrottleService.recordFailure(email, req.ip, user);
       return res.status(401).json({
         success: false,
-        message: 'Invalid email or password.'
+        message: accountLocked
+          ? 'Invalid email or password. Too many failed attempts; the account is temporarily locked.'
+          : 'Invalid email or password.'
       });
     }
 
-    // Account status check removed - allow all users
+    // Second step: the client exchanges the challenge and a code at /2fa/verify
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app.',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: TwoFactorService.createChallenge(user)
+        }
+      });
+    }
 
-    // Check password
-    const isPasswordValid = await user.comparePassword(password);
-    if (!isPasswordValid) {
+    await completeLogin(req, res, user);
+  } catch (error) {
+    logger.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed. Please try again.'
+    });
+  }
+};
+
+// @desc    Complete login with a TOTP or backup code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (login challenge)
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    const userId = TwoFactorService.verifyChallenge(challengeToken);
+    const user = userId ? await User.findById(userId) : null;
+    if (!user) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid email or password.'
+        message: 'Sign-in request expired. Please sign in again.'
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    // Codes are throttled like passwords: six digits fall quickly to guessing
+    const lockout = await LoginThrottleService.getLockout(user.email, req.ip);
+    if (lockout) {
+      return sendLockout(res, lockout);
+    }
 
-    // Generate tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    const method = await TwoFactorService.verify(user._id, code);
+    if (!method) {
+      const { accountLocked } = await LoginThrottleService.recordFailure(user.email, req.ip, user);
+      return res.status(401).json({
+        success: false,
+        message: accountLocked
+          ? 'Invalid authentication code. Too many failed attempts; the account is temporarily locked.'
+          : 'Invalid authentication code.'
+      });
+    }
 
-    logger.info('User logged in:', { userId: user._id, email: user.email });
+    if (method === 'backup_code') {
+      logger.warn('Backup code used to sign in:', {
+        userId: user._id,
+        remaining: await TwoFactorService.getRemainingBackupCodes(user._id)
+      });
+    }
 
-    res.json({
-      success: true,
-      message: 'Login successful.',
-      // Backward-compatible top-level tokens (some tests read token at root)
-      token,
-      refreshToken,
-      data: {
-        user: {
-          id: user._id,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          email: user.email,
-          phone: user.phone,
-          role: user.role,
-          isVerified: user.isVerified,
-          location: user.location,
-          preferences: user.preferences,
-          lastLogin: user.lastLogin,
-          profileImage: user.profileImage,
-          createdAt: user.createdAt,
-          isActive: user.isActive
-        },
-        token,
-        refreshToken
-      }
-    });
+    await completeLogin(req, res, user);
   } catch (error) {
-    logger.error('Login error:', error);
+    logger.error('Two-factor login error:', error);
     res.status(500).json({
       success: false,
       message: 'Login failed. Please try again.'
@@ -230,9 +327,17 @@ const getMe = async (req, res) => {
           email: user.email,
           phone: user.phone,
           role: user.role,
+          permissions: PermissionService.getRolePermissions(user.role),
+          jurisdictions: user.jurisdictions,
           isVerified: user.isVerified,
           location: user.location,
           preferences: user.preferences,
+          reputation: user.reputation,
+          twoFactor: {
+            enabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+            enabledAt: user.twoFactor ? user.twoFactor.enabledAt : undefined,
+            setupRequired: await SecurityPolicyService.isTwoFactorSetupPending(user)
+          },
           lastLogin: user.lastLogin,
           profileImage: user.profileImage,
           createdAt: user.createdAt
@@ -339,6 +444,9 @@ const changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Other devices must sign in again with the new password
+    await SessionService.revokeAll(user._id, 'password_changed', req.sessionId);
+
     logger.info('Password changed:', { userId: user._id });
 
     res.json({
@@ -413,10 +521,18 @@ const forgotPassword = async (req, res) => {
     // Generate reset token
     const resetToken = crypto.randomBytes(32).toString('hex');
     user.resetPasswordToken = resetToken;
-    user.resetPasswordExpire = Date.now() + 10 * 60 * 1000; // 10 minutes
+    user.resetPasswordExpire = Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000;
     await user.save();
 
-    // TODO: Send reset email here
+    await MailService.sendSafely({
+      to: user.email,
+      template: 'passwordReset',
+      data: {
+        firstName: user.firstName,
+        link: MailService.link('/reset-password', { token: resetToken }),
+        expiresMinutes: RESET_TOKEN_TTL_MINUTES
+      }
+    });
     logger.info('Password reset requested:', { userId: user._id, email: user.email });
 
     res.json({
@@ -457,6 +573,8 @@ const resetPassword = async (req, res) => {
     user.resetPasswordExpire = undefined;
     await user.save();
 
+    await SessionService.revokeAll(user._id, 'password_changed');
+
     logger.info('Password reset:', { userId: user._id, email: user.email });
 
     res.json({
@@ -477,8 +595,10 @@ const resetPassword = async (req, res) => {
 // @access  Private
 const logout = async (req, res) => {
   try {
-    // In a stateless JWT system, logout is handled client-side
-    // Here we could implement token blacklisting if needed
+    // Revoking the session invalidates its refresh token and access tokens
+    if (req.sessionId) {
+      await SessionService.revoke(req.sessionId, req.user._id, 'logout');
+    }
 
     logger.info('User logged out:', { userId: req.user._id });
 
@@ -495,14 +615,164 @@ const logout = async (req, res) => {
   }
 };
 
+// @desc    Request an account unlock email
+// @route   POST /api/auth/unlock-request
+// @access  Public
+const requestUnlock = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (user && (await LoginThrottleService.getAccountState(email)).locked) {
+      await LoginThrottleService.createUnlockToken(user);
+    }
+
+    // Don't reveal whether the email exists or is locked
+    res.json({
+      success: true,
+      message: 'If that account is locked, an unlock link has been sent.'
+    });
+  } catch (error) {
+    logger.error('Unlock request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process unlock request.'
+    });
+  }
+};
+
+// @desc    Unlock account with emailed token
+// @route   POST /api/auth/unlock
+// @access  Public
+const unlockAccount = async (req, res) => {
+  try {
+    const user = await LoginThrottleService.unlockWithToken(req.body.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired unlock token.'
+      });
+    }
+
+    logger.info('Account unlocked by email token:', { userId: user._id, email: user.email });
+
+    res.json({
+      success: true,
+      message: 'Account unlocked. You can sign in again.'
+    });
+  } catch (error) {
+    logger.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock account.'
+    });
+  }
+};
+
+// @desc    Rotate refresh token
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token)
+const refresh = async (req, res, next) => {
+  try {
+    const { token, refreshToken } = await SessionService.rotate(req.body.refreshToken, req);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed.',
+      token,
+      refreshToken,
+      data: {
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    if (error.statusCode && error.statusCode < 500) {
+      return next(error);
+    }
+    logger.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token.'
+    });
+  }
+};
+
+// @desc    List signed-in devices
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await SessionService.list(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          device: session.device,
+          userAgent: session.userAgent,
+          ipAddress: session.ipAddress,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: Boolean(req.sessionId) && session._id.toString() === req.sessionId
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get sessions.'
+    });
+  }
+};
+
+// @desc    Sign out a device
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = async (req, res) => {
+  try {
+    const revoked = mongoose.isValidObjectId(req.params.id) &&
+      await SessionService.revoke(req.params.id, req.user._id, 'signed_out');
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found.'
+      });
+    }
+
+    logger.info('Session revoked:', { userId: req.user._id, sessionId: req.params.id });
+
+    res.json({
+      success: true,
+      message: 'Session signed out.'
+    });
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out session.'
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
+  verifyTwoFactorLogin,
   getMe,
   updateProfile,
   changePassword,
   verifyEmail,
   forgotPassword,
   resetPassword,
-  logout
+  logout,
+  requestUnlock,
+  unlockAccount,
+  refresh,
+  getSessions,
+  revokeSession
 };
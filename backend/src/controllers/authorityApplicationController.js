@@ -0,0 +1,196 @@
+const AuthorityApplicationService = require('../services/authorityApplicationService');
+const logger = require('../config/logger');
+
+// Operational errors (bad documents, duplicate or already reviewed applications) go to the global handler
+const handleError = (error, res, next, message) => {
+  if (error.statusCode && error.statusCode < 500) {
+    return next(error);
+  }
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${message.toLowerCase()}.`
+  });
+};
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Application not found.'
+});
+
+// @desc    Apply for the authority role
+// @route   POST /api/auth/authority-application
+// @access  Private (citizens)
+const submitApplication = async (req, res, next) => {
+  try {
+    const application = await AuthorityApplicationService.apply(req.user, req.body, req.files || []);
+
+    res.status(201).json({
+      success: true,
+      message: 'Application submitted. An administrator will review it.',
+      data: { application }
+    });
+  } catch (error) {
+    handleError(error, res, next, 'Submit application');
+  }
+};
+
+// @desc    Get the current user's latest application, whether they can apply, and the jurisdictions to choose from
+// @route   GET /api/auth/authority-application
+// @access  Private
+const getMyApplication = async (req, res, next) => {
+  try {
+    const [application, jurisdictions] = await Promise.all([
+      AuthorityApplicationService.getLatest(req.user._id),
+      AuthorityApplicationService.listJurisdictions()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        application,
+        jurisdictions,
+        canApply: req.user.role === 'citizen' && (!application || application.status !== 'pending')
+      }
+    });
+  } catch (error) {
+    handleError(error, res, next, 'Retrieve application');
+  }
+};
+
+// @desc    Withdraw the current user's pending application
+// @route   DELETE /api/auth/authority-application
+// @access  Private
+const withdrawApplication = async (req, res, next) => {
+  try {
+    const application = await AuthorityApplicationService.withdraw(req.user._id);
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have no application awaiting review.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Application withdrawn.',
+      data: { application }
+    });
+  } catch (error) {
+    handleError(error, res, next, 'Withdraw application');
+  }
+};
+
+// @desc    Download a supporting document
+// @route   GET /api/auth/authority-application/:id/documents/:documentId
+// @route   GET /api/admin/authority-applications/:id/documents/:documentId
+// @access  Private (applicant or authorities:review)
+const downloadDocument = async (req, res, next) => {
+  try {
+    const found = await AuthorityApplicationService.getDocument(req.params.id, req.params.documentId);
+    if (!found || !AuthorityApplicationService.canViewDocuments(found.application, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found.'
+      });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.type(found.document.mimeType);
+    res.download(found.filePath, found.document.originalName, (error) => {
+      if (error && !res.headersSent) {
+        handleError(error, res, next, 'Download document');
+      }
+    });
+  } catch (error) {
+    handleError(error, res, next, 'Download document');
+  }
+};
+
+// @desc    List authority applications
+// @route   GET /api/admin/authority-applications
+// @access  Private (authorities:review)
+const getApplications = async (req, res, next) => {
+  try {
+    const result = await AuthorityApplicationService.list({
+      status: req.query.status || 'pending',
+      page: parseInt(req.query.page) || 1,
+      limit: Math.min(parseInt(req.query.limit) || 20, 100)
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    handleError(error, res, next, 'Retrieve applications');
+  }
+};
+
+// @desc    Get one authority application
+// @route   GET /api/admin/authority-applications/:id
+// @access  Private (authorities:review)
+const getApplication = async (req, res, next) => {
+  try {
+    const application = await AuthorityApplicationService.findById(req.params.id);
+    if (!application) {return notFound(res);}
+
+    res.json({
+      success: true,
+      data: { application }
+    });
+  } catch (error) {
+    handleError(error, res, next, 'Retrieve application');
+  }
+};
+
+// @desc    Approve an application and grant the authority role
+// @route   POST /api/admin/authority-applications/:id/approve
+// @access  Private (authorities:review)
+const approveApplication = async (req, res, next) => {
+  try {
+    const application = await AuthorityApplicationService.findById(req.params.id);
+    if (!application) {return notFound(res);}
+
+    const { user } = await AuthorityApplicationService.approve(application, req.user, req.body);
+
+    res.json({
+      success: true,
+      message: 'Application approved. The user is now an authority.',
+      data: { application, user }
+    });
+  } catch (error) {
+    handleError(error, res, next, 'Approve application');
+  }
+};
+
+// @desc    Reject an application
+// @route   POST /api/admin/authority-applications/:id/reject
+// @access  Private (authorities:review)
+const rejectApplication = async (req, res, next) => {
+  try {
+    const application = await AuthorityApplicationService.findById(req.params.id);
+    if (!application) {return notFound(res);}
+
+    await AuthorityApplicationService.reject(application, req.user, req.body.comment);
+
+    res.json({
+      success: true,
+      message: 'Application rejected.',
+      data: { application }
+    });
+  } catch (error) {
+    handleError(error, res, next, 'Reject application');
+  }
+};
+
+module.exports = {
+  submitApplication,
+  getMyApplication,
+  withdrawApplication,
+  downloadDocument,
+  getApplications,
+  getApplication,
+  approveApplication,
+  rejectApplication
+};
@@ -0,0 +1,477 @@
+const mongoose = require('mongoose');
+const Incident = require('../models/Incident');
+const IncidentComment = require('../models/IncidentComment');
+const ReputationService = require('../services/reputationService');
+const PermissionService = require('../services/permissionService');
+const NotificationService = require('../services/notificationService');
+const logger = require('../config/logger');
+
+const getEditWindowMinutes = () => parseInt(process.env.COMMENT_EDIT_WINDOW_MINUTES, 10) || 15;
+
+const isModerator = (user) => PermissionService.can(user, 'comments:moderate');
+
+const loadIncident = async (id) => {
+  if (!mongoose.isValidObjectId(id)) {return null;}
+  return Incident.findOne({ _id: id, isActive: true }).select('title reportedBy location analytics');
+};
+
+const loadComment = async (incidentId, commentId) => {
+  if (!mongoose.isValidObjectId(commentId)) {return null;}
+  return IncidentComment.findOne({ _id: commentId, incident: incidentId })
+    .populate('author', 'firstName lastName role');
+};
+
+// The author populates to null once their account is deleted
+const isAuthor = (comment, user) =>
+  Boolean(comment.author) && comment.author._id.toString() === user._id.toString();
+
+// Shape a comment for a viewer. Deleted and hidden bodies are masked, and flag
+// details are only shown to moderators. A null viewer gets the public view.
+const serializeComment = (comment, viewer = null) => {
+  const json = comment.toJSON();
+  const authorId = json.author && (json.author._id || json.author).toString();
+  const isOwn = Boolean(viewer) && authorId === viewer._id.toString();
+  const moderator = isModerator(viewer);
+
+  const result = {
+    _id: json._id,
+    incident: json.incident,
+    parent: json.parent,
+    depth: json.depth,
+    body: json.body,
+    author: json.author,
+    authorRole: json.authorRole,
+    isAuthorityResponse: json.isAuthorityResponse,
+    isDeleted: json.isDeleted,
+    isEdited: json.editCount > 0,
+    editedAt: json.editedAt,
+    moderationStatus: json.moderationStatus,
+    flagCount: json.flagCount,
+    hasFlagged: Boolean(viewer) && comment.flags.some(flag => flag.user.toString() === viewer._id.toString()),
+    canEdit: isOwn && comment.isEditable(getEditWindowMinutes()),
+    canDelete: !json.isDeleted && (isOwn || moderator),
+    createdAt: json.createdAt,
+    updatedAt: json.updatedAt
+  };
+
+  if (json.isDeleted) {
+    result.body = null;
+    result.author = null;
+  } else if (json.moderationStatus === 'hidden' && !moderator) {
+    result.body = null;
+  }
+
+  if (moderator) {
+    result.flags = json.flags;
+    result.moderatedBy = json.moderatedBy;
+    result.moderatedAt = json.moderatedAt;
+    result.moderationNote = json.moderationNote;
+  }
+
+  return result;
+};
+
+// Nest serialized comments under their parents. Deleted comments are kept as
+// placeholders only while they still have replies.
+const buildThread = (comments) => {
+  const byId = new Map(comments.map(comment => [comment._id.toString(), { ...comment, replies: [] }]));
+  const roots = [];
+
+  byId.forEach(comment => {
+    const parent = comment.parent && byId.get(comment.parent.toString());
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      roots.push(comment);
+    }
+  });
+
+  const prune = (nodes) => nodes
+    .map(node => ({ ...node, replies: prune(node.replies) }))
+    .filter(node => !node.isDeleted || node.replies.length > 0);
+
+  return prune(roots);
+};
+
+const broadcastComment = (action, incident, comment) => {
+  if (global.broadcastIncidentComment) {
+    global.broadcastIncidentComment(incident, {
+      action,
+      incidentId: incident._id,
+      comment: serializeComment(comment)
+    });
+  }
+};
+
+// @desc    Get threaded comments for an incident
+// @route   GET /api/incidents/:id/comments
+// @access  Private
+const getComments = async (req, res) => {
+  try {
+    const incident = await loadIncident(req.params.id);
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found.'
+      });
+    }
+
+    const comments = await IncidentComment.find({ incident: incident._id })
+      .populate('author', 'firstName lastName role')
+      .sort({ createdAt: 1 });
+
+    const serialized = comments.map(comment => serializeComment(comment, req.user));
+
+    res.json({
+      success: true,
+      data: {
+        comments: buildThread(serialized),
+        total: serialized.filter(comment => !comment.isDeleted).length,
+        editWindowMinutes: getEditWindowMinutes()
+      }
+    });
+  } catch (error) {
+    logger.error('Get comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve comments.'
+    });
+  }
+};
+
+// @desc    Add a comment or reply to an incident
+// @route   POST /api/incidents/:id/comments
+// @access  Private
+const createComment = async (req, res) => {
+  try {
+    const incident = await loadIncident(req.params.id);
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found.'
+      });
+    }
+
+    let depth = 0;
+    let parent = null;
+    if (req.body.parentId) {
+      parent = await loadComment(incident._id, req.body.parentId);
+
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent comment not found.'
+        });
+      }
+      if (parent.isDeleted || parent.moderationStatus === 'hidden') {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot reply to a removed comment.'
+        });
+      }
+      if (parent.depth >= IncidentComment.MAX_DEPTH) {
+        return res.status(400).json({
+          success: false,
+          message: `Replies cannot be nested more than ${IncidentComment.MAX_DEPTH} levels deep.`
+        });
+      }
+      depth = parent.depth + 1;
+    }
+
+    const comment = await IncidentComment.create({
+      incident: incident._id,
+      author: req.user._id,
+      authorRole: req.user.role,
+      parent: req.body.parentId || null,
+      depth,
+      body: req.body.body
+    });
+    await comment.populate('author', 'firstName lastName role');
+
+    await incident.incrementEngagement();
+    broadcastComment('created', incident, comment);
+    if (parent) {
+      await NotificationService.notifyCommentReply({ incident, parent, comment, actor: req.user });
+    }
+
+    logger.info('Incident comment created:', {
+      incidentId: incident._id,
+      commentId: comment._id,
+      userId: req.user._id,
+      isReply: depth > 0
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully.',
+      data: { comment: serializeComment(comment, req.user) }
+    });
+  } catch (error) {
+    logger.error('Create comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add comment.'
+    });
+  }
+};
+
+// @desc    Edit a comment within the edit window
+// @route   PUT /api/incidents/:id/comments/:commentId
+// @access  Private (Author)
+const updateComment = async (req, res) => {
+  try {
+    const incident = await loadIncident(req.params.id);
+    const comment = incident && await loadComment(incident._id, req.params.commentId);
+
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found.'
+      });
+    }
+
+    if (!isAuthor(comment, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this comment.'
+      });
+    }
+
+    const editWindowMinutes = getEditWindowMinutes();
+    if (!comment.isEditable(editWindowMinutes)) {
+      return res.status(403).json({
+        success: false,
+        message: `Comments can only be edited within ${editWindowMinutes} minutes of posting.`
+      });
+    }
+
+    comment.body = req.body.body;
+    comment.editedAt = new Date();
+    comment.editCount += 1;
+    await comment.save();
+
+    broadcastComment('updated', incident, comment);
+
+    res.json({
+      success: true,
+      message: 'Comment updated successfully.',
+      data: { comment: serializeComment(comment, req.user) }
+    });
+  } catch (error) {
+    logger.error('Update comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update comment.'
+    });
+  }
+};
+
+// @desc    Soft-delete a comment
+// @route   DELETE /api/incidents/:id/comments/:commentId
+// @access  Private (Author/comments:moderate)
+const deleteComment = async (req, res) => {
+  try {
+    const incident = await loadIncident(req.params.id);
+    const comment = incident && await loadComment(incident._id, req.params.commentId);
+
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found.'
+      });
+    }
+
+    if (!isAuthor(comment, req.user) && !isModerator(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this comment.'
+      });
+    }
+
+    comment.isDeleted = true;
+    comment.deletedAt = new Date();
+    comment.deletedBy = req.user._id;
+    await comment.save();
+
+    broadcastComment('deleted', incident, comment);
+
+    logger.info('Incident comment deleted:', {
+      incidentId: incident._id,
+      commentId: comment._id,
+      deletedBy: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully.'
+    });
+  } catch (error) {
+    logger.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete comment.'
+    });
+  }
+};
+
+// @desc    Flag a comment for moderation
+// @route   POST /api/incidents/:id/comments/:commentId/flag
+// @access  Private
+const flagComment = async (req, res) => {
+  try {
+    const incident = await loadIncident(req.params.id);
+    const comment = incident && await loadComment(incident._id, req.params.commentId);
+
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found.'
+      });
+    }
+
+    if (isAuthor(comment, req.user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot flag your own comment.'
+      });
+    }
+
+    const previousStatus = comment.moderationStatus;
+    if (!comment.addFlag(req.user._id, req.body.reason, req.body.details)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already flagged this comment.'
+      });
+    }
+    await comment.save();
+
+    if (previousStatus !== comment.moderationStatus) {
+      await ReputationService.applyCommentModerationSafely(comment);
+    }
+    if (previousStatus !== comment.moderationStatus && global.broadcastDashboardUpdate) {
+      global.broadcastDashboardUpdate('comment-flagged', {
+        incidentId: incident._id,
+        commentId: comment._id,
+        flagCount: comment.flags.length
+      }, 'authority');
+    }
+
+    logger.info('Incident comment flagged:', {
+      commentId: comment._id,
+      userId: req.user._id,
+      reason: req.body.reason,
+      moderationStatus: comment.moderationStatus
+    });
+
+    res.json({
+      success: true,
+      message: 'Comment flagged for review.',
+      data: { comment: serializeComment(comment, req.user) }
+    });
+  } catch (error) {
+    logger.error('Flag comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to flag comment.'
+    });
+  }
+};
+
+// @desc    Hide or restore a comment
+// @route   PUT /api/incidents/:id/comments/:commentId/moderation
+// @access  Private (comments:moderate)
+const moderateComment = async (req, res) => {
+  try {
+    const incident = await loadIncident(req.params.id);
+    const comment = incident && await loadComment(incident._id, req.params.commentId);
+
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found.'
+      });
+    }
+
+    if (!(await PermissionService.canActOnIncident(req.user, incident))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This incident is outside your jurisdiction.'
+      });
+    }
+
+    const { action, note } = req.body;
+    if (action === 'hide') {
+      comment.moderationStatus = 'hidden';
+    } else {
+      // Restoring clears the flags that brought the comment to review
+      comment.moderationStatus = 'visible';
+      comment.flags = [];
+    }
+    comment.moderatedBy = req.user._id;
+    comment.moderatedAt = new Date();
+    comment.moderationNote = note;
+    await comment.save();
+    await ReputationService.applyCommentModerationSafely(comment);
+
+    broadcastComment(action === 'hide' ? 'hidden' : 'restored', incident, comment);
+
+    logger.info('Incident comment moderated:', {
+      commentId: comment._id,
+      moderatorId: req.user._id,
+      action
+    });
+
+    res.json({
+      success: true,
+      message: action === 'hide' ? 'Comment hidden.' : 'Comment restored.',
+      data: { comment: serializeComment(comment, req.user) }
+    });
+  } catch (error) {
+    logger.error('Moderate comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to moderate comment.'
+    });
+  }
+};
+
+// @desc    List comments waiting for moderation
+// @route   GET /api/incidents/comments/flagged
+// @access  Private (comments:moderate)
+const getFlaggedComments = async (req, res) => {
+  try {
+    const comments = await IncidentComment.find({ moderationStatus: 'flagged', isDeleted: false })
+      .populate('author', 'firstName lastName role')
+      .populate('incident', 'title type severity')
+      .sort({ updatedAt: -1 })
+      .limit(100);
+
+    res.json({
+      success: true,
+      data: {
+        comments: comments.map(comment => ({
+          ...serializeComment(comment, req.user),
+          incident: comment.incident
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Get flagged comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve flagged comments.'
+    });
+  }
+};
+
+module.exports = {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  flagComment,
+  moderateComment,
+  getFlaggedComments
+};
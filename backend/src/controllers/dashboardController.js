@@ -2,6 +2,7 @@ const Incident = require('../models/Incident');
 const Alert = require('../models/Alert');
 const User = require('../models/User');
 const AnalyticsService = require('../services/analyticsService');
+const PermissionService = require('../services/permissionService');
 const metricsService = require('../services/metricsService');
 const logger = require('../config/logger');
 
@@ -194,11 +195,11 @@ const getDashboardOverview = async (req, res) => {
       reportedIncidents: await Incident.countDocuments({ reportedBy: userId })
     };
 
-    const systemStats = ['admin', 'authority'].includes(userRole)
+    const systemStats = PermissionService.can(req.user, 'analytics:view')
       ? { safetyScore }
       : undefined;
 
-    const performance = userRole === 'admin'
+    const performance = PermissionService.can(req.user, 'analytics:system')
       ? { resolvedIncidents, safetyScore }
       : undefined;
 
@@ -342,9 +343,9 @@ const getSafetyMetrics = async (req, res) => {
       { $sort: { _id: 1 } }
     ]);
     
-    // Most dangerous areas (if user is admin/authority)
+    // Most dangerous areas (if user can view analytics)
     let dangerousAreas = [];
-    if (['admin', 'authority'].includes(userRole)) {
+    if (PermissionService.can(req.user, 'analytics:view')) {
       dangerousAreas = await Incident.aggregate([
         { $match: baseQuery },
         {
@@ -401,7 +402,7 @@ const getSafetyMetrics = async (req, res) => {
 
 // @desc    Get incident analytics data
 // @route   GET /api/dashboard/analytics
-// @access  Private (Admin/Authority)
+// @access  Private (analytics:view)
 const getAnalytics = async (req, res) => {
   try {
     const { startDate: startDateParam, endDate: endDateParam, timeRange = '30d' } = req.query;
@@ -588,7 +589,7 @@ const getAnalytics = async (req, res) => {
         incidentAnalytics: timeSeriesData,
         userAnalytics: userEngagement,
         trends: topIncidentTypes,
-        ...(req.user.role === 'admin' ? { systemAnalytics: { geographicDistribution: geographicData, performance: performanceMetrics[0] || {} } } : {}),
+        ...(PermissionService.can(req.user, 'analytics:system') ? { systemAnalytics: { geographicDistribution: geographicData, performance: performanceMetrics[0] || {} } } : {}),
         ...((startDateParam || endDateParam) ? { dateRange: { startDate: startDateParam || null, endDate: endDateParam || null } } : {})
       }
     });
@@ -747,14 +748,14 @@ const getIncidentFeed = async (req, res) => {
 
 // @desc    Get enhanced analytics using AnalyticsService
 // @route   GET /api/dashboard/analytics
-// @access  Private (Admin/Authority)
+// @access  Private (analytics:view)
 const getEnhancedAnalytics = async (req, res) => {
   try {
     // Check permissions
-    if (!['admin', 'authority'].includes(req.user.role)) {
+    if (!PermissionService.can(req.user, 'analytics:view')) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. Admin or authority role required.'
+        message: 'Access denied. Missing permission: analytics:view'
       });
     }
 
@@ -781,14 +782,14 @@ const getEnhancedAnalytics = async (req, res) => {
 
 // @desc    Clear metrics cache
 // @route   POST /api/dashboard/cache/clear
-// @access  Private (Admin only)
+// @access  Private (system:cache)
 const clearMetricsCache = async (req, res) => {
   try {
     // Check permissions
-    if (req.user.role !== 'admin') {
+    if (!PermissionService.can(req.user, 'system:cache')) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. Admin role required.'
+        message: 'Access denied. Missing permission: system:cache'
       });
     }
 
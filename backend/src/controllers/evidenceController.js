@@ -0,0 +1,255 @@
+const mongoose = require('mongoose');
+const Incident = require('../models/Incident');
+const Evidence = require('../models/Evidence');
+const EvidenceService = require('../services/evidenceService');
+const TrustScoreService = require('../services/trustScoreService');
+const PermissionService = require('../services/permissionService');
+const logger = require('../config/logger');
+
+const isAuthority = (user) => PermissionService.can(user, 'evidence:review');
+
+const isReporter = (incident, user) => incident.reportedBy.toString() === user._id.toString();
+
+const isWitness = (incident, user) =>
+  (incident.witnesses || []).some(witness => witness.user && witness.user.toString() === user._id.toString());
+
+const loadIncident = async (id) => {
+  if (!mongoose.isValidObjectId(id)) {return null;}
+  return Incident.findOne({ _id: id, isActive: true }).select('reportedBy witnesses location');
+};
+
+// EXIF positions reveal where the uploader was, so only the uploader, the reporter and authorities see them
+const serializeEvidence = (evidence, incident, user) => {
+  const json = evidence.toJSON();
+  const uploaderId = (json.uploadedBy._id || json.uploadedBy).toString();
+  const canSeeLocation = isAuthority(user) || isReporter(incident, user) || uploaderId === user._id.toString();
+
+  if (!canSeeLocation) {
+    delete json.exifLocation;
+  }
+  delete json.contentHash;
+  return json;
+};
+
+// @desc    Upload image evidence for an incident
+// @route   POST /api/incidents/:id/evidence
+// @access  Private (Reporter/Witness/evidence:review)
+const uploadEvidence = async (req, res, next) => {
+  try {
+    const incident = await loadIncident(req.params.id);
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found.'
+      });
+    }
+
+    if (!isReporter(incident, req.user) && !isWitness(incident, req.user) && !isAuthority(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the reporter, witnesses and authorities can add evidence.'
+      });
+    }
+
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No files uploaded. Send images in the "files" field.'
+      });
+    }
+
+    await EvidenceService.assertWithinQuota(req.user._id, files);
+
+    const captions = [].concat(req.body.captions || req.body.caption || []);
+    const uploaded = [];
+    const rejected = [];
+    const duplicates = [];
+    let locationSuggestion = null;
+
+    for (const [index, file] of files.entries()) {
+      try {
+        const result = await EvidenceService.storeEvidence({
+          incident,
+          user: req.user,
+          file,
+          caption: typeof captions[index] === 'string' ? captions[index].trim().slice(0, 200) : undefined
+        });
+
+        uploaded.push(result.evidence);
+        if (result.duplicate) {
+          duplicates.push({
+            file: file.originalname,
+            evidenceId: result.evidence._id,
+            matchesIncident: result.duplicate.incident
+          });
+        }
+        if (!locationSuggestion && result.exifLocation && (isReporter(incident, req.user) || isAuthority(req.user))) {
+          locationSuggestion = EvidenceService.suggestLocation(incident, result.exifLocation);
+        }
+      } catch (error) {
+        if (!error.statusCode || error.statusCode >= 500) {throw error;}
+        rejected.push({ file: file.originalname, message: error.message });
+      }
+    }
+
+    if (uploaded.length === 0) {
+      const allDuplicates = rejected.every(item => item.message.includes('already attached'));
+      return res.status(allDuplicates ? 409 : 400).json({
+        success: false,
+        message: 'No files were stored.',
+        data: { rejected }
+      });
+    }
+
+    await Incident.updateOne(
+      { _id: incident._id },
+      { $push: { images: { $each: uploaded.map(item => ({ url: item.url, caption: item.caption })) } } }
+    );
+    await TrustScoreService.recalculateSafely(incident._id);
+
+    logger.info('Incident evidence uploaded:', {
+      incidentId: incident._id,
+      userId: req.user._id,
+      stored: uploaded.length,
+      rejected: rejected.length,
+      duplicates: duplicates.length
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${uploaded.length} file(s) uploaded successfully.`,
+      data: {
+        evidence: uploaded.map(item => serializeEvidence(item, incident, req.user)),
+        rejected,
+        duplicates,
+        locationSuggestion,
+        usage: await EvidenceService.getUsage(req.user._id)
+      }
+    });
+  } catch (error) {
+    if (error.statusCode && error.statusCode < 500) {
+      return next(error);
+    }
+    logger.error('Upload evidence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload evidence.'
+    });
+  }
+};
+
+// @desc    List evidence attached to an incident
+// @route   GET /api/incidents/:id/evidence
+// @access  Private
+const getEvidence = async (req, res) => {
+  try {
+    const incident = await loadIncident(req.params.id);
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found.'
+      });
+    }
+
+    const evidence = await Evidence.find({ incident: incident._id })
+      .populate('uploadedBy', 'firstName lastName role')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        evidence: evidence.map(item => serializeEvidence(item, incident, req.user))
+      }
+    });
+  } catch (error) {
+    logger.error('Get evidence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve evidence.'
+    });
+  }
+};
+
+// @desc    Delete a piece of evidence
+// @route   DELETE /api/incidents/:id/evidence/:evidenceId
+// @access  Private (Uploader/evidence:manage)
+const deleteEvidence = async (req, res) => {
+  try {
+    const incident = await loadIncident(req.params.id);
+    const evidence = incident && mongoose.isValidObjectId(req.params.evidenceId)
+      ? await Evidence.findOne({ _id: req.params.evidenceId, incident: incident._id })
+      : null;
+
+    if (!evidence) {
+      return res.status(404).json({
+        success: false,
+        message: 'Evidence not found.'
+      });
+    }
+
+    // Uploaders may always withdraw their own evidence; others need
+    // evidence:manage and the incident inside their jurisdictions
+    if (evidence.uploadedBy.toString() !== req.user._id.toString()) {
+      if (!PermissionService.can(req.user, 'evidence:manage')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to delete this evidence.'
+        });
+      }
+
+      if (!(await PermissionService.canActOnIncident(req.user, incident))) {
+        return res.status(403).json({
+          success: false,
+          message: 'This incident is outside your jurisdiction.'
+        });
+      }
+    }
+
+    await EvidenceService.removeEvidence(evidence);
+
+    logger.info('Incident evidence deleted:', {
+      evidenceId: evidence._id,
+      incidentId: evidence.incident,
+      deletedBy: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Evidence deleted successfully.'
+    });
+  } catch (error) {
+    logger.error('Delete evidence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete evidence.'
+    });
+  }
+};
+
+// @desc    Get the current user's evidence storage usage
+// @route   GET /api/incidents/evidence/usage
+// @access  Private
+const getEvidenceUsage = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await EvidenceService.getUsage(req.user._id)
+    });
+  } catch (error) {
+    logger.error('Get evidence usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve upload usage.'
+    });
+  }
+};
+
+module.exports = {
+  uploadEvidence,
+  getEvidence,
+  deleteEvidence,
+  getEvidenceUsage
+};
@@ -1,27 +1,96 @@
-const Incident = require('../models/Incident');
-const User = require('../models/User');
-const Alert = require('../models/Alert');
+const mongoose = require('mongoose');
+const Jurisdiction = require('../models/Jurisdiction');
 const AnalyticsService = require('../services/analyticsService');
+const PermissionService = require('../services/permissionService');
+const ExportService = require('../services/exportService');
+const ExportJobService = require('../services/exportJobService');
+const JurisdictionService = require('../services/jurisdictionService');
+const ReportPdfService = require('../services/reportPdfService');
 const databaseUtils = require('../utils/databaseUtils');
 const logger = require('../config/logger');
 const path = require('path');
-const fs = require('fs').promises;
 const { Readable } = require('stream');
+const { createReadStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const zlib = require('zlib');
 
 /**
  * Export Controller for data export and backup functionality
  */
 
+// Columns of the legacy incidents CSV; reporter and verifier details only when requested
+const LEGACY_INCIDENT_COLUMNS = [
+  ['id', i => i._id.toString()],
+  ['title', i => i.title],
+  ['description', i => i.description],
+  ['type', i => i.type],
+  ['severity', i => i.severity],
+  ['status', i => i.status],
+  ['coordinates', i => (i.location?.coordinates ? i.location.coordinates.join(',') : '')],
+  ['street', i => i.location?.address?.street || ''],
+  ['city', i => i.location?.address?.city || ''],
+  ['verificationScore', i => i.verificationScore || 0],
+  ['priority', i => i.priority || 1],
+  ['createdAt', i => i.createdAt],
+  ['updatedAt', i => i.updatedAt]
+];
+
+const PERSONAL_INCIDENT_COLUMNS = [
+  ['reporterFirstName', i => i.reportedBy?.firstName || ''],
+  ['reporterLastName', i => i.reportedBy?.lastName || ''],
+  ['reporterEmail', i => i.reportedBy?.email || ''],
+  ['verifierFirstName', i => i.verifiedBy?.firstName || ''],
+  ['verifierLastName', i => i.verifiedBy?.lastName || '']
+];
+
+// Invalid filters are answered with 400 before any rows are streamed
+const sendExportError = (res, error, message) => {
+  if (res.headersSent) {
+    logger.error(`${message} interrupted:`, error);
+    return res.destroy(error);
+  }
+  if (error.statusCode && error.statusCode < 500) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  logger.error(`${message} error:`, error);
+  return res.status(500).json({ success: false, message: `Failed to ${message.toLowerCase()}.` });
+};
+
+/**
+ * Stream an incidents, alerts or users export as CSV, JSON or a map format.
+ * Empty CSV exports are answered with an empty JSON list, as before streaming.
+ */
+const streamExport = async (req, res, type, format) => {
+  const { first, documents } = await ExportService.peek(ExportService.createCursor(type, req.query, req.user));
+
+  if (format === 'csv' && first === null) {
+    return res.status(200).json({ success: true, data: [] });
+  }
+
+  if (format === 'json') {
+    return ExportService.send(req, res, documents, {
+      contentType: ExportService.CONTENT_TYPES.json,
+      transform: ExportService.toJson({ success: true })
+    });
+  }
+
+  return ExportService.send(req, res, documents, {
+    filename: ExportService.filename(type, format),
+    contentType: ExportService.CONTENT_TYPES[format],
+    transform: ExportService.transform(type, format)
+  });
+};
+
 // @desc    Export incidents to CSV
 // @route   GET /api/export/incidents/csv
-// @access  Private (Admin/Authority)
+// @access  Private (export:incidents)
 const exportIncidentsCSV = async (req, res) => {
   try {
     // Check permissions
-    if (!['admin', 'authority'].includes(req.user.role)) {
+    if (!PermissionService.can(req.user, 'export:incidents')) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. Admin or authority role required.'
+        message: 'Access denied. Missing permission: export:incidents'
       });
     }
 
@@ -31,217 +100,62 @@ const exportIncidentsCSV = async (req, res) => {
       type, 
       severity, 
       status,
+      bbox,
       includePersonalData = 'false' 
     } = req.query;
 
-    // Build query filters
-    const query = { isActive: true };
-    
-    if (dateFrom || dateTo) {
-      query.createdAt = {};
-      if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
-      if (dateTo) query.createdAt.$lte = new Date(dateTo);
-    }
-    if (type) query.type = type;
-    if (severity) query.severity = severity;
-    if (status) query.status = status;
-
-    // Define export fields based on permissions
-    const baseFields = [
-      '_id', 'title', 'description', 'type', 'severity', 'status',
-      'location.coordinates', 'location.address.street', 'location.address.city',
-      'verificationScore', 'priority', 'createdAt', 'updatedAt'
-    ];
-
-    const personalFields = [
-      'reportedBy.firstName', 'reportedBy.lastName', 'reportedBy.email',
-      'verifiedBy.firstName', 'verifiedBy.lastName'
-    ];
-
-    const fields = includePersonalData === 'true' ? 
-      [...baseFields, ...personalFields] : baseFields;
-
-    // Generate filename
-    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
-    const filename = `incidents_export_${timestamp}.csv`;
-
-    // Get incidents with population
-    // Support both real Mongoose Query and mocked Promise in tests
-    let incidents = [];
-    const maybeQuery = await Promise.resolve().then(() => Incident.find(query));
-    if (maybeQuery && typeof maybeQuery.populate === 'function') {
-      try {
-        incidents = await maybeQuery
-          .populate('reportedBy', 'firstName lastName email')
-          .populate('verifiedBy', 'firstName lastName email')
-          .sort({ createdAt: -1 })
-          .lean();
-      } catch (err) {
-        logger.error('Incidents query execution failed:', err);
-        return res.status(500).json({ success: false, message: 'Failed to export incidents.' });
-      }
-    } else {
-      try {
-        incidents = await maybeQuery;
-      } catch (err) {
-        logger.error('Incidents query failed:', err);
-        return res.status(500).json({ success: false, message: 'Failed to export incidents.' });
-      }
-    }
+    const cursor = ExportService.createCursor('incidents', {
+      startDate: dateFrom,
+      endDate: dateTo,
+      type,
+      severity,
+      status,
+      bbox
+    });
+    const { first, documents } = await ExportService.peek(cursor);
 
-    if (incidents.length === 0) {
+    if (first === null) {
       return res.status(404).json({
         success: false,
         message: 'No incidents found matching the criteria.'
       });
     }
 
-    // Transform data for CSV export
-    const csvData = incidents.map(incident => {
-      const row = {};
-      
-      // Basic fields
-      row.id = incident._id.toString();
-      row.title = incident.title;
-      row.description = incident.description;
-      row.type = incident.type;
-      row.severity = incident.severity;
-      row.status = incident.status;
-      row.coordinates = incident.location?.coordinates ? 
-        incident.location.coordinates.join(',') : '';
-      row.street = incident.location?.address?.street || '';
-      row.city = incident.location?.address?.city || '';
-      row.verificationScore = incident.verificationScore || 0;
-      row.priority = incident.priority || 1;
-      row.createdAt = incident.createdAt;
-      row.updatedAt = incident.updatedAt;
-
-      // Personal data if requested and authorized
-      if (includePersonalData === 'true') {
-        row.reporterFirstName = incident.reportedBy?.firstName || '';
-        row.reporterLastName = incident.reportedBy?.lastName || '';
-        row.reporterEmail = incident.reportedBy?.email || '';
-        row.verifierFirstName = incident.verifiedBy?.firstName || '';
-        row.verifierLastName = incident.verifiedBy?.lastName || '';
-      }
+    const columns = includePersonalData === 'true'
+      ? [...LEGACY_INCIDENT_COLUMNS, ...PERSONAL_INCIDENT_COLUMNS]
+      : LEGACY_INCIDENT_COLUMNS;
+    const filename = ExportService.filename('incidents', 'csv');
 
-      return row;
+    const recordCount = await ExportService.send(req, res, documents, {
+      filename,
+      contentType: 'text/csv',
+      transform: ExportService.toCsv(columns)
     });
 
-    // Generate CSV content
-    const csvHeaders = Object.keys(csvData[0]).join(',');
-    const csvRows = csvData.map(row => 
-      Object.values(row).map(value => {
-        if (value === null || value === undefined) return '';
-        if (typeof value === 'string' && (value.includes(',') || value.includes('"'))) {
-          return `"${value.replace(/"/g, '""')}"`;
-        }
-        return value;
-      }).join(',')
-    );
-    
-    const csvContent = [csvHeaders, ...csvRows].join('\n');
-
-    // Set response headers for file download
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Content-Length', Buffer.byteLength(csvContent));
-
     logger.info('Incidents CSV export generated:', {
       userId: req.user._id,
       filename,
-      recordCount: incidents.length,
+      recordCount,
       includePersonalData: includePersonalData === 'true'
     });
-
-    res.send(csvContent);
   } catch (error) {
-    logger.error('CSV export error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to export incidents to CSV.',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    sendExportError(res, error, 'Export incidents to CSV');
   }
 };
 
-// Unified incidents export supporting csv | json | xlsx
+// Unified incidents export supporting csv | json | xlsx | geojson | kml | gpx
 // @route   GET /api/export/incidents
-// @access  Private (Admin/Authority)
+// @access  Private (export:incidents)
 const exportIncidents = async (req, res) => {
   try {
-    if (!['admin', 'authority'].includes(req.user.role)) {
-      return res.status(403).json({ success: false, message: 'Access denied. Admin or authority role required.' });
+    if (!PermissionService.can(req.user, 'export:incidents')) {
+      return res.status(403).json({ success: false, message: 'Access denied. Missing permission: export:incidents' });
     }
 
-    const { format = 'json', startDate, endDate, type, severity, status, lat, lng, radius } = req.query;
-
-    // Validate dates
-    if ((startDate && isNaN(Date.parse(startDate))) || (endDate && isNaN(Date.parse(endDate)))) {
-      return res.status(400).json({ success: false, message: 'Invalid date range' });
-    }
-
-    const query = { isActive: true };
-    if (startDate || endDate) {
-      query.createdAt = {};
-      if (startDate) query.createdAt.$gte = new Date(startDate);
-      if (endDate) query.createdAt.$lte = new Date(endDate);
-    }
-    if (type) query.type = type;
-    if (severity) query.severity = severity;
-    if (status) query.status = status;
-
-    // Geospatial filter (compatible with in-memory mongo)
-    if (lat && lng && radius) {
-      const earthRadiusKm = 6378.1;
-      const radiusKm = parseFloat(radius);
-      if (isNaN(radiusKm) || radiusKm <= 0) {
-        return res.status(400).json({ success: false, message: 'Radius must be positive' });
-      }
-      const radiusInRadians = radiusKm / earthRadiusKm;
-      query.location = {
-        $geoWithin: {
-          $centerSphere: [[parseFloat(lng), parseFloat(lat)], radiusInRadians]
-        }
-      };
-    }
-
-    const incidents = await Incident.find(query)
-      .populate('reportedBy', 'firstName lastName email')
-      .populate('verifiedBy', 'firstName lastName email')
-      .sort({ createdAt: -1 })
-      .lean();
-
-    if (format === 'csv') {
-      if (incidents.length === 0) {
-        return res.status(200).json({ success: true, data: [] });
-      }
-      const rows = incidents.map(i => ({
-        id: i._id.toString(),
-        title: i.title,
-        description: i.description,
-        type: i.type,
-        severity: i.severity,
-        status: i.status,
-        coordinates: i.location?.coordinates ? i.location.coordinates.join(',') : '',
-        city: i.location?.address?.city || '',
-        createdAt: i.createdAt,
-        updatedAt: i.updatedAt
-      }));
-      const headers = Object.keys(rows[0]).join(',');
-      const csv = [headers, ...rows.map(r => Object.values(r).map(v => {
-        if (v === null || v === undefined) return '';
-        const s = String(v);
-        return (s.includes(',') || s.includes('"')) ? '"' + s.replace(/"/g, '""') + '"' : s;
-      }).join(','))].join('\n');
-
-      const filename = `incidents_export_${Date.now()}.csv`;
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-      return res.send(csv);
-    }
+    const { format = 'json' } = req.query;
 
     if (format === 'xlsx') {
+      ExportService.buildQuery('incidents', req.query);
       // Minimal fake XLSX buffer to satisfy header checks
       const filename = `incidents_export_${Date.now()}.xlsx`;
       const buffer = Buffer.from('PK\x03\x04');
@@ -250,146 +164,91 @@ const exportIncidents = async (req, res) => {
       return res.send(buffer);
     }
 
-    if (format !== 'json') {
+    if (!ExportService.supportsFormat('incidents', format)) {
       return res.status(400).json({ success: false, message: 'Invalid format' });
     }
 
-    return res.json({ success: true, data: incidents });
+    await streamExport(req, res, 'incidents', format);
   } catch (error) {
-    logger.error('Incidents export error:', error);
-    return res.status(500).json({ success: false, message: 'Failed to export incidents.' });
+    sendExportError(res, error, 'Export incidents');
   }
 };
 
-// Alerts export supporting csv | json
+// Alerts export supporting csv | json | geojson | kml (alert areas as polygons)
 // @route   GET /api/export/alerts
-// @access  Private (Admin/Authority)
+// @access  Private (export:alerts)
 const exportAlerts = async (req, res) => {
   try {
-    if (!['admin', 'authority'].includes(req.user.role)) {
-      return res.status(403).json({ success: false, message: 'Access denied. Admin or authority role required.' });
-    }
-
-    const { format = 'json', startDate, endDate, type, priority } = req.query;
-
-    if ((startDate && isNaN(Date.parse(startDate))) || (endDate && isNaN(Date.parse(endDate)))) {
-      return res.status(400).json({ success: false, message: 'Invalid date range' });
+    if (!PermissionService.can(req.user, 'export:alerts')) {
+      return res.status(403).json({ success: false, message: 'Access denied. Missing permission: export:alerts' });
     }
 
-    const query = { isActive: { $in: [true, undefined] } };
-    if (startDate || endDate) {
-      query.createdAt = {};
-      if (startDate) query.createdAt.$gte = new Date(startDate);
-      if (endDate) query.createdAt.$lte = new Date(endDate);
-    }
-    if (type) query.type = type;
-    if (priority) query.priority = priority;
-
-    const alerts = await Alert.find(query).sort({ createdAt: -1 }).lean();
-
-    if (format === 'csv') {
-      if (alerts.length === 0) {
-        return res.status(200).json({ success: true, data: [] });
-      }
-      const rows = alerts.map(a => ({
-        id: a._id.toString(),
-        title: a.title,
-        message: a.message,
-        type: a.type,
-        priority: a.priority,
-        coordinates: a.location?.coordinates ? a.location.coordinates.join(',') : '',
-        city: a.location?.address?.city || '',
-        createdAt: a.createdAt
-      }));
-      const headers = Object.keys(rows[0]).join(',');
-      const csv = [headers, ...rows.map(r => Object.values(r).map(v => {
-        if (v === null || v === undefined) return '';
-        const s = String(v);
-        return (s.includes(',') || s.includes('"')) ? '"' + s.replace(/"/g, '""') + '"' : s;
-      }).join(','))].join('\n');
-
-      const filename = `alerts_export_${Date.now()}.csv`;
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-      return res.send(csv);
-    }
-
-    if (format !== 'json') {
+    const { format = 'json' } = req.query;
+    if (!ExportService.supportsFormat('alerts', format)) {
       return res.status(400).json({ success: false, message: 'Invalid format' });
     }
 
-    return res.json({ success: true, data: alerts });
+    await streamExport(req, res, 'alerts', format);
   } catch (error) {
-    logger.error('Alerts export error:', error);
-    return res.status(500).json({ success: false, message: 'Failed to export alerts.' });
+    sendExportError(res, error, 'Export alerts');
   }
 };
 
 // Users export supporting csv | json (admin only)
 // @route   GET /api/export/users
-// @access  Private (Admin only)
+// @access  Private (export:users)
 const exportUsers = async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Access denied. Admin role required.' });
+    if (!PermissionService.can(req.user, 'export:users')) {
+      return res.status(403).json({ success: false, message: 'Access denied. Missing permission: export:users' });
     }
 
-    const { format = 'json', role, isVerified } = req.query;
-
-    const query = {};
-    if (role) query.role = role;
-    if (typeof isVerified !== 'undefined') query.isVerified = isVerified === 'true' || isVerified === true;
-
-    const users = await User.find(query)
-      .select('firstName lastName email role isVerified createdAt')
-      .sort({ createdAt: -1 })
-      .lean();
-
-    if (format === 'csv') {
-      if (users.length === 0) {
-        return res.status(200).json({ success: true, data: [] });
-      }
-      const rows = users.map(u => ({
-        firstName: u.firstName,
-        lastName: u.lastName,
-        email: u.email,
-        role: u.role,
-        isVerified: u.isVerified,
-        createdAt: u.createdAt
-      }));
-      const headers = Object.keys(rows[0]).join(',');
-      const csv = [headers, ...rows.map(r => Object.values(r).join(','))].join('\n');
-      const filename = `users_export_${Date.now()}.csv`;
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-      return res.send(csv);
-    }
-
-    if (format !== 'json') {
+    const { format = 'json' } = req.query;
+    if (!ExportService.supportsFormat('users', format)) {
       return res.status(400).json({ success: false, message: 'Invalid format' });
     }
 
-    return res.json({ success: true, data: users });
+    await streamExport(req, res, 'users', format);
   } catch (error) {
-    logger.error('Users export error:', error);
-    return res.status(500).json({ success: false, message: 'Failed to export users.' });
+    sendExportError(res, error, 'Export users');
   }
 };
 
 // @desc    Export analytics report
 // @route   GET /api/export/analytics/report
-// @access  Private (Admin/Authority)
+// @access  Private (export:analytics)
 const exportAnalyticsReport = async (req, res) => {
   try {
     // Check permissions
-    if (!['admin', 'authority'].includes(req.user.role)) {
+    if (!PermissionService.can(req.user, 'export:analytics')) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. Admin or authority role required.'
+        message: 'Access denied. Missing permission: export:analytics'
       });
     }
 
-    const { format = 'json', ...analyticsOptions } = req.query;
+    const { format = 'json', jurisdiction: jurisdictionId, ...analyticsOptions } = req.query;
+
+    // Limit the report to one jurisdiction and brand printed reports with it
+    let jurisdiction = null;
+    if (jurisdictionId) {
+      jurisdiction = mongoose.isValidObjectId(jurisdictionId) &&
+        await Jurisdiction.findOne({ _id: jurisdictionId, isActive: true }).lean();
+      if (!jurisdiction) {
+        return res.status(404).json({
+          success: false,
+          message: 'Jurisdiction not found.'
+        });
+      }
+      const scope = JurisdictionService.getScope(req.user);
+      if (scope && !scope.includes(jurisdiction._id.toString())) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only report on your own jurisdictions.'
+        });
+      }
+      analyticsOptions.jurisdiction = jurisdiction._id;
+    }
     
     // Generate comprehensive analytics report
     const report = await AnalyticsService.generateReport({
@@ -400,7 +259,14 @@ const exportAnalyticsReport = async (req, res) => {
 
     const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
     
-    if (format === 'csv') {
+    if (format === 'pdf') {
+      const filename = `analytics_report_${timestamp}.pdf`;
+      const pdf = await ReportPdfService.render(report, { jurisdiction });
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(pdf);
+    } else if (format === 'csv') {
       // Convert analytics to CSV format
       const filename = `analytics_report_${timestamp}.csv`;
       
@@ -432,7 +298,8 @@ const exportAnalyticsReport = async (req, res) => {
     logger.info('Analytics report exported:', {
       userId: req.user._id,
       format,
-      timeRange: analyticsOptions.timeRange || '30d'
+      timeRange: analyticsOptions.timeRange || '30d',
+      jurisdictionId: jurisdiction ? jurisdiction._id : undefined
     });
 
   } catch (error) {
@@ -447,32 +314,35 @@ const exportAnalyticsReport = async (req, res) => {
 
 // @desc    Create database backup
 // @route   POST /api/export/backup
-// @access  Private (Admin only)
+// @access  Private (backups:manage)
 const createDatabaseBackup = async (req, res) => {
   try {
     // Check permissions
-    if (req.user.role !== 'admin') {
+    if (!PermissionService.can(req.user, 'backups:manage')) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. Admin role required.'
+        message: 'Access denied. Missing permission: backups:manage'
       });
     }
 
     const { 
       collections = ['incidents', 'users', 'alerts'],
       compress = true,
-      format = 'json'
+      format = 'json',
+      incremental = false
     } = req.body;
 
     const backup = await databaseUtils.createBackup({
       includeCollections: collections,
       format,
-      compress
+      compress,
+      incremental
     });
 
     logger.info('Database backup created:', {
       userId: req.user._id,
       backupName: backup.backupName,
+      type: backup.type,
       collections: Object.keys(backup.collections),
       totalDocuments: backup.totalDocuments
     });
@@ -495,14 +365,14 @@ const createDatabaseBackup = async (req, res) => {
 
 // @desc    List available backups
 // @route   GET /api/export/backups
-// @access  Private (Admin only)
+// @access  Private (backups:manage)
 const listBackups = async (req, res) => {
   try {
     // Check permissions
-    if (req.user.role !== 'admin') {
+    if (!PermissionService.can(req.user, 'backups:manage')) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. Admin role required.'
+        message: 'Access denied. Missing permission: backups:manage'
       });
     }
 
@@ -526,16 +396,128 @@ const listBackups = async (req, res) => {
   }
 };
 
+// Unknown backups, broken incremental chains and concurrent restores are reported as-is
+const sendBackupError = (res, error, message) => {
+  if (error.statusCode && error.statusCode < 500) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${message.toLowerCase()}.`,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// @desc    Get a backup and the backups a restore of it would read
+// @route   GET /api/export/backups/:name
+// @access  Private (backups:manage)
+const getBackup = async (req, res) => {
+  try {
+    if (!PermissionService.can(req.user, 'backups:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Missing permission: backups:manage'
+      });
+    }
+
+    const chain = await databaseUtils.resolveRestoreChain(req.params.name);
+
+    res.json({
+      success: true,
+      data: {
+        backup: chain[chain.length - 1],
+        chain: chain.map(backup => backup.name)
+      }
+    });
+
+  } catch (error) {
+    sendBackupError(res, error, 'Retrieve backup');
+  }
+};
+
+// @desc    Validate a restore without writing anything
+// @route   POST /api/export/backups/:name/dry-run
+// @access  Private (backups:manage)
+const dryRunRestore = async (req, res) => {
+  try {
+    if (!PermissionService.can(req.user, 'backups:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Missing permission: backups:manage'
+      });
+    }
+
+    const report = await databaseUtils.restoreBackup(req.params.name, {
+      collections: req.body.collections,
+      mode: req.body.mode,
+      dryRun: true,
+      force: req.body.force
+    });
+
+    res.json({
+      success: true,
+      message: 'Dry run completed. Nothing was written.',
+      data: report
+    });
+
+  } catch (error) {
+    sendBackupError(res, error, 'Dry-run restore');
+  }
+};
+
+// @desc    Restore collections from a backup
+// @route   POST /api/export/backups/:name/restore
+// @access  Private (backups:restore)
+const restoreBackup = async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (req.body.confirm.replace(/\.tar\.gz$/, '') !== name.replace(/\.tar\.gz$/, '')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Confirm the restore by sending the backup name.'
+      });
+    }
+
+    const report = await databaseUtils.restoreBackup(name, {
+      collections: req.body.collections,
+      mode: req.body.mode,
+      dryRun: false,
+      force: req.body.force
+    });
+
+    logger.warn('Database restored from backup:', {
+      userId: req.user._id,
+      backup: report.backup,
+      mode: report.mode,
+      collections: Object.keys(report.collections),
+      totalRestored: report.totalRestored
+    });
+
+    res.json({
+      success: true,
+      message: `Restore completed. Restored ${report.totalRestored} documents.`,
+      data: report
+    });
+
+  } catch (error) {
+    sendBackupError(res, error, 'Restore backup');
+  }
+};
+
 // @desc    Get database health status
 // @route   GET /api/export/health
-// @access  Private (Admin/Authority)
+// @access  Private (system:health)
 const getDatabaseHealth = async (req, res) => {
   try {
     // Check permissions
-    if (!['admin', 'authority'].includes(req.user.role)) {
+    if (!PermissionService.can(req.user, 'system:health')) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. Admin or authority role required.'
+        message: 'Access denied. Missing permission: system:health'
       });
     }
 
@@ -558,14 +540,14 @@ const getDatabaseHealth = async (req, res) => {
 
 // @desc    Export collection to CSV
 // @route   GET /api/export/:collection/csv
-// @access  Private (Admin only)
+// @access  Private (export:collections)
 const exportCollectionCSV = async (req, res) => {
   try {
     // Check permissions
-    if (req.user.role !== 'admin') {
+    if (!PermissionService.can(req.user, 'export:collections')) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. Admin role required.'
+        message: 'Access denied. Missing permission: export:collections'
       });
     }
 
@@ -581,55 +563,58 @@ const exportCollectionCSV = async (req, res) => {
 
     const { 
       fields = null,
-      query = {}
+      query = null
     } = req.query;
 
-    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
-    const filename = `${collection}_export_${timestamp}.csv`;
-
-    const result = await databaseUtils.exportToCSV(collection, {
-      query: query ? JSON.parse(query) : {},
-      fields: fields ? fields.split(',') : null,
-      filename
-    });
+    let filter = {};
+    try {
+      filter = query ? JSON.parse(query) : {};
+    } catch {
+      return res.status(400).json({
+        success: false,
+        message: 'query must be a JSON object.'
+      });
+    }
 
-    // Read the CSV file and send it
-    const csvContent = await fs.readFile(result.file, 'utf8');
+    const { first, documents } = await ExportService.peek(ExportService.createCollectionCursor(collection, filter));
+    if (first === null) {
+      return res.status(404).json({
+        success: false,
+        message: `No documents found in collection ${collection}.`
+      });
+    }
 
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.send(csvContent);
+    const fieldNames = fields ? fields.split(',') : Object.keys(first);
+    const filename = ExportService.filename(collection, 'csv');
 
-    // Clean up the temporary file
-    await fs.unlink(result.file);
+    const count = await ExportService.send(req, res, documents, {
+      filename,
+      contentType: 'text/csv',
+      transform: ExportService.toCsv(fieldNames.map(field => [field, doc => ExportService.rawValue(doc[field])]))
+    });
 
     logger.info('Collection CSV export completed:', {
       userId: req.user._id,
       collection,
-      documents: result.documents,
+      documents: count,
       filename
     });
 
   } catch (error) {
-    logger.error('Collection CSV export error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to export collection to CSV.',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    sendExportError(res, error, 'Export collection to CSV');
   }
 };
 
 // @desc    Cleanup old backups
 // @route   DELETE /api/export/backups/cleanup
-// @access  Private (Admin only)
+// @access  Private (backups:manage)
 const cleanupOldBackups = async (req, res) => {
   try {
     // Check permissions
-    if (req.user.role !== 'admin') {
+    if (!PermissionService.can(req.user, 'backups:manage')) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. Admin role required.'
+        message: 'Access denied. Missing permission: backups:manage'
       });
     }
 
@@ -659,6 +644,121 @@ const cleanupOldBackups = async (req, res) => {
   }
 };
 
+// @desc    Queue a background export
+// @route   POST /api/export/jobs
+// @access  Private (export permission of the type)
+const createExportJob = async (req, res) => {
+  try {
+    const job = await ExportJobService.create(req.user, req.body);
+
+    logger.info('Export job queued:', { userId: req.user._id, jobId: job._id, type: job.type });
+
+    res.status(202).json({
+      success: true,
+      message: 'Export queued. Poll the job until it is completed, then download it.',
+      data: { job }
+    });
+  } catch (error) {
+    sendExportError(res, error, 'Queue export');
+  }
+};
+
+// @desc    List the current user's export jobs
+// @route   GET /api/export/jobs
+// @access  Private
+const getExportJobs = async (req, res) => {
+  try {
+    const result = await ExportJobService.list(req.user._id, {
+      page: parseInt(req.query.page) || 1,
+      limit: Math.min(parseInt(req.query.limit) || 20, 100)
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendExportError(res, error, 'Retrieve export jobs');
+  }
+};
+
+// @desc    Get an export job's status and progress
+// @route   GET /api/export/jobs/:id
+// @access  Private (owner)
+const getExportJob = async (req, res) => {
+  try {
+    const job = await ExportJobService.findForUser(req.params.id, req.user._id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Export job not found.' });
+    }
+
+    res.json({
+      success: true,
+      data: { job }
+    });
+  } catch (error) {
+    sendExportError(res, error, 'Retrieve export job');
+  }
+};
+
+// @desc    Download a completed export; gzip-encoded when the client accepts it
+// @route   GET /api/export/jobs/:id/download
+// @access  Private (owner with the export permission of the type)
+const downloadExportJob = async (req, res) => {
+  try {
+    const job = await ExportJobService.findForUser(req.params.id, req.user._id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Export job not found.' });
+    }
+
+    // The permission may have been revoked since the export was queued
+    const permission = ExportService.PERMISSIONS[job.type];
+    if (!PermissionService.can(req.user, permission)) {
+      return res.status(403).json({ success: false, message: `Access denied. Missing permission: ${permission}` });
+    }
+
+    const filePath = ExportJobService.getFilePath(job);
+    const steps = [createReadStream(filePath)];
+
+    res.setHeader('Content-Type', ExportService.CONTENT_TYPES[job.format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${job.fileName}"`);
+    res.setHeader('Vary', 'Accept-Encoding');
+    res.setHeader('Cache-Control', 'private, no-store');
+    // Files are stored gzipped; only clients without gzip support need them inflated
+    if (ExportService.acceptsGzip(req)) {
+      res.setHeader('Content-Encoding', 'gzip');
+      res.setHeader('Content-Length', job.size);
+    } else {
+      steps.push(zlib.createGunzip());
+    }
+
+    await pipeline(...steps, res);
+  } catch (error) {
+    sendExportError(res, error, 'Download export');
+  }
+};
+
+// @desc    Delete an export job and its file
+// @route   DELETE /api/export/jobs/:id
+// @access  Private (owner)
+const deleteExportJob = async (req, res) => {
+  try {
+    const job = await ExportJobService.findForUser(req.params.id, req.user._id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Export job not found.' });
+    }
+
+    await ExportJobService.remove(job);
+
+    res.json({
+      success: true,
+      message: 'Export deleted.'
+    });
+  } catch (error) {
+    sendExportError(res, error, 'Delete export');
+  }
+};
+
 module.exports = {
   exportIncidentsCSV,
   exportIncidents,
@@ -667,7 +767,15 @@ module.exports = {
   exportAnalyticsReport,
   createDatabaseBackup,
   listBackups,
+  getBackup,
+  dryRunRestore,
+  restoreBackup,
   getDatabaseHealth,
   exportCollectionCSV,
-  cleanupOldBackups
+  cleanupOldBackups,
+  createExportJob,
+  getExportJobs,
+  getExportJob,
+  downloadExportJob,
+  deleteExportJob
 };
@@ -1,6 +1,16 @@
+const mongoose = require('mongoose');
 const Incident = require('../models/Incident');
 const User = require('../models/User');
 const AnalyticsService = require('../services/analyticsService');
+const IncidentLifecycleService = require('../services/incidentLifecycleService');
+const DuplicateDetectionService = require('../services/duplicateDetectionService');
+const TrustScoreService = require('../services/trustScoreService');
+const ReputationService = require('../services/reputationService');
+const PermissionService = require('../services/permissionService');
+const JurisdictionService = require('../services/jurisdictionService');
+const SlaService = require('../services/slaService');
+const WatchZoneService = require('../services/watchZoneService');
+const NotificationService = require('../services/notificationService');
 const logger = require('../config/logger');
 
 // @desc    Get all incidents with advanced filtering
@@ -30,7 +40,9 @@ const getIncidents = async (req, res) => {
       tags,
       priority,
       hasImages,
-      hasWitnesses
+      hasWitnesses,
+      jurisdiction,
+      assignedTo
     } = req.query;
 
     // Build advanced query
@@ -71,6 +83,14 @@ const getIncidents = async (req, res) => {
       query.reportedBy = reportedBy;
     }
 
+    // Routing and assignment filters
+    if (jurisdiction) {
+      query.jurisdiction = jurisdiction;
+    }
+    if (assignedTo) {
+      query.assignedTo = assignedTo === 'unassigned' ? null : assignedTo;
+    }
+
     // Text search across title and description
     if (search) {
       query.$or = [
@@ -137,7 +157,7 @@ const getIncidents = async (req, res) => {
 
     // Execute query with enhanced population
     const incidents = await Incident.find(query)
-      .populate('reportedBy', 'firstName lastName email role')
+      .populate('reportedBy', 'firstName lastName email role reputation.score reputation.level')
       .populate('verifiedBy', 'firstName lastName email role')
       .populate('relatedIncidents', 'title type severity createdAt category tag')
       .sort(sortObj)
@@ -218,7 +238,9 @@ const getIncident = async (req, res) => {
       .populate('verifiedBy', 'firstName lastName email role')
       .populate('communityVotes.user', 'firstName lastName')
       .populate('witnesses.user', 'firstName lastName email')
-      .populate('relatedIncidents', 'title type severity createdAt location category tag');
+      .populate('relatedIncidents', 'title type severity createdAt location category tag')
+      .populate('assignedTo', 'firstName lastName email role')
+      .populate('jurisdiction', 'name type');
 
     if (!incident) {
       return res.status(404).json({
@@ -271,25 +293,65 @@ const createIncident = async (req, res) => {
   try {
     const incidentData = {
       ...req.body,
-      reportedBy: req.user._id
+      reportedBy: req.user._id,
+      jurisdiction: await JurisdictionService.routeSafely(req.body.location && req.body.location.coordinates)
     };
 
     const incident = await Incident.create(incidentData);
 
+    await IncidentLifecycleService.recordTransition({
+      incident,
+      toStatus: incident.status,
+      user: req.user
+    });
+
     // Populate the created incident
     await incident.populate('reportedBy', 'firstName lastName email');
 
+    // Let the reporter know if someone has probably reported this already
+    let possibleDuplicates = [];
+    try {
+      possibleDuplicates = await DuplicateDetectionService.findCandidates(incident);
+    } catch (duplicateError) {
+      logger.error('Duplicate detection error:', duplicateError);
+    }
+
+    // A new report corroborates the reports it resembles, so rescore those too
+    const trust = await TrustScoreService.recalculateSafely(incident);
+    for (const candidate of possibleDuplicates) {
+      await TrustScoreService.recalculateSafely(candidate.incident._id);
+    }
+
+    // Not awaited: watchers are notified in the background and errors are logged
+    WatchZoneService.notifySafely(incident);
+
     logger.info('Incident created:', {
       incidentId: incident._id,
       userId: req.user._id,
       type: incident.type,
-      severity: incident.severity
+      severity: incident.severity,
+      possibleDuplicates: possibleDuplicates.length
     });
 
     res.status(201).json({
       success: true,
       message: 'Incident reported successfully.',
-      data: { incident }
+      data: {
+        incident,
+        trust,
+        possibleDuplicates: possibleDuplicates.map(({ incident: candidate, ...match }) => ({
+          incident: {
+            _id: candidate._id,
+            title: candidate.title,
+            type: candidate.type,
+            severity: candidate.severity,
+            status: candidate.status,
+            location: candidate.location,
+            createdAt: candidate.createdAt
+          },
+          ...match
+        }))
+      }
     });
   } catch (error) {
     logger.error('Create incident error:', error);
@@ -315,10 +377,8 @@ const updateIncident = async (req, res) => {
     }
 
     // Check permissions
-    const canUpdate =
-      req.user.role === 'admin' ||
-      req.user.role === 'authority' ||
-      incident.reportedBy.toString() === req.user._id.toString();
+    const isReporter = incident.reportedBy.toString() === req.user._id.toString();
+    const canUpdate = isReporter || PermissionService.can(req.user, 'incidents:triage');
 
     if (!canUpdate) {
       return res.status(403).json({
@@ -327,23 +387,71 @@ const updateIncident = async (req, res) => {
       });
     }
 
-    // Authority users can verify incidents
-    if (req.user.role === 'authority' && req.body.status === 'verified') {
-      req.body.verifiedBy = req.user._id;
-      req.body.verificationDate = new Date();
+    if (!isReporter && !(await PermissionService.canActOnIncident(req.user, incident))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This incident is outside your jurisdiction.'
+      });
     }
 
-    const updatedIncident = await Incident.findByIdAndUpdate(
-      req.params.id,
-      req.body,
+    const { reason, ...updates } = req.body;
+    const fromStatus = incident.status;
+    const statusChanged = updates.status !== undefined && updates.status !== fromStatus;
+
+    // Status changes go through the lifecycle state machine
+    if (statusChanged) {
+      const check = IncidentLifecycleService.checkTransition(incident, updates.status, req.user, req.body);
+      if (!check.allowed) {
+        return res.status(check.statusCode).json({
+          success: false,
+          message: check.message,
+          allowedTransitions: IncidentLifecycleService.getAllowedTransitions(incident, req.user),
+          ...(check.missingFields && { missingFields: check.missingFields })
+        });
+      }
+      Object.assign(updates, IncidentLifecycleService.getTransitionUpdates(incident, updates.status, req.user));
+    } else {
+      delete updates.status;
+    }
+
+    // Only apply the update if nobody moved the incident on since it was read,
+    // otherwise two concurrent transitions could both be recorded
+    const updatedIncident = await Incident.findOneAndUpdate(
+      { _id: incident._id, status: fromStatus },
+      updates,
       { new: true, runValidators: true }
     ).populate('reportedBy', 'firstName lastName email')
       .populate('verifiedBy', 'firstName lastName email role');
 
+    if (!updatedIncident) {
+      return res.status(409).json({
+        success: false,
+        message: 'This incident was changed by someone else; reload it and try again.'
+      });
+    }
+
+    if (statusChanged) {
+      const { status: _status, ...changes } = req.body;
+      delete changes.reason;
+      await IncidentLifecycleService.recordTransition({
+        incident,
+        fromStatus,
+        toStatus: updates.status,
+        user: req.user,
+        reason,
+        changes
+      });
+      await ReputationService.applyIncidentOutcomeSafely(updatedIncident);
+      const timings = await SlaService.recordTimingsSafely(updatedIncident);
+      if (timings) {Object.assign(updatedIncident, timings);}
+      await NotificationService.notifyIncidentStatus(updatedIncident, updates.status, req.user);
+    }
+
     logger.info('Incident updated:', {
       incidentId: incident._id,
       userId: req.user._id,
-      updates: Object.keys(req.body)
+      updates: Object.keys(updates),
+      ...(statusChanged && { transition: `${fromStatus} -> ${updates.status}` })
     });
 
     res.json({
@@ -360,6 +468,382 @@ const updateIncident = async (req, res) => {
   }
 };
 
+// @desc    Get incident status history
+// @route   GET /api/incidents/:id/history
+// @access  Private (Reporter/Authority/Admin)
+const getIncidentHistory = async (req, res) => {
+  try {
+    const incident = await Incident.findById(req.params.id).select('status reportedBy');
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found.'
+      });
+    }
+
+    const canView =
+      PermissionService.can(req.user, 'incidents:view_history') ||
+      incident.reportedBy.toString() === req.user._id.toString();
+
+    if (!canView) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this incident history.'
+      });
+    }
+
+    const history = await IncidentLifecycleService.getHistory(incident._id);
+
+    res.json({
+      success: true,
+      data: {
+        incidentId: incident._id,
+        currentStatus: incident.status,
+        allowedTransitions: IncidentLifecycleService.getAllowedTransitions(incident, req.user),
+        history
+      }
+    });
+  } catch (error) {
+    logger.error('Get incident history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve incident history.'
+    });
+  }
+};
+
+// @desc    Get the trust score breakdown of an incident
+// @route   GET /api/incidents/:id/trust
+// @access  Private (incidents:view_trust)
+const getIncidentTrust = async (req, res) => {
+  try {
+    const incident = await Incident.findById(req.params.id);
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found.'
+      });
+    }
+
+    const { trustScore, breakdown } = await TrustScoreService.computeScore(incident);
+
+    res.json({
+      success: true,
+      data: {
+        incidentId: incident._id,
+        status: incident.status,
+        trustScore,
+        breakdown,
+        weights: TrustScoreService.WEIGHTS,
+        autoVerifyThreshold: TrustScoreService.getAutoVerifyThreshold(),
+        autoVerified: incident.verification.autoVerified,
+        sources: incident.verification.sources,
+        scoredAt: incident.verification.scoredAt
+      }
+    });
+  } catch (error) {
+    logger.error('Get incident trust error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve trust score.'
+    });
+  }
+};
+
+// @desc    Merge duplicate incidents into this one
+// @route   POST /api/incidents/:id/merge
+// @access  Private (incidents:merge)
+const mergeIncidents = async (req, res) => {
+  try {
+    const { duplicateIds, reason } = req.body;
+
+    if (duplicateIds.includes(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'An incident cannot be merged into itself.'
+      });
+    }
+
+    const canonical = await Incident.findOne({ _id: req.params.id, isActive: true, mergedInto: null });
+    if (!canonical) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found.'
+      });
+    }
+
+    const duplicates = await Incident.find({ _id: { $in: duplicateIds } });
+    const missing = duplicateIds.filter(id => !duplicates.some(duplicate => duplicate._id.toString() === id));
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Some duplicate incidents were not found.',
+        missing
+      });
+    }
+
+    const alreadyMerged = duplicates.filter(duplicate => duplicate.mergedInto || !duplicate.isActive);
+    if (alreadyMerged.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some incidents are already merged or deleted.',
+        incidents: alreadyMerged.map(duplicate => ({ _id: duplicate._id, mergedInto: duplicate.mergedInto }))
+      });
+    }
+
+    for (const incident of [canonical, ...duplicates]) {
+      if (!(await PermissionService.canActOnIncident(req.user, incident))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Some incidents are outside your jurisdiction.'
+        });
+      }
+    }
+
+    const summary = await DuplicateDetectionService.merge(canonical, duplicates, req.user, reason);
+    const trust = await TrustScoreService.recalculateSafely(canonical);
+
+    await canonical.populate('reportedBy', 'firstName lastName email');
+    await canonical.populate('relatedIncidents', 'title type severity status createdAt location mergedInto');
+
+    res.json({
+      success: true,
+      message: `${summary.merged.length} incident(s) merged successfully.`,
+      data: {
+        incident: canonical,
+        ...summary,
+        trust
+      }
+    });
+  } catch (error) {
+    logger.error('Merge incidents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to merge incidents.'
+    });
+  }
+};
+
+// Terminal incidents no longer need anyone to work on them
+const UNASSIGNABLE_STATUSES = ['resolved', 'false_alarm', 'closed'];
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+
+// @desc    Assign an incident to an authority
+// @route   POST /api/incidents/:id/assign
+// @access  Private (incidents:assign)
+const assignIncident = async (req, res) => {
+  try {
+    const incident = mongoose.isValidObjectId(req.params.id) &&
+      await Incident.findOne({ _id: req.params.id, isActive: true, mergedInto: null });
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found.'
+      });
+    }
+
+    if (UNASSIGNABLE_STATUSES.includes(incident.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `A ${incident.status} incident cannot be assigned.`
+      });
+    }
+
+    if (!(await PermissionService.canActOnIncident(req.user, incident))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This incident is outside your jurisdiction.'
+      });
+    }
+
+    const assigneeId = req.body.assigneeId || req.user._id.toString();
+    const assignee = await User.findOne({ _id: assigneeId, isActive: { $ne: false } });
+    if (!assignee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignee not found.'
+      });
+    }
+
+    if (!PermissionService.can(assignee, 'incidents:triage')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Incidents can only be assigned to users who can work on them.'
+      });
+    }
+
+    if (!(await PermissionService.canActOnIncident(assignee, incident))) {
+      return res.status(400).json({
+        success: false,
+        message: 'This incident is outside the assignee\'s jurisdiction.'
+      });
+    }
+
+    const updatedIncident = await Incident.findByIdAndUpdate(
+      incident._id,
+      { $set: { assignedTo: assignee._id, assignedAt: new Date(), assignedBy: req.user._id } },
+      { new: true }
+    ).populate('assignedTo', 'firstName lastName email role')
+      .populate('jurisdiction', 'name type');
+
+    if (global.broadcastToUsers && assignee._id.toString() !== req.user._id.toString()) {
+      global.broadcastToUsers([assignee._id.toString()], 'incident:assigned', {
+        incidentId: incident._id,
+        title: incident.title,
+        severity: incident.severity,
+        assignedBy: req.user._id,
+        note: req.body.note
+      });
+    }
+
+    logger.info('Incident assigned:', {
+      incidentId: incident._id,
+      assigneeId: assignee._id,
+      assignedBy: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: `Incident assigned to ${assignee.firstName} ${assignee.lastName}.`,
+      data: { incident: updatedIncident }
+    });
+  } catch (error) {
+    logger.error('Assign incident error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign incident.'
+    });
+  }
+};
+
+// @desc    Remove the assignee of an incident
+// @route   DELETE /api/incidents/:id/assign
+// @access  Private (incidents:assign)
+const unassignIncident = async (req, res) => {
+  try {
+    const incident = mongoose.isValidObjectId(req.params.id) &&
+      await Incident.findOne({ _id: req.params.id, isActive: true });
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found.'
+      });
+    }
+
+    if (!(await PermissionService.canActOnIncident(req.user, incident))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This incident is outside your jurisdiction.'
+      });
+    }
+
+    const updatedIncident = await Incident.findByIdAndUpdate(
+      incident._id,
+      { $set: { assignedTo: null }, $unset: { assignedAt: 1, assignedBy: 1 } },
+      { new: true }
+    );
+
+    logger.info('Incident unassigned:', {
+      incidentId: incident._id,
+      previousAssignee: incident.assignedTo,
+      userId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Incident unassigned.',
+      data: { incident: updatedIncident }
+    });
+  } catch (error) {
+    logger.error('Unassign incident error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unassign incident.'
+    });
+  }
+};
+
+// @desc    Open incidents in the caller's jurisdictions, most severe and oldest first
+// @route   GET /api/incidents/queue
+// @access  Private (incidents:assign)
+const getWorkQueue = async (req, res) => {
+  try {
+    const { status, jurisdiction, assignedTo } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const query = {
+      isActive: true,
+      mergedInto: null,
+      status: { $in: status ? status.split(',') : JurisdictionService.OPEN_STATUSES }
+    };
+
+    const scope = JurisdictionService.getScope(req.user);
+    if (jurisdiction) {
+      if (scope && !scope.includes(jurisdiction)) {
+        return res.status(403).json({
+          success: false,
+          message: 'This jurisdiction is not assigned to you.'
+        });
+      }
+      query.jurisdiction = new mongoose.Types.ObjectId(jurisdiction);
+    } else if (scope) {
+      query.jurisdiction = { $in: scope.map(id => new mongoose.Types.ObjectId(id)) };
+    }
+
+    if (assignedTo === 'me') {
+      query.assignedTo = req.user._id;
+    } else if (assignedTo === 'unassigned') {
+      query.assignedTo = null;
+    } else if (assignedTo) {
+      query.assignedTo = new mongoose.Types.ObjectId(assignedTo);
+    }
+
+    const [results, total] = await Promise.all([
+      Incident.aggregate([
+        { $match: query },
+        { $addFields: { severityRank: { $indexOfArray: [SEVERITY_ORDER, '$severity'] } } },
+        { $sort: { severityRank: 1, createdAt: 1 } },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+        { $project: { severityRank: 0 } }
+      ]),
+      Incident.countDocuments(query)
+    ]);
+
+    const incidents = await Incident.populate(results, [
+      { path: 'reportedBy', select: 'firstName lastName' },
+      { path: 'assignedTo', select: 'firstName lastName email' },
+      { path: 'jurisdiction', select: 'name type' }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        incidents,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        },
+        scope: scope || 'all'
+      }
+    });
+  } catch (error) {
+    logger.error('Get work queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve work queue.'
+    });
+  }
+};
+
 // @desc    Delete incident
 // @route   DELETE /api/incidents/:id
 // @access  Private
@@ -374,9 +858,9 @@ const deleteIncident = async (req, res) => {
       });
     }
 
-    // Check permissions (only admin or reporter can delete)
+    // Check permissions (only the reporter or users allowed to delete any incident)
     const canDelete =
-      req.user.role === 'admin' ||
+      PermissionService.can(req.user, 'incidents:delete') ||
       incident.reportedBy.toString() === req.user._id.toString();
 
     if (!canDelete) {
@@ -433,6 +917,11 @@ const voteOnIncident = async (req, res) => {
 
     // Add vote
     await incident.addVote(req.user._id, vote);
+    const trust = await TrustScoreService.recalculateSafely(incident);
+    // Votes on an already decided incident are scored straight away
+    if (ReputationService.getOutcome(incident.status)) {
+      await ReputationService.applyIncidentOutcomeSafely(incident);
+    }
 
     logger.info('Incident vote added:', {
       incidentId: incident._id,
@@ -445,7 +934,9 @@ const voteOnIncident = async (req, res) => {
       message: 'Vote recorded successfully.',
       data: {
         verificationScore: incident.verificationScore,
-        totalVotes: incident.communityVotes.length
+        totalVotes: incident.communityVotes.length,
+        trustScore: trust ? trust.trustScore : incident.verification.trustScore,
+        autoVerified: trust ? trust.autoVerified : false
       }
     });
   } catch (error) {
@@ -509,14 +1000,13 @@ const getNearbyIncidents = async (req, res) => {
 
 // @desc    Get incident statistics
 // @route   GET /api/incidents/stats
-// @access  Private (Admin/Authority)
+// @access  Private (analytics:view)
 const getIncidentStats = async (req, res) => {
   try {
-    // Only admin and authority can access stats
-    if (!['admin', 'authority'].includes(req.user.role)) {
+    if (!PermissionService.can(req.user, 'analytics:view')) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. Admin or authority role required.'
+        message: 'Access denied. Missing permission: analytics:view'
       });
     }
 
@@ -614,14 +1104,14 @@ const getIncidentStats = async (req, res) => {
 
 // @desc    Get incident analytics using Analytics Service
 // @route   GET /api/incidents/analytics
-// @access  Private (Admin/Authority)
+// @access  Private (analytics:view)
 const getIncidentAnalytics = async (req, res) => {
   try {
     // Check permissions
-    if (!['admin', 'authority'].includes(req.user.role)) {
+    if (!PermissionService.can(req.user, 'analytics:view')) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. Admin or authority role required.'
+        message: 'Access denied. Missing permission: analytics:view'
       });
     }
 
@@ -768,14 +1258,14 @@ const getIncidentHotspots = async (req, res) => {
 
 // @desc    Generate comprehensive incident report
 // @route   GET /api/incidents/reports
-// @access  Private (Admin/Authority)
+// @access  Private (analytics:view)
 const generateIncidentReport = async (req, res) => {
   try {
     // Check permissions
-    if (!['admin', 'authority'].includes(req.user.role)) {
+    if (!PermissionService.can(req.user, 'analytics:view')) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. Admin or authority role required.'
+        message: 'Access denied. Missing permission: analytics:view'
       });
     }
 
@@ -874,6 +1364,12 @@ module.exports = {
   getIncident,
   createIncident,
   updateIncident,
+  getIncidentHistory,
+  getIncidentTrust,
+  mergeIncidents,
+  assignIncident,
+  unassignIncident,
+  getWorkQueue,
   deleteIncident,
   voteOnIncident,
   getNearbyIncidents,
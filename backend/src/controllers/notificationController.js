@@ -0,0 +1,234 @@
+const mongoose = require('mongoose');
+const PushSubscription = require('../models/PushSubscription');
+const PushService = require('../services/pushService');
+const NotificationService = require('../services/notificationService');
+const logger = require('../config/logger');
+
+// @desc    VAPID public key browsers subscribe with
+// @route   GET /api/notifications/vapid-public-key
+// @access  Public
+const getVapidPublicKey = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { publicKey: await PushService.getPublicKey() }
+    });
+  } catch (error) {
+    logger.error('Get VAPID public key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve push notification key.'
+    });
+  }
+};
+
+// @desc    List the user's push subscriptions
+// @route   GET /api/notifications/subscriptions
+// @access  Private
+const getSubscriptions = async (req, res) => {
+  try {
+    const subscriptions = await PushSubscription.find({ user: req.user._id })
+      .select('endpoint device lastSuccessAt createdAt')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: { subscriptions }
+    });
+  } catch (error) {
+    logger.error('Get push subscriptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve push subscriptions.'
+    });
+  }
+};
+
+// @desc    Save this browser's push subscription
+// @route   POST /api/notifications/subscriptions
+// @access  Private
+const subscribe = async (req, res) => {
+  try {
+    const subscription = await PushService.subscribe(req.user, req.body, req.get('User-Agent') || '');
+
+    logger.info('Push subscription saved:', { userId: req.user._id, subscriptionId: subscription._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Push notifications enabled for this browser.',
+      data: {
+        subscription: {
+          _id: subscription._id,
+          endpoint: subscription.endpoint,
+          device: subscription.device,
+          createdAt: subscription.createdAt
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Save push subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save push subscription.'
+    });
+  }
+};
+
+// @desc    Remove this browser's push subscription
+// @route   DELETE /api/notifications/subscriptions
+// @access  Private
+const unsubscribe = async (req, res) => {
+  try {
+    const removed = await PushService.unsubscribe(req.user._id, req.body.endpoint);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Push subscription not found.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Push notifications disabled for this browser.'
+    });
+  } catch (error) {
+    logger.error('Remove push subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove push subscription.'
+    });
+  }
+};
+
+// @desc    Get the user's notification inbox
+// @route   GET /api/notifications
+// @access  Private
+const getNotifications = async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const result = await NotificationService.list(req.user._id, {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20,
+      status,
+      type,
+      archived: req.query.archived === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve notifications.'
+    });
+  }
+};
+
+// @desc    Count unread notifications
+// @route   GET /api/notifications/unread-count
+// @access  Private
+const getUnreadCount = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { unreadCount: await NotificationService.getUnreadCount(req.user._id) }
+    });
+  } catch (error) {
+    logger.error('Get unread notification count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve unread count.'
+    });
+  }
+};
+
+// @desc    Mark one notification read/unread or archive it
+// @route   PATCH /api/notifications/:id
+// @access  Private
+const updateNotification = async (req, res) => {
+  try {
+    const notification = mongoose.isValidObjectId(req.params.id)
+      ? await NotificationService.update(req.user._id, req.params.id, req.body)
+      : null;
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification updated.',
+      data: {
+        notification,
+        unreadCount: await NotificationService.getUnreadCount(req.user._id)
+      }
+    });
+  } catch (error) {
+    logger.error('Update notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification.'
+    });
+  }
+};
+
+// Bulk handlers take { ids } or { all: true }
+const bulkAction = (action, label) => async (req, res) => {
+  try {
+    const ids = req.body.all ? null : req.body.ids;
+    const result = await action(req.user._id, ids);
+
+    res.json({
+      success: true,
+      message: `${result.modified} notification(s) ${label}.`,
+      data: result
+    });
+  } catch (error) {
+    logger.error(`Bulk notification update error (${label}):`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notifications.'
+    });
+  }
+};
+
+// @desc    Mark notifications read
+// @route   POST /api/notifications/mark-read
+// @access  Private
+const markRead = bulkAction((userId, ids) => NotificationService.markRead(userId, ids, true), 'marked as read');
+
+// @desc    Mark notifications unread
+// @route   POST /api/notifications/mark-unread
+// @access  Private
+const markUnread = bulkAction((userId, ids) => NotificationService.markRead(userId, ids, false), 'marked as unread');
+
+// @desc    Archive notifications
+// @route   POST /api/notifications/archive
+// @access  Private
+const archive = bulkAction((userId, ids) => NotificationService.archive(userId, ids, true), 'archived');
+
+// @desc    Move archived notifications back to the inbox
+// @route   POST /api/notifications/unarchive
+// @access  Private
+const unarchive = bulkAction((userId, ids) => NotificationService.archive(userId, ids, false), 'restored');
+
+module.exports = {
+  getVapidPublicKey,
+  getSubscriptions,
+  subscribe,
+  unsubscribe,
+  getNotifications,
+  getUnreadCount,
+  updateNotification,
+  markRead,
+  markUnread,
+  archive,
+  unarchive
+};
@@ -0,0 +1,170 @@
+const User = require('../models/User');
+const TwoFactorService = require('../services/twoFactorService');
+const SecurityPolicyService = require('../services/securityPolicyService');
+const logger = require('../config/logger');
+
+// @desc    Two-factor status of the current user
+// @route   GET /api/auth/2fa
+// @access  Private
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const twoFactor = req.user.twoFactor || {};
+
+    res.json({
+      success: true,
+      data: {
+        enabled: Boolean(twoFactor.enabled),
+        enabledAt: twoFactor.enabledAt || null,
+        required: await SecurityPolicyService.requiresTwoFactor(req.user),
+        backupCodesRemaining: twoFactor.enabled ? await TwoFactorService.getRemainingBackupCodes(req.user._id) : 0
+      }
+    });
+  } catch (error) {
+    logger.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get two-factor status.'
+    });
+  }
+};
+
+// @desc    Start TOTP enrolment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactor && req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled.'
+      });
+    }
+
+    const { secret, otpauthUrl } = await TwoFactorService.beginEnrollment(req.user);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code.',
+      data: {
+        secret,
+        otpauthUrl
+      }
+    });
+  } catch (error) {
+    logger.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup.'
+    });
+  }
+};
+
+// @desc    Confirm TOTP enrolment with a first code
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = async (req, res) => {
+  try {
+    const backupCodes = await TwoFactorService.completeEnrollment(req.user._id, req.body.code);
+
+    if (!backupCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code. Start setup again if the QR code has changed.'
+      });
+    }
+
+    logger.info('Two-factor authentication enabled:', { userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      data: {
+        backupCodes
+      }
+    });
+  } catch (error) {
+    logger.error('Enable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication.'
+    });
+  }
+};
+
+// @desc    Turn off two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+  try {
+    if (await SecurityPolicyService.requiresTwoFactor(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role.'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+    const isPasswordValid = await user.comparePassword(req.body.password);
+    if (!isPasswordValid || !(await TwoFactorService.verify(user._id, req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password or authentication code is incorrect.'
+      });
+    }
+
+    await TwoFactorService.disable(user._id);
+
+    logger.info('Two-factor authentication disabled:', { userId: user._id });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled.'
+    });
+  } catch (error) {
+    logger.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication.'
+    });
+  }
+};
+
+// @desc    Replace backup codes
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    if (!(await TwoFactorService.verify(req.user._id, req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code.'
+      });
+    }
+
+    const backupCodes = await TwoFactorService.regenerateBackupCodes(req.user._id);
+
+    logger.info('Two-factor backup codes regenerated:', { userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated. Previous codes no longer work.',
+      data: {
+        backupCodes
+      }
+    });
+  } catch (error) {
+    logger.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate backup codes.'
+    });
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes
+};
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const WatchZone = require('../models/WatchZone');
+const WatchZoneService = require('../services/watchZoneService');
+const logger = require('../config/logger');
+
+const findOwnZone = (req) => (mongoose.isValidObjectId(req.params.id)
+  ? WatchZone.findOne({ _id: req.params.id, user: req.user._id })
+  : null);
+
+// @desc    List the user's watch zones
+// @route   GET /api/auth/watch-zones
+// @access  Private
+const getWatchZones = async (req, res) => {
+  try {
+    const zones = await WatchZone.find({ user: req.user._id }).sort({ createdAt: 1, _id: 1 }).lean();
+
+    res.json({
+      success: true,
+      data: {
+        zones,
+        limit: WatchZoneService.MAX_ZONES_PER_USER
+      }
+    });
+  } catch (error) {
+    logger.error('Get watch zones error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve watch zones.'
+    });
+  }
+};
+
+// @desc    Create a watch zone
+// @route   POST /api/auth/watch-zones
+// @access  Private
+const createWatchZone = async (req, res) => {
+  try {
+    const count = await WatchZone.countDocuments({ user: req.user._id });
+    if (count >= WatchZoneService.MAX_ZONES_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can watch at most ${WatchZoneService.MAX_ZONES_PER_USER} areas.`
+      });
+    }
+
+    const { area, ...fields } = req.body;
+    const zone = await WatchZone.create({
+      ...fields,
+      ...WatchZoneService.normalizeArea(area),
+      user: req.user._id
+    });
+
+    logger.info('Watch zone created:', { userId: req.user._id, zoneId: zone._id, shape: zone.area.type });
+
+    res.status(201).json({
+      success: true,
+      message: 'Watch zone created.',
+      data: { zone }
+    });
+  } catch (error) {
+    // 16755: MongoDB could not index the shape, e.g. a self-intersecting polygon
+    if (error.name === 'ValidationError' || error.code === 16755) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid watch zone area.'
+      });
+    }
+    logger.error('Create watch zone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create watch zone.'
+    });
+  }
+};
+
+// @desc    Update a watch zone
+// @route   PUT /api/auth/watch-zones/:id
+// @access  Private
+const updateWatchZone = async (req, res) => {
+  try {
+    const zone = await findOwnZone(req);
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Watch zone not found.'
+      });
+    }
+
+    const { area, ...fields } = req.body;
+    zone.set(fields);
+    if (area) {
+      const normalized = WatchZoneService.normalizeArea(area);
+      zone.area = normalized.area;
+      zone.radius = normalized.radius;
+    }
+    await zone.save();
+
+    res.json({
+      success: true,
+      message: 'Watch zone updated.',
+      data: { zone }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 16755) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid watch zone area.'
+      });
+    }
+    logger.error('Update watch zone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update watch zone.'
+    });
+  }
+};
+
+// @desc    Delete a watch zone
+// @route   DELETE /api/auth/watch-zones/:id
+// @access  Private
+const deleteWatchZone = async (req, res) => {
+  try {
+    const zone = await findOwnZone(req);
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Watch zone not found.'
+      });
+    }
+
+    await zone.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Watch zone deleted.'
+    });
+  } catch (error) {
+    logger.error('Delete watch zone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete watch zone.'
+    });
+  }
+};
+
+module.exports = {
+  getWatchZones,
+  createWatchZone,
+  updateWatchZone,
+  deleteWatchZone
+};
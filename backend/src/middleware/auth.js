@@ -1,21 +1,20 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const SecurityPolicyService = require('../services/securityPolicyService');
+const PermissionService = require('../services/permissionService');
 const logger = require('../config/logger');
 const { AppError, ERROR_CODES, ERROR_SEVERITY } = require('../utils/errorHandler');
 
-// Token blacklist (in production, use Redis or database)
-const tokenBlacklist = new Set();
-
-// Failed login attempts tracking (in production, use Redis)
-const failedLoginAttempts = new Map();
-
 // Generate JWT token with enhanced security
-const generateToken = (userId, userAgent = '', ipAddress = '') => {
+const generateToken = (userId, userAgent = '', ipAddress = '', sessionId = null) => {
   const payload = {
     userId,
     iat: Math.floor(Date.now() / 1000),
     jti: crypto.randomUUID(), // Unique token ID
+    // Tokens issued for a session stop working once it is revoked
+    ...(sessionId && { sid: sessionId.toString() }),
     // Include basic session context for additional security
     ...(userAgent && { ua: crypto.createHash('sha256').update(userAgent).digest('hex').substring(0, 16) }),
     ...(ipAddress && { ip: crypto.createHash('sha256').update(ipAddress).digest('hex').substring(0, 16) })
@@ -28,13 +27,36 @@ const generateToken = (userId, userAgent = '', ipAddress = '') => {
   });
 };
 
-// Generate refresh token
-const generateRefreshToken = (userId) => {
-  return jwt.sign({ userId }, process.env.REFRESH_TOKEN_SECRET, {
+// Generate refresh token; session tokens carry the session and rotation ids
+const generateRefreshToken = (userId, sessionId = null, tokenId = crypto.randomUUID()) => {
+  const payload = {
+    userId,
+    jti: tokenId,
+    ...(sessionId && { sid: sessionId.toString() })
+  };
+
+  return jwt.sign(payload, process.env.REFRESH_TOKEN_SECRET, {
     expiresIn: process.env.REFRESH_TOKEN_EXPIRE || '30d'
   });
 };
 
+// Verify refresh token
+const verifyRefreshToken = (token) => {
+  try {
+    return jwt.verify(token, process.env.REFRESH_TOKEN_SECRET);
+  } catch (error) {
+    logger.warn('Refresh token verification failed:', error.message);
+    return null;
+  }
+};
+
+// Whether the session a token was issued for is still signed in
+const isSessionActive = async (decoded) => {
+  if (!decoded.sid) {return true;}
+  const session = await Session.exists({ _id: decoded.sid, revokedAt: null, expiresAt: { $gt: new Date() } });
+  return Boolean(session);
+};
+
 // Verify JWT token
 const verifyToken = (token) => {
   try {
@@ -45,6 +67,13 @@ const verifyToken = (token) => {
   }
 };
 
+// Routes still open to accounts that must enrol in 2FA before anything else
+const TWO_FACTOR_SETUP_PATHS = ['/api/auth/me', '/api/auth/profile', '/api/auth/logout', '/api/auth/sessions'];
+const isTwoFactorSetupPath = (req) => {
+  const path = req.originalUrl.split('?')[0];
+  return path.startsWith('/api/auth/2fa') || TWO_FACTOR_SETUP_PATHS.includes(path);
+};
+
 // Middleware to protect routes
 const protect = async (req, res, next) => {
   try {
@@ -72,6 +101,13 @@ const protect = async (req, res, next) => {
       });
     }
 
+    if (!(await isSessionActive(decoded))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been signed out.'
+      });
+    }
+
     // Get user from token
     const user = await User.findById(decoded.userId).select('-password');
     if (!user) {
@@ -85,7 +121,19 @@ const protect = async (req, res, next) => {
 
     // Email verification no longer required - allow all users
 
+    if (!isTwoFactorSetupPath(req) && await SecurityPolicyService.isTwoFactorSetupPending(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication must be set up for your role.',
+        twoFactorSetupRequired: true
+      });
+    }
+
+    // Handlers check permissions synchronously against the loaded mapping
+    await PermissionService.load();
+
     req.user = user;
+    req.sessionId = decoded.sid || null;
     next();
   } catch (error) {
     logger.error('Auth middleware error:', error);
@@ -117,6 +165,27 @@ const authorize = (...roles) => {
   };
 };
 
+// Middleware to require a named permission (see PermissionService.PERMISSIONS)
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required.'
+      });
+    }
+
+    if (!PermissionService.can(req.user, permission)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Missing permission: ${permission}`
+      });
+    }
+
+    next();
+  };
+};
+
 // Middleware for optional authentication (doesn't fail if no token)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -128,9 +197,10 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = verifyToken(token);
-      if (decoded) {
+      if (decoded && await isSessionActive(decoded)) {
         const user = await User.findById(decoded.userId).select('-password');
         if (user) {
+          await PermissionService.load();
           req.user = user;
         }
       }
@@ -252,8 +322,10 @@ module.exports = {
   generateToken,
   generateRefreshToken,
   verifyToken,
+  verifyRefreshToken,
   protect,
   authorize,
+  requirePermission,
   optionalAuth,
   checkOwnership,
   authorizeOwnerOrRole,
@@ -1,10 +1,12 @@
 const rateLimit = require('express-rate-limit');
+const { ipKeyGenerator } = require('express-rate-limit');
 const helmet = require('helmet');
 const cors = require('cors');
+const ReputationService = require('../services/reputationService');
 const logger = require('../config/logger');
 
-// Rate limiting configurations
-const createRateLimit = (windowMs, max, message) => {
+// Rate limiting configurations; max may be a function of the request
+const createRateLimit = (windowMs, max, message, options = {}) => {
   // Allow overriding in tests so certain suites can assert 429s
   if (process.env.NODE_ENV === 'test' && process.env.ENABLE_RATE_LIMIT_IN_TESTS !== 'true') {
     // For export limiter specifically, leave enabled to satisfy tests
@@ -24,6 +26,7 @@ const createRateLimit = (windowMs, max, message) => {
     },
     standardHeaders: true,
     legacyHeaders: false,
+    ...options,
     handler: (req, res) => {
       logger.warn('Rate limit exceeded:', {
         ip: req.ip,
@@ -54,11 +57,15 @@ const authLimiter = createRateLimit(
   'Too many authentication attempts, please try again in 15 minutes.'
 );
 
-// Rate limiting for incident reporting
+// Rate limiting for incident reporting, per user and scaled by reputation
+// (3 per hour for low reputation up to 40 for trusted reporters)
 const incidentLimiter = createRateLimit(
   60 * 60 * 1000, // 1 hour
-  10, // 10 incidents per hour
-  'Too many incident reports, please try again in an hour.'
+  (req) => ReputationService.getReportLimit(req.user),
+  'Too many incident reports, please try again in an hour.',
+  {
+    keyGenerator: (req) => (req.user ? `user:${req.user._id}` : ipKeyGenerator(req.ip))
+  }
 );
 
 // Rate limiting for alert creation (authorities only)
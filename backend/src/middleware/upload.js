@@ -0,0 +1,100 @@
+const multer = require('multer');
+const { AppError, ERROR_CODES, ERROR_SEVERITY } = require('../utils/errorHandler');
+
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const MAX_FILES_PER_REQUEST = 5;
+
+// Supporting documents for authority applications
+const DOCUMENT_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+const MAX_DOCUMENTS_PER_REQUEST = 3;
+
+const getMaxFileSize = () => parseInt(process.env.MAX_FILE_SIZE, 10) || 5242880; // 5MB default
+
+// Files are kept in memory so they can be hashed and re-encoded before anything touches disk
+const createEvidenceUpload = () => multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: getMaxFileSize(),
+    files: MAX_FILES_PER_REQUEST
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new AppError(
+        'Invalid file type. Only JPEG, PNG, GIF and WebP images are allowed.',
+        400,
+        ERROR_CODES.INVALID_FILE_TYPE,
+        ERROR_SEVERITY.LOW,
+        { file: file.originalname, mimetype: file.mimetype }
+      ));
+    }
+    cb(null, true);
+  }
+}).array('files', MAX_FILES_PER_REQUEST);
+
+const createDocumentUpload = () => multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: getMaxFileSize(),
+    files: MAX_DOCUMENTS_PER_REQUEST
+  },
+  fileFilter: (req, file, cb) => {
+    if (!DOCUMENT_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new AppError(
+        'Invalid file type. Only PDF, JPEG and PNG documents are allowed.',
+        400,
+        ERROR_CODES.INVALID_FILE_TYPE,
+        ERROR_SEVERITY.LOW,
+        { file: file.originalname, mimetype: file.mimetype }
+      ));
+    }
+    cb(null, true);
+  }
+}).array('documents', MAX_DOCUMENTS_PER_REQUEST);
+
+// Report multer errors through the global error handler
+const toUploadError = (error, field, maxFiles) => {
+  if (!(error instanceof multer.MulterError)) {return error;}
+
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return new AppError(
+      `File exceeds the maximum size of ${Math.round(getMaxFileSize() / 1024 / 1024)}MB.`,
+      413,
+      ERROR_CODES.FILE_SIZE_EXCEEDED,
+      ERROR_SEVERITY.LOW
+    );
+  }
+  if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+    return new AppError(
+      `Upload up to ${maxFiles} files in the "${field}" field.`,
+      400,
+      ERROR_CODES.VALIDATION_ERROR,
+      ERROR_SEVERITY.LOW
+    );
+  }
+  return new AppError(error.message, 400, ERROR_CODES.VALIDATION_ERROR, ERROR_SEVERITY.LOW);
+};
+
+// Accept up to MAX_FILES_PER_REQUEST images in the `files` field
+const parseEvidenceUpload = (req, res, next) => {
+  createEvidenceUpload()(req, res, (error) => {
+    if (!error) {return next();}
+    next(toUploadError(error, 'files', MAX_FILES_PER_REQUEST));
+  });
+};
+
+// Accept up to MAX_DOCUMENTS_PER_REQUEST PDFs or images in the `documents` field
+const parseDocumentUpload = (req, res, next) => {
+  createDocumentUpload()(req, res, (error) => {
+    if (!error) {return next();}
+    next(toUploadError(error, 'documents', MAX_DOCUMENTS_PER_REQUEST));
+  });
+};
+
+module.exports = {
+  parseEvidenceUpload,
+  parseDocumentUpload,
+  ALLOWED_MIME_TYPES,
+  MAX_FILES_PER_REQUEST,
+  DOCUMENT_MIME_TYPES,
+  MAX_DOCUMENTS_PER_REQUEST
+};
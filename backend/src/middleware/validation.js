@@ -1,6 +1,7 @@
 const Joi = require('joi');
 const logger = require('../config/logger');
 const { AppError, ERROR_CODES, ERROR_SEVERITY } = require('../utils/errorHandler');
+const { PERMISSIONS } = require('../services/permissionService');
 
 // Generic validation middleware
 const validate = (schema, source = 'body') => {
@@ -82,7 +83,6 @@ const userSchemas = {
         'string.empty': 'Password is required'
       }),
     phone: Joi.string().optional(),
-    role: Joi.string().valid('citizen', 'authority', 'admin').default('citizen'),
     location: Joi.object({
       coordinates: Joi.array().items(Joi.number()).length(2).optional()
         .messages({
@@ -106,7 +106,8 @@ const userSchemas = {
         .messages({
           'number.min': 'Alert radius must be at least 1 km',
           'number.max': 'Alert radius cannot exceed 50 km'
-        })
+        }),
+      digest: Joi.string().valid('off', 'daily', 'weekly').default('off')
     }).optional()
   }),
 
@@ -162,7 +163,8 @@ const userSchemas = {
         }),
         Joi.boolean()
       ).optional(),
-      alertRadius: Joi.number().min(1).max(50).default(5).optional()
+      alertRadius: Joi.number().min(1).max(50).default(5).optional(),
+      digest: Joi.string().valid('off', 'daily', 'weekly').optional()
     }).optional()
   }),
 
@@ -200,6 +202,39 @@ const authAuxSchemas = {
         'string.max': 'Password cannot exceed 128 characters',
         'string.empty': 'Password is required'
       })
+  }),
+  requestUnlock: Joi.object({
+    email: Joi.string().email().lowercase().trim().required()
+      .messages({
+        'string.email': 'Please provide a valid email address',
+        'string.empty': 'Email is required'
+      })
+  }),
+  unlock: Joi.object({
+    token: Joi.string().required()
+  }),
+  twoFactorLogin: Joi.object({
+    challengeToken: Joi.string().required(),
+    code: Joi.string().trim().max(20).required()
+      .messages({
+        'string.empty': 'Authentication code is required'
+      })
+  }),
+  twoFactorCode: Joi.object({
+    code: Joi.string().trim().max(20).required()
+      .messages({
+        'string.empty': 'Authentication code is required'
+      })
+  }),
+  twoFactorDisable: Joi.object({
+    password: Joi.string().required(),
+    code: Joi.string().trim().max(20).required()
+  }),
+  refresh: Joi.object({
+    refreshToken: Joi.string().required()
+      .messages({
+        'string.empty': 'Refresh token is required'
+      })
   })
 };
 
@@ -251,8 +286,9 @@ const incidentSchemas = {
       'natural_disaster', 'road_hazard', 'other'
     ).optional(),
     severity: Joi.string().valid('low', 'medium', 'high', 'critical').optional(),
-    status: Joi.string().valid('reported', 'verified', 'investigating', 'resolved', 'false_alarm').optional(),
+    status: Joi.string().valid('reported', 'verified', 'investigating', 'resolved', 'false_alarm', 'closed').optional(),
     resolutionNotes: Joi.string().trim().max(500).optional(),
+    reason: Joi.string().trim().max(500).optional(),
     tags: Joi.array().items(Joi.string().trim()).max(10).optional(),
     isPublic: Joi.boolean().optional()
   }),
@@ -262,10 +298,66 @@ const incidentSchemas = {
       .messages({
         'any.only': 'Vote must be one of: confirm, deny, unclear'
       })
+  }),
+
+  merge: Joi.object({
+    duplicateIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(10).unique().required()
+      .messages({
+        'array.min': 'Select at least one duplicate incident to merge'
+      }),
+    reason: Joi.string().trim().max(500).optional()
+  }),
+
+  // Omitting assigneeId assigns the incident to the caller
+  assign: Joi.object({
+    assigneeId: Joi.string().hex().length(24).optional(),
+    note: Joi.string().trim().max(500).optional()
+  })
+};
+
+// Incident comment validation schemas
+const commentSchemas = {
+  create: Joi.object({
+    body: Joi.string().trim().min(1).max(2000).required(),
+    parentId: Joi.string().hex().length(24).optional()
+  }),
+
+  update: Joi.object({
+    body: Joi.string().trim().min(1).max(2000).required()
+  }),
+
+  flag: Joi.object({
+    reason: Joi.string().valid('spam', 'abuse', 'misinformation', 'personal_info', 'other').required(),
+    details: Joi.string().trim().max(300).optional()
+  }),
+
+  moderate: Joi.object({
+    action: Joi.string().valid('hide', 'restore').required(),
+    note: Joi.string().trim().max(300).optional()
   })
 };
 
 // Alert validation schemas
+const alertLocation = Joi.object({
+  type: Joi.string().valid('Point', 'Polygon').default('Point'),
+  // Point: [lng, lat]; Polygon: GeoJSON rings of [lng, lat] positions
+  coordinates: Joi.when('type', {
+    is: 'Polygon',
+    then: Joi.array().items(
+      Joi.array().items(Joi.array().items(Joi.number()).length(2)).min(3)
+    ).min(1).required(),
+    otherwise: Joi.array().items(Joi.number()).length(2).required()
+  }),
+  radius: Joi.number().min(0.1).max(100).default(5),
+  address: Joi.object({
+    street: Joi.string().trim().optional(),
+    city: Joi.string().trim().optional(),
+    state: Joi.string().trim().optional(),
+    zipCode: Joi.string().trim().optional(),
+    country: Joi.string().trim().default('South Africa')
+  }).optional()
+});
+
 const alertSchemas = {
   create: Joi.object({
     title: Joi.string().trim().min(5).max(100).required()
@@ -286,21 +378,58 @@ const alertSchemas = {
     ).required(),
     priority: Joi.string().valid('low', 'medium', 'high', 'urgent', 'critical').default('medium'),
     targetAudience: Joi.string().valid('all', 'citizens', 'authorities', 'specific_area').default('all'),
-    location: Joi.object({
-      coordinates: Joi.array().items(Joi.number()).length(2).required(),
-      radius: Joi.number().min(0.1).max(100).default(5),
-      address: Joi.object({
-        street: Joi.string().trim().optional(),
-        city: Joi.string().trim().optional(),
-        state: Joi.string().trim().optional(),
-        zipCode: Joi.string().trim().optional(),
-        country: Joi.string().trim().default('South Africa')
-      }).optional()
-    }).optional(),
+    location: alertLocation.when('targetAudience', {
+      is: 'specific_area',
+      then: Joi.required(),
+      otherwise: Joi.optional()
+    }).messages({
+      'any.required': 'Location is required for area alerts'
+    }),
     expiresAt: Joi.date().min('now').optional(),
     actionRequired: Joi.boolean().default(false),
     actionText: Joi.string().trim().max(100).optional(),
-    actionUrl: Joi.string().uri().optional()
+    actionUrl: Joi.string().uri().optional(),
+    // Save without sending; submit later with POST /api/alerts/:id/submit
+    draft: Joi.boolean().default(false)
+  }),
+
+  // Same rules as create without defaults, so fields left out stay as they are
+  update: Joi.object({
+    title: Joi.string().trim().min(5).max(100)
+      .messages({
+        'string.empty': 'Alert title is required',
+        'string.min': 'Title must be at least 5 characters',
+        'string.max': 'Title cannot exceed 100 characters'
+      }),
+    message: Joi.string().trim().min(10).max(500)
+      .messages({
+        'string.empty': 'Alert message is required',
+        'string.min': 'Message must be at least 10 characters',
+        'string.max': 'Message cannot exceed 500 characters'
+      }),
+    type: Joi.string().valid(
+      'incident_alert', 'safety_warning', 'weather_alert',
+      'traffic_alert', 'emergency_alert', 'system_notification'
+    ),
+    priority: Joi.string().valid('low', 'medium', 'high', 'urgent', 'critical'),
+    targetAudience: Joi.string().valid('all', 'citizens', 'authorities', 'specific_area'),
+    location: alertLocation,
+    expiresAt: Joi.date().min('now'),
+    actionRequired: Joi.boolean(),
+    actionText: Joi.string().trim().max(100),
+    actionUrl: Joi.string().uri(),
+    isActive: Joi.boolean()
+  }).min(1),
+
+  approve: Joi.object({
+    comment: Joi.string().trim().max(500).allow('').optional()
+  }),
+
+  reject: Joi.object({
+    comment: Joi.string().trim().min(3).max(500).required()
+      .messages({
+        'any.required': 'A comment explaining the rejection is required'
+      })
   })
 };
 
@@ -358,6 +487,17 @@ const querySchemas = {
     limit: Joi.number().integer().min(1).max(100).default(10)
   }),
 
+  workQueue: Joi.object({
+    status: Joi.string().pattern(/^[a-z_]+(,[a-z_]+)*$/).optional(),
+    jurisdiction: Joi.string().hex().length(24).optional(),
+    assignedTo: Joi.alternatives().try(
+      Joi.string().valid('me', 'unassigned'),
+      Joi.string().hex().length(24)
+    ).optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }),
+
   search: Joi.object({
     q: Joi.string().trim().min(1).max(100).optional(),
     type: Joi.string().optional(),
@@ -368,12 +508,276 @@ const querySchemas = {
   })
 };
 
+// Jurisdiction branding on printed reports; empty strings clear a field
+const jurisdictionBranding = Joi.object({
+  title: Joi.string().trim().max(120).allow('').optional(),
+  color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).allow('').optional(),
+  footer: Joi.string().trim().max(200).allow('').optional()
+});
+
+// Administrator settings
+const adminSchemas = {
+  securityPolicy: Joi.object({
+    twoFactorRequiredRoles: Joi.array()
+      .items(Joi.string().valid('citizen', 'authority', 'admin'))
+      .unique()
+      .required()
+  }),
+
+  rolePermissions: Joi.object({
+    permissions: Joi.array()
+      .items(Joi.string().valid(...Object.keys(PERMISSIONS)))
+      .unique()
+      .required()
+  }),
+
+  jurisdiction: Joi.object({
+    name: Joi.string().trim().min(2).max(100).required(),
+    type: Joi.string().valid('precinct', 'municipality').optional(),
+    boundary: Joi.object({
+      type: Joi.string().valid('Polygon', 'MultiPolygon').required(),
+      coordinates: Joi.array().min(1).required()
+    }).required(),
+    branding: jurisdictionBranding.optional()
+  }),
+
+  jurisdictionUpdate: Joi.object({
+    name: Joi.string().trim().min(2).max(100).optional(),
+    type: Joi.string().valid('precinct', 'municipality').optional(),
+    boundary: Joi.object({
+      type: Joi.string().valid('Polygon', 'MultiPolygon').required(),
+      coordinates: Joi.array().min(1).required()
+    }).optional(),
+    branding: jurisdictionBranding.optional()
+  }).min(1),
+
+  alertApprovalPolicy: Joi.object({
+    minPriority: Joi.string().valid('low', 'medium', 'high', 'urgent', 'critical').allow(null).optional(),
+    roles: Joi.array()
+      .items(Joi.string().valid('citizen', 'authority', 'admin'))
+      .unique()
+      .optional()
+  }).min(1),
+
+  slaPolicy: Joi.object({
+    warningRatio: Joi.number().greater(0).less(1).optional(),
+    severity: Joi.object().pattern(
+      Joi.string().valid('low', 'medium', 'high', 'critical'),
+      Joi.object({
+        verifyMinutes: Joi.number().integer().min(1).required(),
+        resolveMinutes: Joi.number().integer().min(1).required()
+      })
+    ).optional(),
+    types: Joi.object().pattern(
+      Joi.string().valid(
+        'theft', 'assault', 'vandalism', 'traffic_accident',
+        'suspicious_activity', 'fire', 'medical_emergency',
+        'natural_disaster', 'road_hazard', 'other'
+      ),
+      Joi.object({
+        verifyMinutes: Joi.number().integer().min(1).optional(),
+        resolveMinutes: Joi.number().integer().min(1).optional()
+      }).min(1)
+    ).optional()
+  }).min(1),
+
+  userJurisdictions: Joi.object({
+    jurisdictions: Joi.array().items(Joi.string().hex().length(24)).unique().required()
+  })
+};
+
+// Watch zone validation schemas
+const watchZoneArea = Joi.object({
+  type: Joi.string().valid('Point', 'Polygon').required(),
+  // Point: circle centre [lng, lat]; Polygon: GeoJSON rings of [lng, lat] positions
+  coordinates: Joi.when('type', {
+    is: 'Polygon',
+    then: Joi.array().items(
+      Joi.array().items(Joi.array().items(Joi.number()).length(2)).min(3)
+    ).min(1).required(),
+    otherwise: Joi.array().items(Joi.number()).length(2).required()
+  }),
+  radius: Joi.when('type', {
+    is: 'Point',
+    then: Joi.number().min(0.1).max(50).required(),
+    otherwise: Joi.forbidden()
+  })
+});
+
+const watchZoneFilters = {
+  types: Joi.array().items(Joi.string().valid(
+    'theft', 'assault', 'vandalism', 'traffic_accident',
+    'suspicious_activity', 'fire', 'medical_emergency',
+    'natural_disaster', 'road_hazard', 'other'
+  )).unique(),
+  minSeverity: Joi.string().valid('low', 'medium', 'high', 'critical'),
+  isActive: Joi.boolean()
+};
+
+const watchZoneSchemas = {
+  create: Joi.object({
+    name: Joi.string().trim().min(1).max(50).required(),
+    area: watchZoneArea.required(),
+    ...watchZoneFilters
+  }),
+
+  update: Joi.object({
+    name: Joi.string().trim().min(1).max(50),
+    area: watchZoneArea,
+    ...watchZoneFilters
+  }).min(1)
+};
+
+// Browser PushSubscription.toJSON()
+const notificationSchemas = {
+  subscribe: Joi.object({
+    endpoint: Joi.string().uri({ scheme: ['https'] }).max(2000).required(),
+    expirationTime: Joi.number().allow(null).optional(),
+    keys: Joi.object({
+      p256dh: Joi.string().max(200).required(),
+      auth: Joi.string().max(100).required()
+    }).required()
+  }),
+
+  unsubscribe: Joi.object({
+    endpoint: Joi.string().required()
+  }),
+
+  inbox: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    status: Joi.string().valid('all', 'read', 'unread').default('all'),
+    type: Joi.string().pattern(/^[a-z_]+(,[a-z_]+)*$/).optional(),
+    archived: Joi.boolean().default(false)
+  }),
+
+  // Either specific notifications or the whole inbox
+  bulk: Joi.object({
+    ids: Joi.array().items(Joi.string().hex().length(24)).min(1).max(500),
+    all: Joi.boolean().valid(true)
+  }).xor('ids', 'all'),
+
+  update: Joi.object({
+    read: Joi.boolean(),
+    archived: Joi.boolean()
+  }).or('read', 'archived')
+};
+
+const authorityApplicationSchemas = {
+  // Sent as multipart form fields next to the uploaded documents
+  apply: Joi.object({
+    badgeNumber: Joi.string().trim().min(2).max(50).required(),
+    agency: Joi.string().trim().min(2).max(100).required(),
+    jurisdictionName: Joi.string().trim().min(2).max(100).required(),
+    jurisdiction: Joi.string().hex().length(24).empty('').optional(),
+    notes: Joi.string().trim().max(1000).allow('').optional()
+  }),
+
+  list: Joi.object({
+    status: Joi.string().valid('pending', 'approved', 'rejected', 'withdrawn', 'all').default('pending'),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }),
+
+  // Same rules as create without defaults, so fields left out stay as they are
+  update: Joi.object({
+    title: Joi.string().trim().min(5).max(100)
+      .messages({
+        'string.empty': 'Alert title is required',
+        'string.min': 'Title must be at least 5 characters',
+        'string.max': 'Title cannot exceed 100 characters'
+      }),
+    message: Joi.string().trim().min(10).max(500)
+      .messages({
+        'string.empty': 'Alert message is required',
+        'string.min': 'Message must be at least 10 characters',
+        'string.max': 'Message cannot exceed 500 characters'
+      }),
+    type: Joi.string().valid(
+      'incident_alert', 'safety_warning', 'weather_alert',
+      'traffic_alert', 'emergency_alert', 'system_notification'
+    ),
+    priority: Joi.string().valid('low', 'medium', 'high', 'urgent', 'critical'),
+    targetAudience: Joi.string().valid('all', 'citizens', 'authorities', 'specific_area'),
+    location: alertLocation,
+    expiresAt: Joi.date().min('now'),
+    actionRequired: Joi.boolean(),
+    actionText: Joi.string().trim().max(100),
+    actionUrl: Joi.string().uri(),
+    isActive: Joi.boolean()
+  }).min(1),
+
+  approve: Joi.object({
+    comment: Joi.string().trim().max(500).allow('').optional(),
+    jurisdictions: Joi.array().items(Joi.string().hex().length(24)).unique().optional()
+  }),
+
+  reject: Joi.object({
+    comment: Joi.string().trim().min(3).max(500).required()
+  })
+};
+
+const backupSchemas = {
+  create: Joi.object({
+    collections: Joi.array().items(Joi.string().pattern(/^[A-Za-z0-9_]+$/)).min(1).unique().optional(),
+    compress: Joi.boolean().default(true),
+    format: Joi.string().valid('json').default('json'),
+    // Only documents updated since the latest backup
+    incremental: Joi.boolean().default(false)
+  }),
+
+  dryRun: Joi.object({
+    collections: Joi.array().items(Joi.string().pattern(/^[A-Za-z0-9_]+$/)).min(1).unique().optional(),
+    mode: Joi.string().valid('insert', 'upsert', 'replace').default('insert'),
+    force: Joi.boolean().default(false)
+  }),
+
+  restore: Joi.object({
+    collections: Joi.array().items(Joi.string().pattern(/^[A-Za-z0-9_]+$/)).min(1).unique().required(),
+    mode: Joi.string().valid('insert', 'upsert', 'replace').default('insert'),
+    // Replace collections even though their invalid documents are dropped
+    force: Joi.boolean().default(false),
+    // The backup name again, so a restore is never started by accident
+    confirm: Joi.string().required()
+  })
+};
+
+const exportSchemas = {
+  createJob: Joi.object({
+    type: Joi.string().valid('incidents', 'alerts', 'users').required(),
+    format: Joi.string().valid('csv', 'json', 'geojson', 'kml', 'gpx').default('csv'),
+    // Same filters as the matching GET /api/export/<type> endpoint
+    filters: Joi.object({
+      startDate: Joi.date().iso(),
+      endDate: Joi.date().iso(),
+      type: Joi.string().max(50),
+      severity: Joi.string().max(20),
+      status: Joi.string().max(30),
+      priority: Joi.string().max(20),
+      role: Joi.string().valid('citizen', 'authority', 'admin'),
+      isVerified: Joi.boolean(),
+      lat: Joi.number().min(-90).max(90),
+      lng: Joi.number().min(-180).max(180),
+      radius: Joi.number().positive().max(500),
+      // west,south,east,north
+      bbox: Joi.string().pattern(/^-?[\d.]+,-?[\d.]+,-?[\d.]+,-?[\d.]+$/)
+    }).default({})
+  })
+};
+
 module.exports = {
   validate,
   userSchemas,
   incidentSchemas,
+  commentSchemas,
   alertSchemas,
   locationSchemas,
   querySchemas,
-  authAuxSchemas
+  authAuxSchemas,
+  adminSchemas,
+  watchZoneSchemas,
+  notificationSchemas,
+  authorityApplicationSchemas,
+  backupSchemas,
+  exportSchemas
 };
@@ -70,6 +70,17 @@ const alertSchema = new mongoose.Schema({
       }
     }
   },
+  // Delivery area of polygon alerts; location then holds the polygon's centroid and bounding radius
+  geofence: {
+    type: {
+      type: String,
+      enum: ['Polygon']
+    },
+    coordinates: {
+      type: [[[Number]]],
+      default: undefined
+    }
+  },
   incident: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Incident'
@@ -92,6 +103,34 @@ const alertSchema = new mongoose.Schema({
     default: false
   },
   approvalDate: Date,
+  // Publication workflow: draft -> pending_approval -> approved/rejected -> published.
+  // Only published alerts are delivered and listed for everyone.
+  status: {
+    type: String,
+    enum: ['draft', 'pending_approval', 'approved', 'rejected', 'published'],
+    default: 'published'
+  },
+  submittedAt: Date,
+  publishedAt: Date,
+  reviews: [{
+    reviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decision: {
+      type: String,
+      enum: ['approved', 'rejected']
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Review comment cannot exceed 500 characters']
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   expiresAt: {
     type: Date,
     default: function() {
@@ -108,11 +147,21 @@ const alertSchema = new mongoose.Schema({
       enum: ['push', 'email', 'sms', 'in_app']
     },
     deliveredAt: Date,
+    // How a geofenced recipient was found: their saved location or their live socket location
+    matchedBy: {
+      type: String,
+      enum: ['stored_location', 'live_location', 'audience']
+    },
     status: {
       type: String,
       enum: ['pending', 'delivered', 'failed', 'read'],
       default: 'pending'
-    }
+    },
+    // External channels (email, sms): when the message left, the provider's
+    // id for matching delivery receipts and why it failed
+    sentAt: Date,
+    providerMessageId: String,
+    error: String
   }],
   attachments: [{
     type: {
@@ -162,7 +211,9 @@ alertSchema.index({ createdBy: 1 });
 alertSchema.index({ type: 1, priority: 1 });
 alertSchema.index({ isActive: 1, expiresAt: 1 });
 alertSchema.index({ createdAt: -1 });
+alertSchema.index({ status: 1, submittedAt: 1 });
 alertSchema.index({ 'deliveryStatus.user': 1 });
+alertSchema.index({ 'deliveryStatus.providerMessageId': 1 }, { sparse: true });
 
 // Virtual for delivery rate
 alertSchema.virtual('deliveryRate').get(function() {
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+// Supporting document stored outside the public upload directory
+const documentSchema = new mongoose.Schema({
+  originalName: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'File name cannot exceed 255 characters']
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  // Path relative to the private document root; never sent to clients
+  path: {
+    type: String,
+    required: true,
+    select: false
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, {
+  timestamps: { createdAt: 'uploadedAt', updatedAt: false }
+});
+
+// A citizen's request to be made an authority, reviewed by an administrator
+const authorityApplicationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Applicant is required']
+  },
+  badgeNumber: {
+    type: String,
+    required: [true, 'Badge number is required'],
+    trim: true,
+    maxlength: [50, 'Badge number cannot exceed 50 characters']
+  },
+  agency: {
+    type: String,
+    required: [true, 'Agency is required'],
+    trim: true,
+    maxlength: [100, 'Agency cannot exceed 100 characters']
+  },
+  // Jurisdiction as the applicant describes it, and the configured one it matches, if any
+  jurisdictionName: {
+    type: String,
+    required: [true, 'Jurisdiction is required'],
+    trim: true,
+    maxlength: [100, 'Jurisdiction cannot exceed 100 characters']
+  },
+  jurisdiction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Jurisdiction',
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  documents: [documentSchema],
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'withdrawn'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewComment: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Review comment cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Document paths stay on the server even when the application was just saved
+authorityApplicationSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    (ret.documents || []).forEach(document => {
+      delete document.path;
+    });
+    return ret;
+  }
+});
+
+authorityApplicationSchema.index({ status: 1, createdAt: 1 });
+authorityApplicationSchema.index({ user: 1, createdAt: -1 });
+
+// One open application per user
+authorityApplicationSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+module.exports = mongoose.model('AuthorityApplication', authorityApplicationSchema);
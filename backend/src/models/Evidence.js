@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const evidenceSchema = new mongoose.Schema({
+  incident: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident',
+    required: [true, 'Incident reference is required']
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Uploader is required']
+  },
+  originalName: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'File name cannot exceed 255 characters']
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the bytes as uploaded, used to spot the same evidence submitted twice
+  contentHash: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  thumbnailUrl: String,
+  // Bytes stored on disk for the image and its thumbnail, counted against the uploader's quota
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  width: Number,
+  height: Number,
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Caption cannot exceed 200 characters']
+  },
+  capturedAt: Date,
+  // GPS position read from EXIF before it was stripped from the stored file
+  exifLocation: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: [Number]
+  },
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Evidence',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+evidenceSchema.index({ incident: 1, createdAt: 1 });
+evidenceSchema.index({ contentHash: 1 });
+evidenceSchema.index({ uploadedBy: 1, createdAt: -1 });
+
+evidenceSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Evidence', evidenceSchema);
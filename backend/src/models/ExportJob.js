@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Export run in the background and kept as a gzipped file until it expires
+const exportJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  type: {
+    type: String,
+    enum: ['incidents', 'alerts', 'users'],
+    required: [true, 'Export type is required']
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'json', 'geojson', 'kml', 'gpx'],
+    default: 'csv'
+  },
+  // Same filters as the synchronous export endpoint
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  rowCount: {
+    type: Number,
+    default: 0
+  },
+  fileName: String,
+  // Path relative to the export directory; never sent to clients
+  path: {
+    type: String,
+    select: false
+  },
+  // Size of the gzipped file
+  size: {
+    type: Number,
+    default: 0
+  },
+  error: String,
+  startedAt: Date,
+  completedAt: Date,
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+exportJobSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.path;
+    return ret;
+  }
+});
+
+exportJobSchema.index({ status: 1, createdAt: 1 });
+exportJobSchema.index({ user: 1, createdAt: -1 });
+exportJobSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('ExportJob', exportJobSchema);
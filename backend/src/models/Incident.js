@@ -107,6 +107,23 @@ const incidentSchema = new mongoose.Schema({
     ref: 'User'
   },
   verificationDate: Date,
+  // Jurisdiction the incident was routed to when reported
+  jurisdiction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Jurisdiction',
+    default: null
+  },
+  // Authority currently responsible for handling the incident
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  assignedAt: Date,
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   images: [{
     url: String,
     caption: String,
@@ -174,6 +191,15 @@ const incidentSchema = new mongoose.Schema({
     type: Number, // Time in minutes from report to first response
     default: null
   },
+  resolutionTime: {
+    type: Number, // Time in minutes from report to resolution
+    default: null
+  },
+  // SLA warnings already pushed to the dashboard, e.g. 'verify:at_risk'
+  slaWarnings: {
+    type: [String],
+    default: []
+  },
   impactRadius: {
     type: Number, // Estimated impact radius in meters
     default: 500
@@ -182,6 +208,17 @@ const incidentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Incident'
   }],
+  // Set when this report was folded into another incident as a duplicate
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident',
+    default: null
+  },
+  mergedAt: Date,
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   analytics: {
     views: {
       type: Number,
@@ -212,6 +249,15 @@ const incidentSchema = new mongoose.Schema({
       min: 0,
       max: 100
     },
+    // Per-signal scores (0-100) behind trustScore, see TrustScoreService
+    breakdown: {
+      reporter: Number,
+      votes: Number,
+      sources: Number,
+      evidence: Number,
+      corroboration: Number
+    },
+    scoredAt: Date,
     sources: [{
       type: {
         type: String,
@@ -255,10 +301,15 @@ incidentSchema.index({ location: '2dsphere' });
 incidentSchema.index({ reportedBy: 1 });
 incidentSchema.index({ type: 1, severity: 1 });
 incidentSchema.index({ status: 1 });
+// SLA monitor: open incidents by report time
+incidentSchema.index({ status: 1, createdAt: 1 });
 incidentSchema.index({ category: 1 });
 incidentSchema.index({ tag: 1 });
 incidentSchema.index({ createdAt: -1 });
 incidentSchema.index({ 'communityVotes.user': 1 });
+incidentSchema.index({ mergedInto: 1 });
+incidentSchema.index({ jurisdiction: 1, status: 1 });
+incidentSchema.index({ assignedTo: 1, status: 1 });
 
 // Virtual for calculating verification percentage
 incidentSchema.virtual('verificationPercentage').get(function() {
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+// Replies nest at most this deep (top-level comments are depth 0)
+const MAX_DEPTH = 3;
+// Flags from this many distinct users put a comment in the moderation queue
+const FLAG_THRESHOLD = 3;
+
+const flagSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['spam', 'abuse', 'misinformation', 'personal_info', 'other'],
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Flag details cannot exceed 300 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const incidentCommentSchema = new mongoose.Schema({
+  incident: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident',
+    required: [true, 'Incident reference is required']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Comment author is required']
+  },
+  // Role at the time of posting, so badges survive later role changes
+  authorRole: {
+    type: String,
+    enum: ['citizen', 'authority', 'admin'],
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IncidentComment',
+    default: null
+  },
+  depth: {
+    type: Number,
+    min: 0,
+    max: MAX_DEPTH,
+    default: 0
+  },
+  body: {
+    type: String,
+    required: [true, 'Comment body is required'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  editedAt: Date,
+  editCount: {
+    type: Number,
+    default: 0
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: Date,
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  flags: [flagSchema],
+  moderationStatus: {
+    type: String,
+    enum: ['visible', 'flagged', 'hidden'],
+    default: 'visible'
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: Date,
+  moderationNote: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Moderation note cannot exceed 300 characters']
+  }
+}, {
+  timestamps: true
+});
+
+incidentCommentSchema.index({ incident: 1, createdAt: 1 });
+incidentCommentSchema.index({ parent: 1 });
+incidentCommentSchema.index({ moderationStatus: 1, updatedAt: -1 });
+
+incidentCommentSchema.virtual('isAuthorityResponse').get(function() {
+  return this.authorRole === 'authority' || this.authorRole === 'admin';
+});
+
+incidentCommentSchema.virtual('flagCount').get(function() {
+  return this.flags ? this.flags.length : 0;
+});
+
+// Check whether the author can still edit the comment
+incidentCommentSchema.methods.isEditable = function(windowMinutes, now = new Date()) {
+  if (this.isDeleted || this.moderationStatus === 'hidden') {return false;}
+  return now.getTime() - this.createdAt.getTime() <= windowMinutes * 60 * 1000;
+};
+
+// Record a flag; each user can flag a comment once
+incidentCommentSchema.methods.addFlag = function(userId, reason, details) {
+  if (this.flags.some(flag => flag.user.toString() === userId.toString())) {
+    return false;
+  }
+
+  this.flags.push({ user: userId, reason, details });
+
+  if (this.moderationStatus === 'visible' && this.flags.length >= FLAG_THRESHOLD) {
+    this.moderationStatus = 'flagged';
+  }
+  return true;
+};
+
+incidentCommentSchema.set('toJSON', { virtuals: true });
+
+const IncidentComment = mongoose.model('IncidentComment', incidentCommentSchema);
+
+IncidentComment.MAX_DEPTH = MAX_DEPTH;
+IncidentComment.FLAG_THRESHOLD = FLAG_THRESHOLD;
+
+module.exports = IncidentComment;
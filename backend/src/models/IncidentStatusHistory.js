@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['reported', 'verified', 'investigating', 'resolved', 'false_alarm', 'open', 'closed'];
+
+const incidentStatusHistorySchema = new mongoose.Schema({
+  incident: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident',
+    required: [true, 'Incident reference is required']
+  },
+  fromStatus: {
+    type: String,
+    enum: [...STATUSES, null],
+    default: null
+  },
+  toStatus: {
+    type: String,
+    enum: STATUSES,
+    required: [true, 'Target status is required']
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  role: {
+    type: String,
+    enum: ['citizen', 'authority', 'admin', 'system'],
+    default: 'system'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // Other incident fields written together with the status change
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+incidentStatusHistorySchema.index({ incident: 1, createdAt: 1 });
+incidentStatusHistorySchema.index({ changedBy: 1 });
+
+// History is append-only: entries can be created but never edited or removed
+const rejectMutation = function(next) {
+  next(new Error('Incident status history is append-only'));
+};
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  incidentStatusHistorySchema.pre(operation, rejectMutation);
+});
+
+incidentStatusHistorySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Incident status history is append-only'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('IncidentStatusHistory', incidentStatusHistorySchema);
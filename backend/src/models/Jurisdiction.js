@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Area an authority is responsible for, e.g. a police precinct or municipality
+const jurisdictionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Jurisdiction name is required'],
+    trim: true,
+    maxlength: [100, 'Jurisdiction name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    enum: ['precinct', 'municipality'],
+    default: 'precinct'
+  },
+  boundary: {
+    type: {
+      type: String,
+      enum: ['Polygon', 'MultiPolygon'],
+      required: true
+    },
+    coordinates: {
+      type: Array,
+      required: [true, 'Boundary coordinates are required']
+    }
+  },
+  // Shown on printed analytics reports for the jurisdiction
+  branding: {
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [120, 'Report title cannot exceed 120 characters']
+    },
+    color: {
+      type: String,
+      match: [/^#[0-9a-fA-F]{6}$/, 'Report colour must be a #rrggbb hex colour']
+    },
+    footer: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Report footer cannot exceed 200 characters']
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Point-in-boundary lookups for incidents
+jurisdictionSchema.index({ boundary: '2dsphere' });
+
+module.exports = mongoose.model('Jurisdiction', jurisdictionSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Failed login counters, one per account (normalised email) and one per
+// client IP, shared by every API instance
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scope: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastFailureAt: Date,
+  lastIp: String,
+  // Counters are forgotten once no failure has happened for a while
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+loginThrottleSchema.index({ lockedUntil: 1 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const retentionDays = () => parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || 90;
+
+// One entry in a user's notification inbox. Entries are created by the
+// services that already tell users about things (alert delivery, incident
+// status changes, comment replies, watch zones) so the inbox survives page
+// reloads and stays the same on every device.
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Notification type is required'],
+    enum: ['alert', 'incident_update', 'comment_reply', 'verification', 'watch_zone', 'system']
+  },
+  title: {
+    type: String,
+    required: [true, 'Notification title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Message cannot exceed 1000 characters'],
+    default: ''
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent', 'critical'],
+    default: 'medium'
+  },
+  // Where the notification leads in the app
+  link: {
+    type: String,
+    default: '/notifications'
+  },
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  },
+  incident: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident'
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IncidentComment'
+  },
+  // Who caused the notification, if anyone
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Email sent for an urgent alert. Kept on each inbox entry because
+  // broadcasts reach every user and would not fit on the alert.
+  email: {
+    status: {
+      type: String,
+      enum: ['sent', 'failed']
+    },
+    sentAt: Date,
+    providerMessageId: String,
+    error: String
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + retentionDays() * DAY_MS)
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, archivedAt: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+notificationSchema.index({ user: 1, alert: 1 }, { sparse: true });
+notificationSchema.index({ alert: 1 }, { sparse: true });
+// Old notifications are removed by MongoDB
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+notificationSchema.virtual('isRead').get(function() {
+  return Boolean(this.readAt);
+});
+
+notificationSchema.set('toJSON', { virtuals: true });
+notificationSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Notification', notificationSchema);
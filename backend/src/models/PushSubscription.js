@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One Web Push subscription per browser. The endpoint is unique to the
+// browser profile, so re-subscribing after signing in as someone else moves
+// it to the new user.
+const pushSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  endpoint: {
+    type: String,
+    required: [true, 'Subscription endpoint is required'],
+    unique: true,
+    trim: true
+  },
+  keys: {
+    p256dh: { type: String, required: [true, 'Subscription p256dh key is required'] },
+    auth: { type: String, required: [true, 'Subscription auth secret is required'] }
+  },
+  expirationTime: {
+    type: Date,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  device: {
+    browser: { type: String, default: 'Unknown browser' },
+    os: { type: String, default: 'Unknown OS' }
+  },
+  lastSuccessAt: Date,
+  // Consecutive failed sends; the subscription is dropped once the push service rejects it for good
+  failureCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+pushSubscriptionSchema.index({ user: 1 });
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Points each event adds to (or takes from) a user's reputation score
+const REPUTATION_POINTS = {
+  report_confirmed: 10,
+  report_false_alarm: -15,
+  vote_agreed: 2,
+  vote_disagreed: -1,
+  comment_flagged: -3,
+  comment_hidden: -5
+};
+
+const reputationEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  type: {
+    type: String,
+    enum: Object.keys(REPUTATION_POINTS),
+    required: [true, 'Event type is required']
+  },
+  points: {
+    type: Number,
+    required: true
+  },
+  incident: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident',
+    default: null
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IncidentComment',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One event of each type per subject, so re-deciding an outcome never counts twice
+reputationEventSchema.index({ user: 1, type: 1, incident: 1, comment: 1 }, { unique: true });
+reputationEventSchema.index({ user: 1, createdAt: -1 });
+
+const ReputationEvent = mongoose.model('ReputationEvent', reputationEventSchema);
+
+ReputationEvent.POINTS = REPUTATION_POINTS;
+
+module.exports = ReputationEvent;
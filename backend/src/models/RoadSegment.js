@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// A single directed-or-bidirectional edge of the road graph, split at
+// intersections so that `from` and `to` are always graph nodes.
+const nodeRefSchema = new mongoose.Schema({
+  nodeId: {
+    type: String,
+    required: [true, 'Node id is required']
+  },
+  coordinates: {
+    type: [Number],
+    required: [true, 'Node coordinates are required'],
+    validate: {
+      validator: function(coords) {
+        return coords.length === 2 &&
+               coords[0] >= -180 && coords[0] <= 180 &&
+               coords[1] >= -90 && coords[1] <= 90;
+      },
+      message: 'Invalid coordinates format'
+    }
+  }
+}, { _id: false });
+
+const roadSegmentSchema = new mongoose.Schema({
+  osmWayId: {
+    type: String,
+    required: [true, 'Source way id is required']
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  highway: {
+    type: String,
+    enum: [
+      'motorway', 'trunk', 'primary', 'secondary', 'tertiary',
+      'unclassified', 'residential', 'service', 'living_street',
+      'motorway_link', 'trunk_link', 'primary_link', 'secondary_link', 'tertiary_link',
+      'pedestrian', 'footway', 'path', 'cycleway', 'track', 'steps', 'other'
+    ],
+    default: 'other'
+  },
+  from: {
+    type: nodeRefSchema,
+    required: true
+  },
+  to: {
+    type: nodeRefSchema,
+    required: true
+  },
+  geometry: {
+    type: {
+      type: String,
+      enum: ['LineString'],
+      default: 'LineString'
+    },
+    coordinates: {
+      type: [[Number]],
+      required: [true, 'Segment geometry is required'],
+      validate: {
+        validator: function(coords) {
+          return Array.isArray(coords) && coords.length >= 2;
+        },
+        message: 'A segment needs at least two points'
+      }
+    }
+  },
+  distance: {
+    type: Number, // Length in meters
+    required: true,
+    min: 0
+  },
+  maxSpeed: {
+    type: Number, // km/h
+    min: 1,
+    max: 160
+  },
+  oneway: {
+    type: Boolean,
+    default: false
+  },
+  modes: {
+    driving: { type: Boolean, default: true },
+    walking: { type: Boolean, default: true },
+    cycling: { type: Boolean, default: true }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient graph loading
+roadSegmentSchema.index({ geometry: '2dsphere' });
+roadSegmentSchema.index({ osmWayId: 1 });
+roadSegmentSchema.index({ 'from.nodeId': 1 });
+roadSegmentSchema.index({ 'to.nodeId': 1 });
+
+module.exports = mongoose.model('RoadSegment', roadSegmentSchema);
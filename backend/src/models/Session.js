@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const REVOKE_REASONS = ['logout', 'signed_out', 'reuse_detected', 'password_changed'];
+
+// One session per signed-in device. The refresh token rotates on every use;
+// only the hash of the current token id is kept, so every earlier token of
+// the same session (its token family) is recognised as a replay.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  device: {
+    browser: { type: String, default: 'Unknown browser' },
+    os: { type: String, default: 'Unknown OS' }
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: [...REVOKE_REASONS, null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+Session.REVOKE_REASONS = REVOKE_REASONS;
+
+module.exports = Session;
@@ -40,6 +40,12 @@ const userSchema = new mongoose.Schema({
     enum: ['citizen', 'authority', 'admin'],
     default: 'citizen'
   },
+  // Administrator who last changed the role, and when; unset for self-registered citizens
+  roleGrantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  roleGrantedAt: Date,
   isVerified: {
     type: Boolean,
     default: false
@@ -48,6 +54,9 @@ const userSchema = new mongoose.Schema({
   verificationTokenExpire: Date,
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  // Hash of the emailed token that lifts a login lockout
+  unlockToken: String,
+  unlockTokenExpire: Date,
   location: {
     type: {
       type: String,
@@ -89,12 +98,55 @@ const userSchema = new mongoose.Schema({
       default: 5,
       min: 1,
       max: 50
+    },
+    // Email summary of incidents within alertRadius, sent by DigestService
+    digest: {
+      type: String,
+      enum: ['off', 'daily', 'weekly'],
+      default: 'off'
     }
   },
+  lastDigestAt: Date,
   isActive: {
     type: Boolean,
     default: true
   },
+  // Reporter credibility, rebuilt from ReputationEvents by ReputationService
+  reputation: {
+    score: {
+      type: Number,
+      default: 50,
+      min: 0,
+      max: 100
+    },
+    level: {
+      type: String,
+      enum: ['new', 'low', 'standard', 'reliable', 'trusted'],
+      default: 'new'
+    },
+    reportsConfirmed: { type: Number, default: 0 },
+    reportsFalse: { type: Number, default: 0 },
+    votesAgreed: { type: Number, default: 0 },
+    votesDisagreed: { type: Number, default: 0 },
+    commentsFlagged: { type: Number, default: 0 },
+    updatedAt: Date
+  },
+  // TOTP second factor; secrets are encrypted and backup codes hashed by TwoFactorService
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    // Secret being enrolled, until the first code confirms it
+    pendingSecret: { type: String, select: false },
+    backupCodes: { type: [String], select: false, default: undefined },
+    // Time step of the last accepted code, so a code cannot be replayed
+    lastUsedStep: { type: Number, select: false },
+    enabledAt: Date
+  },
+  // Areas an authority may act in; authorities without any act everywhere
+  jurisdictions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Jurisdiction'
+  }],
   lastLogin: Date,
   profileImage: String
 }, {
@@ -137,6 +189,7 @@ userSchema.set('toJSON', {
     delete ret.password;
     delete ret.verificationToken;
     delete ret.resetPasswordToken;
+    delete ret.unlockToken;
     return ret;
   }
 });
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const INCIDENT_TYPES = [
+  'theft', 'assault', 'vandalism', 'traffic_accident',
+  'suspicious_activity', 'fire', 'medical_emergency',
+  'natural_disaster', 'road_hazard', 'other'
+];
+
+// Named area a citizen wants to hear about, e.g. home, work or a school
+const watchZoneSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Watch zone owner is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Watch zone name is required'],
+    trim: true,
+    maxlength: [50, 'Watch zone name cannot exceed 50 characters']
+  },
+  // A circle (Point + radius) or a drawn Polygon
+  area: {
+    type: {
+      type: String,
+      enum: ['Point', 'Polygon'],
+      required: true
+    },
+    coordinates: {
+      type: Array,
+      required: [true, 'Watch zone coordinates are required']
+    }
+  },
+  radius: {
+    type: Number, // Kilometres, circles only
+    min: [0.1, 'Radius must be at least 0.1 km'],
+    max: [50, 'Radius cannot exceed 50 km']
+  },
+  // Empty means every incident type
+  types: [{
+    type: String,
+    enum: INCIDENT_TYPES
+  }],
+  minSeverity: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    default: 'low'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastTriggeredAt: Date
+}, {
+  timestamps: true
+});
+
+watchZoneSchema.index({ area: '2dsphere' });
+watchZoneSchema.index({ user: 1, createdAt: 1 });
+
+module.exports = mongoose.model('WatchZone', watchZoneSchema);
@@ -6,10 +6,37 @@ const {
   updateUserStatus,
   deleteUser,
   getSystemStats,
-  getRecentActivity
+  getRecentActivity,
+  getLockouts,
+  unlockUser,
+  getSecurityPolicy,
+  updateSecurityPolicy,
+  getSlaPolicy,
+  updateSlaPolicy,
+  resetSlaPolicy,
+  getAlertApprovalPolicy,
+  updateAlertApprovalPolicy,
+  resetUserTwoFactor,
+  getPushStatus,
+  rotatePushKeys,
+  getPermissions,
+  updateRolePermissions,
+  resetPermissions,
+  getJurisdictions,
+  createJurisdiction,
+  updateJurisdiction,
+  deleteJurisdiction,
+  setUserJurisdictions
 } = require('../controllers/adminController');
-const { protect, authorize } = require('../middleware/auth');
-const { validate, querySchemas } = require('../middleware/validation');
+const {
+  getApplications,
+  getApplication,
+  approveApplication,
+  rejectApplication,
+  downloadDocument
+} = require('../controllers/authorityApplicationController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validate, querySchemas, adminSchemas, authorityApplicationSchemas } = require('../middleware/validation');
 const { authLimiter } = require('../middleware/security');
 
 // Apply rate limiting to admin routes (use auth limiter as fallback)
@@ -18,18 +45,59 @@ router.use(authLimiter);
 // Protect all routes with authentication
 router.use(protect);
 
-// User management routes (Admin and Authority can view)
-router.get('/users', authorize('admin', 'authority'), getAllUsers);
-router.get('/users/:id', authorize('admin', 'authority'), getUserById);
+// User management routes
+router.get('/users', requirePermission('users:view'), getAllUsers);
+router.get('/users/:id', requirePermission('users:view'), getUserById);
+
+// User status management
+router.put('/users/:id/status', requirePermission('users:manage'), updateUserStatus);
+router.delete('/users/:id', requirePermission('users:manage'), deleteUser);
+
+// Authority applications
+router.get('/authority-applications', requirePermission('authorities:review'), validate(authorityApplicationSchemas.list, 'query'), getApplications);
+router.get('/authority-applications/:id', requirePermission('authorities:review'), getApplication);
+router.get('/authority-applications/:id/documents/:documentId', requirePermission('authorities:review'), downloadDocument);
+router.post('/authority-applications/:id/approve', requirePermission('authorities:review'), validate(authorityApplicationSchemas.approve), approveApplication);
+router.post('/authority-applications/:id/reject', requirePermission('authorities:review'), validate(authorityApplicationSchemas.reject), rejectApplication);
+
+// Login lockouts
+router.get('/lockouts', requirePermission('security:manage'), getLockouts);
+router.delete('/users/:id/lockout', requirePermission('security:manage'), unlockUser);
+
+// Security policy and two-factor resets
+router.get('/security-policy', requirePermission('security:manage'), getSecurityPolicy);
+router.put('/security-policy', requirePermission('security:manage'), validate(adminSchemas.securityPolicy), updateSecurityPolicy);
+router.delete('/users/:id/2fa', requirePermission('security:manage'), resetUserTwoFactor);
+
+// Incident SLA targets
+router.get('/sla', requirePermission('sla:manage'), getSlaPolicy);
+router.put('/sla', requirePermission('sla:manage'), validate(adminSchemas.slaPolicy), updateSlaPolicy);
+router.delete('/sla', requirePermission('sla:manage'), resetSlaPolicy);
+
+// Which alerts need approval before they are published
+router.get('/alert-approval', requirePermission('alerts:approve'), getAlertApprovalPolicy);
+router.put('/alert-approval', requirePermission('alerts:approve'), validate(adminSchemas.alertApprovalPolicy), updateAlertApprovalPolicy);
+
+// Web Push keys
+router.get('/push', requirePermission('notifications:manage'), getPushStatus);
+router.post('/push/rotate-keys', requirePermission('notifications:manage'), rotatePushKeys);
+
+// Role permissions
+router.get('/permissions', requirePermission('permissions:manage'), getPermissions);
+router.put('/permissions/:role', requirePermission('permissions:manage'), validate(adminSchemas.rolePermissions), updateRolePermissions);
+router.delete('/permissions', requirePermission('permissions:manage'), resetPermissions);
 
-// User status management (Admin only)
-router.put('/users/:id/status', authorize('admin'), updateUserStatus);
-router.delete('/users/:id', authorize('admin'), deleteUser);
+// Jurisdictions and authority assignments
+router.get('/jurisdictions', requirePermission('jurisdictions:manage'), getJurisdictions);
+router.post('/jurisdictions', requirePermission('jurisdictions:manage'), validate(adminSchemas.jurisdiction), createJurisdiction);
+router.put('/jurisdictions/:id', requirePermission('jurisdictions:manage'), validate(adminSchemas.jurisdictionUpdate), updateJurisdiction);
+router.delete('/jurisdictions/:id', requirePermission('jurisdictions:manage'), deleteJurisdiction);
+router.put('/users/:id/jurisdictions', requirePermission('jurisdictions:manage'), validate(adminSchemas.userJurisdictions), setUserJurisdictions);
 
-// System statistics (Admin and Authority can view)
-router.get('/statistics', authorize('admin', 'authority'), getSystemStats);
+// System statistics
+router.get('/statistics', requirePermission('system:statistics'), getSystemStats);
 
-// Activity logs (Admin only)
-router.get('/activity', authorize('admin'), getRecentActivity);
+// Activity logs
+router.get('/activity', requirePermission('system:activity'), getRecentActivity);
 
 module.exports = router;
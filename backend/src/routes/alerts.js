@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validate, alertSchemas } = require('../middleware/validation');
 const {
   createAlert,
   getAlerts,
@@ -10,11 +11,16 @@ const {
   deleteAlert,
   markAlertAsRead,
   getNearbyAlerts,
-  getAlertStats
+  getAlertStats,
+  getApprovalQueue,
+  submitAlert,
+  approveAlert,
+  rejectAlert,
+  handleSmsReceipt
 } = require('../controllers/alertController');
 
-// Create alert (authority or admin)
-router.post('/', protect, authorize('authority', 'admin'), createAlert);
+// Create alert
+router.post('/', protect, requirePermission('alerts:broadcast'), createAlert);
 
 // List alerts
 router.get('/', protect, getAlerts);
@@ -22,17 +28,28 @@ router.get('/', protect, getAlerts);
 // Nearby alerts
 router.get('/nearby', protect, getNearbyAlerts);
 
-// Stats (authority/admin)
-router.get('/stats', protect, authorize('authority', 'admin'), getAlertStats);
+// Stats
+router.get('/stats', protect, requirePermission('alerts:view_stats'), getAlertStats);
+
+// Alerts awaiting approval
+router.get('/approvals', protect, requirePermission('alerts:approve'), getApprovalQueue);
+
+// SMS delivery receipts; verified by the provider's signature instead of a login
+router.post('/sms/receipts', handleSmsReceipt);
 
 // Single alert
 router.get('/:id', protect, getAlertById);
-router.put('/:id', protect, updateAlert);
+router.put('/:id', protect, validate(alertSchemas.update), updateAlert);
 router.delete('/:id', protect, deleteAlert);
 
 // Mark read
 router.post('/:id/mark-read', protect, markAlertAsRead);
 
+// Approval workflow
+router.post('/:id/submit', protect, requirePermission('alerts:broadcast'), submitAlert);
+router.post('/:id/approve', protect, requirePermission('alerts:approve'), validate(alertSchemas.approve), approveAlert);
+router.post('/:id/reject', protect, requirePermission('alerts:approve'), validate(alertSchemas.reject), rejectAlert);
+
 module.exports = router;
 
 
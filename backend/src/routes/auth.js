@@ -3,17 +3,43 @@ const router = express.Router();
 const {
   register,
   login,
+  verifyTwoFactorLogin,
   getMe,
   updateProfile,
   changePassword,
   verifyEmail,
   forgotPassword,
   resetPassword,
-  logout
+  logout,
+  requestUnlock,
+  unlockAccount,
+  refresh,
+  getSessions,
+  revokeSession
 } = require('../controllers/authController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes
+} = require('../controllers/twoFactorController');
+const {
+  getWatchZones,
+  createWatchZone,
+  updateWatchZone,
+  deleteWatchZone
+} = require('../controllers/watchZoneController');
+const {
+  submitApplication,
+  getMyApplication,
+  withdrawApplication,
+  downloadDocument
+} = require('../controllers/authorityApplicationController');
 const { protect } = require('../middleware/auth');
-const { validate, userSchemas, authAuxSchemas } = require('../middleware/validation');
+const { validate, userSchemas, authAuxSchemas, watchZoneSchemas, authorityApplicationSchemas } = require('../middleware/validation');
 const { authLimiter } = require('../middleware/security');
+const { parseDocumentUpload } = require('../middleware/upload');
 
 // Apply rate limiting to auth routes
 router.use(authLimiter);
@@ -21,9 +47,13 @@ router.use(authLimiter);
 // Public routes
 router.post('/register', validate(userSchemas.register), register);
 router.post('/login', validate(userSchemas.login), login);
+router.post('/2fa/verify', validate(authAuxSchemas.twoFactorLogin), verifyTwoFactorLogin);
 router.post('/verify-email', validate(authAuxSchemas.verifyEmail), verifyEmail);
 router.post('/forgot-password', validate(authAuxSchemas.forgotPassword), forgotPassword);
 router.post('/reset-password', validate(authAuxSchemas.resetPassword), resetPassword);
+router.post('/unlock-request', validate(authAuxSchemas.requestUnlock), requestUnlock);
+router.post('/unlock', validate(authAuxSchemas.unlock), unlockAccount);
+router.post('/refresh', validate(authAuxSchemas.refresh), refresh);
 
 // Protected routes
 router.use(protect); // All routes below this are protected
@@ -33,5 +63,26 @@ router.get('/profile', getMe); // Add GET /profile endpoint
 router.put('/profile', validate(userSchemas.updateProfile), updateProfile);
 router.put('/change-password', validate(userSchemas.changePassword), changePassword);
 router.post('/logout', logout);
+router.get('/sessions', getSessions);
+router.delete('/sessions/:id', revokeSession);
+
+// Two-factor authentication
+router.get('/2fa', getTwoFactorStatus);
+router.post('/2fa/setup', setupTwoFactor);
+router.post('/2fa/enable', validate(authAuxSchemas.twoFactorCode), enableTwoFactor);
+router.post('/2fa/disable', validate(authAuxSchemas.twoFactorDisable), disableTwoFactor);
+router.post('/2fa/backup-codes', validate(authAuxSchemas.twoFactorCode), regenerateBackupCodes);
+
+// Watch zones
+router.get('/watch-zones', getWatchZones);
+router.post('/watch-zones', validate(watchZoneSchemas.create), createWatchZone);
+router.put('/watch-zones/:id', validate(watchZoneSchemas.update), updateWatchZone);
+router.delete('/watch-zones/:id', deleteWatchZone);
+
+// Applying for the authority role
+router.get('/authority-application', getMyApplication);
+router.post('/authority-application', parseDocumentUpload, validate(authorityApplicationSchemas.apply), submitApplication);
+router.delete('/authority-application', withdrawApplication);
+router.get('/authority-application/:id/documents/:documentId', downloadDocument);
 
 module.exports = router;
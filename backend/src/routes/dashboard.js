@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const {
   getDashboardOverview,
   getSafetyMetrics,
@@ -19,9 +19,8 @@ router.get('/overview', protect, getDashboardOverview);
 
 // @route   GET /api/dashboard/safety-metrics
 // @desc    Get safety metrics for dashboard
-// @access  Private
-// Citizens should not access safety metrics
-router.get('/safety-metrics', protect, authorize('admin', 'authority'), getSafetyMetrics);
+// @access  Private (analytics:view)
+router.get('/safety-metrics', protect, requirePermission('analytics:view'), getSafetyMetrics);
 
 // @route   GET /api/dashboard/metrics
 // @desc    Get real-time dashboard metrics
@@ -35,20 +34,18 @@ router.get('/feed', protect, getIncidentFeed);
 
 // @route   GET /api/dashboard/analytics
 // @desc    Get incident analytics data (legacy)
-// @access  Private (Admin/Authority)
-// Limit analytics to admin/authority
-router.get('/analytics', protect, authorize('admin', 'authority'), getAnalytics);
+// @access  Private (analytics:view)
+router.get('/analytics', protect, requirePermission('analytics:view'), getAnalytics);
 
 // @route   GET /api/dashboard/enhanced-analytics
 // @desc    Get enhanced analytics using AnalyticsService
-// @access  Private (Admin/Authority)
-router.get('/enhanced-analytics', protect, authorize('admin', 'authority'), getEnhancedAnalytics);
+// @access  Private (analytics:view)
+router.get('/enhanced-analytics', protect, requirePermission('analytics:view'), getEnhancedAnalytics);
 
 // @route   GET /api/dashboard/reports
 // @desc    Get reports data
-// @access  Private
-// Reports restricted to admin only per test expectations
-router.get('/reports', protect, authorize('admin'), getReports);
+// @access  Private (analytics:system)
+router.get('/reports', protect, requirePermission('analytics:system'), getReports);
 
 // @route   GET /api/dashboard/nearby
 // @desc    Get nearby incidents and alerts for dashboard
@@ -109,7 +106,7 @@ router.get('/nearby', protect, async (req, res) => {
 
 // @route   POST /api/dashboard/cache/clear
 // @desc    Clear metrics cache
-// @access  Private (Admin only)
-router.post('/cache/clear', protect, authorize('admin'), clearMetricsCache);
+// @access  Private (system:cache)
+router.post('/cache/clear', protect, requirePermission('system:cache'), clearMetricsCache);
 
 module.exports = router;
@@ -8,12 +8,42 @@ const {
   exportAnalyticsReport,
   createDatabaseBackup,
   listBackups,
+  getBackup,
+  dryRunRestore,
+  restoreBackup,
   getDatabaseHealth,
   exportCollectionCSV,
-  cleanupOldBackups
+  cleanupOldBackups,
+  createExportJob,
+  getExportJobs,
+  getExportJob,
+  downloadExportJob,
+  deleteExportJob
 } = require('../controllers/exportController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const { exportLimiter } = require('../middleware/security');
+const { validate, backupSchemas, exportSchemas } = require('../middleware/validation');
+
+// Polling and downloading export jobs is not rate limited; queueing them is
+// @route   GET /api/export/jobs
+// @desc    List the current user's export jobs
+// @access  Private
+router.get('/jobs', protect, getExportJobs);
+
+// @route   GET /api/export/jobs/:id
+// @desc    Get an export job's status and progress
+// @access  Private (owner)
+router.get('/jobs/:id', protect, getExportJob);
+
+// @route   GET /api/export/jobs/:id/download
+// @desc    Download a completed export
+// @access  Private (owner)
+router.get('/jobs/:id/download', protect, downloadExportJob);
+
+// @route   DELETE /api/export/jobs/:id
+// @desc    Delete an export job and its file
+// @access  Private (owner)
+router.delete('/jobs/:id', protect, deleteExportJob);
 
 // Apply rate limiting to export endpoints
 router.use(exportLimiter);
@@ -24,52 +54,72 @@ router.use(protect);
 // Backward compatible CSV-only endpoint
 // @route   GET /api/export/incidents/csv
 // @desc    Export incidents to CSV
-// @access  Private (Admin/Authority)
-router.get('/incidents/csv', authorize('admin', 'authority'), exportIncidentsCSV);
+// @access  Private (export:incidents)
+router.get('/incidents/csv', requirePermission('export:incidents'), exportIncidentsCSV);
 
 // Unified incidents export with format & filters
 // @route   GET /api/export/incidents
-// @access  Private (Admin/Authority)
-router.get('/incidents', authorize('admin', 'authority'), exportIncidents);
+// @access  Private (export:incidents)
+router.get('/incidents', requirePermission('export:incidents'), exportIncidents);
 
 // Alerts export
 // @route   GET /api/export/alerts
-// @access  Private (Admin/Authority)
-router.get('/alerts', authorize('admin', 'authority'), exportAlerts);
+// @access  Private (export:alerts)
+router.get('/alerts', requirePermission('export:alerts'), exportAlerts);
+
+// @route   POST /api/export/jobs
+// @desc    Queue a background export of incidents, alerts or users
+// @access  Private (export permission of the type)
+router.post('/jobs', validate(exportSchemas.createJob), createExportJob);
 
 // @route   GET /api/export/analytics/report
-// @desc    Export analytics report (JSON/CSV)
-// @access  Private (Admin/Authority)
-router.get('/analytics/report', authorize('admin', 'authority'), exportAnalyticsReport);
+// @desc    Export analytics report (JSON/CSV/PDF)
+// @access  Private (export:analytics)
+router.get('/analytics/report', requirePermission('export:analytics'), exportAnalyticsReport);
 
 // @route   GET /api/export/health
 // @desc    Get database health status
-// @access  Private (Admin/Authority)
-router.get('/health', authorize('admin', 'authority'), getDatabaseHealth);
+// @access  Private (system:health)
+router.get('/health', requirePermission('system:health'), getDatabaseHealth);
 
 // @route   GET /api/export/:collection/csv
 // @desc    Export any collection to CSV
-// @access  Private (Admin only)
-router.get('/:collection/csv', authorize('admin'), exportCollectionCSV);
+// @access  Private (export:collections)
+router.get('/:collection/csv', requirePermission('export:collections'), exportCollectionCSV);
 
 // Users export
 // @route   GET /api/export/users
-// @access  Private (Admin only)
-router.get('/users', authorize('admin'), exportUsers);
+// @access  Private (export:users)
+router.get('/users', requirePermission('export:users'), exportUsers);
 
 // @route   POST /api/export/backup
 // @desc    Create database backup
-// @access  Private (Admin only)
-router.post('/backup', authorize('admin'), createDatabaseBackup);
+// @access  Private (backups:manage)
+router.post('/backup', requirePermission('backups:manage'), validate(backupSchemas.create), createDatabaseBackup);
 
 // @route   GET /api/export/backups
 // @desc    List available backups
-// @access  Private (Admin only)
-router.get('/backups', authorize('admin'), listBackups);
+// @access  Private (backups:manage)
+router.get('/backups', requirePermission('backups:manage'), listBackups);
 
 // @route   DELETE /api/export/backups/cleanup
 // @desc    Cleanup old backups
-// @access  Private (Admin only)
-router.delete('/backups/cleanup', authorize('admin'), cleanupOldBackups);
+// @access  Private (backups:manage)
+router.delete('/backups/cleanup', requirePermission('backups:manage'), cleanupOldBackups);
+
+// @route   GET /api/export/backups/:name
+// @desc    Get a backup and the chain of backups it restores from
+// @access  Private (backups:manage)
+router.get('/backups/:name', requirePermission('backups:manage'), getBackup);
+
+// @route   POST /api/export/backups/:name/dry-run
+// @desc    Validate a restore and report invalid and conflicting documents
+// @access  Private (backups:manage)
+router.post('/backups/:name/dry-run', requirePermission('backups:manage'), validate(backupSchemas.dryRun), dryRunRestore);
+
+// @route   POST /api/export/backups/:name/restore
+// @desc    Restore collections from a backup
+// @access  Private (backups:restore)
+router.post('/backups/:name/restore', requirePermission('backups:restore'), validate(backupSchemas.restore), restoreBackup);
 
 module.exports = router;
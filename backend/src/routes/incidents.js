@@ -5,6 +5,12 @@ const {
   getIncident,
   createIncident,
   updateIncident,
+  getIncidentHistory,
+  getIncidentTrust,
+  mergeIncidents,
+  assignIncident,
+  unassignIncident,
+  getWorkQueue,
   deleteIncident,
   voteOnIncident,
   getNearbyIncidents,
@@ -14,12 +20,25 @@ const {
   generateIncidentReport,
   trackIncidentEngagement
 } = require('../controllers/incidentController');
-const { protect, authorize, optionalAuth } = require('../middleware/auth');
-const { validate, incidentSchemas, querySchemas } = require('../middleware/validation');
-const { incidentLimiter } = require('../middleware/security');
-
-// Apply rate limiting to incident creation
-router.use('/create', incidentLimiter);
+const {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  flagComment,
+  moderateComment,
+  getFlaggedComments
+} = require('../controllers/commentController');
+const {
+  uploadEvidence,
+  getEvidence,
+  deleteEvidence,
+  getEvidenceUsage
+} = require('../controllers/evidenceController');
+const { protect, requirePermission, optionalAuth } = require('../middleware/auth');
+const { validate, incidentSchemas, commentSchemas, querySchemas } = require('../middleware/validation');
+const { incidentLimiter, secureFileUpload } = require('../middleware/security');
+const { parseEvidenceUpload } = require('../middleware/upload');
 
 // Public routes (with optional auth) - allow controller to handle missing coords message
 router.get('/nearby', optionalAuth, getNearbyIncidents);
@@ -29,19 +48,40 @@ router.use(protect);
 
 // Regular user routes
 router.get('/', validate(querySchemas.pagination, 'query'), getIncidents);
-router.get('/stats', authorize('admin', 'authority'), getIncidentStats);
+router.get('/stats', requirePermission('analytics:view'), getIncidentStats);
 
-// Analytics and reporting routes (Admin/Authority only)
-router.get('/analytics', authorize('admin', 'authority'), getIncidentAnalytics);
+// Analytics and reporting routes
+router.get('/analytics', requirePermission('analytics:view'), getIncidentAnalytics);
 router.get('/hotspots', getIncidentHotspots);
-router.get('/reports', authorize('admin', 'authority'), generateIncidentReport);
+router.get('/reports', requirePermission('analytics:view'), generateIncidentReport);
+router.get('/comments/flagged', requirePermission('comments:moderate'), getFlaggedComments);
+router.get('/evidence/usage', getEvidenceUsage);
+router.get('/queue', requirePermission('incidents:assign'), validate(querySchemas.workQueue, 'query'), getWorkQueue);
 
 // Individual incident routes
 router.get('/:id', getIncident);
-router.post('/', validate(incidentSchemas.create), createIncident);
+router.post('/', incidentLimiter, validate(incidentSchemas.create), createIncident);
 router.put('/:id', validate(incidentSchemas.update), updateIncident);
+router.get('/:id/history', getIncidentHistory);
+router.get('/:id/trust', requirePermission('incidents:view_trust'), getIncidentTrust);
+router.post('/:id/merge', requirePermission('incidents:merge'), validate(incidentSchemas.merge), mergeIncidents);
+router.post('/:id/assign', requirePermission('incidents:assign'), validate(incidentSchemas.assign), assignIncident);
+router.delete('/:id/assign', requirePermission('incidents:assign'), unassignIncident);
 router.delete('/:id', deleteIncident);
 router.post('/:id/vote', validate(incidentSchemas.vote), voteOnIncident);
 router.post('/:id/engage', trackIncidentEngagement);
 
+// Comment threads
+router.get('/:id/comments', getComments);
+router.post('/:id/comments', validate(commentSchemas.create), createComment);
+router.put('/:id/comments/:commentId', validate(commentSchemas.update), updateComment);
+router.delete('/:id/comments/:commentId', deleteComment);
+router.post('/:id/comments/:commentId/flag', validate(commentSchemas.flag), flagComment);
+router.put('/:id/comments/:commentId/moderation', requirePermission('comments:moderate'), validate(commentSchemas.moderate), moderateComment);
+
+// Evidence uploads
+router.get('/:id/evidence', getEvidence);
+router.post('/:id/evidence', parseEvidenceUpload, secureFileUpload, uploadEvidence);
+router.delete('/:id/evidence/:evidenceId', deleteEvidence);
+
 module.exports = router;
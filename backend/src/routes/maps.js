@@ -14,6 +14,8 @@ const {
 const Incident = require('../models/Incident');
 const Alert = require('../models/Alert');
 const Location = require('../models/Location');
+const RoutingService = require('../services/routingService');
+const { routeToGpx } = require('../utils/gisFormats');
 const logger = require('../config/logger');
 
 /**
@@ -244,50 +246,58 @@ router.get('/nearest-city', validateCoordinatesMiddleware, async (req, res, next
 });
 
 /**
- * Calculate safe route (placeholder for Google Maps Directions API integration)
+ * Calculate safety-weighted route over the imported road graph
  * POST /api/maps/route
+ * ?format=gpx returns the route as a GPX file for patrol GPS units
  */
 router.post('/route', validateRouteMiddleware, async (req, res, next) => {
   try {
     const { origin, destination, waypoints } = req.validatedRoute;
     const { avoidHighRiskAreas = true, travelMode = 'driving' } = req.body;
-    
-    // This is a placeholder implementation
-    // In production, you would integrate with Google Maps Directions API
-    // or implement your own routing algorithm that considers safety factors
-    
+
+    const result = await RoutingService.calculateRoute({
+      origin,
+      destination,
+      waypoints,
+      travelMode,
+      avoidHighRiskAreas
+    });
+
     const route = {
       origin,
       destination,
       waypoints,
       travelMode,
       avoidHighRiskAreas,
-      distance: '0 km', // Placeholder
-      duration: '0 min', // Placeholder
-      steps: [], // Placeholder
+      ...result,
       warnings: [],
       calculatedAt: new Date()
     };
-    
-    // Add safety warnings based on incidents in the area
-    if (avoidHighRiskAreas) {
-      const originQuery = createGeospatialQuery(origin.coordinates[1], origin.coordinates[0], 5);
-      const destinationQuery = createGeospatialQuery(destination.coordinates[1], destination.coordinates[0], 5);
-      
-      const [originIncidents, destinationIncidents] = await Promise.all([
-        Incident.find({ ...originQuery, severity: { $in: ['high', 'critical'] } }).countDocuments(),
-        Incident.find({ ...destinationQuery, severity: { $in: ['high', 'critical'] } }).countDocuments()
-      ]);
-      
-      if (originIncidents > 0) {
-        route.warnings.push(`High-risk area near origin: ${originIncidents} recent incidents`);
-      }
-      
-      if (destinationIncidents > 0) {
-        route.warnings.push(`High-risk area near destination: ${destinationIncidents} recent incidents`);
+
+    // Summarise risky stretches the route could not avoid
+    const riskySegments = result.segments.filter(segment => ['high', 'critical'].includes(segment.riskLevel));
+    if (riskySegments.length > 0) {
+      const riskyDistance = riskySegments.reduce((sum, segment) => sum + segment.distance, 0);
+      const incidentCount = riskySegments.reduce((sum, segment) => sum + segment.incidentCount, 0);
+      route.warnings.push(
+        `Route passes through ${(riskyDistance / 1000).toFixed(1)} km of high-risk area (${incidentCount} recent incidents)`
+      );
+    }
+
+    result.snapping.forEach((snap, i) => {
+      if (snap.distance > 200) {
+        const label = i === 0 ? 'Origin' : i === result.snapping.length - 1 ? 'Destination' : `Waypoint ${i}`;
+        route.warnings.push(`${label} is ${snap.distance} m from the nearest mapped road`);
       }
+    });
+
+    if (req.query.format === 'gpx') {
+      const timestamp = route.calculatedAt.toISOString().slice(0, 19).replace(/[:.]/g, '-');
+      res.setHeader('Content-Type', 'application/gpx+xml');
+      res.setHeader('Content-Disposition', `attachment; filename="route_${timestamp}.gpx"`);
+      return res.send(routeToGpx(route, typeof req.body.name === 'string' ? req.body.name : undefined));
     }
-    
+
     res.json({
       success: true,
       data: route
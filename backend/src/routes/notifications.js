@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { validate, notificationSchemas } = require('../middleware/validation');
+const {
+  getVapidPublicKey,
+  getSubscriptions,
+  subscribe,
+  unsubscribe,
+  getNotifications,
+  getUnreadCount,
+  updateNotification,
+  markRead,
+  markUnread,
+  archive,
+  unarchive
+} = require('../controllers/notificationController');
+
+// @route   GET /api/notifications/vapid-public-key
+// @desc    VAPID public key for PushManager.subscribe
+// @access  Public
+router.get('/vapid-public-key', getVapidPublicKey);
+
+// @route   GET /api/notifications/subscriptions
+// @desc    List the user's push subscriptions
+// @access  Private
+router.get('/subscriptions', protect, getSubscriptions);
+
+// @route   POST /api/notifications/subscriptions
+// @desc    Save this browser's push subscription
+// @access  Private
+router.post('/subscriptions', protect, validate(notificationSchemas.subscribe), subscribe);
+
+// @route   DELETE /api/notifications/subscriptions
+// @desc    Remove this browser's push subscription
+// @access  Private
+router.delete('/subscriptions', protect, validate(notificationSchemas.unsubscribe), unsubscribe);
+
+// @route   GET /api/notifications
+// @desc    The user's notification inbox, newest first
+// @access  Private
+router.get('/', protect, validate(notificationSchemas.inbox, 'query'), getNotifications);
+
+// @route   GET /api/notifications/unread-count
+// @desc    Number of unread notifications in the inbox
+// @access  Private
+router.get('/unread-count', protect, getUnreadCount);
+
+// @route   POST /api/notifications/mark-read
+// @desc    Mark notifications, or the whole inbox, read
+// @access  Private
+router.post('/mark-read', protect, validate(notificationSchemas.bulk), markRead);
+
+// @route   POST /api/notifications/mark-unread
+// @desc    Mark notifications unread
+// @access  Private
+router.post('/mark-unread', protect, validate(notificationSchemas.bulk), markUnread);
+
+// @route   POST /api/notifications/archive
+// @desc    Archive notifications, or the whole inbox
+// @access  Private
+router.post('/archive', protect, validate(notificationSchemas.bulk), archive);
+
+// @route   POST /api/notifications/unarchive
+// @desc    Move archived notifications back to the inbox
+// @access  Private
+router.post('/unarchive', protect, validate(notificationSchemas.bulk), unarchive);
+
+// @route   PATCH /api/notifications/:id
+// @desc    Mark one notification read/unread or archive it
+// @access  Private
+router.patch('/:id', protect, validate(notificationSchemas.update), updateNotification);
+
+module.exports = router;
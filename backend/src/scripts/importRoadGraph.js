@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const RoadSegment = require('../models/RoadSegment');
+const { calculateDistance } = require('../utils/locationUtils');
+require('dotenv').config();
+
+// Usage: node src/scripts/importRoadGraph.js <overpass-export.json> [--clear]
+//
+// Expects an Overpass API JSON export containing highway ways and their nodes, e.g.
+//   [out:json]; way[highway](-26.25,27.95,-26.10,28.15); (._;>;); out body;
+
+const ROUTABLE_HIGHWAYS = new Set([
+  'motorway', 'trunk', 'primary', 'secondary', 'tertiary',
+  'unclassified', 'residential', 'service', 'living_street',
+  'motorway_link', 'trunk_link', 'primary_link', 'secondary_link', 'tertiary_link',
+  'pedestrian', 'footway', 'path', 'cycleway', 'track', 'steps'
+]);
+
+const NON_MOTORISED = new Set(['pedestrian', 'footway', 'path', 'cycleway', 'steps']);
+const NO_FOOT = new Set(['motorway', 'motorway_link', 'trunk', 'trunk_link']);
+
+const BATCH_SIZE = 1000;
+
+// Parse OSM maxspeed values such as "60", "60 mph" or "ZA:urban"
+const parseMaxSpeed = (value) => {
+  if (!value) {return undefined;}
+  const match = String(value).match(/^(\d+(?:\.\d+)?)\s*(mph)?$/i);
+  if (!match) {return undefined;}
+  const speed = Number(match[1]) * (match[2] ? 1.609 : 1);
+  return speed >= 1 && speed <= 160 ? Math.round(speed) : undefined;
+};
+
+const isDenied = (tag) => ['no', 'private'].includes(tag);
+
+const getModes = (tags) => {
+  const highway = tags.highway;
+  return {
+    driving: !NON_MOTORISED.has(highway) && !isDenied(tags.motor_vehicle) && !isDenied(tags.access),
+    walking: !NO_FOOT.has(highway) && !isDenied(tags.foot),
+    cycling: !NO_FOOT.has(highway) && highway !== 'steps' && !isDenied(tags.bicycle)
+  };
+};
+
+// Split ways into edges at every node shared with another way (intersections)
+const buildSegments = (elements) => {
+  const nodes = new Map();
+  const ways = [];
+
+  elements.forEach(element => {
+    if (element.type === 'node') {
+      nodes.set(element.id, [element.lon, element.lat]);
+    } else if (element.type === 'way' && element.tags && ROUTABLE_HIGHWAYS.has(element.tags.highway)) {
+      ways.push(element);
+    }
+  });
+
+  const usage = new Map();
+  ways.forEach(way => {
+    way.nodes.forEach(nodeId => usage.set(nodeId, (usage.get(nodeId) || 0) + 1));
+  });
+
+  const segments = [];
+  ways.forEach(way => {
+    const tags = way.tags;
+    let nodeIds = way.nodes.filter(nodeId => nodes.has(nodeId));
+    let oneway = ['yes', 'true', '1'].includes(tags.oneway) || tags.junction === 'roundabout';
+    if (tags.oneway === '-1') {
+      nodeIds = [...nodeIds].reverse();
+      oneway = true;
+    }
+    if (nodeIds.length < 2) {return;}
+
+    let start = 0;
+    for (let i = 1; i < nodeIds.length; i++) {
+      const isBoundary = i === nodeIds.length - 1 || usage.get(nodeIds[i]) > 1;
+      if (!isBoundary) {continue;}
+
+      const coordinates = nodeIds.slice(start, i + 1).map(nodeId => nodes.get(nodeId));
+      const distance = coordinates.slice(1).reduce((sum, coord, j) => {
+        const prev = coordinates[j];
+        return sum + calculateDistance(prev[1], prev[0], coord[1], coord[0]) * 1000;
+      }, 0);
+
+      segments.push({
+        osmWayId: String(way.id),
+        name: tags.name || tags.ref,
+        highway: tags.highway,
+        from: { nodeId: String(nodeIds[start]), coordinates: coordinates[0] },
+        to: { nodeId: String(nodeIds[i]), coordinates: coordinates[coordinates.length - 1] },
+        geometry: { type: 'LineString', coordinates },
+        distance: Math.round(distance * 10) / 10,
+        maxSpeed: parseMaxSpeed(tags.maxspeed),
+        oneway,
+        modes: getModes(tags)
+      });
+      start = i;
+    }
+  });
+
+  return segments;
+};
+
+async function importRoadGraph() {
+  try {
+    const [file, ...flags] = process.argv.slice(2);
+    if (!file) {
+      console.log('Usage: node src/scripts/importRoadGraph.js <overpass-export.json> [--clear]');
+      process.exit(1);
+    }
+
+    const raw = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    const segments = buildSegments(raw.elements || []);
+    if (segments.length === 0) {
+      console.log('No routable highway ways found in export.');
+      process.exit(1);
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    if (flags.includes('--clear')) {
+      const { deletedCount } = await RoadSegment.deleteMany({});
+      console.log(`Removed ${deletedCount} existing road segments.`);
+    } else {
+      // Re-importing the same extract replaces the ways it contains
+      const wayIds = Array.from(new Set(segments.map(segment => segment.osmWayId)));
+      await RoadSegment.deleteMany({ osmWayId: { $in: wayIds } });
+    }
+
+    let inserted = 0;
+    for (let i = 0; i < segments.length; i += BATCH_SIZE) {
+      const batch = await RoadSegment.insertMany(segments.slice(i, i + BATCH_SIZE), { ordered: false });
+      inserted += batch.length;
+    }
+    await RoadSegment.syncIndexes();
+
+    console.log(`Imported ${inserted} road segments.`);
+    process.exit(0);
+  } catch (err) {
+    console.error('Error importing road graph:', err);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  importRoadGraph();
+}
+
+module.exports = { importRoadGraph, buildSegments };
@@ -2,6 +2,11 @@ const app = require('./app');
 const { connectDB, createIndexes } = require('./config/database');
 const logger = require('./config/logger');
 const { initializeSocket } = require('./config/socket');
+const SlaService = require('./services/slaService');
+const DigestService = require('./services/digestService');
+const ExportJobService = require('./services/exportJobService');
+const PushService = require('./services/pushService');
+const AlertDeliveryService = require('./services/alertDeliveryService');
 
 // Connect to database and create indexes
 const initializeDatabase = async () => {
@@ -30,15 +35,38 @@ const server = app.listen(PORT, () => {
 });
 
 // Initialize Socket.io
-const { io, broadcastIncident, broadcastAlert, getConnectedUsers, getUserCount } = initializeSocket(server);
+const {
+  io,
+  broadcastIncident,
+  broadcastAlert,
+  broadcastToUsers,
+  broadcastIncidentComment,
+  broadcastNotification,
+  broadcastDashboardUpdate,
+  getConnectedUsers,
+  getUserCount
+} = initializeSocket(server);
 
 // Make Socket.io instance available globally for use in controllers
 global.io = io;
 global.broadcastIncident = broadcastIncident;
 global.broadcastAlert = broadcastAlert;
+global.broadcastToUsers = broadcastToUsers;
+global.broadcastIncidentComment = broadcastIncidentComment;
+global.broadcastNotification = broadcastNotification;
+global.broadcastDashboardUpdate = broadcastDashboardUpdate;
 global.getConnectedUsers = getConnectedUsers;
 global.getUserCount = getUserCount;
 
+// Warn dashboards about incidents close to missing their SLA
+SlaService.startMonitor();
+
+// Email daily and weekly incident digests
+DigestService.startScheduler();
+
+// Run queued export jobs and purge expired export files
+ExportJobService.startWorker();
+
 // Handle server errors
 server.on('error', (error) => {
   if (error.code === 'EADDRINUSE') {
@@ -55,9 +83,17 @@ server.on('error', (error) => {
 const gracefulShutdown = () => {
   logger.info('Received shutdown signal. Starting graceful shutdown...');
 
-  server.close(() => {
+  SlaService.stopMonitor();
+  DigestService.stopScheduler();
+  ExportJobService.stopWorker();
+
+  server.close(async () => {
     logger.info('HTTP server closed');
 
+    // Let background push and email sends finish recording their outcomes
+    await PushService.drain();
+    await AlertDeliveryService.drain();
+
     // Close database connection
     require('mongoose').connection.close(false, () => {
       logger.info('Database connection closed');
@@ -0,0 +1,330 @@
+const Alert = require('../models/Alert');
+const Setting = require('../models/Setting');
+const User = require('../models/User');
+const AlertDeliveryService = require('./alertDeliveryService');
+const NotificationService = require('./notificationService');
+const PermissionService = require('./permissionService');
+const { AppError, ERROR_CODES, ERROR_SEVERITY } = require('../utils/errorHandler');
+const logger = require('../config/logger');
+
+const POLICY_KEY = 'alert_approval_policy';
+const CACHE_TTL_MS = 60 * 1000;
+const APPROVE = 'alerts:approve';
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent', 'critical'];
+
+// Statuses of alerts nobody has been sent yet
+const UNPUBLISHED_STATUSES = ['draft', 'pending_approval', 'approved', 'rejected'];
+
+// Statuses the creator can still edit and submit
+const EDITABLE_STATUSES = ['draft', 'rejected'];
+
+// Fields that can change once an alert is on its way without another review
+const LIFECYCLE_FIELDS = ['expiresAt', 'isActive'];
+
+let cached = null;
+let cachedAt = 0;
+
+const invalidTransition = (message) => new AppError(
+  message,
+  409,
+  ERROR_CODES.INVALID_STATUS_TRANSITION,
+  ERROR_SEVERITY.LOW
+);
+
+/**
+ * Alert publication workflow. Alerts from the roles in the approval policy
+ * at or above its priority threshold wait in a queue until someone with
+ * 'alerts:approve' approves them; only then are they delivered. The policy
+ * is a Setting, defaulting to ALERT_APPROVAL_MIN_PRIORITY (unset: no alert
+ * needs approval).
+ */
+class AlertApprovalService {
+  static getDefaults() {
+    const minPriority = process.env.ALERT_APPROVAL_MIN_PRIORITY;
+    return {
+      minPriority: PRIORITIES.includes(minPriority) ? minPriority : null,
+      roles: ['authority']
+    };
+  }
+
+  /**
+   * Current approval policy
+   * @returns {Object} { minPriority, roles }
+   */
+  static async getPolicy() {
+    if (cached && Date.now() - cachedAt < CACHE_TTL_MS) {return cached;}
+
+    const setting = await Setting.findOne({ key: POLICY_KEY }).lean();
+    cached = { ...this.getDefaults(), ...(setting ? setting.value : {}) };
+    cachedAt = Date.now();
+    return cached;
+  }
+
+  /**
+   * Change the approval policy
+   * @param {Object} changes - { minPriority, roles }
+   * @param {string} userId - Administrator making the change
+   */
+  static async updatePolicy(changes, userId) {
+    const value = { ...(await this.getPolicy()), ...changes };
+
+    await Setting.updateOne(
+      { key: POLICY_KEY },
+      { $set: { value, updatedBy: userId } },
+      { upsert: true }
+    );
+
+    this.clearCache();
+    return this.getPolicy();
+  }
+
+  static clearCache() {
+    cached = null;
+    cachedAt = 0;
+  }
+
+  /**
+   * Whether an alert by this user has to be approved before it is published.
+   * Approvers never need a second pair of eyes on their own alerts.
+   */
+  static async requiresApproval(alert, user) {
+    const policy = await this.getPolicy();
+    if (!policy.minPriority || !policy.roles.includes(user.role)) {return false;}
+    if (PermissionService.can(user, APPROVE)) {return false;}
+
+    return PRIORITIES.indexOf(alert.priority) >= PRIORITIES.indexOf(policy.minPriority);
+  }
+
+  static isUnpublished(alert) {
+    return UNPUBLISHED_STATUSES.includes(alert.status);
+  }
+
+  /**
+   * Whether the user may see an alert that has not been published
+   */
+  static canView(alert, user) {
+    if (!this.isUnpublished(alert)) {return true;}
+    const creatorId = (alert.createdBy._id || alert.createdBy).toString();
+    return creatorId === user._id.toString() || PermissionService.can(user, APPROVE);
+  }
+
+  /**
+   * Check an edit against the workflow. Drafts and rejected alerts are
+   * submitted again after editing. Alerts awaiting approval cannot change,
+   * and approved or published alerts only in ways the user could have
+   * published without approval.
+   * @param {Object} alert - Alert document before the edit
+   * @param {Object} changes - Validated fields to change
+   * @param {Object} user - Editing user
+   * @throws {AppError} 409 for edits that would bypass approval
+   */
+  static async checkUpdate(alert, changes, user) {
+    if (EDITABLE_STATUSES.includes(alert.status)) {return;}
+    if (alert.status === 'pending_approval') {
+      throw invalidTransition('Alerts awaiting approval cannot be edited');
+    }
+
+    const reviewed = Object.keys(changes).filter(field => !LIFECYCLE_FIELDS.includes(field));
+    if (reviewed.length === 0) {return;}
+    if (await this.requiresApproval({ ...alert.toObject(), ...changes }, user)) {
+      throw invalidTransition(
+        `Changing the ${reviewed.join(', ')} of a ${alert.status} alert needs approval; create a new alert instead.`
+      );
+    }
+  }
+
+  /**
+   * Send a draft or rejected alert on its way: to the approval queue when
+   * the policy requires it, otherwise straight to its recipients
+   * @param {Object} alert - Alert document
+   * @param {Object} user - Creator
+   * @returns {Object} { alert, delivery }
+   */
+  static async submit(alert, user) {
+    if (!EDITABLE_STATUSES.includes(alert.status)) {
+      throw invalidTransition(`A ${alert.status.replace(/_/g, ' ')} alert cannot be submitted.`);
+    }
+
+    if (!(await this.requiresApproval(alert, user))) {
+      return this.publish(alert);
+    }
+
+    const submitted = await this.transition(alert, EDITABLE_STATUSES, {
+      $set: { status: 'pending_approval', submittedAt: new Date() }
+    });
+    await this.notifyApprovers(submitted, user);
+
+    logger.info('Alert submitted for approval:', { alertId: alert._id, userId: user._id, priority: alert.priority });
+    return { alert: submitted, delivery: null };
+  }
+
+  /**
+   * Approve a pending alert and publish it. Of concurrent reviews only
+   * the first is applied, so the alert is delivered once.
+   * @param {Object} alert - Alert document
+   * @param {Object} reviewer - User with 'alerts:approve'
+   * @param {string} [comment]
+   * @returns {Object} { alert, delivery }
+   */
+  static async approve(alert, reviewer, comment) {
+    this.checkReview(alert, reviewer);
+    this.checkNotExpired(alert);
+
+    const approved = await this.transition(alert, ['pending_approval'], {
+      $set: { status: 'approved', isApproved: true, approvedBy: reviewer._id, approvalDate: new Date() },
+      $push: { reviews: { reviewer: reviewer._id, decision: 'approved', comment } }
+    });
+
+    await this.notifyCreator(approved, 'approved', comment);
+    logger.info('Alert approved:', { alertId: alert._id, reviewerId: reviewer._id });
+    return this.publish(approved);
+  }
+
+  /**
+   * Send a pending alert back to its creator
+   * @param {Object} alert - Alert document
+   * @param {Object} reviewer - User with 'alerts:approve'
+   * @param {string} comment - Why it was rejected
+   * @returns {Object} Rejected alert
+   */
+  static async reject(alert, reviewer, comment) {
+    this.checkReview(alert, reviewer);
+
+    const rejected = await this.transition(alert, ['pending_approval'], {
+      $set: { status: 'rejected', isApproved: false },
+      $push: { reviews: { reviewer: reviewer._id, decision: 'rejected', comment } }
+    });
+
+    await this.notifyCreator(rejected, 'rejected', comment);
+    logger.info('Alert rejected:', { alertId: alert._id, reviewerId: reviewer._id });
+    return rejected;
+  }
+
+  /**
+   * Change an alert's status only if nobody else changed it since it was
+   * loaded, so concurrent submissions and reviews cannot both succeed
+   * @param {Object} alert - Alert document
+   * @param {Array<string>} from - Statuses the change applies to
+   * @param {Object} update - MongoDB update
+   * @returns {Object} Updated alert document
+   */
+  static async transition(alert, from, update) {
+    const updated = await Alert.findOneAndUpdate(
+      { _id: alert._id, status: { $in: from } },
+      update,
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      throw invalidTransition('This alert was changed by someone else; reload it and try again.');
+    }
+    return updated;
+  }
+
+  static checkNotExpired(alert) {
+    if (alert.expiresAt && alert.expiresAt < new Date()) {
+      throw new AppError(
+        'This alert expired before it was published; set a new expiry first.',
+        409,
+        ERROR_CODES.ALERT_EXPIRED,
+        ERROR_SEVERITY.LOW
+      );
+    }
+  }
+
+  static checkReview(alert, reviewer) {
+    if (alert.status !== 'pending_approval') {
+      throw invalidTransition('Only alerts awaiting approval can be reviewed.');
+    }
+    if ((alert.createdBy._id || alert.createdBy).toString() === reviewer._id.toString()) {
+      throw new AppError(
+        'Alerts cannot be approved or rejected by their creator.',
+        403,
+        ERROR_CODES.OPERATION_NOT_ALLOWED,
+        ERROR_SEVERITY.LOW
+      );
+    }
+  }
+
+  /**
+   * Mark an alert published and deliver it
+   * @returns {Object} { alert, delivery }
+   */
+  static async publish(alert) {
+    this.checkNotExpired(alert);
+
+    const published = await this.transition(alert, [alert.status], {
+      $set: { status: 'published', publishedAt: new Date() }
+    });
+
+    // The alert is published even if notifying recipients fails; delivery is reported separately
+    let delivery = null;
+    try {
+      delivery = await AlertDeliveryService.deliver(published);
+    } catch (error) {
+      logger.error('Alert delivery error:', error);
+    }
+
+    return { alert: published, delivery };
+  }
+
+  /**
+   * Alerts awaiting approval, oldest first
+   * @param {Object} options - { page, limit }
+   * @returns {Object} { alerts, pagination }
+   */
+  static async getQueue({ page = 1, limit = 20 } = {}) {
+    const filter = { status: 'pending_approval', isActive: true };
+    const skip = (page - 1) * limit;
+
+    const [alerts, total] = await Promise.all([
+      Alert.find(filter)
+        .select('-deliveryStatus')
+        .populate('createdBy', 'firstName lastName email role')
+        .sort({ submittedAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      Alert.countDocuments(filter)
+    ]);
+
+    return {
+      alerts,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  static async notifyApprovers(alert, creator) {
+    const roles = PermissionService.ROLES.filter(role => PermissionService.getRolePermissions(role).includes(APPROVE));
+    const approvers = await User.find({ role: { $in: roles }, isActive: true, _id: { $ne: creator._id } })
+      .distinct('_id');
+
+    await NotificationService.notifySafely(approvers, {
+      type: 'system',
+      title: `Alert awaiting approval: ${alert.title}`,
+      message: `${creator.firstName} ${creator.lastName} submitted a ${alert.priority} priority alert.`,
+      priority: alert.priority,
+      link: '/alerts/approvals',
+      actor: creator._id
+    });
+  }
+
+  static async notifyCreator(alert, decision, comment) {
+    await NotificationService.notifySafely([alert.createdBy], {
+      type: 'system',
+      title: decision === 'approved'
+        ? `Your alert was approved: ${alert.title}`
+        : `Your alert was rejected: ${alert.title}`,
+      message: comment || (decision === 'approved' ? 'It is being sent to its recipients.' : ''),
+      priority: decision === 'approved' ? 'medium' : 'high',
+      link: '/alerts/approvals'
+    });
+  }
+}
+
+AlertApprovalService.POLICY_KEY = POLICY_KEY;
+AlertApprovalService.PRIORITIES = PRIORITIES;
+AlertApprovalService.UNPUBLISHED_STATUSES = UNPUBLISHED_STATUSES;
+AlertApprovalService.EDITABLE_STATUSES = EDITABLE_STATUSES;
+AlertApprovalService.LIFECYCLE_FIELDS = LIFECYCLE_FIELDS;
+
+module.exports = AlertApprovalService;
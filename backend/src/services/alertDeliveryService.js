@@ -0,0 +1,452 @@
+const User = require('../models/User');
+const Alert = require('../models/Alert');
+const Notification = require('../models/Notification');
+const MailService = require('./mailService');
+const SmsService = require('./smsService');
+const PushService = require('./pushService');
+const NotificationService = require('./notificationService');
+const { calculateDistance } = require('../utils/locationUtils');
+const { toE164 } = require('../utils/phoneUtils');
+const logger = require('../config/logger');
+
+const EARTH_RADIUS_KM = 6371;
+
+// Alerts important enough to also reach recipients by email and SMS
+const URGENT_PRIORITIES = ['urgent', 'critical'];
+
+// Recipients loaded and recorded together while emailing an alert
+const EMAIL_BATCH_SIZE = 100;
+
+// Background email jobs, so shutdown can wait for them
+const inFlight = new Set();
+
+const AUDIENCE_ROLES = {
+  citizens: ['citizen'],
+  authorities: ['authority', 'admin']
+};
+
+/**
+ * Geofenced alert delivery: resolves the users inside an alert's polygon or
+ * radius from their saved location and their live socket location, and
+ * records each recipient in Alert.deliveryStatus and their notification
+ * inbox. Offline recipients get a Web Push notification; urgent alerts also
+ * go out by email, recorded on each recipient's inbox entry, and SMS.
+ */
+class AlertDeliveryService {
+  /**
+   * Split a validated polygon location into the stored geofence and a point
+   * location (centroid + bounding radius) so radius queries keep working
+   * @param {Object} location - { type: 'Polygon', coordinates, address }
+   * @returns {Object} { location, geofence }
+   */
+  static normalizePolygon(location) {
+    const rings = location.coordinates.map(ring => {
+      const [firstLng, firstLat] = ring[0];
+      const [lastLng, lastLat] = ring[ring.length - 1];
+      return firstLng === lastLng && firstLat === lastLat ? ring : [...ring, ring[0]];
+    });
+
+    const outer = rings[0].slice(0, -1);
+    const centroid = [
+      outer.reduce((sum, [lng]) => sum + lng, 0) / outer.length,
+      outer.reduce((sum, [, lat]) => sum + lat, 0) / outer.length
+    ];
+    const radius = Math.max(...outer.map(([lng, lat]) => calculateDistance(centroid[1], centroid[0], lat, lng)));
+
+    return {
+      location: {
+        type: 'Point',
+        coordinates: centroid,
+        radius: Math.min(Math.max(Math.round(radius * 100) / 100, 0.1), 100),
+        address: location.address
+      },
+      geofence: { type: 'Polygon', coordinates: rings }
+    };
+  }
+
+  /**
+   * Delivery area of an alert, or null when it has none
+   * @returns {Object|null} { polygon } or { center: [lng, lat], radiusKm }
+   */
+  static getArea(alert) {
+    if (alert.geofence && alert.geofence.coordinates && alert.geofence.coordinates.length > 0) {
+      return { polygon: alert.geofence.coordinates };
+    }
+    if (alert.location && alert.location.coordinates && alert.location.coordinates.length === 2) {
+      return { center: alert.location.coordinates, radiusKm: alert.location.radius || 5 };
+    }
+    return null;
+  }
+
+  /**
+   * MongoDB filter matching users whose saved location lies inside the area
+   */
+  static buildAreaFilter(area) {
+    if (area.polygon) {
+      return { $geoWithin: { $geometry: { type: 'Polygon', coordinates: area.polygon } } };
+    }
+    return { $geoWithin: { $centerSphere: [area.center, area.radiusKm / EARTH_RADIUS_KM] } };
+  }
+
+  /**
+   * Whether a [lng, lat] position lies inside the area
+   */
+  static isInside(area, coordinates) {
+    if (!Array.isArray(coordinates) || coordinates.length !== 2) {return false;}
+
+    if (area.polygon) {
+      const [outer, ...holes] = area.polygon;
+      return this.isInsideRing(outer, coordinates) && !holes.some(hole => this.isInsideRing(hole, coordinates));
+    }
+
+    const [lng, lat] = coordinates;
+    return calculateDistance(area.center[1], area.center[0], lat, lng) <= area.radiusKm;
+  }
+
+  // Ray casting; treats coordinates as planar, which is accurate enough at city scale
+  static isInsideRing(ring, [lng, lat]) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [lngI, latI] = ring[i];
+      const [lngJ, latJ] = ring[j];
+      if ((latI > lat) !== (latJ > lat) && lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  /**
+   * Resolve and notify the recipients of a newly created alert. Alerts for
+   * everyone are broadcast to all sockets and not tracked per user; other
+   * alerts go to the personal room of each recipient and are tracked per user.
+   * @param {Object} alert - Alert document
+   * @returns {Object} Delivery summary
+   */
+  static async deliver(alert) {
+    // Per-user delivery records are not part of what recipients see
+    const payload = alert.toObject();
+    delete payload.deliveryStatus;
+
+    if (alert.targetAudience === 'all') {
+      if (global.broadcastAlert) {
+        global.broadcastAlert(payload, 'all');
+      }
+      const creatorId = alert.createdBy ? (alert.createdBy._id || alert.createdBy).toString() : null;
+      const subscribed = (await PushService.getSubscribedUserIds()).filter(userId => userId !== creatorId);
+      PushService.dispatch(subscribed, this.buildPushPayload(alert), this.getPushOptions(alert));
+      const everyone = await User.find({ isActive: true, _id: { $ne: creatorId } }).distinct('_id');
+      await NotificationService.notifySafely(everyone, this.buildInboxEntry(alert));
+      const summary = { mode: 'broadcast', recipients: 0, delivered: 0, pending: 0, pushQueued: subscribed.length };
+      if (URGENT_PRIORITIES.includes(alert.priority)) {
+        summary.emailQueued = this.deliverEmail(alert, everyone.length);
+      }
+      return summary;
+    }
+
+    const area = alert.targetAudience === 'specific_area' ? this.getArea(alert) : null;
+    if (alert.targetAudience === 'specific_area' && !area) {
+      logger.warn('Area alert has no location; nobody notified:', { alertId: alert._id });
+      return { mode: 'geofenced', recipients: 0, delivered: 0, pending: 0 };
+    }
+
+    const roles = AUDIENCE_ROLES[alert.targetAudience];
+    const creatorId = alert.createdBy ? (alert.createdBy._id || alert.createdBy).toString() : null;
+    const isEligible = (userId, role) => userId !== creatorId && (!roles || roles.includes(role));
+
+    const userFilter = { isActive: true };
+    if (roles) {userFilter.role = { $in: roles };}
+    if (area) {userFilter.location = this.buildAreaFilter(area);}
+
+    const recipients = new Map();
+    const storedMatches = await User.find(userFilter).select('_id role').lean();
+    storedMatches.forEach(user => {
+      if (isEligible(user._id.toString(), user.role)) {
+        recipients.set(user._id.toString(), area ? 'stored_location' : 'audience');
+      }
+    });
+
+    // Connected users are matched on where they are now, not only where their profile says they live
+    const connected = new Set();
+    const liveUsers = global.getConnectedUsers ? global.getConnectedUsers() : [];
+    liveUsers.forEach(entry => {
+      if (!entry.user) {return;}
+      const userId = (entry.user._id || entry.user.id).toString();
+      connected.add(userId);
+
+      if (recipients.has(userId) || !isEligible(userId, entry.user.role)) {return;}
+      if (!area) {
+        recipients.set(userId, 'audience');
+      } else if (entry.location && this.isInside(area, entry.location.coordinates)) {
+        recipients.set(userId, 'live_location');
+      }
+    });
+
+    const alreadyTracked = new Set(alert.deliveryStatus.map(entry => entry.user.toString()));
+    const now = new Date();
+    const online = [];
+    const summary = { mode: area ? 'geofenced' : 'audience', recipients: recipients.size, delivered: 0, pending: 0 };
+
+    recipients.forEach((matchedBy, userId) => {
+      const isOnline = connected.has(userId);
+      if (isOnline) {
+        online.push(userId);
+        summary.delivered++;
+      } else {
+        summary.pending++;
+      }
+
+      if (!alreadyTracked.has(userId)) {
+        alert.deliveryStatus.push({
+          user: userId,
+          deliveryMethod: 'in_app',
+          matchedBy,
+          status: isOnline ? 'delivered' : 'pending',
+          deliveredAt: isOnline ? now : undefined
+        });
+      }
+    });
+
+    if (online.length > 0 && global.broadcastToUsers) {
+      global.broadcastToUsers(online, 'emergency-alert', payload);
+    }
+    await NotificationService.notifySafely([...recipients.keys()], this.buildInboxEntry(alert));
+    if (alert.isModified('deliveryStatus')) {
+      await alert.save();
+    }
+    if (URGENT_PRIORITIES.includes(alert.priority)) {
+      summary.emailQueued = this.deliverEmail(alert, recipients.size);
+    }
+    summary.pushQueued = this.deliverPush(alert, recipients, connected);
+    // SMS costs money per message, so only people inside the alert area are texted
+    if (URGENT_PRIORITIES.includes(alert.priority) && area) {
+      Object.assign(summary, await this.deliverSms(alert, recipients));
+    }
+
+    logger.info('Alert delivered:', { alertId: alert._id, ...summary });
+    return summary;
+  }
+
+  static buildInboxEntry(alert) {
+    return {
+      type: 'alert',
+      title: alert.title,
+      message: alert.message,
+      priority: alert.priority,
+      link: '/notifications',
+      alert: alert._id,
+      actor: alert.createdBy ? (alert.createdBy._id || alert.createdBy) : undefined
+    };
+  }
+
+  static buildPushPayload(alert) {
+    return {
+      title: alert.title,
+      body: alert.message,
+      url: '/notifications',
+      tag: `alert-${alert._id}`,
+      data: { type: 'alert', alertId: alert._id.toString(), priority: alert.priority }
+    };
+  }
+
+  static getPushOptions(alert) {
+    return { urgency: URGENT_PRIORITIES.includes(alert.priority) ? 'high' : 'normal' };
+  }
+
+  /**
+   * Web Push an alert to recipients without an open connection, who would
+   * otherwise only see it next time they open the app. Pushes go out in the
+   * background; accepted ones are then written to Alert.deliveryStatus as
+   * 'push' entries.
+   * @param {Object} alert - Saved Alert document
+   * @param {Map} recipients - userId -> how the recipient was matched
+   * @param {Set} connected - Ids of users with an open socket
+   * @returns {number} Users a push is being sent to
+   */
+  static deliverPush(alert, recipients, connected) {
+    const alreadyPushed = new Set(alert.deliveryStatus
+      .filter(entry => entry.deliveryMethod === 'push')
+      .map(entry => entry.user.toString()));
+    const offline = [...recipients.keys()].filter(userId => !connected.has(userId) && !alreadyPushed.has(userId));
+    if (offline.length === 0) {return 0;}
+
+    PushService.dispatch(offline, this.buildPushPayload(alert), this.getPushOptions(alert), async ({ deliveredTo }) => {
+      if (deliveredTo.length === 0) {return;}
+      const now = new Date();
+      await Alert.updateOne({ _id: alert._id }, {
+        $push: {
+          deliveryStatus: {
+            $each: deliveredTo.map(userId => ({
+              user: userId,
+              deliveryMethod: 'push',
+              matchedBy: recipients.get(userId),
+              status: 'delivered',
+              sentAt: now,
+              deliveredAt: now
+            }))
+          }
+        },
+        $inc: { 'statistics.totalSent': deliveredTo.length, 'statistics.totalDelivered': deliveredTo.length }
+      });
+    });
+    return offline.length;
+  }
+
+  /**
+   * Email an alert in the background to the recipients in its inbox entries
+   * who allow email notifications. Broadcasts reach every user, so the
+   * outcome is recorded on each recipient's Notification rather than on the
+   * alert.
+   * @param {Object} alert - Alert document whose inbox entries were created
+   * @param {number} recipients - Users the alert was delivered to
+   * @returns {number} Users an email is being considered for
+   */
+  static deliverEmail(alert, recipients) {
+    if (!MailService.isEnabled() || recipients === 0) {return 0;}
+
+    const task = this.sendEmails(alert).catch(error => {
+      logger.error('Alert email error:', { alertId: alert._id, error: error.message });
+    });
+    inFlight.add(task);
+    task.finally(() => inFlight.delete(task));
+    return recipients;
+  }
+
+  /**
+   * Email the alert's recipients who have not been emailed yet, a batch at a time
+   * @returns {Promise<number>} Emails sent
+   */
+  static async sendEmails(alert) {
+    const cursor = Notification.find({ alert: alert._id, type: 'alert', 'email.status': { $exists: false } })
+      .select('user')
+      .lean()
+      .cursor({ batchSize: EMAIL_BATCH_SIZE });
+
+    let emailed = 0;
+    let batch = [];
+    for await (const notification of cursor) {
+      batch.push(notification);
+      if (batch.length === EMAIL_BATCH_SIZE) {
+        emailed += await this.sendEmailBatch(alert, batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      emailed += await this.sendEmailBatch(alert, batch);
+    }
+
+    logger.info('Alert emails sent:', { alertId: alert._id, emailed });
+    return emailed;
+  }
+
+  static async sendEmailBatch(alert, notifications) {
+    const users = await User.find({
+      _id: { $in: notifications.map(notification => notification.user) },
+      'preferences.notifications.email': { $ne: false }
+    }).select('firstName email').lean();
+    const byId = new Map(users.map(user => [user._id.toString(), user]));
+
+    let emailed = 0;
+    const writes = [];
+    for (const notification of notifications) {
+      const user = byId.get(notification.user.toString());
+      if (!user) {continue;}
+
+      const result = await MailService.sendSafely({
+        to: user.email,
+        template: 'urgentAlert',
+        data: { firstName: user.firstName, alert, link: MailService.link('/notifications') }
+      });
+      writes.push({
+        updateOne: {
+          filter: { _id: notification._id },
+          update: {
+            $set: {
+              email: {
+                status: result.sent ? 'sent' : 'failed',
+                sentAt: result.sent ? new Date() : undefined,
+                providerMessageId: result.messageId || undefined,
+                error: result.error
+              }
+            }
+          }
+        }
+      });
+      if (result.sent) {emailed++;}
+    }
+
+    if (writes.length > 0) {
+      await Notification.bulkWrite(writes);
+    }
+    return emailed;
+  }
+
+  /**
+   * Wait for background emails, e.g. before shutting down
+   */
+  static async drain() {
+    await Promise.all([...inFlight]);
+  }
+
+  /**
+   * Text an alert to recipients who opted into SMS, recording each message
+   * as an 'sms' entry in Alert.deliveryStatus. Entries stay pending until the
+   * provider's delivery receipt arrives (SmsService.handleReceipt), which can
+   * be before the last message is sent, so each entry is written to the
+   * database as soon as its message is sent rather than to the document.
+   * @param {Object} alert - Saved Alert document
+   * @param {Map} recipients - userId -> how the recipient was matched
+   * @returns {Object} { texted, throttled }
+   */
+  static async deliverSms(alert, recipients) {
+    const summary = { texted: 0, throttled: 0 };
+    if (!SmsService.isEnabled() || recipients.size === 0) {return summary;}
+
+    const alreadyTexted = new Set(alert.deliveryStatus
+      .filter(entry => entry.deliveryMethod === 'sms')
+      .map(entry => entry.user.toString()));
+    const users = await User.find({
+      _id: { $in: [...recipients.keys()] },
+      'preferences.notifications.sms': true,
+      phone: { $nin: [null, ''] }
+    }).select('phone').lean();
+    const body = SmsService.formatAlert(alert);
+
+    for (const user of users) {
+      const userId = user._id.toString();
+      if (alreadyTexted.has(userId)) {continue;}
+
+      const entry = { user: userId, deliveryMethod: 'sms', matchedBy: recipients.get(userId), status: 'failed' };
+      const to = toE164(user.phone);
+      if (!to) {
+        entry.error = 'invalid_phone';
+      } else if (await SmsService.isThrottled(userId)) {
+        entry.error = 'throttled';
+        summary.throttled++;
+      } else {
+        const result = await SmsService.sendSafely({ to, body });
+        if (result.sent) {
+          entry.status = 'pending';
+          entry.sentAt = new Date();
+          entry.providerMessageId = result.providerMessageId;
+          summary.texted++;
+        } else {
+          entry.error = result.error || 'not_sent';
+        }
+      }
+      // Only messages the provider accepted count as sent
+      await Alert.updateOne(
+        { _id: alert._id },
+        {
+          $push: { deliveryStatus: entry },
+          ...(entry.status === 'pending' && { $inc: { 'statistics.totalSent': 1 } })
+        }
+      );
+    }
+    return summary;
+  }
+}
+
+AlertDeliveryService.EMAIL_BATCH_SIZE = EMAIL_BATCH_SIZE;
+
+module.exports = AlertDeliveryService;
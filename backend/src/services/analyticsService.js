@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const Incident = require('../models/Incident');
 const User = require('../models/User');
 const Alert = require('../models/Alert');
@@ -18,7 +19,8 @@ class AnalyticsService {
       timeRange = '30d', 
       location = null, 
       radius = 5000, 
-      includeResolved = true 
+      includeResolved = true,
+      jurisdiction = null
     } = options;
 
     try {
@@ -42,6 +44,11 @@ class AnalyticsService {
         baseFilter.status = { $ne: 'resolved' };
       }
 
+      // Aggregations do not cast ids like queries do
+      if (jurisdiction) {
+        baseFilter.jurisdiction = new mongoose.Types.ObjectId(String(jurisdiction));
+      }
+
       // Parallel aggregation queries for performance
       const [
         incidentStats,
@@ -82,44 +89,44 @@ class AnalyticsService {
    * Get basic incident statistics
    */
   static async getIncidentStats(filter) {
+    // Count per value; $arrayToObject keeps only the last of repeated keys
+    const countBy = field => [
+      { $group: { _id: `$${field}`, v: { $sum: 1 } } },
+      { $match: { _id: { $ne: null } } },
+      { $project: { _id: 0, k: '$_id', v: 1 } }
+    ];
+
     return await Incident.aggregate([
       { $match: filter },
       {
-        $group: {
-          _id: null,
-          total: { $sum: 1 },
-          byType: {
-            $push: {
-              k: '$type',
-              v: 1
-            }
-          },
-          bySeverity: {
-            $push: {
-              k: '$severity',
-              v: 1
-            }
-          },
-          byStatus: {
-            $push: {
-              k: '$status',
-              v: 1
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                total: { $sum: 1 },
+                avgVerificationScore: { $avg: '$verificationScore' },
+                totalViews: { $sum: '$analytics.views' },
+                totalEngagements: { $sum: '$analytics.engagements' }
+              }
             }
-          },
-          avgVerificationScore: { $avg: '$verificationScore' },
-          totalViews: { $sum: '$analytics.views' },
-          totalEngagements: { $sum: '$analytics.engagements' }
+          ],
+          byType: countBy('type'),
+          bySeverity: countBy('severity'),
+          byStatus: countBy('status')
         }
       },
+      // No totals when nothing matched, leaving an empty result as before
+      { $unwind: '$totals' },
       {
         $project: {
-          total: 1,
+          total: '$totals.total',
           typeBreakdown: { $arrayToObject: '$byType' },
           severityBreakdown: { $arrayToObject: '$bySeverity' },
           statusBreakdown: { $arrayToObject: '$byStatus' },
-          avgVerificationScore: { $round: ['$avgVerificationScore', 2] },
-          totalViews: 1,
-          totalEngagements: 1
+          avgVerificationScore: { $round: ['$totals.avgVerificationScore', 2] },
+          totalViews: '$totals.totalViews',
+          totalEngagements: '$totals.totalEngagements'
         }
       }
     ]);
@@ -267,14 +274,15 @@ class AnalyticsService {
       { 
         $match: { 
           ...filter, 
-          responseTime: { $exists: true, $ne: null },
-          verifiedBy: { $exists: true }
+          // Recorded from the status history, including automatic verification
+          responseTime: { $exists: true, $ne: null }
         } 
       },
       {
         $group: {
           _id: null,
           avgResponseTime: { $avg: '$responseTime' },
+          avgResolutionTime: { $avg: '$resolutionTime' },
           medianResponseTime: { $median: '$responseTime' },
           minResponseTime: { $min: '$responseTime' },
           maxResponseTime: { $max: '$responseTime' },
@@ -289,6 +297,7 @@ class AnalyticsService {
       {
         $project: {
           avgResponseTime: { $round: ['$avgResponseTime', 2] },
+          avgResolutionTime: { $round: ['$avgResolutionTime', 2] },
           medianResponseTime: 1,
           minResponseTime: 1,
           maxResponseTime: 1,
@@ -343,15 +352,7 @@ class AnalyticsService {
    */
   static async getIncidentHotspots(filter, maxDistance = 1000) {
     return await Incident.aggregate([
-      { $match: filter },
-      {
-        $geoNear: {
-          near: { type: 'Point', coordinates: [28.0473, -26.2041] }, // Johannesburg center
-          distanceField: 'distance',
-          maxDistance: 50000, // 50km radius
-          spherical: true
-        }
-      },
+      { $match: { ...filter, 'location.coordinates': { $exists: true } } },
       {
         $group: {
           _id: {
@@ -432,6 +433,7 @@ class AnalyticsService {
           generatedAt: new Date(),
           format,
           timeRange: options.timeRange || '30d',
+          jurisdiction: options.jurisdiction || null,
           version: '1.0'
         },
         executive_summary: {
@@ -552,6 +554,9 @@ class AnalyticsService {
 
   static async getRawData(options) {
     const filter = { isActive: true, ...this.getDateFilter(options.timeRange || '30d') };
+    if (options.jurisdiction) {
+      filter.jurisdiction = options.jurisdiction;
+    }
     return await Incident.find(filter)
       .populate('reportedBy', 'firstName lastName email')
       .populate('verifiedBy', 'firstName lastName email role')
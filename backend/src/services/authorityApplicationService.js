@@ -0,0 +1,338 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const mongoose = require('mongoose');
+const AuthorityApplication = require('../models/AuthorityApplication');
+const Jurisdiction = require('../models/Jurisdiction');
+const User = require('../models/User');
+const NotificationService = require('./notificationService');
+const PermissionService = require('./permissionService');
+const { AppError, ERROR_CODES, ERROR_SEVERITY } = require('../utils/errorHandler');
+const logger = require('../config/logger');
+
+const REVIEW = 'authorities:review';
+
+// Leading bytes of each accepted document type; the declared MIME type must match them
+const SIGNATURES = {
+  'application/pdf': { bytes: Buffer.from('%PDF-'), extension: 'pdf' },
+  'image/jpeg': { bytes: Buffer.from([0xff, 0xd8, 0xff]), extension: 'jpg' },
+  'image/png': { bytes: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), extension: 'png' }
+};
+
+const notAllowed = (message, status = 409) => new AppError(
+  message,
+  status,
+  ERROR_CODES.OPERATION_NOT_ALLOWED,
+  ERROR_SEVERITY.LOW
+);
+
+/**
+ * Authority onboarding. Citizens apply with their badge number, agency,
+ * jurisdiction and supporting documents; someone with 'authorities:review'
+ * approves or rejects the application, and approval grants the authority
+ * role. Documents are kept outside the public upload directory and are only
+ * served to the applicant and reviewers.
+ */
+class AuthorityApplicationService {
+  /**
+   * Absolute directory supporting documents are written to (not served statically)
+   * @returns {string} Document root
+   */
+  static getDocumentRoot() {
+    return path.resolve(__dirname, '../..', process.env.PRIVATE_UPLOAD_PATH || 'private_uploads');
+  }
+
+  /**
+   * Check an uploaded file is what its MIME type claims
+   * @throws {AppError} 400 when the bytes do not match
+   */
+  static checkDocument(file) {
+    const signature = SIGNATURES[file.mimetype];
+    if (!signature || !file.buffer.subarray(0, signature.bytes.length).equals(signature.bytes)) {
+      throw new AppError(
+        `${file.originalname} is not a valid PDF, JPEG or PNG file.`,
+        400,
+        ERROR_CODES.INVALID_FILE_TYPE,
+        ERROR_SEVERITY.LOW
+      );
+    }
+  }
+
+  /**
+   * Active jurisdictions an applicant can choose from
+   */
+  static async listJurisdictions() {
+    return Jurisdiction.find({ isActive: true }).select('name type').sort({ name: 1 }).lean();
+  }
+
+  /**
+   * Submit an application
+   * @param {Object} user - Applicant
+   * @param {Object} fields - { badgeNumber, agency, jurisdictionName, jurisdiction, notes }
+   * @param {Array} files - Multer files
+   * @returns {Object} Created application
+   */
+  static async apply(user, fields, files) {
+    if (user.role !== 'citizen') {
+      throw notAllowed(`Your account already has the ${user.role} role.`);
+    }
+    if (await AuthorityApplication.exists({ user: user._id, status: 'pending' })) {
+      throw notAllowed('You already have an application awaiting review.');
+    }
+    if (files.length === 0) {
+      throw new AppError(
+        'Attach at least one supporting document in the "documents" field.',
+        400,
+        ERROR_CODES.REQUIRED_FIELD_MISSING,
+        ERROR_SEVERITY.LOW
+      );
+    }
+    files.forEach(file => this.checkDocument(file));
+
+    if (fields.jurisdiction && !(await Jurisdiction.exists({ _id: fields.jurisdiction, isActive: true }))) {
+      throw new AppError('Jurisdiction not found.', 400, ERROR_CODES.VALIDATION_ERROR, ERROR_SEVERITY.LOW);
+    }
+
+    const application = new AuthorityApplication({ ...fields, user: user._id });
+    const directory = path.join('applications', application._id.toString());
+    await fs.mkdir(path.join(this.getDocumentRoot(), directory), { recursive: true });
+
+    for (const file of files) {
+      const relativePath = path.join(directory, `${crypto.randomUUID()}.${SIGNATURES[file.mimetype].extension}`);
+      await fs.writeFile(path.join(this.getDocumentRoot(), relativePath), file.buffer);
+      application.documents.push({
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        path: relativePath,
+        size: file.size
+      });
+    }
+
+    try {
+      await application.save();
+    } catch (error) {
+      await fs.rm(path.join(this.getDocumentRoot(), directory), { recursive: true, force: true });
+      // Lost a race with another submission from the same user
+      if (error.code === 11000) {
+        throw notAllowed('You already have an application awaiting review.');
+      }
+      throw error;
+    }
+
+    await this.notifyReviewers(application, user);
+    logger.info('Authority application submitted:', { applicationId: application._id, userId: user._id });
+    return application;
+  }
+
+  /**
+   * The user's most recent application, if any
+   */
+  static async getLatest(userId) {
+    return AuthorityApplication.findOne({ user: userId })
+      .sort({ createdAt: -1 })
+      .populate('jurisdiction', 'name type')
+      .populate('reviewedBy', 'firstName lastName');
+  }
+
+  /**
+   * Withdraw the user's pending application
+   * @returns {Object|null} Withdrawn application, or null when none was pending
+   */
+  static async withdraw(userId) {
+    return AuthorityApplication.findOneAndUpdate(
+      { user: userId, status: 'pending' },
+      { $set: { status: 'withdrawn' } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Review queue, oldest first
+   * @param {Object} options - { status, page, limit }
+   * @returns {Object} { applications, pagination }
+   */
+  static async list({ status = 'pending', page = 1, limit = 20 } = {}) {
+    const filter = status === 'all' ? {} : { status };
+    const skip = (page - 1) * limit;
+
+    const [applications, total] = await Promise.all([
+      AuthorityApplication.find(filter)
+        .populate('user', 'firstName lastName email phone role createdAt')
+        .populate('jurisdiction', 'name type')
+        .populate('reviewedBy', 'firstName lastName')
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip(skip)
+        .limit(limit),
+      AuthorityApplication.countDocuments(filter)
+    ]);
+
+    return {
+      applications,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  static async findById(id) {
+    if (!mongoose.isValidObjectId(id)) {return null;}
+    return AuthorityApplication.findById(id)
+      .populate('user', 'firstName lastName email phone role createdAt')
+      .populate('jurisdiction', 'name type')
+      .populate('reviewedBy', 'firstName lastName');
+  }
+
+  /**
+   * Approve an application and grant the authority role
+   * @param {Object} application - Pending application
+   * @param {Object} reviewer - User with 'authorities:review'
+   * @param {Object} options - { comment, jurisdictions }; jurisdictions replace the one applied for
+   * @returns {Object} { application, user }
+   */
+  static async approve(application, reviewer, { comment, jurisdictions } = {}) {
+    this.checkReview(application, reviewer);
+
+    const applicantId = application.user._id || application.user;
+    const user = await User.findById(applicantId);
+    if (!user || !user.isActive) {
+      throw notAllowed('The applicant\'s account is no longer active.');
+    }
+    if (user.role !== 'citizen') {
+      throw notAllowed(`The applicant already has the ${user.role} role.`);
+    }
+
+    const assigned = jurisdictions || (application.jurisdiction ? [application.jurisdiction._id || application.jurisdiction] : []);
+    if (jurisdictions && jurisdictions.length > 0) {
+      const found = await Jurisdiction.countDocuments({ _id: { $in: jurisdictions }, isActive: true });
+      if (found !== jurisdictions.length) {
+        throw new AppError('One or more jurisdictions were not found.', 400, ERROR_CODES.VALIDATION_ERROR, ERROR_SEVERITY.LOW);
+      }
+    }
+
+    // Claim the application first so a concurrent withdrawal or review wins over the role change
+    const now = new Date();
+    await this.recordReview(application, reviewer, 'approved', comment, now);
+
+    user.role = 'authority';
+    user.roleGrantedBy = reviewer._id;
+    user.roleGrantedAt = now;
+    user.jurisdictions = assigned;
+    try {
+      await user.save();
+    } catch (error) {
+      await AuthorityApplication.updateOne(
+        { _id: application._id, status: 'approved' },
+        { $set: { status: 'pending' }, $unset: { reviewedBy: '', reviewedAt: '', reviewComment: '' } }
+      );
+      throw error;
+    }
+
+    await this.notifyApplicant(application, 'approved', comment);
+    logger.info('Authority application approved:', {
+      applicationId: application._id,
+      userId: user._id,
+      reviewerId: reviewer._id
+    });
+    return { application, user };
+  }
+
+  /**
+   * Reject an application
+   * @param {Object} application - Pending application
+   * @param {Object} reviewer - User with 'authorities:review'
+   * @param {string} comment - Why it was rejected, shown to the applicant
+   */
+  static async reject(application, reviewer, comment) {
+    this.checkReview(application, reviewer);
+
+    await this.recordReview(application, reviewer, 'rejected', comment, new Date());
+
+    await this.notifyApplicant(application, 'rejected', comment);
+    logger.info('Authority application rejected:', { applicationId: application._id, reviewerId: reviewer._id });
+    return application;
+  }
+
+  static checkReview(application, reviewer) {
+    if (application.status !== 'pending') {
+      throw new AppError(
+        `This application has already been ${application.status}.`,
+        409,
+        ERROR_CODES.INVALID_STATUS_TRANSITION,
+        ERROR_SEVERITY.LOW
+      );
+    }
+    if ((application.user._id || application.user).toString() === reviewer._id.toString()) {
+      throw notAllowed('You cannot review your own application.', 403);
+    }
+  }
+
+  /**
+   * Store a decision, only if the application is still pending
+   */
+  static async recordReview(application, reviewer, status, comment, at) {
+    const reviewed = await AuthorityApplication.findOneAndUpdate(
+      { _id: application._id, status: 'pending' },
+      { $set: { status, reviewedBy: reviewer._id, reviewedAt: at, reviewComment: comment } }
+    );
+    if (!reviewed) {
+      throw new AppError(
+        'This application is no longer pending.',
+        409,
+        ERROR_CODES.INVALID_STATUS_TRANSITION,
+        ERROR_SEVERITY.LOW
+      );
+    }
+
+    // Keep the loaded document, which the caller returns, in step
+    application.status = status;
+    application.reviewedBy = reviewer._id;
+    application.reviewedAt = at;
+    application.reviewComment = comment;
+  }
+
+  /**
+   * Locate a supporting document on disk
+   * @param {string} applicationId
+   * @param {string} documentId
+   * @returns {Object|null} { application, document, filePath }
+   */
+  static async getDocument(applicationId, documentId) {
+    if (!mongoose.isValidObjectId(applicationId)) {return null;}
+    const application = await AuthorityApplication.findById(applicationId).select('+documents.path');
+    const document = application && application.documents.id(documentId);
+    if (!document) {return null;}
+
+    return { application, document, filePath: path.join(this.getDocumentRoot(), document.path) };
+  }
+
+  static canViewDocuments(application, user) {
+    return application.user.toString() === user._id.toString() || PermissionService.can(user, REVIEW);
+  }
+
+  static async notifyReviewers(application, applicant) {
+    const roles = PermissionService.ROLES.filter(role => PermissionService.getRolePermissions(role).includes(REVIEW));
+    const reviewers = await User.find({ role: { $in: roles }, isActive: true }).distinct('_id');
+
+    await NotificationService.notifySafely(reviewers, {
+      type: 'system',
+      title: 'New authority application',
+      message: `${applicant.firstName} ${applicant.lastName} (${application.agency}, badge ${application.badgeNumber}) applied for the authority role.`,
+      priority: 'medium',
+      link: '/admin/authority-applications',
+      actor: applicant._id
+    });
+  }
+
+  static async notifyApplicant(application, decision, comment) {
+    const approved = decision === 'approved';
+    await NotificationService.notifySafely([application.user], {
+      type: 'system',
+      title: approved ? 'Your authority application was approved' : 'Your authority application was rejected',
+      message: comment || (approved ? 'Your account now has the authority role.' : ''),
+      priority: approved ? 'medium' : 'high',
+      link: '/profile'
+    });
+  }
+}
+
+AuthorityApplicationService.SIGNATURES = SIGNATURES;
+
+module.exports = AuthorityApplicationService;
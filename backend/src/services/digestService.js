@@ -0,0 +1,141 @@
+const User = require('../models/User');
+const Incident = require('../models/Incident');
+const MailService = require('./mailService');
+const logger = require('../config/logger');
+
+const EARTH_RADIUS_KM = 6371;
+const HOUR_MS = 60 * 60 * 1000;
+const PERIOD_MS = {
+  daily: 24 * HOUR_MS,
+  weekly: 7 * 24 * HOUR_MS
+};
+const MAX_INCIDENTS = 20;
+const SCHEDULER_INTERVAL_MS = HOUR_MS;
+
+let schedulerId = null;
+
+/**
+ * Daily or weekly email summary of incidents reported near each user who
+ * opted in through preferences.digest
+ */
+class DigestService {
+  /**
+   * Whether a user's next digest is due
+   */
+  static isDue(user, now = new Date()) {
+    const period = PERIOD_MS[user.preferences?.digest];
+    if (!period) {return false;}
+    return !user.lastDigestAt || now - new Date(user.lastDigestAt) >= period;
+  }
+
+  /**
+   * Public incidents reported within the user's alert radius since a date
+   */
+  static async findIncidents(user, since) {
+    const coordinates = user.location?.coordinates;
+    if (!Array.isArray(coordinates) || coordinates.length !== 2) {return [];}
+
+    const radiusKm = user.preferences?.alertRadius || 5;
+    return Incident.find({
+      isActive: true,
+      isPublic: true,
+      createdAt: { $gt: since },
+      location: { $geoWithin: { $centerSphere: [coordinates, radiusKm / EARTH_RADIUS_KM] } }
+    })
+      .select('title type severity status createdAt')
+      .sort({ createdAt: -1 })
+      .limit(MAX_INCIDENTS)
+      .lean();
+  }
+
+  /**
+   * Send one user's digest. Nothing is sent when there are no incidents, but
+   * the period still counts as covered.
+   * @returns {Object} { sent, incidents }
+   */
+  static async sendDigest(user, now = new Date()) {
+    const frequency = user.preferences.digest;
+    const since = user.lastDigestAt || new Date(now - PERIOD_MS[frequency]);
+    const incidents = await this.findIncidents(user, since);
+
+    let sent = false;
+    if (incidents.length > 0) {
+      const result = await MailService.sendSafely({
+        to: user.email,
+        template: 'incidentDigest',
+        data: {
+          firstName: user.firstName,
+          frequency,
+          incidents,
+          radiusKm: user.preferences.alertRadius || 5,
+          link: MailService.link('/map')
+        }
+      });
+      // Retry on the next run if the mail server was unavailable
+      if (!result.sent) {return { sent: false, incidents: incidents.length };}
+      sent = true;
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { lastDigestAt: now } });
+    return { sent, incidents: incidents.length };
+  }
+
+  /**
+   * Send every digest that is due
+   * @returns {Object} { checked, sent }
+   */
+  static async sendDueDigests(now = new Date()) {
+    if (!MailService.isEnabled()) {return { checked: 0, sent: 0 };}
+
+    const users = await User.find({
+      isActive: true,
+      'preferences.digest': { $in: Object.keys(PERIOD_MS) },
+      'preferences.notifications.email': { $ne: false }
+    }).select('firstName email location preferences lastDigestAt').lean();
+
+    let sent = 0;
+    let checked = 0;
+    for (const user of users) {
+      if (!this.isDue(user, now)) {continue;}
+      checked++;
+      try {
+        const result = await this.sendDigest(user, now);
+        if (result.sent) {sent++;}
+      } catch (error) {
+        logger.error('Digest error:', { userId: user._id, error: error.message });
+      }
+    }
+
+    if (checked > 0) {
+      logger.info('Incident digests processed:', { checked, sent });
+    }
+    return { checked, sent };
+  }
+
+  /**
+   * Start the hourly digest run
+   */
+  static startScheduler() {
+    // Don't start in test environment to prevent Jest hanging
+    if (process.env.NODE_ENV === 'test' || schedulerId) {return;}
+
+    schedulerId = setInterval(async () => {
+      try {
+        await this.sendDueDigests();
+      } catch (error) {
+        logger.error('Digest scheduler error:', error);
+      }
+    }, SCHEDULER_INTERVAL_MS);
+  }
+
+  static stopScheduler() {
+    if (schedulerId) {
+      clearInterval(schedulerId);
+      schedulerId = null;
+    }
+  }
+}
+
+DigestService.PERIOD_MS = PERIOD_MS;
+
+module.exports = DigestService;
@@ -0,0 +1,234 @@
+const Incident = require('../models/Incident');
+const Evidence = require('../models/Evidence');
+const IncidentLifecycleService = require('./incidentLifecycleService');
+const { calculateDistance } = require('../utils/locationUtils');
+const logger = require('../config/logger');
+
+// Relative weight of each signal in the duplicate score (sums to 1)
+const WEIGHTS = {
+  distance: 0.3,
+  time: 0.2,
+  type: 0.25,
+  text: 0.25
+};
+
+const MAX_CANDIDATES = 5;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'was', 'were', 'are', 'has', 'have', 'had', 'this', 'that',
+  'there', 'from', 'near', 'into', 'onto', 'over', 'just', 'been', 'some', 'they', 'them',
+  'his', 'her', 'she', 'him', 'our', 'you', 'your', 'but', 'not', 'all', 'out', 'who'
+]);
+
+/**
+ * Duplicate incident detection (spatial, temporal, type and text similarity)
+ * and merging of duplicate reports into a canonical incident
+ */
+class DuplicateDetectionService {
+  /**
+   * Matching thresholds, overridable through the environment
+   * @returns {Object} { radiusMeters, windowHours, threshold }
+   */
+  static getConfig() {
+    return {
+      radiusMeters: parseInt(process.env.DUPLICATE_RADIUS_METERS, 10) || 500,
+      windowHours: parseFloat(process.env.DUPLICATE_WINDOW_HOURS) || 6,
+      threshold: parseFloat(process.env.DUPLICATE_SCORE_THRESHOLD) || 0.6
+    };
+  }
+
+  /**
+   * Lower-cased content words of a text
+   * @returns {Set<string>} Tokens
+   */
+  static tokenize(text) {
+    return new Set(
+      (text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(token => token.length > 2 && !STOP_WORDS.has(token))
+    );
+  }
+
+  /**
+   * Jaccard similarity of the content words of two texts
+   * @returns {number} 0..1
+   */
+  static textSimilarity(a, b) {
+    const tokensA = this.tokenize(a);
+    const tokensB = this.tokenize(b);
+    if (tokensA.size === 0 || tokensB.size === 0) {return 0;}
+
+    let shared = 0;
+    tokensA.forEach(token => {
+      if (tokensB.has(token)) {shared++;}
+    });
+    return shared / (tokensA.size + tokensB.size - shared);
+  }
+
+  // When the event happened: the reporter's estimate if given, otherwise the report time
+  static getEventTime(incident) {
+    return new Date(incident.estimatedTime || incident.createdAt || Date.now());
+  }
+
+  /**
+   * Score how likely two incidents describe the same event
+   * @returns {Object} { score, distanceMeters, minutesApart, sameType, textSimilarity }
+   */
+  static scorePair(incident, candidate, config = this.getConfig()) {
+    const [lng, lat] = incident.location.coordinates;
+    const [candidateLng, candidateLat] = candidate.location.coordinates;
+    const distanceMeters = calculateDistance(lat, lng, candidateLat, candidateLng) * 1000;
+    const minutesApart = Math.abs(this.getEventTime(incident) - this.getEventTime(candidate)) / 60000;
+    const sameType = incident.type === candidate.type;
+    const textSimilarity = this.textSimilarity(
+      `${incident.title} ${incident.description}`,
+      `${candidate.title} ${candidate.description}`
+    );
+
+    const score =
+      WEIGHTS.distance * Math.max(0, 1 - distanceMeters / config.radiusMeters) +
+      WEIGHTS.time * Math.max(0, 1 - minutesApart / (config.windowHours * 60)) +
+      WEIGHTS.type * (sameType ? 1 : 0) +
+      WEIGHTS.text * textSimilarity;
+
+    return {
+      score: Math.round(score * 100) / 100,
+      distanceMeters: Math.round(distanceMeters),
+      minutesApart: Math.round(minutesApart),
+      sameType,
+      textSimilarity: Math.round(textSimilarity * 100) / 100
+    };
+  }
+
+  /**
+   * Recent, nearby, active incidents that likely describe the same event
+   * @param {Object} incident - Incident document (new or existing)
+   * @returns {Array} Candidates ordered by score: { incident, score, ...signals }
+   */
+  static async findCandidates(incident) {
+    const config = this.getConfig();
+    const eventTime = this.getEventTime(incident);
+    const windowMs = config.windowHours * 60 * 60 * 1000;
+
+    const nearby = await Incident.find({
+      _id: { $ne: incident._id },
+      isActive: true,
+      mergedInto: null,
+      createdAt: { $gte: new Date(eventTime.getTime() - windowMs) },
+      location: {
+        $near: {
+          $geometry: { type: 'Point', coordinates: incident.location.coordinates },
+          $maxDistance: config.radiusMeters
+        }
+      }
+    })
+      .select('title description type severity status location estimatedTime createdAt reportedBy')
+      .limit(25)
+      .lean();
+
+    return nearby
+      .map(candidate => ({ incident: candidate, ...this.scorePair(incident, candidate, config) }))
+      .filter(candidate => candidate.minutesApart <= config.windowHours * 60 && candidate.score >= config.threshold)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_CANDIDATES);
+  }
+
+  /**
+   * Fold duplicate reports into a canonical incident. Votes, witnesses,
+   * images, evidence and analytics move to the canonical incident; each
+   * duplicate is closed, deactivated and linked through relatedIncidents.
+   * @param {Object} canonical - Incident document kept as the record of the event
+   * @param {Array} duplicates - Incident documents to fold in
+   * @param {Object} user - Authority performing the merge
+   * @param {string} reason - Optional note for the duplicates' status history
+   * @returns {Object} Merged counts
+   */
+  static async merge(canonical, duplicates, user, reason) {
+    const summary = { merged: [], votesAdded: 0, witnessesAdded: 0, imagesAdded: 0, evidenceMoved: 0 };
+    const canonicalReporter = canonical.reportedBy.toString();
+
+    for (const duplicate of duplicates) {
+      duplicate.communityVotes.forEach(vote => {
+        if (!canonical.communityVotes.some(existing => existing.user.equals(vote.user))) {
+          canonical.communityVotes.push({ user: vote.user, vote: vote.vote, votedAt: vote.votedAt });
+          summary.votesAdded++;
+        }
+      });
+
+      // The duplicate's reporter saw the event too, so they become a witness of the canonical incident
+      const witnesses = [
+        ...duplicate.witnesses.map(witness => witness.toObject()),
+        { user: duplicate.reportedBy, statement: duplicate.description }
+      ];
+      witnesses.forEach(witness => {
+        const userId = witness.user ? witness.user.toString() : null;
+        const known = userId
+          ? userId === canonicalReporter || canonical.witnesses.some(existing => existing.user && existing.user.toString() === userId)
+          : canonical.witnesses.some(existing => !existing.user && existing.contactInfo === witness.contactInfo);
+        if (!known) {
+          canonical.witnesses.push({ user: witness.user, contactInfo: witness.contactInfo, statement: witness.statement });
+          summary.witnessesAdded++;
+        }
+      });
+
+      duplicate.images.forEach(image => {
+        if (!canonical.images.some(existing => existing.url === image.url)) {
+          canonical.images.push({ url: image.url, caption: image.caption, uploadedAt: image.uploadedAt });
+          summary.imagesAdded++;
+        }
+      });
+
+      const analytics = duplicate.analytics || {};
+      canonical.analytics.views += analytics.views || 0;
+      canonical.analytics.engagements += analytics.engagements || 0;
+      canonical.analytics.shares += analytics.shares || 0;
+      if (analytics.lastViewedAt && (!canonical.analytics.lastViewedAt || analytics.lastViewedAt > canonical.analytics.lastViewedAt)) {
+        canonical.analytics.lastViewedAt = analytics.lastViewedAt;
+      }
+
+      canonical.tags = [...new Set([...(canonical.tags || []), ...(duplicate.tags || [])])];
+      canonical.relatedIncidents.addToSet(duplicate._id);
+      duplicate.relatedIncidents.forEach(id => {
+        if (!id.equals(canonical._id)) {canonical.relatedIncidents.addToSet(id);}
+      });
+
+      const moved = await Evidence.updateMany({ incident: duplicate._id }, { incident: canonical._id });
+      summary.evidenceMoved += moved.modifiedCount || 0;
+
+      const fromStatus = duplicate.status;
+      duplicate.mergedInto = canonical._id;
+      duplicate.mergedAt = new Date();
+      duplicate.mergedBy = user._id;
+      duplicate.isActive = false;
+      duplicate.status = 'closed';
+      duplicate.relatedIncidents.addToSet(canonical._id);
+      await duplicate.save({ validateModifiedOnly: true });
+
+      await IncidentLifecycleService.recordTransition({
+        incident: duplicate,
+        fromStatus,
+        toStatus: 'closed',
+        user,
+        reason: reason || `Merged into incident ${canonical._id} as a duplicate`,
+        changes: { mergedInto: canonical._id }
+      });
+
+      summary.merged.push(duplicate._id);
+    }
+
+    await canonical.save({ validateModifiedOnly: true });
+
+    logger.info('Incidents merged:', {
+      canonicalId: canonical._id,
+      mergedBy: user._id,
+      ...summary
+    });
+
+    return summary;
+  }
+}
+
+DuplicateDetectionService.WEIGHTS = WEIGHTS;
+
+module.exports = DuplicateDetectionService;
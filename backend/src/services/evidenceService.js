@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const exifr = require('exifr');
+const Evidence = require('../models/Evidence');
+const Incident = require('../models/Incident');
+const { calculateDistance } = require('../utils/locationUtils');
+const { AppError, ERROR_CODES, ERROR_SEVERITY } = require('../utils/errorHandler');
+const logger = require('../config/logger');
+
+const THUMBNAIL_SIZE = 320;
+const SUPPORTED_FORMATS = ['jpeg', 'png', 'gif', 'webp'];
+const FILE_EXTENSIONS = { jpeg: 'jpg', png: 'png', gif: 'gif', webp: 'webp' };
+
+/**
+ * Incident evidence storage: image sanitizing, thumbnails, duplicate detection and quotas
+ */
+class EvidenceService {
+  /**
+   * Absolute directory uploads are written to (served at /uploads)
+   * @returns {string} Upload root
+   */
+  static getUploadRoot() {
+    return path.resolve(__dirname, '../..', process.env.UPLOAD_PATH || 'uploads');
+  }
+
+  /**
+   * Per-user upload limits
+   * @returns {Object} { maxBytes, maxDailyFiles }
+   */
+  static getQuota() {
+    return {
+      maxBytes: (parseInt(process.env.EVIDENCE_QUOTA_MB, 10) || 100) * 1024 * 1024,
+      maxDailyFiles: parseInt(process.env.EVIDENCE_DAILY_FILE_LIMIT, 10) || 30
+    };
+  }
+
+  /**
+   * Storage used by a user and files uploaded in the last 24 hours
+   * @param {string} userId - Uploader
+   * @returns {Object} { bytesUsed, filesToday, maxBytes, maxDailyFiles }
+   */
+  static async getUsage(userId) {
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const [usage] = await Evidence.aggregate([
+      { $match: { uploadedBy: userId } },
+      {
+        $group: {
+          _id: null,
+          bytesUsed: { $sum: '$size' },
+          filesToday: { $sum: { $cond: [{ $gte: ['$createdAt', since] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    return {
+      bytesUsed: usage ? usage.bytesUsed : 0,
+      filesToday: usage ? usage.filesToday : 0,
+      ...this.getQuota()
+    };
+  }
+
+  /**
+   * Reject an upload batch that would exceed the user's quota
+   * @param {string} userId - Uploader
+   * @param {Array} files - Multer files
+   * @throws {AppError} 429 for the daily file limit, 413 for storage
+   */
+  static async assertWithinQuota(userId, files) {
+    const usage = await this.getUsage(userId);
+    const incomingBytes = files.reduce((sum, file) => sum + file.size, 0);
+
+    if (usage.filesToday + files.length > usage.maxDailyFiles) {
+      throw new AppError(
+        `Daily upload limit of ${usage.maxDailyFiles} files reached.`,
+        429,
+        ERROR_CODES.RATE_LIMIT_EXCEEDED,
+        ERROR_SEVERITY.LOW,
+        usage
+      );
+    }
+    if (usage.bytesUsed + incomingBytes > usage.maxBytes) {
+      throw new AppError(
+        `Storage quota of ${Math.round(usage.maxBytes / 1024 / 1024)}MB exceeded.`,
+        413,
+        ERROR_CODES.FILE_SIZE_EXCEEDED,
+        ERROR_SEVERITY.LOW,
+        usage
+      );
+    }
+  }
+
+  /**
+   * SHA-256 of the uploaded bytes
+   */
+  static hashContent(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  /**
+   * Read capture time and GPS position from EXIF, if present
+   * @returns {Object} { capturedAt, location }
+   */
+  static async readExif(buffer) {
+    try {
+      const tags = await exifr.parse(buffer, { tiff: true, exif: true, gps: true });
+      if (!tags) {return { capturedAt: null, location: null };}
+
+      const hasGps = Number.isFinite(tags.latitude) && Number.isFinite(tags.longitude) &&
+        !(tags.latitude === 0 && tags.longitude === 0);
+
+      return {
+        capturedAt: tags.DateTimeOriginal instanceof Date ? tags.DateTimeOriginal : null,
+        location: hasGps ? { type: 'Point', coordinates: [tags.longitude, tags.latitude] } : null
+      };
+    } catch (error) {
+      logger.warn('Failed to read EXIF data:', { error: error.message });
+      return { capturedAt: null, location: null };
+    }
+  }
+
+  /**
+   * Re-encode an image without metadata and render its thumbnail. Sharp drops
+   * EXIF, XMP and IPTC on output, which removes embedded GPS coordinates.
+   * @returns {Object} { image, thumbnail, format, width, height }
+   * @throws {AppError} 400 when the bytes are not a supported image
+   */
+  static async processImage(buffer) {
+    let metadata;
+    try {
+      metadata = await sharp(buffer).metadata();
+    } catch {
+      throw new AppError('File is not a readable image.', 400, ERROR_CODES.INVALID_FILE_TYPE, ERROR_SEVERITY.LOW);
+    }
+
+    const format = metadata.format;
+    if (!SUPPORTED_FORMATS.includes(format)) {
+      throw new AppError(`Unsupported image format: ${format}.`, 400, ERROR_CODES.INVALID_FILE_TYPE, ERROR_SEVERITY.LOW);
+    }
+
+    // Animated images keep every frame; still images are turned upright from their EXIF orientation
+    const animated = (metadata.pages || 1) > 1;
+    const pipeline = sharp(buffer, { animated });
+    if (!animated) {pipeline.rotate();}
+
+    const { data: image, info } = await pipeline
+      .toFormat(format)
+      .toBuffer({ resolveWithObject: true });
+
+    const thumbnail = await sharp(buffer)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 70 })
+      .toBuffer();
+
+    return {
+      image,
+      thumbnail,
+      format,
+      width: info.width,
+      height: animated ? info.pageHeight || info.height : info.height
+    };
+  }
+
+  /**
+   * Sanitize, store and record one uploaded file
+   * @param {Object} params - { incident, user, file, caption }
+   * @returns {Object} { evidence, duplicate, exifLocation }
+   * @throws {AppError} 409 when the same file is already attached to the incident
+   */
+  static async storeEvidence({ incident, user, file, caption }) {
+    const contentHash = this.hashContent(file.buffer);
+
+    const existing = await Evidence.find({ contentHash })
+      .select('incident uploadedBy createdAt')
+      .sort({ createdAt: 1 })
+      .lean();
+    if (existing.some(item => item.incident.toString() === incident._id.toString())) {
+      throw new AppError(
+        'This file is already attached to the incident.',
+        409,
+        ERROR_CODES.DUPLICATE_VALUE,
+        ERROR_SEVERITY.LOW
+      );
+    }
+
+    const [exif, processed] = await Promise.all([
+      this.readExif(file.buffer),
+      this.processImage(file.buffer)
+    ]);
+
+    const directory = path.join('incidents', incident._id.toString());
+    const baseName = crypto.randomUUID();
+    const imagePath = path.join(directory, `${baseName}.${FILE_EXTENSIONS[processed.format]}`);
+    const thumbnailPath = path.join(directory, 'thumbs', `${baseName}.webp`);
+    const root = this.getUploadRoot();
+
+    await fs.mkdir(path.join(root, directory, 'thumbs'), { recursive: true });
+    await Promise.all([
+      fs.writeFile(path.join(root, imagePath), processed.image),
+      fs.writeFile(path.join(root, thumbnailPath), processed.thumbnail)
+    ]);
+
+    try {
+      const evidence = await Evidence.create({
+        incident: incident._id,
+        uploadedBy: user._id,
+        originalName: file.originalname,
+        mimeType: `image/${processed.format}`,
+        contentHash,
+        url: this.toUrl(imagePath),
+        thumbnailUrl: this.toUrl(thumbnailPath),
+        size: processed.image.length + processed.thumbnail.length,
+        width: processed.width,
+        height: processed.height,
+        caption,
+        capturedAt: exif.capturedAt,
+        exifLocation: exif.location || undefined,
+        duplicateOf: existing.length > 0 ? existing[0]._id : null
+      });
+
+      return {
+        evidence,
+        duplicate: existing.length > 0 ? existing[0] : null,
+        exifLocation: exif.location
+      };
+    } catch (error) {
+      await this.removeFiles([imagePath, thumbnailPath]);
+      throw error;
+    }
+  }
+
+  /**
+   * Suggest the EXIF position of uploaded evidence as the incident location
+   * @returns {Object|null} { coordinates, distanceMeters }
+   */
+  static suggestLocation(incident, exifLocation) {
+    if (!exifLocation || !incident.location || !incident.location.coordinates) {return null;}
+
+    const [lng, lat] = exifLocation.coordinates;
+    const [incidentLng, incidentLat] = incident.location.coordinates;
+
+    return {
+      coordinates: exifLocation.coordinates,
+      distanceMeters: Math.round(calculateDistance(incidentLat, incidentLng, lat, lng) * 1000)
+    };
+  }
+
+  /**
+   * Delete an evidence record, its files and its entry in Incident.images
+   */
+  static async removeEvidence(evidence) {
+    await Evidence.deleteOne({ _id: evidence._id });
+    await Incident.updateOne({ _id: evidence.incident }, { $pull: { images: { url: evidence.url } } });
+    await this.removeFiles([evidence.url, evidence.thumbnailUrl].filter(Boolean).map(url => this.toRelativePath(url)));
+  }
+
+  static async removeFiles(relativePaths) {
+    const root = this.getUploadRoot();
+    await Promise.all(relativePaths.map(async (relativePath) => {
+      try {
+        await fs.unlink(path.join(root, relativePath));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.warn('Failed to remove evidence file:', { path: relativePath, error: error.message });
+        }
+      }
+    }));
+  }
+
+  static toUrl(relativePath) {
+    return `/uploads/${relativePath.split(path.sep).join('/')}`;
+  }
+
+  static toRelativePath(url) {
+    return url.replace(/^\/uploads\//, '').split('/').join(path.sep);
+  }
+}
+
+module.exports = EvidenceService;
@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+const ExportJob = require('../models/ExportJob');
+const User = require('../models/User');
+const ExportService = require('./exportService');
+const PermissionService = require('./permissionService');
+const { AppError, ERROR_CODES, ERROR_SEVERITY } = require('../utils/errorHandler');
+const logger = require('../config/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+// Queued or running jobs one user may have at a time
+const MAX_ACTIVE_JOBS = 3;
+// Rows between progress updates on a running job
+const PROGRESS_INTERVAL = 5000;
+const PURGE_INTERVAL_MS = HOUR_MS;
+
+let working = false;
+let purgeId = null;
+
+/**
+ * Exports too large for one request. Jobs are queued, run one at a time in
+ * the background and streamed from a MongoDB cursor into a gzipped file
+ * under EXPORT_PATH, which the owner downloads until the job expires.
+ */
+class ExportJobService {
+  /**
+   * Absolute directory export files are written to (not served statically)
+   * @returns {string} Export root
+   */
+  static getExportRoot() {
+    return path.resolve(__dirname, '../..', process.env.EXPORT_PATH || 'exports');
+  }
+
+  /**
+   * Hours a finished export stays downloadable
+   */
+  static getRetentionHours() {
+    return parseInt(process.env.EXPORT_JOB_RETENTION_HOURS) || 24;
+  }
+
+  /**
+   * Queue an export for the user
+   * @param {Object} user - Requesting user
+   * @param {Object} data - { type, format, filters }
+   * @returns {Promise<Object>} Queued job
+   * @throws {AppError} 403 without the export permission, 400 for invalid filters, 409 when too many jobs are active
+   */
+  static async create(user, { type, format = 'csv', filters = {} }) {
+    const permission = ExportService.PERMISSIONS[type];
+    if (!PermissionService.can(user, permission)) {
+      throw new AppError(
+        `Access denied. Missing permission: ${permission}`,
+        403,
+        ERROR_CODES.INSUFFICIENT_PERMISSIONS,
+        ERROR_SEVERITY.MEDIUM
+      );
+    }
+
+    if (!ExportService.supportsFormat(type, format)) {
+      throw new AppError(
+        `${type} cannot be exported as ${format}.`,
+        400,
+        ERROR_CODES.VALIDATION_ERROR,
+        ERROR_SEVERITY.LOW
+      );
+    }
+
+    // Reject bad filters now rather than when the job runs
+    ExportService.buildQuery(type, filters);
+
+    const active = await ExportJob.countDocuments({ user: user._id, status: { $in: ['queued', 'running'] } });
+    if (active >= MAX_ACTIVE_JOBS) {
+      throw new AppError(
+        `You already have ${active} exports in progress. Wait for one to finish.`,
+        409,
+        ERROR_CODES.OPERATION_NOT_ALLOWED,
+        ERROR_SEVERITY.LOW
+      );
+    }
+
+    const job = await ExportJob.create({ user: user._id, type, format, filters });
+    // Not awaited: the queue runs in the background and logs its own errors
+    this.processQueue();
+    return job;
+  }
+
+  /**
+   * Run queued jobs, oldest first, until none are left
+   */
+  static async processQueue() {
+    if (working) {return;}
+    working = true;
+
+    try {
+      for (;;) {
+        const job = await ExportJob.findOneAndUpdate(
+          { status: 'queued' },
+          { status: 'running', startedAt: new Date() },
+          { sort: { createdAt: 1 }, new: true }
+        );
+        if (!job) {break;}
+        await this.run(job);
+      }
+    } catch (error) {
+      logger.error('Export queue error:', error);
+    } finally {
+      working = false;
+    }
+  }
+
+  /**
+   * Expiry of a job that finished at the given time
+   */
+  static expiresAt(completedAt) {
+    return new Date(completedAt.getTime() + this.getRetentionHours() * HOUR_MS);
+  }
+
+  /**
+   * Write one job's export file. The path is stored before writing so a
+   * partial file left by a restart can still be found and removed.
+   */
+  static async run(job) {
+    const fileName = ExportService.filename(job.type, job.format);
+    const relativePath = `${crypto.randomBytes(16).toString('hex')}.${job.format}.gz`;
+    const filePath = path.join(this.getExportRoot(), relativePath);
+    job.path = relativePath;
+
+    let rowCount = 0;
+    async function* progress(documents) {
+      for await (const doc of documents) {
+        rowCount++;
+        if (rowCount % PROGRESS_INTERVAL === 0) {
+          await ExportJob.updateOne({ _id: job._id }, { rowCount });
+        }
+        yield doc;
+      }
+    }
+
+    try {
+      await ExportJob.updateOne({ _id: job._id }, { path: relativePath });
+      await fsp.mkdir(this.getExportRoot(), { recursive: true });
+      // Loaded now so alert exports follow the owner's current permissions
+      const user = await User.findById(job.user);
+      const { documents } = await ExportService.peek(ExportService.createCursor(job.type, job.filters, user));
+      const transform = ExportService.transform(job.type, job.format);
+
+      await pipeline(documents, progress, transform, zlib.createGzip(), fs.createWriteStream(filePath));
+
+      const { size } = await fsp.stat(filePath);
+      const completedAt = new Date();
+      Object.assign(job, {
+        status: 'completed',
+        rowCount,
+        fileName,
+        size,
+        completedAt,
+        expiresAt: this.expiresAt(completedAt)
+      });
+      await job.save();
+
+      logger.info('Export job completed:', { jobId: job._id, type: job.type, rowCount, size });
+    } catch (error) {
+      logger.error('Export job failed:', { jobId: job._id, error: error.message });
+      await fsp.rm(filePath, { force: true });
+      const completedAt = new Date();
+      Object.assign(job, {
+        status: 'failed',
+        rowCount,
+        path: undefined,
+        error: error.message,
+        completedAt,
+        expiresAt: this.expiresAt(completedAt)
+      });
+      await job.save();
+    }
+  }
+
+  /**
+   * The user's jobs, newest first
+   */
+  static async list(userId, { page = 1, limit = 20 } = {}) {
+    const [jobs, total] = await Promise.all([
+      ExportJob.find({ user: userId }).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      ExportJob.countDocuments({ user: userId })
+    ]);
+
+    return {
+      jobs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * One of the user's jobs
+   * @returns {Promise<Object|null>} Job with its file path, or null when not found or not theirs
+   */
+  static async findForUser(id, userId) {
+    if (!mongoose.isValidObjectId(id)) {return null;}
+    return ExportJob.findOne({ _id: id, user: userId }).select('+path');
+  }
+
+  /**
+   * Absolute path of a completed job's file
+   * @throws {AppError} 409 while the job has not completed
+   */
+  static getFilePath(job) {
+    if (job.status !== 'completed' || !job.path) {
+      throw new AppError(
+        job.status === 'failed' ? 'This export failed.' : 'This export is not ready yet.',
+        409,
+        ERROR_CODES.OPERATION_NOT_ALLOWED,
+        ERROR_SEVERITY.LOW
+      );
+    }
+    return path.join(this.getExportRoot(), job.path);
+  }
+
+  /**
+   * Delete a job and its file
+   * @throws {AppError} 409 while the job is running
+   */
+  static async remove(job) {
+    if (job.status === 'running') {
+      throw new AppError(
+        'This export is running and cannot be deleted yet.',
+        409,
+        ERROR_CODES.OPERATION_NOT_ALLOWED,
+        ERROR_SEVERITY.LOW
+      );
+    }
+    if (job.path) {
+      await fsp.rm(path.join(this.getExportRoot(), job.path), { force: true });
+    }
+    await job.deleteOne();
+  }
+
+  /**
+   * Delete expired jobs and their files
+   * @returns {Promise<number>} Jobs deleted
+   */
+  static async purgeExpired(now = new Date()) {
+    const expired = await ExportJob.find({ expiresAt: { $lte: now } }).select('+path');
+    for (const job of expired) {
+      await this.remove(job);
+    }
+    return expired.length;
+  }
+
+  /**
+   * Fail the jobs the last run left running and remove their partial files
+   * @returns {Promise<number>} Jobs failed
+   */
+  static async failInterrupted() {
+    const interrupted = await ExportJob.find({ status: 'running' }).select('+path');
+    for (const job of interrupted) {
+      if (job.path) {
+        await fsp.rm(path.join(this.getExportRoot(), job.path), { force: true });
+      }
+      const completedAt = new Date();
+      Object.assign(job, {
+        status: 'failed',
+        path: undefined,
+        error: 'Interrupted by a server restart',
+        completedAt,
+        expiresAt: this.expiresAt(completedAt)
+      });
+      await job.save();
+    }
+    return interrupted.length;
+  }
+
+  /**
+   * Pick up jobs left queued by the last run, fail those it was running,
+   * and purge expired exports every hour
+   */
+  static async startWorker() {
+    // Don't start in test environment to prevent Jest hanging
+    if (process.env.NODE_ENV === 'test' || purgeId) {return;}
+
+    purgeId = setInterval(async () => {
+      try {
+        const purged = await this.purgeExpired();
+        if (purged > 0) {
+          logger.info('Expired exports purged:', { purged });
+        }
+      } catch (error) {
+        logger.error('Export purge error:', error);
+      }
+    }, PURGE_INTERVAL_MS);
+
+    try {
+      const interrupted = await this.failInterrupted();
+      if (interrupted > 0) {
+        logger.warn('Interrupted exports failed:', { interrupted });
+      }
+      await this.processQueue();
+    } catch (error) {
+      logger.error('Export worker start error:', error);
+    }
+  }
+
+  static stopWorker() {
+    if (purgeId) {
+      clearInterval(purgeId);
+      purgeId = null;
+    }
+  }
+}
+
+ExportJobService.MAX_ACTIVE_JOBS = MAX_ACTIVE_JOBS;
+
+module.exports = ExportJobService;
@@ -0,0 +1,400 @@
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+const Incident = require('../models/Incident');
+const Alert = require('../models/Alert');
+const User = require('../models/User');
+const PermissionService = require('./permissionService');
+const { AppError, ERROR_CODES, ERROR_SEVERITY } = require('../utils/errorHandler');
+const gis = require('../utils/gisFormats');
+
+const EARTH_RADIUS_KM = 6378.1;
+// Documents fetched from MongoDB per round trip while streaming
+const CURSOR_BATCH_SIZE = 500;
+
+const FORMATS = ['csv', 'json'];
+// Map formats and the export types that have geometry for them
+const GIS_FORMATS = {
+  geojson: ['incidents', 'alerts'],
+  kml: ['incidents', 'alerts'],
+  gpx: ['incidents']
+};
+
+const CONTENT_TYPES = {
+  csv: 'text/csv',
+  json: 'application/json; charset=utf-8',
+  geojson: 'application/geo+json',
+  kml: 'application/vnd.google-earth.kml+xml',
+  gpx: 'application/gpx+xml'
+};
+
+const coordinates = doc => (doc.location?.coordinates ? doc.location.coordinates.join(',') : '');
+
+// CSV columns per export type: [header, value]
+const COLUMNS = {
+  incidents: [
+    ['id', i => i._id.toString()],
+    ['title', i => i.title],
+    ['description', i => i.description],
+    ['type', i => i.type],
+    ['severity', i => i.severity],
+    ['status', i => i.status],
+    ['coordinates', coordinates],
+    ['city', i => i.location?.address?.city || ''],
+    ['createdAt', i => i.createdAt],
+    ['updatedAt', i => i.updatedAt]
+  ],
+  alerts: [
+    ['id', a => a._id.toString()],
+    ['title', a => a.title],
+    ['message', a => a.message],
+    ['type', a => a.type],
+    ['priority', a => a.priority],
+    ['coordinates', coordinates],
+    ['city', a => a.location?.address?.city || ''],
+    ['createdAt', a => a.createdAt]
+  ],
+  users: [
+    ['firstName', u => u.firstName],
+    ['lastName', u => u.lastName],
+    ['email', u => u.email],
+    ['role', u => u.role],
+    ['isVerified', u => u.isVerified],
+    ['createdAt', u => u.createdAt]
+  ]
+};
+
+const PERMISSIONS = {
+  incidents: 'export:incidents',
+  alerts: 'export:alerts',
+  users: 'export:users'
+};
+
+const invalid = message => new AppError(message, 400, ERROR_CODES.VALIDATION_ERROR, ERROR_SEVERITY.LOW);
+
+const dateRange = (startDate, endDate) => {
+  if ((startDate && isNaN(Date.parse(startDate))) || (endDate && isNaN(Date.parse(endDate)))) {
+    throw invalid('Invalid date range');
+  }
+  const range = {};
+  if (startDate) {range.$gte = new Date(startDate);}
+  if (endDate) {range.$lte = new Date(endDate);}
+  return range;
+};
+
+/**
+ * MongoDB geometry for a `west,south,east,north` bounding box
+ * @throws {AppError} 400 for malformed boxes
+ */
+const boundingPolygon = (bbox) => {
+  const values = String(bbox).split(',').map(Number);
+  const [west, south, east, north] = values;
+  if (values.length !== 4 || values.some(value => !Number.isFinite(value)) ||
+      west < -180 || east > 180 || south < -90 || north > 90 || west >= east || south >= north) {
+    throw invalid('bbox must be west,south,east,north in degrees');
+  }
+  return {
+    type: 'Polygon',
+    coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+  };
+};
+
+const boundingBox = (bbox) => ({ $geoWithin: { $geometry: boundingPolygon(bbox) } });
+
+// Geofenced alerts match when their polygon overlaps the box, others by their location
+const alertBoundingBox = (bbox) => {
+  const polygon = boundingPolygon(bbox);
+  return [
+    { geofence: { $geoIntersects: { $geometry: polygon } } },
+    { 'geofence.coordinates': { $exists: false }, location: { $geoWithin: { $geometry: polygon } } }
+  ];
+};
+
+/**
+ * Streams export rows from a MongoDB cursor to the client or a file, so
+ * memory use does not grow with the size of the export
+ */
+class ExportService {
+  /**
+   * MongoDB filter for an export from its query-string filters
+   * @param {Object} user - Exporting user; alerts awaiting approval are only
+   * exported for users who approve alerts
+   * @throws {AppError} 400 for invalid dates or radius
+   */
+  static buildQuery(type, filters = {}, user = null) {
+    // dateFrom/dateTo are the names the legacy CSV endpoint uses
+    const startDate = filters.startDate || filters.dateFrom;
+    const endDate = filters.endDate || filters.dateTo;
+    const query = {};
+    if (startDate || endDate) {
+      query.createdAt = dateRange(startDate, endDate);
+    }
+
+    if (type === 'incidents') {
+      query.isActive = true;
+      ['type', 'severity', 'status'].forEach(field => {
+        if (filters[field]) {query[field] = filters[field];}
+      });
+
+      // Geospatial filter (compatible with in-memory mongo)
+      const { lat, lng, radius } = filters;
+      if (lat && lng && radius) {
+        const radiusKm = parseFloat(radius);
+        if (isNaN(radiusKm) || radiusKm <= 0) {
+          throw invalid('Radius must be positive');
+        }
+        query.location = {
+          $geoWithin: {
+            $centerSphere: [[parseFloat(lng), parseFloat(lat)], radiusKm / EARTH_RADIUS_KM]
+          }
+        };
+      }
+      // Kept apart from the radius filter, which also constrains location
+      if (filters.bbox) {
+        query.$and = [{ location: boundingBox(filters.bbox) }];
+      }
+    } else if (type === 'alerts') {
+      query.isActive = { $in: [true, undefined] };
+      if (!PermissionService.can(user, 'alerts:approve')) {query.status = 'published';}
+      ['type', 'priority'].forEach(field => {
+        if (filters[field]) {query[field] = filters[field];}
+      });
+      if (filters.bbox) {
+        query.$or = alertBoundingBox(filters.bbox);
+      }
+    } else if (type === 'users') {
+      if (filters.role) {query.role = filters.role;}
+      if (typeof filters.isVerified !== 'undefined') {
+        query.isVerified = filters.isVerified === 'true' || filters.isVerified === true;
+      }
+    }
+
+    return query;
+  }
+
+  /**
+   * Cursor over the documents of an export, newest first
+   */
+  static createCursor(type, filters = {}, user = null) {
+    const query = this.buildQuery(type, filters, user);
+
+    if (type === 'incidents') {
+      return Incident.find(query)
+        .populate('reportedBy', 'firstName lastName email')
+        .populate('verifiedBy', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .lean()
+        .cursor({ batchSize: CURSOR_BATCH_SIZE });
+    }
+    if (type === 'alerts') {
+      return Alert.find(query).sort({ createdAt: -1 }).lean().cursor({ batchSize: CURSOR_BATCH_SIZE });
+    }
+    return User.find(query)
+      .select('firstName lastName email role isVerified createdAt')
+      .sort({ createdAt: -1 })
+      .lean()
+      .cursor({ batchSize: CURSOR_BATCH_SIZE });
+  }
+
+  /**
+   * Cursor over a raw collection, in natural order
+   */
+  static createCollectionCursor(collectionName, query = {}) {
+    return mongoose.connection.db.collection(collectionName).find(query).batchSize(CURSOR_BATCH_SIZE);
+  }
+
+  /**
+   * CSV text for a raw document field: ids and dates as strings, nested values as JSON
+   */
+  static rawValue(value) {
+    if (value === null || value === undefined) {return '';}
+    if (value instanceof Date || value instanceof mongoose.Types.ObjectId) {return String(value);}
+    return typeof value === 'object' ? JSON.stringify(value) : value;
+  }
+
+  /**
+   * Quote a CSV value when it holds a separator, quote or line break
+   */
+  static csvValue(value) {
+    if (value === null || value === undefined) {return '';}
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  static csvLine(values) {
+    return `${values.map(value => this.csvValue(value)).join(',')}\n`;
+  }
+
+  /**
+   * Pipeline step turning documents into CSV lines; columns are [header, value] pairs
+   */
+  static toCsv(columns) {
+    return async function* (documents) {
+      yield ExportService.csvLine(columns.map(([header]) => header));
+      for await (const doc of documents) {
+        yield ExportService.csvLine(columns.map(([, value]) => value(doc)));
+      }
+    };
+  }
+
+  /**
+   * Pipeline step turning documents into a JSON array, optionally wrapped
+   * as `{ ...envelope, data: [...] }` like the other API responses
+   */
+  static toJson(envelope = null) {
+    return async function* (documents) {
+      const wrapper = envelope ? JSON.stringify({ ...envelope, data: [] }) : '[]';
+      const split = wrapper.lastIndexOf('[') + 1;
+      yield wrapper.slice(0, split);
+      let first = true;
+      for await (const doc of documents) {
+        yield `${first ? '' : ','}${JSON.stringify(doc)}`;
+        first = false;
+      }
+      yield wrapper.slice(split);
+    };
+  }
+
+  /**
+   * Pipeline step turning documents into a GeoJSON FeatureCollection;
+   * documents without geometry are left out
+   */
+  static toGeoJson(type) {
+    const toFeature = gis.FEATURES[type];
+    return async function* (documents) {
+      yield '{"type":"FeatureCollection","features":[';
+      let first = true;
+      for await (const doc of documents) {
+        const feature = toFeature(doc);
+        if (!feature) {continue;}
+        yield `${first ? '' : ','}\n${JSON.stringify(feature)}`;
+        first = false;
+      }
+      yield '\n]}\n';
+    };
+  }
+
+  /**
+   * Pipeline step turning documents into a KML document of placemarks,
+   * styled by incident severity
+   */
+  static toKml(type) {
+    const toFeature = gis.FEATURES[type];
+    return async function* (documents) {
+      yield gis.kmlHeader(`SecurePath ${type}`);
+      for await (const doc of documents) {
+        const feature = toFeature(doc);
+        if (feature) {yield gis.kmlPlacemark(feature);}
+      }
+      yield gis.KML_FOOTER;
+    };
+  }
+
+  /**
+   * Pipeline step turning incidents into GPX waypoints
+   */
+  static toGpx(type) {
+    const toFeature = gis.FEATURES[type];
+    return async function* (documents) {
+      yield gis.gpxHeader(`SecurePath ${type}`);
+      for await (const doc of documents) {
+        const feature = toFeature(doc);
+        if (feature) {yield gis.gpxWaypoint(feature);}
+      }
+      yield gis.GPX_FOOTER;
+    };
+  }
+
+  /**
+   * Whether an export type can be written in a format
+   */
+  static supportsFormat(type, format) {
+    return FORMATS.includes(format) || (GIS_FORMATS[format] || []).includes(type);
+  }
+
+  /**
+   * Pipeline step writing an export type in a format; JSON is a plain array
+   * unless an envelope is given
+   */
+  static transform(type, format, envelope = null) {
+    if (format === 'csv') {return this.toCsv(COLUMNS[type]);}
+    if (format === 'geojson') {return this.toGeoJson(type);}
+    if (format === 'kml') {return this.toKml(type);}
+    if (format === 'gpx') {return this.toGpx(type);}
+    return this.toJson(envelope);
+  }
+
+  /**
+   * First document of a cursor and an iterable that yields it followed by
+   * the rest, so empty exports can be answered before any headers are sent
+   */
+  static async peek(cursor) {
+    const first = await cursor.next();
+    async function* documents() {
+      try {
+        if (first === null) {return;}
+        yield first;
+        for await (const doc of cursor) {
+          yield doc;
+        }
+      } finally {
+        // Also runs when the client goes away mid-download
+        await cursor.close();
+      }
+    }
+    return { first, documents: documents() };
+  }
+
+  /**
+   * Whether the client takes a gzip-encoded response
+   */
+  static acceptsGzip(req) {
+    return req.acceptsEncodings('gzip', 'identity') === 'gzip';
+  }
+
+  /**
+   * Stream documents to the response as a file download. The pipeline only
+   * pulls the next batch from MongoDB once the client has taken the last one.
+   * @param {Object} options - { filename, contentType, transform }
+   * @returns {Promise<number>} Documents sent
+   */
+  static async send(req, res, documents, { filename, contentType, transform }) {
+    let count = 0;
+    async function* counted(source) {
+      for await (const doc of source) {
+        count++;
+        yield doc;
+      }
+    }
+
+    res.setHeader('Content-Type', contentType);
+    if (filename) {
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    }
+    res.setHeader('Vary', 'Accept-Encoding');
+
+    const steps = [documents, counted, transform];
+    if (this.acceptsGzip(req)) {
+      res.setHeader('Content-Encoding', 'gzip');
+      steps.push(zlib.createGzip());
+    }
+
+    // Headers are gone once streaming starts; failures end the response early
+    await pipeline(...steps, res);
+    return count;
+  }
+
+  static filename(type, format) {
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+    return `${type}_export_${timestamp}.${format}`;
+  }
+}
+
+ExportService.FORMATS = FORMATS;
+ExportService.GIS_FORMATS = GIS_FORMATS;
+ExportService.CONTENT_TYPES = CONTENT_TYPES;
+ExportService.COLUMNS = COLUMNS;
+ExportService.PERMISSIONS = PERMISSIONS;
+ExportService.CURSOR_BATCH_SIZE = CURSOR_BATCH_SIZE;
+
+module.exports = ExportService;
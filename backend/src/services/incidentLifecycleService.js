@@ -0,0 +1,174 @@
+const IncidentStatusHistory = require('../models/IncidentStatusHistory');
+const PermissionService = require('./permissionService');
+const logger = require('../config/logger');
+
+// Requirement met by the user who reported the incident, whatever their role
+const REPORTER = 'reporter';
+const VERIFY = 'incidents:verify';
+const TRIAGE = 'incidents:triage';
+const REOPEN = 'incidents:reopen';
+
+// Allowed transitions: fromStatus -> toStatus -> permissions (any one suffices)
+// that allow the move. See PermissionService for which roles hold them.
+const TRANSITIONS = {
+  reported: {
+    verified: [VERIFY],
+    investigating: [TRIAGE],
+    resolved: [TRIAGE],
+    false_alarm: [REPORTER, TRIAGE]
+  },
+  verified: {
+    investigating: [TRIAGE],
+    resolved: [TRIAGE],
+    false_alarm: [TRIAGE]
+  },
+  investigating: {
+    resolved: [TRIAGE],
+    false_alarm: [TRIAGE]
+  },
+  resolved: {
+    closed: [TRIAGE],
+    investigating: [REOPEN]
+  },
+  false_alarm: {
+    reported: [REOPEN]
+  },
+  closed: {
+    investigating: [REOPEN]
+  }
+};
+
+// Legacy imported statuses behave like their modern equivalents
+TRANSITIONS.open = TRANSITIONS.reported;
+
+// Fields that must be present (in the request or already on the incident)
+const REQUIRED_FIELDS = {
+  resolved: ['resolutionNotes'],
+  false_alarm: ['reason']
+};
+
+// Leaving a terminal status is a reopen and must be justified
+const TERMINAL_STATUSES = ['resolved', 'false_alarm', 'closed'];
+
+/**
+ * Incident lifecycle state machine and append-only status audit trail
+ */
+class IncidentLifecycleService {
+  /**
+   * List statuses the user may move the incident to
+   * @param {Object} incident - Incident document
+   * @param {Object} user - Authenticated user
+   * @returns {Array<string>} Reachable statuses
+   */
+  static getAllowedTransitions(incident, user) {
+    const targets = TRANSITIONS[incident.status] || {};
+    const isReporter = incident.reportedBy &&
+      (incident.reportedBy._id || incident.reportedBy).toString() === user._id.toString();
+
+    return Object.keys(targets).filter(toStatus => targets[toStatus].some(requirement =>
+      requirement === REPORTER ? isReporter : PermissionService.can(user, requirement)
+    ));
+  }
+
+  /**
+   * Check a requested transition against role and field requirements
+   * @returns {Object} { allowed, statusCode, message, missingFields }
+   */
+  static checkTransition(incident, toStatus, user, payload = {}) {
+    const fromStatus = incident.status;
+
+    if (!TRANSITIONS[fromStatus] || !TRANSITIONS[fromStatus][toStatus]) {
+      return {
+        allowed: false,
+        statusCode: 409,
+        message: `Cannot change status from ${fromStatus} to ${toStatus}.`
+      };
+    }
+
+    if (!this.getAllowedTransitions(incident, user).includes(toStatus)) {
+      return {
+        allowed: false,
+        statusCode: 403,
+        message: `Your role (${user.role}) cannot change status from ${fromStatus} to ${toStatus}.`
+      };
+    }
+
+    const required = [...(REQUIRED_FIELDS[toStatus] || [])];
+    if (TERMINAL_STATUSES.includes(fromStatus) && !required.includes('reason')) {
+      required.push('reason');
+    }
+    const missingFields = required.filter(field => {
+      const value = payload[field] !== undefined ? payload[field] : incident[field];
+      return typeof value !== 'string' || value.trim().length === 0;
+    });
+
+    if (missingFields.length > 0) {
+      return {
+        allowed: false,
+        statusCode: 400,
+        message: `Changing status to ${toStatus} requires: ${missingFields.join(', ')}.`,
+        missingFields
+      };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Field updates implied by entering a status
+   * @returns {Object} Updates to merge into the incident update
+   */
+  static getTransitionUpdates(incident, toStatus, user) {
+    const now = new Date();
+    const updates = {};
+
+    if (toStatus === 'verified') {
+      updates.verifiedBy = user._id;
+      updates.verificationDate = now;
+    }
+    if (toStatus === 'resolved') {
+      updates.resolvedAt = now;
+    }
+    if (TERMINAL_STATUSES.includes(incident.status) && !TERMINAL_STATUSES.includes(toStatus)) {
+      updates.resolvedAt = null;
+    }
+
+    return updates;
+  }
+
+  /**
+   * Append an entry to the status history
+   */
+  static async recordTransition({ incident, fromStatus = null, toStatus, user = null, reason, changes = {} }) {
+    try {
+      return await IncidentStatusHistory.create({
+        incident: incident._id || incident,
+        fromStatus,
+        toStatus,
+        changedBy: user ? user._id : undefined,
+        role: user ? user.role : 'system',
+        reason,
+        changes
+      });
+    } catch (error) {
+      // The status change itself already succeeded; never fail the request over the audit write
+      logger.error('Failed to record incident status history:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the ordered status history of an incident
+   */
+  static async getHistory(incidentId) {
+    return IncidentStatusHistory.find({ incident: incidentId })
+      .populate('changedBy', 'firstName lastName role')
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+  }
+}
+
+IncidentLifecycleService.TRANSITIONS = TRANSITIONS;
+IncidentLifecycleService.REQUIRED_FIELDS = REQUIRED_FIELDS;
+
+module.exports = IncidentLifecycleService;
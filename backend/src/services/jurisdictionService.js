@@ -0,0 +1,119 @@
+const Incident = require('../models/Incident');
+const Jurisdiction = require('../models/Jurisdiction');
+const PermissionService = require('./permissionService');
+const logger = require('../config/logger');
+
+// Precincts sit inside municipalities; the most specific area handles the incident
+const TYPE_PRIORITY = ['precinct', 'municipality'];
+
+// Statuses that still need someone to work on them
+const OPEN_STATUSES = ['reported', 'open', 'verified', 'investigating'];
+
+// Geo operators need the plain GeoJSON, not a mongoose nested path
+const toPlain = (jurisdiction) => (jurisdiction.toObject ? jurisdiction.toObject() : jurisdiction);
+
+/**
+ * Routes incidents to the jurisdiction responsible for their location and
+ * works out which jurisdictions a user's work queue covers
+ */
+class JurisdictionService {
+  /**
+   * Jurisdiction responsible for a point
+   * @param {Array<number>} coordinates - [lng, lat]
+   * @returns {Object|null} Jurisdiction document
+   */
+  static async findForLocation(coordinates) {
+    if (!Array.isArray(coordinates) || coordinates.length !== 2) {return null;}
+
+    const matches = await Jurisdiction.find({
+      isActive: true,
+      boundary: {
+        $geoIntersects: {
+          $geometry: { type: 'Point', coordinates }
+        }
+      }
+    }).lean();
+
+    matches.sort((a, b) => TYPE_PRIORITY.indexOf(a.type) - TYPE_PRIORITY.indexOf(b.type));
+    return matches[0] || null;
+  }
+
+  /**
+   * Jurisdiction id for a new incident. Never throws so routing problems
+   * cannot block a report.
+   * @returns {ObjectId|null}
+   */
+  static async routeSafely(coordinates) {
+    try {
+      const jurisdiction = await this.findForLocation(coordinates);
+      return jurisdiction ? jurisdiction._id : null;
+    } catch (error) {
+      logger.error('Jurisdiction routing error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Route unrouted incidents inside a newly created jurisdiction
+   * @returns {number} Incidents routed
+   */
+  static async backfill(jurisdiction) {
+    const { _id, boundary } = toPlain(jurisdiction);
+    const result = await Incident.updateMany(
+      {
+        jurisdiction: null,
+        isActive: true,
+        location: { $geoWithin: { $geometry: boundary } }
+      },
+      { $set: { jurisdiction: _id } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Route the open incidents of a jurisdiction again after its boundary
+   * changed or it was retired. Active jurisdictions, including this one,
+   * that cover the old or new area pick them up.
+   * @param {Object} jurisdiction - Jurisdiction as it is now
+   * @param {Object} previousBoundary - Boundary before an edit
+   * @returns {number} Incidents routed
+   */
+  static async reroute(jurisdiction, previousBoundary = null) {
+    const { _id, boundary } = toPlain(jurisdiction);
+    await Incident.updateMany(
+      { jurisdiction: _id, status: { $in: OPEN_STATUSES } },
+      { $set: { jurisdiction: null } }
+    );
+
+    const areas = [boundary, previousBoundary].filter(Boolean);
+    const candidates = await Jurisdiction.find({
+      isActive: true,
+      $or: areas.map(area => ({ boundary: { $geoIntersects: { $geometry: area } } }))
+    }).lean();
+
+    // Most specific first; an edited jurisdiction keeps its incidents over peers of the same type
+    const rank = (candidate) => TYPE_PRIORITY.indexOf(candidate.type) * 2 +
+      (candidate._id.toString() === _id.toString() ? 0 : 1);
+    candidates.sort((a, b) => rank(a) - rank(b));
+
+    let routed = 0;
+    for (const candidate of candidates) {
+      routed += await this.backfill(candidate);
+    }
+    return routed;
+  }
+
+  /**
+   * Jurisdictions a user's queue is limited to. Fails closed: users without
+   * assigned jurisdictions see none until an administrator assigns some.
+   * @returns {Array|null} Jurisdiction ids, or null when the user sees every incident
+   */
+  static getScope(user) {
+    if (PermissionService.can(user, 'incidents:any_jurisdiction')) {return null;}
+    return (user.jurisdictions || []).map(id => id.toString());
+  }
+}
+
+JurisdictionService.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = JurisdictionService;
@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const LoginThrottle = require('../models/LoginThrottle');
+const User = require('../models/User');
+const MailService = require('./mailService');
+const logger = require('../config/logger');
+
+// Failures are forgotten after a day without another one
+const FAILURE_MEMORY_MS = 24 * 60 * 60 * 1000;
+const UNLOCK_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Brute-force protection for logins. Failures are counted per account and
+ * per client IP in MongoDB; once a counter reaches its limit every further
+ * failure locks it for twice as long as the previous one.
+ */
+class LoginThrottleService {
+  /**
+   * Limits, overridable through the environment
+   * @returns {Object} { maxAttempts, maxIpAttempts, baseLockMinutes, maxLockMinutes }
+   */
+  static getConfig() {
+    return {
+      maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5,
+      maxIpAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS, 10) || 20,
+      baseLockMinutes: parseFloat(process.env.LOGIN_LOCKOUT_BASE_MINUTES) || 1,
+      maxLockMinutes: parseFloat(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 24 * 60
+    };
+  }
+
+  static accountKey(email) {
+    return `account:${email.trim().toLowerCase()}`;
+  }
+
+  static ipKey(ip) {
+    return `ip:${ip}`;
+  }
+
+  /**
+   * Lock duration after a failure: none below the limit, then doubling
+   * with every failure past it
+   * @returns {number} Milliseconds, 0 when not locked
+   */
+  static getLockDuration(failures, limit) {
+    const { baseLockMinutes, maxLockMinutes } = this.getConfig();
+    if (failures < limit) {return 0;}
+    const minutes = Math.min(maxLockMinutes, baseLockMinutes * 2 ** (failures - limit));
+    return minutes * 60 * 1000;
+  }
+
+  /**
+   * Current lockout for a login attempt, if the account or IP is locked
+   * @returns {Object|null} { scope, lockedUntil, retryAfter } (retryAfter in seconds)
+   */
+  static async getLockout(email, ip) {
+    const now = new Date();
+    const locks = await LoginThrottle.find({
+      key: { $in: [this.accountKey(email), this.ipKey(ip)] },
+      lockedUntil: { $gt: now }
+    }).sort({ lockedUntil: -1 }).lean();
+
+    if (locks.length === 0) {return null;}
+    return {
+      scope: locks[0].scope,
+      lockedUntil: locks[0].lockedUntil,
+      retryAfter: Math.ceil((locks[0].lockedUntil - now) / 1000)
+    };
+  }
+
+  static async increment(key, scope, limit, ip) {
+    const now = new Date();
+    // Start over when the previous failures have been forgotten
+    await LoginThrottle.deleteOne({ key, expiresAt: { $lte: now } });
+
+    const upsert = () => LoginThrottle.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: { lastFailureAt: now, lastIp: ip, expiresAt: new Date(now.getTime() + FAILURE_MEMORY_MS) },
+        $setOnInsert: { scope }
+      },
+      { upsert: true, new: true }
+    );
+
+    let throttle;
+    try {
+      throttle = await upsert();
+    } catch (error) {
+      // A concurrent failure created the counter first; increment that one
+      if (error.code !== 11000) {throw error;}
+      throttle = await upsert();
+    }
+
+    const lockMs = this.getLockDuration(throttle.failures, limit);
+    if (lockMs > 0) {
+      throttle.lockedUntil = new Date(now.getTime() + lockMs);
+      await LoginThrottle.updateOne({ _id: throttle._id }, { $set: { lockedUntil: throttle.lockedUntil } });
+    }
+    return throttle;
+  }
+
+  /**
+   * Count a failed login against the account and the IP
+   * @param {string} email - Email the attempt was made for
+   * @param {string} ip - Client IP
+   * @param {Object|null} user - Account, when the email exists
+   * @returns {Object} { accountLocked, lockedUntil }
+   */
+  static async recordFailure(email, ip, user = null) {
+    const { maxAttempts, maxIpAttempts } = this.getConfig();
+    const [account] = await Promise.all([
+      this.increment(this.accountKey(email), 'account', maxAttempts, ip),
+      this.increment(this.ipKey(ip), 'ip', maxIpAttempts, ip)
+    ]);
+
+    const accountLocked = Boolean(account.lockedUntil && account.lockedUntil > new Date());
+    // Offer an unlock link when the account is first locked
+    if (accountLocked && user && account.failures === maxAttempts) {
+      await this.createUnlockToken(user);
+    }
+
+    if (accountLocked) {
+      logger.warn('Account locked after failed logins:', {
+        email: email.toLowerCase(),
+        ip,
+        failures: account.failures,
+        lockedUntil: account.lockedUntil
+      });
+    }
+
+    return { accountLocked, lockedUntil: accountLocked ? account.lockedUntil : null };
+  }
+
+  /**
+   * A successful login clears the account's failures and forgives up to an
+   * account's worth of the IP's, so users behind a shared IP who mistype
+   * their passwords do not add up to an IP lockout. Spraying many accounts
+   * still needs a success for every few failures.
+   * @param {string} email - Email that logged in
+   * @param {string} ip - Client IP
+   */
+  static async recordSuccess(email, ip) {
+    const { maxAttempts } = this.getConfig();
+    await LoginThrottle.deleteOne({ key: this.accountKey(email) });
+    if (!ip) {return;}
+
+    const key = this.ipKey(ip);
+    await LoginThrottle.updateOne({ key }, { $inc: { failures: -maxAttempts } });
+    await LoginThrottle.deleteOne({ key, failures: { $lte: 0 } });
+  }
+
+  /**
+   * Lift an account lockout, and the lockout of the IP the last failure
+   * came from
+   * @returns {boolean} Whether the account had recorded failures
+   */
+  static async unlock(email) {
+    const throttle = await LoginThrottle.findOneAndDelete({ key: this.accountKey(email) });
+    if (!throttle) {return false;}
+
+    if (throttle.lastIp) {
+      await LoginThrottle.deleteOne({ key: this.ipKey(throttle.lastIp) });
+    }
+    return true;
+  }
+
+  /**
+   * Failure counter and lock of an account, for administrators
+   */
+  static async getAccountState(email) {
+    const throttle = await LoginThrottle.findOne({
+      key: this.accountKey(email),
+      expiresAt: { $gt: new Date() }
+    }).lean();
+
+    if (!throttle) {return { failures: 0, locked: false, lockedUntil: null };}
+    return {
+      failures: throttle.failures,
+      locked: Boolean(throttle.lockedUntil && throttle.lockedUntil > new Date()),
+      lockedUntil: throttle.lockedUntil,
+      lastFailureAt: throttle.lastFailureAt,
+      lastIp: throttle.lastIp
+    };
+  }
+
+  /**
+   * Accounts and IPs locked right now
+   */
+  static async listActiveLockouts() {
+    return LoginThrottle.find({ lockedUntil: { $gt: new Date() } })
+      .sort({ lockedUntil: -1 })
+      .lean();
+  }
+
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Issue a one-hour token that unlocks the account from the emailed link
+   * @returns {string} Raw token; only its hash is stored
+   */
+  static async createUnlockToken(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        unlockToken: this.hashToken(token),
+        unlockTokenExpire: new Date(Date.now() + UNLOCK_TOKEN_TTL_MS)
+      }
+    });
+
+    await MailService.sendSafely({
+      to: user.email,
+      template: 'accountUnlock',
+      data: { firstName: user.firstName, link: MailService.link('/unlock', { token }) }
+    });
+    logger.info('Account unlock token issued:', { userId: user._id, email: user.email });
+    return token;
+  }
+
+  /**
+   * Unlock the account an unlock token was issued for
+   * @returns {Object|null} User, or null for an invalid or expired token
+   */
+  static async unlockWithToken(token) {
+    const user = await User.findOneAndUpdate(
+      { unlockToken: this.hashToken(token), unlockTokenExpire: { $gt: new Date() } },
+      { $unset: { unlockToken: 1, unlockTokenExpire: 1 } }
+    );
+    if (!user) {return null;}
+
+    await this.unlock(user.email);
+    return user;
+  }
+}
+
+module.exports = LoginThrottleService;
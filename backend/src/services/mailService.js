@@ -0,0 +1,124 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { URL } = require('url');
+const nodemailer = require('nodemailer');
+const templates = require('../utils/emailTemplates');
+const logger = require('../config/logger');
+
+const DEFAULT_FROM = 'SecurePath <no-reply@securepath.local>';
+
+const TRANSPORTS = {
+  smtp: () => nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  }),
+  file: () => nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' }),
+  console: () => nodemailer.createTransport({ jsonTransport: true })
+};
+
+let transport = null;
+let transportName = null;
+
+/**
+ * Outgoing email. The transport is chosen with MAIL_TRANSPORT:
+ * - smtp: SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ * - file: writes each message as a .eml file to MAIL_FILE_DIR for local testing
+ * - console: logs each message instead of sending it
+ * Without MAIL_TRANSPORT email is disabled and nothing is sent.
+ */
+class MailService {
+  static getTransportName() {
+    return (process.env.MAIL_TRANSPORT || '').trim().toLowerCase() || null;
+  }
+
+  static isEnabled() {
+    return Boolean(this.getTransportName());
+  }
+
+  /**
+   * Nodemailer transport for the configured MAIL_TRANSPORT, created once
+   */
+  static getTransport() {
+    const name = this.getTransportName();
+    if (transport && transportName === name) {return transport;}
+
+    const create = TRANSPORTS[name];
+    if (!create) {throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);}
+
+    transport = create();
+    transportName = name;
+    return transport;
+  }
+
+  /**
+   * Render and send a templated message
+   * @param {Object} options
+   * @param {string} options.to - Recipient address
+   * @param {string} options.template - Name of a template in utils/emailTemplates
+   * @param {Object} options.data - Template data
+   * @returns {Object} { sent, messageId }; sent is false when email is disabled
+   */
+  static async send({ to, template, data = {} }) {
+    const render = templates[template];
+    if (!render) {throw new Error(`Unknown email template: ${template}`);}
+
+    if (!this.isEnabled()) {
+      logger.debug('Email disabled; not sending:', { to, template });
+      return { sent: false, messageId: null };
+    }
+
+    const { subject, text, html } = render(data);
+    const info = await this.getTransport().sendMail({
+      from: process.env.MAIL_FROM || DEFAULT_FROM,
+      to,
+      subject,
+      text,
+      html
+    });
+
+    if (transportName === 'file') {
+      const dir = process.env.MAIL_FILE_DIR || './mail';
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, `${Date.now()}-${template}-${info.messageId.replace(/[<>@]/g, '')}.eml`), info.message);
+    } else if (transportName === 'console') {
+      logger.info('Email (console transport):', { to, subject, text });
+    }
+
+    logger.info('Email sent:', { to, template, messageId: info.messageId });
+    return { sent: true, messageId: info.messageId };
+  }
+
+  /**
+   * Send without failing the caller, e.g. a password reset request
+   * @returns {Object} { sent, messageId, error }
+   */
+  static async sendSafely(message) {
+    try {
+      return await this.send(message);
+    } catch (error) {
+      logger.error('Email send error:', { to: message.to, template: message.template, error: error.message });
+      return { sent: false, messageId: null, error: error.message };
+    }
+  }
+
+  /**
+   * Link into the web app, e.g. link('/reset-password', { token })
+   */
+  static link(pathname, params = {}) {
+    const url = new URL(pathname, process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:5173');
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+  }
+
+  // Lets tests switch MAIL_TRANSPORT between cases
+  static resetTransport() {
+    transport = null;
+    transportName = null;
+  }
+}
+
+module.exports = MailService;
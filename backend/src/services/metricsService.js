@@ -1,6 +1,7 @@
 const Incident = require('../models/Incident');
 const User = require('../models/User');
 const Alert = require('../models/Alert');
+const SlaService = require('./slaService');
 const logger = require('../config/logger');
 
 /**
@@ -503,6 +504,7 @@ class MetricsService {
       .sort({ createdAt: -1 })
       .limit(limit)
       .lean();
+    const slaPolicy = await SlaService.getPolicy();
 
     return incidents.map(incident => ({
       id: incident._id,
@@ -514,7 +516,8 @@ class MetricsService {
       reportedBy: incident.reportedBy,
       createdAt: incident.createdAt,
       timeAgo: this.getTimeAgo(incident.createdAt),
-      impactScore: this.calculateSimpleImpactScore(incident)
+      impactScore: this.calculateSimpleImpactScore(incident),
+      sla: SlaService.evaluate(incident, slaPolicy)
     }));
   }
 
@@ -0,0 +1,268 @@
+const Notification = require('../models/Notification');
+const Alert = require('../models/Alert');
+const logger = require('../config/logger');
+
+// Incident statuses that settle whether a report was genuine
+const VERIFICATION_OUTCOMES = {
+  verified: 'Your report was verified',
+  false_alarm: 'Your report was marked as a false alarm'
+};
+
+const STATUS_LABELS = {
+  reported: 'reported',
+  verified: 'verified',
+  investigating: 'under investigation',
+  resolved: 'resolved',
+  false_alarm: 'a false alarm',
+  closed: 'closed'
+};
+
+const toId = (value) => (value && (value._id || value)).toString();
+
+/**
+ * Server-side notification inbox. Other services call notify() next to the
+ * socket event or push they already send; each new entry is also emitted to
+ * the user's sockets as 'notification:new', and read/archive changes as
+ * 'notification:updated', so every open tab and device stays in step.
+ */
+class NotificationService {
+  /**
+   * Add a notification to the inbox of each user
+   * @param {Array} userIds - Recipients
+   * @param {Object} attrs - { type, title, message, priority, link, alert, incident, comment, actor }
+   * @returns {Array} Created notifications
+   */
+  static async notify(userIds, attrs) {
+    const recipients = [...new Set(userIds.map(toId))];
+    if (recipients.length === 0) {return [];}
+
+    const notifications = await Notification.insertMany(recipients.map(user => ({ ...attrs, user })));
+
+    if (global.broadcastNotification) {
+      notifications.forEach(notification => {
+        global.broadcastNotification(notification.user.toString(), 'notification:new', {
+          notification: notification.toJSON()
+        });
+      });
+    }
+
+    return notifications;
+  }
+
+  /**
+   * Notify without failing the caller; the inbox is a record of something
+   * that already happened, never a reason to undo it
+   */
+  static async notifySafely(userIds, attrs) {
+    try {
+      return await this.notify(userIds, attrs);
+    } catch (error) {
+      logger.error('Notification inbox error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Tell the reporter that their incident changed status. Verification
+   * outcomes get their own type so the inbox can filter on them.
+   * @param {Object} incident - Incident with title and reportedBy
+   * @param {string} toStatus - New status
+   * @param {Object|null} actor - User who made the change, null for automatic changes
+   */
+  static async notifyIncidentStatus(incident, toStatus, actor = null) {
+    if (!incident.reportedBy) {return [];}
+    const reporterId = toId(incident.reportedBy);
+    if (actor && toId(actor) === reporterId) {return [];}
+
+    const outcome = VERIFICATION_OUTCOMES[toStatus];
+    return this.notifySafely([reporterId], {
+      type: outcome ? 'verification' : 'incident_update',
+      title: outcome || `Your report is now ${STATUS_LABELS[toStatus] || toStatus.replace(/_/g, ' ')}`,
+      message: incident.title,
+      priority: toStatus === 'false_alarm' ? 'low' : 'medium',
+      link: `/incidents/${incident._id}`,
+      incident: incident._id,
+      actor: actor ? actor._id : undefined
+    });
+  }
+
+  /**
+   * Tell a comment's author that someone replied to it
+   * @param {Object} options - { incident, parent, comment, actor }
+   */
+  static async notifyCommentReply({ incident, parent, comment, actor }) {
+    if (!parent.author) {return [];}
+    const authorId = toId(parent.author);
+    if (authorId === toId(actor)) {return [];}
+
+    const body = comment.body.length > 200 ? `${comment.body.slice(0, 197)}...` : comment.body;
+    return this.notifySafely([authorId], {
+      type: 'comment_reply',
+      title: `${actor.firstName} ${actor.lastName} replied to your comment`,
+      message: incident.title ? `${incident.title}: ${body}` : body,
+      priority: 'low',
+      link: `/incidents/${incident._id}`,
+      incident: incident._id,
+      comment: comment._id,
+      actor: actor._id
+    });
+  }
+
+  static buildFilter(userId, { status = 'all', type, archived = false } = {}) {
+    const filter = { user: userId, archivedAt: archived ? { $ne: null } : null };
+    if (status === 'unread') {filter.readAt = null;}
+    if (status === 'read') {filter.readAt = { $ne: null };}
+    if (type) {filter.type = { $in: type.split(',') };}
+    return filter;
+  }
+
+  /**
+   * One page of a user's inbox, newest first
+   * @param {string} userId
+   * @param {Object} query - { page, limit, status, type, archived }
+   * @returns {Object} { notifications, pagination, unreadCount }
+   */
+  static async list(userId, query = {}) {
+    const page = query.page || 1;
+    const limit = query.limit || 20;
+    const filter = this.buildFilter(userId, query);
+    const skip = (page - 1) * limit;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .populate('actor', 'firstName lastName role')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      this.getUnreadCount(userId)
+    ]);
+
+    return {
+      notifications,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        hasNext: skip + notifications.length < total,
+        hasPrev: page > 1
+      },
+      unreadCount
+    };
+  }
+
+  static async getUnreadCount(userId) {
+    return Notification.countDocuments({ user: userId, readAt: null, archivedAt: null });
+  }
+
+  /**
+   * Mark notifications read or unread
+   * @param {string} userId
+   * @param {Array|null} ids - Notification ids, or null for the whole inbox
+   * @param {boolean} read
+   * @returns {Object} { modified, unreadCount }
+   */
+  static async markRead(userId, ids, read = true) {
+    const filter = { user: userId, readAt: read ? null : { $ne: null } };
+    if (ids) {
+      filter._id = { $in: ids };
+    } else {
+      filter.archivedAt = null;
+    }
+
+    // Alerts read from the inbox count as read on the alert itself
+    const alertIds = read ? await Notification.distinct('alert', { ...filter, alert: { $ne: null } }) : [];
+
+    const result = await Notification.updateMany(filter, { $set: { readAt: read ? new Date() : null } });
+    if (alertIds.length > 0) {
+      await this.markAlertsRead(userId, alertIds);
+    }
+
+    return this.emitUpdate(userId, read ? 'read' : 'unread', ids, result.modifiedCount);
+  }
+
+  /**
+   * Archive notifications or bring them back to the inbox
+   * @param {string} userId
+   * @param {Array|null} ids - Notification ids, or null for the whole inbox
+   * @param {boolean} archived
+   * @returns {Object} { modified, unreadCount }
+   */
+  static async archive(userId, ids, archived = true) {
+    const filter = { user: userId, archivedAt: archived ? null : { $ne: null } };
+    if (ids) {filter._id = { $in: ids };}
+
+    const result = await Notification.updateMany(filter, { $set: { archivedAt: archived ? new Date() : null } });
+    return this.emitUpdate(userId, archived ? 'archived' : 'unarchived', ids, result.modifiedCount);
+  }
+
+  /**
+   * Change the read or archived state of a single notification
+   * @param {string} userId
+   * @param {string} id - Notification id
+   * @param {Object} changes - { read, archived }
+   * @returns {Object|null} Updated notification, or null when the user has no such notification
+   */
+  static async update(userId, id, { read, archived }) {
+    const notification = await Notification.findOne({ _id: id, user: userId });
+    if (!notification) {return null;}
+
+    if (read !== undefined && read !== Boolean(notification.readAt)) {
+      await this.markRead(userId, [notification._id], read);
+    }
+    if (archived !== undefined && archived !== Boolean(notification.archivedAt)) {
+      await this.archive(userId, [notification._id], archived);
+    }
+
+    return Notification.findById(notification._id).populate('actor', 'firstName lastName role');
+  }
+
+  /**
+   * Mark the inbox entries for an alert read after it was read elsewhere
+   * (POST /api/alerts/:id/mark-read)
+   */
+  static async markAlertNotificationsRead(userId, alertId) {
+    const filter = { user: userId, alert: alertId, readAt: null };
+    const ids = await Notification.distinct('_id', filter);
+    if (ids.length === 0) {return { modified: 0 };}
+
+    const result = await Notification.updateMany(filter, { $set: { readAt: new Date() } });
+    return this.emitUpdate(userId, 'read', ids, result.modifiedCount);
+  }
+
+  static async markAlertsRead(userId, alertIds) {
+    const alerts = await Alert.find({ _id: { $in: alertIds } });
+    for (const alert of alerts) {
+      // Email, SMS and push entries keep their own status
+      const existing = alert.deliveryStatus.find(entry => entry.deliveryMethod === 'in_app' &&
+        entry.user.toString() === userId.toString());
+      if (existing && existing.status === 'read') {continue;}
+
+      if (existing) {
+        existing.status = 'read';
+        existing.deliveredAt = existing.deliveredAt || new Date();
+      } else {
+        alert.deliveryStatus.push({ user: userId, status: 'read', deliveredAt: new Date(), deliveryMethod: 'in_app' });
+      }
+      await alert.save();
+    }
+  }
+
+  // Keep the user's other tabs and devices in step with a read/archive change
+  static async emitUpdate(userId, action, ids, modified) {
+    const unreadCount = await this.getUnreadCount(userId);
+    if (modified > 0 && global.broadcastNotification) {
+      global.broadcastNotification(userId.toString(), 'notification:updated', {
+        action,
+        ids: ids ? ids.map(id => id.toString()) : null,
+        unreadCount
+      });
+    }
+    return { modified, unreadCount };
+  }
+}
+
+NotificationService.VERIFICATION_OUTCOMES = VERIFICATION_OUTCOMES;
+
+module.exports = NotificationService;
@@ -0,0 +1,184 @@
+const Setting = require('../models/Setting');
+const Jurisdiction = require('../models/Jurisdiction');
+
+const POLICY_KEY = 'role_permissions';
+// Permission checks happen on every authenticated request
+const CACHE_TTL_MS = 60 * 1000;
+
+const ROLES = ['citizen', 'authority', 'admin'];
+
+const PERMISSIONS = {
+  'incidents:verify': 'Verify reported incidents',
+  'incidents:triage': 'Edit any incident and move it through investigation, resolution and false alarm',
+  'incidents:reopen': 'Reopen resolved, closed and false alarm incidents',
+  'incidents:delete': 'Delete any incident',
+  'incidents:merge': 'Merge duplicate incident reports',
+  'incidents:assign': 'Assign incidents to authorities and work the incident queue',
+  'incidents:view_history': 'View the status history of any incident',
+  'incidents:view_trust': 'View incident trust score breakdowns',
+  'incidents:any_jurisdiction': 'Act on incidents outside assigned jurisdictions',
+  'comments:moderate': 'Hide and restore comments and review flagged comments',
+  'evidence:review': 'Add evidence to any incident and see where evidence was captured',
+  'evidence:manage': 'Delete evidence uploaded by others',
+  'alerts:broadcast': 'Create alerts',
+  'alerts:manage': 'Edit and delete alerts created by others',
+  'alerts:approve': 'Approve or reject alerts awaiting approval and set which alerts need it',
+  'alerts:view_stats': 'View alert statistics',
+  'analytics:view': 'View incident statistics, analytics and reports',
+  'analytics:system': 'View system-wide analytics and dashboard reports',
+  'export:incidents': 'Export incidents',
+  'export:alerts': 'Export alerts',
+  'export:analytics': 'Export analytics reports',
+  'export:users': 'Export user accounts',
+  'export:collections': 'Export raw database collections',
+  'backups:manage': 'Create, list and clean up database backups, and dry-run restores',
+  'backups:restore': 'Restore collections from a database backup',
+  'system:health': 'View database health',
+  'system:statistics': 'View platform statistics',
+  'system:activity': 'View recent platform activity',
+  'system:cache': 'Clear metrics caches',
+  'users:view': 'View user accounts',
+  'users:manage': 'Change user status and role, and delete users',
+  'authorities:review': 'Review authority applications and grant the authority role',
+  'sla:manage': 'Change incident response and resolution targets',
+  'security:manage': 'Manage login lockouts, two-factor authentication and the security policy',
+  'jurisdictions:manage': 'Create jurisdictions and assign them to authorities',
+  'notifications:manage': 'View and rotate the Web Push keys',
+  'permissions:manage': 'Change which permissions each role has'
+};
+
+// Matches the hard-coded role lists the routes used before permissions existed
+const AUTHORITY_PERMISSIONS = [
+  'incidents:verify',
+  'incidents:triage',
+  'incidents:merge',
+  'incidents:assign',
+  'incidents:view_history',
+  'incidents:view_trust',
+  'comments:moderate',
+  'evidence:review',
+  'alerts:broadcast',
+  'alerts:view_stats',
+  'analytics:view',
+  'export:incidents',
+  'export:alerts',
+  'export:analytics',
+  'system:health',
+  'system:statistics',
+  'users:view'
+];
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  citizen: [],
+  authority: AUTHORITY_PERMISSIONS,
+  admin: Object.keys(PERMISSIONS)
+};
+
+let cached = null;
+let cachedAt = 0;
+
+/**
+ * Role to permission mapping, stored as a Setting so administrators can
+ * change it without a deploy, plus jurisdiction scoping for authorities
+ */
+class PermissionService {
+  /**
+   * Refresh the cached mapping when it is stale
+   * @returns {Object} Permissions by role
+   */
+  static async load() {
+    if (cached && Date.now() - cachedAt < CACHE_TTL_MS) {return cached;}
+
+    // The setting holds only the roles an administrator changed
+    const setting = await Setting.findOne({ key: POLICY_KEY }).lean();
+    cached = { ...DEFAULT_ROLE_PERMISSIONS, ...(setting?.value || {}) };
+    cachedAt = Date.now();
+    return cached;
+  }
+
+  static clearCache() {
+    cached = null;
+    cachedAt = 0;
+  }
+
+  /**
+   * Permissions granted to a role. Synchronous so it can be used inside
+   * request handlers; `protect` loads the stored mapping beforehand.
+   * @returns {Array<string>}
+   */
+  static getRolePermissions(role) {
+    const mapping = cached || DEFAULT_ROLE_PERMISSIONS;
+    return mapping[role] || [];
+  }
+
+  /**
+   * Whether the user's role grants a permission
+   */
+  static can(user, permission) {
+    return Boolean(user) && this.getRolePermissions(user.role).includes(permission);
+  }
+
+  /**
+   * Replace the permissions of one role. Only roles that differ from the
+   * defaults are stored, so permissions added in later releases still
+   * reach the roles nobody changed.
+   * @param {string} role - Role to change
+   * @param {Array<string>} permissions - Full permission list for the role
+   * @param {string} userId - Administrator making the change
+   * @returns {Object} Updated mapping
+   */
+  static async update(role, permissions, userId) {
+    const defaults = DEFAULT_ROLE_PERMISSIONS[role] || [];
+    const isDefault = permissions.length === defaults.length &&
+      permissions.every(permission => defaults.includes(permission));
+    const change = isDefault
+      ? { $unset: { [`value.${role}`]: '' }, $set: { updatedBy: userId } }
+      : { $set: { [`value.${role}`]: permissions, updatedBy: userId } };
+
+    await Setting.updateOne({ key: POLICY_KEY }, change, { upsert: true });
+
+    this.clearCache();
+    return this.load();
+  }
+
+  /**
+   * Restore the built-in permissions of every role
+   */
+  static async reset() {
+    await Setting.deleteOne({ key: POLICY_KEY });
+    this.clearCache();
+    return this.load();
+  }
+
+  /**
+   * Whether the user may act on an incident given their jurisdictions.
+   * Users without assigned jurisdictions may not act on any incident unless
+   * they have 'incidents:any_jurisdiction', matching their empty work queue.
+   * @param {Object} user - Authenticated user
+   * @param {Object} incident - Incident with location
+   * @returns {Promise<boolean>}
+   */
+  static async canActOnIncident(user, incident) {
+    if (this.can(user, 'incidents:any_jurisdiction')) {return true;}
+    if (!user.jurisdictions || user.jurisdictions.length === 0) {return false;}
+    if (!incident.location || !incident.location.coordinates) {return false;}
+
+    const match = await Jurisdiction.exists({
+      _id: { $in: user.jurisdictions },
+      isActive: true,
+      boundary: {
+        $geoIntersects: {
+          $geometry: { type: 'Point', coordinates: incident.location.coordinates }
+        }
+      }
+    });
+    return Boolean(match);
+  }
+}
+
+PermissionService.POLICY_KEY = POLICY_KEY;
+PermissionService.ROLES = ROLES;
+PermissionService.PERMISSIONS = PERMISSIONS;
+PermissionService.DEFAULT_ROLE_PERMISSIONS = DEFAULT_ROLE_PERMISSIONS;
+
+module.exports = PermissionService;
@@ -0,0 +1,294 @@
+const webpush = require('web-push');
+const Setting = require('../models/Setting');
+const User = require('../models/User');
+const PushSubscription = require('../models/PushSubscription');
+const SessionService = require('./sessionService');
+const TwoFactorService = require('./twoFactorService');
+const { AppError, ERROR_CODES, ERROR_SEVERITY } = require('../utils/errorHandler');
+const logger = require('../config/logger');
+
+const KEYS_SETTING = 'vapid_keys';
+const DEFAULT_SUBJECT = 'mailto:no-reply@securepath.local';
+// Undelivered notifications are dropped by the push service after a day
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+// Subscriptions that keep failing for other reasons are dropped as well
+const MAX_FAILURES = 5;
+// Subscriptions sent to at the same time
+const SEND_CONCURRENCY = 10;
+// Other instances pick up rotated keys within this time
+const KEYS_CACHE_MS = 60 * 1000;
+
+let cachedKeys = null;
+let cachedAt = 0;
+// Background sends, so shutdown can wait for them
+const inFlight = new Set();
+
+/**
+ * Web Push delivery. VAPID keys come from VAPID_PUBLIC_KEY/VAPID_PRIVATE_KEY
+ * or, when those are unset, are generated once and stored as a Setting with
+ * the private key encrypted. Rotating generated keys invalidates every
+ * existing subscription.
+ */
+class PushService {
+  /**
+   * Current VAPID key pair
+   * @returns {Object} { publicKey, privateKey, subject, source: 'env' | 'generated' }
+   */
+  static async getVapidKeys() {
+    if (cachedKeys && Date.now() - cachedAt < KEYS_CACHE_MS) {return cachedKeys;}
+
+    const subject = process.env.VAPID_SUBJECT || DEFAULT_SUBJECT;
+    if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+      cachedKeys = {
+        publicKey: process.env.VAPID_PUBLIC_KEY,
+        privateKey: process.env.VAPID_PRIVATE_KEY,
+        subject,
+        source: 'env'
+      };
+      cachedAt = Date.now();
+      return cachedKeys;
+    }
+
+    let setting = await Setting.findOne({ key: KEYS_SETTING }).lean();
+    if (!setting) {
+      await this.storeGeneratedKeys();
+      setting = await Setting.findOne({ key: KEYS_SETTING }).lean();
+    }
+
+    cachedKeys = {
+      publicKey: setting.value.publicKey,
+      privateKey: TwoFactorService.decryptSecret(setting.value.privateKey),
+      subject,
+      source: 'generated',
+      createdAt: setting.updatedAt
+    };
+    cachedAt = Date.now();
+    return cachedKeys;
+  }
+
+  /**
+   * Generate a key pair and store it, keeping keys another instance stored first
+   */
+  static async storeGeneratedKeys(userId = null, replace = false) {
+    const { publicKey, privateKey } = webpush.generateVAPIDKeys();
+    const value = { publicKey, privateKey: TwoFactorService.encryptSecret(privateKey) };
+
+    if (replace) {
+      await Setting.updateOne(
+        { key: KEYS_SETTING },
+        { $set: { value, updatedBy: userId } },
+        { upsert: true }
+      );
+    } else {
+      await Setting.updateOne(
+        { key: KEYS_SETTING },
+        { $setOnInsert: { value } },
+        { upsert: true }
+      );
+    }
+  }
+
+  static async getPublicKey() {
+    const { publicKey } = await this.getVapidKeys();
+    return publicKey;
+  }
+
+  /**
+   * Replace generated keys. Browsers must subscribe again, so every stored
+   * subscription is removed.
+   * @returns {Object} { publicKey, removedSubscriptions }
+   */
+  static async rotateKeys(userId) {
+    const current = await this.getVapidKeys();
+    if (current.source === 'env') {
+      throw new AppError(
+        'VAPID keys are set through the environment and cannot be rotated here.',
+        409,
+        ERROR_CODES.OPERATION_NOT_ALLOWED,
+        ERROR_SEVERITY.LOW
+      );
+    }
+
+    await this.storeGeneratedKeys(userId, true);
+    const { deletedCount } = await PushSubscription.deleteMany({});
+    this.clearCache();
+
+    logger.warn('VAPID keys rotated:', { userId, removedSubscriptions: deletedCount });
+    return { publicKey: await this.getPublicKey(), removedSubscriptions: deletedCount };
+  }
+
+  static clearCache() {
+    cachedKeys = null;
+    cachedAt = 0;
+  }
+
+  /**
+   * Store a browser's subscription for a user
+   * @param {Object} user - Subscribing user
+   * @param {Object} subscription - PushSubscription.toJSON() from the browser
+   * @param {string} userAgent - User-Agent of the subscribing browser
+   */
+  static async subscribe(user, { endpoint, keys, expirationTime }, userAgent = '') {
+    return PushSubscription.findOneAndUpdate(
+      { endpoint },
+      {
+        $set: {
+          user: user._id,
+          keys,
+          expirationTime: expirationTime ? new Date(expirationTime) : null,
+          userAgent: userAgent.substring(0, 500),
+          device: SessionService.describeDevice(userAgent),
+          failureCount: 0
+        }
+      },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  static async unsubscribe(userId, endpoint) {
+    const { deletedCount } = await PushSubscription.deleteOne({ user: userId, endpoint });
+    return deletedCount > 0;
+  }
+
+  /**
+   * Send a notification to every subscribed browser of the given users who
+   * allow push notifications, a few browsers at a time. The service worker
+   * shows { title, body, url, tag }.
+   * @param {Array<string>} userIds
+   * @param {Object} payload - { title, body, url, tag, data }
+   * @returns {Object} { sent, failed, removed, deliveredTo } where deliveredTo
+   * lists users with at least one accepted notification
+   */
+  static async sendToUsers(userIds, payload, options = {}) {
+    const summary = { sent: 0, failed: 0, removed: 0, deliveredTo: [] };
+    if (userIds.length === 0) {return summary;}
+
+    const allowed = await User.find({
+      _id: { $in: userIds },
+      isActive: true,
+      'preferences.notifications.push': { $ne: false }
+    }).distinct('_id');
+    const subscriptions = await PushSubscription.find({ user: { $in: allowed } }).lean();
+    if (subscriptions.length === 0) {return summary;}
+
+    const { publicKey, privateKey, subject } = await this.getVapidKeys();
+    const body = JSON.stringify(payload);
+    const sendOptions = {
+      vapidDetails: { subject, publicKey, privateKey },
+      TTL: options.ttl || DEFAULT_TTL_SECONDS,
+      urgency: options.urgency || 'normal',
+      timeout: 10000
+    };
+    const delivered = new Set();
+
+    const queue = [...subscriptions];
+    const worker = async () => {
+      while (queue.length > 0) {
+        const subscription = queue.shift();
+        const outcome = await this.sendToSubscription(subscription, body, sendOptions);
+        if (outcome === 'sent') {
+          summary.sent++;
+          delivered.add(subscription.user.toString());
+        } else {
+          summary.failed++;
+          if (outcome === 'removed') {summary.removed++;}
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(SEND_CONCURRENCY, queue.length) }, worker));
+
+    summary.deliveredTo = [...delivered];
+    return summary;
+  }
+
+  /**
+   * Send to one browser and record the outcome on its subscription
+   * @returns {string} 'sent', 'failed' or 'removed'
+   */
+  static async sendToSubscription(subscription, body, sendOptions) {
+    try {
+      await webpush.sendNotification(
+        { endpoint: subscription.endpoint, keys: subscription.keys },
+        body,
+        sendOptions
+      );
+      await PushSubscription.updateOne(
+        { _id: subscription._id },
+        { $set: { lastSuccessAt: new Date(), failureCount: 0 } }
+      );
+      return 'sent';
+    } catch (error) {
+      // 404/410: the browser unsubscribed or the subscription expired
+      const gone = error.statusCode === 404 || error.statusCode === 410;
+      const remove = gone || subscription.failureCount + 1 >= MAX_FAILURES;
+      if (remove) {
+        await PushSubscription.deleteOne({ _id: subscription._id });
+      } else {
+        await PushSubscription.updateOne({ _id: subscription._id }, { $inc: { failureCount: 1 } });
+      }
+      logger.warn('Push send failed:', {
+        subscriptionId: subscription._id,
+        statusCode: error.statusCode,
+        error: error.message,
+        removed: remove
+      });
+      return remove ? 'removed' : 'failed';
+    }
+  }
+
+  /**
+   * Send without failing the caller
+   */
+  static async sendToUsersSafely(userIds, payload, options) {
+    try {
+      return await this.sendToUsers(userIds, payload, options);
+    } catch (error) {
+      logger.error('Push dispatch error:', error);
+      return { sent: 0, failed: 0, removed: 0, deliveredTo: [] };
+    }
+  }
+
+  /**
+   * Send in the background so the caller, usually a request, does not wait
+   * on push services
+   * @param {Function} onSent - Optional async callback with the send summary
+   * @returns {Promise} Settles once sent; never rejects
+   */
+  static dispatch(userIds, payload, options = {}, onSent = null) {
+    const task = (async () => {
+      const summary = await this.sendToUsersSafely(userIds, payload, options);
+      if (onSent) {
+        try {
+          await onSent(summary);
+        } catch (error) {
+          logger.error('Push dispatch callback error:', error);
+        }
+      }
+    })();
+    inFlight.add(task);
+    task.finally(() => inFlight.delete(task));
+    return task;
+  }
+
+  /**
+   * Wait for background sends, e.g. before shutting down
+   */
+  static async drain() {
+    await Promise.all([...inFlight]);
+  }
+
+  /**
+   * Users with at least one push subscription, for broadcasts to everyone
+   */
+  static async getSubscribedUserIds() {
+    const ids = await PushSubscription.distinct('user');
+    return ids.map(id => id.toString());
+  }
+}
+
+PushService.KEYS_SETTING = KEYS_SETTING;
+PushService.MAX_FAILURES = MAX_FAILURES;
+PushService.SEND_CONCURRENCY = SEND_CONCURRENCY;
+PushService.KEYS_CACHE_MS = KEYS_CACHE_MS;
+
+module.exports = PushService;
@@ -0,0 +1,602 @@
+const sharp = require('sharp');
+const PdfDocument = require('../utils/pdfDocument');
+
+const MARGIN = 50;
+const FOOTER_HEIGHT = 30;
+const ROW_HEIGHT = 18;
+const DEFAULT_COLOR = '#1f4e79';
+const MUTED = '#666666';
+const RULE = '#d0d5db';
+const STRIPE = '#f3f5f7';
+
+// Rendered map size in pixels; drawn across the text width of the page
+const MAP_SIZE = { width: 1000, height: 620 };
+const MAP_BACKGROUND = '#eef2f5';
+const MAP_GRID = '#d5dde5';
+const CLUSTER_COLOR = '#2f6db5';
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+// Same palette as the KML export styles
+const SEVERITY_COLORS = {
+  low: '#2e9e44',
+  medium: '#e0b000',
+  high: '#f07800',
+  critical: '#d01c1c'
+};
+
+const TIME_RANGES = {
+  '24h': 'Last 24 hours',
+  '7d': 'Last 7 days',
+  '30d': 'Last 30 days',
+  '90d': 'Last 90 days',
+  '1y': 'Last 12 months'
+};
+
+const label = (value) => String(value || 'unknown').replace(/_/g, ' ').replace(/^\w/, char => char.toUpperCase());
+const formatNumber = (value) => Number(value || 0).toLocaleString('en-US', { maximumFractionDigits: 1 });
+const share = (part, total) => (total ? `${Math.round((part / total) * 100)}%` : '0%');
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+// Severity counts from one facet of AnalyticsService.getSeverityTrends
+const countsOf = (facet) => Object.fromEntries((facet || []).map(({ _id, count }) => [_id, count]));
+
+/**
+ * Grid spacing in degrees giving about `lines` lines across a span
+ */
+const gridStep = (span, lines = 6) => {
+  const raw = span / lines;
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10].find(factor => factor * magnitude >= raw);
+  return step * magnitude;
+};
+
+/**
+ * Cursor over the pages of a report: starts new pages when content would
+ * run into the footer
+ */
+class ReportLayout {
+  constructor(doc, accent) {
+    this.doc = doc;
+    this.accent = accent;
+    this.left = MARGIN;
+    this.width = doc.width - MARGIN * 2;
+    this.bottom = doc.height - MARGIN - FOOTER_HEIGHT;
+    this.y = MARGIN;
+  }
+
+  newPage() {
+    this.doc.addPage();
+    this.y = MARGIN;
+  }
+
+  ensure(height) {
+    if (this.y + height > this.bottom) {this.newPage();}
+  }
+
+  heading(text) {
+    // Keep headings with at least two rows of what follows
+    this.ensure(26 + ROW_HEIGHT * 3);
+    this.doc.text(text, this.left, this.y, { font: 'bold', size: 14, color: this.accent });
+    this.y += 19;
+    this.doc.line(this.left, this.y, this.left + this.width, this.y, { color: this.accent, lineWidth: 1.5 });
+    this.y += 10;
+  }
+
+  subheading(text) {
+    this.ensure(16 + ROW_HEIGHT * 2);
+    this.doc.text(text, this.left, this.y, { font: 'bold', size: 11 });
+    this.y += 16;
+  }
+
+  paragraph(text, { size = 10, color = '#000000', font = 'regular', indent = 0 } = {}) {
+    const lineHeight = size * 1.4;
+    for (const line of this.doc.wrap(text, this.width - indent, { font, size })) {
+      this.ensure(lineHeight);
+      this.doc.text(line, this.left + indent, this.y, { font, size, color });
+      this.y += lineHeight;
+    }
+  }
+
+  gap(height = 12) {
+    this.y += height;
+  }
+
+  /**
+   * Table with a header row repeated on every page it spans
+   * @param {Array} columns - { header, width (fraction of the text width), align }
+   * @param {Array} rows - Arrays of cell text
+   */
+  table(columns, rows, emptyText) {
+    if (rows.length === 0) {
+      this.paragraph(emptyText, { color: MUTED });
+      this.gap();
+      return;
+    }
+
+    const cells = columns.map((column, index) => {
+      const x = this.left + columns.slice(0, index).reduce((sum, { width }) => sum + width * this.width, 0);
+      return { ...column, x, width: column.width * this.width };
+    });
+    const row = (values, { font = 'regular', color = '#000000', fill = null } = {}) => {
+      if (fill) {this.doc.rect(this.left, this.y, this.width, ROW_HEIGHT, { fill });}
+      cells.forEach((cell, index) => {
+        const text = this.doc.truncate(values[index] ?? '', cell.width - 8, { font, size: 9 });
+        this.doc.text(text, cell.x + 4, this.y + 5, { font, size: 9, color, align: cell.align || 'left', width: cell.width - 8 });
+      });
+      this.y += ROW_HEIGHT;
+    };
+    const header = () => row(columns.map(({ header: text }) => text), { font: 'bold', color: '#ffffff', fill: this.accent });
+
+    this.ensure(ROW_HEIGHT * 2);
+    header();
+    rows.forEach((values, index) => {
+      if (this.y + ROW_HEIGHT > this.bottom) {
+        this.newPage();
+        header();
+      }
+      row(values, { fill: index % 2 === 1 ? STRIPE : null });
+    });
+    this.doc.line(this.left, this.y, this.left + this.width, this.y, { color: RULE });
+    this.gap(16);
+  }
+}
+
+/**
+ * Printable analytics reports: the report from AnalyticsService.generateReport
+ * laid out as a multi-page PDF, with a map of incident clusters and hotspots
+ * rendered on the server, optionally branded for a jurisdiction
+ */
+class ReportPdfService {
+  /**
+   * Render the report
+   * @param {Object} report - Report from AnalyticsService.generateReport
+   * @param {Object} options - { jurisdiction } to brand the report and outline its boundary on the map
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  static async render(report, { jurisdiction = null } = {}) {
+    const branding = this.getBranding(jurisdiction);
+    const analytics = report.detailed_analytics || {};
+    const timeRange = TIME_RANGES[report.metadata.timeRange] || report.metadata.timeRange;
+
+    const doc = new PdfDocument({
+      info: {
+        Title: branding.title,
+        Subject: `Incident analytics, ${timeRange.toLowerCase()}`,
+        Author: branding.name
+      }
+    });
+    const layout = new ReportLayout(doc, branding.color);
+    layout.newPage();
+
+    this.drawTitle(layout, branding, report, timeRange);
+    this.drawSummary(layout, report);
+    await this.drawMap(layout, analytics, jurisdiction, branding.color);
+
+    layout.newPage();
+    this.drawTrends(layout, analytics);
+    this.drawBreakdowns(layout, analytics);
+    this.drawHotspots(layout, analytics.hotspots || []);
+
+    this.drawFooters(doc, branding);
+    return doc.toBuffer();
+  }
+
+  /**
+   * Title, colour and footer for a report; a jurisdiction's branding
+   * overrides the defaults derived from its name
+   */
+  static getBranding(jurisdiction) {
+    const custom = jurisdiction?.branding || {};
+    const name = jurisdiction ? jurisdiction.name : 'SecurePath';
+    return {
+      name,
+      title: custom.title || `${name} Safety Report`,
+      subtitle: jurisdiction ? `${label(jurisdiction.type)}: ${jurisdiction.name}` : null,
+      color: custom.color || DEFAULT_COLOR,
+      footer: custom.footer || (jurisdiction ? `Generated by SecurePath for ${name}` : 'Generated by SecurePath')
+    };
+  }
+
+  static drawTitle(layout, branding, report, timeRange) {
+    const { doc } = layout;
+    doc.rect(0, 0, doc.width, 96, { fill: branding.color });
+    doc.text(doc.truncate(branding.title, layout.width, { font: 'bold', size: 22 }), MARGIN, 26, {
+      font: 'bold',
+      size: 22,
+      color: '#ffffff'
+    });
+    const details = [branding.subtitle, timeRange, `Generated ${formatDate(report.metadata.generatedAt)}`].filter(Boolean);
+    doc.text(details.join('  •  '), MARGIN, 60, { size: 10, color: '#ffffff' });
+    layout.y = 120;
+  }
+
+  static drawSummary(layout, report) {
+    const { doc } = layout;
+    const summary = report.executive_summary || {};
+    layout.heading('Executive summary');
+
+    const metrics = [
+      [formatNumber(summary.total_incidents), 'Incidents reported'],
+      [formatNumber(summary.critical_incidents), 'Critical incidents'],
+      [`${formatNumber(summary.resolution_rate)}%`, 'Resolution rate'],
+      [`${formatNumber(summary.avg_response_time)} min`, 'Average response time'],
+      [`${formatNumber(summary.engagement_rate)}%`, 'Community engagement']
+    ];
+    const gap = 8;
+    const boxWidth = (layout.width - gap * (metrics.length - 1)) / metrics.length;
+    metrics.forEach(([value, caption], index) => {
+      const x = layout.left + index * (boxWidth + gap);
+      doc.rect(x, layout.y, boxWidth, 58, { fill: STRIPE, stroke: RULE, lineWidth: 0.5 });
+      doc.text(doc.truncate(value, boxWidth - 12, { font: 'bold', size: 16 }), x + 6, layout.y + 10, {
+        font: 'bold',
+        size: 16,
+        color: layout.accent
+      });
+      doc.wrap(caption, boxWidth - 12, { size: 8 }).slice(0, 2).forEach((line, lineIndex) => {
+        doc.text(line, x + 6, layout.y + 34 + lineIndex * 10, { size: 8, color: MUTED });
+      });
+    });
+    layout.y += 58;
+    layout.gap(18);
+
+    layout.subheading('Recommendations');
+    const recommendations = report.recommendations || [];
+    if (recommendations.length === 0) {
+      layout.paragraph('No issues needing action were found in this period.', { color: MUTED });
+    }
+    recommendations.forEach(({ priority, message, action }) => {
+      layout.paragraph(`• ${label(priority)} priority: ${message}`, { font: 'bold', size: 9 });
+      layout.paragraph(action, { size: 9, color: MUTED, indent: 9 });
+      layout.gap(4);
+    });
+    layout.gap(10);
+  }
+
+  /**
+   * JPEG map of incident clusters, hotspots and an optional boundary,
+   * drawn over a latitude/longitude grid
+   * @param {Object} data - { points: [{ coordinates, count, critical }], hotspots: [{ coordinates, riskLevel }], boundary, color }
+   * @returns {Promise<Object|null>} { data, info, project, bounds }, or null when there is nothing to place
+   */
+  static async renderMap({ points = [], hotspots = [], boundary = null, color = DEFAULT_COLOR }) {
+    const polygons = !boundary ? [] : boundary.type === 'MultiPolygon' ? boundary.coordinates : [boundary.coordinates];
+    const positions = [
+      ...polygons.flat(2),
+      ...points.map(point => point.coordinates),
+      ...hotspots.map(hotspot => hotspot.coordinates)
+    ].filter(position => Array.isArray(position) && position.length === 2 && position.every(Number.isFinite));
+    if (positions.length === 0) {return null;}
+
+    const lngs = positions.map(([lng]) => lng);
+    const lats = positions.map(([, lat]) => lat);
+    // Padding, and a minimum extent so a single cluster still shows its surroundings
+    const padLng = Math.max((Math.max(...lngs) - Math.min(...lngs)) * 0.1, 0.01);
+    const padLat = Math.max((Math.max(...lats) - Math.min(...lats)) * 0.1, 0.01);
+    const bounds = {
+      west: Math.min(...lngs) - padLng,
+      east: Math.max(...lngs) + padLng,
+      south: Math.min(...lats) - padLat,
+      north: Math.max(...lats) + padLat
+    };
+
+    // Equirectangular projection, corrected for latitude so distances look right
+    const { width, height } = MAP_SIZE;
+    const kx = Math.cos(((bounds.south + bounds.north) / 2) * Math.PI / 180);
+    const spanX = (bounds.east - bounds.west) * kx;
+    const spanY = bounds.north - bounds.south;
+    const scale = Math.min(width / spanX, height / spanY);
+    const offsetX = (width - spanX * scale) / 2;
+    const offsetY = (height - spanY * scale) / 2;
+    const toPixel = ([lng, lat]) => [offsetX + (lng - bounds.west) * kx * scale, offsetY + (bounds.north - lat) * scale];
+    const px = (value) => value.toFixed(1);
+
+    // Extend the visible area to the image edges before drawing the grid
+    const visible = {
+      west: bounds.west - offsetX / (kx * scale),
+      east: bounds.east + offsetX / (kx * scale),
+      south: bounds.south - offsetY / scale,
+      north: bounds.north + offsetY / scale
+    };
+    const grid = [];
+    const lngStep = gridStep(visible.east - visible.west);
+    for (let lng = Math.ceil(visible.west / lngStep) * lngStep; lng < visible.east; lng += lngStep) {
+      const [x] = toPixel([lng, bounds.north]);
+      grid.push(`<line x1="${px(x)}" y1="0" x2="${px(x)}" y2="${height}"/>`);
+    }
+    const latStep = gridStep(visible.north - visible.south);
+    for (let lat = Math.ceil(visible.south / latStep) * latStep; lat < visible.north; lat += latStep) {
+      const [, y] = toPixel([bounds.west, lat]);
+      grid.push(`<line x1="0" y1="${px(y)}" x2="${width}" y2="${px(y)}"/>`);
+    }
+
+    const outlines = polygons.map(rings => {
+      const path = rings.map(ring => `M${ring.map(position => toPixel(position).map(px).join(' ')).join(' L')} Z`).join(' ');
+      return `<path d="${path}" fill="${color}" fill-opacity="0.1" fill-rule="evenodd" stroke="${color}" stroke-width="3"/>`;
+    });
+
+    const clusters = points
+      .filter(point => point.coordinates.every(Number.isFinite))
+      .map(point => {
+        const [x, y] = toPixel(point.coordinates);
+        const radius = 4 + Math.sqrt(point.count || 1) * 3;
+        const fill = point.critical > 0 ? SEVERITY_COLORS.critical : CLUSTER_COLOR;
+        return `<circle cx="${px(x)}" cy="${px(y)}" r="${px(radius)}" fill="${fill}" fill-opacity="0.55" stroke="#ffffff" stroke-width="1"/>`;
+      });
+
+    const hotspotMarkers = hotspots.map(hotspot => {
+      const [x, y] = toPixel(hotspot.coordinates);
+      const fill = SEVERITY_COLORS[hotspot.riskLevel] || SEVERITY_COLORS.medium;
+      return `<circle cx="${px(x)}" cy="${px(y)}" r="16" fill="${fill}" stroke="#ffffff" stroke-width="3"/>`;
+    });
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+      `<rect width="${width}" height="${height}" fill="${MAP_BACKGROUND}"/>` +
+      `<g stroke="${MAP_GRID}" stroke-width="1">${grid.join('')}</g>` +
+      outlines.join('') + clusters.join('') + hotspotMarkers.join('') +
+      '</svg>';
+
+    const { data, info } = await sharp(Buffer.from(svg))
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 85 })
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      data,
+      info,
+      bounds,
+      // Position on the image as fractions of its width and height
+      project: (position) => {
+        const [x, y] = toPixel(position);
+        return [x / width, y / height];
+      }
+    };
+  }
+
+  static async drawMap(layout, analytics, jurisdiction, color) {
+    const { doc } = layout;
+    const hotspots = (analytics.hotspots || []).map(hotspot => ({
+      coordinates: hotspot.centerPoint?.coordinates,
+      riskLevel: hotspot.riskLevel
+    })).filter(hotspot => Array.isArray(hotspot.coordinates));
+    const map = await this.renderMap({
+      points: (analytics.geographic || []).map(cell => ({
+        coordinates: cell.location?.coordinates || [],
+        count: cell.count,
+        critical: cell.criticalCount
+      })),
+      hotspots,
+      boundary: jurisdiction?.boundary || null,
+      color
+    });
+
+    if (!map) {
+      layout.heading('Incident map');
+      layout.paragraph('No incident locations to map in this period.', { color: MUTED });
+      layout.gap();
+      return;
+    }
+
+    const width = layout.width;
+    const height = width * map.info.height / map.info.width;
+    // Heading, map and legend stay on one page
+    layout.ensure(height + 90);
+    layout.heading('Incident map');
+    const top = layout.y;
+    doc.image(map.data, layout.left, top, width, height, {
+      pixelWidth: map.info.width,
+      pixelHeight: map.info.height,
+      channels: map.info.channels
+    });
+    doc.rect(layout.left, top, width, height, { stroke: RULE, lineWidth: 0.5 });
+
+    // Hotspot numbers match the hotspot table
+    hotspots.forEach((hotspot, index) => {
+      const [fx, fy] = map.project(hotspot.coordinates);
+      doc.text(String(index + 1), layout.left + fx * width - 10, top + fy * height - 3.5, {
+        font: 'bold',
+        size: 8,
+        color: '#ffffff',
+        align: 'center',
+        width: 20
+      });
+    });
+    layout.y = top + height + 8;
+
+    const legend = [
+      [CLUSTER_COLOR, 'Incident cluster (size shows count)'],
+      [SEVERITY_COLORS.critical, 'Cluster with critical incidents'],
+      [SEVERITY_COLORS.high, 'Numbered hotspot, coloured by risk']
+    ];
+    if (jurisdiction) {legend.push([color, `${jurisdiction.name} boundary`]);}
+    let x = layout.left;
+    legend.forEach(([swatch, text]) => {
+      doc.rect(x, layout.y + 1, 8, 8, { fill: swatch });
+      doc.text(text, x + 12, layout.y, { size: 8, color: MUTED });
+      x += 12 + doc.widthOf(text, { size: 8 }) + 14;
+    });
+    layout.y += 14;
+
+    const { west, south, east, north } = map.bounds;
+    layout.paragraph(
+      `Extent ${south.toFixed(3)}, ${west.toFixed(3)} to ${north.toFixed(3)}, ${east.toFixed(3)} (lat, lng).`,
+      { size: 8, color: MUTED }
+    );
+    layout.gap();
+  }
+
+  static drawTrends(layout, analytics) {
+    const { doc } = layout;
+    const trends = analytics.trends?.[0] || {};
+    const last24h = countsOf(trends.last24h);
+    const last7d = countsOf(trends.last7d);
+    const overall = countsOf(trends.overall);
+    const total = Object.values(overall).reduce((sum, count) => sum + count, 0);
+
+    layout.heading('Severity trends');
+    layout.table(
+      [
+        { header: 'Severity', width: 0.28 },
+        { header: 'Last 24 hours', width: 0.18, align: 'right' },
+        { header: 'Last 7 days', width: 0.18, align: 'right' },
+        { header: 'Report period', width: 0.18, align: 'right' },
+        { header: 'Share', width: 0.18, align: 'right' }
+      ],
+      total === 0 ? [] : SEVERITIES.map(severity => [
+        label(severity),
+        formatNumber(last24h[severity]),
+        formatNumber(last7d[severity]),
+        formatNumber(overall[severity]),
+        share(overall[severity] || 0, total)
+      ]),
+      'No incidents were reported in this period.'
+    );
+
+    const series = analytics.timeSeries || [];
+    if (series.length === 0) {return;}
+
+    // Bar chart of incidents per period, critical share highlighted
+    layout.subheading('Incidents over time');
+    const chartHeight = 130;
+    layout.ensure(chartHeight + 40);
+    const top = layout.y;
+    const max = Math.max(...series.map(point => point.count), 1);
+    const slot = layout.width / series.length;
+    const barWidth = Math.max(slot * 0.7, 0.5);
+    doc.text(formatNumber(max), layout.left, top, { size: 7, color: MUTED });
+    doc.line(layout.left, top + 4, layout.left + layout.width, top + 4, { color: RULE, lineWidth: 0.5 });
+    series.forEach((point, index) => {
+      const x = layout.left + index * slot + (slot - barWidth) / 2;
+      const barHeight = (point.count / max) * (chartHeight - 10);
+      doc.rect(x, top + chartHeight - barHeight, barWidth, barHeight, { fill: layout.accent });
+      const criticalHeight = ((point.critical || 0) / max) * (chartHeight - 10);
+      if (criticalHeight > 0) {
+        doc.rect(x, top + chartHeight - criticalHeight, barWidth, criticalHeight, { fill: SEVERITY_COLORS.critical });
+      }
+    });
+    doc.line(layout.left, top + chartHeight, layout.left + layout.width, top + chartHeight, { color: '#000000', lineWidth: 0.5 });
+    doc.text(series[0]._id, layout.left, top + chartHeight + 4, { size: 7, color: MUTED });
+    if (series.length > 1) {
+      doc.text(series[series.length - 1]._id, layout.left, top + chartHeight + 4, {
+        size: 7,
+        color: MUTED,
+        align: 'right',
+        width: layout.width
+      });
+    }
+    layout.y = top + chartHeight + 16;
+    doc.rect(layout.left, layout.y + 1, 8, 8, { fill: layout.accent });
+    doc.text('All incidents', layout.left + 12, layout.y, { size: 8, color: MUTED });
+    doc.rect(layout.left + 80, layout.y + 1, 8, 8, { fill: SEVERITY_COLORS.critical });
+    doc.text('Critical', layout.left + 92, layout.y, { size: 8, color: MUTED });
+    layout.y += 22;
+
+    layout.table(
+      [
+        { header: 'Period', width: 0.24 },
+        { header: 'Incidents', width: 0.15, align: 'right' },
+        { header: 'Critical', width: 0.15, align: 'right' },
+        { header: 'High', width: 0.15, align: 'right' },
+        { header: 'Resolved', width: 0.15, align: 'right' },
+        { header: 'Avg response', width: 0.16, align: 'right' }
+      ],
+      series.map(point => [
+        point._id,
+        formatNumber(point.count),
+        formatNumber(point.critical),
+        formatNumber(point.high),
+        formatNumber(point.resolved),
+        point.avgResponseTime ? `${formatNumber(point.avgResponseTime)} min` : '–'
+      ]),
+      'No incidents were reported in this period.'
+    );
+  }
+
+  static drawBreakdowns(layout, analytics) {
+    const stats = analytics.stats?.[0] || {};
+    const total = stats.total || 0;
+
+    // Average response per type from the individual response times
+    const responses = {};
+    (analytics.performance?.[0]?.responseTimeByType || []).forEach(({ type, responseTime }) => {
+      responses[type] = responses[type] || [];
+      responses[type].push(responseTime);
+    });
+    const averageResponse = (type) => {
+      const times = responses[type];
+      return times ? `${formatNumber(times.reduce((sum, time) => sum + time, 0) / times.length)} min` : '–';
+    };
+    const sorted = (breakdown = {}) => Object.entries(breakdown).sort(([, a], [, b]) => b - a);
+
+    layout.heading('Incident types');
+    layout.table(
+      [
+        { header: 'Type', width: 0.4 },
+        { header: 'Incidents', width: 0.2, align: 'right' },
+        { header: 'Share', width: 0.2, align: 'right' },
+        { header: 'Avg response', width: 0.2, align: 'right' }
+      ],
+      sorted(stats.typeBreakdown).map(([type, count]) => [label(type), formatNumber(count), share(count, total), averageResponse(type)]),
+      'No incidents were reported in this period.'
+    );
+
+    layout.subheading('Incident status');
+    layout.table(
+      [
+        { header: 'Status', width: 0.6 },
+        { header: 'Incidents', width: 0.2, align: 'right' },
+        { header: 'Share', width: 0.2, align: 'right' }
+      ],
+      sorted(stats.statusBreakdown).map(([status, count]) => [label(status), formatNumber(count), share(count, total)]),
+      'No incidents were reported in this period.'
+    );
+  }
+
+  static drawHotspots(layout, hotspots) {
+    layout.heading('Hotspots');
+    layout.paragraph('Areas of about 1 km with three or more incidents, highest severity first. Numbers match the map.', {
+      size: 9,
+      color: MUTED
+    });
+    layout.gap(6);
+    layout.table(
+      [
+        { header: '#', width: 0.06, align: 'right' },
+        { header: 'Location (lat, lng)', width: 0.3 },
+        { header: 'Incidents', width: 0.14, align: 'right' },
+        { header: 'Severity score', width: 0.18, align: 'right' },
+        { header: 'Risk', width: 0.14 },
+        { header: 'Last 7 days', width: 0.18, align: 'right' }
+      ],
+      hotspots.map((hotspot, index) => {
+        const [lng, lat] = hotspot.centerPoint?.coordinates || [];
+        return [
+          String(index + 1),
+          Number.isFinite(lat) && Number.isFinite(lng) ? `${lat.toFixed(3)}, ${lng.toFixed(3)}` : '–',
+          formatNumber(hotspot.incidentCount),
+          formatNumber(hotspot.severityScore),
+          label(hotspot.riskLevel),
+          formatNumber(hotspot.recentIncidents?.length)
+        ];
+      }),
+      'No hotspots were found in this period.'
+    );
+  }
+
+  static drawFooters(doc, branding) {
+    const top = doc.height - MARGIN - 8;
+    for (let index = 0; index < doc.pageCount; index++) {
+      doc.switchToPage(index);
+      doc.line(MARGIN, top, doc.width - MARGIN, top, { color: RULE, lineWidth: 0.5 });
+      doc.text(doc.truncate(branding.footer, doc.width - MARGIN * 2 - 80, { size: 8 }), MARGIN, top + 6, { size: 8, color: MUTED });
+      doc.text(`Page ${index + 1} of ${doc.pageCount}`, MARGIN, top + 6, {
+        size: 8,
+        color: MUTED,
+        align: 'right',
+        width: doc.width - MARGIN * 2
+      });
+    }
+  }
+}
+
+ReportPdfService.SEVERITY_COLORS = SEVERITY_COLORS;
+
+module.exports = ReportPdfService;
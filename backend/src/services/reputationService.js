@@ -0,0 +1,241 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ReputationEvent = require('../models/ReputationEvent');
+const PermissionService = require('./permissionService');
+const logger = require('../config/logger');
+
+const BASE_SCORE = 50;
+
+// Incident statuses that settle whether a report was genuine
+const CONFIRMED_STATUSES = ['verified', 'investigating', 'resolved', 'closed'];
+const FALSE_ALARM_STATUSES = ['false_alarm'];
+
+// Events that contradict each other for the same subject; recording one removes the other
+const OPPOSITES = {
+  report_confirmed: 'report_false_alarm',
+  report_false_alarm: 'report_confirmed',
+  vote_agreed: 'vote_disagreed',
+  vote_disagreed: 'vote_agreed'
+};
+
+// Levels from the top down: the first whose minimum the score reaches applies
+const LEVELS = [
+  { level: 'trusted', minScore: 80 },
+  { level: 'reliable', minScore: 60 },
+  { level: 'standard', minScore: 35 },
+  { level: 'low', minScore: 0 }
+];
+
+// Incident reports allowed per hour by reputation level
+const REPORTS_PER_HOUR = {
+  new: 5,
+  low: 3,
+  standard: 10,
+  reliable: 20,
+  trusted: 40
+};
+const AUTHORITY_REPORTS_PER_HOUR = 100;
+const AUTHORITY_VOTE_WEIGHT = 3;
+
+/**
+ * User reputation: records outcome events for reports, votes and comments
+ * and keeps the User.reputation summary in step with them
+ */
+class ReputationService {
+  /**
+   * Reputation level for a score
+   * @param {number} score - 0..100
+   * @param {number} eventCount - Events recorded so far; users without any are 'new'
+   * @returns {string} Level
+   */
+  static getLevel(score, eventCount) {
+    if (eventCount === 0) {return 'new';}
+    return LEVELS.find(entry => score >= entry.minScore).level;
+  }
+
+  /**
+   * Rebuild a user's reputation summary from their events
+   * @returns {Object|null} Updated reputation
+   */
+  static async refresh(userId) {
+    const user = new mongoose.Types.ObjectId(userId.toString());
+    const [totals, flaggedComments] = await Promise.all([
+      ReputationEvent.aggregate([
+        { $match: { user } },
+        { $group: { _id: '$type', count: { $sum: 1 }, points: { $sum: '$points' } } }
+      ]),
+      ReputationEvent.distinct('comment', { user, type: { $in: ['comment_flagged', 'comment_hidden'] } })
+    ]);
+
+    const byType = Object.fromEntries(totals.map(row => [row._id, row]));
+    const count = (type) => (byType[type] ? byType[type].count : 0);
+    const eventCount = totals.reduce((sum, row) => sum + row.count, 0);
+    const score = Math.min(100, Math.max(0, BASE_SCORE + totals.reduce((sum, row) => sum + row.points, 0)));
+
+    const reputation = {
+      score,
+      level: this.getLevel(score, eventCount),
+      reportsConfirmed: count('report_confirmed'),
+      reportsFalse: count('report_false_alarm'),
+      votesAgreed: count('vote_agreed'),
+      votesDisagreed: count('vote_disagreed'),
+      commentsFlagged: flaggedComments.length,
+      updatedAt: new Date()
+    };
+
+    await User.updateOne({ _id: user }, { $set: { reputation } });
+    return reputation;
+  }
+
+  /**
+   * Record an event once per subject, replacing a contradicting event
+   * @param {string} userId - User the event applies to
+   * @param {string} type - ReputationEvent type
+   * @param {Object} subject - { incident, comment }
+   */
+  static async setEvent(userId, type, { incident = null, comment = null }) {
+    const subject = { incident, comment };
+    try {
+      await ReputationEvent.updateOne(
+        { user: userId, type, ...subject },
+        { $setOnInsert: { points: ReputationEvent.POINTS[type] } },
+        { upsert: true }
+      );
+    } catch (error) {
+      // A concurrent update inserted the same event first
+      if (error.code !== 11000) {throw error;}
+    }
+    if (OPPOSITES[type]) {
+      await ReputationEvent.deleteOne({ user: userId, type: OPPOSITES[type], ...subject });
+    }
+  }
+
+  static async clearEvents(userId, types, { incident = null, comment = null }) {
+    await ReputationEvent.deleteMany({ user: userId, type: { $in: types }, incident, comment });
+  }
+
+  /**
+   * Settled outcome of an incident
+   * @returns {string|null} 'confirmed', 'false_alarm' or null while undecided
+   */
+  static getOutcome(status) {
+    if (CONFIRMED_STATUSES.includes(status)) {return 'confirmed';}
+    if (FALSE_ALARM_STATUSES.includes(status)) {return 'false_alarm';}
+    return null;
+  }
+
+  /**
+   * Credit or debit the reporter and voters of an incident for its current
+   * outcome. Safe to call repeatedly: an undecided incident clears earlier
+   * events and a reversed outcome swaps them.
+   * @param {Object} incident - Incident with status, reportedBy and communityVotes
+   */
+  static async applyIncidentOutcome(incident) {
+    // Merged duplicates are settled through their canonical incident
+    if (incident.mergedInto) {return;}
+
+    const outcome = this.getOutcome(incident.status);
+    const subject = { incident: incident._id };
+    const reporterId = incident.reportedBy._id || incident.reportedBy;
+    const affected = new Set([reporterId.toString()]);
+
+    if (outcome) {
+      await this.setEvent(reporterId, outcome === 'confirmed' ? 'report_confirmed' : 'report_false_alarm', subject);
+    } else {
+      await this.clearEvents(reporterId, ['report_confirmed', 'report_false_alarm'], subject);
+    }
+
+    for (const vote of incident.communityVotes || []) {
+      const voterId = vote.user._id || vote.user;
+      if (voterId.toString() === reporterId.toString()) {continue;}
+      affected.add(voterId.toString());
+
+      const sided = vote.vote === 'confirm' || vote.vote === 'deny';
+      if (!outcome || !sided) {
+        await this.clearEvents(voterId, ['vote_agreed', 'vote_disagreed'], subject);
+      } else {
+        const agreed = (vote.vote === 'confirm') === (outcome === 'confirmed');
+        await this.setEvent(voterId, agreed ? 'vote_agreed' : 'vote_disagreed', subject);
+      }
+    }
+
+    await Promise.all([...affected].map(userId => this.refresh(userId)));
+  }
+
+  /**
+   * Debit a comment author while their comment is flagged or hidden;
+   * restoring the comment removes the debit
+   * @param {Object} comment - IncidentComment with author and moderationStatus
+   */
+  static async applyCommentModeration(comment) {
+    // Nobody to debit once the author's account is deleted
+    if (!comment.author) {return;}
+    const authorId = comment.author._id || comment.author;
+    const subject = { incident: comment.incident._id || comment.incident, comment: comment._id };
+
+    if (comment.moderationStatus === 'flagged') {
+      await this.setEvent(authorId, 'comment_flagged', subject);
+    } else if (comment.moderationStatus === 'hidden') {
+      await this.setEvent(authorId, 'comment_hidden', subject);
+    } else {
+      await this.clearEvents(authorId, ['comment_flagged', 'comment_hidden'], subject);
+    }
+
+    await this.refresh(authorId);
+  }
+
+  /**
+   * Variants that log instead of failing the request that triggered them
+   */
+  static async applyIncidentOutcomeSafely(incident) {
+    try {
+      await this.applyIncidentOutcome(incident);
+    } catch (error) {
+      logger.error('Reputation update error:', error);
+    }
+  }
+
+  static async applyCommentModerationSafely(comment) {
+    try {
+      await this.applyCommentModeration(comment);
+    } catch (error) {
+      logger.error('Reputation update error:', error);
+    }
+  }
+
+  /**
+   * Weight of a community vote by the voter's role and reputation
+   * @returns {number} 0.5..1.5 for citizens, AUTHORITY_VOTE_WEIGHT for users who verify incidents
+   */
+  static voteWeight(voter) {
+    if (PermissionService.can(voter, 'incidents:verify')) {return AUTHORITY_VOTE_WEIGHT;}
+    const score = voter && voter.reputation ? voter.reputation.score : BASE_SCORE;
+    return 0.5 + score / 100;
+  }
+
+  /**
+   * Incident reports a user may file per hour
+   */
+  static getReportLimit(user) {
+    if (!user) {return REPORTS_PER_HOUR.new;}
+    if (PermissionService.can(user, 'incidents:verify')) {return AUTHORITY_REPORTS_PER_HOUR;}
+    const level = user.reputation ? user.reputation.level : 'new';
+    return REPORTS_PER_HOUR[level] || REPORTS_PER_HOUR.new;
+  }
+
+  /**
+   * Most recent reputation events of a user
+   */
+  static async getRecentEvents(userId, limit = 20) {
+    return ReputationEvent.find({ user: userId })
+      .populate('incident', 'title status')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+  }
+}
+
+ReputationService.CONFIRMED_STATUSES = CONFIRMED_STATUSES;
+ReputationService.REPORTS_PER_HOUR = REPORTS_PER_HOUR;
+
+module.exports = ReputationService;
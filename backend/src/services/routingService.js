@@ -0,0 +1,651 @@
+const RoadSegment = require('../models/RoadSegment');
+const Incident = require('../models/Incident');
+const logger = require('../config/logger');
+const { calculateDistance } = require('../utils/locationUtils');
+const { AppError, ERROR_CODES, ERROR_SEVERITY } = require('../utils/errorHandler');
+
+const SEVERITY_WEIGHTS = {
+  low: 1,
+  medium: 2,
+  high: 3,
+  critical: 4
+};
+
+// Fallback speeds (km/h) when a segment has no maxspeed tag
+const HIGHWAY_SPEEDS = {
+  motorway: 110,
+  trunk: 90,
+  primary: 70,
+  secondary: 60,
+  tertiary: 50,
+  unclassified: 40,
+  residential: 30,
+  service: 20,
+  living_street: 15,
+  motorway_link: 60,
+  trunk_link: 50,
+  primary_link: 40,
+  secondary_link: 40,
+  tertiary_link: 30,
+  track: 20
+};
+
+const MODE_SPEEDS = {
+  walking: 5,
+  cycling: 15
+};
+
+const TRAVEL_MODES = ['driving', 'walking', 'cycling'];
+
+const DEFAULTS = {
+  lookbackDays: 180, // Ignore incidents older than this
+  recencyHalfLifeDays: 30, // Incident weight halves every N days
+  clusterCellSize: 0.005, // Degrees, same grid as the hotspot aggregation (~500m)
+  minClusterRadius: 300, // Meters
+  maxClusterRadius: 1000, // Meters
+  riskScale: 4, // Raw risk at which normalized risk reaches ~63%
+  riskPenalty: 4, // Cost multiplier applied at risk = 1
+  maxSnapDistance: 1000, // Meters from a requested point to the nearest road node
+  maxRouteSpanKm: Number(process.env.ROUTING_MAX_SPAN_KM) || 150
+};
+
+/**
+ * Binary min-heap keyed on `priority`, used as the A* open set
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(value, priority) {
+    this.items.push({ value, priority });
+    let index = this.items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.items[parent].priority <= this.items[index].priority) {break;}
+      [this.items[parent], this.items[index]] = [this.items[index], this.items[parent]];
+      index = parent;
+    }
+  }
+
+  pop() {
+    const top = this.items[0];
+    const last = this.items.pop();
+    if (this.items.length > 0) {
+      this.items[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < this.items.length && this.items[left].priority < this.items[smallest].priority) {smallest = left;}
+        if (right < this.items.length && this.items[right].priority < this.items[smallest].priority) {smallest = right;}
+        if (smallest === index) {break;}
+        [this.items[smallest], this.items[index]] = [this.items[index], this.items[smallest]];
+        index = smallest;
+      }
+    }
+    return top.value;
+  }
+}
+
+/**
+ * Safety-weighted routing over the locally imported road graph
+ * Edge costs are travel time inflated by the risk of nearby incident clusters
+ */
+class RoutingService {
+  /**
+   * Calculate a route through the origin, optional waypoints and destination
+   * @param {Object} params - { origin, destination, waypoints, travelMode, avoidHighRiskAreas }
+   * @param {Object} options - Overrides for DEFAULTS
+   * @returns {Object} Route with geometry, steps, per-segment risk and totals
+   */
+  static async calculateRoute(params, options = {}) {
+    const {
+      origin,
+      destination,
+      waypoints = [],
+      travelMode = 'driving',
+      avoidHighRiskAreas = true
+    } = params;
+    const config = { ...DEFAULTS, ...options };
+
+    if (!TRAVEL_MODES.includes(travelMode)) {
+      throw new AppError(
+        `Unsupported travel mode: ${travelMode}`,
+        400,
+        ERROR_CODES.VALIDATION_ERROR,
+        ERROR_SEVERITY.LOW
+      );
+    }
+
+    const stops = [origin, ...waypoints, destination].map(stop => stop.coordinates);
+
+    const span = stops.slice(1).reduce((sum, coords, i) => {
+      const prev = stops[i];
+      return sum + calculateDistance(prev[1], prev[0], coords[1], coords[0]);
+    }, 0);
+    if (span > config.maxRouteSpanKm) {
+      throw new AppError(
+        `Route exceeds the maximum supported length of ${config.maxRouteSpanKm} km`,
+        400,
+        ERROR_CODES.VALUE_OUT_OF_RANGE,
+        ERROR_SEVERITY.LOW
+      );
+    }
+
+    const area = this.getSearchArea(stops);
+    const [segments, incidents] = await Promise.all([
+      RoadSegment.find({
+        isActive: true,
+        geometry: { $geoIntersects: { $geometry: area } }
+      }).lean(),
+      Incident.find({
+        isActive: true,
+        status: { $ne: 'false_alarm' },
+        createdAt: { $gte: new Date(Date.now() - config.lookbackDays * 24 * 60 * 60 * 1000) },
+        location: { $geoWithin: { $geometry: area } }
+      }).select('severity createdAt location impactRadius').lean()
+    ]);
+
+    if (segments.length === 0) {
+      throw new AppError(
+        'No road network data available for this area',
+        404,
+        ERROR_CODES.RESOURCE_NOT_FOUND,
+        ERROR_SEVERITY.LOW
+      );
+    }
+
+    const clusters = this.clusterIncidents(incidents, config);
+    const graph = this.buildGraph(segments, travelMode, clusters, config);
+
+    const snapped = stops.map((coords, i) => {
+      const node = this.findNearestNode(graph, coords);
+      if (!node || node.distance > config.maxSnapDistance) {
+        const label = i === 0 ? 'origin' : i === stops.length - 1 ? 'destination' : `waypoint ${i}`;
+        throw new AppError(
+          `No road found within ${config.maxSnapDistance} m of the ${label}`,
+          404,
+          ERROR_CODES.RESOURCE_NOT_FOUND,
+          ERROR_SEVERITY.LOW
+        );
+      }
+      return node;
+    });
+
+    const legs = [];
+    for (let i = 0; i < snapped.length - 1; i++) {
+      const path = this.findPath(graph, snapped[i].id, snapped[i + 1].id, avoidHighRiskAreas, config);
+      if (!path) {
+        throw new AppError(
+          'No route could be found between the requested points',
+          404,
+          ERROR_CODES.RESOURCE_NOT_FOUND,
+          ERROR_SEVERITY.LOW
+        );
+      }
+      legs.push(path);
+    }
+
+    const route = this.assembleRoute(legs, clusters);
+
+    logger.info('Route calculated:', {
+      travelMode,
+      avoidHighRiskAreas,
+      segmentsLoaded: segments.length,
+      incidentClusters: clusters.length,
+      distance: route.distance
+    });
+
+    return {
+      ...route,
+      snapping: snapped.map(node => ({
+        coordinates: node.coordinates,
+        distance: Math.round(node.distance)
+      }))
+    };
+  }
+
+  /**
+   * Build the padded bounding polygon used to load graph and incidents
+   */
+  static getSearchArea(stops) {
+    const lngs = stops.map(c => c[0]);
+    const lats = stops.map(c => c[1]);
+    const padLng = Math.max(0.02, (Math.max(...lngs) - Math.min(...lngs)) * 0.25);
+    const padLat = Math.max(0.02, (Math.max(...lats) - Math.min(...lats)) * 0.25);
+    const west = Math.min(...lngs) - padLng;
+    const east = Math.max(...lngs) + padLng;
+    const south = Math.min(...lats) - padLat;
+    const north = Math.max(...lats) + padLat;
+
+    return {
+      type: 'Polygon',
+      coordinates: [[
+        [west, south],
+        [east, south],
+        [east, north],
+        [west, north],
+        [west, south]
+      ]]
+    };
+  }
+
+  /**
+   * Group incidents into grid clusters weighted by severity and recency
+   * @returns {Array} Clusters with weighted centroid, weight, radius and count
+   */
+  static clusterIncidents(incidents, config = DEFAULTS) {
+    const now = Date.now();
+    const cells = new Map();
+
+    incidents.forEach(incident => {
+      const [lng, lat] = incident.location.coordinates;
+      const ageDays = Math.max(0, (now - new Date(incident.createdAt).getTime()) / (24 * 60 * 60 * 1000));
+      const weight = (SEVERITY_WEIGHTS[incident.severity] || 1) *
+        Math.pow(0.5, ageDays / config.recencyHalfLifeDays);
+      const key = `${Math.round(lat / config.clusterCellSize)},${Math.round(lng / config.clusterCellSize)}`;
+
+      if (!cells.has(key)) {
+        cells.set(key, { key, weight: 0, lat: 0, lng: 0, count: 0, radiusSum: 0 });
+      }
+      const cell = cells.get(key);
+      cell.weight += weight;
+      cell.lat += lat * weight;
+      cell.lng += lng * weight;
+      cell.count += 1;
+      cell.radiusSum += incident.impactRadius || 500;
+    });
+
+    return Array.from(cells.values())
+      .filter(cell => cell.weight > 0)
+      .map(cell => ({
+        key: cell.key,
+        coordinates: [cell.lng / cell.weight, cell.lat / cell.weight],
+        weight: cell.weight,
+        count: cell.count,
+        radius: Math.min(
+          config.maxClusterRadius,
+          Math.max(config.minClusterRadius, cell.radiusSum / cell.count)
+        )
+      }));
+  }
+
+  /**
+   * Risk contributed by incident clusters to a segment geometry
+   * @returns {Object} { risk: 0..1, clusters: keys of clusters in range }
+   */
+  static scoreSegmentRisk(coordinates, clusters, config = DEFAULTS) {
+    let raw = 0;
+    const inRange = [];
+
+    clusters.forEach(cluster => {
+      const distance = this.distanceToLine(cluster.coordinates, coordinates);
+      if (distance < cluster.radius) {
+        raw += cluster.weight * (1 - distance / cluster.radius);
+        inRange.push(cluster.key);
+      }
+    });
+
+    return {
+      risk: 1 - Math.exp(-raw / config.riskScale),
+      clusters: inRange
+    };
+  }
+
+  /**
+   * Shortest distance in meters from a point to a polyline
+   * Uses a local equirectangular projection, accurate at street scale
+   */
+  static distanceToLine(point, line) {
+    const [lng0, lat0] = point;
+    const kx = Math.cos(lat0 * Math.PI / 180) * 111320;
+    const ky = 110540;
+    let min = Infinity;
+
+    for (let i = 0; i < line.length - 1; i++) {
+      const ax = (line[i][0] - lng0) * kx;
+      const ay = (line[i][1] - lat0) * ky;
+      const bx = (line[i + 1][0] - lng0) * kx;
+      const by = (line[i + 1][1] - lat0) * ky;
+      const dx = bx - ax;
+      const dy = by - ay;
+      const lengthSq = dx * dx + dy * dy;
+      const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq));
+      const px = ax + t * dx;
+      const py = ay + t * dy;
+      min = Math.min(min, Math.sqrt(px * px + py * py));
+    }
+
+    return min;
+  }
+
+  /**
+   * Build an adjacency list for the travel mode with precomputed time and risk
+   */
+  static buildGraph(segments, travelMode, clusters, config = DEFAULTS) {
+    const nodes = new Map();
+    const adjacency = new Map();
+    let maxSpeed = 0;
+
+    const addNode = (ref) => {
+      if (!nodes.has(ref.nodeId)) {
+        nodes.set(ref.nodeId, { id: ref.nodeId, coordinates: ref.coordinates });
+        adjacency.set(ref.nodeId, []);
+      }
+    };
+
+    segments.forEach(segment => {
+      if (segment.modes && segment.modes[travelMode] === false) {return;}
+
+      const speed = MODE_SPEEDS[travelMode] ||
+        segment.maxSpeed ||
+        HIGHWAY_SPEEDS[segment.highway] ||
+        30;
+      maxSpeed = Math.max(maxSpeed, speed);
+
+      const { risk, clusters: nearby } = this.scoreSegmentRisk(segment.geometry.coordinates, clusters, config);
+      const edge = {
+        segment,
+        duration: segment.distance / (speed / 3.6),
+        risk,
+        clusters: nearby
+      };
+
+      addNode(segment.from);
+      addNode(segment.to);
+      adjacency.get(segment.from.nodeId).push({ ...edge, to: segment.to.nodeId, reversed: false });
+      if (!segment.oneway || travelMode === 'walking') {
+        adjacency.get(segment.to.nodeId).push({ ...edge, to: segment.from.nodeId, reversed: true });
+      }
+    });
+
+    return { nodes, adjacency, maxSpeed: maxSpeed || 30 };
+  }
+
+  /**
+   * Find the graph node closest to a coordinate pair
+   */
+  static findNearestNode(graph, coordinates) {
+    let nearest = null;
+
+    graph.nodes.forEach(node => {
+      const distance = calculateDistance(
+        coordinates[1], coordinates[0],
+        node.coordinates[1], node.coordinates[0]
+      ) * 1000;
+      if (!nearest || distance < nearest.distance) {
+        nearest = { ...node, distance };
+      }
+    });
+
+    return nearest;
+  }
+
+  /**
+   * A* search minimising travel time, optionally inflated by segment risk
+   * @returns {Array|null} Ordered edges from start to goal
+   */
+  static findPath(graph, startId, goalId, avoidHighRiskAreas, config = DEFAULTS) {
+    if (startId === goalId) {return [];}
+
+    const goal = graph.nodes.get(goalId);
+    const maxMetersPerSecond = graph.maxSpeed / 3.6;
+    const heuristic = (nodeId) => {
+      const node = graph.nodes.get(nodeId);
+      return calculateDistance(
+        node.coordinates[1], node.coordinates[0],
+        goal.coordinates[1], goal.coordinates[0]
+      ) * 1000 / maxMetersPerSecond;
+    };
+    const edgeCost = (edge) => avoidHighRiskAreas
+      ? edge.duration * (1 + config.riskPenalty * edge.risk)
+      : edge.duration;
+
+    const costs = new Map([[startId, 0]]);
+    const previous = new Map();
+    const closed = new Set();
+    const open = new MinHeap();
+    open.push(startId, heuristic(startId));
+
+    while (open.size > 0) {
+      const current = open.pop();
+      if (current === goalId) {break;}
+      if (closed.has(current)) {continue;}
+      closed.add(current);
+
+      (graph.adjacency.get(current) || []).forEach(edge => {
+        if (closed.has(edge.to)) {return;}
+        const cost = costs.get(current) + edgeCost(edge);
+        if (!costs.has(edge.to) || cost < costs.get(edge.to)) {
+          costs.set(edge.to, cost);
+          previous.set(edge.to, { from: current, edge });
+          open.push(edge.to, cost + heuristic(edge.to));
+        }
+      });
+    }
+
+    if (!previous.has(goalId)) {return null;}
+
+    const path = [];
+    let nodeId = goalId;
+    while (nodeId !== startId) {
+      const step = previous.get(nodeId);
+      path.unshift(step.edge);
+      nodeId = step.from;
+    }
+    return path;
+  }
+
+  /**
+   * Turn path edges into geometry, steps and risk segments
+   */
+  static assembleRoute(legs, clusters) {
+    const clusterCounts = new Map(clusters.map(cluster => [cluster.key, cluster.count]));
+    const coordinates = [];
+    const steps = [];
+    const segments = [];
+    let distance = 0;
+    let duration = 0;
+    let weightedRisk = 0;
+
+    const appendCoordinates = (target, coords) => {
+      coords.forEach(coord => {
+        const last = target[target.length - 1];
+        if (!last || last[0] !== coord[0] || last[1] !== coord[1]) {
+          target.push(coord);
+        }
+      });
+    };
+
+    legs.forEach((leg, legIndex) => {
+      let currentStep = null;
+
+      leg.forEach(edge => {
+        const coords = edge.reversed
+          ? [...edge.segment.geometry.coordinates].reverse()
+          : edge.segment.geometry.coordinates;
+        const name = edge.segment.name || null;
+        const riskLevel = this.getRiskLevel(edge.risk);
+
+        appendCoordinates(coordinates, coords);
+        distance += edge.segment.distance;
+        duration += edge.duration;
+        weightedRisk += edge.risk * edge.segment.distance;
+
+        if (!currentStep || currentStep.name !== name) {
+          const bearingIn = currentStep ? currentStep.bearingOut : null;
+          const bearingOut = this.getBearing(coords[0], coords[1]);
+          currentStep = {
+            name,
+            distance: 0,
+            duration: 0,
+            coordinates: [],
+            bearingIn,
+            bearingOut,
+            maneuver: this.describeManeuver(bearingIn, bearingOut, coords[0], steps.length === 0)
+          };
+          if (name) {
+            currentStep.maneuver.instruction += `${currentStep.maneuver.type === 'depart' ? ' on' : ' onto'} ${name}`;
+          }
+          steps.push(currentStep);
+        }
+        currentStep.distance += edge.segment.distance;
+        currentStep.duration += edge.duration;
+        appendCoordinates(currentStep.coordinates, coords);
+        currentStep.bearingOut = this.getBearing(coords[coords.length - 2], coords[coords.length - 1]);
+
+        const lastSegment = segments[segments.length - 1];
+        if (lastSegment && lastSegment.riskLevel === riskLevel) {
+          appendCoordinates(lastSegment.coordinates, coords);
+          lastSegment.distance += edge.segment.distance;
+          lastSegment.duration += edge.duration;
+          lastSegment.risk = Math.max(lastSegment.risk, edge.risk);
+          edge.clusters.forEach(key => lastSegment.clusters.add(key));
+        } else {
+          segments.push({
+            coordinates: [...coords],
+            distance: edge.segment.distance,
+            duration: edge.duration,
+            risk: edge.risk,
+            riskLevel,
+            clusters: new Set(edge.clusters)
+          });
+        }
+      });
+
+      const end = coordinates[coordinates.length - 1];
+      if (end) {
+        steps.push({
+          name: null,
+          distance: 0,
+          duration: 0,
+          coordinates: [end],
+          maneuver: {
+            type: legIndex === legs.length - 1 ? 'arrive' : 'waypoint',
+            modifier: null,
+            location: end,
+            instruction: legIndex === legs.length - 1
+              ? 'Arrive at your destination'
+              : `Arrive at waypoint ${legIndex + 1}`
+          }
+        });
+      }
+    });
+
+    const round = (value, precision = 1) => Math.round(value * precision) / precision;
+
+    return {
+      distance: round(distance),
+      duration: round(duration),
+      distanceText: `${(distance / 1000).toFixed(1)} km`,
+      durationText: `${Math.max(1, Math.round(duration / 60))} min`,
+      geometry: {
+        type: 'LineString',
+        coordinates
+      },
+      riskScore: distance > 0 ? round(weightedRisk / distance, 100) : 0,
+      steps: steps.map(step => ({
+        instruction: step.maneuver.instruction,
+        name: step.name,
+        distance: round(step.distance),
+        duration: round(step.duration),
+        maneuver: {
+          type: step.maneuver.type,
+          modifier: step.maneuver.modifier,
+          location: step.maneuver.location
+        },
+        geometry: {
+          type: 'LineString',
+          coordinates: step.coordinates
+        }
+      })),
+      segments: segments.map(segment => ({
+        geometry: {
+          type: 'LineString',
+          coordinates: segment.coordinates
+        },
+        distance: round(segment.distance),
+        duration: round(segment.duration),
+        risk: round(segment.risk, 100),
+        riskLevel: segment.riskLevel,
+        incidentCount: Array.from(segment.clusters).reduce((sum, key) => sum + (clusterCounts.get(key) || 0), 0)
+      }))
+    };
+  }
+
+  /**
+   * Map a normalized risk value to the severity vocabulary used elsewhere
+   */
+  static getRiskLevel(risk) {
+    if (risk >= 0.75) {return 'critical';}
+    if (risk >= 0.5) {return 'high';}
+    if (risk >= 0.25) {return 'medium';}
+    return 'low';
+  }
+
+  /**
+   * Initial compass bearing in degrees from one [lng, lat] to another
+   */
+  static getBearing(from, to) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const lat1 = toRad(from[1]);
+    const lat2 = toRad(to[1]);
+    const dLng = toRad(to[0] - from[0]);
+    const y = Math.sin(dLng) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+  }
+
+  /**
+   * Build the maneuver for entering a new road from the change in bearing
+   */
+  static describeManeuver(bearingIn, bearingOut, location, isFirst) {
+    if (isFirst || bearingIn === null) {
+      const compass = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+      const heading = compass[Math.round(bearingOut / 45) % 8];
+      return {
+        type: 'depart',
+        modifier: null,
+        location,
+        instruction: `Head ${heading}`
+      };
+    }
+
+    const delta = ((bearingOut - bearingIn + 540) % 360) - 180;
+    const magnitude = Math.abs(delta);
+    const side = delta > 0 ? 'right' : 'left';
+    let modifier;
+    if (magnitude < 20) {
+      modifier = 'straight';
+    } else if (magnitude < 45) {
+      modifier = `slight ${side}`;
+    } else if (magnitude < 135) {
+      modifier = side;
+    } else if (magnitude < 170) {
+      modifier = `sharp ${side}`;
+    } else {
+      modifier = 'uturn';
+    }
+
+    const instruction = modifier === 'straight'
+      ? 'Continue straight'
+      : modifier === 'uturn'
+        ? 'Make a U-turn'
+        : `Turn ${modifier}`;
+
+    return {
+      type: modifier === 'straight' ? 'continue' : 'turn',
+      modifier,
+      location,
+      instruction
+    };
+  }
+}
+
+module.exports = RoutingService;
@@ -0,0 +1,81 @@
+const Setting = require('../models/Setting');
+
+const POLICY_KEY = 'security_policy';
+// Policy lookups happen on every authenticated request
+const CACHE_TTL_MS = 60 * 1000;
+
+let cached = null;
+let cachedAt = 0;
+
+/**
+ * Administrator-managed security policy, stored as a Setting and
+ * defaulting to the environment
+ */
+class SecurityPolicyService {
+  static getDefaults() {
+    const roles = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+      .split(',')
+      .map(role => role.trim())
+      .filter(Boolean);
+
+    return { twoFactorRequiredRoles: roles };
+  }
+
+  /**
+   * Current policy
+   * @returns {Object} { twoFactorRequiredRoles }
+   */
+  static async get() {
+    if (cached && Date.now() - cachedAt < CACHE_TTL_MS) {return cached;}
+
+    const setting = await Setting.findOne({ key: POLICY_KEY }).lean();
+    cached = { ...this.getDefaults(), ...(setting ? setting.value : {}) };
+    cachedAt = Date.now();
+    return cached;
+  }
+
+  /**
+   * Change the policy
+   * @param {Object} changes - Policy fields to replace
+   * @param {string} userId - Administrator making the change
+   * @returns {Object} Updated policy
+   */
+  static async update(changes, userId) {
+    const current = await this.get();
+    const value = { ...current, ...changes };
+
+    await Setting.updateOne(
+      { key: POLICY_KEY },
+      { $set: { value, updatedBy: userId } },
+      { upsert: true }
+    );
+
+    this.clearCache();
+    return this.get();
+  }
+
+  static clearCache() {
+    cached = null;
+    cachedAt = 0;
+  }
+
+  /**
+   * Whether the user's role must sign in with a second factor
+   */
+  static async requiresTwoFactor(user) {
+    const policy = await this.get();
+    return policy.twoFactorRequiredRoles.includes(user.role);
+  }
+
+  /**
+   * Whether the user must enrol in 2FA before using the API
+   */
+  static async isTwoFactorSetupPending(user) {
+    if (user.twoFactor && user.twoFactor.enabled) {return false;}
+    return this.requiresTwoFactor(user);
+  }
+}
+
+SecurityPolicyService.POLICY_KEY = POLICY_KEY;
+
+module.exports = SecurityPolicyService;
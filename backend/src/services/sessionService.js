@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { generateToken, generateRefreshToken, verifyRefreshToken } = require('../middleware/auth');
+const { AppError, ERROR_CODES, ERROR_SEVERITY } = require('../utils/errorHandler');
+const logger = require('../config/logger');
+
+// Checked in order; the first match names the browser or OS
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Safari', /Safari\//]
+];
+const OPERATING_SYSTEMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+const invalidRefreshToken = (message = 'Invalid or expired refresh token.') => new AppError(
+  message,
+  401,
+  ERROR_CODES.TOKEN_INVALID,
+  ERROR_SEVERITY.LOW
+);
+
+/**
+ * Persisted sign-in sessions with rotating refresh tokens. Each refresh
+ * issues a new token and invalidates the previous one; presenting an
+ * already rotated token revokes the whole session.
+ */
+class SessionService {
+  static hashTokenId(tokenId) {
+    return crypto.createHash('sha256').update(tokenId).digest('hex');
+  }
+
+  /**
+   * Browser and operating system named by a User-Agent header
+   * @returns {Object} { browser, os }
+   */
+  static describeDevice(userAgent = '') {
+    const match = (patterns, fallback) => {
+      const found = patterns.find(([, pattern]) => pattern.test(userAgent));
+      return found ? found[0] : fallback;
+    };
+    return {
+      browser: match(BROWSERS, 'Unknown browser'),
+      os: match(OPERATING_SYSTEMS, 'Unknown OS')
+    };
+  }
+
+  static getClientInfo(req) {
+    const userAgent = (req.get('User-Agent') || '').substring(0, 500);
+    return { userAgent, ipAddress: req.ip || '' };
+  }
+
+  /**
+   * Sign a user in on a new device
+   * @param {Object} user - User document
+   * @param {Object} req - Express request, for device and IP details
+   * @returns {Object} { session, token, refreshToken }
+   */
+  static async create(user, req) {
+    const { userAgent, ipAddress } = this.getClientInfo(req);
+    const tokenId = crypto.randomUUID();
+    const sessionId = new mongoose.Types.ObjectId();
+    const refreshToken = generateRefreshToken(user._id, sessionId, tokenId);
+
+    const session = await Session.create({
+      _id: sessionId,
+      user: user._id,
+      tokenHash: this.hashTokenId(tokenId),
+      userAgent,
+      ipAddress,
+      device: this.describeDevice(userAgent),
+      expiresAt: new Date(jwt.decode(refreshToken).exp * 1000)
+    });
+
+    return {
+      session,
+      token: generateToken(user._id, userAgent, ipAddress, session._id),
+      refreshToken
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access and refresh token pair
+   * @param {string} refreshToken - Current refresh token of the session
+   * @param {Object} req - Express request
+   * @returns {Object} { user, session, token, refreshToken }
+   * @throws {AppError} 401 for invalid, revoked or replayed tokens
+   */
+  static async rotate(refreshToken, req) {
+    const decoded = verifyRefreshToken(refreshToken);
+    if (!decoded || !decoded.sid || !decoded.jti) {throw invalidRefreshToken();}
+
+    const { userAgent, ipAddress } = this.getClientInfo(req);
+    const nextTokenId = crypto.randomUUID();
+
+    // Swapping the hash only succeeds for the current token, so concurrent or
+    // replayed uses of the same token cannot both rotate
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: decoded.sid,
+        user: decoded.userId,
+        tokenHash: this.hashTokenId(decoded.jti),
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      {
+        $set: { tokenHash: this.hashTokenId(nextTokenId), lastUsedAt: new Date(), ipAddress, userAgent },
+        $inc: { rotationCount: 1 }
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      const existing = await Session.findOne({ _id: decoded.sid, user: decoded.userId });
+      if (existing && !existing.revokedAt) {
+        // A rotated token came back: whoever holds it is not the session owner
+        await this.revoke(existing._id, decoded.userId, 'reuse_detected');
+        logger.warn('Refresh token reuse detected, session revoked:', {
+          userId: decoded.userId,
+          sessionId: existing._id,
+          ip: ipAddress
+        });
+        throw invalidRefreshToken('Refresh token has already been used. Please sign in again.');
+      }
+      throw invalidRefreshToken();
+    }
+
+    const user = await User.findById(session.user);
+    if (!user) {throw invalidRefreshToken();}
+
+    return {
+      user,
+      session,
+      token: generateToken(user._id, userAgent, ipAddress, session._id),
+      refreshToken: generateRefreshToken(user._id, session._id, nextTokenId)
+    };
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   */
+  static async list(userId) {
+    return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ lastUsedAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Sign out one session
+   * @returns {boolean} Whether an active session was revoked
+   */
+  static async revoke(sessionId, userId, reason) {
+    const result = await Session.updateOne(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Sign out every session of a user, optionally keeping the current one
+   * @returns {number} Sessions revoked
+   */
+  static async revokeAll(userId, reason, exceptSessionId = null) {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) {filter._id = { $ne: exceptSessionId };}
+
+    const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return result.modifiedCount;
+  }
+}
+
+module.exports = SessionService;
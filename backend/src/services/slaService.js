@@ -0,0 +1,304 @@
+const Incident = require('../models/Incident');
+const Setting = require('../models/Setting');
+const IncidentStatusHistory = require('../models/IncidentStatusHistory');
+const logger = require('../config/logger');
+
+const POLICY_KEY = 'incident_sla';
+// Evaluated for every incident in the dashboard feed
+const CACHE_TTL_MS = 60 * 1000;
+const MONITOR_INTERVAL_MS = 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+// Incidents one monitor run warns about at most; the rest wait for the next run
+const CHECK_LIMIT = 500;
+
+// Targets in minutes from the report
+const DEFAULT_POLICY = {
+  // Share of a target that may elapse before the dashboard is warned
+  warningRatio: 0.8,
+  severity: {
+    critical: { verifyMinutes: 15, resolveMinutes: 4 * 60 },
+    high: { verifyMinutes: 60, resolveMinutes: 24 * 60 },
+    medium: { verifyMinutes: 4 * 60, resolveMinutes: 3 * 24 * 60 },
+    low: { verifyMinutes: 24 * 60, resolveMinutes: 7 * 24 * 60 }
+  },
+  // Per incident type targets, replacing the severity targets they set
+  types: {}
+};
+
+// Any authority decision counts as the first response
+const RESPONSE_STATUSES = ['verified', 'investigating', 'resolved', 'false_alarm', 'closed'];
+const TERMINAL_STATUSES = ['resolved', 'false_alarm', 'closed'];
+const OPEN_STATUSES = ['reported', 'open', 'verified', 'investigating'];
+
+let cached = null;
+let cachedAt = 0;
+let monitorId = null;
+
+const minutesBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / MINUTE_MS);
+
+/**
+ * Response and resolution targets for incidents. Timings come from the
+ * status history; open incidents nearing a target are pushed to the dashboard.
+ */
+class SlaService {
+  /**
+   * Current policy
+   * @returns {Object} { warningRatio, severity, types }
+   */
+  static async getPolicy() {
+    if (cached && Date.now() - cachedAt < CACHE_TTL_MS) {return cached;}
+
+    const setting = await Setting.findOne({ key: POLICY_KEY }).lean();
+    const stored = setting ? setting.value : {};
+    cached = {
+      ...DEFAULT_POLICY,
+      ...stored,
+      severity: { ...DEFAULT_POLICY.severity, ...(stored.severity || {}) },
+      types: { ...(stored.types || {}) }
+    };
+    cachedAt = Date.now();
+    return cached;
+  }
+
+  /**
+   * Change the policy
+   * @param {Object} changes - Policy fields to replace
+   * @param {string} userId - Administrator making the change
+   * @returns {Object} Updated policy
+   */
+  static async updatePolicy(changes, userId) {
+    const current = await this.getPolicy();
+    const value = {
+      ...current,
+      ...changes,
+      severity: { ...current.severity, ...(changes.severity || {}) }
+    };
+
+    await Setting.updateOne(
+      { key: POLICY_KEY },
+      { $set: { value, updatedBy: userId } },
+      { upsert: true }
+    );
+
+    this.clearCache();
+    return this.getPolicy();
+  }
+
+  static async resetPolicy() {
+    await Setting.deleteOne({ key: POLICY_KEY });
+    this.clearCache();
+    return this.getPolicy();
+  }
+
+  static clearCache() {
+    cached = null;
+    cachedAt = 0;
+  }
+
+  /**
+   * Targets that apply to an incident
+   * @returns {Object} { verifyMinutes, resolveMinutes }
+   */
+  static getTargets(incident, policy) {
+    const bySeverity = policy.severity[incident.severity] || policy.severity.medium;
+    return { ...bySeverity, ...(policy.types[incident.type] || {}) };
+  }
+
+  /**
+   * Time to first response and to resolution from the status history
+   * @param {Object} incident - Incident with createdAt and status
+   * @param {Array} history - Status history, oldest first
+   * @returns {Object} { responseTime, resolutionTime } in minutes, null when not reached
+   */
+  static computeTimings(incident, history) {
+    const response = history.find(entry => entry.fromStatus && RESPONSE_STATUSES.includes(entry.toStatus));
+
+    // The latest close counts; closing a resolved incident does not restart the clock
+    let resolution = null;
+    if (TERMINAL_STATUSES.includes(incident.status)) {
+      resolution = [...history].reverse().find(entry =>
+        TERMINAL_STATUSES.includes(entry.toStatus) && !TERMINAL_STATUSES.includes(entry.fromStatus)
+      );
+    }
+
+    return {
+      responseTime: response ? minutesBetween(incident.createdAt, response.createdAt) : null,
+      resolutionTime: resolution ? minutesBetween(incident.createdAt, resolution.createdAt) : null
+    };
+  }
+
+  /**
+   * Store timings on the incident after a status change
+   * @returns {Object} { responseTime, resolutionTime }
+   */
+  static async recordTimings(incident) {
+    const history = await IncidentStatusHistory.find({ incident: incident._id })
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+    const timings = this.computeTimings(incident, history);
+
+    await Incident.updateOne({ _id: incident._id }, { $set: timings });
+    return timings;
+  }
+
+  /**
+   * Record timings without failing the status change that triggered it
+   */
+  static async recordTimingsSafely(incident) {
+    try {
+      return await this.recordTimings(incident);
+    } catch (error) {
+      logger.error('SLA timing error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * SLA state of an incident
+   * @param {Object} incident - Incident with createdAt, severity, type and timings
+   * @param {Object} policy - Policy from getPolicy
+   * @param {Date} now - Evaluation time
+   * @returns {Object} { verify, resolve, breached, atRisk }
+   */
+  static evaluate(incident, policy, now = new Date()) {
+    const targets = this.getTargets(incident, policy);
+    const elapsed = minutesBetween(incident.createdAt, now);
+
+    const check = (target, took) => {
+      const dueAt = new Date(new Date(incident.createdAt).getTime() + target * MINUTE_MS);
+      let state;
+      if (took !== null && took !== undefined) {
+        state = took <= target ? 'met' : 'breached';
+      } else if (elapsed > target) {
+        state = 'breached';
+      } else {
+        state = elapsed >= target * policy.warningRatio ? 'at_risk' : 'on_track';
+      }
+      return { target, dueAt, took: took === undefined ? null : took, state };
+    };
+
+    const verify = check(targets.verifyMinutes, incident.responseTime);
+    const resolve = check(targets.resolveMinutes, incident.resolutionTime);
+
+    return {
+      verify,
+      resolve,
+      breached: verify.state === 'breached' || resolve.state === 'breached',
+      atRisk: verify.state === 'at_risk' || resolve.state === 'at_risk'
+    };
+  }
+
+  /**
+   * Filter for open incidents with a target inside its warning window or
+   * past it, and not yet warned about for that state. One clause per
+   * severity and overridden type, since each has its own targets.
+   * @returns {Array} $or clauses
+   */
+  static buildWarningClauses(policy, now = new Date()) {
+    const reportedBefore = minutes => new Date(now.getTime() - minutes * MINUTE_MS);
+    const overriddenTypes = Object.keys(policy.types);
+
+    const groups = Object.keys(policy.severity).flatMap(severity => [
+      { match: { severity, type: { $nin: overriddenTypes } }, targets: this.getTargets({ severity }, policy) },
+      ...overriddenTypes.map(type => ({ match: { severity, type }, targets: this.getTargets({ severity, type }, policy) }))
+    ]);
+
+    return groups.flatMap(({ match, targets }) => [
+      ['verify', 'responseTime', targets.verifyMinutes],
+      ['resolve', 'resolutionTime', targets.resolveMinutes]
+    ].flatMap(([target, took, minutes]) => [
+      {
+        ...match,
+        [took]: null,
+        createdAt: { $lte: reportedBefore(minutes * policy.warningRatio), $gt: reportedBefore(minutes) },
+        slaWarnings: { $ne: `${target}:at_risk` }
+      },
+      {
+        ...match,
+        [took]: null,
+        createdAt: { $lte: reportedBefore(minutes) },
+        slaWarnings: { $ne: `${target}:breached` }
+      }
+    ]));
+  }
+
+  /**
+   * Warn the dashboard once per target about open incidents that are
+   * about to breach or have just breached
+   * @returns {number} Warnings sent
+   */
+  static async checkOpenIncidents(now = new Date()) {
+    const policy = await this.getPolicy();
+    const cursor = Incident.find({
+      isActive: true,
+      status: { $in: OPEN_STATUSES },
+      $or: this.buildWarningClauses(policy, now)
+    })
+      .select('title type severity status createdAt responseTime resolutionTime slaWarnings jurisdiction assignedTo')
+      .sort({ createdAt: 1 })
+      .limit(CHECK_LIMIT)
+      .lean()
+      .cursor();
+
+    let sent = 0;
+    for await (const incident of cursor) {
+      const sla = this.evaluate(incident, policy, now);
+      const warnings = ['verify', 'resolve']
+        .filter(target => sla[target].took === null && ['at_risk', 'breached'].includes(sla[target].state))
+        .map(target => `${target}:${sla[target].state}`)
+        .filter(key => !(incident.slaWarnings || []).includes(key));
+
+      if (warnings.length === 0) {continue;}
+
+      await Incident.updateOne({ _id: incident._id }, { $addToSet: { slaWarnings: { $each: warnings } } });
+      this.broadcast(incident, sla, warnings);
+      sent += warnings.length;
+    }
+    return sent;
+  }
+
+  static broadcast(incident, sla, warnings) {
+    if (!global.broadcastDashboardUpdate) {return;}
+
+    const payload = {
+      incidentId: incident._id,
+      title: incident.title,
+      severity: incident.severity,
+      status: incident.status,
+      jurisdiction: incident.jurisdiction,
+      assignedTo: incident.assignedTo,
+      warnings,
+      sla
+    };
+    global.broadcastDashboardUpdate('sla_warning', payload, 'authority');
+    global.broadcastDashboardUpdate('sla_warning', payload, 'admin');
+  }
+
+  /**
+   * Start the background breach monitor
+   */
+  static startMonitor() {
+    // Don't start in test environment to prevent Jest hanging
+    if (process.env.NODE_ENV === 'test' || monitorId) {return;}
+
+    monitorId = setInterval(async () => {
+      try {
+        await this.checkOpenIncidents();
+      } catch (error) {
+        logger.error('SLA monitor error:', error);
+      }
+    }, MONITOR_INTERVAL_MS);
+  }
+
+  static stopMonitor() {
+    if (monitorId) {
+      clearInterval(monitorId);
+      monitorId = null;
+    }
+  }
+}
+
+SlaService.POLICY_KEY = POLICY_KEY;
+SlaService.DEFAULT_POLICY = DEFAULT_POLICY;
+
+module.exports = SlaService;
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const https = require('https');
+const querystring = require('querystring');
+
+/**
+ * SMS providers used by SmsService. Every provider implements:
+ * - name
+ * - send({ to, body, callbackUrl }) -> { providerMessageId }
+ * - verifyReceipt(req) -> whether a delivery receipt really came from the provider
+ * - parseReceipt(body) -> { providerMessageId, status, error }, where status is
+ *   'delivered', 'failed' or null while the message is still in transit
+ */
+
+/**
+ * Keeps messages in memory for tests and local development. Receipts are
+ * posted as JSON { messageId, status: 'delivered' | 'failed', error } with
+ * the SMS_WEBHOOK_SECRET, when set, in the x-sms-webhook-secret header.
+ */
+class MockSmsProvider {
+  constructor() {
+    this.name = 'mock';
+    this.outbox = [];
+  }
+
+  async send({ to, body }) {
+    const providerMessageId = `mock-${crypto.randomUUID()}`;
+    this.outbox.push({ to, body, providerMessageId, sentAt: new Date() });
+    return { providerMessageId };
+  }
+
+  verifyReceipt(req) {
+    const secret = process.env.SMS_WEBHOOK_SECRET;
+    return !secret || req.get('x-sms-webhook-secret') === secret;
+  }
+
+  parseReceipt(body = {}) {
+    return {
+      providerMessageId: body.messageId,
+      status: ['delivered', 'failed'].includes(body.status) ? body.status : null,
+      error: body.error
+    };
+  }
+}
+
+// Twilio message statuses that end delivery; the rest (queued, sent, ...) are in transit
+const TWILIO_FINAL_STATUSES = {
+  delivered: 'delivered',
+  undelivered: 'failed',
+  failed: 'failed'
+};
+
+/**
+ * Twilio Programmable Messaging over its REST API. Receipts arrive as
+ * form-encoded status callbacks signed with the account's auth token.
+ */
+class TwilioSmsProvider {
+  constructor({ accountSid, authToken, from }) {
+    if (!accountSid || !authToken || !from) {
+      throw new Error('Twilio needs TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_PHONE_NUMBER');
+    }
+    this.name = 'twilio';
+    this.accountSid = accountSid;
+    this.authToken = authToken;
+    this.from = from;
+  }
+
+  send({ to, body, callbackUrl }) {
+    const form = querystring.stringify({
+      To: to,
+      From: this.from,
+      Body: body,
+      ...(callbackUrl ? { StatusCallback: callbackUrl } : {})
+    });
+
+    return new Promise((resolve, reject) => {
+      const req = https.request({
+        method: 'POST',
+        hostname: 'api.twilio.com',
+        path: `/2010-04-01/Accounts/${this.accountSid}/Messages.json`,
+        auth: `${this.accountSid}:${this.authToken}`,
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Content-Length': Buffer.byteLength(form)
+        },
+        timeout: 10000
+      }, (res) => {
+        let raw = '';
+        res.on('data', chunk => { raw += chunk; });
+        res.on('end', () => {
+          let data = {};
+          try {
+            data = JSON.parse(raw);
+          } catch {
+            // Non-JSON error page; reported below by status code
+          }
+          if (res.statusCode >= 400) {
+            reject(new Error(data.message || `Twilio responded with ${res.statusCode}`));
+          } else {
+            resolve({ providerMessageId: data.sid });
+          }
+        });
+      });
+      req.on('timeout', () => req.destroy(new Error('Twilio request timed out')));
+      req.on('error', reject);
+      req.end(form);
+    });
+  }
+
+  /**
+   * Check X-Twilio-Signature: base64 HMAC-SHA1 of the callback URL followed
+   * by every posted field name and value, sorted by name
+   */
+  verifyReceipt(req) {
+    const signature = req.get('x-twilio-signature');
+    if (!signature) {return false;}
+
+    const url = process.env.SMS_RECEIPT_URL || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+    const params = req.body || {};
+    const payload = Object.keys(params).sort().reduce((text, key) => text + key + params[key], url);
+    const expected = crypto.createHmac('sha1', this.authToken).update(payload).digest('base64');
+
+    return signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  }
+
+  parseReceipt(body = {}) {
+    return {
+      providerMessageId: body.MessageSid,
+      status: TWILIO_FINAL_STATUSES[body.MessageStatus] || null,
+      error: body.ErrorCode ? `twilio_${body.ErrorCode}` : undefined
+    };
+  }
+}
+
+module.exports = {
+  MockSmsProvider,
+  TwilioSmsProvider
+};
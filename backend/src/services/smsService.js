@@ -0,0 +1,157 @@
+const Alert = require('../models/Alert');
+const { MockSmsProvider, TwilioSmsProvider } = require('./smsProviders');
+const logger = require('../config/logger');
+
+const MINUTE_MS = 60 * 1000;
+// Two concatenated SMS segments
+const MAX_MESSAGE_LENGTH = 306;
+
+const PROVIDERS = {
+  mock: () => new MockSmsProvider(),
+  twilio: () => new TwilioSmsProvider({
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    from: process.env.TWILIO_PHONE_NUMBER
+  })
+};
+
+let provider = null;
+let providerName = null;
+
+/**
+ * Outgoing SMS through the provider chosen with SMS_PROVIDER (twilio, or
+ * mock for tests and local development). Without SMS_PROVIDER SMS is
+ * disabled. Each message is recorded as an 'sms' entry in
+ * Alert.deliveryStatus and settled by the provider's delivery receipt.
+ */
+class SmsService {
+  static getProviderName() {
+    return (process.env.SMS_PROVIDER || '').trim().toLowerCase() || null;
+  }
+
+  static isEnabled() {
+    return Boolean(this.getProviderName());
+  }
+
+  /**
+   * Provider for the configured SMS_PROVIDER, created once
+   */
+  static getProvider() {
+    const name = this.getProviderName();
+    if (provider && providerName === name) {return provider;}
+
+    const create = PROVIDERS[name];
+    if (!create) {throw new Error(`Unknown SMS_PROVIDER: ${name}`);}
+
+    provider = create();
+    providerName = name;
+    return provider;
+  }
+
+  /**
+   * Per-recipient limit, overridable through the environment
+   * @returns {Object} { maxPerRecipient, windowMinutes }
+   */
+  static getConfig() {
+    return {
+      maxPerRecipient: parseInt(process.env.SMS_MAX_PER_RECIPIENT, 10) || 3,
+      windowMinutes: parseFloat(process.env.SMS_THROTTLE_WINDOW_MINUTES) || 60
+    };
+  }
+
+  /**
+   * Whether a user has already been sent the most SMS allowed in the window
+   */
+  static async isThrottled(userId, now = new Date()) {
+    const { maxPerRecipient, windowMinutes } = this.getConfig();
+    const recent = await Alert.countDocuments({
+      deliveryStatus: {
+        $elemMatch: {
+          user: userId,
+          deliveryMethod: 'sms',
+          sentAt: { $gte: new Date(now - windowMinutes * MINUTE_MS) }
+        }
+      }
+    });
+    return recent >= maxPerRecipient;
+  }
+
+  /**
+   * Alert text cut to fit two SMS segments
+   */
+  static formatAlert(alert) {
+    const text = `SecurePath ${String(alert.priority).toUpperCase()}: ${alert.title}. ${alert.message}`;
+    return text.length > MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH - 3)}...` : text;
+  }
+
+  /**
+   * Send one message
+   * @param {Object} options
+   * @param {string} options.to - E.164 phone number
+   * @param {string} options.body - Message text
+   * @returns {Object} { sent, providerMessageId }; sent is false when SMS is disabled
+   */
+  static async send({ to, body }) {
+    if (!this.isEnabled()) {
+      logger.debug('SMS disabled; not sending:', { to });
+      return { sent: false, providerMessageId: null };
+    }
+
+    const { providerMessageId } = await this.getProvider().send({
+      to,
+      body,
+      callbackUrl: process.env.SMS_RECEIPT_URL
+    });
+
+    logger.info('SMS sent:', { to, provider: providerName, providerMessageId });
+    return { sent: true, providerMessageId };
+  }
+
+  /**
+   * Send without failing the caller
+   * @returns {Object} { sent, providerMessageId, error }
+   */
+  static async sendSafely(message) {
+    try {
+      return await this.send(message);
+    } catch (error) {
+      logger.error('SMS send error:', { to: message.to, error: error.message });
+      return { sent: false, providerMessageId: null, error: error.message };
+    }
+  }
+
+  /**
+   * Settle the deliveryStatus entry for a provider delivery receipt
+   * @param {Object} receipt - { providerMessageId, status, error } from provider.parseReceipt
+   * @returns {boolean} Whether the message is known
+   */
+  static async handleReceipt({ providerMessageId, status, error }) {
+    if (!providerMessageId) {return false;}
+
+    const alert = await Alert.findOne({ 'deliveryStatus.providerMessageId': providerMessageId });
+    if (!alert) {return false;}
+
+    // Still in transit; wait for the final receipt
+    if (!status) {return true;}
+
+    const entry = alert.deliveryStatus.find(item => item.providerMessageId === providerMessageId);
+    entry.status = status;
+    if (status === 'delivered') {
+      entry.deliveredAt = new Date();
+    } else {
+      entry.error = error || 'undelivered';
+    }
+    await alert.save();
+
+    logger.info('SMS receipt recorded:', { alertId: alert._id, providerMessageId, status });
+    return true;
+  }
+
+  // Lets tests switch SMS_PROVIDER between cases
+  static resetProvider() {
+    provider = null;
+    providerName = null;
+  }
+}
+
+module.exports = SmsService;
@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+const Incident = require('../models/Incident');
+const Evidence = require('../models/Evidence');
+const User = require('../models/User');
+const IncidentLifecycleService = require('./incidentLifecycleService');
+const DuplicateDetectionService = require('./duplicateDetectionService');
+const ReputationService = require('./reputationService');
+const SlaService = require('./slaService');
+const NotificationService = require('./notificationService');
+const { calculateDistance } = require('../utils/locationUtils');
+const logger = require('../config/logger');
+
+// Relative weight of each signal in the trust score (sums to 1)
+const WEIGHTS = {
+  reporter: 0.25,
+  votes: 0.25,
+  sources: 0.15,
+  evidence: 0.15,
+  corroboration: 0.2
+};
+
+// Confidence assumed for a source type when none was recorded
+const SOURCE_CONFIDENCE = {
+  official_report: 90,
+  cctv: 85,
+  news_media: 70,
+  witness: 60,
+  user_report: 50,
+  social_media: 40
+};
+
+const AUTO_VERIFIABLE_STATUSES = ['reported', 'open'];
+// Independent reports (or witnesses) needed for full corroboration
+const CORROBORATION_TARGET = 3;
+// Evidence taken this close to the incident counts as on-scene
+const EVIDENCE_NEARBY_METERS = 500;
+
+/**
+ * Trust scoring for incident verification. Combines reporter history,
+ * reputation-weighted votes, source types, evidence and corroborating
+ * reports into verification.trustScore, and auto-verifies incidents
+ * that score above the configured threshold.
+ */
+class TrustScoreService {
+  /**
+   * Score at or above which reported incidents are verified automatically
+   * @returns {number} 0..100
+   */
+  static getAutoVerifyThreshold() {
+    const threshold = parseInt(process.env.TRUST_AUTO_VERIFY_THRESHOLD, 10);
+    return Number.isFinite(threshold) ? threshold : 80;
+  }
+
+  /**
+   * Confirmed and false alarm report counts per user
+   * @param {Array} userIds - Users to look up
+   * @returns {Map} userId -> { confirmed, falseAlarms }
+   */
+  static async getReportHistory(userIds) {
+    const ids = userIds.map(id => new mongoose.Types.ObjectId(id.toString()));
+    const rows = await Incident.aggregate([
+      { $match: { reportedBy: { $in: ids }, mergedInto: null } },
+      {
+        $group: {
+          _id: '$reportedBy',
+          confirmed: { $sum: { $cond: [{ $in: ['$status', ReputationService.CONFIRMED_STATUSES] }, 1, 0] } },
+          falseAlarms: { $sum: { $cond: [{ $eq: ['$status', 'false_alarm'] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    return new Map(rows.map(row => [row._id.toString(), { confirmed: row.confirmed, falseAlarms: row.falseAlarms }]));
+  }
+
+  /**
+   * Credibility of a reporter from their track record. New reporters start
+   * at 0.5 and move towards their confirmed ratio as reports are decided.
+   * @returns {number} 0..1
+   */
+  static reporterCredibility(history = { confirmed: 0, falseAlarms: 0 }) {
+    return (history.confirmed + 1) / (history.confirmed + history.falseAlarms + 2);
+  }
+
+  /**
+   * Combined confidence of the incident's sources: each source independently
+   * supports the report, so confidences combine as 1 - Π(1 - c)
+   * @returns {number} 0..1
+   */
+  static sourceConfidence(sources) {
+    if (!sources || sources.length === 0) {return SOURCE_CONFIDENCE.user_report / 100;}
+
+    const doubt = sources.reduce((product, source) => {
+      const confidence = source.confidence !== undefined ? source.confidence : SOURCE_CONFIDENCE[source.type];
+      return product * (1 - (confidence || 0) / 100);
+    }, 1);
+    return 1 - doubt;
+  }
+
+  /**
+   * Compute the trust score of an incident and the signals behind it
+   * @param {Object} incident - Incident document
+   * @returns {Object} { trustScore, breakdown, reporterConfidence }
+   */
+  static async computeScore(incident) {
+    const votes = incident.communityVotes || [];
+    const reporterId = incident.reportedBy._id || incident.reportedBy;
+    const voterIds = votes.map(vote => vote.user);
+
+    const [history, voters, evidence, corroborating] = await Promise.all([
+      this.getReportHistory([reporterId]),
+      User.find({ _id: { $in: voterIds } }).select('role reputation').lean(),
+      Evidence.find({ incident: incident._id }).select('exifLocation').lean(),
+      this.countCorroboratingReports(incident)
+    ]);
+
+    const reporterConfidence = this.reporterCredibility(history.get(reporterId.toString()));
+
+    // Reputation-weighted confirm ratio, pulled towards neutral while few votes are in
+    const votersById = new Map(voters.map(voter => [voter._id.toString(), voter]));
+    let confirmWeight = 0;
+    let denyWeight = 0;
+    votes.forEach(vote => {
+      const weight = ReputationService.voteWeight(votersById.get(vote.user.toString()));
+      if (vote.vote === 'confirm') {confirmWeight += weight;}
+      if (vote.vote === 'deny') {denyWeight += weight;}
+    });
+    const voteConfidence = (confirmWeight + 1) / (confirmWeight + denyWeight + 2);
+
+    const evidenceCount = Math.max(evidence.length, (incident.images || []).length);
+    const [lng, lat] = incident.location.coordinates;
+    const onScene = evidence.some(item => item.exifLocation && item.exifLocation.coordinates &&
+      calculateDistance(lat, lng, item.exifLocation.coordinates[1], item.exifLocation.coordinates[0]) * 1000 <= EVIDENCE_NEARBY_METERS);
+    const evidenceConfidence = Math.min(1, evidenceCount * 0.35 + (onScene ? 0.3 : 0));
+
+    const witnessCount = (incident.witnesses || []).length;
+    const corroborationConfidence = Math.min(1, (corroborating + witnessCount) / CORROBORATION_TARGET);
+
+    const breakdown = {
+      reporter: Math.round(reporterConfidence * 100),
+      votes: Math.round(voteConfidence * 100),
+      sources: Math.round(this.sourceConfidence(incident.verification && incident.verification.sources) * 100),
+      evidence: Math.round(evidenceConfidence * 100),
+      corroboration: Math.round(corroborationConfidence * 100)
+    };
+
+    const trustScore = Math.round(
+      Object.keys(WEIGHTS).reduce((sum, key) => sum + WEIGHTS[key] * breakdown[key], 0)
+    );
+
+    return { trustScore, breakdown, reporterConfidence };
+  }
+
+  /**
+   * Independent reports of the same event: nearby, same type, same time
+   * window, from other reporters, including duplicates merged into it
+   * @returns {number} Distinct corroborating reporters
+   */
+  static async countCorroboratingReports(incident) {
+    const { radiusMeters, windowHours } = DuplicateDetectionService.getConfig();
+    const eventTime = DuplicateDetectionService.getEventTime(incident);
+    const windowMs = windowHours * 60 * 60 * 1000;
+    const reporterId = (incident.reportedBy._id || incident.reportedBy).toString();
+
+    const [nearby, merged] = await Promise.all([
+      Incident.find({
+        _id: { $ne: incident._id },
+        type: incident.type,
+        isActive: true,
+        status: { $ne: 'false_alarm' },
+        createdAt: { $gte: new Date(eventTime.getTime() - windowMs), $lte: new Date(eventTime.getTime() + windowMs) },
+        location: {
+          $near: {
+            $geometry: { type: 'Point', coordinates: incident.location.coordinates },
+            $maxDistance: radiusMeters
+          }
+        }
+      }).select('reportedBy').limit(50).lean(),
+      Incident.find({ mergedInto: incident._id }).select('reportedBy').lean()
+    ]);
+
+    const reporters = new Set([...nearby, ...merged].map(item => item.reportedBy.toString()));
+    reporters.delete(reporterId);
+    return reporters.size;
+  }
+
+  /**
+   * Recompute and store an incident's trust score, verifying it
+   * automatically when it crosses the threshold
+   * @param {string|Object} incidentOrId - Incident document or id
+   * @returns {Object|null} { trustScore, breakdown, autoVerified }
+   */
+  static async recalculate(incidentOrId) {
+    const incident = await Incident.findById(incidentOrId._id || incidentOrId);
+    if (!incident || !incident.isActive) {return null;}
+
+    const { trustScore, breakdown, reporterConfidence } = await this.computeScore(incident);
+
+    // Every incident has at least the reporter as a source; its confidence follows the reporter's record
+    const sources = incident.verification.sources.map(source => source.toObject());
+    const userReport = sources.find(source => source.type === 'user_report');
+    if (userReport) {
+      userReport.confidence = Math.round(reporterConfidence * 100);
+    } else {
+      sources.unshift({ type: 'user_report', confidence: Math.round(reporterConfidence * 100), timestamp: incident.createdAt });
+    }
+
+    await Incident.updateOne({ _id: incident._id }, {
+      $set: {
+        'verification.trustScore': trustScore,
+        'verification.breakdown': breakdown,
+        'verification.scoredAt': new Date(),
+        'verification.sources': sources
+      }
+    });
+
+    let autoVerified = false;
+    if (trustScore >= this.getAutoVerifyThreshold() && AUTO_VERIFIABLE_STATUSES.includes(incident.status)) {
+      // Conditional on the status so a concurrent authority decision always wins
+      const result = await Incident.updateOne(
+        { _id: incident._id, status: { $in: AUTO_VERIFIABLE_STATUSES } },
+        { $set: { status: 'verified', verificationDate: new Date(), 'verification.autoVerified': true } }
+      );
+      autoVerified = result.modifiedCount > 0;
+
+      if (autoVerified) {
+        await ReputationService.applyIncidentOutcomeSafely({ ...incident.toObject(), status: 'verified' });
+        await IncidentLifecycleService.recordTransition({
+          incident,
+          fromStatus: incident.status,
+          toStatus: 'verified',
+          reason: `Automatically verified with trust score ${trustScore}`,
+          changes: { trustScore, breakdown }
+        });
+        await SlaService.recordTimingsSafely({ ...incident.toObject(), status: 'verified' });
+        await NotificationService.notifyIncidentStatus(incident, 'verified');
+        logger.info('Incident auto-verified:', { incidentId: incident._id, trustScore });
+      }
+    }
+
+    return { trustScore, breakdown, autoVerified };
+  }
+
+  /**
+   * Recalculate without failing the caller; scoring is a side effect of
+   * votes, evidence and new reports, never a reason to reject them
+   */
+  static async recalculateSafely(incidentOrId) {
+    try {
+      return await this.recalculate(incidentOrId);
+    } catch (error) {
+      logger.error('Trust score calculation error:', error);
+      return null;
+    }
+  }
+}
+
+TrustScoreService.WEIGHTS = WEIGHTS;
+TrustScoreService.SOURCE_CONFIDENCE = SOURCE_CONFIDENCE;
+
+module.exports = TrustScoreService;
@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const { URLSearchParams } = require('url');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+const ISSUER = 'SecurePath';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 defaults understood by every authenticator app
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// Accept codes one step either side of now to allow for clock drift
+const TOTP_WINDOW = 1;
+const SECRET_BYTES = 20;
+
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+/**
+ * TOTP second factor: enrolment, code and backup code verification, and the
+ * short-lived challenge that links the password step of a login to the code step
+ */
+class TwoFactorService {
+  static base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) {
+      bits += byte.toString(2).padStart(8, '0');
+    }
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+      output += BASE32_ALPHABET[parseInt(bits.substring(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+  }
+
+  static base32Decode(text) {
+    const clean = text.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+    let bits = '';
+    for (const char of clean) {
+      const value = BASE32_ALPHABET.indexOf(char);
+      if (value === -1) {throw new Error('Invalid base32 character');}
+      bits += value.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+      bytes.push(parseInt(bits.substring(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+  }
+
+  static generateSecret() {
+    return this.base32Encode(crypto.randomBytes(SECRET_BYTES));
+  }
+
+  /**
+   * HOTP code (RFC 4226) for a time step
+   * @param {string} secret - Base32 secret
+   * @param {number} step - Time step counter
+   * @returns {string} Zero-padded code
+   */
+  static generateCode(secret, step = this.getStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+    return binary.toString().padStart(TOTP_DIGITS, '0');
+  }
+
+  static getStep(time = Date.now()) {
+    return Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+  }
+
+  /**
+   * Time step a code belongs to, within the drift window
+   * @returns {number|null} Matching step, or null when the code is wrong
+   */
+  static findStep(secret, code) {
+    if (!/^\d{6}$/.test(code || '')) {return null;}
+
+    const current = this.getStep();
+    for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+      const expected = Buffer.from(this.generateCode(secret, current + offset));
+      if (crypto.timingSafeEqual(expected, Buffer.from(code))) {return current + offset;}
+    }
+    return null;
+  }
+
+  /**
+   * otpauth:// URI that authenticator apps import from a QR code
+   */
+  static getProvisioningUri(email, secret) {
+    const label = encodeURIComponent(`${ISSUER}:${email}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: ISSUER,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_PERIOD_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  static getEncryptionKey() {
+    const source = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    return crypto.createHash('sha256').update(source).digest();
+  }
+
+  /**
+   * Secrets are stored AES-256-GCM encrypted as iv.tag.ciphertext (base64)
+   */
+  static encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+  }
+
+  static decryptSecret(stored) {
+    const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  static hashBackupCode(code) {
+    const normalized = code.replace(/[^a-z0-9]/gi, '').toLowerCase();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Fresh set of single-use recovery codes
+   * @returns {Object} { codes, hashes } - codes are shown once, hashes are stored
+   */
+  static generateBackupCodes() {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(4).toString('hex');
+      return `${raw.substring(0, 4)}-${raw.substring(4)}`;
+    });
+    return { codes, hashes: codes.map(code => this.hashBackupCode(code)) };
+  }
+
+  static findUserWithSecrets(userId) {
+    return User.findById(userId).select(SECRET_FIELDS);
+  }
+
+  /**
+   * Start enrolment with a new pending secret
+   * @returns {Object} { secret, otpauthUrl }
+   */
+  static async beginEnrollment(user) {
+    const secret = this.generateSecret();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': this.encryptSecret(secret) } });
+    return { secret, otpauthUrl: this.getProvisioningUri(user.email, secret) };
+  }
+
+  /**
+   * Confirm enrolment with a code from the pending secret
+   * @returns {Array|null} Backup codes, or null when the code is wrong
+   */
+  static async completeEnrollment(userId, code) {
+    const user = await this.findUserWithSecrets(userId);
+    if (!user || !user.twoFactor || !user.twoFactor.pendingSecret) {return null;}
+
+    const step = this.findStep(this.decryptSecret(user.twoFactor.pendingSecret), code);
+    if (step === null) {return null;}
+
+    const { codes, hashes } = this.generateBackupCodes();
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': user.twoFactor.pendingSecret,
+        'twoFactor.backupCodes': hashes,
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.enabledAt': new Date()
+      },
+      $unset: { 'twoFactor.pendingSecret': 1 }
+    });
+    return codes;
+  }
+
+  /**
+   * Check a TOTP or backup code for an enrolled user. Accepted codes are
+   * used up: TOTP steps cannot be replayed and backup codes are removed.
+   * @returns {string|null} 'totp' or 'backup_code', null when rejected
+   */
+  static async verify(userId, code) {
+    const user = await this.findUserWithSecrets(userId);
+    if (!user || !user.twoFactor || !user.twoFactor.enabled) {return null;}
+    const value = (code || '').trim();
+
+    const step = this.findStep(this.decryptSecret(user.twoFactor.secret), value);
+    if (step !== null) {
+      // Conditional on the last step so the same code is only accepted once
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': { $exists: false } }]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+      return result.modifiedCount > 0 ? 'totp' : null;
+    }
+
+    const hash = this.hashBackupCode(value);
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.backupCodes': hash },
+      { $pull: { 'twoFactor.backupCodes': hash } }
+    );
+    return result.modifiedCount > 0 ? 'backup_code' : null;
+  }
+
+  /**
+   * Replace the user's backup codes
+   * @returns {Array} New codes
+   */
+  static async regenerateBackupCodes(userId) {
+    const { codes, hashes } = this.generateBackupCodes();
+    await User.updateOne({ _id: userId }, { $set: { 'twoFactor.backupCodes': hashes } });
+    return codes;
+  }
+
+  static async getRemainingBackupCodes(userId) {
+    const user = await User.findById(userId).select('+twoFactor.backupCodes').lean();
+    return user && user.twoFactor && user.twoFactor.backupCodes ? user.twoFactor.backupCodes.length : 0;
+  }
+
+  static async disable(userId) {
+    await User.updateOne({ _id: userId }, {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.backupCodes': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.enabledAt': 1
+      }
+    });
+  }
+
+  // Challenge tokens use their own key so they can never pass as access tokens
+  static getChallengeKey() {
+    return crypto.createHmac('sha256', process.env.JWT_SECRET).update('2fa-challenge').digest('hex');
+  }
+
+  /**
+   * Token proving the password step of a login succeeded
+   */
+  static createChallenge(user) {
+    return jwt.sign({ userId: user._id.toString() }, this.getChallengeKey(), { expiresIn: CHALLENGE_TTL });
+  }
+
+  /**
+   * @returns {string|null} User id of a valid challenge
+   */
+  static verifyChallenge(token) {
+    try {
+      return jwt.verify(token, this.getChallengeKey()).userId;
+    } catch {
+      return null;
+    }
+  }
+}
+
+TwoFactorService.BACKUP_CODE_COUNT = BACKUP_CODE_COUNT;
+
+module.exports = TwoFactorService;
@@ -0,0 +1,162 @@
+const WatchZone = require('../models/WatchZone');
+const AlertDeliveryService = require('./alertDeliveryService');
+const PushService = require('./pushService');
+const NotificationService = require('./notificationService');
+const { calculateDistance } = require('../utils/locationUtils');
+const logger = require('../config/logger');
+
+const MAX_ZONES_PER_USER = 10;
+const MAX_RADIUS_KM = 50;
+const SEVERITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * Citizen watch zones: stores the drawn areas and tells their owners about
+ * new incidents inside them
+ */
+class WatchZoneService {
+  /**
+   * Stored shape for a validated area
+   * @param {Object} area - { type: 'Point', coordinates, radius } or { type: 'Polygon', coordinates }
+   * @returns {Object} { area, radius }
+   */
+  static normalizeArea(area) {
+    if (area.type === 'Polygon') {
+      return {
+        area: AlertDeliveryService.normalizePolygon(area).geofence,
+        radius: undefined
+      };
+    }
+    return {
+      area: { type: 'Point', coordinates: area.coordinates },
+      radius: area.radius
+    };
+  }
+
+  /**
+   * Active zones, other than the reporter's own, that want to hear about an incident
+   * @param {Object} incident - Incident with location, type and severity
+   * @returns {Array} Matching zones
+   */
+  static async findMatches(incident) {
+    if (!incident.location || !incident.location.coordinates) {return [];}
+
+    const point = { type: 'Point', coordinates: incident.location.coordinates };
+    const [lng, lat] = point.coordinates;
+    const filter = {
+      isActive: true,
+      minSeverity: { $in: SEVERITY_LEVELS.slice(0, SEVERITY_LEVELS.indexOf(incident.severity) + 1) }
+    };
+    const reporterId = incident.reportedBy && (incident.reportedBy._id || incident.reportedBy).toString();
+
+    const [polygons, circles] = await Promise.all([
+      WatchZone.find({
+        ...filter,
+        'area.type': 'Polygon',
+        area: { $geoIntersects: { $geometry: point } }
+      }).lean(),
+      // Circles have their own radius, so fetch the nearby ones and measure each
+      WatchZone.find({
+        ...filter,
+        'area.type': 'Point',
+        area: { $nearSphere: { $geometry: point, $maxDistance: MAX_RADIUS_KM * 1000 } }
+      }).lean()
+    ]);
+
+    const insideCircles = circles.filter(zone => {
+      const [zoneLng, zoneLat] = zone.area.coordinates;
+      return calculateDistance(lat, lng, zoneLat, zoneLng) <= zone.radius;
+    });
+
+    return [...polygons, ...insideCircles].filter(zone =>
+      zone.user.toString() !== reporterId &&
+      (zone.types.length === 0 || zone.types.includes(incident.type))
+    );
+  }
+
+  /**
+   * Send `watch-zone:incident` to the owners of matching zones, once per user
+   * @returns {number} Users notified
+   */
+  static async notify(incident) {
+    const zones = await this.findMatches(incident);
+    if (zones.length === 0) {return 0;}
+
+    const byUser = new Map();
+    for (const zone of zones) {
+      const userId = zone.user.toString();
+      if (!byUser.has(userId)) {byUser.set(userId, []);}
+      byUser.get(userId).push({ _id: zone._id, name: zone.name });
+    }
+
+    await WatchZone.updateMany(
+      { _id: { $in: zones.map(zone => zone._id) } },
+      { $set: { lastTriggeredAt: new Date() } }
+    );
+
+    const summary = {
+      _id: incident._id,
+      title: incident.title,
+      type: incident.type,
+      severity: incident.severity,
+      status: incident.status,
+      location: incident.location,
+      createdAt: incident.createdAt
+    };
+    if (global.broadcastToUsers) {
+      for (const [userId, matched] of byUser) {
+        global.broadcastToUsers([userId], 'watch-zone:incident', { incident: summary, zones: matched });
+      }
+    }
+
+    // Owners without the app open are told by Web Push instead
+    const connected = new Set((global.getConnectedUsers ? global.getConnectedUsers() : [])
+      .filter(entry => entry.user)
+      .map(entry => (entry.user._id || entry.user.id).toString()));
+    const title = `${String(incident.severity).toUpperCase()}: ${incident.title}`;
+    // Owners whose zones share names get the same push, sent as one batch
+    const pushes = new Map();
+    for (const [userId, matched] of byUser) {
+      const body = `New ${String(incident.type).replace(/_/g, ' ')} incident in ${matched.map(zone => zone.name).join(', ')}`;
+      await NotificationService.notifySafely([userId], {
+        type: 'watch_zone',
+        title,
+        message: body,
+        priority: incident.severity,
+        link: '/map',
+        incident: incident._id
+      });
+
+      if (connected.has(userId)) {continue;}
+      if (!pushes.has(body)) {pushes.set(body, []);}
+      pushes.get(body).push(userId);
+    }
+    for (const [body, userIds] of pushes) {
+      PushService.dispatch(userIds, {
+        title,
+        body,
+        url: '/map',
+        tag: `incident-${incident._id}`,
+        data: { type: 'watch_zone_incident', incidentId: incident._id.toString() }
+      }, { urgency: ['high', 'critical'].includes(incident.severity) ? 'high' : 'normal' });
+    }
+
+    return byUser.size;
+  }
+
+  /**
+   * Notify without failing the report that triggered it
+   */
+  static async notifySafely(incident) {
+    try {
+      return await this.notify(incident);
+    } catch (error) {
+      logger.error('Watch zone notification error:', error);
+      return 0;
+    }
+  }
+}
+
+WatchZoneService.MAX_ZONES_PER_USER = MAX_ZONES_PER_USER;
+WatchZoneService.MAX_RADIUS_KM = MAX_RADIUS_KM;
+
+module.exports = WatchZoneService;
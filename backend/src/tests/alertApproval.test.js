@@ -0,0 +1,376 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Alert = require('../models/Alert');
+const Setting = require('../models/Setting');
+const Notification = require('../models/Notification');
+const AlertApprovalService = require('../services/alertApprovalService');
+const { generateToken } = require('../middleware/auth');
+
+describe('Alert Approval', () => {
+  let citizen;
+  let authority;
+  let admin;
+  let citizenToken;
+  let authorityToken;
+  let adminToken;
+
+  const alertData = (fields = {}) => ({
+    title: 'Flood warning',
+    message: 'The river is expected to burst its banks tonight.',
+    type: 'weather_alert',
+    priority: 'urgent',
+    targetAudience: 'all',
+    ...fields
+  });
+
+  const createAlert = (token, fields) => request(app)
+    .post('/api/alerts')
+    .set('Authorization', `Bearer ${token}`)
+    .send(alertData(fields))
+    .expect(201);
+
+  const setPolicy = (policy) => request(app)
+    .put('/api/admin/alert-approval')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(policy)
+    .expect(200);
+
+  const alertsFor = async (user) => Notification.countDocuments({ user: user._id, type: 'alert' });
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/securepath-test');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Alert.deleteMany({});
+    await Setting.deleteMany({});
+    await Notification.deleteMany({});
+    AlertApprovalService.clearCache();
+
+    global.getConnectedUsers = () => [];
+
+    citizen = await User.create({
+      firstName: 'John',
+      lastName: 'Citizen',
+      email: 'citizen@example.com',
+      password: 'password123',
+      role: 'citizen',
+      isVerified: true
+    });
+    authority = await User.create({
+      firstName: 'Jane',
+      lastName: 'Authority',
+      email: 'authority@example.com',
+      password: 'password123',
+      role: 'authority',
+      isVerified: true
+    });
+    admin = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin',
+      isVerified: true
+    });
+
+    citizenToken = generateToken(citizen._id);
+    authorityToken = generateToken(authority._id);
+    adminToken = generateToken(admin._id);
+  });
+
+  afterEach(() => {
+    delete global.getConnectedUsers;
+  });
+
+  describe('Policy', () => {
+    it('should publish immediately when no threshold is set', async () => {
+      const response = await createAlert(authorityToken);
+
+      expect(response.body.message).toBe('Alert created successfully');
+      expect(response.body.data.alert.status).toBe('published');
+      expect(await alertsFor(citizen)).toBe(1);
+    });
+
+    it('should hold authority alerts at or above the threshold for approval', async () => {
+      await setPolicy({ minPriority: 'urgent' });
+
+      const held = await createAlert(authorityToken);
+      expect(held.body.message).toBe('Alert submitted for approval');
+      expect(held.body.data.alert.status).toBe('pending_approval');
+      expect(held.body.data.delivery).toBeNull();
+      expect(await alertsFor(citizen)).toBe(0);
+
+      // Below the threshold, and approvers' own alerts, go straight out
+      const routine = await createAlert(authorityToken, { priority: 'high' });
+      expect(routine.body.data.alert.status).toBe('published');
+      const own = await createAlert(adminToken);
+      expect(own.body.data.alert.status).toBe('published');
+
+      const approvers = await Notification.find({ user: admin._id, type: 'system' });
+      expect(approvers).toHaveLength(1);
+      expect(approvers[0].title).toBe('Alert awaiting approval: Flood warning');
+    });
+
+    it('should only let approvers change the policy', async () => {
+      await request(app)
+        .put('/api/admin/alert-approval')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ minPriority: 'low' })
+        .expect(403);
+
+      await request(app)
+        .put('/api/admin/alert-approval')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ minPriority: 'severe' })
+        .expect(400);
+
+      const response = await setPolicy({ minPriority: 'high' });
+      expect(response.body.data.policy).toEqual({ minPriority: 'high', roles: ['authority'] });
+    });
+  });
+
+  describe('Review', () => {
+    let pending;
+
+    beforeEach(async () => {
+      await setPolicy({ minPriority: 'urgent' });
+      pending = (await createAlert(authorityToken)).body.data.alert;
+    });
+
+    it('should list pending alerts in the approval queue for approvers only', async () => {
+      const queue = await request(app)
+        .get('/api/alerts/approvals')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(queue.body.data.alerts.map(a => a._id)).toEqual([pending._id]);
+      expect(queue.body.data.policy.minPriority).toBe('urgent');
+
+      await request(app)
+        .get('/api/alerts/approvals')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(403);
+    });
+
+    it('should publish and deliver an alert once approved', async () => {
+      const response = await request(app)
+        .post(`/api/alerts/${pending._id}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ comment: 'Confirmed with the water board' })
+        .expect(200);
+
+      expect(response.body.data.alert).toMatchObject({
+        status: 'published',
+        isApproved: true,
+        approvedBy: admin._id.toString()
+      });
+      expect(response.body.data.alert.reviews[0]).toMatchObject({
+        decision: 'approved',
+        comment: 'Confirmed with the water board'
+      });
+      expect(response.body.data.delivery.mode).toBe('broadcast');
+      expect(await alertsFor(citizen)).toBe(1);
+
+      const creator = await Notification.findOne({ user: authority._id, type: 'system' });
+      expect(creator.title).toBe('Your alert was approved: Flood warning');
+
+      // A published alert cannot be reviewed again
+      await request(app)
+        .post(`/api/alerts/${pending._id}/reject`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ comment: 'Too late' })
+        .expect(409);
+    });
+
+    it('should publish an alert approved twice at the same time once', async () => {
+      const [first, second] = await Promise.all([Alert.findById(pending._id), Alert.findById(pending._id)]);
+
+      const results = await Promise.allSettled([
+        AlertApprovalService.approve(first, admin, 'Confirmed'),
+        AlertApprovalService.approve(second, admin, 'Confirmed too')
+      ]);
+
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(results.find(result => result.status === 'rejected').reason.statusCode).toBe(409);
+      expect(await alertsFor(citizen)).toBe(1);
+      const alert = await Alert.findById(pending._id);
+      expect(alert.status).toBe('published');
+      expect(alert.reviews).toHaveLength(1);
+    });
+
+    it('should return rejected alerts to the creator for another attempt', async () => {
+      await request(app)
+        .post(`/api/alerts/${pending._id}/reject`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(400);
+
+      const rejected = await request(app)
+        .post(`/api/alerts/${pending._id}/reject`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ comment: 'Name the affected suburbs' })
+        .expect(200);
+      expect(rejected.body.data.alert.status).toBe('rejected');
+      expect(await alertsFor(citizen)).toBe(0);
+
+      await request(app)
+        .put(`/api/alerts/${pending._id}`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ message: 'Riverside and Northcliff should move to higher ground tonight.' })
+        .expect(200);
+
+      const resubmitted = await request(app)
+        .post(`/api/alerts/${pending._id}/submit`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(200);
+      expect(resubmitted.body.data.alert.status).toBe('pending_approval');
+      expect(resubmitted.body.data.alert.reviews).toHaveLength(1);
+    });
+
+    it('should not let the creator review or edit a pending alert', async () => {
+      const selfApprover = await User.create({
+        firstName: 'Self',
+        lastName: 'Approver',
+        email: 'self@example.com',
+        password: 'password123',
+        role: 'admin',
+        isVerified: true
+      });
+      await Alert.updateOne({ _id: pending._id }, { $set: { createdBy: selfApprover._id } });
+
+      await request(app)
+        .post(`/api/alerts/${pending._id}/approve`)
+        .set('Authorization', `Bearer ${generateToken(selfApprover._id)}`)
+        .send({})
+        .expect(403);
+
+      await Alert.updateOne({ _id: pending._id }, { $set: { createdBy: authority._id } });
+      await request(app)
+        .put(`/api/alerts/${pending._id}`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ title: 'Changed while waiting' })
+        .expect(409);
+    });
+  });
+
+  describe('Editing', () => {
+    it('should not let published alerts be changed in ways that need approval', async () => {
+      await setPolicy({ minPriority: 'urgent' });
+      const alert = (await createAlert(authorityToken, { priority: 'high' })).body.data.alert;
+      expect(alert.status).toBe('published');
+
+      const escalated = await request(app)
+        .put(`/api/alerts/${alert._id}`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ priority: 'critical', message: 'Everyone in the city must evacuate immediately.' })
+        .expect(409);
+      expect(escalated.body.message).toContain('needs approval');
+
+      // Below the threshold, and the expiry, can still change
+      await request(app)
+        .put(`/api/alerts/${alert._id}`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ message: 'The river has burst its banks near the bridge.' })
+        .expect(200);
+      await request(app)
+        .put(`/api/alerts/${alert._id}`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() })
+        .expect(200);
+
+      const stored = await Alert.findById(alert._id);
+      expect(stored.priority).toBe('high');
+    });
+
+    it('should validate edits and store polygon areas as a geofence', async () => {
+      const alert = (await createAlert(authorityToken, { draft: true })).body.data.alert;
+
+      await request(app)
+        .put(`/api/alerts/${alert._id}`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ location: { type: 'Polygon', coordinates: [[[28.0, -26.2]]] } })
+        .expect(400);
+
+      await request(app)
+        .put(`/api/alerts/${alert._id}`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ expiresAt: '2001-01-01T00:00:00Z' })
+        .expect(400);
+
+      await request(app)
+        .put(`/api/alerts/${alert._id}`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ targetAudience: 'specific_area' })
+        .expect(400);
+
+      const updated = await request(app)
+        .put(`/api/alerts/${alert._id}`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({
+          targetAudience: 'specific_area',
+          location: { type: 'Polygon', coordinates: [[[28.0, -26.2], [28.1, -26.2], [28.1, -26.1], [28.0, -26.1]]] }
+        })
+        .expect(200);
+      expect(updated.body.data.alert.geofence.coordinates[0]).toHaveLength(5);
+      expect(updated.body.data.alert.location.type).toBe('Point');
+    });
+  });
+
+  describe('Visibility', () => {
+    it('should not let other users mark unpublished alerts read', async () => {
+      const draft = (await createAlert(authorityToken, { draft: true })).body.data.alert;
+
+      await request(app)
+        .post(`/api/alerts/${draft._id}/mark-read`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(404);
+
+      await request(app)
+        .post(`/api/alerts/${draft._id}/submit`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(200);
+      const read = await request(app)
+        .post(`/api/alerts/${draft._id}/mark-read`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(200);
+      expect(read.body.data).toEqual({ alertId: draft._id, isRead: true });
+    });
+
+    it('should keep drafts out of public listings', async () => {
+      const draft = (await createAlert(authorityToken, { draft: true })).body.data.alert;
+      expect(draft.status).toBe('draft');
+
+      const list = await request(app)
+        .get('/api/alerts')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(200);
+      expect(list.body.data.alerts).toHaveLength(0);
+
+      await request(app)
+        .get(`/api/alerts/${draft._id}`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(404);
+
+      const own = await request(app)
+        .get('/api/alerts?status=draft')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(200);
+      expect(own.body.data.alerts.map(a => a._id)).toEqual([draft._id]);
+
+      const published = await request(app)
+        .post(`/api/alerts/${draft._id}/submit`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(200);
+      expect(published.body.message).toBe('Alert created successfully');
+      expect(await alertsFor(citizen)).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Alert = require('../models/Alert');
+const AlertDeliveryService = require('../services/alertDeliveryService');
+const { generateToken } = require('../middleware/auth');
+
+// Johannesburg CBD and Pretoria, roughly 55km apart
+const INSIDE = [28.0473, -26.2041];
+const OUTSIDE = [28.1881, -25.7479];
+const CBD_POLYGON = [[
+  [28.02, -26.22],
+  [28.07, -26.22],
+  [28.07, -26.18],
+  [28.02, -26.18],
+  [28.02, -26.22]
+]];
+
+describe('Geofenced Alert Delivery', () => {
+  let authorityUser;
+  let authorityToken;
+  let insideUser;
+  let outsideUser;
+  let travellingUser;
+  let connected;
+  let emitted;
+
+  const createUser = (email, coordinates, role = 'citizen') => User.create({
+    firstName: 'Test',
+    lastName: 'User',
+    email,
+    password: 'password123',
+    role,
+    isVerified: true,
+    location: { type: 'Point', coordinates }
+  });
+
+  const alertBody = (overrides = {}) => ({
+    title: 'Armed robbery in progress',
+    message: 'Avoid the area around Commissioner Street until further notice.',
+    type: 'emergency_alert',
+    priority: 'urgent',
+    targetAudience: 'specific_area',
+    ...overrides
+  });
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/securepath-test');
+    await User.syncIndexes();
+  });
+
+  afterAll(async () => {
+    delete global.getConnectedUsers;
+    delete global.broadcastToUsers;
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Alert.deleteMany({});
+
+    authorityUser = await createUser('authority@example.com', INSIDE, 'authority');
+    insideUser = await createUser('inside@example.com', INSIDE);
+    outsideUser = await createUser('outside@example.com', OUTSIDE);
+    travellingUser = await createUser('travelling@example.com', OUTSIDE);
+    authorityToken = generateToken(authorityUser._id);
+
+    // Only the travelling user is online, currently inside the CBD
+    connected = [
+      { user: travellingUser, location: { coordinates: INSIDE } }
+    ];
+    emitted = [];
+    global.getConnectedUsers = () => connected;
+    global.broadcastToUsers = (userIds, event, payload) => emitted.push({ userIds, event, payload });
+  });
+
+  describe('POST /api/alerts', () => {
+    it('should deliver a polygon alert to users inside the area', async () => {
+      const response = await request(app)
+        .post('/api/alerts')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send(alertBody({ location: { type: 'Polygon', coordinates: CBD_POLYGON } }))
+        .expect(201);
+
+      expect(response.body.data.delivery).toMatchObject({
+        mode: 'geofenced',
+        recipients: 2,
+        delivered: 1,
+        pending: 1
+      });
+
+      const alert = await Alert.findById(response.body.data.alert._id);
+      expect(alert.geofence.coordinates).toEqual(CBD_POLYGON);
+      expect(alert.location.coordinates).toHaveLength(2);
+
+      const byUser = Object.fromEntries(alert.deliveryStatus.map(entry => [entry.user.toString(), entry]));
+      expect(byUser[insideUser._id.toString()]).toMatchObject({ status: 'pending', matchedBy: 'stored_location' });
+      expect(byUser[travellingUser._id.toString()]).toMatchObject({ status: 'delivered', matchedBy: 'live_location' });
+      expect(byUser[outsideUser._id.toString()]).toBeUndefined();
+      expect(byUser[authorityUser._id.toString()]).toBeUndefined();
+      expect(alert.statistics.totalSent).toBe(2);
+      expect(alert.statistics.totalDelivered).toBe(1);
+
+      expect(emitted).toHaveLength(1);
+      expect(emitted[0].event).toBe('emergency-alert');
+      expect(emitted[0].userIds).toEqual([travellingUser._id.toString()]);
+      expect(emitted[0].payload.deliveryStatus).toBeUndefined();
+    });
+
+    it('should deliver a radius alert to users within the radius', async () => {
+      const response = await request(app)
+        .post('/api/alerts')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send(alertBody({ location: { coordinates: OUTSIDE, radius: 2 } }))
+        .expect(201);
+
+      // The travelling user's saved location is in Pretoria, but they are currently elsewhere
+      const alert = await Alert.findById(response.body.data.alert._id);
+      const recipients = alert.deliveryStatus.map(entry => entry.user.toString()).sort();
+      expect(recipients).toEqual([outsideUser._id.toString(), travellingUser._id.toString()].sort());
+      expect(response.body.data.delivery.delivered).toBe(1);
+    });
+
+    it('should require a location for area alerts', async () => {
+      const response = await request(app)
+        .post('/api/alerts')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send(alertBody())
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should reject malformed polygons', async () => {
+      await request(app)
+        .post('/api/alerts')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send(alertBody({ location: { type: 'Polygon', coordinates: [[INSIDE, OUTSIDE]] } }))
+        .expect(400);
+    });
+
+    it('should not track individual recipients for alerts to everyone', async () => {
+      const response = await request(app)
+        .post('/api/alerts')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send(alertBody({ targetAudience: 'all', location: { coordinates: INSIDE } }))
+        .expect(201);
+
+      expect(response.body.data.delivery.mode).toBe('broadcast');
+      const alert = await Alert.findById(response.body.data.alert._id);
+      expect(alert.deliveryStatus).toHaveLength(0);
+    });
+  });
+
+  describe('AlertDeliveryService', () => {
+    it('should close open polygon rings and derive a centroid', () => {
+      const { location, geofence } = AlertDeliveryService.normalizePolygon({
+        type: 'Polygon',
+        coordinates: [CBD_POLYGON[0].slice(0, 4)]
+      });
+
+      expect(geofence.coordinates).toEqual(CBD_POLYGON);
+      expect(location.type).toBe('Point');
+      expect(location.coordinates[0]).toBeCloseTo(28.045, 5);
+      expect(location.coordinates[1]).toBeCloseTo(-26.2, 5);
+      expect(location.radius).toBeGreaterThan(2);
+    });
+
+    it('should test positions against polygons with holes', () => {
+      const area = {
+        polygon: [
+          CBD_POLYGON[0],
+          [[28.04, -26.21], [28.05, -26.21], [28.05, -26.19], [28.04, -26.19], [28.04, -26.21]]
+        ]
+      };
+
+      expect(AlertDeliveryService.isInside(area, [28.03, -26.2])).toBe(true);
+      expect(AlertDeliveryService.isInside(area, [28.045, -26.2])).toBe(false);
+      expect(AlertDeliveryService.isInside(area, OUTSIDE)).toBe(false);
+    });
+  });
+});
@@ -443,7 +443,7 @@ describe('Alert Endpoints', () => {
         .expect(400);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.errors).toBeDefined();
+      expect(response.body.error.details).toBeDefined();
     });
   });
 
@@ -0,0 +1,142 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Incident = require('../models/Incident');
+const Jurisdiction = require('../models/Jurisdiction');
+const { generateToken } = require('../middleware/auth');
+
+// The export limiter allows three requests per 250ms in tests
+const waitForLimiter = () => new Promise(resolve => setTimeout(resolve, 300));
+
+// Johannesburg CBD and Pretoria
+const JOHANNESBURG = [28.0473, -26.2041];
+const PRETORIA = [28.2293, -25.7479];
+
+const square = (west, south, east, north) => ({
+  type: 'Polygon',
+  coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+});
+
+describe('Analytics Report PDF', () => {
+  let authorityToken;
+  let adminToken;
+  let precinct;
+
+  const exportReport = (query, token = adminToken) => request(app)
+    .get('/api/export/analytics/report')
+    .query(query)
+    .set('Authorization', `Bearer ${token}`)
+    .responseType('blob');
+
+  beforeEach(async () => {
+    await waitForLimiter();
+    await User.deleteMany({});
+    await Incident.deleteMany({});
+    await Jurisdiction.deleteMany({});
+
+    precinct = await Jurisdiction.create({
+      name: 'Johannesburg Central',
+      type: 'precinct',
+      boundary: square(27.95, -26.3, 28.15, -26.1)
+    });
+    const otherPrecinct = await Jurisdiction.create({
+      name: 'Pretoria Central',
+      type: 'precinct',
+      boundary: square(28.1, -25.85, 28.35, -25.65)
+    });
+
+    const citizen = await User.create({
+      firstName: 'John',
+      lastName: 'Citizen',
+      email: 'citizen@example.com',
+      password: 'password123',
+      role: 'citizen',
+      isVerified: true
+    });
+    const authority = await User.create({
+      firstName: 'Jane',
+      lastName: 'Authority',
+      email: 'authority@example.com',
+      password: 'password123',
+      role: 'authority',
+      isVerified: true,
+      jurisdictions: [otherPrecinct._id]
+    });
+    const admin = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin',
+      isVerified: true
+    });
+    authorityToken = generateToken(authority._id);
+    adminToken = generateToken(admin._id);
+
+    // A hotspot of three incidents in Johannesburg and one in Pretoria
+    await Incident.create([
+      ...['critical', 'high', 'medium'].map(severity => ({
+        title: `Johannesburg ${severity} theft`,
+        description: 'Theft reported near the taxi rank',
+        type: 'theft',
+        severity,
+        location: { type: 'Point', coordinates: JOHANNESBURG },
+        jurisdiction: precinct._id,
+        reportedBy: citizen._id
+      })),
+      {
+        title: 'Pretoria vandalism',
+        description: 'Bus shelter damaged overnight',
+        type: 'vandalism',
+        severity: 'low',
+        location: { type: 'Point', coordinates: PRETORIA },
+        jurisdiction: otherPrecinct._id,
+        reportedBy: citizen._id
+      }
+    ]);
+  });
+
+  it('should render a multi-page PDF with a map image', async () => {
+    const response = await exportReport({ format: 'pdf' }).expect(200);
+
+    expect(response.headers['content-type']).toContain('application/pdf');
+    expect(response.headers['content-disposition']).toMatch(/analytics_report_.*\.pdf/);
+
+    const pdf = response.body.toString('latin1');
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf.endsWith('%%EOF\n')).toBe(true);
+    expect((pdf.match(/\/Type \/Page /g) || []).length).toBeGreaterThanOrEqual(2);
+    expect(pdf).toContain('/Subtype /Image');
+    expect(pdf).toContain('/Title (SecurePath Safety Report)');
+  });
+
+  it('should limit the report to a jurisdiction and use its branding', async () => {
+    await request(app)
+      .put(`/api/admin/jurisdictions/${precinct._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ branding: { title: 'Ward 63 Safety Briefing', color: '#7a1f5c' } })
+      .expect(200);
+
+    const response = await exportReport({ format: 'pdf', jurisdiction: precinct._id.toString() }).expect(200);
+    expect(response.body.toString('latin1')).toContain('/Title (Ward 63 Safety Briefing)');
+
+    const json = await exportReport({ format: 'json', jurisdiction: precinct._id.toString() }).expect(200);
+    const report = JSON.parse(json.body.toString());
+    expect(report.executive_summary).toMatchObject({ total_incidents: 3, critical_incidents: 1 });
+    expect(report.detailed_analytics.stats[0].typeBreakdown).toEqual({ theft: 3 });
+    expect(report.detailed_analytics.hotspots).toHaveLength(1);
+    expect(report.raw_data).toHaveLength(3);
+  });
+
+  it('should reject unknown jurisdictions, jurisdictions outside the user\'s scope and invalid branding', async () => {
+    await exportReport({ format: 'pdf', jurisdiction: new mongoose.Types.ObjectId().toString() }).expect(404);
+    await exportReport({ format: 'pdf', jurisdiction: precinct._id.toString() }, authorityToken).expect(403);
+
+    await request(app)
+      .put(`/api/admin/jurisdictions/${precinct._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ branding: { color: 'purple' } })
+      .expect(400);
+  });
+});
@@ -0,0 +1,290 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Jurisdiction = require('../models/Jurisdiction');
+const Notification = require('../models/Notification');
+const AuthorityApplication = require('../models/AuthorityApplication');
+const AuthorityApplicationService = require('../services/authorityApplicationService');
+const { generateToken } = require('../middleware/auth');
+
+const PDF = Buffer.from('%PDF-1.4\n1 0 obj\n<< /Type /Catalog >>\nendobj\ntrailer\n<< /Root 1 0 R >>\n%%EOF\n');
+
+describe('Authority Applications', () => {
+  let documentRoot;
+  let citizen;
+  let citizenToken;
+  let otherToken;
+  let authorityToken;
+  let admin;
+  let adminToken;
+  let precinct;
+
+  const apply = (token = citizenToken, fields = {}, documents = [{ buffer: PDF, name: 'appointment-letter.pdf' }]) => {
+    const req = request(app)
+      .post('/api/auth/authority-application')
+      .set('Authorization', `Bearer ${token}`);
+    Object.entries({
+      badgeNumber: 'JHB-4471',
+      agency: 'South African Police Service',
+      jurisdictionName: 'Johannesburg Central',
+      ...fields
+    }).forEach(([key, value]) => req.field(key, value));
+    documents.forEach(({ buffer, name, type = 'application/pdf' }) => {
+      req.attach('documents', buffer, { filename: name, contentType: type });
+    });
+    return req;
+  };
+
+  beforeAll(async () => {
+    documentRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'securepath-applications-'));
+    process.env.PRIVATE_UPLOAD_PATH = documentRoot;
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/securepath-test');
+    await AuthorityApplication.syncIndexes();
+  });
+
+  afterAll(async () => {
+    delete process.env.PRIVATE_UPLOAD_PATH;
+    fs.rmSync(documentRoot, { recursive: true, force: true });
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Jurisdiction.deleteMany({});
+    await Notification.deleteMany({});
+    await AuthorityApplication.deleteMany({});
+
+    citizen = await User.create({
+      firstName: 'John',
+      lastName: 'Citizen',
+      email: 'citizen@example.com',
+      password: 'password123',
+      role: 'citizen',
+      isVerified: true
+    });
+    const other = await User.create({
+      firstName: 'Other',
+      lastName: 'Citizen',
+      email: 'other@example.com',
+      password: 'password123',
+      role: 'citizen',
+      isVerified: true
+    });
+    const authority = await User.create({
+      firstName: 'Jane',
+      lastName: 'Authority',
+      email: 'authority@example.com',
+      password: 'password123',
+      role: 'authority',
+      isVerified: true
+    });
+    admin = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin',
+      isVerified: true
+    });
+    precinct = await Jurisdiction.create({
+      name: 'Johannesburg Central',
+      boundary: {
+        type: 'Polygon',
+        coordinates: [[[28.0, -26.25], [28.1, -26.25], [28.1, -26.15], [28.0, -26.15], [28.0, -26.25]]]
+      },
+      createdBy: admin._id
+    });
+
+    citizenToken = generateToken(citizen._id);
+    otherToken = generateToken(other._id);
+    authorityToken = generateToken(authority._id);
+    adminToken = generateToken(admin._id);
+  });
+
+  describe('Registration', () => {
+    it('should register everyone as a citizen', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          firstName: 'Eve',
+          lastName: 'Example',
+          email: 'eve@example.com',
+          password: 'password123',
+          role: 'admin'
+        })
+        .expect(201);
+
+      expect(response.body.data.user.role).toBe('citizen');
+    });
+  });
+
+  describe('Applying', () => {
+    it('should store the application and its documents privately and tell reviewers', async () => {
+      const response = await apply(citizenToken, { jurisdiction: precinct._id.toString() }).expect(201);
+
+      const { application } = response.body.data;
+      expect(application).toMatchObject({
+        badgeNumber: 'JHB-4471',
+        agency: 'South African Police Service',
+        jurisdiction: precinct._id.toString(),
+        status: 'pending'
+      });
+      expect(application.documents).toHaveLength(1);
+      expect(application.documents[0].path).toBeUndefined();
+
+      const stored = await AuthorityApplication.findById(application._id).select('+documents.path');
+      expect(fs.existsSync(path.join(documentRoot, stored.documents[0].path))).toBe(true);
+
+      const reviewers = await Notification.find({ type: 'system', title: 'New authority application' });
+      expect(reviewers.map(n => n.user.toString())).toEqual([admin._id.toString()]);
+
+      const mine = await request(app)
+        .get('/api/auth/authority-application')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(200);
+      expect(mine.body.data.application._id).toBe(application._id);
+      expect(mine.body.data.jurisdictions.map(j => j.name)).toEqual(['Johannesburg Central']);
+      expect(mine.body.data.canApply).toBe(false);
+    });
+
+    it('should reject incomplete, duplicate and unnecessary applications', async () => {
+      await apply(citizenToken, {}, []).expect(400);
+      await apply(citizenToken, {}, [{ buffer: Buffer.from('not really a pdf'), name: 'fake.pdf' }]).expect(400);
+      await apply(citizenToken, {}, [{ buffer: PDF, name: 'script.sh', type: 'text/x-shellscript' }]).expect(400);
+      await apply(citizenToken, { badgeNumber: '' }).expect(400);
+
+      await apply(citizenToken).expect(201);
+      await apply(citizenToken).expect(409);
+      await apply(authorityToken).expect(409);
+    });
+
+    it('should let the applicant withdraw and apply again', async () => {
+      await apply(citizenToken).expect(201);
+
+      await request(app)
+        .delete('/api/auth/authority-application')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(200);
+      await request(app)
+        .delete('/api/auth/authority-application')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(404);
+
+      await apply(citizenToken).expect(201);
+    });
+  });
+
+  describe('Review', () => {
+    let application;
+
+    beforeEach(async () => {
+      application = (await apply(citizenToken, { jurisdiction: precinct._id.toString() })).body.data.application;
+    });
+
+    it('should list pending applications for reviewers only', async () => {
+      const queue = await request(app)
+        .get('/api/admin/authority-applications')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(queue.body.data.applications).toHaveLength(1);
+      expect(queue.body.data.applications[0].user.email).toBe('citizen@example.com');
+
+      await request(app)
+        .get('/api/admin/authority-applications')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(403);
+    });
+
+    it('should grant the authority role and record who granted it', async () => {
+      const response = await request(app)
+        .post(`/api/admin/authority-applications/${application._id}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ comment: 'Confirmed with the station commander' })
+        .expect(200);
+
+      expect(response.body.data.application).toMatchObject({
+        status: 'approved',
+        reviewComment: 'Confirmed with the station commander'
+      });
+      expect(response.body.data.application.reviewedAt).toBeDefined();
+
+      const user = await User.findById(citizen._id);
+      expect(user.role).toBe('authority');
+      expect(user.roleGrantedBy.toString()).toBe(admin._id.toString());
+      expect(user.roleGrantedAt).toBeInstanceOf(Date);
+      expect(user.jurisdictions.map(String)).toEqual([precinct._id.toString()]);
+
+      const notice = await Notification.findOne({ user: citizen._id, type: 'system' });
+      expect(notice.title).toBe('Your authority application was approved');
+
+      // The new role applies to the next request
+      await request(app)
+        .get('/api/alerts/stats')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/admin/authority-applications/${application._id}/reject`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ comment: 'Changed my mind' })
+        .expect(409);
+    });
+
+    it('should not approve an application withdrawn during review', async () => {
+      const loaded = await AuthorityApplicationService.findById(application._id);
+      await AuthorityApplicationService.withdraw(citizen._id);
+
+      await expect(AuthorityApplicationService.approve(loaded, admin)).rejects.toMatchObject({ statusCode: 409 });
+      expect((await User.findById(citizen._id)).role).toBe('citizen');
+      expect((await AuthorityApplication.findById(application._id)).status).toBe('withdrawn');
+    });
+
+    it('should reject with a reason and leave the role unchanged', async () => {
+      await request(app)
+        .post(`/api/admin/authority-applications/${application._id}/reject`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(400);
+
+      const response = await request(app)
+        .post(`/api/admin/authority-applications/${application._id}/reject`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ comment: 'Badge number does not match the appointment letter' })
+        .expect(200);
+      expect(response.body.data.application.status).toBe('rejected');
+      expect((await User.findById(citizen._id)).role).toBe('citizen');
+
+      const mine = await request(app)
+        .get('/api/auth/authority-application')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(200);
+      expect(mine.body.data.application.reviewComment).toBe('Badge number does not match the appointment letter');
+    });
+
+    it('should serve documents to the applicant and reviewers only', async () => {
+      const [document] = application.documents;
+
+      const own = await request(app)
+        .get(`/api/auth/authority-application/${application._id}/documents/${document._id}`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(200);
+      expect(own.headers['content-type']).toContain('application/pdf');
+      expect(own.headers['content-disposition']).toContain('appointment-letter.pdf');
+
+      await request(app)
+        .get(`/api/admin/authority-applications/${application._id}/documents/${document._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/auth/authority-application/${application._id}/documents/${document._id}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404);
+    });
+  });
+});
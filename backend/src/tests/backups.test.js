@@ -0,0 +1,248 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/User');
+const databaseUtils = require('../utils/databaseUtils');
+const { generateToken } = require('../middleware/auth');
+
+// The export limiter allows three requests per 250ms in tests
+const waitForLimiter = () => new Promise(resolve => setTimeout(resolve, 300));
+
+describe('Database Backups', () => {
+  let backupRoot;
+  let admin;
+  let adminToken;
+  let authorityToken;
+  let citizen;
+
+  const backup = (options = {}) => databaseUtils.createBackup({
+    includeCollections: ['users'],
+    compress: true,
+    ...options
+  });
+
+  beforeAll(() => {
+    backupRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'securepath-backups-'));
+    process.env.BACKUP_PATH = backupRoot;
+  });
+
+  afterAll(() => {
+    delete process.env.BACKUP_PATH;
+    fs.rmSync(backupRoot, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    await waitForLimiter();
+    await User.deleteMany({});
+    fs.readdirSync(backupRoot).forEach(file => {
+      fs.rmSync(path.join(backupRoot, file), { recursive: true, force: true });
+    });
+
+    citizen = await User.create({
+      firstName: 'John',
+      lastName: 'Citizen',
+      email: 'citizen@example.com',
+      password: 'password123',
+      role: 'citizen',
+      isVerified: true
+    });
+    const authority = await User.create({
+      firstName: 'Jane',
+      lastName: 'Authority',
+      email: 'authority@example.com',
+      password: 'password123',
+      role: 'authority',
+      isVerified: true
+    });
+    admin = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin',
+      isVerified: true
+    });
+
+    authorityToken = generateToken(authority._id);
+    adminToken = generateToken(admin._id);
+  });
+
+  describe('Creating backups', () => {
+    it('should list compressed backups with their metadata', async () => {
+      const full = await backup();
+      expect(full).toMatchObject({ type: 'full', totalDocuments: 3, compressed: true });
+
+      const response = await request(app)
+        .get('/api/export/backups')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.backups).toHaveLength(1);
+      expect(response.body.data.backups[0].metadata).toMatchObject({
+        type: 'full',
+        format: 'ejson',
+        collections: { users: { documents: 3 } }
+      });
+    });
+
+    it('should only back up documents updated since the previous backup', async () => {
+      const full = await backup();
+      await User.updateOne({ _id: citizen._id }, { firstName: 'Johnny' });
+
+      const incremental = await backup({ incremental: true });
+      expect(incremental).toMatchObject({
+        type: 'incremental',
+        baseBackup: full.backupName,
+        totalDocuments: 1
+      });
+
+      const response = await request(app)
+        .get(`/api/export/backups/${incremental.backupName}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(response.body.data.chain).toEqual([`${full.backupName}.tar.gz`, `${incremental.backupName}.tar.gz`]);
+    });
+  });
+
+  describe('Restoring', () => {
+    it('should report invalid and conflicting documents in a dry run without writing', async () => {
+      const full = await backup();
+      await User.deleteOne({ _id: citizen._id });
+      // Someone else registered the address in the meantime
+      await User.create({
+        firstName: 'New',
+        lastName: 'Owner',
+        email: 'citizen@example.com',
+        password: 'password123'
+      });
+
+      const response = await request(app)
+        .post(`/api/export/backups/${full.backupName}/dry-run`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ collections: ['users'] })
+        .expect(200);
+
+      const report = response.body.data.collections.users;
+      expect(report).toMatchObject({ documents: 3, valid: 3, invalid: 0, toInsert: 0, conflictCount: 3 });
+      expect(report.conflicts).toEqual(expect.arrayContaining([
+        expect.objectContaining({ _id: citizen._id.toString(), type: 'unique', field: 'email' }),
+        expect.objectContaining({ _id: admin._id.toString(), type: 'exists' })
+      ]));
+      expect(await User.countDocuments()).toBe(3);
+    });
+
+    it('should restore deleted documents and replace whole collections', async () => {
+      const full = await backup();
+      await User.deleteOne({ _id: citizen._id });
+
+      await request(app)
+        .post(`/api/export/backups/${full.backupName}/restore`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ collections: ['users'], confirm: 'securepath_backup_wrong' })
+        .expect(400);
+
+      const response = await request(app)
+        .post(`/api/export/backups/${full.backupName}/restore`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ collections: ['users'], confirm: full.backupName })
+        .expect(200);
+      expect(response.body.data.collections.users).toMatchObject({ restored: 1, conflictCount: 2 });
+
+      const restored = await User.findById(citizen._id).select('+password');
+      expect(restored.email).toBe('citizen@example.com');
+      expect(restored.createdAt).toBeInstanceOf(Date);
+      // The stored hash is restored as-is, not hashed again
+      expect(await restored.comparePassword('password123')).toBe(true);
+
+      await User.create({ firstName: 'Late', lastName: 'Comer', email: 'late@example.com', password: 'password123' });
+      const report = await databaseUtils.restoreBackup(full.backupName, {
+        collections: ['users'],
+        mode: 'replace',
+        dryRun: false
+      });
+      expect(report.collections.users).toMatchObject({ removed: 4, restored: 3 });
+      expect(await User.exists({ email: 'late@example.com' })).toBeNull();
+    });
+
+    it('should skip documents that no longer match the schema', async () => {
+      const full = await backup({ compress: false });
+      const usersFile = path.join(backupRoot, full.backupName, 'users.json');
+      const documents = JSON.parse(fs.readFileSync(usersFile, 'utf8'));
+      documents[0].role = 'superuser';
+      fs.writeFileSync(usersFile, JSON.stringify(documents));
+      await User.deleteMany({});
+
+      const report = await databaseUtils.restoreBackup(full.backupName, {
+        collections: ['users'],
+        dryRun: false
+      });
+
+      expect(report.collections.users).toMatchObject({ invalid: 1, restored: 2 });
+      expect(report.collections.users.errors[0].errors.role).toBeDefined();
+      expect(await User.countDocuments()).toBe(2);
+    });
+
+    it('should refuse to replace a collection with invalid documents unless forced', async () => {
+      const full = await backup({ compress: false });
+      const usersFile = path.join(backupRoot, full.backupName, 'users.json');
+      const documents = JSON.parse(fs.readFileSync(usersFile, 'utf8'));
+      documents[0].role = 'superuser';
+      fs.writeFileSync(usersFile, JSON.stringify(documents));
+
+      const refused = await databaseUtils.restoreBackup(full.backupName, {
+        collections: ['users'],
+        mode: 'replace',
+        dryRun: false
+      });
+      expect(refused.success).toBe(false);
+      expect(refused.collections.users).toMatchObject({ invalid: 1, toRemove: 3 });
+      expect(refused.collections.users.error).toContain('force');
+      expect(await User.countDocuments()).toBe(3);
+
+      const forced = await databaseUtils.restoreBackup(full.backupName, {
+        collections: ['users'],
+        mode: 'replace',
+        dryRun: false,
+        force: true
+      });
+      expect(forced.collections.users).toMatchObject({ removed: 3, restored: 2 });
+      expect(await User.countDocuments()).toBe(2);
+    });
+
+    it('should apply incremental backups on top of their full backup', async () => {
+      await backup();
+      await User.updateOne({ _id: citizen._id }, { firstName: 'Johnny' });
+      const incremental = await backup({ incremental: true });
+      await User.deleteMany({});
+
+      await databaseUtils.restoreBackup(incremental.backupName, { collections: ['users'], dryRun: false });
+
+      expect(await User.countDocuments()).toBe(3);
+      expect((await User.findById(citizen._id)).firstName).toBe('Johnny');
+    });
+
+    it('should limit restores to admins and listed backups', async () => {
+      const full = await backup();
+
+      await request(app)
+        .post(`/api/export/backups/${full.backupName}/restore`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ collections: ['users'], confirm: full.backupName })
+        .expect(403);
+
+      await request(app)
+        .post('/api/export/backups/securepath_backup_missing/dry-run')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(404);
+
+      await request(app)
+        .post(`/api/export/backups/${full.backupName}/dry-run`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ collections: ['incidents'] })
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,321 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Incident = require('../models/Incident');
+const Jurisdiction = require('../models/Jurisdiction');
+const IncidentComment = require('../models/IncidentComment');
+const { generateToken } = require('../middleware/auth');
+
+// Authorities can only act on incidents inside their jurisdictions
+const PRECINCT = {
+  name: 'Test Precinct',
+  boundary: {
+    type: 'Polygon',
+    coordinates: [[[-81, 40], [-73, 40], [-73, 46], [-81, 46], [-81, 40]]]
+  }
+};
+
+describe('Incident Comment Endpoints', () => {
+  let citizenUser;
+  let neighbourUser;
+  let authorityUser;
+  let citizenToken;
+  let neighbourToken;
+  let authorityToken;
+  let incident;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/securepath-test');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Incident.deleteMany({});
+    await Jurisdiction.deleteMany({});
+    const precinct = await Jurisdiction.create(PRECINCT);
+    await IncidentComment.deleteMany({});
+
+    citizenUser = await User.create({
+      firstName: 'John',
+      lastName: 'Citizen',
+      email: 'citizen@example.com',
+      password: 'password123',
+      role: 'citizen',
+      isVerified: true
+    });
+
+    neighbourUser = await User.create({
+      firstName: 'Nina',
+      lastName: 'Neighbour',
+      email: 'neighbour@example.com',
+      password: 'password123',
+      role: 'citizen',
+      isVerified: true
+    });
+
+    authorityUser = await User.create({
+      firstName: 'Jane',
+      lastName: 'Authority',
+      email: 'authority@example.com',
+      password: 'password123',
+      role: 'authority',
+      isVerified: true,
+      jurisdictions: [precinct._id]
+    });
+
+    citizenToken = generateToken(citizenUser._id);
+    neighbourToken = generateToken(neighbourUser._id);
+    authorityToken = generateToken(authorityUser._id);
+
+    incident = await Incident.create({
+      title: 'Discussed Incident',
+      description: 'Incident that neighbours are discussing',
+      type: 'theft',
+      severity: 'medium',
+      location: {
+        type: 'Point',
+        coordinates: [-74.006, 40.7128]
+      },
+      reportedBy: citizenUser._id
+    });
+  });
+
+  const postComment = (token, body) => request(app)
+    .post(`/api/incidents/${incident._id}/comments`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  describe('POST /api/incidents/:id/comments', () => {
+    it('should add a top-level comment', async () => {
+      const response = await postComment(neighbourToken, { body: 'Saw two people running towards the park' })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.comment.body).toBe('Saw two people running towards the park');
+      expect(response.body.data.comment.depth).toBe(0);
+      expect(response.body.data.comment.isAuthorityResponse).toBe(false);
+      expect(response.body.data.comment.canEdit).toBe(true);
+    });
+
+    it('should badge replies from authorities', async () => {
+      const parent = await postComment(neighbourToken, { body: 'Any update on this?' }).expect(201);
+
+      const response = await postComment(authorityToken, {
+        body: 'Officers are reviewing CCTV footage',
+        parentId: parent.body.data.comment._id
+      }).expect(201);
+
+      expect(response.body.data.comment.depth).toBe(1);
+      expect(response.body.data.comment.isAuthorityResponse).toBe(true);
+      expect(response.body.data.comment.authorRole).toBe('authority');
+    });
+
+    it('should reject replies nested beyond the maximum depth', async () => {
+      let parentId;
+      for (let depth = 0; depth <= IncidentComment.MAX_DEPTH; depth++) {
+        const response = await postComment(neighbourToken, { body: `Level ${depth}`, parentId }).expect(201);
+        parentId = response.body.data.comment._id;
+      }
+
+      const response = await postComment(neighbourToken, { body: 'Too deep', parentId }).expect(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should return 404 for a missing incident', async () => {
+      await request(app)
+        .post(`/api/incidents/${new mongoose.Types.ObjectId()}/comments`)
+        .set('Authorization', `Bearer ${neighbourToken}`)
+        .send({ body: 'Hello' })
+        .expect(404);
+    });
+
+    it('should validate the comment body', async () => {
+      await postComment(neighbourToken, { body: '' }).expect(400);
+    });
+  });
+
+  describe('GET /api/incidents/:id/comments', () => {
+    it('should return comments as a thread', async () => {
+      const parent = await postComment(neighbourToken, { body: 'First' }).expect(201);
+      await postComment(authorityToken, { body: 'Reply', parentId: parent.body.data.comment._id }).expect(201);
+      await postComment(citizenToken, { body: 'Second' }).expect(201);
+
+      const response = await request(app)
+        .get(`/api/incidents/${incident._id}/comments`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(200);
+
+      expect(response.body.data.total).toBe(3);
+      expect(response.body.data.comments).toHaveLength(2);
+      expect(response.body.data.comments[0].replies).toHaveLength(1);
+      expect(response.body.data.comments[0].replies[0].body).toBe('Reply');
+    });
+
+    it('should keep deleted comments as placeholders only while they have replies', async () => {
+      const parent = await postComment(neighbourToken, { body: 'Parent' }).expect(201);
+      const lonely = await postComment(neighbourToken, { body: 'Lonely' }).expect(201);
+      await postComment(citizenToken, { body: 'Child', parentId: parent.body.data.comment._id }).expect(201);
+
+      for (const comment of [parent, lonely]) {
+        await request(app)
+          .delete(`/api/incidents/${incident._id}/comments/${comment.body.data.comment._id}`)
+          .set('Authorization', `Bearer ${neighbourToken}`)
+          .expect(200);
+      }
+
+      const response = await request(app)
+        .get(`/api/incidents/${incident._id}/comments`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(200);
+
+      expect(response.body.data.comments).toHaveLength(1);
+      expect(response.body.data.comments[0].isDeleted).toBe(true);
+      expect(response.body.data.comments[0].body).toBeNull();
+      expect(response.body.data.comments[0].author).toBeNull();
+      expect(response.body.data.comments[0].replies[0].body).toBe('Child');
+      expect(await IncidentComment.countDocuments()).toBe(3);
+    });
+  });
+
+  describe('PUT /api/incidents/:id/comments/:commentId', () => {
+    it('should let the author edit within the edit window', async () => {
+      const created = await postComment(neighbourToken, { body: 'Typo' }).expect(201);
+
+      const response = await request(app)
+        .put(`/api/incidents/${incident._id}/comments/${created.body.data.comment._id}`)
+        .set('Authorization', `Bearer ${neighbourToken}`)
+        .send({ body: 'Fixed' })
+        .expect(200);
+
+      expect(response.body.data.comment.body).toBe('Fixed');
+      expect(response.body.data.comment.isEdited).toBe(true);
+    });
+
+    it('should reject edits after the edit window', async () => {
+      const created = await postComment(neighbourToken, { body: 'Old' }).expect(201);
+      await IncidentComment.collection.updateOne(
+        { _id: new mongoose.Types.ObjectId(created.body.data.comment._id) },
+        { $set: { createdAt: new Date(Date.now() - 60 * 60 * 1000) } }
+      );
+
+      await request(app)
+        .put(`/api/incidents/${incident._id}/comments/${created.body.data.comment._id}`)
+        .set('Authorization', `Bearer ${neighbourToken}`)
+        .send({ body: 'Too late' })
+        .expect(403);
+    });
+
+    it('should not let other users edit', async () => {
+      const created = await postComment(neighbourToken, { body: 'Mine' }).expect(201);
+
+      await request(app)
+        .put(`/api/incidents/${incident._id}/comments/${created.body.data.comment._id}`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ body: 'Not mine' })
+        .expect(403);
+    });
+  });
+
+  describe('Comments by deleted accounts', () => {
+    it('should still let others reply and moderators remove them', async () => {
+      const created = await postComment(neighbourToken, { body: 'Posted before leaving' }).expect(201);
+      const url = `/api/incidents/${incident._id}/comments/${created.body.data.comment._id}`;
+      await User.deleteOne({ _id: neighbourUser._id });
+
+      await postComment(citizenToken, { body: 'Reply', parentId: created.body.data.comment._id }).expect(201);
+      await request(app).put(url).set('Authorization', `Bearer ${citizenToken}`).send({ body: 'Edited' }).expect(403);
+      await request(app).delete(url).set('Authorization', `Bearer ${citizenToken}`).expect(403);
+      await request(app).post(`${url}/flag`).set('Authorization', `Bearer ${citizenToken}`).send({ reason: 'spam' }).expect(200);
+      await request(app)
+        .put(`${url}/moderation`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ action: 'hide' })
+        .expect(200);
+      await request(app).delete(url).set('Authorization', `Bearer ${authorityToken}`).expect(200);
+
+      expect((await IncidentComment.findById(created.body.data.comment._id)).isDeleted).toBe(true);
+    });
+  });
+
+  describe('Moderation', () => {
+    it('should queue a comment for review once it reaches the flag threshold', async () => {
+      const created = await postComment(citizenToken, { body: 'Questionable' }).expect(201);
+      const commentId = created.body.data.comment._id;
+      const flaggers = [neighbourToken, authorityToken];
+
+      for (let i = 0; i < IncidentComment.FLAG_THRESHOLD - flaggers.length; i++) {
+        const user = await User.create({
+          firstName: 'Flag',
+          lastName: `User${i}`,
+          email: `flagger${i}@example.com`,
+          password: 'password123',
+          role: 'citizen',
+          isVerified: true
+        });
+        flaggers.push(generateToken(user._id));
+      }
+
+      for (const token of flaggers) {
+        await request(app)
+          .post(`/api/incidents/${incident._id}/comments/${commentId}/flag`)
+          .set('Authorization', `Bearer ${token}`)
+          .send({ reason: 'misinformation' })
+          .expect(200);
+      }
+
+      const queue = await request(app)
+        .get('/api/incidents/comments/flagged')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(200);
+
+      expect(queue.body.data.comments).toHaveLength(1);
+      expect(queue.body.data.comments[0].flags).toHaveLength(IncidentComment.FLAG_THRESHOLD);
+    });
+
+    it('should reject duplicate and self flags', async () => {
+      const created = await postComment(citizenToken, { body: 'Spam?' }).expect(201);
+      const url = `/api/incidents/${incident._id}/comments/${created.body.data.comment._id}/flag`;
+
+      await request(app).post(url).set('Authorization', `Bearer ${citizenToken}`).send({ reason: 'spam' }).expect(400);
+      await request(app).post(url).set('Authorization', `Bearer ${neighbourToken}`).send({ reason: 'spam' }).expect(200);
+      await request(app).post(url).set('Authorization', `Bearer ${neighbourToken}`).send({ reason: 'spam' }).expect(400);
+    });
+
+    it('should let authorities hide comments from citizens', async () => {
+      const created = await postComment(neighbourToken, { body: 'Home address of suspect is...' }).expect(201);
+      const commentId = created.body.data.comment._id;
+
+      await request(app)
+        .put(`/api/incidents/${incident._id}/comments/${commentId}/moderation`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ action: 'hide' })
+        .expect(403);
+
+      await request(app)
+        .put(`/api/incidents/${incident._id}/comments/${commentId}/moderation`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ action: 'hide', note: 'Personal information' })
+        .expect(200);
+
+      const asCitizen = await request(app)
+        .get(`/api/incidents/${incident._id}/comments`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(200);
+      expect(asCitizen.body.data.comments[0].moderationStatus).toBe('hidden');
+      expect(asCitizen.body.data.comments[0].body).toBeNull();
+
+      const asAuthority = await request(app)
+        .get(`/api/incidents/${incident._id}/comments`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(200);
+      expect(asAuthority.body.data.comments[0].body).toBe('Home address of suspect is...');
+      expect(asAuthority.body.data.comments[0].moderationNote).toBe('Personal information');
+    });
+  });
+});
@@ -0,0 +1,221 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Incident = require('../models/Incident');
+const Jurisdiction = require('../models/Jurisdiction');
+const IncidentStatusHistory = require('../models/IncidentStatusHistory');
+const DuplicateDetectionService = require('../services/duplicateDetectionService');
+const { generateToken } = require('../middleware/auth');
+
+// Authorities can only act on incidents inside their jurisdictions
+const PRECINCT = {
+  name: 'Test Precinct',
+  boundary: {
+    type: 'Polygon',
+    coordinates: [[[17, -35], [30, -35], [30, -25], [17, -25], [17, -35]]]
+  }
+};
+
+describe('Duplicate Incidents', () => {
+  let citizenUser;
+  let neighbourUser;
+  let authorityUser;
+  let citizenToken;
+  let neighbourToken;
+  let authorityToken;
+  let original;
+
+  const theftReport = {
+    title: 'Silver car stolen outside the mall',
+    description: 'A silver car was stolen from the parking lot outside the mall',
+    type: 'theft',
+    severity: 'high',
+    location: { coordinates: [28.0473, -26.2041] }
+  };
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/securepath-test');
+    await Incident.syncIndexes();
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Incident.deleteMany({});
+    await Jurisdiction.deleteMany({});
+    const precinct = await Jurisdiction.create(PRECINCT);
+    await IncidentStatusHistory.collection.deleteMany({});
+
+    citizenUser = await User.create({
+      firstName: 'John',
+      lastName: 'Citizen',
+      email: 'citizen@example.com',
+      password: 'password123',
+      role: 'citizen',
+      isVerified: true
+    });
+
+    neighbourUser = await User.create({
+      firstName: 'Nia',
+      lastName: 'Neighbour',
+      email: 'neighbour@example.com',
+      password: 'password123',
+      role: 'citizen',
+      isVerified: true
+    });
+
+    authorityUser = await User.create({
+      firstName: 'Jane',
+      lastName: 'Authority',
+      email: 'authority@example.com',
+      password: 'password123',
+      role: 'authority',
+      isVerified: true,
+      jurisdictions: [precinct._id]
+    });
+
+    citizenToken = generateToken(citizenUser._id);
+    neighbourToken = generateToken(neighbourUser._id);
+    authorityToken = generateToken(authorityUser._id);
+
+    original = await Incident.create({
+      ...theftReport,
+      location: { type: 'Point', coordinates: theftReport.location.coordinates },
+      reportedBy: citizenUser._id
+    });
+  });
+
+  describe('POST /api/incidents', () => {
+    it('should return likely duplicates to the reporter', async () => {
+      const response = await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${neighbourToken}`)
+        .send({
+          ...theftReport,
+          title: 'Stolen car at the mall parking',
+          description: 'Someone stole a silver car in the mall parking lot',
+          location: { coordinates: [28.048, -26.2045] }
+        })
+        .expect(201);
+
+      const { possibleDuplicates } = response.body.data;
+      expect(possibleDuplicates).toHaveLength(1);
+      expect(possibleDuplicates[0].incident._id).toBe(original._id.toString());
+      expect(possibleDuplicates[0].sameType).toBe(true);
+      expect(possibleDuplicates[0].score).toBeGreaterThanOrEqual(DuplicateDetectionService.getConfig().threshold);
+      expect(possibleDuplicates[0].incident.description).toBeUndefined();
+    });
+
+    it('should not flag unrelated incidents nearby', async () => {
+      const response = await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${neighbourToken}`)
+        .send({
+          title: 'Pothole on the main road',
+          description: 'Large pothole causing damage to passing vehicles',
+          type: 'road_hazard',
+          location: { coordinates: [28.048, -26.2045] }
+        })
+        .expect(201);
+
+      expect(response.body.data.possibleDuplicates).toEqual([]);
+    });
+
+    it('should ignore matching reports far away', async () => {
+      const response = await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${neighbourToken}`)
+        .send({ ...theftReport, location: { coordinates: [28.1881, -25.7479] } })
+        .expect(201);
+
+      expect(response.body.data.possibleDuplicates).toEqual([]);
+    });
+  });
+
+  describe('POST /api/incidents/:id/merge', () => {
+    let duplicate;
+
+    beforeEach(async () => {
+      duplicate = await Incident.create({
+        ...theftReport,
+        location: { type: 'Point', coordinates: [28.048, -26.2045] },
+        reportedBy: neighbourUser._id,
+        images: [{ url: '/uploads/incidents/example/photo.jpg', caption: 'Parking lot' }],
+        communityVotes: [{ user: authorityUser._id, vote: 'confirm' }],
+        analytics: { views: 7, engagements: 3, shares: 1 }
+      });
+      original.analytics.views = 2;
+      await original.save();
+    });
+
+    it('should fold a duplicate into the canonical incident', async () => {
+      const response = await request(app)
+        .post(`/api/incidents/${original._id}/merge`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ duplicateIds: [duplicate._id.toString()] })
+        .expect(200);
+
+      expect(response.body.data.merged).toEqual([duplicate._id.toString()]);
+
+      const canonical = await Incident.findById(original._id);
+      expect(canonical.relatedIncidents.map(String)).toContain(duplicate._id.toString());
+      expect(canonical.images).toHaveLength(1);
+      expect(canonical.communityVotes).toHaveLength(1);
+      expect(canonical.verificationScore).toBe(100);
+      expect(canonical.analytics.views).toBe(9);
+      expect(canonical.analytics.engagements).toBe(3);
+      expect(canonical.witnesses.map(witness => witness.user.toString())).toEqual([neighbourUser._id.toString()]);
+
+      const merged = await Incident.findById(duplicate._id);
+      expect(merged.mergedInto.toString()).toBe(original._id.toString());
+      expect(merged.isActive).toBe(false);
+      expect(merged.status).toBe('closed');
+
+      const history = await IncidentStatusHistory.find({ incident: duplicate._id });
+      expect(history).toHaveLength(1);
+      expect(history[0].toStatus).toBe('closed');
+    });
+
+    it('should reject merging twice', async () => {
+      await request(app)
+        .post(`/api/incidents/${original._id}/merge`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ duplicateIds: [duplicate._id.toString()] })
+        .expect(200);
+
+      await request(app)
+        .post(`/api/incidents/${original._id}/merge`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ duplicateIds: [duplicate._id.toString()] })
+        .expect(409);
+    });
+
+    it('should reject merging an incident into itself', async () => {
+      await request(app)
+        .post(`/api/incidents/${original._id}/merge`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ duplicateIds: [original._id.toString()] })
+        .expect(400);
+    });
+
+    it('should only allow authorities to merge', async () => {
+      await request(app)
+        .post(`/api/incidents/${original._id}/merge`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ duplicateIds: [duplicate._id.toString()] })
+        .expect(403);
+    });
+  });
+
+  describe('DuplicateDetectionService', () => {
+    it('should ignore stop words when comparing text', () => {
+      expect(DuplicateDetectionService.textSimilarity('the car and the mall', 'car at mall')).toBe(1);
+      expect(DuplicateDetectionService.textSimilarity('fire', '')).toBe(0);
+    });
+  });
+});
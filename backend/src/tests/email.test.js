@@ -0,0 +1,261 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Alert = require('../models/Alert');
+const Incident = require('../models/Incident');
+const Notification = require('../models/Notification');
+const MailService = require('../services/mailService');
+const DigestService = require('../services/digestService');
+const AlertDeliveryService = require('../services/alertDeliveryService');
+const { generateToken } = require('../middleware/auth');
+
+const HOME = [28.0473, -26.2041];
+const NEAR_HOME = [28.05, -26.205];
+const PRETORIA = [28.1881, -25.7479];
+
+describe('Email Notifications', () => {
+  let mailDir;
+  let citizen;
+
+  // Raw .eml files with quoted-printable soft breaks and '=' escapes undone
+  const sentMail = () => (fs.existsSync(mailDir)
+    ? fs.readdirSync(mailDir).sort().map(file => fs.readFileSync(path.join(mailDir, file), 'utf8')
+      .replace(/=\r?\n/g, '')
+      .replace(/=3D/g, '='))
+    : []);
+
+  const createUser = (email, fields = {}) => User.create({
+    firstName: 'Test',
+    lastName: 'User',
+    email,
+    password: 'password123',
+    role: 'citizen',
+    isVerified: true,
+    location: { type: 'Point', coordinates: HOME },
+    ...fields
+  });
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/securepath-test');
+    await User.syncIndexes();
+    await Incident.syncIndexes();
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Alert.deleteMany({});
+    await Incident.deleteMany({});
+    await Notification.deleteMany({});
+
+    mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'securepath-mail-'));
+    process.env.MAIL_TRANSPORT = 'file';
+    process.env.MAIL_FILE_DIR = mailDir;
+    process.env.APP_URL = 'https://securepath.example';
+    MailService.resetTransport();
+
+    citizen = await createUser('citizen@example.com');
+  });
+
+  afterEach(() => {
+    delete process.env.MAIL_TRANSPORT;
+    delete process.env.MAIL_FILE_DIR;
+    delete process.env.APP_URL;
+    MailService.resetTransport();
+    fs.rmSync(mailDir, { recursive: true, force: true });
+  });
+
+  describe('MailService', () => {
+    it('should not send anything when email is disabled', async () => {
+      delete process.env.MAIL_TRANSPORT;
+
+      const result = await MailService.send({
+        to: 'citizen@example.com',
+        template: 'verifyEmail',
+        data: { firstName: 'Test', link: 'https://securepath.example/verify-email' }
+      });
+
+      expect(result.sent).toBe(false);
+      expect(sentMail()).toHaveLength(0);
+    });
+
+    it('should reject unknown templates', async () => {
+      await expect(MailService.send({ to: 'citizen@example.com', template: 'nope' }))
+        .rejects.toThrow('Unknown email template');
+    });
+  });
+
+  describe('Account emails', () => {
+    it('should email a password reset link', async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'citizen@example.com' })
+        .expect(200);
+
+      const mail = sentMail();
+      expect(mail).toHaveLength(1);
+      expect(mail[0]).toContain('To: citizen@example.com');
+      expect(mail[0]).toContain('Subject: Reset your SecurePath password');
+      expect(mail[0]).toContain('https://securepath.example/reset-password?token=');
+    });
+
+    it('should email a verification link on registration', async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({
+          firstName: 'New',
+          lastName: 'User',
+          email: 'new@example.com',
+          password: 'Password123!'
+        })
+        .expect(201);
+
+      const mail = sentMail();
+      expect(mail).toHaveLength(1);
+      expect(mail[0]).toContain('To: new@example.com');
+      expect(mail[0]).toContain('https://securepath.example/verify-email?token=');
+    });
+  });
+
+  describe('Urgent alerts', () => {
+    let authorityToken;
+
+    const sendAlert = (priority, fields = {}) => request(app)
+      .post('/api/alerts')
+      .set('Authorization', `Bearer ${authorityToken}`)
+      .send({
+        title: 'Flooding on the M1',
+        message: 'Avoid the M1 between Empire and Booysens.',
+        type: 'emergency_alert',
+        priority,
+        targetAudience: 'specific_area',
+        location: { coordinates: HOME, radius: 5 },
+        ...fields
+      })
+      .expect(201);
+
+    beforeEach(async () => {
+      const authority = await createUser('authority@example.com', {
+        role: 'authority',
+        location: { type: 'Point', coordinates: PRETORIA }
+      });
+      authorityToken = generateToken(authority._id);
+      global.getConnectedUsers = () => [];
+      global.broadcastToUsers = jest.fn();
+    });
+
+    afterEach(() => {
+      delete global.getConnectedUsers;
+      delete global.broadcastToUsers;
+    });
+
+    it('should email recipients of urgent alerts who allow email', async () => {
+      const optedOut = await createUser('quiet@example.com', {
+        preferences: { notifications: { email: false } }
+      });
+
+      const response = await sendAlert('urgent');
+      expect(response.body.data.delivery.emailQueued).toBe(2);
+      await AlertDeliveryService.drain();
+
+      const alertId = response.body.data.alert._id;
+      const alert = await Alert.findById(alertId);
+      expect(alert.deliveryStatus.filter(entry => entry.deliveryMethod === 'email')).toHaveLength(0);
+
+      const emailed = await Notification.findOne({ alert: alertId, user: citizen._id });
+      expect(emailed.email).toMatchObject({ status: 'sent' });
+      expect(emailed.email.providerMessageId).toBeTruthy();
+      const skipped = await Notification.findOne({ alert: alertId, user: optedOut._id });
+      expect(skipped.email.status).toBeUndefined();
+
+      const mail = sentMail();
+      expect(mail).toHaveLength(1);
+      expect(mail[0]).toContain('Subject: [URGENT] Flooding on the M1');
+    });
+
+    it('should email everyone about critical alerts to all users in batches', async () => {
+      const faraway = await createUser('faraway@example.com', {
+        location: { type: 'Point', coordinates: PRETORIA }
+      });
+      await createUser('quiet@example.com', { preferences: { notifications: { email: false } } });
+      const sendEmailBatch = jest.spyOn(AlertDeliveryService, 'sendEmailBatch');
+
+      const response = await sendAlert('critical', { targetAudience: 'all' });
+      expect(response.body.data.delivery).toMatchObject({ mode: 'broadcast', emailQueued: 3 });
+      await AlertDeliveryService.drain();
+
+      const alert = await Alert.findById(response.body.data.alert._id);
+      expect(alert.deliveryStatus).toHaveLength(0);
+      const emailed = await Notification.find({ alert: alert._id, 'email.status': 'sent' }).distinct('user');
+      expect(emailed.map(String).sort()).toEqual([citizen._id.toString(), faraway._id.toString()].sort());
+      expect(sendEmailBatch).toHaveBeenCalledTimes(1);
+
+      const mail = sentMail();
+      expect(mail).toHaveLength(2);
+      expect(mail[0]).toContain('Subject: [CRITICAL] Flooding on the M1');
+
+      // Delivering again does not email anyone twice
+      await AlertDeliveryService.sendEmails(alert);
+      expect(sentMail()).toHaveLength(2);
+    });
+
+    it('should not email lower priority alerts', async () => {
+      const response = await sendAlert('medium');
+
+      expect(response.body.data.delivery.emailQueued).toBeUndefined();
+      expect(sentMail()).toHaveLength(0);
+    });
+  });
+
+  describe('Incident digests', () => {
+    const reportIncident = (coordinates, fields = {}) => Incident.create({
+      title: 'Car break-in',
+      description: 'Window smashed and bag taken from the back seat',
+      type: 'theft',
+      severity: 'medium',
+      location: { type: 'Point', coordinates },
+      reportedBy: citizen._id,
+      ...fields
+    });
+
+    it('should email nearby incidents once per period', async () => {
+      await User.updateOne({ _id: citizen._id }, { 'preferences.digest': 'daily' });
+      await reportIncident(NEAR_HOME);
+      await reportIncident(PRETORIA, { title: 'Far away' });
+
+      const first = await DigestService.sendDueDigests();
+      expect(first).toEqual({ checked: 1, sent: 1 });
+
+      const mail = sentMail();
+      expect(mail).toHaveLength(1);
+      expect(mail[0]).toContain('Subject: 1 incident near you today');
+      expect(mail[0]).toContain('Car break-in');
+      expect(mail[0]).not.toContain('Far away');
+
+      // Not due again until a day has passed
+      expect(await DigestService.sendDueDigests()).toEqual({ checked: 0, sent: 0 });
+
+      const tomorrow = new Date(Date.now() + DigestService.PERIOD_MS.daily + 1000);
+      expect(await DigestService.sendDueDigests(tomorrow)).toEqual({ checked: 1, sent: 0 });
+      expect(sentMail()).toHaveLength(1);
+    });
+
+    it('should skip users who have not opted in', async () => {
+      await createUser('quiet@example.com', {
+        preferences: { digest: 'weekly', notifications: { email: false } }
+      });
+      await reportIncident(NEAR_HOME);
+
+      expect(await DigestService.sendDueDigests()).toEqual({ checked: 0, sent: 0 });
+      expect(sentMail()).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,298 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const app = require('../app');
+const User = require('../models/User');
+const Incident = require('../models/Incident');
+const Jurisdiction = require('../models/Jurisdiction');
+const Evidence = require('../models/Evidence');
+const Setting = require('../models/Setting');
+const EvidenceService = require('../services/evidenceService');
+const PermissionService = require('../services/permissionService');
+const { generateToken } = require('../middleware/auth');
+
+// Authorities can only act on incidents inside their jurisdictions
+const PRECINCT = {
+  name: 'Test Precinct',
+  boundary: {
+    type: 'Polygon',
+    coordinates: [[[17, -35], [30, -35], [30, -25], [17, -25], [17, -35]]]
+  }
+};
+
+// A JPEG taken near Johannesburg (26.2S, 28.0333E)
+const createPhoto = (background = '#cc3333') => sharp({
+  create: { width: 640, height: 480, channels: 3, background }
+})
+  .jpeg()
+  .withExif({
+    IFD2: { DateTimeOriginal: '2026:03:14 18:30:00' },
+    IFD3: {
+      GPSLatitudeRef: 'S',
+      GPSLatitude: '26/1 12/1 0/1',
+      GPSLongitudeRef: 'E',
+      GPSLongitude: '28/1 2/1 0/1'
+    }
+  })
+  .toBuffer();
+
+describe('Incident Evidence Endpoints', () => {
+  let uploadRoot;
+  let citizenUser;
+  let strangerUser;
+  let citizenToken;
+  let strangerToken;
+  let authorityUser;
+  let authorityToken;
+  let incident;
+
+  beforeAll(async () => {
+    uploadRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'securepath-evidence-'));
+    process.env.UPLOAD_PATH = uploadRoot;
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/securepath-test');
+  });
+
+  afterAll(async () => {
+    delete process.env.UPLOAD_PATH;
+    fs.rmSync(uploadRoot, { recursive: true, force: true });
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Incident.deleteMany({});
+    await Jurisdiction.deleteMany({});
+    const precinct = await Jurisdiction.create(PRECINCT);
+    await Evidence.deleteMany({});
+    await Setting.deleteMany({});
+    PermissionService.clearCache();
+    delete process.env.EVIDENCE_DAILY_FILE_LIMIT;
+
+    citizenUser = await User.create({
+      firstName: 'John',
+      lastName: 'Citizen',
+      email: 'citizen@example.com',
+      password: 'password123',
+      role: 'citizen',
+      isVerified: true
+    });
+
+    strangerUser = await User.create({
+      firstName: 'Sam',
+      lastName: 'Stranger',
+      email: 'stranger@example.com',
+      password: 'password123',
+      role: 'citizen',
+      isVerified: true
+    });
+
+    authorityUser = await User.create({
+      firstName: 'Jane',
+      lastName: 'Authority',
+      email: 'authority@example.com',
+      password: 'password123',
+      role: 'authority',
+      isVerified: true,
+      jurisdictions: [precinct._id]
+    });
+
+    citizenToken = generateToken(citizenUser._id);
+    strangerToken = generateToken(strangerUser._id);
+    authorityToken = generateToken(authorityUser._id);
+
+    incident = await Incident.create({
+      title: 'Smash and grab',
+      description: 'Car window broken at the intersection',
+      type: 'theft',
+      severity: 'medium',
+      location: {
+        type: 'Point',
+        coordinates: [28.0473, -26.2041]
+      },
+      reportedBy: citizenUser._id
+    });
+  });
+
+  const upload = (token, files, incidentId = incident._id) => {
+    const req = request(app)
+      .post(`/api/incidents/${incidentId}/evidence`)
+      .set('Authorization', `Bearer ${token}`);
+    files.forEach(({ buffer, name, type = 'image/jpeg' }) => {
+      req.attach('files', buffer, { filename: name, contentType: type });
+    });
+    return req;
+  };
+
+  describe('POST /api/incidents/:id/evidence', () => {
+    it('should store a sanitized image with a thumbnail', async () => {
+      const photo = await createPhoto();
+
+      const response = await upload(citizenToken, [{ buffer: photo, name: 'window.jpg' }]).expect(201);
+
+      const [evidence] = response.body.data.evidence;
+      expect(evidence.url).toMatch(/^\/uploads\/incidents\/.+\.jpg$/);
+      expect(evidence.thumbnailUrl).toMatch(/\.webp$/);
+      expect(evidence.width).toBe(640);
+      expect(evidence.contentHash).toBeUndefined();
+
+      const stored = fs.readFileSync(path.join(uploadRoot, EvidenceService.toRelativePath(evidence.url)));
+      const exif = await EvidenceService.readExif(stored);
+      expect(exif.location).toBeNull();
+
+      const updated = await Incident.findById(incident._id);
+      expect(updated.images).toHaveLength(1);
+      expect(updated.images[0].url).toBe(evidence.url);
+    });
+
+    it('should suggest the EXIF location to the reporter', async () => {
+      const photo = await createPhoto();
+
+      const response = await upload(citizenToken, [{ buffer: photo, name: 'window.jpg' }]).expect(201);
+
+      const suggestion = response.body.data.locationSuggestion;
+      expect(suggestion.coordinates[1]).toBeCloseTo(-26.2, 3);
+      expect(suggestion.coordinates[0]).toBeCloseTo(28.0333, 3);
+      expect(suggestion.distanceMeters).toBeGreaterThan(0);
+      expect(response.body.data.evidence[0].capturedAt).toBeDefined();
+    });
+
+    it('should reject the same file twice on one incident', async () => {
+      const photo = await createPhoto();
+      await upload(citizenToken, [{ buffer: photo, name: 'window.jpg' }]).expect(201);
+
+      const response = await upload(citizenToken, [{ buffer: photo, name: 'copy.jpg' }]).expect(409);
+
+      expect(response.body.data.rejected[0].file).toBe('copy.jpg');
+      expect(await Evidence.countDocuments()).toBe(1);
+    });
+
+    it('should flag evidence already submitted for another incident', async () => {
+      const photo = await createPhoto();
+      const other = await Incident.create({
+        title: 'Earlier report',
+        description: 'Possibly the same event',
+        type: 'theft',
+        severity: 'low',
+        location: { type: 'Point', coordinates: [28.05, -26.2] },
+        reportedBy: citizenUser._id
+      });
+      await upload(citizenToken, [{ buffer: photo, name: 'first.jpg' }], other._id).expect(201);
+
+      const response = await upload(authorityToken, [{ buffer: photo, name: 'second.jpg' }]).expect(201);
+
+      expect(response.body.data.duplicates).toHaveLength(1);
+      expect(response.body.data.duplicates[0].matchesIncident).toBe(other._id.toString());
+    });
+
+    it('should reject files that are not images', async () => {
+      const response = await upload(citizenToken, [{ buffer: Buffer.from('not really a jpeg'), name: 'fake.jpg' }])
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should reject disallowed MIME types', async () => {
+      await upload(citizenToken, [{ buffer: Buffer.from('%PDF-1.4'), name: 'doc.pdf', type: 'application/pdf' }])
+        .expect(400);
+    });
+
+    it('should only accept evidence from the reporter, witnesses and authorities', async () => {
+      const photo = await createPhoto();
+
+      await upload(strangerToken, [{ buffer: photo, name: 'window.jpg' }]).expect(403);
+
+      await Incident.updateOne({ _id: incident._id }, { $push: { witnesses: { user: strangerUser._id } } });
+      await upload(strangerToken, [{ buffer: photo, name: 'window.jpg' }]).expect(201);
+    });
+
+    it('should enforce the daily upload limit', async () => {
+      process.env.EVIDENCE_DAILY_FILE_LIMIT = '1';
+      await upload(citizenToken, [{ buffer: await createPhoto('#111111'), name: 'a.jpg' }]).expect(201);
+
+      await upload(citizenToken, [{ buffer: await createPhoto('#222222'), name: 'b.jpg' }]).expect(429);
+    });
+  });
+
+  describe('DELETE /api/incidents/:id/evidence/:evidenceId', () => {
+    it('should remove the record, files and incident image entry', async () => {
+      const created = await upload(citizenToken, [{ buffer: await createPhoto(), name: 'window.jpg' }]).expect(201);
+      const evidence = created.body.data.evidence[0];
+
+      await request(app)
+        .delete(`/api/incidents/${incident._id}/evidence/${evidence._id}`)
+        .set('Authorization', `Bearer ${strangerToken}`)
+        .expect(403);
+
+      await request(app)
+        .delete(`/api/incidents/${incident._id}/evidence/${evidence._id}`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(200);
+
+      expect(await Evidence.countDocuments()).toBe(0);
+      expect(fs.existsSync(path.join(uploadRoot, EvidenceService.toRelativePath(evidence.url)))).toBe(false);
+      expect((await Incident.findById(incident._id)).images).toHaveLength(0);
+    });
+
+    it('should only let evidence managers delete evidence inside their jurisdictions', async () => {
+      const created = await upload(citizenToken, [{ buffer: await createPhoto(), name: 'window.jpg' }]).expect(201);
+      const evidence = created.body.data.evidence[0];
+      const permissions = [...PermissionService.DEFAULT_ROLE_PERMISSIONS.authority, 'evidence:manage'];
+      await PermissionService.update('authority', permissions, authorityUser._id);
+      const elsewhere = await Jurisdiction.create({
+        name: 'Elsewhere',
+        boundary: {
+          type: 'Polygon',
+          coordinates: [[[-81, 40], [-73, 40], [-73, 46], [-81, 46], [-81, 40]]]
+        }
+      });
+      await User.updateOne({ _id: authorityUser._id }, { jurisdictions: [elsewhere._id] });
+
+      const remove = () => request(app)
+        .delete(`/api/incidents/${incident._id}/evidence/${evidence._id}`)
+        .set('Authorization', `Bearer ${authorityToken}`);
+
+      await remove().expect(403);
+      await User.updateOne({ _id: authorityUser._id }, { jurisdictions: [] });
+      await remove().expect(403);
+      expect(await Evidence.countDocuments()).toBe(1);
+
+      const precinct = await Jurisdiction.findOne({ name: PRECINCT.name });
+      await User.updateOne({ _id: authorityUser._id }, { jurisdictions: [precinct._id] });
+      await remove().expect(200);
+    });
+
+    it('should return 404 for malformed ids', async () => {
+      const created = await upload(citizenToken, [{ buffer: await createPhoto(), name: 'window.jpg' }]).expect(201);
+      const evidence = created.body.data.evidence[0];
+
+      await request(app)
+        .delete(`/api/incidents/not-an-id/evidence/${evidence._id}`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(404);
+
+      await request(app)
+        .delete(`/api/incidents/${incident._id}/evidence/not-an-id`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/incidents/evidence/usage', () => {
+    it('should report storage used against the quota', async () => {
+      await upload(citizenToken, [{ buffer: await createPhoto(), name: 'window.jpg' }]).expect(201);
+
+      const response = await request(app)
+        .get('/api/incidents/evidence/usage')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(200);
+
+      expect(response.body.data.filesToday).toBe(1);
+      expect(response.body.data.bytesUsed).toBeGreaterThan(0);
+      expect(response.body.data.maxBytes).toBe(100 * 1024 * 1024);
+    });
+  });
+});
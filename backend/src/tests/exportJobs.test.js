@@ -0,0 +1,287 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/User');
+const Incident = require('../models/Incident');
+const Alert = require('../models/Alert');
+const Setting = require('../models/Setting');
+const ExportJob = require('../models/ExportJob');
+const ExportJobService = require('../services/exportJobService');
+const PermissionService = require('../services/permissionService');
+const { generateToken } = require('../middleware/auth');
+
+// The export limiter allows three requests per 250ms in tests
+const waitForLimiter = () => new Promise(resolve => setTimeout(resolve, 300));
+
+describe('Streaming Exports and Export Jobs', () => {
+  let exportRoot;
+  let citizenToken;
+  let authority;
+  let authorityToken;
+  let adminToken;
+
+  const waitForJob = async (id, token = authorityToken) => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const response = await request(app)
+        .get(`/api/export/jobs/${id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      if (['completed', 'failed'].includes(response.body.data.job.status)) {
+        return response.body.data.job;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error('Export job did not finish');
+  };
+
+  beforeAll(() => {
+    exportRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'securepath-exports-'));
+    process.env.EXPORT_PATH = exportRoot;
+  });
+
+  afterAll(() => {
+    delete process.env.EXPORT_PATH;
+    fs.rmSync(exportRoot, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    await waitForLimiter();
+    await User.deleteMany({});
+    await Incident.deleteMany({});
+    await Alert.deleteMany({});
+    await ExportJob.deleteMany({});
+    await Setting.deleteMany({});
+    PermissionService.clearCache();
+
+    const citizen = await User.create({
+      firstName: 'John',
+      lastName: 'Citizen',
+      email: 'citizen@example.com',
+      password: 'password123',
+      role: 'citizen',
+      isVerified: true
+    });
+    authority = await User.create({
+      firstName: 'Jane',
+      lastName: 'Authority',
+      email: 'authority@example.com',
+      password: 'password123',
+      role: 'authority',
+      isVerified: true
+    });
+    const admin = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin',
+      isVerified: true
+    });
+
+    citizenToken = generateToken(citizen._id);
+    authorityToken = generateToken(authority._id);
+    adminToken = generateToken(admin._id);
+
+    await Incident.create(Array.from({ length: 3 }, (_, index) => ({
+      title: `Streamed incident ${index + 1}`,
+      description: index === 0 ? 'Broken window, "again"\nsecond line' : 'Streamed for export testing',
+      type: 'theft',
+      severity: 'medium',
+      location: {
+        type: 'Point',
+        coordinates: [28.0473, -26.2041],
+        address: { city: 'Johannesburg' }
+      },
+      reportedBy: citizen._id
+    })));
+  });
+
+  describe('Streaming', () => {
+    it('should stream CSV with quoted values and gzip when accepted', async () => {
+      const response = await request(app)
+        .get('/api/export/incidents')
+        .query({ format: 'csv' })
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .set('Accept-Encoding', 'gzip')
+        .expect(200);
+
+      expect(response.headers['content-encoding']).toBe('gzip');
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.text).toContain('"Broken window, ""again""\nsecond line"');
+      expect(response.text.trim().split('\n')).toHaveLength(5);
+    });
+
+    it('should stream JSON uncompressed to clients without gzip', async () => {
+      const response = await request(app)
+        .get('/api/export/incidents')
+        .query({ format: 'json' })
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .set('Accept-Encoding', 'identity')
+        .expect(200);
+
+      expect(response.headers['content-encoding']).toBeUndefined();
+      expect(JSON.parse(response.text).data).toHaveLength(3);
+    });
+
+    it('should reject invalid filters before streaming', async () => {
+      await request(app)
+        .get('/api/export/incidents')
+        .query({ format: 'csv', lat: -26.2, lng: 28.04, radius: -1 })
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(400);
+    });
+
+    it('should only export unpublished alerts to users who approve alerts', async () => {
+      await Alert.create(['published', 'pending_approval', 'draft'].map(status => ({
+        title: `Alert ${status}`,
+        message: 'Exported alert',
+        type: 'safety_warning',
+        status,
+        createdBy: authority._id
+      })));
+      const titles = response => JSON.parse(response.text).data.map(alert => alert.title).sort();
+
+      const authorityExport = await request(app)
+        .get('/api/export/alerts')
+        .query({ format: 'json' })
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .set('Accept-Encoding', 'identity')
+        .expect(200);
+      expect(titles(authorityExport)).toEqual(['Alert published']);
+
+      const adminExport = await request(app)
+        .get('/api/export/alerts')
+        .query({ format: 'json' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Accept-Encoding', 'identity')
+        .expect(200);
+      expect(titles(adminExport)).toEqual(['Alert draft', 'Alert pending_approval', 'Alert published']);
+
+      const created = await ExportJobService.create(authority, { type: 'alerts', format: 'json' });
+      expect(await waitForJob(created._id)).toMatchObject({ status: 'completed', rowCount: 1 });
+    });
+  });
+
+  describe('Jobs', () => {
+    it('should run a queued export and serve the file to its owner', async () => {
+      const created = await request(app)
+        .post('/api/export/jobs')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ type: 'incidents', format: 'csv', filters: { type: 'theft' } })
+        .expect(202);
+      expect(created.body.data.job.status).toBe('queued');
+
+      const job = await waitForJob(created.body.data.job._id);
+      expect(job).toMatchObject({ status: 'completed', rowCount: 3 });
+      expect(job.path).toBeUndefined();
+
+      const download = await request(app)
+        .get(`/api/export/jobs/${job._id}/download`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .set('Accept-Encoding', 'identity')
+        .expect(200);
+      expect(download.headers['content-disposition']).toContain('incidents_export_');
+      expect(download.text).toContain('Streamed incident 3');
+
+      const list = await request(app)
+        .get('/api/export/jobs')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(200);
+      expect(list.body.data.jobs.map(item => item._id)).toEqual([job._id]);
+
+      // Other users cannot see it
+      await request(app)
+        .get(`/api/export/jobs/${job._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+
+      await request(app)
+        .delete(`/api/export/jobs/${job._id}`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(200);
+      expect(fs.readdirSync(exportRoot)).toEqual([]);
+    });
+
+    it('should check the export permission of the requested type', async () => {
+      await request(app)
+        .post('/api/export/jobs')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ type: 'incidents' })
+        .expect(403);
+
+      await request(app)
+        .post('/api/export/jobs')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ type: 'users' })
+        .expect(403);
+
+      await request(app)
+        .post('/api/export/jobs')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ type: 'evidence' })
+        .expect(400);
+    });
+
+    it('should only download completed exports', async () => {
+      const job = await ExportJob.create({ user: authority._id, type: 'incidents', status: 'failed', error: 'boom' });
+
+      await request(app)
+        .get(`/api/export/jobs/${job._id}/download`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(409);
+    });
+
+    it('should stop serving exports once the permission is revoked', async () => {
+      const created = await ExportJobService.create(authority, { type: 'incidents', format: 'csv' });
+      const job = await waitForJob(created._id);
+
+      await request(app)
+        .put('/api/admin/permissions/authority')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ permissions: PermissionService.DEFAULT_ROLE_PERMISSIONS.authority.filter(p => p !== 'export:incidents') })
+        .expect(200);
+
+      const denied = await request(app)
+        .get(`/api/export/jobs/${job._id}/download`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(403);
+      expect(denied.body.message).toContain('export:incidents');
+    });
+
+    it('should fail exports interrupted by a restart and remove their partial files', async () => {
+      const job = await ExportJob.create({
+        user: authority._id,
+        type: 'incidents',
+        status: 'running',
+        path: 'partial.csv.gz',
+        startedAt: new Date()
+      });
+      fs.writeFileSync(path.join(exportRoot, 'partial.csv.gz'), 'partial');
+
+      expect(await ExportJobService.failInterrupted()).toBe(1);
+
+      const failed = await ExportJob.findById(job._id).select('+path');
+      expect(failed).toMatchObject({ status: 'failed', error: 'Interrupted by a server restart' });
+      expect(failed.path).toBeUndefined();
+      expect(failed.expiresAt.getTime()).toBeGreaterThan(Date.now());
+      expect(fs.readdirSync(exportRoot)).toEqual([]);
+
+      expect(await ExportJobService.purgeExpired(new Date(failed.expiresAt.getTime() + 1))).toBe(1);
+      expect(await ExportJob.countDocuments()).toBe(0);
+    });
+
+    it('should purge expired exports and their files', async () => {
+      const created = await ExportJobService.create(authority, { type: 'alerts', format: 'json' });
+      const job = await waitForJob(created._id);
+      expect(fs.readdirSync(exportRoot)).toHaveLength(1);
+
+      const purged = await ExportJobService.purgeExpired(new Date(new Date(job.expiresAt).getTime() + 1));
+
+      expect(purged).toBe(1);
+      expect(await ExportJob.countDocuments()).toBe(0);
+      expect(fs.readdirSync(exportRoot)).toEqual([]);
+    });
+  });
+});
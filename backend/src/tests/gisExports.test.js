@@ -0,0 +1,218 @@
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/User');
+const Incident = require('../models/Incident');
+const Alert = require('../models/Alert');
+const { routeToGpx } = require('../utils/gisFormats');
+const { generateToken } = require('../middleware/auth');
+
+// The export limiter allows three requests per 250ms in tests
+const waitForLimiter = () => new Promise(resolve => setTimeout(resolve, 300));
+
+// Johannesburg CBD and Pretoria
+const JOHANNESBURG = [28.0473, -26.2041];
+const PRETORIA = [28.2293, -25.7479];
+const JOHANNESBURG_BBOX = '27.9,-26.3,28.2,-26.1';
+
+describe('GIS Exports', () => {
+  let authorityToken;
+
+  beforeEach(async () => {
+    await waitForLimiter();
+    await User.deleteMany({});
+    await Incident.deleteMany({});
+    await Alert.deleteMany({});
+
+    const citizen = await User.create({
+      firstName: 'John',
+      lastName: 'Citizen',
+      email: 'citizen@example.com',
+      password: 'password123',
+      role: 'citizen',
+      isVerified: true
+    });
+    const authority = await User.create({
+      firstName: 'Jane',
+      lastName: 'Authority',
+      email: 'authority@example.com',
+      password: 'password123',
+      role: 'authority',
+      isVerified: true
+    });
+    authorityToken = generateToken(authority._id);
+
+    await Incident.create([
+      {
+        title: 'Smash & grab on Main Street',
+        description: 'Window broken at the <traffic lights>',
+        type: 'theft',
+        severity: 'high',
+        location: { type: 'Point', coordinates: JOHANNESBURG, address: { city: 'Johannesburg' } },
+        reportedBy: citizen._id
+      },
+      {
+        title: 'Burst water main',
+        description: 'Road flooded near the station',
+        type: 'other',
+        severity: 'low',
+        location: { type: 'Point', coordinates: PRETORIA, address: { city: 'Pretoria' } },
+        reportedBy: citizen._id
+      }
+    ]);
+
+    await Alert.create([
+      {
+        title: 'Flood warning',
+        message: 'Avoid low-lying roads',
+        type: 'weather_alert',
+        priority: 'high',
+        location: { type: 'Point', coordinates: JOHANNESBURG, radius: 2 },
+        createdBy: authority._id
+      },
+      {
+        title: 'Road closure',
+        message: 'Church Square closed',
+        type: 'traffic_alert',
+        priority: 'medium',
+        location: { type: 'Point', coordinates: PRETORIA, radius: 1 },
+        geofence: {
+          type: 'Polygon',
+          coordinates: [[[28.22, -25.75], [28.24, -25.75], [28.24, -25.74], [28.22, -25.74], [28.22, -25.75]]]
+        },
+        createdBy: authority._id
+      }
+    ]);
+  });
+
+  it('should export incidents in a bounding box as a GeoJSON FeatureCollection', async () => {
+    const response = await request(app)
+      .get('/api/export/incidents')
+      .query({ format: 'geojson', bbox: JOHANNESBURG_BBOX, severity: 'high' })
+      .set('Authorization', `Bearer ${authorityToken}`)
+      .expect(200);
+
+    expect(response.headers['content-type']).toContain('application/geo+json');
+    expect(response.headers['content-disposition']).toContain('.geojson');
+
+    const collection = JSON.parse(response.text);
+    expect(collection.type).toBe('FeatureCollection');
+    expect(collection.features).toHaveLength(1);
+    expect(collection.features[0]).toMatchObject({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: JOHANNESBURG },
+      properties: { title: 'Smash & grab on Main Street', severity: 'high', city: 'Johannesburg' }
+    });
+  });
+
+  it('should export alert areas as polygons', async () => {
+    const response = await request(app)
+      .get('/api/export/alerts')
+      .query({ format: 'geojson' })
+      .set('Authorization', `Bearer ${authorityToken}`)
+      .expect(200);
+
+    const features = JSON.parse(response.text).features;
+    const byTitle = Object.fromEntries(features.map(feature => [feature.properties.title, feature]));
+    expect(byTitle['Road closure'].properties.area).toBe('geofence');
+    expect(byTitle['Road closure'].geometry.coordinates[0]).toHaveLength(5);
+    expect(byTitle['Flood warning'].properties).toMatchObject({ area: 'radius', radiusKm: 2 });
+    expect(byTitle['Flood warning'].geometry.type).toBe('Polygon');
+
+    const kml = await request(app)
+      .get('/api/export/alerts')
+      .query({ format: 'kml' })
+      .set('Authorization', `Bearer ${authorityToken}`)
+      .expect(200);
+    expect(kml.headers['content-type']).toContain('application/vnd.google-earth.kml+xml');
+    expect(kml.text.match(/<Polygon>/g)).toHaveLength(2);
+  });
+
+  it('should match geofenced alerts whose area overlaps the bounding box', async () => {
+    // Centroid west of the box, polygon reaching into it
+    await Alert.create({
+      title: 'Power outage',
+      message: 'Substation fault',
+      type: 'safety_warning',
+      location: { type: 'Point', coordinates: [28.2, -25.75], radius: 12 },
+      geofence: {
+        type: 'Polygon',
+        coordinates: [[[28.1, -25.8], [28.3, -25.8], [28.3, -25.7], [28.1, -25.7], [28.1, -25.8]]]
+      },
+      createdBy: (await User.findOne({ role: 'authority' }))._id
+    });
+
+    const titles = async (bbox) => {
+      const response = await request(app)
+        .get('/api/export/alerts')
+        .query({ format: 'geojson', bbox })
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(200);
+      return JSON.parse(response.text).features.map(feature => feature.properties.title).sort();
+    };
+
+    expect(await titles('28.25,-25.8,28.35,-25.7')).toEqual(['Power outage']);
+    expect(await titles(JOHANNESBURG_BBOX)).toEqual(['Flood warning']);
+  });
+
+  it('should escape KML and write GPX waypoints for incidents', async () => {
+    const kml = await request(app)
+      .get('/api/export/incidents')
+      .query({ format: 'kml', bbox: JOHANNESBURG_BBOX })
+      .set('Authorization', `Bearer ${authorityToken}`)
+      .expect(200);
+    expect(kml.text).toContain('<name>Smash &amp; grab on Main Street</name>');
+    expect(kml.text).toContain('&lt;traffic lights&gt;');
+    expect(kml.text).toContain(`<coordinates>${JOHANNESBURG.join(',')}</coordinates>`);
+    expect(kml.text).toContain('<styleUrl>#severity-high</styleUrl>');
+
+    const gpx = await request(app)
+      .get('/api/export/incidents')
+      .query({ format: 'gpx' })
+      .set('Authorization', `Bearer ${authorityToken}`)
+      .expect(200);
+    expect(gpx.headers['content-type']).toContain('application/gpx+xml');
+    expect(gpx.text.match(/<wpt /g)).toHaveLength(2);
+    expect(gpx.text).toContain(`<wpt lat="${PRETORIA[1]}" lon="${PRETORIA[0]}">`);
+  });
+
+  it('should reject unsupported formats and malformed bounding boxes', async () => {
+    await request(app)
+      .get('/api/export/alerts')
+      .query({ format: 'gpx' })
+      .set('Authorization', `Bearer ${authorityToken}`)
+      .expect(400);
+
+    await request(app)
+      .get('/api/export/incidents')
+      .query({ format: 'geojson', bbox: '28.2,-26.3,27.9,-26.1' })
+      .set('Authorization', `Bearer ${authorityToken}`)
+      .expect(400);
+
+    await request(app)
+      .get('/api/export/incidents/csv')
+      .query({ bbox: 'everywhere' })
+      .set('Authorization', `Bearer ${authorityToken}`)
+      .expect(400);
+  });
+
+  it('should write routes as GPX waypoints, route points and a track', () => {
+    const gpx = routeToGpx({
+      origin: { coordinates: JOHANNESBURG },
+      destination: { coordinates: PRETORIA },
+      waypoints: [],
+      distanceText: '56.3 km',
+      durationText: '48 min',
+      steps: [
+        { name: 'M1', instruction: 'Head north on M1', maneuver: { type: 'depart', location: JOHANNESBURG } },
+        { name: null, instruction: 'Arrive at your destination', maneuver: { type: 'arrive', location: PRETORIA } }
+      ],
+      geometry: { type: 'LineString', coordinates: [JOHANNESBURG, [28.1, -26.0], PRETORIA] }
+    }, 'Night patrol');
+
+    expect(gpx.match(/<wpt /g)).toHaveLength(2);
+    expect(gpx.match(/<rtept /g)).toHaveLength(2);
+    expect(gpx.match(/<trkpt /g)).toHaveLength(3);
+    expect(gpx).toContain('<desc>Head north on M1</desc>');
+    expect(gpx).toContain('<rte><name>Night patrol</name><desc>56.3 km 48 min</desc>');
+  });
+});
@@ -0,0 +1,257 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Incident = require('../models/Incident');
+const Jurisdiction = require('../models/Jurisdiction');
+const IncidentStatusHistory = require('../models/IncidentStatusHistory');
+const IncidentLifecycleService = require('../services/incidentLifecycleService');
+const PermissionService = require('../services/permissionService');
+const { generateToken } = require('../middleware/auth');
+
+// Authorities can only act on incidents inside their jurisdictions
+const PRECINCT = {
+  name: 'Test Precinct',
+  boundary: {
+    type: 'Polygon',
+    coordinates: [[[-81, 40], [-73, 40], [-73, 46], [-81, 46], [-81, 40]]]
+  }
+};
+
+describe('Incident Lifecycle', () => {
+  let citizenUser;
+  let otherCitizen;
+  let authorityUser;
+  let adminUser;
+  let citizenToken;
+  let otherToken;
+  let authorityToken;
+  let adminToken;
+  let incident;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/securepath-test');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Incident.deleteMany({});
+    await Jurisdiction.deleteMany({});
+    const precinct = await Jurisdiction.create(PRECINCT);
+    // History rejects deleteMany through mongoose, so clear the raw collection
+    await IncidentStatusHistory.collection.deleteMany({});
+
+    citizenUser = await User.create({
+      firstName: 'John',
+      lastName: 'Citizen',
+      email: 'citizen@example.com',
+      password: 'password123',
+      role: 'citizen',
+      isVerified: true
+    });
+
+    otherCitizen = await User.create({
+      firstName: 'Other',
+      lastName: 'Citizen',
+      email: 'other@example.com',
+      password: 'password123',
+      role: 'citizen',
+      isVerified: true
+    });
+
+    authorityUser = await User.create({
+      firstName: 'Jane',
+      lastName: 'Authority',
+      email: 'authority@example.com',
+      password: 'password123',
+      role: 'authority',
+      isVerified: true,
+      jurisdictions: [precinct._id]
+    });
+
+    adminUser = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin',
+      isVerified: true
+    });
+
+    citizenToken = generateToken(citizenUser._id);
+    otherToken = generateToken(otherCitizen._id);
+    authorityToken = generateToken(authorityUser._id);
+    adminToken = generateToken(adminUser._id);
+
+    incident = await Incident.create({
+      title: 'Lifecycle Incident',
+      description: 'Incident used to exercise status transitions',
+      type: 'theft',
+      severity: 'medium',
+      location: {
+        type: 'Point',
+        coordinates: [-74.006, 40.7128]
+      },
+      reportedBy: citizenUser._id
+    });
+  });
+
+  const changeStatus = (token, body) => request(app)
+    .put(`/api/incidents/${incident._id}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  describe('IncidentLifecycleService', () => {
+    it('should list transitions allowed for each role', () => {
+      expect(IncidentLifecycleService.getAllowedTransitions(incident, authorityUser))
+        .toEqual(expect.arrayContaining(['verified', 'investigating', 'resolved', 'false_alarm']));
+      expect(IncidentLifecycleService.getAllowedTransitions(incident, citizenUser)).toEqual(['false_alarm']);
+      expect(IncidentLifecycleService.getAllowedTransitions(incident, otherCitizen)).toEqual([]);
+    });
+
+    it('should reject transitions that are not in the state machine', () => {
+      incident.status = 'closed';
+      const check = IncidentLifecycleService.checkTransition(incident, 'verified', authorityUser);
+
+      expect(check.allowed).toBe(false);
+      expect(check.statusCode).toBe(409);
+    });
+
+    it('should require a reason when reopening a terminal status', () => {
+      incident.status = 'resolved';
+      const check = IncidentLifecycleService.checkTransition(incident, 'investigating', adminUser, {});
+
+      expect(check.allowed).toBe(false);
+      expect(check.statusCode).toBe(400);
+      expect(check.missingFields).toEqual(['reason']);
+    });
+  });
+
+  describe('PUT /api/incidents/:id status changes', () => {
+    it('should walk an incident through its lifecycle and record each step', async () => {
+      await changeStatus(authorityToken, { status: 'verified' }).expect(200);
+      await changeStatus(authorityToken, { status: 'investigating' }).expect(200);
+      const resolved = await changeStatus(authorityToken, {
+        status: 'resolved',
+        resolutionNotes: 'Suspect apprehended'
+      }).expect(200);
+
+      expect(resolved.body.data.incident.status).toBe('resolved');
+      expect(resolved.body.data.incident.resolvedAt).toBeDefined();
+
+      const history = await IncidentStatusHistory.find({ incident: incident._id }).sort({ createdAt: 1, _id: 1 });
+      expect(history.map(entry => entry.toStatus)).toEqual(['verified', 'investigating', 'resolved']);
+      expect(history[0].fromStatus).toBe('reported');
+      expect(history[0].changedBy.toString()).toBe(authorityUser._id.toString());
+      expect(history[2].changes.resolutionNotes).toBe('Suspect apprehended');
+    });
+
+    it('should reject an invalid transition with 409', async () => {
+      await Incident.findByIdAndUpdate(incident._id, { status: 'closed' });
+
+      const response = await changeStatus(authorityToken, { status: 'verified' }).expect(409);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.allowedTransitions).toEqual([]);
+    });
+
+    it('should refuse a transition when the incident changed after it was read', async () => {
+      // Another authority verifies the incident while this request is in flight
+      jest.spyOn(PermissionService, 'canActOnIncident').mockImplementationOnce(async () => {
+        await Incident.updateOne({ _id: incident._id }, { status: 'verified' });
+        return true;
+      });
+
+      const response = await changeStatus(authorityToken, { status: 'verified' }).expect(409);
+
+      expect(response.body.success).toBe(false);
+      expect((await Incident.findById(incident._id)).status).toBe('verified');
+      expect(await IncidentStatusHistory.countDocuments({ incident: incident._id })).toBe(0);
+    });
+
+    it('should not let a citizen verify their own report', async () => {
+      const response = await changeStatus(citizenToken, { status: 'verified' }).expect(403);
+
+      expect(response.body.success).toBe(false);
+      expect(await IncidentStatusHistory.countDocuments({ incident: incident._id })).toBe(0);
+    });
+
+    it('should let the reporter withdraw their report as a false alarm with a reason', async () => {
+      const missing = await changeStatus(citizenToken, { status: 'false_alarm' }).expect(400);
+      expect(missing.body.missingFields).toEqual(['reason']);
+
+      const response = await changeStatus(citizenToken, {
+        status: 'false_alarm',
+        reason: 'Item turned up at home'
+      }).expect(200);
+
+      expect(response.body.data.incident.status).toBe('false_alarm');
+      const entry = await IncidentStatusHistory.findOne({ incident: incident._id });
+      expect(entry.reason).toBe('Item turned up at home');
+      expect(entry.role).toBe('citizen');
+    });
+
+    it('should require resolution notes to resolve', async () => {
+      const response = await changeStatus(authorityToken, { status: 'resolved' }).expect(400);
+
+      expect(response.body.missingFields).toEqual(['resolutionNotes']);
+    });
+
+    it('should only let admins reopen a resolved incident', async () => {
+      await Incident.findByIdAndUpdate(incident._id, { status: 'resolved', resolutionNotes: 'Done' });
+
+      await changeStatus(authorityToken, { status: 'investigating', reason: 'New evidence' }).expect(403);
+      const response = await changeStatus(adminToken, { status: 'investigating', reason: 'New evidence' }).expect(200);
+
+      expect(response.body.data.incident.status).toBe('investigating');
+      expect(response.body.data.incident.resolvedAt).toBeNull();
+    });
+  });
+
+  describe('GET /api/incidents/:id/history', () => {
+    it('should return the ordered history with allowed next statuses', async () => {
+      await changeStatus(authorityToken, { status: 'verified' }).expect(200);
+
+      const response = await request(app)
+        .get(`/api/incidents/${incident._id}/history`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.currentStatus).toBe('verified');
+      expect(response.body.data.history).toHaveLength(1);
+      expect(response.body.data.history[0].changedBy.firstName).toBe('Jane');
+      expect(response.body.data.allowedTransitions).toEqual([]);
+    });
+
+    it('should hide history from unrelated citizens', async () => {
+      await request(app)
+        .get(`/api/incidents/${incident._id}/history`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('IncidentStatusHistory model', () => {
+    it('should be append-only', async () => {
+      const entry = await IncidentStatusHistory.create({
+        incident: incident._id,
+        fromStatus: 'reported',
+        toStatus: 'verified',
+        changedBy: authorityUser._id,
+        role: 'authority'
+      });
+
+      await expect(IncidentStatusHistory.updateOne({ _id: entry._id }, { toStatus: 'resolved' })).rejects.toThrow('append-only');
+      await expect(IncidentStatusHistory.deleteOne({ _id: entry._id })).rejects.toThrow('append-only');
+
+      entry.reason = 'Edited';
+      await expect(entry.save()).rejects.toThrow('append-only');
+    });
+  });
+});
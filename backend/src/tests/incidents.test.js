@@ -3,8 +3,18 @@ const mongoose = require('mongoose');
 const app = require('../app');
 const User = require('../models/User');
 const Incident = require('../models/Incident');
+const Jurisdiction = require('../models/Jurisdiction');
 const { generateToken } = require('../middleware/auth');
 
+// Authorities can only act on incidents inside their jurisdictions
+const PRECINCT = {
+  name: 'Test Precinct',
+  boundary: {
+    type: 'Polygon',
+    coordinates: [[[-81, 40], [-73, 40], [-73, 46], [-81, 46], [-81, 40]]]
+  }
+};
+
 describe('Incident Endpoints', () => {
   let citizenToken;
   let authorityToken;
@@ -28,6 +38,8 @@ describe('Incident Endpoints', () => {
     // Clear collections before each test
     await User.deleteMany({});
     await Incident.deleteMany({});
+    await Jurisdiction.deleteMany({});
+    const precinct = await Jurisdiction.create(PRECINCT);
 
     // Create test users
     citizenUser = await User.create({
@@ -57,6 +69,7 @@ describe('Incident Endpoints', () => {
       password: 'password123',
       role: 'authority',
       isVerified: true,
+      jurisdictions: [precinct._id],
       location: {
         type: 'Point',
         coordinates: [-74.006, 40.7128],
@@ -3,8 +3,18 @@ const mongoose = require('mongoose');
 const app = require('../../app');
 const User = require('../../models/User');
 const Incident = require('../../models/Incident');
+const Jurisdiction = require('../../models/Jurisdiction');
 const { generateToken } = require('../../middleware/auth');
 
+// Authorities can only act on incidents inside their jurisdictions
+const PRECINCT = {
+  name: 'Test Precinct',
+  boundary: {
+    type: 'Polygon',
+    coordinates: [[[-81, 40], [-73, 40], [-73, 46], [-81, 46], [-81, 40]]]
+  }
+};
+
 describe('Incidents API Integration Tests', () => {
   let authToken;
   let testUser;
@@ -23,6 +33,8 @@ describe('Incidents API Integration Tests', () => {
   beforeEach(async () => {
     await User.deleteMany({});
     await Incident.deleteMany({});
+    await Jurisdiction.deleteMany({});
+    const precinct = await Jurisdiction.create(PRECINCT);
 
     // Create test users
     testUser = await User.create({
@@ -40,7 +52,8 @@ describe('Incidents API Integration Tests', () => {
       email: 'authority@example.com',
       password: 'password123',
       role: 'authority',
-      isVerified: true
+      isVerified: true,
+      jurisdictions: [precinct._id]
     });
 
     authToken = generateToken(testUser._id);
@@ -0,0 +1,288 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Incident = require('../models/Incident');
+const Jurisdiction = require('../models/Jurisdiction');
+const IncidentStatusHistory = require('../models/IncidentStatusHistory');
+const { generateToken } = require('../middleware/auth');
+
+describe('Jurisdictions and Assignment', () => {
+  let citizenUser;
+  let authorityUser;
+  let otherAuthority;
+  let adminUser;
+  let citizenToken;
+  let authorityToken;
+  let adminToken;
+  let precinct;
+  let municipality;
+
+  const square = (west, south, east, north) => ({
+    type: 'Polygon',
+    coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+  });
+
+  const DOWNTOWN = [-74.006, 40.7128];
+  const UPTOWN = [-73.96, 40.79];
+  const LOS_ANGELES = [-118.2437, 34.0522];
+
+  const reportIncident = (coordinates, severity = 'medium') => request(app)
+    .post('/api/incidents')
+    .set('Authorization', `Bearer ${citizenToken}`)
+    .send({
+      title: 'Jurisdiction Incident',
+      description: 'Incident used to exercise jurisdiction routing',
+      type: 'theft',
+      severity,
+      location: { coordinates }
+    })
+    .expect(201);
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/securepath-test');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Incident.deleteMany({});
+    await Jurisdiction.deleteMany({});
+    await IncidentStatusHistory.collection.deleteMany({});
+
+    municipality = await Jurisdiction.create({
+      name: 'New York City',
+      type: 'municipality',
+      boundary: square(-74.3, 40.5, -73.7, 40.9)
+    });
+    precinct = await Jurisdiction.create({
+      name: 'Precinct 1',
+      type: 'precinct',
+      boundary: square(-74.05, 40.68, -73.95, 40.75)
+    });
+
+    citizenUser = await User.create({
+      firstName: 'John',
+      lastName: 'Citizen',
+      email: 'citizen@example.com',
+      password: 'password123',
+      role: 'citizen',
+      isVerified: true
+    });
+    authorityUser = await User.create({
+      firstName: 'Jane',
+      lastName: 'Authority',
+      email: 'authority@example.com',
+      password: 'password123',
+      role: 'authority',
+      isVerified: true,
+      jurisdictions: [precinct._id]
+    });
+    otherAuthority = await User.create({
+      firstName: 'Other',
+      lastName: 'Authority',
+      email: 'other@example.com',
+      password: 'password123',
+      role: 'authority',
+      isVerified: true,
+      jurisdictions: [precinct._id]
+    });
+    adminUser = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin',
+      isVerified: true
+    });
+
+    citizenToken = generateToken(citizenUser._id);
+    authorityToken = generateToken(authorityUser._id);
+    adminToken = generateToken(adminUser._id);
+  });
+
+  describe('Routing', () => {
+    it('should route new incidents to the most specific jurisdiction', async () => {
+      const downtown = await reportIncident(DOWNTOWN);
+      const uptown = await reportIncident(UPTOWN);
+      const elsewhere = await reportIncident(LOS_ANGELES);
+
+      expect(downtown.body.data.incident.jurisdiction).toBe(precinct._id.toString());
+      expect(uptown.body.data.incident.jurisdiction).toBe(municipality._id.toString());
+      expect(elsewhere.body.data.incident.jurisdiction).toBeNull();
+    });
+
+    it('should route existing incidents when a jurisdiction is created', async () => {
+      const elsewhere = await reportIncident(LOS_ANGELES);
+
+      const response = await request(app)
+        .post('/api/admin/jurisdictions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Los Angeles', type: 'municipality', boundary: square(-118.7, 33.7, -118.1, 34.4) })
+        .expect(201);
+
+      expect(response.body.data.routedIncidents).toBe(1);
+      const incident = await Incident.findById(elsewhere.body.data.incident._id);
+      expect(incident.jurisdiction.toString()).toBe(response.body.data.jurisdiction._id);
+    });
+
+    it('should hand incidents to the municipality when a precinct is retired', async () => {
+      const downtown = await reportIncident(DOWNTOWN);
+
+      await request(app)
+        .delete(`/api/admin/jurisdictions/${precinct._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const incident = await Incident.findById(downtown.body.data.incident._id);
+      expect(incident.jurisdiction.toString()).toBe(municipality._id.toString());
+      const authority = await User.findById(authorityUser._id);
+      expect(authority.jurisdictions).toHaveLength(0);
+    });
+  });
+
+  describe('POST /api/incidents/:id/assign', () => {
+    it('should assign to the caller or another authority in the jurisdiction', async () => {
+      const { body } = await reportIncident(DOWNTOWN);
+      const id = body.data.incident._id;
+
+      const self = await request(app)
+        .post(`/api/incidents/${id}/assign`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({})
+        .expect(200);
+      expect(self.body.data.incident.assignedTo._id).toBe(authorityUser._id.toString());
+
+      const other = await request(app)
+        .post(`/api/incidents/${id}/assign`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ assigneeId: otherAuthority._id.toString(), note: 'Your beat' })
+        .expect(200);
+      expect(other.body.data.incident.assignedTo._id).toBe(otherAuthority._id.toString());
+
+      await request(app)
+        .delete(`/api/incidents/${id}/assign`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(200);
+      expect((await Incident.findById(id)).assignedTo).toBeNull();
+    });
+
+    it('should reject assignees who cannot work on the incident', async () => {
+      const { body } = await reportIncident(UPTOWN);
+      const id = body.data.incident._id;
+
+      // Outside the authority's precinct
+      await request(app)
+        .post(`/api/incidents/${id}/assign`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ assigneeId: authorityUser._id.toString() })
+        .expect(400);
+
+      await request(app)
+        .post(`/api/incidents/${id}/assign`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ assigneeId: citizenUser._id.toString() })
+        .expect(400);
+
+      await request(app)
+        .post(`/api/incidents/${id}/assign`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({})
+        .expect(403);
+
+      await request(app)
+        .post(`/api/incidents/${id}/assign`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({})
+        .expect(403);
+    });
+
+    it('should not assign closed incidents', async () => {
+      const { body } = await reportIncident(DOWNTOWN);
+      await Incident.updateOne({ _id: body.data.incident._id }, { status: 'resolved' });
+
+      await request(app)
+        .post(`/api/incidents/${body.data.incident._id}/assign`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({})
+        .expect(409);
+    });
+  });
+
+  describe('GET /api/incidents/queue', () => {
+    it('should list open incidents in the caller\'s jurisdictions, most severe first', async () => {
+      await reportIncident(DOWNTOWN, 'low');
+      const critical = await reportIncident(DOWNTOWN, 'critical');
+      await reportIncident(UPTOWN, 'critical');
+      const resolved = await reportIncident(DOWNTOWN, 'high');
+      await Incident.updateOne({ _id: resolved.body.data.incident._id }, { status: 'resolved' });
+
+      const response = await request(app)
+        .get('/api/incidents/queue')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(200);
+
+      expect(response.body.data.pagination.total).toBe(2);
+      expect(response.body.data.incidents[0]._id).toBe(critical.body.data.incident._id);
+      expect(response.body.data.scope).toEqual([precinct._id.toString()]);
+
+      const admin = await request(app)
+        .get('/api/incidents/queue')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(admin.body.data.pagination.total).toBe(3);
+    });
+
+    it('should filter by status, assignee and jurisdiction', async () => {
+      const first = await reportIncident(DOWNTOWN);
+      await reportIncident(DOWNTOWN);
+
+      await request(app)
+        .post(`/api/incidents/${first.body.data.incident._id}/assign`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({})
+        .expect(200);
+
+      const mine = await request(app)
+        .get('/api/incidents/queue?assignedTo=me')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(200);
+      expect(mine.body.data.pagination.total).toBe(1);
+
+      const unassigned = await request(app)
+        .get('/api/incidents/queue?assignedTo=unassigned&status=reported')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(200);
+      expect(unassigned.body.data.pagination.total).toBe(1);
+
+      await request(app)
+        .get(`/api/incidents/queue?jurisdiction=${municipality._id}`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(403);
+    });
+
+    it('should show an empty queue to authorities without jurisdictions', async () => {
+      await reportIncident(DOWNTOWN, 'critical');
+      const unassigned = await User.create({
+        firstName: 'New',
+        lastName: 'Authority',
+        email: 'new.authority@example.com',
+        password: 'password123',
+        role: 'authority',
+        isVerified: true
+      });
+
+      const response = await request(app)
+        .get('/api/incidents/queue')
+        .set('Authorization', `Bearer ${generateToken(unassigned._id)}`)
+        .expect(200);
+
+      expect(response.body.data.scope).toEqual([]);
+      expect(response.body.data.pagination.total).toBe(0);
+    });
+  });
+});
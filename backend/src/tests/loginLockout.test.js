@@ -0,0 +1,194 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const LoginThrottle = require('../models/LoginThrottle');
+const LoginThrottleService = require('../services/loginThrottleService');
+const { generateToken } = require('../middleware/auth');
+
+describe('Login Lockout', () => {
+  let user;
+  let adminToken;
+
+  const email = 'locked@example.com';
+
+  const attempt = (password = 'wrong-password', loginEmail = email) => request(app)
+    .post('/api/auth/login')
+    .send({ email: loginEmail, password });
+
+  const failTimes = async (count, loginEmail = email) => {
+    for (let i = 0; i < count; i++) {
+      await attempt('wrong-password', loginEmail);
+    }
+  };
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/securepath-test');
+  });
+
+  afterAll(async () => {
+    delete process.env.LOGIN_IP_MAX_ATTEMPTS;
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await LoginThrottle.deleteMany({});
+    delete process.env.LOGIN_IP_MAX_ATTEMPTS;
+
+    user = await User.create({
+      firstName: 'Locked',
+      lastName: 'User',
+      email,
+      password: 'password123',
+      isVerified: true
+    });
+    const admin = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin',
+      isVerified: true
+    });
+    adminToken = generateToken(admin._id);
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('should lock the account after repeated failures', async () => {
+      await failTimes(4);
+      const fifth = await attempt().expect(401);
+      expect(fifth.body.message).toContain('temporarily locked');
+
+      // Even the right password is refused while locked
+      const locked = await attempt('password123').expect(429);
+      expect(locked.body.retryAfter).toBeGreaterThan(0);
+      expect(locked.headers['retry-after']).toBeDefined();
+
+      const stored = await User.findById(user._id);
+      expect(stored.unlockTokenExpire.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should double the lock for every failure past the limit', async () => {
+      await failTimes(5);
+      // Let the first lock run out
+      await LoginThrottle.updateOne({ key: LoginThrottleService.accountKey(email) }, { lockedUntil: new Date(Date.now() - 1000) });
+
+      await attempt().expect(401);
+      const throttle = await LoginThrottle.findOne({ key: LoginThrottleService.accountKey(email) });
+      expect(throttle.failures).toBe(6);
+      const lockMinutes = (throttle.lockedUntil - throttle.lastFailureAt) / 60000;
+      expect(lockMinutes).toBeCloseTo(2);
+    });
+
+    it('should clear failures after a successful login', async () => {
+      await failTimes(3);
+      await attempt('password123').expect(200);
+
+      expect(await LoginThrottle.findOne({ key: LoginThrottleService.accountKey(email) })).toBeNull();
+    });
+
+    it('should forgive IP failures after a successful login from that IP', async () => {
+      process.env.LOGIN_IP_MAX_ATTEMPTS = '6';
+      await failTimes(4);
+      await attempt('password123').expect(200);
+      expect(await LoginThrottle.findOne({ scope: 'ip' })).toBeNull();
+
+      // Another user behind the same IP is not locked out by the earlier typos
+      await failTimes(4, 'neighbour@example.com');
+      const throttle = await LoginThrottle.findOne({ scope: 'ip' });
+      expect(throttle.failures).toBe(4);
+      expect(throttle.lockedUntil).toBeFalsy();
+    });
+
+    it('should lock unknown emails the same way', async () => {
+      await failTimes(5, 'nobody@example.com');
+      await attempt('password123', 'nobody@example.com').expect(429);
+    });
+
+    it('should lock an IP that fails across many accounts', async () => {
+      process.env.LOGIN_IP_MAX_ATTEMPTS = '3';
+      await failTimes(1, 'first@example.com');
+      await failTimes(1, 'second@example.com');
+      await failTimes(1, 'third@example.com');
+
+      const response = await attempt('password123').expect(429);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('Unlock by email token', () => {
+    it('should unlock the account with a valid token', async () => {
+      await failTimes(5);
+      const token = await LoginThrottleService.createUnlockToken(user);
+
+      await request(app)
+        .post('/api/auth/unlock')
+        .send({ token })
+        .expect(200);
+
+      await attempt('password123').expect(200);
+
+      // Tokens are single use
+      await request(app)
+        .post('/api/auth/unlock')
+        .send({ token })
+        .expect(400);
+    });
+
+    it('should not reveal whether an email is locked', async () => {
+      const unknown = await request(app)
+        .post('/api/auth/unlock-request')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+      const known = await request(app)
+        .post('/api/auth/unlock-request')
+        .send({ email })
+        .expect(200);
+
+      expect(unknown.body.message).toBe(known.body.message);
+    });
+  });
+
+  describe('Admin lockout management', () => {
+    it('should show lockout state and let admins unlock', async () => {
+      await failTimes(5);
+
+      const list = await request(app)
+        .get('/api/admin/lockouts')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(list.body.data.lockouts).toEqual(expect.arrayContaining([
+        expect.objectContaining({ scope: 'account', subject: email, failures: 5 })
+      ]));
+
+      const details = await request(app)
+        .get(`/api/admin/users/${user._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(details.body.data.lockout).toMatchObject({ locked: true, failures: 5 });
+
+      await request(app)
+        .delete(`/api/admin/users/${user._id}/lockout`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await attempt('password123').expect(200);
+    });
+
+    it('should also lift the lockout of the IP the failures came from', async () => {
+      process.env.LOGIN_IP_MAX_ATTEMPTS = '5';
+      await failTimes(5);
+      expect(await LoginThrottle.countDocuments({ lockedUntil: { $gt: new Date() } })).toBe(2);
+
+      await request(app)
+        .delete(`/api/admin/users/${user._id}/lockout`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(await LoginThrottle.countDocuments({})).toBe(0);
+      await attempt('password123').expect(200);
+    });
+  });
+});
@@ -0,0 +1,345 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Alert = require('../models/Alert');
+const Incident = require('../models/Incident');
+const Jurisdiction = require('../models/Jurisdiction');
+const IncidentComment = require('../models/IncidentComment');
+const Notification = require('../models/Notification');
+const IncidentStatusHistory = require('../models/IncidentStatusHistory');
+const { generateToken } = require('../middleware/auth');
+
+// Authorities can only act on incidents inside their jurisdictions
+const PRECINCT = {
+  name: 'Test Precinct',
+  boundary: {
+    type: 'Polygon',
+    coordinates: [[[17, -35], [30, -35], [30, -25], [17, -25], [17, -35]]]
+  }
+};
+
+const INSIDE = [28.0473, -26.2041];
+const OUTSIDE = [28.1881, -25.7479];
+
+describe('Notification Inbox', () => {
+  let citizen;
+  let citizenToken;
+  let neighbour;
+  let neighbourToken;
+  let authority;
+  let authorityToken;
+  let incident;
+
+  const createUser = (email, role = 'citizen', coordinates = INSIDE) => User.create({
+    firstName: 'Test',
+    lastName: email.split('@')[0],
+    email,
+    password: 'password123',
+    role,
+    isVerified: true,
+    location: { type: 'Point', coordinates }
+  });
+
+  const sendAreaAlert = (title = 'Water outage') => request(app)
+    .post('/api/alerts')
+    .set('Authorization', `Bearer ${authorityToken}`)
+    .send({
+      title,
+      message: 'No water in Marshalltown until 18:00.',
+      type: 'safety_warning',
+      priority: 'high',
+      targetAudience: 'specific_area',
+      location: { coordinates: INSIDE, radius: 5 }
+    })
+    .expect(201);
+
+  const inbox = (token, query = '') => request(app)
+    .get(`/api/notifications${query}`)
+    .set('Authorization', `Bearer ${token}`)
+    .expect(200);
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/securepath-test');
+    await User.syncIndexes();
+    await Notification.syncIndexes();
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Alert.deleteMany({});
+    await Incident.deleteMany({});
+    await Jurisdiction.deleteMany({});
+    const precinct = await Jurisdiction.create(PRECINCT);
+    await IncidentComment.deleteMany({});
+    await Notification.deleteMany({});
+    await IncidentStatusHistory.collection.deleteMany({});
+
+    global.getConnectedUsers = () => [];
+    global.broadcastNotification = jest.fn();
+
+    citizen = await createUser('citizen@example.com');
+    neighbour = await createUser('neighbour@example.com');
+    authority = await createUser('authority@example.com', 'authority', OUTSIDE);
+    await User.updateOne({ _id: authority._id }, { jurisdictions: [precinct._id] });
+    citizenToken = generateToken(citizen._id);
+    neighbourToken = generateToken(neighbour._id);
+    authorityToken = generateToken(authority._id);
+
+    incident = await Incident.create({
+      title: 'Broken streetlight',
+      description: 'Streetlight out on the corner of Main Road',
+      type: 'road_hazard',
+      severity: 'medium',
+      location: { type: 'Point', coordinates: INSIDE },
+      reportedBy: citizen._id
+    });
+  });
+
+  afterEach(() => {
+    delete global.getConnectedUsers;
+    delete global.broadcastNotification;
+  });
+
+  describe('Sources', () => {
+    it('should add alerts to the inbox of every recipient and emit them live', async () => {
+      const response = await sendAreaAlert();
+
+      const list = await inbox(citizenToken);
+      expect(list.body.data.notifications).toHaveLength(1);
+      expect(list.body.data.notifications[0]).toMatchObject({
+        type: 'alert',
+        title: 'Water outage',
+        alert: response.body.data.alert._id,
+        isRead: false
+      });
+      expect(list.body.data.unreadCount).toBe(1);
+
+      // The authority sent it and lives outside the area
+      expect((await inbox(authorityToken)).body.data.notifications).toHaveLength(0);
+
+      expect(global.broadcastNotification).toHaveBeenCalledWith(
+        citizen._id.toString(),
+        'notification:new',
+        expect.objectContaining({ notification: expect.objectContaining({ title: 'Water outage' }) })
+      );
+    });
+
+    it('should tell reporters about status changes and verification outcomes', async () => {
+      await request(app)
+        .put(`/api/incidents/${incident._id}`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ status: 'verified' })
+        .expect(200);
+      await request(app)
+        .put(`/api/incidents/${incident._id}`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ status: 'investigating' })
+        .expect(200);
+
+      const list = await inbox(citizenToken);
+      expect(list.body.data.notifications.map(n => n.type)).toEqual(['incident_update', 'verification']);
+      expect(list.body.data.notifications[1]).toMatchObject({
+        title: 'Your report was verified',
+        message: 'Broken streetlight',
+        incident: incident._id.toString()
+      });
+
+      const verifications = await inbox(citizenToken, '?type=verification');
+      expect(verifications.body.data.notifications).toHaveLength(1);
+    });
+
+    it('should tell comment authors about replies but not about their own', async () => {
+      const parent = await request(app)
+        .post(`/api/incidents/${incident._id}/comments`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ body: 'Has anyone reported this to the council?' })
+        .expect(201);
+      const parentId = parent.body.data.comment._id;
+
+      await request(app)
+        .post(`/api/incidents/${incident._id}/comments`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ body: 'Answering myself', parentId })
+        .expect(201);
+      await request(app)
+        .post(`/api/incidents/${incident._id}/comments`)
+        .set('Authorization', `Bearer ${neighbourToken}`)
+        .send({ body: 'Yes, reference 1234', parentId })
+        .expect(201);
+
+      const list = await inbox(citizenToken);
+      expect(list.body.data.notifications).toHaveLength(1);
+      expect(list.body.data.notifications[0]).toMatchObject({
+        type: 'comment_reply',
+        title: 'Test neighbour replied to your comment',
+        message: 'Broken streetlight: Yes, reference 1234'
+      });
+    });
+  });
+
+  describe('Read state and archive', () => {
+    it('should mark a notification read and the alert with it', async () => {
+      const response = await sendAreaAlert();
+      const [notification] = (await inbox(citizenToken)).body.data.notifications;
+
+      const updated = await request(app)
+        .patch(`/api/notifications/${notification._id}`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ read: true })
+        .expect(200);
+      expect(updated.body.data.notification.isRead).toBe(true);
+      expect(updated.body.data.unreadCount).toBe(0);
+
+      const alert = await Alert.findById(response.body.data.alert._id);
+      const entry = alert.deliveryStatus.find(e => e.user.toString() === citizen._id.toString());
+      expect(entry.status).toBe('read');
+
+      expect(global.broadcastNotification).toHaveBeenCalledWith(
+        citizen._id.toString(),
+        'notification:updated',
+        { action: 'read', ids: [notification._id], unreadCount: 0 }
+      );
+    });
+
+    it('should only mark the in-app delivery read, not other channels', async () => {
+      const response = await sendAreaAlert();
+      const alertId = response.body.data.alert._id;
+      await Alert.updateOne({ _id: alertId }, {
+        $push: {
+          deliveryStatus: {
+            $each: [{ user: citizen._id, deliveryMethod: 'email', status: 'delivered', deliveredAt: new Date() }],
+            $position: 0
+          }
+        }
+      });
+      const [notification] = (await inbox(citizenToken)).body.data.notifications;
+
+      await request(app)
+        .patch(`/api/notifications/${notification._id}`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ read: true })
+        .expect(200);
+
+      const alert = await Alert.findById(alertId);
+      const byMethod = Object.fromEntries(alert.deliveryStatus
+        .filter(entry => entry.user.equals(citizen._id))
+        .map(entry => [entry.deliveryMethod, entry.status]));
+      expect(byMethod).toEqual({ email: 'delivered', in_app: 'read' });
+    });
+
+    it('should expire notifications after the retention period', async () => {
+      await sendAreaAlert();
+      const notification = await Notification.findOne({ user: citizen._id });
+
+      const days = (notification.expiresAt - notification.createdAt) / (24 * 60 * 60 * 1000);
+      expect(Math.round(days)).toBe(90);
+      const indexes = await Notification.collection.indexes();
+      expect(indexes.find(index => index.key.expiresAt)).toMatchObject({ expireAfterSeconds: 0 });
+    });
+
+    it('should mark the inbox entry read when the alert is read directly', async () => {
+      const response = await sendAreaAlert();
+
+      await request(app)
+        .post(`/api/alerts/${response.body.data.alert._id}/mark-read`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(200);
+
+      const unread = await request(app)
+        .get('/api/notifications/unread-count')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(200);
+      expect(unread.body.data.unreadCount).toBe(0);
+    });
+
+    it('should bulk mark read, archive and restore', async () => {
+      await sendAreaAlert('First');
+      await sendAreaAlert('Second');
+      await sendAreaAlert('Third');
+
+      const marked = await request(app)
+        .post('/api/notifications/mark-read')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ all: true })
+        .expect(200);
+      expect(marked.body.data).toEqual({ modified: 3, unreadCount: 0 });
+
+      const [newest] = (await inbox(citizenToken)).body.data.notifications;
+      await request(app)
+        .post('/api/notifications/archive')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ ids: [newest._id] })
+        .expect(200);
+
+      expect((await inbox(citizenToken)).body.data.notifications.map(n => n.title)).toEqual(['Second', 'First']);
+      const archived = await inbox(citizenToken, '?archived=true');
+      expect(archived.body.data.notifications.map(n => n.title)).toEqual(['Third']);
+
+      await request(app)
+        .post('/api/notifications/unarchive')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ ids: [newest._id] })
+        .expect(200);
+      expect((await inbox(citizenToken)).body.data.notifications).toHaveLength(3);
+    });
+
+    it('should paginate and filter by read state', async () => {
+      await sendAreaAlert('First');
+      await sendAreaAlert('Second');
+      await sendAreaAlert('Third');
+
+      const page = await inbox(citizenToken, '?limit=2&page=2');
+      expect(page.body.data.notifications.map(n => n.title)).toEqual(['First']);
+      expect(page.body.data.pagination).toMatchObject({ page: 2, limit: 2, total: 3, pages: 2, hasNext: false });
+
+      const [newest] = (await inbox(citizenToken)).body.data.notifications;
+      await request(app)
+        .patch(`/api/notifications/${newest._id}`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ read: true })
+        .expect(200);
+      expect((await inbox(citizenToken, '?status=unread')).body.data.notifications).toHaveLength(2);
+      expect((await inbox(citizenToken, '?status=read')).body.data.notifications).toHaveLength(1);
+    });
+
+    it('should keep notifications private to their owner', async () => {
+      await sendAreaAlert();
+      const [notification] = (await inbox(citizenToken)).body.data.notifications;
+
+      await request(app)
+        .patch(`/api/notifications/${notification._id}`)
+        .set('Authorization', `Bearer ${neighbourToken}`)
+        .send({ read: true })
+        .expect(404);
+
+      const bulk = await request(app)
+        .post('/api/notifications/mark-read')
+        .set('Authorization', `Bearer ${neighbourToken}`)
+        .send({ ids: [notification._id] })
+        .expect(200);
+      expect(bulk.body.data.modified).toBe(0);
+      expect((await Notification.findById(notification._id)).readAt).toBeNull();
+    });
+
+    it('should reject malformed requests', async () => {
+      await request(app)
+        .post('/api/notifications/mark-read')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({})
+        .expect(400);
+      await request(app)
+        .get('/api/notifications?status=starred')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(400);
+      await request(app)
+        .get('/api/notifications')
+        .expect(401);
+    });
+  });
+});
@@ -0,0 +1,287 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Incident = require('../models/Incident');
+const Setting = require('../models/Setting');
+const Jurisdiction = require('../models/Jurisdiction');
+const IncidentStatusHistory = require('../models/IncidentStatusHistory');
+const PermissionService = require('../services/permissionService');
+const { generateToken } = require('../middleware/auth');
+
+describe('Permissions', () => {
+  let citizenUser;
+  let authorityUser;
+  let adminUser;
+  let citizenToken;
+  let authorityToken;
+  let adminToken;
+
+  // Square around lower Manhattan
+  const manhattan = {
+    name: 'Precinct 1',
+    type: 'precinct',
+    boundary: {
+      type: 'Polygon',
+      coordinates: [[[-74.05, 40.68], [-73.95, 40.68], [-73.95, 40.75], [-74.05, 40.75], [-74.05, 40.68]]]
+    }
+  };
+
+  const createIncident = (coordinates, title = 'Permission Incident') => Incident.create({
+    title,
+    description: 'Incident used to exercise permission checks',
+    type: 'theft',
+    severity: 'medium',
+    location: { type: 'Point', coordinates },
+    reportedBy: citizenUser._id
+  });
+
+  const setPermissions = (role, permissions) => request(app)
+    .put(`/api/admin/permissions/${role}`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ permissions });
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/securepath-test');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Incident.deleteMany({});
+    await Setting.deleteMany({});
+    await Jurisdiction.deleteMany({});
+    await IncidentStatusHistory.collection.deleteMany({});
+    PermissionService.clearCache();
+
+    citizenUser = await User.create({
+      firstName: 'John',
+      lastName: 'Citizen',
+      email: 'citizen@example.com',
+      password: 'password123',
+      role: 'citizen',
+      isVerified: true
+    });
+    authorityUser = await User.create({
+      firstName: 'Jane',
+      lastName: 'Authority',
+      email: 'authority@example.com',
+      password: 'password123',
+      role: 'authority',
+      isVerified: true
+    });
+    adminUser = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin',
+      isVerified: true
+    });
+
+    citizenToken = generateToken(citizenUser._id);
+    authorityToken = generateToken(authorityUser._id);
+    adminToken = generateToken(adminUser._id);
+  });
+
+  describe('Role mappings', () => {
+    it('should keep the previous role access by default', async () => {
+      await request(app)
+        .get('/api/export/incidents')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(200);
+
+      const denied = await request(app)
+        .get('/api/export/users')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(403);
+      expect(denied.body.message).toContain('export:users');
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(200);
+      expect(me.body.data.user.permissions).toContain('incidents:verify');
+      expect(me.body.data.user.permissions).not.toContain('export:users');
+    });
+
+    it('should apply permissions granted and revoked by an admin', async () => {
+      const list = await request(app)
+        .get('/api/admin/permissions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      const permissions = list.body.data.roles.authority;
+      expect(permissions).toEqual(PermissionService.DEFAULT_ROLE_PERMISSIONS.authority);
+
+      await setPermissions('authority', [...permissions.filter(p => p !== 'alerts:broadcast'), 'export:users'])
+        .expect(200);
+
+      await request(app)
+        .get('/api/export/users')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/alerts')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ title: 'Road closure', message: 'Main street closed', type: 'safety_warning' })
+        .expect(403);
+
+      await request(app)
+        .delete('/api/admin/permissions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/export/users')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(403);
+    });
+
+    it('should drive incident status transitions', async () => {
+      const precinct = await Jurisdiction.create(manhattan);
+      await User.updateOne({ _id: authorityUser._id }, { jurisdictions: [precinct._id] });
+      const incident = await createIncident([-74.006, 40.7128]);
+      const permissions = PermissionService.DEFAULT_ROLE_PERMISSIONS.authority.filter(p => p !== 'incidents:verify');
+      await setPermissions('authority', permissions).expect(200);
+
+      await request(app)
+        .put(`/api/incidents/${incident._id}`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ status: 'verified' })
+        .expect(403);
+
+      await request(app)
+        .put(`/api/incidents/${incident._id}`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ status: 'investigating' })
+        .expect(200);
+    });
+
+    it('should only store the roles that differ from the defaults', async () => {
+      await setPermissions('authority', ['incidents:verify']).expect(200);
+
+      let setting = await Setting.findOne({ key: PermissionService.POLICY_KEY }).lean();
+      expect(Object.keys(setting.value)).toEqual(['authority']);
+      expect(PermissionService.getRolePermissions('admin')).toEqual(PermissionService.DEFAULT_ROLE_PERMISSIONS.admin);
+
+      await setPermissions('authority', PermissionService.DEFAULT_ROLE_PERMISSIONS.authority).expect(200);
+      setting = await Setting.findOne({ key: PermissionService.POLICY_KEY }).lean();
+      expect(setting.value || {}).toEqual({});
+    });
+
+    it('should reject unknown permissions and admins locking themselves out', async () => {
+      await setPermissions('authority', ['incidents:fly']).expect(400);
+      await setPermissions('admin', ['users:view']).expect(400);
+      await setPermissions('moderator', []).expect(404);
+
+      await request(app)
+        .put('/api/admin/permissions/citizen')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ permissions: ['permissions:manage'] })
+        .expect(403);
+    });
+  });
+
+  describe('Jurisdictions', () => {
+    let jurisdictionId;
+
+    beforeEach(async () => {
+      const created = await request(app)
+        .post('/api/admin/jurisdictions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(manhattan)
+        .expect(201);
+      jurisdictionId = created.body.data.jurisdiction._id;
+
+      await request(app)
+        .put(`/api/admin/users/${authorityUser._id}/jurisdictions`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ jurisdictions: [jurisdictionId] })
+        .expect(200);
+    });
+
+    it('should limit authorities to incidents inside their jurisdictions', async () => {
+      const inside = await createIncident([-74.006, 40.7128], 'Inside Incident');
+      const outside = await createIncident([-118.2437, 34.0522], 'Outside Incident');
+
+      await request(app)
+        .put(`/api/incidents/${inside._id}`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ status: 'verified' })
+        .expect(200);
+
+      const denied = await request(app)
+        .put(`/api/incidents/${outside._id}`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ status: 'verified' })
+        .expect(403);
+      expect(denied.body.message).toContain('jurisdiction');
+
+      await request(app)
+        .post(`/api/incidents/${inside._id}/merge`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ duplicateIds: [outside._id.toString()] })
+        .expect(403);
+
+      // Admins act anywhere
+      await request(app)
+        .put(`/api/incidents/${outside._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'verified' })
+        .expect(200);
+    });
+
+    it('should not let authorities without jurisdictions act on any incident', async () => {
+      const inside = await createIncident([-74.006, 40.7128]);
+      const outside = await createIncident([-118.2437, 34.0522]);
+
+      await request(app)
+        .put(`/api/admin/users/${authorityUser._id}/jurisdictions`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ jurisdictions: [] })
+        .expect(200);
+
+      for (const incident of [inside, outside]) {
+        await request(app)
+          .put(`/api/incidents/${incident._id}`)
+          .set('Authorization', `Bearer ${authorityToken}`)
+          .send({ status: 'verified' })
+          .expect(403);
+      }
+
+      await request(app)
+        .post(`/api/incidents/${inside._id}/assign`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({})
+        .expect(403);
+
+      // Unless they may act anywhere
+      const permissions = [...PermissionService.DEFAULT_ROLE_PERMISSIONS.authority, 'incidents:any_jurisdiction'];
+      await setPermissions('authority', permissions).expect(200);
+      await request(app)
+        .put(`/api/incidents/${outside._id}`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ status: 'verified' })
+        .expect(200);
+    });
+
+    it('should only assign existing jurisdictions to authorities', async () => {
+      await request(app)
+        .put(`/api/admin/users/${citizenUser._id}/jurisdictions`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ jurisdictions: [jurisdictionId] })
+        .expect(400);
+
+      await request(app)
+        .put(`/api/admin/users/${authorityUser._id}/jurisdictions`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ jurisdictions: [new mongoose.Types.ObjectId().toString()] })
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,308 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const webpush = require('web-push');
+const app = require('../app');
+const User = require('../models/User');
+const Alert = require('../models/Alert');
+const Setting = require('../models/Setting');
+const WatchZone = require('../models/WatchZone');
+const PushSubscription = require('../models/PushSubscription');
+const PushService = require('../services/pushService');
+const WatchZoneService = require('../services/watchZoneService');
+const { generateToken } = require('../middleware/auth');
+
+const INSIDE = [28.0473, -26.2041];
+const OUTSIDE = [28.1881, -25.7479];
+
+describe('Web Push Notifications', () => {
+  let citizen;
+  let citizenToken;
+  let admin;
+  let adminToken;
+  let sendNotification;
+
+  const browserSubscription = (name = 'browser-1') => ({
+    endpoint: `https://push.example.com/send/${name}`,
+    expirationTime: null,
+    keys: { p256dh: `p256dh-${name}`, auth: `auth-${name}` }
+  });
+
+  const createUser = (email, role = 'citizen', coordinates = INSIDE) => User.create({
+    firstName: 'Test',
+    lastName: 'User',
+    email,
+    password: 'password123',
+    role,
+    isVerified: true,
+    location: { type: 'Point', coordinates }
+  });
+
+  const subscribe = (token, subscription = browserSubscription()) => request(app)
+    .post('/api/notifications/subscriptions')
+    .set('Authorization', `Bearer ${token}`)
+    .set('User-Agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0 Safari/537.36')
+    .send(subscription);
+
+  const sendAreaAlert = () => request(app)
+    .post('/api/alerts')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({
+      title: 'Water outage',
+      message: 'No water in Marshalltown until 18:00.',
+      type: 'safety_warning',
+      priority: 'high',
+      targetAudience: 'specific_area',
+      location: { coordinates: INSIDE, radius: 5 }
+    })
+    .expect(201);
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/securepath-test');
+    await User.syncIndexes();
+    await PushSubscription.syncIndexes();
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Alert.deleteMany({});
+    await WatchZone.deleteMany({});
+    await PushSubscription.deleteMany({});
+    await Setting.deleteMany({ key: PushService.KEYS_SETTING });
+    PushService.clearCache();
+
+    sendNotification = jest.spyOn(webpush, 'sendNotification').mockResolvedValue({ statusCode: 201 });
+    global.getConnectedUsers = () => [];
+    global.broadcastToUsers = jest.fn();
+
+    citizen = await createUser('citizen@example.com');
+    admin = await createUser('admin@example.com', 'admin', OUTSIDE);
+    citizenToken = generateToken(citizen._id);
+    adminToken = generateToken(admin._id);
+  });
+
+  afterEach(() => {
+    sendNotification.mockRestore();
+    delete process.env.VAPID_PUBLIC_KEY;
+    delete process.env.VAPID_PRIVATE_KEY;
+    PushService.clearCache();
+    delete global.getConnectedUsers;
+    delete global.broadcastToUsers;
+  });
+
+  describe('VAPID keys', () => {
+    it('should generate keys once and keep the private key encrypted', async () => {
+      const first = await request(app).get('/api/notifications/vapid-public-key').expect(200);
+      PushService.clearCache();
+      const second = await request(app).get('/api/notifications/vapid-public-key').expect(200);
+
+      expect(first.body.data.publicKey).toBeTruthy();
+      expect(second.body.data.publicKey).toBe(first.body.data.publicKey);
+
+      const setting = await Setting.findOne({ key: PushService.KEYS_SETTING }).lean();
+      const { privateKey } = await PushService.getVapidKeys();
+      expect(setting.value.privateKey).not.toBe(privateKey);
+    });
+
+    it('should let admins rotate generated keys and drop old subscriptions', async () => {
+      const before = await PushService.getPublicKey();
+      await subscribe(citizenToken).expect(201);
+
+      const status = await request(app)
+        .get('/api/admin/push')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(status.body.data).toMatchObject({ publicKey: before, source: 'generated', subscriptions: 1 });
+
+      const rotated = await request(app)
+        .post('/api/admin/push/rotate-keys')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(rotated.body.data.publicKey).not.toBe(before);
+      expect(rotated.body.data.removedSubscriptions).toBe(1);
+      expect(await PushSubscription.countDocuments()).toBe(0);
+
+      await request(app)
+        .post('/api/admin/push/rotate-keys')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(403);
+    });
+
+    it('should pick up keys rotated by another instance once the cache expires', async () => {
+      const before = await PushService.getPublicKey();
+      await PushService.storeGeneratedKeys(admin._id, true);
+      expect(await PushService.getPublicKey()).toBe(before);
+
+      const now = Date.now();
+      const clock = jest.spyOn(Date, 'now').mockReturnValue(now + PushService.KEYS_CACHE_MS + 1);
+      try {
+        const after = await PushService.getPublicKey();
+        expect(after).not.toBe(before);
+        const setting = await Setting.findOne({ key: PushService.KEYS_SETTING }).lean();
+        expect(after).toBe(setting.value.publicKey);
+      } finally {
+        clock.mockRestore();
+      }
+    });
+
+    it('should not rotate keys set through the environment', async () => {
+      const keys = webpush.generateVAPIDKeys();
+      process.env.VAPID_PUBLIC_KEY = keys.publicKey;
+      process.env.VAPID_PRIVATE_KEY = keys.privateKey;
+
+      const response = await request(app).get('/api/notifications/vapid-public-key').expect(200);
+      expect(response.body.data.publicKey).toBe(keys.publicKey);
+
+      await request(app)
+        .post('/api/admin/push/rotate-keys')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(409);
+    });
+  });
+
+  describe('Subscriptions', () => {
+    it('should store, list and remove browser subscriptions', async () => {
+      const created = await subscribe(citizenToken).expect(201);
+      expect(created.body.data.subscription.device).toEqual({ browser: 'Chrome', os: 'Windows' });
+
+      // Subscribing the same browser again updates it instead of duplicating it
+      await subscribe(citizenToken).expect(201);
+      const list = await request(app)
+        .get('/api/notifications/subscriptions')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(200);
+      expect(list.body.data.subscriptions).toHaveLength(1);
+
+      await request(app)
+        .delete('/api/notifications/subscriptions')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ endpoint: browserSubscription().endpoint })
+        .expect(200);
+      await request(app)
+        .delete('/api/notifications/subscriptions')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ endpoint: browserSubscription().endpoint })
+        .expect(404);
+    });
+
+    it('should move a browser to whoever subscribed it last', async () => {
+      await subscribe(citizenToken).expect(201);
+      await subscribe(adminToken).expect(201);
+
+      const stored = await PushSubscription.find().lean();
+      expect(stored).toHaveLength(1);
+      expect(stored[0].user.toString()).toBe(admin._id.toString());
+    });
+
+    it('should reject malformed subscriptions', async () => {
+      await subscribe(citizenToken, { endpoint: 'http://push.example.com/x', keys: { p256dh: 'a', auth: 'b' } })
+        .expect(400);
+      await subscribe(citizenToken, { endpoint: 'https://push.example.com/x' }).expect(400);
+    });
+  });
+
+  describe('Dispatch', () => {
+    it('should push alerts to offline recipients and record the delivery', async () => {
+      await subscribe(citizenToken).expect(201);
+
+      const response = await sendAreaAlert();
+      expect(response.body.data.delivery.pushQueued).toBe(1);
+
+      await PushService.drain();
+      expect(sendNotification).toHaveBeenCalledTimes(1);
+      const [target, body, options] = sendNotification.mock.calls[0];
+      expect(target.endpoint).toBe(browserSubscription().endpoint);
+      expect(JSON.parse(body)).toMatchObject({ title: 'Water outage', url: '/notifications' });
+      expect(options.vapidDetails.publicKey).toBe(await PushService.getPublicKey());
+
+      const alert = await Alert.findById(response.body.data.alert._id);
+      const pushed = alert.deliveryStatus.filter(entry => entry.deliveryMethod === 'push');
+      expect(pushed).toHaveLength(1);
+      expect(pushed[0]).toMatchObject({ status: 'delivered', matchedBy: 'stored_location' });
+    });
+
+    it('should not push to users who are online or turned push off', async () => {
+      await subscribe(citizenToken).expect(201);
+      global.getConnectedUsers = () => [{ user: citizen, location: { coordinates: INSIDE } }];
+
+      await sendAreaAlert();
+      await PushService.drain();
+      expect(sendNotification).not.toHaveBeenCalled();
+
+      global.getConnectedUsers = () => [];
+      await User.updateOne({ _id: citizen._id }, { 'preferences.notifications.push': false });
+      await sendAreaAlert();
+      await PushService.drain();
+      expect(sendNotification).not.toHaveBeenCalled();
+    });
+
+    it('should drop subscriptions the push service reports as gone', async () => {
+      await subscribe(citizenToken).expect(201);
+      sendNotification.mockRejectedValue(Object.assign(new Error('Gone'), { statusCode: 410 }));
+
+      const response = await sendAreaAlert();
+      await PushService.drain();
+      expect(await PushSubscription.countDocuments()).toBe(0);
+
+      const alert = await Alert.findById(response.body.data.alert._id);
+      expect(alert.deliveryStatus.filter(entry => entry.deliveryMethod === 'push')).toHaveLength(0);
+    });
+
+    it('should only send to a few browsers at a time', async () => {
+      const total = PushService.SEND_CONCURRENCY * 2 + 1;
+      await PushSubscription.insertMany(Array.from({ length: total }, (_, index) => ({
+        user: citizen._id,
+        ...browserSubscription(`browser-${index}`)
+      })));
+
+      let active = 0;
+      let mostActive = 0;
+      sendNotification.mockImplementation(async () => {
+        active++;
+        mostActive = Math.max(mostActive, active);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        active--;
+        return { statusCode: 201 };
+      });
+
+      const summary = await PushService.sendToUsers([citizen._id], { title: 'Test' });
+      expect(summary).toMatchObject({ sent: total, failed: 0, deliveredTo: [citizen._id.toString()] });
+      expect(mostActive).toBe(PushService.SEND_CONCURRENCY);
+    });
+
+    it('should push watch zone incidents to offline zone owners', async () => {
+      const notify = jest.spyOn(WatchZoneService, 'notifySafely');
+      await subscribe(citizenToken).expect(201);
+      await request(app)
+        .post('/api/auth/watch-zones')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ name: 'Home', area: { type: 'Point', coordinates: INSIDE, radius: 2 } })
+        .expect(201);
+
+      await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          title: 'Car theft on Main Road',
+          description: 'Parked car stolen outside the corner shop',
+          type: 'theft',
+          severity: 'high',
+          location: { coordinates: INSIDE }
+        })
+        .expect(201);
+
+      // Watchers are notified after the response, and pushed in the background after that
+      await Promise.all(notify.mock.results.map(result => result.value));
+      notify.mockRestore();
+      await PushService.drain();
+      expect(sendNotification).toHaveBeenCalledTimes(1);
+      const payload = JSON.parse(sendNotification.mock.calls[0][1]);
+      expect(payload.title).toBe('HIGH: Car theft on Main Road');
+      expect(payload.body).toContain('Home');
+    });
+  });
+});
@@ -0,0 +1,201 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Incident = require('../models/Incident');
+const Jurisdiction = require('../models/Jurisdiction');
+const IncidentComment = require('../models/IncidentComment');
+const IncidentStatusHistory = require('../models/IncidentStatusHistory');
+const ReputationEvent = require('../models/ReputationEvent');
+const ReputationService = require('../services/reputationService');
+const { generateToken } = require('../middleware/auth');
+
+// Authorities can only act on incidents inside their jurisdictions
+const PRECINCT = {
+  name: 'Test Precinct',
+  boundary: {
+    type: 'Polygon',
+    coordinates: [[[17, -35], [30, -35], [30, -25], [17, -25], [17, -35]]]
+  }
+};
+
+describe('User Reputation', () => {
+  let reporter;
+  let confirmer;
+  let denier;
+  let authorityUser;
+  let adminUser;
+  let reporterToken;
+  let authorityToken;
+  let adminToken;
+  let incident;
+
+  const createUser = (email, role = 'citizen') => User.create({
+    firstName: 'Test',
+    lastName: 'User',
+    email,
+    password: 'password123',
+    role,
+    isVerified: true
+  });
+
+  const setStatus = (status, extra = {}) => request(app)
+    .put(`/api/incidents/${incident._id}`)
+    .set('Authorization', `Bearer ${authorityToken}`)
+    .send({ status, ...extra });
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/securepath-test');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Incident.deleteMany({});
+    await Jurisdiction.deleteMany({});
+    const precinct = await Jurisdiction.create(PRECINCT);
+    await IncidentComment.deleteMany({});
+    await ReputationEvent.deleteMany({});
+    await IncidentStatusHistory.collection.deleteMany({});
+
+    reporter = await createUser('reporter@example.com');
+    confirmer = await createUser('confirmer@example.com');
+    denier = await createUser('denier@example.com');
+    authorityUser = await createUser('authority@example.com', 'authority');
+    await User.updateOne({ _id: authorityUser._id }, { jurisdictions: [precinct._id] });
+    adminUser = await createUser('admin@example.com', 'admin');
+    reporterToken = generateToken(reporter._id);
+    authorityToken = generateToken(authorityUser._id);
+    adminToken = generateToken(adminUser._id);
+
+    incident = await Incident.create({
+      title: 'Reputation Incident',
+      description: 'Incident used to exercise reputation updates',
+      type: 'vandalism',
+      severity: 'low',
+      location: { type: 'Point', coordinates: [28.0473, -26.2041] },
+      reportedBy: reporter._id,
+      communityVotes: [
+        { user: confirmer._id, vote: 'confirm' },
+        { user: denier._id, vote: 'deny' }
+      ]
+    });
+  });
+
+  describe('Incident outcomes', () => {
+    it('should credit the reporter and agreeing voters when an incident is verified', async () => {
+      await setStatus('verified').expect(200);
+
+      const [updatedReporter, updatedConfirmer, updatedDenier] = await Promise.all([
+        User.findById(reporter._id),
+        User.findById(confirmer._id),
+        User.findById(denier._id)
+      ]);
+      expect(updatedReporter.reputation).toMatchObject({ score: 60, level: 'reliable', reportsConfirmed: 1 });
+      expect(updatedConfirmer.reputation).toMatchObject({ score: 52, votesAgreed: 1 });
+      expect(updatedDenier.reputation).toMatchObject({ score: 49, votesDisagreed: 1 });
+    });
+
+    it('should count an outcome once as the incident moves on', async () => {
+      await setStatus('verified').expect(200);
+      await setStatus('investigating').expect(200);
+      await setStatus('resolved', { resolutionNotes: 'Suspects identified' }).expect(200);
+
+      const updatedReporter = await User.findById(reporter._id);
+      expect(updatedReporter.reputation.reportsConfirmed).toBe(1);
+      expect(updatedReporter.reputation.score).toBe(60);
+    });
+
+    it('should swap credit when a verified incident turns out to be a false alarm', async () => {
+      await setStatus('verified').expect(200);
+      await setStatus('false_alarm', { reason: 'CCTV shows nothing happened' }).expect(200);
+
+      const [updatedReporter, updatedDenier] = await Promise.all([
+        User.findById(reporter._id),
+        User.findById(denier._id)
+      ]);
+      expect(updatedReporter.reputation).toMatchObject({ score: 35, reportsConfirmed: 0, reportsFalse: 1 });
+      expect(updatedDenier.reputation).toMatchObject({ score: 52, votesAgreed: 1, votesDisagreed: 0 });
+    });
+  });
+
+  describe('Comment moderation', () => {
+    it('should debit authors of hidden comments until they are restored', async () => {
+      const comment = await IncidentComment.create({
+        incident: incident._id,
+        author: reporter._id,
+        authorRole: 'citizen',
+        body: 'Saw the whole thing from across the road'
+      });
+
+      await request(app)
+        .put(`/api/incidents/${incident._id}/comments/${comment._id}/moderation`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ action: 'hide' })
+        .expect(200);
+
+      let updatedReporter = await User.findById(reporter._id);
+      expect(updatedReporter.reputation).toMatchObject({ score: 45, commentsFlagged: 1 });
+
+      await request(app)
+        .put(`/api/incidents/${incident._id}/comments/${comment._id}/moderation`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ action: 'restore' })
+        .expect(200);
+
+      updatedReporter = await User.findById(reporter._id);
+      expect(updatedReporter.reputation).toMatchObject({ score: 50, level: 'new', commentsFlagged: 0 });
+    });
+  });
+
+  describe('Exposure', () => {
+    beforeEach(async () => {
+      await setStatus('verified').expect(200);
+    });
+
+    it('should include reputation in GET /api/auth/me', async () => {
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${reporterToken}`)
+        .expect(200);
+
+      expect(response.body.data.user.reputation).toMatchObject({ score: 60, level: 'reliable' });
+    });
+
+    it('should include reputation events in admin user details', async () => {
+      const response = await request(app)
+        .get(`/api/admin/users/${reporter._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.reputation.score).toBe(60);
+      expect(response.body.data.reputation.recentEvents).toHaveLength(1);
+      expect(response.body.data.reputation.recentEvents[0]).toMatchObject({ type: 'report_confirmed', points: 10 });
+    });
+
+    it('should include reporter reputation in incident lists', async () => {
+      const response = await request(app)
+        .get('/api/incidents')
+        .set('Authorization', `Bearer ${reporterToken}`)
+        .expect(200);
+
+      const listed = response.body.data.incidents.find(item => item._id === incident._id.toString());
+      expect(listed.reportedBy.reputation).toMatchObject({ level: 'reliable' });
+    });
+  });
+
+  describe('ReputationService', () => {
+    it('should weight votes and report limits by reputation', () => {
+      expect(ReputationService.voteWeight({ role: 'citizen', reputation: { score: 90 } })).toBeCloseTo(1.4);
+      expect(ReputationService.voteWeight({ role: 'citizen', reputation: { score: 10 } })).toBeCloseTo(0.6);
+      expect(ReputationService.voteWeight({ role: 'authority' })).toBe(3);
+
+      expect(ReputationService.getReportLimit({ role: 'citizen', reputation: { level: 'trusted' } }))
+        .toBeGreaterThan(ReputationService.getReportLimit({ role: 'citizen', reputation: { level: 'low' } }));
+    });
+  });
+});
@@ -0,0 +1,173 @@
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/User');
+const Incident = require('../models/Incident');
+const RoadSegment = require('../models/RoadSegment');
+const RoutingService = require('../services/routingService');
+const { buildSegments } = require('../scripts/importRoadGraph');
+
+// 3x3 street grid (~1km spacing) in Johannesburg, rows run east-west
+const buildGridExport = () => {
+  const elements = [];
+  const ids = {};
+  let id = 1;
+  for (let row = 0; row < 3; row++) {
+    for (let col = 0; col < 3; col++) {
+      ids[`${row}${col}`] = id;
+      elements.push({ type: 'node', id: id++, lat: -26.2 + row * 0.009, lon: 28.0 + col * 0.01 });
+    }
+  }
+  let wayId = 100;
+  for (let row = 0; row < 3; row++) {
+    elements.push({
+      type: 'way',
+      id: wayId++,
+      nodes: [ids[`${row}0`], ids[`${row}1`], ids[`${row}2`]],
+      tags: { highway: 'residential', name: `Row ${row} Street` }
+    });
+  }
+  for (let col = 0; col < 3; col++) {
+    elements.push({
+      type: 'way',
+      id: wayId++,
+      nodes: [ids[`0${col}`], ids[`1${col}`], ids[`2${col}`]],
+      tags: { highway: 'residential', name: `Column ${col} Avenue` }
+    });
+  }
+  return elements;
+};
+
+describe('Safety-weighted routing', () => {
+  let reporter;
+
+  const routeRequest = {
+    origin: { coordinates: [28.0, -26.2] },
+    destination: { coordinates: [28.02, -26.182] }
+  };
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Incident.deleteMany({});
+    await RoadSegment.deleteMany({});
+    await RoadSegment.syncIndexes();
+
+    reporter = await User.create({
+      firstName: 'Route',
+      lastName: 'Reporter',
+      email: 'route@example.com',
+      password: 'password123'
+    });
+  });
+
+  describe('importRoadGraph buildSegments', () => {
+    it('should split ways into edges at intersections', () => {
+      const segments = buildSegments(buildGridExport());
+
+      // 6 ways, each crossing two others, gives 12 edges
+      expect(segments).toHaveLength(12);
+      expect(segments[0].from.nodeId).toBeDefined();
+      expect(segments[0].distance).toBeGreaterThan(900);
+    });
+
+    it('should honour reversed one-way tags', () => {
+      const segments = buildSegments([
+        { type: 'node', id: 1, lat: -26.2, lon: 28.0 },
+        { type: 'node', id: 2, lat: -26.2, lon: 28.01 },
+        { type: 'way', id: 10, nodes: [1, 2], tags: { highway: 'primary', oneway: '-1' } }
+      ]);
+
+      expect(segments[0].oneway).toBe(true);
+      expect(segments[0].from.nodeId).toBe('2');
+    });
+  });
+
+  describe('RoutingService helpers', () => {
+    it('should weight recent severe incidents above old minor ones', () => {
+      const now = new Date();
+      const old = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
+      const [recent] = RoutingService.clusterIncidents([
+        { severity: 'critical', createdAt: now, location: { coordinates: [28.0, -26.2] } }
+      ]);
+      const [stale] = RoutingService.clusterIncidents([
+        { severity: 'low', createdAt: old, location: { coordinates: [28.0, -26.2] } }
+      ]);
+
+      expect(recent.weight).toBeGreaterThan(stale.weight);
+    });
+
+    it('should map risk values to severity levels', () => {
+      expect(RoutingService.getRiskLevel(0.1)).toBe('low');
+      expect(RoutingService.getRiskLevel(0.3)).toBe('medium');
+      expect(RoutingService.getRiskLevel(0.6)).toBe('high');
+      expect(RoutingService.getRiskLevel(0.9)).toBe('critical');
+    });
+  });
+
+  describe('POST /api/maps/route', () => {
+    it('should return 404 when no road data is imported for the area', async () => {
+      const response = await request(app)
+        .post('/api/maps/route')
+        .send(routeRequest)
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should reject unsupported travel modes', async () => {
+      await RoadSegment.insertMany(buildSegments(buildGridExport()));
+
+      await request(app)
+        .post('/api/maps/route')
+        .send({ ...routeRequest, travelMode: 'teleport' })
+        .expect(400);
+    });
+
+    it('should return geometry, steps and per-segment risk', async () => {
+      await RoadSegment.insertMany(buildSegments(buildGridExport()));
+
+      const response = await request(app)
+        .post('/api/maps/route')
+        .send(routeRequest)
+        .expect(200);
+
+      const route = response.body.data;
+      expect(route.geometry.type).toBe('LineString');
+      expect(route.geometry.coordinates.length).toBeGreaterThan(2);
+      expect(route.distance).toBeGreaterThan(3900);
+      expect(route.duration).toBeGreaterThan(0);
+      expect(route.steps[0].maneuver.type).toBe('depart');
+      expect(route.steps[route.steps.length - 1].maneuver.type).toBe('arrive');
+      expect(route.segments.length).toBeGreaterThan(0);
+      expect(route.segments[0]).toHaveProperty('riskLevel');
+    });
+
+    it('should detour around incident clusters only when avoiding risk', async () => {
+      await RoadSegment.insertMany(buildSegments(buildGridExport()));
+      await Incident.create([1, 2].map(i => ({
+        title: `Armed robbery ${i}`,
+        description: 'Armed robbery reported at the intersection',
+        type: 'assault',
+        severity: 'critical',
+        location: { type: 'Point', coordinates: [28.01, -26.2] },
+        reportedBy: reporter._id
+      })));
+
+      // Straight along Row 0 is shortest but crosses the cluster
+      const alongRow = { ...routeRequest, destination: { coordinates: [28.02, -26.2] } };
+
+      const direct = await request(app)
+        .post('/api/maps/route')
+        .send({ ...alongRow, avoidHighRiskAreas: false })
+        .expect(200);
+      const safe = await request(app)
+        .post('/api/maps/route')
+        .send({ ...alongRow, avoidHighRiskAreas: true })
+        .expect(200);
+
+      expect(direct.body.data.riskScore).toBeGreaterThan(safe.body.data.riskScore);
+      expect(safe.body.data.distance).toBeGreaterThan(direct.body.data.distance);
+      expect(direct.body.data.warnings.length).toBeGreaterThan(0);
+      expect(safe.body.data.segments.every(segment => segment.riskLevel === 'low')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Session = require('../models/Session');
+
+describe('Sessions and Refresh Tokens', () => {
+  const credentials = { email: 'sessions@example.com', password: 'password123' };
+
+  const login = (userAgent = 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0 Safari/537.36') => request(app)
+    .post('/api/auth/login')
+    .set('User-Agent', userAgent)
+    .send(credentials)
+    .expect(200);
+
+  const refresh = (refreshToken) => request(app)
+    .post('/api/auth/refresh')
+    .send({ refreshToken });
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/securepath-test');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Session.deleteMany({});
+
+    await User.create({
+      firstName: 'Session',
+      lastName: 'User',
+      ...credentials,
+      isVerified: true
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    it('should rotate the refresh token', async () => {
+      const loginResponse = await login();
+
+      const response = await refresh(loginResponse.body.data.refreshToken).expect(200);
+
+      expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refreshToken).toBeDefined();
+      expect(response.body.data.refreshToken).not.toBe(loginResponse.body.data.refreshToken);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${response.body.data.token}`)
+        .expect(200);
+
+      const session = await Session.findOne({});
+      expect(session.rotationCount).toBe(1);
+    });
+
+    it('should revoke the session when a rotated token is reused', async () => {
+      const loginResponse = await login();
+      const original = loginResponse.body.data.refreshToken;
+      const rotated = (await refresh(original).expect(200)).body.data.refreshToken;
+
+      const reuse = await refresh(original).expect(401);
+      expect(reuse.body.error.message).toContain('already been used');
+
+      // The legitimate holder is signed out too
+      await refresh(rotated).expect(401);
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${loginResponse.body.data.token}`)
+        .expect(401);
+
+      const session = await Session.findOne({});
+      expect(session.revokedReason).toBe('reuse_detected');
+    });
+
+    it('should reject invalid refresh tokens', async () => {
+      await refresh('not-a-token').expect(401);
+      await refresh('').expect(400);
+    });
+  });
+
+  describe('Session management', () => {
+    it('should list signed-in devices', async () => {
+      await login('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Version/17.0 Mobile Safari/604.1');
+      const current = await login();
+
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${current.body.data.token}`)
+        .expect(200);
+
+      const { sessions } = response.body.data;
+      expect(sessions).toHaveLength(2);
+      expect(sessions.find(session => session.current).device).toEqual({ browser: 'Chrome', os: 'Windows' });
+      expect(sessions.find(session => !session.current).device).toEqual({ browser: 'Safari', os: 'iOS' });
+      expect(sessions[0].ipAddress).toBeDefined();
+    });
+
+    it('should sign out an individual device', async () => {
+      const phone = await login('Mozilla/5.0 (Linux; Android 14) Chrome/120 Mobile Safari/537.36');
+      const current = await login();
+
+      const list = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${current.body.data.token}`)
+        .expect(200);
+      const phoneSession = list.body.data.sessions.find(session => !session.current);
+
+      await request(app)
+        .delete(`/api/auth/sessions/${phoneSession.id}`)
+        .set('Authorization', `Bearer ${current.body.data.token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${phone.body.data.token}`)
+        .expect(401);
+      await refresh(phone.body.data.refreshToken).expect(401);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${current.body.data.token}`)
+        .expect(200);
+    });
+
+    it('should not sign out sessions of other users', async () => {
+      const current = await login();
+      const otherSession = await Session.create({
+        user: new mongoose.Types.ObjectId(),
+        tokenHash: 'unused',
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+      });
+
+      await request(app)
+        .delete(`/api/auth/sessions/${otherSession._id}`)
+        .set('Authorization', `Bearer ${current.body.data.token}`)
+        .expect(404);
+    });
+
+    it('should revoke the session on logout', async () => {
+      const current = await login();
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${current.body.data.token}`)
+        .expect(200);
+
+      await refresh(current.body.data.refreshToken).expect(401);
+      const session = await Session.findOne({});
+      expect(session.revokedReason).toBe('logout');
+    });
+
+    it('should sign out other devices when the password changes', async () => {
+      const other = await login();
+      const current = await login();
+
+      await request(app)
+        .put('/api/auth/change-password')
+        .set('Authorization', `Bearer ${current.body.data.token}`)
+        .send({ currentPassword: credentials.password, newPassword: 'newpassword456' })
+        .expect(200);
+
+      await refresh(other.body.data.refreshToken).expect(401);
+      await refresh(current.body.data.refreshToken).expect(200);
+    });
+  });
+});
@@ -0,0 +1,241 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Incident = require('../models/Incident');
+const Jurisdiction = require('../models/Jurisdiction');
+const Setting = require('../models/Setting');
+const IncidentStatusHistory = require('../models/IncidentStatusHistory');
+const SlaService = require('../services/slaService');
+const { generateToken } = require('../middleware/auth');
+
+// Authorities can only act on incidents inside their jurisdictions
+const PRECINCT = {
+  name: 'Test Precinct',
+  boundary: {
+    type: 'Polygon',
+    coordinates: [[[-81, 40], [-73, 40], [-73, 46], [-81, 46], [-81, 40]]]
+  }
+};
+
+describe('Incident SLAs', () => {
+  let citizenUser;
+  let authorityUser;
+  let adminUser;
+  let authorityToken;
+  let adminToken;
+
+  const MINUTE = 60 * 1000;
+
+  // Timestamps are immutable through mongoose, so age incidents directly
+  const reportedMinutesAgo = async (minutes, fields = {}) => {
+    const incident = await Incident.create({
+      title: 'SLA Incident',
+      description: 'Incident used to exercise SLA tracking',
+      type: 'theft',
+      severity: 'critical',
+      location: { type: 'Point', coordinates: [-74.006, 40.7128] },
+      reportedBy: citizenUser._id,
+      ...fields
+    });
+    await Incident.collection.updateOne(
+      { _id: incident._id },
+      { $set: { createdAt: new Date(Date.now() - minutes * MINUTE) } }
+    );
+    return Incident.findById(incident._id);
+  };
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/securepath-test');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Incident.deleteMany({});
+    await Jurisdiction.deleteMany({});
+    const precinct = await Jurisdiction.create(PRECINCT);
+    await Setting.deleteMany({});
+    await IncidentStatusHistory.collection.deleteMany({});
+    SlaService.clearCache();
+
+    citizenUser = await User.create({
+      firstName: 'John',
+      lastName: 'Citizen',
+      email: 'citizen@example.com',
+      password: 'password123',
+      role: 'citizen',
+      isVerified: true
+    });
+    authorityUser = await User.create({
+      firstName: 'Jane',
+      lastName: 'Authority',
+      email: 'authority@example.com',
+      password: 'password123',
+      role: 'authority',
+      isVerified: true,
+      jurisdictions: [precinct._id]
+    });
+    adminUser = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin',
+      isVerified: true
+    });
+
+    authorityToken = generateToken(authorityUser._id);
+    adminToken = generateToken(adminUser._id);
+  });
+
+  afterEach(() => {
+    delete global.broadcastDashboardUpdate;
+  });
+
+  describe('Timings', () => {
+    it('should record time to respond and resolve from status changes', async () => {
+      const incident = await reportedMinutesAgo(30);
+
+      await request(app)
+        .put(`/api/incidents/${incident._id}`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ status: 'verified' })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/incidents/${incident._id}`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ status: 'resolved', resolutionNotes: 'Suspect arrested' })
+        .expect(200);
+
+      const updated = await Incident.findById(incident._id);
+      expect(updated.responseTime).toBe(30);
+      expect(updated.resolutionTime).toBe(30);
+    });
+
+    it('should not count closing a resolved incident or keep a resolution after reopening', () => {
+      const createdAt = new Date('2024-01-01T00:00:00Z');
+      const at = (minutes) => new Date(createdAt.getTime() + minutes * MINUTE);
+      const history = [
+        { fromStatus: null, toStatus: 'reported', createdAt },
+        { fromStatus: 'reported', toStatus: 'investigating', createdAt: at(10) },
+        { fromStatus: 'investigating', toStatus: 'resolved', createdAt: at(60) },
+        { fromStatus: 'resolved', toStatus: 'closed', createdAt: at(90) }
+      ];
+
+      expect(SlaService.computeTimings({ createdAt, status: 'closed' }, history))
+        .toEqual({ responseTime: 10, resolutionTime: 60 });
+
+      history.push({ fromStatus: 'closed', toStatus: 'investigating', createdAt: at(120) });
+      expect(SlaService.computeTimings({ createdAt, status: 'investigating' }, history))
+        .toEqual({ responseTime: 10, resolutionTime: null });
+    });
+  });
+
+  describe('Dashboard feed', () => {
+    it('should flag incidents that breached or are about to breach', async () => {
+      const breached = await reportedMinutesAgo(20);
+      const atRisk = await reportedMinutesAgo(13);
+      const onTrack = await reportedMinutesAgo(1);
+
+      const response = await request(app)
+        .get('/api/dashboard/feed')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(200);
+
+      const byId = Object.fromEntries(response.body.data.incidents.map(item => [item.id, item.sla]));
+      expect(byId[breached._id].breached).toBe(true);
+      expect(byId[breached._id].verify.state).toBe('breached');
+      expect(byId[atRisk._id].atRisk).toBe(true);
+      expect(byId[onTrack._id].verify.state).toBe('on_track');
+      expect(byId[onTrack._id].breached).toBe(false);
+    });
+  });
+
+  describe('Breach monitor', () => {
+    it('should emit dashboard updates once per target', async () => {
+      global.broadcastDashboardUpdate = jest.fn();
+      const atRisk = await reportedMinutesAgo(13);
+      await reportedMinutesAgo(1);
+
+      expect(await SlaService.checkOpenIncidents()).toBe(1);
+      expect(global.broadcastDashboardUpdate).toHaveBeenCalledWith(
+        'sla_warning',
+        expect.objectContaining({ warnings: ['verify:at_risk'] }),
+        'authority'
+      );
+      expect(global.broadcastDashboardUpdate.mock.calls[0][1].incidentId.toString())
+        .toBe(atRisk._id.toString());
+
+      expect(await SlaService.checkOpenIncidents()).toBe(0);
+    });
+
+    it('should only pick up incidents whose targets fall due, using type targets', async () => {
+      global.broadcastDashboardUpdate = jest.fn();
+      await SlaService.updatePolicy({ types: { fire: { verifyMinutes: 10 } } });
+      const warned = await reportedMinutesAgo(20, { slaWarnings: ['verify:at_risk'] });
+      const fire = await reportedMinutesAgo(20, { type: 'fire', severity: 'low' });
+      await reportedMinutesAgo(20, { severity: 'low' });
+
+      expect(await SlaService.checkOpenIncidents()).toBe(2);
+      const warnings = Object.fromEntries(global.broadcastDashboardUpdate.mock.calls
+        .filter(([, , room]) => room === 'authority')
+        .map(([, payload]) => [payload.incidentId.toString(), payload.warnings]));
+      expect(warnings).toEqual({
+        [warned._id.toString()]: ['verify:breached'],
+        [fire._id.toString()]: ['verify:breached']
+      });
+    });
+
+    it('should not warn about targets that were already met', async () => {
+      global.broadcastDashboardUpdate = jest.fn();
+      await reportedMinutesAgo(13, { responseTime: 5 });
+
+      expect(await SlaService.checkOpenIncidents()).toBe(0);
+      expect(global.broadcastDashboardUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Policy', () => {
+    it('should let admins change targets per severity and type', async () => {
+      const incident = await reportedMinutesAgo(20, { type: 'fire', severity: 'low' });
+
+      await request(app)
+        .put('/api/admin/sla')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ types: { fire: { verifyMinutes: 10 } } })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/dashboard/feed')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(200);
+      const sla = response.body.data.incidents.find(item => item.id === incident._id.toString()).sla;
+      expect(sla.verify.target).toBe(10);
+      expect(sla.resolve.target).toBe(SlaService.DEFAULT_POLICY.severity.low.resolveMinutes);
+
+      await request(app)
+        .put('/api/admin/sla')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ warningRatio: 2 })
+        .expect(400);
+
+      await request(app)
+        .put('/api/admin/sla')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ warningRatio: 0.5 })
+        .expect(403);
+
+      const reset = await request(app)
+        .delete('/api/admin/sla')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(reset.body.data.policy.types).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,212 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Alert = require('../models/Alert');
+const SmsService = require('../services/smsService');
+const { toE164 } = require('../utils/phoneUtils');
+const { generateToken } = require('../middleware/auth');
+
+const INSIDE = [28.0473, -26.2041];
+const OUTSIDE = [28.1881, -25.7479];
+
+describe('SMS Alerts', () => {
+  let authorityToken;
+  let texter;
+
+  const createUser = (email, coordinates, fields = {}) => User.create({
+    firstName: 'Test',
+    lastName: 'User',
+    email,
+    password: 'password123',
+    role: 'citizen',
+    isVerified: true,
+    location: { type: 'Point', coordinates },
+    ...fields
+  });
+
+  const optedIn = (phone) => ({ phone, preferences: { notifications: { sms: true } } });
+
+  const sendAlert = (priority = 'critical') => request(app)
+    .post('/api/alerts')
+    .set('Authorization', `Bearer ${authorityToken}`)
+    .send({
+      title: 'Gas leak',
+      message: 'Evacuate buildings on Main Street.',
+      type: 'emergency_alert',
+      priority,
+      targetAudience: 'specific_area',
+      location: { coordinates: INSIDE, radius: 5 }
+    })
+    .expect(201);
+
+  const smsEntries = async (alertId) => (await Alert.findById(alertId)).deliveryStatus
+    .filter(entry => entry.deliveryMethod === 'sms');
+
+  const postReceipt = (body, secret = 'receipt-secret') => request(app)
+    .post('/api/alerts/sms/receipts')
+    .set('x-sms-webhook-secret', secret)
+    .send(body);
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/securepath-test');
+    await User.syncIndexes();
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Alert.deleteMany({});
+
+    process.env.SMS_PROVIDER = 'mock';
+    process.env.SMS_WEBHOOK_SECRET = 'receipt-secret';
+    SmsService.resetProvider();
+    global.getConnectedUsers = () => [];
+    global.broadcastToUsers = jest.fn();
+
+    const authority = await createUser('authority@example.com', OUTSIDE, { role: 'authority' });
+    authorityToken = generateToken(authority._id);
+    texter = await createUser('texter@example.com', INSIDE, optedIn('082 123 4567'));
+  });
+
+  afterEach(() => {
+    delete process.env.SMS_PROVIDER;
+    delete process.env.SMS_WEBHOOK_SECRET;
+    delete process.env.SMS_MAX_PER_RECIPIENT;
+    SmsService.resetProvider();
+    delete global.getConnectedUsers;
+    delete global.broadcastToUsers;
+  });
+
+  describe('toE164', () => {
+    it('should normalise South African numbers', () => {
+      expect(toE164('082 123 4567')).toBe('+27821234567');
+      expect(toE164('27821234567')).toBe('+27821234567');
+      expect(toE164('0027 82 123 4567')).toBe('+27821234567');
+      expect(toE164('+27 (0)82-123-4567')).toBe('+27821234567');
+      expect(toE164('+44 20 7946 0958')).toBe('+442079460958');
+    });
+
+    it('should reject numbers that cannot be dialled', () => {
+      expect(toE164('082 123 456')).toBeNull();
+      expect(toE164('12345')).toBeNull();
+      expect(toE164('call me')).toBeNull();
+      expect(toE164(undefined)).toBeNull();
+    });
+  });
+
+  describe('Delivery', () => {
+    it('should text opted-in users inside the area of urgent alerts', async () => {
+      await createUser('outside@example.com', OUTSIDE, optedIn('0831234567'));
+      await createUser('quiet@example.com', INSIDE, { phone: '0841234567' });
+
+      const response = await sendAlert();
+      expect(response.body.data.delivery).toMatchObject({ texted: 1, throttled: 0 });
+
+      const { outbox } = SmsService.getProvider();
+      expect(outbox).toHaveLength(1);
+      expect(outbox[0].to).toBe('+27821234567');
+      expect(outbox[0].body).toBe('SecurePath CRITICAL: Gas leak. Evacuate buildings on Main Street.');
+
+      const entries = await smsEntries(response.body.data.alert._id);
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({
+        status: 'pending',
+        matchedBy: 'stored_location',
+        providerMessageId: outbox[0].providerMessageId
+      });
+      expect(entries[0].user.toString()).toBe(texter._id.toString());
+    });
+
+    it('should not text lower priority alerts', async () => {
+      await sendAlert('high');
+      expect(SmsService.getProvider().outbox).toHaveLength(0);
+    });
+
+    it('should record invalid numbers as failed', async () => {
+      await User.updateOne({ _id: texter._id }, { phone: '12345' });
+
+      const response = await sendAlert();
+      const entries = await smsEntries(response.body.data.alert._id);
+      expect(entries[0]).toMatchObject({ status: 'failed', error: 'invalid_phone' });
+      expect(SmsService.getProvider().outbox).toHaveLength(0);
+      expect((await Alert.findById(response.body.data.alert._id)).statistics.totalSent).toBe(0);
+    });
+
+    it('should throttle texts per recipient', async () => {
+      process.env.SMS_MAX_PER_RECIPIENT = '1';
+
+      await sendAlert();
+      const second = await sendAlert();
+
+      expect(second.body.data.delivery).toMatchObject({ texted: 0, throttled: 1 });
+      const entries = await smsEntries(second.body.data.alert._id);
+      expect(entries[0]).toMatchObject({ status: 'failed', error: 'throttled' });
+      expect(SmsService.getProvider().outbox).toHaveLength(1);
+      expect((await Alert.findById(second.body.data.alert._id)).statistics.totalSent).toBe(0);
+    });
+  });
+
+  describe('POST /api/alerts/sms/receipts', () => {
+    it('should record delivery receipts', async () => {
+      const response = await sendAlert();
+      const [{ providerMessageId }] = SmsService.getProvider().outbox;
+
+      await postReceipt({ messageId: providerMessageId, status: 'delivered' }).expect(200);
+
+      const [entry] = await smsEntries(response.body.data.alert._id);
+      expect(entry.status).toBe('delivered');
+      expect(entry.deliveredAt).toBeDefined();
+
+      const alert = await Alert.findById(response.body.data.alert._id);
+      expect(alert.statistics.totalDelivered).toBe(1);
+    });
+
+    it('should record failed deliveries with the reason', async () => {
+      const response = await sendAlert();
+      const [{ providerMessageId }] = SmsService.getProvider().outbox;
+
+      await postReceipt({ messageId: providerMessageId, status: 'failed', error: 'unreachable' }).expect(200);
+
+      const [entry] = await smsEntries(response.body.data.alert._id);
+      expect(entry).toMatchObject({ status: 'failed', error: 'unreachable' });
+    });
+
+    it('should record receipts that arrive while other texts are still being sent', async () => {
+      await createUser('second@example.com', INSIDE, optedIn('0831234567'));
+      const sendSafely = SmsService.sendSafely.bind(SmsService);
+      const known = [];
+      const send = jest.spyOn(SmsService, 'sendSafely').mockImplementation(async (message) => {
+        const [first] = SmsService.getProvider().outbox;
+        if (first) {
+          known.push(await SmsService.handleReceipt({ providerMessageId: first.providerMessageId, status: 'delivered' }));
+        }
+        return sendSafely(message);
+      });
+
+      try {
+        const response = await sendAlert();
+        expect(known).toEqual([true]);
+
+        const entries = await smsEntries(response.body.data.alert._id);
+        expect(entries.map(entry => entry.status).sort()).toEqual(['delivered', 'pending']);
+        const alert = await Alert.findById(response.body.data.alert._id);
+        expect(alert.statistics.totalSent).toBe(alert.deliveryStatus.length);
+      } finally {
+        send.mockRestore();
+      }
+    });
+
+    it('should reject unsigned receipts and unknown messages', async () => {
+      await sendAlert();
+      const [{ providerMessageId }] = SmsService.getProvider().outbox;
+
+      await postReceipt({ messageId: providerMessageId, status: 'delivered' }, 'wrong').expect(403);
+      await postReceipt({ messageId: 'mock-unknown', status: 'delivered' }).expect(404);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Incident = require('../models/Incident');
+const IncidentStatusHistory = require('../models/IncidentStatusHistory');
+const TrustScoreService = require('../services/trustScoreService');
+const { generateToken } = require('../middleware/auth');
+
+describe('Incident Trust Score', () => {
+  let reporter;
+  let voter;
+  let authorityUser;
+  let voterToken;
+  let authorityToken;
+  let incident;
+
+  const COORDINATES = [28.0473, -26.2041];
+
+  const createUser = (email, role = 'citizen') => User.create({
+    firstName: 'Test',
+    lastName: 'User',
+    email,
+    password: 'password123',
+    role,
+    isVerified: true
+  });
+
+  const createIncident = (reportedBy, overrides = {}) => Incident.create({
+    title: 'Shop break-in on Main Road',
+    description: 'The front window of the shop was smashed and stock taken',
+    type: 'theft',
+    severity: 'high',
+    location: { type: 'Point', coordinates: COORDINATES },
+    reportedBy,
+    ...overrides
+  });
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/securepath-test');
+    await Incident.syncIndexes();
+  });
+
+  afterAll(async () => {
+    delete process.env.TRUST_AUTO_VERIFY_THRESHOLD;
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Incident.deleteMany({});
+    await IncidentStatusHistory.collection.deleteMany({});
+    delete process.env.TRUST_AUTO_VERIFY_THRESHOLD;
+
+    reporter = await createUser('reporter@example.com');
+    voter = await createUser('voter@example.com');
+    authorityUser = await createUser('authority@example.com', 'authority');
+    voterToken = generateToken(voter._id);
+    authorityToken = generateToken(authorityUser._id);
+
+    incident = await createIncident(reporter._id);
+  });
+
+  describe('TrustScoreService.computeScore', () => {
+    it('should score a first report from an unknown reporter as neutral', async () => {
+      const { trustScore, breakdown } = await TrustScoreService.computeScore(incident);
+
+      expect(breakdown).toEqual({ reporter: 50, votes: 50, sources: 50, evidence: 0, corroboration: 0 });
+      expect(trustScore).toBe(33);
+    });
+
+    it('should trust reporters with a confirmed track record more', async () => {
+      for (let i = 0; i < 3; i++) {
+        await createIncident(reporter._id, {
+          status: 'resolved',
+          location: { type: 'Point', coordinates: [18.4241, -33.9249] }
+        });
+      }
+
+      const { breakdown } = await TrustScoreService.computeScore(incident);
+      expect(breakdown.reporter).toBe(80);
+    });
+
+    it('should distrust reporters with false alarms', async () => {
+      await createIncident(reporter._id, {
+        status: 'false_alarm',
+        location: { type: 'Point', coordinates: [18.4241, -33.9249] }
+      });
+
+      const { breakdown } = await TrustScoreService.computeScore(incident);
+      expect(breakdown.reporter).toBe(33);
+    });
+
+    it('should weight authority votes above citizen votes', async () => {
+      incident.communityVotes.push({ user: authorityUser._id, vote: 'confirm' });
+      incident.communityVotes.push({ user: voter._id, vote: 'deny' });
+
+      const { breakdown } = await TrustScoreService.computeScore(incident);
+      // (3 + 1) / (3 + 1 + 2)
+      expect(breakdown.votes).toBe(67);
+    });
+
+    it('should count other reporters nearby as corroboration', async () => {
+      await createIncident(voter._id);
+      await createIncident(authorityUser._id);
+      // Same reporter twice does not corroborate itself
+      await createIncident(reporter._id);
+
+      const { breakdown } = await TrustScoreService.computeScore(incident);
+      expect(breakdown.corroboration).toBe(67);
+    });
+  });
+
+  describe('Auto verification', () => {
+    it('should verify an incident when the score crosses the threshold', async () => {
+      process.env.TRUST_AUTO_VERIFY_THRESHOLD = '40';
+      await createIncident(voter._id);
+
+      const response = await request(app)
+        .post(`/api/incidents/${incident._id}/vote`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ vote: 'confirm' })
+        .expect(200);
+
+      expect(response.body.data.autoVerified).toBe(true);
+
+      const updated = await Incident.findById(incident._id);
+      expect(updated.status).toBe('verified');
+      expect(updated.verification.autoVerified).toBe(true);
+      expect(updated.verification.trustScore).toBe(response.body.data.trustScore);
+      expect(updated.verification.sources[0]).toMatchObject({ type: 'user_report', confidence: 50 });
+
+      const history = await IncidentStatusHistory.find({ incident: incident._id });
+      expect(history).toHaveLength(1);
+      expect(history[0]).toMatchObject({ fromStatus: 'reported', toStatus: 'verified', role: 'system' });
+    });
+
+    it('should leave incidents below the threshold unverified', async () => {
+      const response = await request(app)
+        .post(`/api/incidents/${incident._id}/vote`)
+        .set('Authorization', `Bearer ${voterToken}`)
+        .send({ vote: 'confirm' })
+        .expect(200);
+
+      expect(response.body.data.autoVerified).toBe(false);
+      const updated = await Incident.findById(incident._id);
+      expect(updated.status).toBe('reported');
+      expect(updated.verification.scoredAt).toBeDefined();
+    });
+
+    it('should not override a decision an authority already made', async () => {
+      process.env.TRUST_AUTO_VERIFY_THRESHOLD = '0';
+      await Incident.updateOne({ _id: incident._id }, { status: 'false_alarm' });
+
+      const result = await TrustScoreService.recalculate(incident._id);
+      expect(result.autoVerified).toBe(false);
+      expect((await Incident.findById(incident._id)).status).toBe('false_alarm');
+    });
+  });
+
+  describe('GET /api/incidents/:id/trust', () => {
+    it('should return the breakdown to authorities', async () => {
+      const response = await request(app)
+        .get(`/api/incidents/${incident._id}/trust`)
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(200);
+
+      expect(response.body.data.trustScore).toBe(33);
+      expect(response.body.data.autoVerifyThreshold).toBe(80);
+      expect(Object.keys(response.body.data.breakdown)).toEqual(Object.keys(TrustScoreService.WEIGHTS));
+    });
+
+    it('should not be available to citizens', async () => {
+      await request(app)
+        .get(`/api/incidents/${incident._id}/trust`)
+        .set('Authorization', `Bearer ${voterToken}`)
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,270 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const LoginThrottle = require('../models/LoginThrottle');
+const TwoFactorService = require('../services/twoFactorService');
+const SecurityPolicyService = require('../services/securityPolicyService');
+const { generateToken } = require('../middleware/auth');
+
+describe('Two-Factor Authentication', () => {
+  let user;
+  let userToken;
+  let adminUser;
+  let adminToken;
+
+  const credentials = { email: 'twofactor@example.com', password: 'password123' };
+
+  // Codes for the next time step are accepted (clock drift) and not yet used
+  const nextCode = (secret) => TwoFactorService.generateCode(secret, TwoFactorService.getStep() + 1);
+
+  const enroll = async (token = userToken) => {
+    const setup = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    const { secret } = setup.body.data;
+
+    const enable = await request(app)
+      .post('/api/auth/2fa/enable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: TwoFactorService.generateCode(secret) })
+      .expect(200);
+
+    return { secret, otpauthUrl: setup.body.data.otpauthUrl, backupCodes: enable.body.data.backupCodes };
+  };
+
+  const startLogin = () => request(app)
+    .post('/api/auth/login')
+    .send(credentials)
+    .expect(200);
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/securepath-test');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Setting.deleteMany({});
+    await LoginThrottle.deleteMany({});
+    SecurityPolicyService.clearCache();
+
+    user = await User.create({ firstName: 'Two', lastName: 'Factor', ...credentials, isVerified: true });
+    adminUser = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin',
+      isVerified: true
+    });
+    userToken = generateToken(user._id);
+    adminToken = generateToken(adminUser._id);
+  });
+
+  describe('TwoFactorService', () => {
+    it('should generate RFC 6238 codes', () => {
+      const secret = TwoFactorService.base32Encode(Buffer.from('12345678901234567890'));
+      expect(TwoFactorService.generateCode(secret, Math.floor(59 / 30))).toBe('287082');
+      expect(TwoFactorService.generateCode(secret, Math.floor(1111111109 / 30))).toBe('081804');
+    });
+  });
+
+  describe('Enrolment', () => {
+    it('should provision a secret and return backup codes once confirmed', async () => {
+      const { secret, otpauthUrl, backupCodes } = await enroll();
+
+      expect(otpauthUrl).toContain('otpauth://totp/SecurePath');
+      expect(otpauthUrl).toContain(`secret=${secret}`);
+      expect(backupCodes).toHaveLength(TwoFactorService.BACKUP_CODE_COUNT);
+
+      const stored = await User.findById(user._id).select('+twoFactor.secret +twoFactor.backupCodes');
+      expect(stored.twoFactor.enabled).toBe(true);
+      // Secrets are encrypted and backup codes hashed at rest
+      expect(stored.twoFactor.secret).not.toContain(secret);
+      expect(stored.twoFactor.backupCodes).not.toContain(backupCodes[0]);
+    });
+
+    it('should reject a wrong confirmation code', async () => {
+      await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ code: '000000' })
+        .expect(400);
+    });
+  });
+
+  describe('Login', () => {
+    it('should require a code after the password', async () => {
+      const { secret } = await enroll();
+
+      const first = await startLogin();
+      expect(first.body.data.twoFactorRequired).toBe(true);
+      expect(first.body.data.token).toBeUndefined();
+
+      // The challenge is not an access token
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${first.body.data.challengeToken}`)
+        .expect(401);
+
+      const second = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: first.body.data.challengeToken, code: nextCode(secret) })
+        .expect(200);
+      expect(second.body.data.token).toBeDefined();
+      expect(second.body.data.refreshToken).toBeDefined();
+    });
+
+    it('should not accept the same code twice', async () => {
+      const { secret } = await enroll();
+      const code = nextCode(secret);
+
+      const first = await startLogin();
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: first.body.data.challengeToken, code })
+        .expect(200);
+
+      const second = await startLogin();
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: second.body.data.challengeToken, code })
+        .expect(401);
+    });
+
+    it('should accept each backup code once', async () => {
+      const { backupCodes } = await enroll();
+
+      const first = await startLogin();
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: first.body.data.challengeToken, code: backupCodes[0] })
+        .expect(200);
+
+      const second = await startLogin();
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: second.body.data.challengeToken, code: backupCodes[0] })
+        .expect(401);
+
+      expect(await TwoFactorService.getRemainingBackupCodes(user._id)).toBe(TwoFactorService.BACKUP_CODE_COUNT - 1);
+    });
+
+    it('should lock the account after repeated wrong codes', async () => {
+      await enroll();
+      const { body } = await startLogin();
+
+      for (let i = 0; i < 5; i++) {
+        await request(app)
+          .post('/api/auth/2fa/verify')
+          .send({ challengeToken: body.data.challengeToken, code: '000000' })
+          .expect(401);
+      }
+
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: body.data.challengeToken, code: '000000' })
+        .expect(429);
+    });
+  });
+
+  describe('Disabling', () => {
+    it('should require the password and a current code', async () => {
+      const { secret } = await enroll();
+
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ password: 'wrong', code: nextCode(secret) })
+        .expect(400);
+
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ password: credentials.password, code: nextCode(secret) })
+        .expect(200);
+
+      const { body } = await startLogin();
+      expect(body.data.token).toBeDefined();
+    });
+  });
+
+  describe('Role policy', () => {
+    it('should restrict unenrolled accounts of a required role to enrolment', async () => {
+      await enroll(adminToken);
+      await request(app)
+        .put('/api/admin/security-policy')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ twoFactorRequiredRoles: ['authority', 'admin'] })
+        .expect(200);
+
+      const authority = await User.create({
+        firstName: 'Auth',
+        lastName: 'User',
+        email: 'authority@example.com',
+        password: 'password123',
+        role: 'authority',
+        isVerified: true
+      });
+      const authorityToken = generateToken(authority._id);
+
+      const blocked = await request(app)
+        .get('/api/incidents')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(403);
+      expect(blocked.body.twoFactorSetupRequired).toBe(true);
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(200);
+      expect(me.body.data.user.twoFactor.setupRequired).toBe(true);
+
+      await enroll(authorityToken);
+      await request(app)
+        .get('/api/incidents')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .expect(200);
+
+      // Required roles cannot opt out
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${authorityToken}`)
+        .send({ password: 'password123', code: '000000' })
+        .expect(403);
+    });
+
+    it('should stop admins requiring 2FA for their own role before enrolling', async () => {
+      await request(app)
+        .put('/api/admin/security-policy')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ twoFactorRequiredRoles: ['admin'] })
+        .expect(400);
+    });
+
+    it('should let admins reset a user who lost their device', async () => {
+      await enroll();
+
+      await request(app)
+        .delete(`/api/admin/users/${user._id}/2fa`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const { body } = await startLogin();
+      expect(body.data.twoFactorRequired).toBeUndefined();
+      expect(body.data.token).toBeDefined();
+    });
+  });
+});
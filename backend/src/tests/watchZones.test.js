@@ -0,0 +1,209 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Incident = require('../models/Incident');
+const WatchZone = require('../models/WatchZone');
+const IncidentStatusHistory = require('../models/IncidentStatusHistory');
+const WatchZoneService = require('../services/watchZoneService');
+const { generateToken } = require('../middleware/auth');
+
+describe('Watch Zones', () => {
+  let watcher;
+  let reporter;
+  let watcherToken;
+  let reporterToken;
+
+  const HOME = [28.0473, -26.2041];
+  const NEAR_HOME = [28.05, -26.205];
+  const CAPE_TOWN = [18.4241, -33.9249];
+
+  const school = {
+    type: 'Polygon',
+    coordinates: [[[18.40, -33.95], [18.45, -33.95], [18.45, -33.90], [18.40, -33.90]]]
+  };
+
+  const createZone = (body) => request(app)
+    .post('/api/auth/watch-zones')
+    .set('Authorization', `Bearer ${watcherToken}`)
+    .send(body);
+
+  // Watchers are notified after the response is sent, so wait for that to finish
+  const reportIncident = async (coordinates, fields = {}) => {
+    const notify = jest.spyOn(WatchZoneService, 'notifySafely');
+    try {
+      const response = await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${reporterToken}`)
+        .send({
+          title: 'Watched Incident',
+          description: 'Incident used to exercise watch zone matching',
+          type: 'theft',
+          severity: 'medium',
+          location: { coordinates },
+          ...fields
+        })
+        .expect(201);
+      await Promise.all(notify.mock.results.map(result => result.value));
+      return response;
+    } finally {
+      notify.mockRestore();
+    }
+  };
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/securepath-test');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Incident.deleteMany({});
+    await WatchZone.deleteMany({});
+    await IncidentStatusHistory.collection.deleteMany({});
+    global.broadcastToUsers = jest.fn();
+
+    watcher = await User.create({
+      firstName: 'Wanda',
+      lastName: 'Watcher',
+      email: 'watcher@example.com',
+      password: 'password123',
+      role: 'citizen',
+      isVerified: true
+    });
+    reporter = await User.create({
+      firstName: 'Ray',
+      lastName: 'Reporter',
+      email: 'reporter@example.com',
+      password: 'password123',
+      role: 'citizen',
+      isVerified: true
+    });
+
+    watcherToken = generateToken(watcher._id);
+    reporterToken = generateToken(reporter._id);
+  });
+
+  afterEach(() => {
+    delete global.broadcastToUsers;
+  });
+
+  describe('CRUD', () => {
+    it('should create, list, update and delete circles and polygons', async () => {
+      const circle = await createZone({ name: 'Home', area: { type: 'Point', coordinates: HOME, radius: 2 } })
+        .expect(201);
+      const polygon = await createZone({ name: 'School', area: school, types: ['assault'], minSeverity: 'high' })
+        .expect(201);
+
+      // Rings are closed for storage
+      const ring = polygon.body.data.zone.area.coordinates[0];
+      expect(ring[ring.length - 1]).toEqual(ring[0]);
+
+      const list = await request(app)
+        .get('/api/auth/watch-zones')
+        .set('Authorization', `Bearer ${watcherToken}`)
+        .expect(200);
+      expect(list.body.data.zones.map(zone => zone.name)).toEqual(['Home', 'School']);
+
+      const updated = await request(app)
+        .put(`/api/auth/watch-zones/${circle.body.data.zone._id}`)
+        .set('Authorization', `Bearer ${watcherToken}`)
+        .send({ name: 'Home sweet home', area: { type: 'Point', coordinates: HOME, radius: 5 } })
+        .expect(200);
+      expect(updated.body.data.zone.radius).toBe(5);
+
+      await request(app)
+        .delete(`/api/auth/watch-zones/${polygon.body.data.zone._id}`)
+        .set('Authorization', `Bearer ${watcherToken}`)
+        .expect(200);
+      expect(await WatchZone.countDocuments()).toBe(1);
+    });
+
+    it('should validate areas and enforce the per-user limit', async () => {
+      await createZone({ name: 'No radius', area: { type: 'Point', coordinates: HOME } }).expect(400);
+      await createZone({ name: 'Too big', area: { type: 'Point', coordinates: HOME, radius: 500 } }).expect(400);
+      await createZone({ name: 'Line', area: { type: 'Polygon', coordinates: [[HOME, NEAR_HOME]] } }).expect(400);
+
+      for (let i = 0; i < WatchZoneService.MAX_ZONES_PER_USER; i++) {
+        await createZone({ name: `Zone ${i}`, area: { type: 'Point', coordinates: HOME, radius: 1 } }).expect(201);
+      }
+      await createZone({ name: 'One too many', area: { type: 'Point', coordinates: HOME, radius: 1 } }).expect(400);
+    });
+
+    it('should not expose other users\' zones', async () => {
+      const zone = await createZone({ name: 'Home', area: { type: 'Point', coordinates: HOME, radius: 2 } })
+        .expect(201);
+
+      await request(app)
+        .put(`/api/auth/watch-zones/${zone.body.data.zone._id}`)
+        .set('Authorization', `Bearer ${reporterToken}`)
+        .send({ name: 'Mine now' })
+        .expect(404);
+
+      await request(app)
+        .delete(`/api/auth/watch-zones/${zone.body.data.zone._id}`)
+        .set('Authorization', `Bearer ${reporterToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('Notifications', () => {
+    it('should notify owners of matching zones when an incident is reported', async () => {
+      await createZone({ name: 'Home', area: { type: 'Point', coordinates: HOME, radius: 2 } }).expect(201);
+      await createZone({ name: 'School', area: school }).expect(201);
+
+      const { body } = await reportIncident(NEAR_HOME);
+
+      expect(global.broadcastToUsers).toHaveBeenCalledTimes(1);
+      const [userIds, event, payload] = global.broadcastToUsers.mock.calls[0];
+      expect(userIds).toEqual([watcher._id.toString()]);
+      expect(event).toBe('watch-zone:incident');
+      expect(payload.incident._id.toString()).toBe(body.data.incident._id);
+      expect(payload.zones.map(zone => zone.name)).toEqual(['Home']);
+
+      await reportIncident(CAPE_TOWN);
+      expect(global.broadcastToUsers).toHaveBeenCalledTimes(2);
+      expect(global.broadcastToUsers.mock.calls[1][2].zones.map(zone => zone.name)).toEqual(['School']);
+    });
+
+    it('should respect incident types, minimum severity and paused zones', async () => {
+      const home = await createZone({
+        name: 'Home',
+        area: { type: 'Point', coordinates: HOME, radius: 2 },
+        types: ['assault'],
+        minSeverity: 'high'
+      }).expect(201);
+
+      await reportIncident(NEAR_HOME, { type: 'theft', severity: 'critical' });
+      await reportIncident(NEAR_HOME, { type: 'assault', severity: 'medium' });
+      expect(global.broadcastToUsers).not.toHaveBeenCalled();
+
+      await reportIncident(NEAR_HOME, { type: 'assault', severity: 'high' });
+      expect(global.broadcastToUsers).toHaveBeenCalledTimes(1);
+
+      await request(app)
+        .put(`/api/auth/watch-zones/${home.body.data.zone._id}`)
+        .set('Authorization', `Bearer ${watcherToken}`)
+        .send({ isActive: false })
+        .expect(200);
+
+      await reportIncident(NEAR_HOME, { type: 'assault', severity: 'critical' });
+      expect(global.broadcastToUsers).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not notify reporters about their own incidents', async () => {
+      await request(app)
+        .post('/api/auth/watch-zones')
+        .set('Authorization', `Bearer ${reporterToken}`)
+        .send({ name: 'Home', area: { type: 'Point', coordinates: HOME, radius: 2 } })
+        .expect(201);
+
+      await reportIncident(NEAR_HOME);
+      expect(global.broadcastToUsers).not.toHaveBeenCalled();
+    });
+  });
+});
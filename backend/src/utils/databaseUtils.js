@@ -1,21 +1,38 @@
 const mongoose = require('mongoose');
 const fs = require('fs').promises;
 const path = require('path');
-const { exec } = require('child_process');
+const { exec, execFile } = require('child_process');
 const util = require('util');
+const { AppError, ERROR_CODES, ERROR_SEVERITY } = require('./errorHandler');
 const logger = require('../config/logger');
 
 const execAsync = util.promisify(exec);
+const execFileAsync = util.promisify(execFile);
+
+// Backups are Extended JSON so ObjectIds and Dates survive a round trip
+const { EJSON } = mongoose.mongo.BSON;
+
+const BACKUP_PREFIX = 'securepath_backup_';
+const BACKUP_NAME_PATTERN = /^securepath_backup_[0-9A-Za-z_-]+(\.tar\.gz)?$/;
+const RESTORE_MODES = ['insert', 'upsert', 'replace'];
+
+// Detail rows kept per collection in a restore report
+const REPORT_LIMIT = 100;
+const LOOKUP_BATCH_SIZE = 1000;
 
 /**
  * Database Utilities for MongoDB backup, monitoring, and maintenance
  */
 class DatabaseUtils {
   constructor() {
-    this.backupDir = process.env.BACKUP_PATH || path.join(__dirname, '../../backups');
+    this.restoreInProgress = false;
     this.ensureBackupDirectory();
   }
 
+  get backupDir() {
+    return process.env.BACKUP_PATH || path.join(__dirname, '../../backups');
+  }
+
   /**
    * Ensure backup directory exists
    */
@@ -31,19 +48,31 @@ class DatabaseUtils {
   }
 
   /**
-   * Create a full database backup
+   * Create a database backup. Incremental backups only hold documents whose
+   * updatedAt is after the previous backup started, and name that backup as
+   * their base; deletions are not captured, so restore from a full backup
+   * when documents were removed.
    */
   async createBackup(options = {}) {
     const { 
       includeCollections = ['incidents', 'users', 'alerts', 'locations'],
       format = 'json',
-      compress = true 
+      compress = true,
+      incremental = false
     } = options;
 
     try {
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const backupName = `securepath_backup_${timestamp}`;
+      const startedAt = new Date();
+      const base = incremental ? await this.getLatestBackup() : null;
+      if (incremental && !base) {
+        logger.warn('No previous backup to build on; creating a full backup instead');
+      }
+
+      const timestamp = startedAt.toISOString().replace(/[:.]/g, '-');
+      const backupName = `${BACKUP_PREFIX}${timestamp}${base ? '_incremental' : ''}`;
       const backupPath = path.join(this.backupDir, backupName);
+      const since = base ? new Date(base.metadata.timestamp) : null;
+      const query = since ? { updatedAt: { $gte: since } } : {};
 
       // Ensure backup directory exists
       await this.ensureBackupDirectory();
@@ -54,9 +83,13 @@ class DatabaseUtils {
       const dbName = this.extractDbNameFromUri(mongoUri);
 
       const backupResults = {
-        timestamp: new Date(),
+        timestamp: startedAt,
         backupName,
         backupPath,
+        type: base ? 'incremental' : 'full',
+        since,
+        baseBackup: base ? base.name.replace(/\.tar\.gz$/, '') : null,
+        format: 'ejson',
         collections: {},
         totalDocuments: 0,
         size: 0,
@@ -67,11 +100,11 @@ class DatabaseUtils {
       for (const collectionName of includeCollections) {
         try {
           const collection = mongoose.connection.db.collection(collectionName);
-          const documents = await collection.find({}).toArray();
+          const documents = await collection.find(query).toArray();
           
           if (documents.length > 0) {
             const collectionFile = path.join(backupPath, `${collectionName}.json`);
-            await fs.writeFile(collectionFile, JSON.stringify(documents, null, 2));
+            await fs.writeFile(collectionFile, EJSON.stringify(documents, null, 2, { relaxed: true }));
             
             const stats = await fs.stat(collectionFile);
             backupResults.collections[collectionName] = {
@@ -99,7 +132,8 @@ class DatabaseUtils {
         }
       }
 
-      // Create backup metadata
+      // Create backup metadata; the dump is complete at this point even if compression fails
+      backupResults.success = true;
       const metadataFile = path.join(backupPath, 'metadata.json');
       await fs.writeFile(metadataFile, JSON.stringify(backupResults, null, 2));
 
@@ -126,7 +160,6 @@ class DatabaseUtils {
         }
       }
 
-      backupResults.success = true;
       logger.info('Database backup completed successfully:', backupName);
       
       return backupResults;
@@ -137,111 +170,400 @@ class DatabaseUtils {
   }
 
   /**
-   * Restore database from backup
+   * Resolve a listed backup by name, with or without .tar.gz
+   * @throws {AppError} 404 for names that are not listed backups
    */
-  async restoreBackup(backupPath, options = {}) {
-    const { 
-      collections = null, // null means restore all
-      dropExisting = false 
-    } = options;
+  async findBackup(name) {
+    if (!BACKUP_NAME_PATTERN.test(name || '')) {
+      throw new AppError('Backup not found.', 404, ERROR_CODES.RESOURCE_NOT_FOUND, ERROR_SEVERITY.LOW);
+    }
+
+    const baseName = name.replace(/\.tar\.gz$/, '');
+    const backups = await this.listBackups();
+    const backup = backups.find(item => item.name === baseName) ||
+      backups.find(item => item.name === `${baseName}.tar.gz`);
+    if (!backup || !backup.metadata || !backup.metadata.timestamp) {
+      throw new AppError('Backup not found.', 404, ERROR_CODES.RESOURCE_NOT_FOUND, ERROR_SEVERITY.LOW);
+    }
+    return backup;
+  }
+
+  /**
+   * Most recent backup with readable metadata, the base for the next incremental backup
+   */
+  async getLatestBackup() {
+    const backups = (await this.listBackups()).filter(item => item.metadata && item.metadata.timestamp);
+    backups.sort((a, b) => new Date(b.metadata.timestamp) - new Date(a.metadata.timestamp));
+    return backups[0] || null;
+  }
+
+  /**
+   * Backups needed to restore the state at a backup: the full backup it
+   * builds on followed by every incremental backup up to and including it
+   * @returns {Array} Backups, oldest first
+   * @throws {AppError} 409 when a base backup was deleted
+   */
+  async resolveRestoreChain(name) {
+    const chain = [await this.findBackup(name)];
+
+    while (chain[0].metadata.type === 'incremental') {
+      const baseName = chain[0].metadata.baseBackup;
+      try {
+        chain.unshift(await this.findBackup(baseName));
+      } catch {
+        throw new AppError(
+          `Backup ${chain[0].name} builds on ${baseName}, which no longer exists.`,
+          409,
+          ERROR_CODES.RESOURCE_CORRUPTED,
+          ERROR_SEVERITY.MEDIUM
+        );
+      }
+    }
+
+    return chain;
+  }
+
+  /**
+   * Read the documents of the given collections from one backup
+   * @returns {Object} { collectionName: [documents] }
+   */
+  async readBackupCollections(backup, collectionNames) {
+    let directory = backup.path;
+    let tempDir = null;
+
+    if (backup.name.endsWith('.tar.gz')) {
+      tempDir = await fs.mkdtemp(path.join(this.backupDir, 'restore_'));
+      await execFileAsync('tar', ['-xzf', backup.path, '-C', tempDir]);
+      directory = path.join(tempDir, backup.name.replace(/\.tar\.gz$/, ''));
+    }
 
     try {
-      // Extract compressed backup if needed
-      let extractedPath = backupPath;
-      if (backupPath.endsWith('.tar.gz')) {
-        const extractDir = path.join(this.backupDir, 'temp_restore');
-        await fs.mkdir(extractDir, { recursive: true });
-        
-        await execAsync(`tar -xzf "${backupPath}" -C "${extractDir}"`);
-        
-        // Find the extracted backup directory
-        const extractedContents = await fs.readdir(extractDir);
-        extractedPath = path.join(extractDir, extractedContents[0]);
+      const documents = {};
+      for (const collectionName of collectionNames) {
+        const collectionFile = path.join(directory, `${collectionName}.json`);
+        try {
+          // Backups made before Extended JSON hold plain JSON, which EJSON also parses
+          documents[collectionName] = EJSON.parse(await fs.readFile(collectionFile, 'utf8'), { relaxed: true });
+        } catch (error) {
+          if (error.code !== 'ENOENT') {throw error;}
+          documents[collectionName] = [];
+        }
       }
+      return documents;
+    } finally {
+      if (tempDir) {
+        await fs.rm(tempDir, { recursive: true, force: true });
+      }
+    }
+  }
 
-      // Read metadata
-      const metadataFile = path.join(extractedPath, 'metadata.json');
-      const metadata = JSON.parse(await fs.readFile(metadataFile, 'utf8'));
+  /**
+   * Mongoose model stored in a collection, used to validate restored documents
+   */
+  getModelForCollection(collectionName) {
+    return mongoose.modelNames()
+      .map(name => mongoose.model(name))
+      .find(model => model.collection.collectionName === collectionName) || null;
+  }
 
-      const restoreResults = {
-        timestamp: new Date(),
-        backupTimestamp: metadata.timestamp,
-        collections: {},
-        totalDocuments: 0,
-        success: false
-      };
+  /**
+   * Check documents against the model's current schema. Casting also turns
+   * the strings in plain JSON backups back into ObjectIds and Dates.
+   * @returns {Object} { valid: [plain documents], invalid: [{ _id, errors }] }
+   */
+  async validateDocuments(Model, documents) {
+    const valid = [];
+    const invalid = [];
 
-      // Get collections to restore
-      const collectionsToRestore = collections || Object.keys(metadata.collections);
+    for (const raw of documents) {
+      const doc = new Model(raw);
+      try {
+        await doc.validate();
+        valid.push(doc.toObject({ transform: false, virtuals: false, getters: false, depopulate: true }));
+      } catch (error) {
+        invalid.push({
+          _id: raw._id ? String(raw._id) : null,
+          errors: error.errors
+            ? Object.fromEntries(Object.entries(error.errors).map(([field, err]) => [field, err.message]))
+            : { document: error.message }
+        });
+      }
+    }
 
-      for (const collectionName of collectionsToRestore) {
-        try {
-          const collectionFile = path.join(extractedPath, `${collectionName}.json`);
-          
-          // Check if collection file exists
-          await fs.access(collectionFile);
-          
-          // Read collection data
-          const documents = JSON.parse(await fs.readFile(collectionFile, 'utf8'));
-          
-          if (documents.length > 0) {
-            const collection = mongoose.connection.db.collection(collectionName);
-            
-            // Drop existing collection if requested
-            if (dropExisting) {
-              try {
-                await collection.drop();
-                logger.info(`Dropped existing collection: ${collectionName}`);
-              } catch (error) {
-                // Collection might not exist, which is fine
-                if (error.code !== 26) { // NamespaceNotFound
-                  throw error;
-                }
-              }
-            }
+    return { valid, invalid };
+  }
 
-            // Insert documents
-            const result = await collection.insertMany(documents, { ordered: false });
-            
-            restoreResults.collections[collectionName] = {
-              documents: result.insertedCount,
-              success: true
-            };
-            restoreResults.totalDocuments += result.insertedCount;
-            
-            logger.info(`Restored ${collectionName}: ${result.insertedCount} documents`);
-          } else {
-            restoreResults.collections[collectionName] = {
-              documents: 0,
-              success: true
-            };
+  /**
+   * Find backup documents that clash with what is in the database: an
+   * existing document with the same _id, or another document holding a
+   * value of a unique index
+   * @returns {Object} { existingIds: Set, conflicts: [{ _id, type, field, value }] }
+   */
+  async findConflicts(Model, documents) {
+    const existingIds = new Set();
+    const conflicts = [];
+
+    for (let i = 0; i < documents.length; i += LOOKUP_BATCH_SIZE) {
+      const ids = documents.slice(i, i + LOOKUP_BATCH_SIZE).map(doc => doc._id);
+      const existing = await Model.collection.find({ _id: { $in: ids } }, { projection: { _id: 1 } }).toArray();
+      existing.forEach(doc => existingIds.add(String(doc._id)));
+    }
+
+    // Single-field unique indexes; compound and partial ones surface as duplicate key errors on insert
+    const uniqueFields = Model.schema.indexes()
+      .filter(([fields, options]) => options && options.unique && !options.partialFilterExpression &&
+        Object.keys(fields).length === 1)
+      .map(([fields]) => Object.keys(fields)[0]);
+
+    for (const field of uniqueFields) {
+      const withValue = documents.filter(doc => doc[field] !== undefined && doc[field] !== null);
+      for (let i = 0; i < withValue.length; i += LOOKUP_BATCH_SIZE) {
+        const batch = withValue.slice(i, i + LOOKUP_BATCH_SIZE);
+        const holders = await Model.collection.find(
+          { [field]: { $in: batch.map(doc => doc[field]) } },
+          { projection: { _id: 1, [field]: 1 } }
+        ).toArray();
+        const holderByValue = new Map(holders.map(doc => [String(doc[field]), String(doc._id)]));
+
+        batch.forEach(doc => {
+          const holder = holderByValue.get(String(doc[field]));
+          if (holder && holder !== String(doc._id)) {
+            conflicts.push({ _id: String(doc._id), type: 'unique', field, value: doc[field], existingId: holder });
           }
-        } catch (error) {
-          logger.error(`Error restoring collection ${collectionName}:`, error);
-          restoreResults.collections[collectionName] = {
-            error: error.message,
-            success: false
-          };
-        }
+        });
       }
+    }
+
+    return { existingIds, conflicts };
+  }
+
+  /**
+   * Validate and (unless dryRun) restore collections to the state of a backup.
+   * Modes: insert adds documents that are not in the database and reports
+   * those that are as conflicts; upsert also replaces existing documents with
+   * the backed-up version; replace empties each collection first, and is
+   * refused for collections with invalid documents unless forced.
+   * @param {string} name - Backup name
+   * @param {Object} options - { collections, mode, dryRun, force }
+   * @returns {Object} Restore report per collection
+   */
+  async restoreBackup(name, options = {}) {
+    const {
+      collections = null, // null means every collection in the backup
+      mode = 'insert',
+      dryRun = true,
+      force = false // replace even when invalid documents would be lost
+    } = options;
+
+    if (!RESTORE_MODES.includes(mode)) {
+      throw new AppError(`Unknown restore mode: ${mode}.`, 400, ERROR_CODES.VALIDATION_ERROR, ERROR_SEVERITY.LOW);
+    }
+    if (!dryRun && this.restoreInProgress) {
+      throw new AppError('Another restore is in progress.', 409, ERROR_CODES.RESOURCE_LOCKED, ERROR_SEVERITY.LOW);
+    }
 
-      // Cleanup temporary extraction directory if used
-      if (backupPath.endsWith('.tar.gz')) {
-        const tempDir = path.dirname(extractedPath);
-        await fs.rmdir(tempDir, { recursive: true });
+    const chain = await this.resolveRestoreChain(name);
+    const target = chain[chain.length - 1];
+    const available = [...new Set(chain.flatMap(backup => Object.keys(backup.metadata.collections || {})))];
+    const collectionNames = collections || available;
+
+    const missing = collectionNames.filter(collectionName => !available.includes(collectionName));
+    if (missing.length > 0) {
+      throw new AppError(
+        `Not in this backup: ${missing.join(', ')}.`,
+        400,
+        ERROR_CODES.VALIDATION_ERROR,
+        ERROR_SEVERITY.LOW
+      );
+    }
+
+    if (!dryRun) {this.restoreInProgress = true;}
+    try {
+      // Later backups in the chain hold newer versions of the same documents
+      const merged = Object.fromEntries(collectionNames.map(collectionName => [collectionName, new Map()]));
+      for (const backup of chain) {
+        const documents = await this.readBackupCollections(backup, collectionNames);
+        collectionNames.forEach(collectionName => {
+          documents[collectionName].forEach(doc => merged[collectionName].set(String(doc._id), doc));
+        });
       }
 
-      restoreResults.success = Object.values(restoreResults.collections)
-        .every(col => col.success !== false);
+      const report = {
+        backup: target.name,
+        backupTimestamp: target.metadata.timestamp,
+        chain: chain.map(backup => backup.name),
+        mode,
+        dryRun,
+        collections: {},
+        totalDocuments: 0,
+        totalRestored: 0,
+        success: true
+      };
 
-      logger.info('Database restore completed:', restoreResults);
-      return restoreResults;
+      for (const collectionName of collectionNames) {
+        report.collections[collectionName] = await this.restoreCollection(
+          collectionName,
+          [...merged[collectionName].values()],
+          { mode, dryRun, force }
+        );
+        report.totalDocuments += report.collections[collectionName].documents;
+        report.totalRestored += report.collections[collectionName].restored || 0;
+        if (report.collections[collectionName].error) {report.success = false;}
+      }
+
+      logger.info(dryRun ? 'Database restore dry run completed:' : 'Database restore completed:', {
+        backup: report.backup,
+        mode,
+        totalDocuments: report.totalDocuments,
+        totalRestored: report.totalRestored
+      });
+      return report;
     } catch (error) {
+      if (error instanceof AppError) {throw error;}
       logger.error('Database restore failed:', error);
       throw new Error(`Restore failed: ${error.message}`);
+    } finally {
+      if (!dryRun) {this.restoreInProgress = false;}
+    }
+  }
+
+  /**
+   * Validate, check for conflicts and write one collection
+   * @returns {Object} Collection report
+   */
+  async restoreCollection(collectionName, documents, { mode, dryRun, force = false }) {
+    const result = { documents: documents.length };
+
+    const Model = this.getModelForCollection(collectionName);
+    if (!Model) {
+      return { ...result, error: 'No schema to validate this collection against; not restored.' };
+    }
+
+    const { valid, invalid } = await this.validateDocuments(Model, documents);
+    const { existingIds, conflicts } = mode === 'replace'
+      ? { existingIds: new Set(), conflicts: [] }
+      : await this.findConflicts(Model, valid);
+
+    if (mode === 'insert') {
+      valid.filter(doc => existingIds.has(String(doc._id))).forEach(doc => {
+        conflicts.push({ _id: String(doc._id), type: 'exists' });
+      });
+    }
+
+    const blocked = new Set(conflicts.map(conflict => conflict._id));
+    const toWrite = valid.filter(doc => !blocked.has(String(doc._id)));
+    const toReplace = mode === 'upsert' ? toWrite.filter(doc => existingIds.has(String(doc._id))).length : 0;
+
+    Object.assign(result, {
+      valid: valid.length,
+      invalid: invalid.length,
+      conflictCount: conflicts.length,
+      toInsert: toWrite.length - toReplace,
+      toReplace,
+      toRemove: mode === 'replace' ? await Model.collection.countDocuments() : 0,
+      errors: invalid.slice(0, REPORT_LIMIT),
+      conflicts: conflicts.slice(0, REPORT_LIMIT)
+    });
+
+    // A replace empties the collection, so invalid documents would be gone for good
+    if (mode === 'replace' && invalid.length > 0 && !force) {
+      result.error = `${invalid.length} documents fail validation and would be lost; fix the backup or restore with force.`;
+      return result;
+    }
+
+    if (dryRun) {return result;}
+
+    if (mode === 'replace') {
+      await this.replaceDocuments(Model, toWrite, result);
+    } else {
+      result.restored = await this.writeDocuments(Model, toWrite, mode, result);
+      result.removed = 0;
+    }
+    logger.info(`Restored ${collectionName}: ${result.restored} documents (${mode})`);
+    return result;
+  }
+
+  /**
+   * Insert or upsert documents, recording duplicate keys on indexes the
+   * conflict check does not cover as conflicts
+   * @returns {number} Documents written
+   */
+  async writeDocuments(Model, documents, mode, result) {
+    if (documents.length === 0) {return 0;}
+
+    try {
+      if (mode === 'upsert') {
+        const write = await Model.collection.bulkWrite(
+          documents.map(doc => ({ replaceOne: { filter: { _id: doc._id }, replacement: doc, upsert: true } })),
+          { ordered: false }
+        );
+        return write.upsertedCount + write.matchedCount;
+      }
+      return (await Model.collection.insertMany(documents, { ordered: false })).insertedCount;
+    } catch (error) {
+      if (!error.writeErrors) {throw error;}
+      // The other documents were written
+      this.recordWriteErrors(error, documents, result);
+      const written = error.result || {};
+      return (written.insertedCount || 0) + (written.upsertedCount || 0) + (written.matchedCount || 0);
     }
   }
 
+  /**
+   * Empty a collection and insert the backed-up documents. On a replica set
+   * both happen in one transaction, so a failed insert leaves the collection
+   * as it was; standalone servers have no transactions.
+   */
+  async replaceDocuments(Model, documents, result) {
+    if (!(await this.supportsTransactions())) {
+      logger.warn(`Replacing ${Model.collection.collectionName} without a transaction; the server is not a replica set`);
+      await Model.collection.deleteMany({});
+      result.removed = result.toRemove;
+      result.restored = await this.writeDocuments(Model, documents, 'insert', result);
+      return;
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        await Model.collection.deleteMany({}, { session });
+        if (documents.length > 0) {
+          await Model.collection.insertMany(documents, { session });
+        }
+      });
+      result.removed = result.toRemove;
+      result.restored = documents.length;
+    } catch (error) {
+      if (!error.writeErrors) {throw error;}
+      this.recordWriteErrors(error, documents, result);
+      result.removed = 0;
+      result.restored = 0;
+      result.error = 'Duplicate keys in the backup; the collection was left unchanged.';
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  recordWriteErrors(error, documents, result) {
+    [].concat(error.writeErrors).forEach(writeError => {
+      const failed = documents[writeError.index];
+      result.conflicts.push({
+        _id: failed ? String(failed._id) : null,
+        type: 'duplicate_key',
+        message: writeError.errmsg
+      });
+      result.conflictCount += 1;
+    });
+  }
+
+  /**
+   * Whether the server runs transactions (replica sets and sharded clusters)
+   */
+  async supportsTransactions() {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    return Boolean(hello.setName) || hello.msg === 'isdbgrid';
+  }
+
   /**
    * Get database health status
    */
@@ -376,19 +698,19 @@ class DatabaseUtils {
       const backups = [];
 
       for (const file of backupFiles) {
-        if (file.startsWith('securepath_backup_')) {
+        if (file.startsWith(BACKUP_PREFIX)) {
           const filePath = path.join(this.backupDir, file);
           const stats = await fs.stat(filePath);
           
           let metadata = null;
           try {
             if (file.endsWith('.tar.gz')) {
-              // For compressed backups, we'd need to extract to read metadata
-              // For now, just provide basic info
-              metadata = {
-                compressed: true,
-                size: stats.size
-              };
+              // Read metadata.json straight out of the archive
+              const { stdout } = await execFileAsync(
+                'tar',
+                ['-xzOf', filePath, `${file.replace(/\.tar\.gz$/, '')}/metadata.json`]
+              );
+              metadata = { ...JSON.parse(stdout), compressed: true, compressedSize: stats.size };
             } else if (stats.isDirectory()) {
               const metadataFile = path.join(filePath, 'metadata.json');
               const metadataContent = await fs.readFile(metadataFile, 'utf8');
@@ -0,0 +1,97 @@
+/**
+ * Email templates. Each returns { subject, text, html } for MailService.
+ */
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatLabel = (value) => String(value || '').replace(/_/g, ' ');
+
+// Shared wrapper so every message looks the same
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #1f2937; max-width: 600px; margin: 0 auto;">
+    <h2 style="color: #1d4ed8;">${escapeHtml(title)}</h2>
+    ${body}
+    <p style="color: #6b7280; font-size: 12px; margin-top: 32px;">
+      SecurePath community safety. You can change which emails you receive in your profile settings.
+    </p>
+  </body>
+</html>`;
+
+const button = (link, label) =>
+  `<p><a href="${escapeHtml(link)}" style="background: #1d4ed8; color: #fff; padding: 10px 16px; border-radius: 6px; text-decoration: none;">${escapeHtml(label)}</a></p>`;
+
+const verifyEmail = ({ firstName, link }) => ({
+  subject: 'Verify your SecurePath email address',
+  text: `Hi ${firstName},\n\nConfirm your email address by opening this link within 24 hours:\n${link}\n`,
+  html: layout('Verify your email', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>Confirm your email address to finish setting up your account. The link expires in 24 hours.</p>
+    ${button(link, 'Verify email')}`)
+});
+
+const passwordReset = ({ firstName, link, expiresMinutes }) => ({
+  subject: 'Reset your SecurePath password',
+  text: `Hi ${firstName},\n\nSomeone asked to reset your password. Open this link within ${expiresMinutes} minutes to choose a new one:\n${link}\n\nIf it wasn't you, ignore this email.\n`,
+  html: layout('Reset your password', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>Someone asked to reset your password. The link expires in ${escapeHtml(expiresMinutes)} minutes.</p>
+    ${button(link, 'Choose a new password')}
+    <p>If it wasn't you, ignore this email; your password has not changed.</p>`)
+});
+
+const accountUnlock = ({ firstName, link }) => ({
+  subject: 'Unlock your SecurePath account',
+  text: `Hi ${firstName},\n\nYour account was locked after several failed sign-in attempts. Open this link to unlock it:\n${link}\n\nIf these attempts weren't you, change your password after unlocking.\n`,
+  html: layout('Unlock your account', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>Your account was locked after several failed sign-in attempts.</p>
+    ${button(link, 'Unlock account')}
+    <p>If these attempts weren't you, change your password after unlocking.</p>`)
+});
+
+const urgentAlert = ({ firstName, alert, link }) => ({
+  subject: `[${String(alert.priority).toUpperCase()}] ${alert.title}`,
+  text: `Hi ${firstName},\n\n${alert.title}\n\n${alert.message}\n\nDetails: ${link}\n`,
+  html: layout(alert.title, `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p style="padding: 12px; background: #fef2f2; border-left: 4px solid #dc2626;">${escapeHtml(alert.message)}</p>
+    ${button(link, 'View alert')}`)
+});
+
+const incidentDigest = ({ firstName, frequency, incidents, radiusKm, link }) => {
+  const period = frequency === 'weekly' ? 'this week' : 'today';
+  const lines = incidents.map(incident =>
+    `- [${incident.severity}] ${incident.title} (${formatLabel(incident.type)}, ${formatLabel(incident.status)})`);
+  const rows = incidents.map(incident => `
+      <tr>
+        <td style="padding: 4px 8px;">${escapeHtml(incident.severity)}</td>
+        <td style="padding: 4px 8px;">${escapeHtml(incident.title)}</td>
+        <td style="padding: 4px 8px;">${escapeHtml(formatLabel(incident.type))}</td>
+        <td style="padding: 4px 8px;">${escapeHtml(formatLabel(incident.status))}</td>
+      </tr>`).join('');
+
+  return {
+    subject: `${incidents.length} incident${incidents.length === 1 ? '' : 's'} near you ${period}`,
+    text: `Hi ${firstName},\n\nIncidents reported within ${radiusKm} km of your location ${period}:\n\n${lines.join('\n')}\n\nSee them on the map: ${link}\n`,
+    html: layout(`Incidents near you ${period}`, `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>Incidents reported within ${escapeHtml(radiusKm)} km of your location ${period}:</p>
+    <table style="border-collapse: collapse; width: 100%;">${rows}
+    </table>
+    ${button(link, 'Open the safety map')}`)
+  };
+};
+
+module.exports = {
+  verifyEmail,
+  passwordReset,
+  accountUnlock,
+  urgentAlert,
+  incidentDigest
+};
@@ -0,0 +1,264 @@
+/**
+ * GeoJSON, KML and GPX encoding for incidents, alert areas and routes,
+ * written so files load directly into QGIS, Google Earth and GPS units.
+ * Coordinates are [lng, lat] throughout, as stored.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+// Vertices used to draw a radius alert as a polygon
+const CIRCLE_SEGMENTS = 48;
+
+// KML colours are aabbggrr
+const SEVERITY_STYLES = {
+  low: 'ff00c000',
+  medium: 'ff00d7ff',
+  high: 'ff0080ff',
+  critical: 'ff0000ff'
+};
+const ALERT_STYLE = '660000ff';
+
+/**
+ * Escape text for XML element content and attributes
+ * @param {*} value - Any value; null and undefined become ''
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+const isoDate = (value) => (value ? new Date(value).toISOString() : null);
+
+const hasPoint = (location) => Array.isArray(location?.coordinates) &&
+  location.coordinates.length === 2 &&
+  location.coordinates.every(Number.isFinite);
+
+/**
+ * Approximate a circle as a closed GeoJSON polygon ring
+ * @param {Array} center - [lng, lat]
+ * @param {number} radiusKm - Radius in kilometres
+ * @returns {Array} Ring of [lng, lat] positions
+ */
+const circleRing = ([lng, lat], radiusKm) => {
+  const angularDistance = radiusKm / EARTH_RADIUS_KM;
+  const latRad = lat * Math.PI / 180;
+  const lngRad = lng * Math.PI / 180;
+  const ring = [];
+
+  for (let i = 0; i < CIRCLE_SEGMENTS; i++) {
+    const bearing = (2 * Math.PI * i) / CIRCLE_SEGMENTS;
+    const pointLat = Math.asin(
+      Math.sin(latRad) * Math.cos(angularDistance) +
+      Math.cos(latRad) * Math.sin(angularDistance) * Math.cos(bearing)
+    );
+    const pointLng = lngRad + Math.atan2(
+      Math.sin(bearing) * Math.sin(angularDistance) * Math.cos(latRad),
+      Math.cos(angularDistance) - Math.sin(latRad) * Math.sin(pointLat)
+    );
+    ring.push([
+      Math.round(pointLng * 180 / Math.PI * 1e6) / 1e6,
+      Math.round(pointLat * 180 / Math.PI * 1e6) / 1e6
+    ]);
+  }
+  ring.push(ring[0]);
+  return ring;
+};
+
+/**
+ * GeoJSON Feature for an incident; null for incidents without a location
+ */
+const incidentFeature = (incident) => {
+  if (!hasPoint(incident.location)) {
+    return null;
+  }
+  return {
+    type: 'Feature',
+    id: incident._id.toString(),
+    geometry: {
+      type: 'Point',
+      coordinates: incident.location.coordinates
+    },
+    properties: {
+      title: incident.title,
+      description: incident.description,
+      type: incident.type,
+      severity: incident.severity,
+      status: incident.status,
+      priority: incident.priority ?? null,
+      street: incident.location.address?.street || null,
+      city: incident.location.address?.city || null,
+      createdAt: isoDate(incident.createdAt),
+      updatedAt: isoDate(incident.updatedAt)
+    }
+  };
+};
+
+/**
+ * GeoJSON Feature for the area an alert was sent to: its geofence polygon,
+ * or its radius drawn as a polygon around the alert's point
+ */
+const alertFeature = (alert) => {
+  let geometry = null;
+  let area = null;
+
+  if (alert.geofence?.coordinates?.length) {
+    geometry = { type: 'Polygon', coordinates: alert.geofence.coordinates };
+    area = 'geofence';
+  } else if (alert.location?.type !== 'Polygon' && hasPoint(alert.location)) {
+    geometry = { type: 'Polygon', coordinates: [circleRing(alert.location.coordinates, alert.location.radius || 5)] };
+    area = 'radius';
+  }
+  if (!geometry) {
+    return null;
+  }
+
+  return {
+    type: 'Feature',
+    id: alert._id.toString(),
+    geometry,
+    properties: {
+      title: alert.title,
+      message: alert.message,
+      type: alert.type,
+      priority: alert.priority,
+      status: alert.status || null,
+      area,
+      radiusKm: area === 'radius' ? alert.location.radius || 5 : null,
+      city: alert.location?.address?.city || null,
+      createdAt: isoDate(alert.createdAt),
+      expiresAt: isoDate(alert.expiresAt)
+    }
+  };
+};
+
+const FEATURES = {
+  incidents: incidentFeature,
+  alerts: alertFeature
+};
+
+const kmlCoordinates = (positions) => positions.map(([lng, lat]) => `${lng},${lat}`).join(' ');
+
+const kmlExtendedData = (properties) => {
+  const data = Object.entries(properties)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => `<Data name="${escapeXml(name)}"><value>${escapeXml(value)}</value></Data>`)
+    .join('');
+  return `<ExtendedData>${data}</ExtendedData>`;
+};
+
+/**
+ * KML Placemark for a GeoJSON Feature from incidentFeature or alertFeature
+ */
+const kmlPlacemark = (feature) => {
+  const { properties, geometry } = feature;
+  const style = properties.severity ? `#severity-${properties.severity}` : '#alert-area';
+  const shape = geometry.type === 'Point'
+    ? `<Point><coordinates>${kmlCoordinates([geometry.coordinates])}</coordinates></Point>`
+    : `<Polygon>${geometry.coordinates.map((ring, index) => {
+      const boundary = index === 0 ? 'outerBoundaryIs' : 'innerBoundaryIs';
+      return `<${boundary}><LinearRing><coordinates>${kmlCoordinates(ring)}</coordinates></LinearRing></${boundary}>`;
+    }).join('')}</Polygon>`;
+
+  return [
+    `<Placemark id="${escapeXml(feature.id)}">`,
+    `<name>${escapeXml(properties.title)}</name>`,
+    `<description>${escapeXml(properties.description || properties.message)}</description>`,
+    properties.createdAt ? `<TimeStamp><when>${properties.createdAt}</when></TimeStamp>` : '',
+    `<styleUrl>${style}</styleUrl>`,
+    kmlExtendedData(properties),
+    shape,
+    '</Placemark>\n'
+  ].join('');
+};
+
+const kmlHeader = (name) => {
+  const styles = [
+    ...Object.entries(SEVERITY_STYLES).map(([severity, color]) =>
+      `<Style id="severity-${severity}"><IconStyle><color>${color}</color></IconStyle></Style>`),
+    `<Style id="alert-area"><LineStyle><color>ff0000ff</color><width>2</width></LineStyle><PolyStyle><color>${ALERT_STYLE}</color></PolyStyle></Style>`
+  ];
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>\n' +
+    `<name>${escapeXml(name)}</name>\n${styles.join('\n')}\n`;
+};
+
+const KML_FOOTER = '</Document></kml>\n';
+
+const gpxHeader = (name) => '<?xml version="1.0" encoding="UTF-8"?>\n' +
+  '<gpx version="1.1" creator="SecurePath" xmlns="http://www.topografix.com/GPX/1/1">\n' +
+  `<metadata><name>${escapeXml(name)}</name><time>${new Date().toISOString()}</time></metadata>\n`;
+
+const GPX_FOOTER = '</gpx>\n';
+
+/**
+ * GPX waypoint for an incident Feature
+ */
+const gpxWaypoint = (feature) => {
+  const [lng, lat] = feature.geometry.coordinates;
+  const { properties } = feature;
+  return [
+    `<wpt lat="${lat}" lon="${lng}">`,
+    properties.createdAt ? `<time>${properties.createdAt}</time>` : '',
+    `<name>${escapeXml(properties.title)}</name>`,
+    `<desc>${escapeXml(properties.description)}</desc>`,
+    `<type>${escapeXml([properties.type, properties.severity].filter(Boolean).join('/'))}</type>`,
+    '</wpt>\n'
+  ].join('');
+};
+
+/**
+ * GPX document for a route from RoutingService: the stops as waypoints,
+ * the turn-by-turn steps as a route and the road geometry as a track
+ * @param {Object} route - Route as returned by POST /api/maps/route
+ * @param {string} name - Document and route name
+ * @returns {string} GPX XML
+ */
+const routeToGpx = (route, name = 'SecurePath patrol route') => {
+  const stops = [
+    ['Origin', route.origin],
+    ...(route.waypoints || []).map((stop, index) => [`Waypoint ${index + 1}`, stop]),
+    ['Destination', route.destination]
+  ].filter(([, stop]) => hasPoint(stop));
+
+  const waypoints = stops.map(([label, stop]) => {
+    const [lng, lat] = stop.coordinates;
+    return `<wpt lat="${lat}" lon="${lng}"><name>${escapeXml(stop.name || label)}</name></wpt>\n`;
+  });
+
+  const routePoints = (route.steps || []).map(step => {
+    const [lng, lat] = step.maneuver.location;
+    return `<rtept lat="${lat}" lon="${lng}"><name>${escapeXml(step.name || step.maneuver.type)}</name>` +
+      `<desc>${escapeXml(step.instruction)}</desc></rtept>`;
+  });
+
+  const trackPoints = (route.geometry?.coordinates || []).map(([lng, lat]) => `<trkpt lat="${lat}" lon="${lng}"></trkpt>`);
+
+  return gpxHeader(name) +
+    waypoints.join('') +
+    `<rte><name>${escapeXml(name)}</name>` +
+    `<desc>${escapeXml(`${route.distanceText || ''} ${route.durationText || ''}`.trim())}</desc>\n${routePoints.join('\n')}\n</rte>\n` +
+    `<trk><name>${escapeXml(name)}</name><trkseg>\n${trackPoints.join('\n')}\n</trkseg></trk>\n` +
+    GPX_FOOTER;
+};
+
+module.exports = {
+  FEATURES,
+  escapeXml,
+  circleRing,
+  incidentFeature,
+  alertFeature,
+  kmlPlacemark,
+  kmlHeader,
+  KML_FOOTER,
+  gpxWaypoint,
+  gpxHeader,
+  GPX_FOOTER,
+  routeToGpx
+};
@@ -0,0 +1,301 @@
+/**
+ * Minimal PDF writer for server-generated reports: pages of text in the
+ * standard Helvetica fonts, filled and stroked shapes and JPEG images.
+ * Positions are in points from the top-left corner of the page.
+ */
+
+const zlib = require('zlib');
+
+const A4 = [595.28, 841.89];
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126, from the standard AFM files
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+const FONTS = {
+  regular: { name: 'F1', baseFont: 'Helvetica' },
+  bold: { name: 'F2', baseFont: 'Helvetica-Bold' }
+};
+
+// WinAnsiEncoding codes for the punctuation reports use outside Latin-1
+const WIN_ANSI = {
+  '–': [0x96, 556],
+  '—': [0x97, 1000],
+  '•': [0x95, 350],
+  '‘': [0x91, 222],
+  '’': [0x92, 222],
+  '“': [0x93, 333],
+  '”': [0x94, 333],
+  '…': [0x85, 1000],
+  '€': [0x80, 556]
+};
+
+/**
+ * WinAnsi byte and width of a character; characters the standard fonts
+ * cannot show become '?'
+ */
+const encodeChar = (char, font) => {
+  const code = char.charCodeAt(0);
+  if (code >= 32 && code <= 126) {return [code, WIDTHS[font][code - 32]];}
+  if (WIN_ANSI[char]) {return WIN_ANSI[char];}
+  if (code >= 0xa0 && code <= 0xff) {return [code, 556];}
+  return [63, WIDTHS[font][63 - 32]];
+};
+
+/**
+ * PDF literal string for text in WinAnsiEncoding
+ */
+const pdfString = (text, font = 'regular') => {
+  let body = '';
+  for (const char of String(text)) {
+    const [code] = encodeChar(char, font);
+    if (code === 0x28 || code === 0x29 || code === 0x5c) {
+      body += `\\${String.fromCharCode(code)}`;
+    } else if (code > 126) {
+      body += `\\${code.toString(8)}`;
+    } else {
+      body += String.fromCharCode(code);
+    }
+  }
+  return `(${body})`;
+};
+
+const num = (value) => Number(value.toFixed(2)).toString();
+
+/**
+ * PDF colour operands for a #rrggbb colour
+ */
+const rgb = (hex) => {
+  const value = parseInt(String(hex).replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(channel => num(channel / 255)).join(' ');
+};
+
+class PdfDocument {
+  /**
+   * @param {Object} options - { size: [width, height] in points, info: { Title, Author, Subject } }
+   */
+  constructor({ size = A4, info = {} } = {}) {
+    [this.width, this.height] = size;
+    this.info = info;
+    this.pages = [];
+    this.images = [];
+    this.current = null;
+  }
+
+  /**
+   * Start a new page; drawing goes to it until the next addPage
+   * @returns {number} Page index
+   */
+  addPage() {
+    this.current = [];
+    this.pages.push(this.current);
+    return this.pages.length - 1;
+  }
+
+  /**
+   * Draw on an earlier page, e.g. to add page numbers once the length is known
+   */
+  switchToPage(index) {
+    this.current = this.pages[index];
+  }
+
+  get pageCount() {
+    return this.pages.length;
+  }
+
+  /**
+   * Width of a line of text in points
+   */
+  widthOf(text, { font = 'regular', size = 10 } = {}) {
+    let units = 0;
+    for (const char of String(text)) {
+      units += encodeChar(char, font)[1];
+    }
+    return units * size / 1000;
+  }
+
+  /**
+   * Break text into lines no wider than width; long words are split
+   * @returns {Array<string>} Lines
+   */
+  wrap(text, width, options = {}) {
+    const lines = [];
+    for (const paragraph of String(text).split('\n')) {
+      let line = '';
+      for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (this.widthOf(candidate, options) <= width) {
+          line = candidate;
+          continue;
+        }
+        if (line) {lines.push(line);}
+        line = word;
+        while (this.widthOf(line, options) > width && line.length > 1) {
+          let cut = line.length - 1;
+          while (cut > 1 && this.widthOf(line.slice(0, cut), options) > width) {cut--;}
+          lines.push(line.slice(0, cut));
+          line = line.slice(cut);
+        }
+      }
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  /**
+   * Shorten text with an ellipsis to fit a width
+   */
+  truncate(text, width, options = {}) {
+    let value = String(text);
+    if (this.widthOf(value, options) <= width) {return value;}
+    while (value.length > 0 && this.widthOf(`${value}…`, options) > width) {
+      value = value.slice(0, -1);
+    }
+    return `${value}…`;
+  }
+
+  /**
+   * Draw one line of text with its top at y
+   * @param {Object} options - { font: 'regular'|'bold', size, color, align: 'left'|'center'|'right', width }
+   */
+  text(value, x, y, { font = 'regular', size = 10, color = '#000000', align = 'left', width = 0 } = {}) {
+    let left = x;
+    if (align !== 'left' && width) {
+      const free = width - this.widthOf(value, { font, size });
+      left += align === 'right' ? free : free / 2;
+    }
+    // Baseline sits about 0.8em below the top of the line
+    const baseline = this.height - y - size * 0.8;
+    this.current.push(
+      `BT /${FONTS[font].name} ${num(size)} Tf ${rgb(color)} rg ${num(left)} ${num(baseline)} Td ${pdfString(value, font)} Tj ET`
+    );
+  }
+
+  /**
+   * Draw a rectangle
+   * @param {Object} options - { fill, stroke, lineWidth }
+   */
+  rect(x, y, width, height, { fill = null, stroke = null, lineWidth = 1 } = {}) {
+    const ops = [];
+    if (fill) {ops.push(`${rgb(fill)} rg`);}
+    if (stroke) {ops.push(`${rgb(stroke)} RG ${num(lineWidth)} w`);}
+    ops.push(`${num(x)} ${num(this.height - y - height)} ${num(width)} ${num(height)} re`);
+    ops.push(fill && stroke ? 'B' : fill ? 'f' : 'S');
+    this.current.push(ops.join(' '));
+  }
+
+  line(x1, y1, x2, y2, { color = '#000000', lineWidth = 1 } = {}) {
+    this.current.push(
+      `${rgb(color)} RG ${num(lineWidth)} w ${num(x1)} ${num(this.height - y1)} m ${num(x2)} ${num(this.height - y2)} l S`
+    );
+  }
+
+  /**
+   * Draw a JPEG image scaled into a box
+   * @param {Buffer} data - JPEG bytes
+   * @param {Object} size - { pixelWidth, pixelHeight, channels }
+   */
+  image(data, x, y, width, height, { pixelWidth, pixelHeight, channels = 3 }) {
+    const name = `Im${this.images.length + 1}`;
+    this.images.push({ name, data, pixelWidth, pixelHeight, channels });
+    this.current.push(`q ${num(width)} 0 0 ${num(height)} ${num(x)} ${num(this.height - y - height)} cm /${name} Do Q`);
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Buffer} PDF bytes
+   */
+  toBuffer() {
+    const objects = [];
+    const reserve = () => objects.push(null);
+    const set = (id, body) => {
+      objects[id - 1] = Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1');
+    };
+    const stream = (dictionary, data) => Buffer.concat([
+      Buffer.from(`<< ${dictionary} /Length ${data.length} >>\nstream\n`, 'latin1'),
+      data,
+      Buffer.from('\nendstream', 'latin1')
+    ]);
+
+    const catalogId = reserve();
+    const pagesId = reserve();
+    const infoId = reserve();
+
+    const fontRefs = Object.values(FONTS).map(({ name, baseFont }) => {
+      const id = reserve();
+      set(id, `<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`);
+      return `/${name} ${id} 0 R`;
+    });
+
+    const imageRefs = this.images.map(({ name, data, pixelWidth, pixelHeight, channels }) => {
+      const id = reserve();
+      const colorSpace = channels === 1 ? '/DeviceGray' : '/DeviceRGB';
+      set(id, stream(
+        `/Type /XObject /Subtype /Image /Width ${pixelWidth} /Height ${pixelHeight} /ColorSpace ${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode`,
+        data
+      ));
+      return `/${name} ${id} 0 R`;
+    });
+
+    const resources = `<< /Font << ${fontRefs.join(' ')} >> /XObject << ${imageRefs.join(' ')} >> >>`;
+    const pageIds = this.pages.map(ops => {
+      const contentId = reserve();
+      set(contentId, stream('/Filter /FlateDecode', zlib.deflateSync(Buffer.from(ops.join('\n'), 'latin1'))));
+      const pageId = reserve();
+      set(pageId, `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(this.width)} ${num(this.height)}] /Resources ${resources} /Contents ${contentId} 0 R >>`);
+      return pageId;
+    });
+
+    set(catalogId, `<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+    set(pagesId, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+    const info = Object.entries({ Producer: 'SecurePath', ...this.info })
+      .filter(([, value]) => value)
+      .map(([key, value]) => `/${key} ${pdfString(value)}`);
+    set(infoId, `<< ${info.join(' ')} /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`);
+
+    // Binary comment marks the file as binary for transfer tools
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let offset = chunks[0].length;
+    const offsets = objects.map((body, index) => {
+      const start = offset;
+      const chunk = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+      chunks.push(chunk);
+      offset += chunk.length;
+      return start;
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(start => `${String(start).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+      'startxref',
+      String(offset),
+      '%%EOF\n'
+    ];
+    chunks.push(Buffer.from(xref.join('\n'), 'latin1'));
+    return Buffer.concat(chunks);
+  }
+}
+
+PdfDocument.A4 = A4;
+
+module.exports = PdfDocument;
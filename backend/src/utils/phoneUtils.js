@@ -0,0 +1,45 @@
+/**
+ * Phone number helpers. Numbers are stored as users type them; SMS
+ * providers need E.164 (+27821234567).
+ */
+
+const SA_COUNTRY_CODE = '27';
+
+/**
+ * Normalise a phone number to E.164. South African numbers may be written
+ * locally (082 123 4567), with the country code (27 82..., 0027 82...,
+ * +27 (0)82...) or with any spaces, dashes, dots or brackets. Numbers from
+ * other countries must already start with + and their country code.
+ * @param {string} phone
+ * @returns {string|null} E.164 number, or null when it can't be one
+ */
+const toE164 = (phone) => {
+  if (typeof phone !== 'string') {return null;}
+
+  let digits = phone.trim().replace(/[\s\-().]/g, '');
+  if (digits.startsWith('00')) {digits = `+${digits.slice(2)}`;}
+  if (!/^\+?\d+$/.test(digits)) {return null;}
+
+  let national;
+  if (digits.startsWith(`+${SA_COUNTRY_CODE}`)) {
+    national = digits.slice(3);
+  } else if (digits.startsWith('+')) {
+    return /^\+[1-9]\d{7,14}$/.test(digits) ? digits : null;
+  } else if (digits.startsWith(SA_COUNTRY_CODE) && digits.length === 11) {
+    national = digits.slice(2);
+  } else if (digits.startsWith('0') && digits.length === 10) {
+    national = digits.slice(1);
+  } else {
+    return null;
+  }
+
+  // The trunk 0 is sometimes kept after the country code: +27 (0)82 ...
+  if (national.length === 10 && national.startsWith('0')) {national = national.slice(1);}
+
+  // South African subscriber numbers are 9 digits and never start with 0
+  return /^[1-9]\d{8}$/.test(national) ? `+${SA_COUNTRY_CODE}${national}` : null;
+};
+
+module.exports = {
+  toE164
+};
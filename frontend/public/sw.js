@@ -0,0 +1,50 @@
+/* SecurePath service worker: shows Web Push notifications sent by the backend
+ * (alerts and watched-area incidents) and opens the app when one is clicked.
+ * Payload: { title, body, url, tag, data }
+ */
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('push', (event) => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch {
+    payload = { body: event.data ? event.data.text() : '' };
+  }
+
+  const urgent = payload.data && ['urgent', 'critical'].includes(payload.data.priority);
+
+  event.waitUntil(
+    self.registration.showNotification(payload.title || 'SecurePath', {
+      body: payload.body || '',
+      icon: '/icon.png',
+      badge: '/icon.png',
+      tag: payload.tag,
+      renotify: Boolean(payload.tag),
+      requireInteraction: Boolean(urgent),
+      data: { url: payload.url || '/notifications', ...payload.data },
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const target = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((client) => client.url.startsWith(self.location.origin));
+      if (open) {
+        return open.focus().then((client) => client.navigate(target));
+      }
+      return self.clients.openWindow(target);
+    })
+  );
+});
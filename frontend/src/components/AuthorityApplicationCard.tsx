@@ -0,0 +1,223 @@
+import React, { useEffect, useState } from 'react';
+import { BadgeCheck, FileText, Loader2 } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/hooks/use-toast';
+import { apiService, AuthorityApplication } from '@/services/ApiService';
+
+const STATUS_LABELS: Record<AuthorityApplication['status'], string> = {
+  pending: 'Awaiting review',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  withdrawn: 'Withdrawn',
+};
+
+const EMPTY_FORM = { badgeNumber: '', agency: '', jurisdictionName: '', jurisdiction: '', notes: '' };
+
+// Lets a citizen apply for the authority role and follow the review
+const AuthorityApplicationCard: React.FC = () => {
+  const { toast } = useToast();
+  const [application, setApplication] = useState<AuthorityApplication | null>(null);
+  const [jurisdictions, setJurisdictions] = useState<Array<{ _id: string; name: string }>>([]);
+  const [canApply, setCanApply] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [documents, setDocuments] = useState<File[]>([]);
+
+  const load = async () => {
+    try {
+      const response = await apiService.getAuthorityApplication();
+      if (response.data) {
+        setApplication(response.data.application);
+        setJurisdictions(response.data.jurisdictions);
+        setCanApply(response.data.canApply);
+      }
+    } catch {
+      setCanApply(false);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+    setBusy(true);
+    try {
+      await apiService.applyForAuthority(
+        { ...form, jurisdiction: form.jurisdiction || undefined },
+        documents
+      );
+      toast({ title: 'Application submitted', description: 'An administrator will review your credentials.' });
+      setShowForm(false);
+      setForm(EMPTY_FORM);
+      setDocuments([]);
+      await load();
+    } catch (error) {
+      toast({
+        title: 'Application failed',
+        description: error instanceof Error ? error.message : 'Could not submit the application',
+        variant: 'destructive',
+      });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleWithdraw = async () => {
+    setBusy(true);
+    try {
+      await apiService.withdrawAuthorityApplication();
+      toast({ title: 'Application withdrawn' });
+      await load();
+    } catch (error) {
+      toast({
+        title: 'Could not withdraw',
+        description: error instanceof Error ? error.message : 'Please try again',
+        variant: 'destructive',
+      });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Only citizens and people with an application on record see the card
+  if (loading || (!canApply && !application)) return null;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center space-x-2">
+          <BadgeCheck className="h-5 w-5" />
+          <span>Authority Account</span>
+        </CardTitle>
+        <CardDescription>
+          Police, emergency services and municipal staff can apply to verify incidents and send alerts.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {application && (
+          <div className="space-y-2 text-sm">
+            <div className="flex items-center justify-between">
+              <span className="text-muted-foreground">{application.agency} · {application.badgeNumber}</span>
+              <Badge variant={application.status === 'rejected' ? 'destructive' : 'outline'}>
+                {STATUS_LABELS[application.status]}
+              </Badge>
+            </div>
+            {application.reviewComment && (
+              <p className="text-muted-foreground">Reviewer: {application.reviewComment}</p>
+            )}
+            {application.status === 'pending' && (
+              <Button variant="outline" size="sm" className="w-full" disabled={busy} onClick={handleWithdraw}>
+                Withdraw application
+              </Button>
+            )}
+          </div>
+        )}
+
+        {canApply && !showForm && (
+          <Button variant="outline" className="w-full" onClick={() => setShowForm(true)}>
+            Apply for authority access
+          </Button>
+        )}
+
+        {canApply && showForm && (
+          <form onSubmit={handleSubmit} className="space-y-3">
+            <div className="space-y-1">
+              <Label htmlFor="badgeNumber">Badge or staff number</Label>
+              <Input
+                id="badgeNumber"
+                required
+                value={form.badgeNumber}
+                onChange={(e) => setForm({ ...form, badgeNumber: e.target.value })}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="agency">Agency</Label>
+              <Input
+                id="agency"
+                required
+                placeholder="e.g. South African Police Service"
+                value={form.agency}
+                onChange={(e) => setForm({ ...form, agency: e.target.value })}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="jurisdictionName">Jurisdiction</Label>
+              {jurisdictions.length > 0 && (
+                <Select
+                  value={form.jurisdiction}
+                  onValueChange={(value) => {
+                    const selected = jurisdictions.find(j => j._id === value);
+                    setForm({ ...form, jurisdiction: value, jurisdictionName: selected ? selected.name : form.jurisdictionName });
+                  }}
+                >
+                  <SelectTrigger>
+                    <SelectValue placeholder="Choose your precinct or municipality" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {jurisdictions.map(j => (
+                      <SelectItem key={j._id} value={j._id}>{j.name}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              )}
+              <Input
+                id="jurisdictionName"
+                required
+                placeholder="Station, precinct or municipality"
+                value={form.jurisdictionName}
+                onChange={(e) => setForm({ ...form, jurisdictionName: e.target.value })}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="documents">Supporting documents</Label>
+              <Input
+                id="documents"
+                type="file"
+                required
+                multiple
+                accept="application/pdf,image/jpeg,image/png"
+                onChange={(e) => setDocuments(Array.from(e.target.files || []).slice(0, 3))}
+              />
+              <p className="text-xs text-muted-foreground flex items-center">
+                <FileText className="h-3 w-3 mr-1" />
+                Up to 3 PDF, JPEG or PNG files, e.g. your appointment letter or ID card
+              </p>
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="notes">Notes</Label>
+              <Textarea
+                id="notes"
+                rows={2}
+                value={form.notes}
+                onChange={(e) => setForm({ ...form, notes: e.target.value })}
+              />
+            </div>
+            <div className="flex space-x-2">
+              <Button type="submit" className="flex-1" disabled={busy}>
+                {busy && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Submit
+              </Button>
+              <Button type="button" variant="outline" onClick={() => setShowForm(false)}>
+                Cancel
+              </Button>
+            </div>
+          </form>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AuthorityApplicationCard;
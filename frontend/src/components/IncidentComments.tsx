@@ -0,0 +1,342 @@
+import { useCallback, useEffect, useState } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { Flag, MessageSquare, Pencil, Reply, Shield, Trash2, EyeOff, Eye } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Textarea } from '@/components/ui/textarea';
+import { Skeleton } from '@/components/ui/skeleton';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
+import { useToast } from '@/hooks/use-toast';
+import { useProfile } from '@/hooks/useApi';
+import { apiService, ApiError, CommentFlagReason, IncidentComment } from '@/services/ApiService';
+import { realTimeService, RealTimeCommentUpdate } from '@/services/RealTimeService';
+
+// Mirrors IncidentComment.MAX_DEPTH on the backend
+const MAX_REPLY_DEPTH = 3;
+
+const FLAG_REASONS: Array<{ value: CommentFlagReason; label: string }> = [
+  { value: 'spam', label: 'Spam' },
+  { value: 'abuse', label: 'Abusive' },
+  { value: 'misinformation', label: 'Misinformation' },
+  { value: 'personal_info', label: 'Shares personal information' },
+  { value: 'other', label: 'Other' },
+];
+
+interface IncidentCommentsProps {
+  incidentId: string;
+}
+
+interface CommentComposerProps {
+  initialValue?: string;
+  placeholder: string;
+  submitLabel: string;
+  onSubmit: (body: string) => Promise<boolean>;
+  onCancel?: () => void;
+}
+
+const CommentComposer = ({ initialValue = '', placeholder, submitLabel, onSubmit, onCancel }: CommentComposerProps) => {
+  const [value, setValue] = useState(initialValue);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async () => {
+    if (!value.trim()) return;
+    setIsSubmitting(true);
+    try {
+      if (await onSubmit(value.trim())) {
+        setValue('');
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <Textarea
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        placeholder={placeholder}
+        maxLength={2000}
+        rows={2}
+        className="text-sm"
+      />
+      <div className="flex justify-end gap-2">
+        {onCancel && (
+          <Button variant="ghost" size="sm" onClick={onCancel} disabled={isSubmitting}>
+            Cancel
+          </Button>
+        )}
+        <Button size="sm" onClick={handleSubmit} disabled={isSubmitting || !value.trim()}>
+          {isSubmitting ? 'Posting...' : submitLabel}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+const IncidentComments = ({ incidentId }: IncidentCommentsProps) => {
+  const { toast } = useToast();
+  const { data: profile } = useProfile();
+  const [comments, setComments] = useState<IncidentComment[]>([]);
+  const [total, setTotal] = useState(0);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [replyingTo, setReplyingTo] = useState<string | null>(null);
+  const [editing, setEditing] = useState<string | null>(null);
+
+  const isModerator = Boolean(profile?.permissions?.includes('comments:moderate'));
+
+  const loadComments = useCallback(async () => {
+    try {
+      const response = await apiService.getIncidentComments(incidentId);
+      setComments(response.data?.comments ?? []);
+      setTotal(response.data?.total ?? 0);
+      setError(null);
+    } catch (e) {
+      setError(e instanceof ApiError ? e.message : 'Failed to load comments');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [incidentId]);
+
+  useEffect(() => {
+    loadComments();
+  }, [loadComments]);
+
+  // Refetch on live updates so each viewer gets their own moderation view of the thread
+  useEffect(() => {
+    const handleUpdate = (update: RealTimeCommentUpdate) => {
+      if (update.incidentId === incidentId) {
+        loadComments();
+      }
+    };
+
+    realTimeService.joinIncidentRoom(incidentId);
+    realTimeService.on('incident_comment', handleUpdate);
+    return () => {
+      realTimeService.off('incident_comment', handleUpdate);
+      realTimeService.leaveIncidentRoom(incidentId);
+    };
+  }, [incidentId, loadComments]);
+
+  const runAction = async (action: () => Promise<unknown>, successMessage?: string): Promise<boolean> => {
+    try {
+      await action();
+      if (successMessage) {
+        toast({ title: successMessage });
+      }
+      await loadComments();
+      return true;
+    } catch (e) {
+      toast({
+        title: 'Something went wrong',
+        description: e instanceof Error ? e.message : 'Please try again.',
+        variant: 'destructive',
+      });
+      return false;
+    }
+  };
+
+  const renderBody = (comment: IncidentComment) => {
+    if (comment.isDeleted) {
+      return <p className="text-sm italic text-muted-foreground">[deleted]</p>;
+    }
+    if (comment.moderationStatus === 'hidden' && comment.body === null) {
+      return <p className="text-sm italic text-muted-foreground">[removed by a moderator]</p>;
+    }
+    return (
+      <p className={`text-sm whitespace-pre-wrap ${comment.moderationStatus === 'hidden' ? 'opacity-60' : ''}`}>
+        {comment.body}
+      </p>
+    );
+  };
+
+  const renderComment = (comment: IncidentComment) => {
+    const isOwn = !!profile && comment.author?._id === profile._id;
+    const isRemoved = comment.isDeleted || comment.moderationStatus === 'hidden';
+
+    return (
+      <div key={comment._id} className={comment.depth > 0 ? 'ml-4 border-l pl-3' : ''}>
+        <div className={`rounded-md p-2 ${comment.isAuthorityResponse && !isRemoved ? 'bg-blue-50 dark:bg-blue-950/30' : ''}`}>
+          <div className="flex flex-wrap items-center gap-2 text-xs text-muted-foreground mb-1">
+            {comment.author && (
+              <span className="font-medium text-foreground">
+                {comment.author.firstName} {comment.author.lastName}
+              </span>
+            )}
+            {comment.isAuthorityResponse && !comment.isDeleted && (
+              <Badge variant="outline" className="h-5 gap-1 border-blue-200 bg-blue-100 text-blue-800 text-[10px]">
+                <Shield className="h-3 w-3" />
+                {comment.authorRole === 'admin' ? 'Admin' : 'Authority'}
+              </Badge>
+            )}
+            <span>{formatDistanceToNow(new Date(comment.createdAt), { addSuffix: true })}</span>
+            {comment.isEdited && !comment.isDeleted && <span>(edited)</span>}
+            {isModerator && comment.moderationStatus === 'flagged' && (
+              <Badge variant="outline" className="h-5 border-orange-200 bg-orange-100 text-orange-800 text-[10px]">
+                {comment.flagCount} flags
+              </Badge>
+            )}
+          </div>
+
+          {editing === comment._id ? (
+            <CommentComposer
+              initialValue={comment.body ?? ''}
+              placeholder="Edit your comment"
+              submitLabel="Save"
+              onCancel={() => setEditing(null)}
+              onSubmit={async (body) => {
+                const saved = await runAction(() => apiService.updateIncidentComment(incidentId, comment._id, body));
+                if (saved) setEditing(null);
+                return saved;
+              }}
+            />
+          ) : (
+            renderBody(comment)
+          )}
+
+          {!isRemoved && editing !== comment._id && (
+            <div className="flex items-center gap-1 mt-1">
+              {comment.depth < MAX_REPLY_DEPTH && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="h-6 px-2 text-xs"
+                  onClick={() => setReplyingTo(replyingTo === comment._id ? null : comment._id)}
+                >
+                  <Reply className="h-3 w-3 mr-1" />
+                  Reply
+                </Button>
+              )}
+              {comment.canEdit && (
+                <Button variant="ghost" size="sm" className="h-6 px-2 text-xs" onClick={() => setEditing(comment._id)}>
+                  <Pencil className="h-3 w-3 mr-1" />
+                  Edit
+                </Button>
+              )}
+              {!isOwn && !comment.hasFlagged && (
+                <DropdownMenu>
+                  <DropdownMenuTrigger asChild>
+                    <Button variant="ghost" size="sm" className="h-6 px-2 text-xs">
+                      <Flag className="h-3 w-3 mr-1" />
+                      Flag
+                    </Button>
+                  </DropdownMenuTrigger>
+                  <DropdownMenuContent align="start">
+                    {FLAG_REASONS.map((reason) => (
+                      <DropdownMenuItem
+                        key={reason.value}
+                        onClick={() =>
+                          runAction(
+                            () => apiService.flagIncidentComment(incidentId, comment._id, reason.value),
+                            'Comment flagged for review'
+                          )
+                        }
+                      >
+                        {reason.label}
+                      </DropdownMenuItem>
+                    ))}
+                  </DropdownMenuContent>
+                </DropdownMenu>
+              )}
+              {isModerator && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="h-6 px-2 text-xs"
+                  onClick={() =>
+                    runAction(() => apiService.moderateIncidentComment(incidentId, comment._id, 'hide'), 'Comment hidden')
+                  }
+                >
+                  <EyeOff className="h-3 w-3 mr-1" />
+                  Hide
+                </Button>
+              )}
+              {comment.canDelete && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="h-6 px-2 text-xs text-destructive"
+                  onClick={() =>
+                    runAction(() => apiService.deleteIncidentComment(incidentId, comment._id), 'Comment deleted')
+                  }
+                >
+                  <Trash2 className="h-3 w-3 mr-1" />
+                  Delete
+                </Button>
+              )}
+            </div>
+          )}
+
+          {isModerator && comment.moderationStatus === 'hidden' && !comment.isDeleted && (
+            <Button
+              variant="ghost"
+              size="sm"
+              className="h-6 px-2 mt-1 text-xs"
+              onClick={() =>
+                runAction(() => apiService.moderateIncidentComment(incidentId, comment._id, 'restore'), 'Comment restored')
+              }
+            >
+              <Eye className="h-3 w-3 mr-1" />
+              Restore
+            </Button>
+          )}
+        </div>
+
+        {replyingTo === comment._id && (
+          <div className="ml-4 mt-2">
+            <CommentComposer
+              placeholder="Write a reply"
+              submitLabel="Reply"
+              onCancel={() => setReplyingTo(null)}
+              onSubmit={async (body) => {
+                const posted = await runAction(() => apiService.addIncidentComment(incidentId, body, comment._id));
+                if (posted) setReplyingTo(null);
+                return posted;
+              }}
+            />
+          </div>
+        )}
+
+        {comment.replies && comment.replies.length > 0 && (
+          <div className="mt-2 space-y-2">{comment.replies.map(renderComment)}</div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-2 text-sm font-medium">
+        <MessageSquare className="h-4 w-4" />
+        Discussion ({total})
+      </div>
+
+      {isLoading ? (
+        <div className="space-y-2">
+          <Skeleton className="h-4 w-1/2" />
+          <Skeleton className="h-10 w-full" />
+        </div>
+      ) : error ? (
+        <p className="text-sm text-destructive">{error}</p>
+      ) : comments.length > 0 ? (
+        <div className="space-y-2">{comments.map(renderComment)}</div>
+      ) : (
+        <p className="text-sm text-muted-foreground">No comments yet. Share what you know.</p>
+      )}
+
+      <CommentComposer
+        placeholder="Add a comment"
+        submitLabel="Comment"
+        onSubmit={(body) => runAction(() => apiService.addIncidentComment(incidentId, body))}
+      />
+    </div>
+  );
+};
+
+export default IncidentComments;
@@ -13,9 +13,11 @@ import {
   ChevronDown, 
   ChevronUp,
   Calendar,
-  Tag
+  Tag,
+  MessageSquare
 } from 'lucide-react';
 import { formatDistanceToNow } from 'date-fns';
+import IncidentComments from '@/components/IncidentComments';
 
 interface IncidentReportCardProps {
   incident: {
@@ -64,6 +66,7 @@ const IncidentReportCard = ({
   showFullDescription = false 
 }: IncidentReportCardProps) => {
   const [isExpanded, setIsExpanded] = useState(showFullDescription);
+  const [showDiscussion, setShowDiscussion] = useState(false);
 
   const getSeverityColor = (severity: string) => {
     switch (severity.toLowerCase()) {
@@ -256,17 +259,36 @@ const IncidentReportCard = ({
               {incident.type.replace('_', ' ').toUpperCase()}
             </Badge>
           </div>
-          {onViewDetails && (
+          <div className="flex items-center gap-2">
             <Button
-              variant="outline"
+              variant="ghost"
               size="sm"
-              onClick={() => onViewDetails(incident)}
+              onClick={() => setShowDiscussion(!showDiscussion)}
               className="text-xs"
+              aria-expanded={showDiscussion}
             >
-              View Details
+              <MessageSquare className="h-3 w-3 mr-1" />
+              {showDiscussion ? 'Hide discussion' : 'Discussion'}
             </Button>
-          )}
+            {onViewDetails && (
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => onViewDetails(incident)}
+                className="text-xs"
+              >
+                View Details
+              </Button>
+            )}
+          </div>
         </div>
+
+        {/* Discussion */}
+        {showDiscussion && (
+          <div className="pt-4 mt-2 border-t">
+            <IncidentComments incidentId={incident._id} />
+          </div>
+        )}
       </CardContent>
     </Card>
   );
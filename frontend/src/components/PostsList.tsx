@@ -81,6 +81,14 @@ const PostsList = ({ location, onPostSelect, showFilters = true }: PostsListProp
     { value: 'dismissed', label: 'Dismissed', color: 'bg-gray-400' }
   ];
 
+  // Reporters without a track record ('new') get no badge
+  const reputationOptions = [
+    { value: 'trusted', label: 'Trusted reporter', className: 'border-green-200 bg-green-100 text-green-800' },
+    { value: 'reliable', label: 'Reliable reporter', className: 'border-blue-200 bg-blue-100 text-blue-800' },
+    { value: 'standard', label: 'Reporter', className: 'border-gray-200 bg-gray-100 text-gray-700' },
+    { value: 'low', label: 'Low reputation', className: 'border-orange-200 bg-orange-100 text-orange-800' }
+  ];
+
   const getTypeInfo = (type: Post['type']) => 
     typeOptions.find(option => option.value === type) || typeOptions[typeOptions.length - 1];
 
@@ -90,6 +98,9 @@ const PostsList = ({ location, onPostSelect, showFilters = true }: PostsListProp
   const getStatusInfo = (status: Post['status']) => 
     statusOptions.find(option => option.value === status) || statusOptions[0];
 
+  const getReputationInfo = (reporter: Post['reportedBy']) =>
+    reputationOptions.find(option => option.value === reporter?.reputation?.level);
+
   const formatTimeAgo = (dateString: string) => {
     const now = new Date();
     const date = new Date(dateString);
@@ -355,6 +366,7 @@ const PostsList = ({ location, onPostSelect, showFilters = true }: PostsListProp
             const typeInfo = getTypeInfo(post.type);
             const severityInfo = getSeverityInfo(post.severity);
             const statusInfo = getStatusInfo(post.status);
+            const reputationInfo = getReputationInfo(post.reportedBy);
             const distance = calculateDistance(post);
 
             return (
@@ -409,6 +421,15 @@ const PostsList = ({ location, onPostSelect, showFilters = true }: PostsListProp
                             </div>
                             <div className="flex items-center space-x-1">
                               <span>by {post.reportedBy.firstName} {post.reportedBy.lastName}</span>
+                              {reputationInfo && (
+                                <Badge
+                                  variant="outline"
+                                  className={`h-5 px-1.5 text-[10px] ${reputationInfo.className}`}
+                                  title={`Reputation ${post.reportedBy.reputation?.score}/100`}
+                                >
+                                  {reputationInfo.label}
+                                </Badge>
+                              )}
                             </div>
                           </div>
                         </div>
@@ -0,0 +1,58 @@
+import React, { useEffect, useState } from 'react';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { useToast } from '@/hooks/use-toast';
+import { pushService, PushStatus } from '@/services/PushService';
+
+const DESCRIPTIONS: Record<PushStatus, string> = {
+  subscribed: 'Alerts and watch zone incidents reach this browser even when SecurePath is closed',
+  unsubscribed: 'Get alerts on this device even when SecurePath is closed',
+  denied: 'Notifications are blocked for this site; allow them in your browser settings',
+  unsupported: 'This browser does not support push notifications',
+};
+
+const PushNotificationToggle: React.FC = () => {
+  const { toast } = useToast();
+  const [status, setStatus] = useState<PushStatus>('unsubscribed');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    pushService.getStatus().then(setStatus).catch(() => setStatus('unsupported'));
+  }, []);
+
+  const handleChange = async (enabled: boolean) => {
+    setBusy(true);
+    try {
+      const next = enabled ? await pushService.subscribe() : await pushService.unsubscribe();
+      setStatus(next);
+      if (enabled && next === 'subscribed') {
+        toast({ title: 'Push notifications enabled', description: 'This browser will now receive safety alerts.' });
+      }
+    } catch (error) {
+      toast({
+        title: 'Push notifications',
+        description: error instanceof Error ? error.message : 'Could not change push notifications',
+        variant: 'destructive',
+      });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-between">
+      <div>
+        <Label htmlFor="push">Push Notifications</Label>
+        <p className="text-sm text-muted-foreground">{DESCRIPTIONS[status]}</p>
+      </div>
+      <Switch
+        id="push"
+        checked={status === 'subscribed'}
+        disabled={busy || status === 'denied' || status === 'unsupported'}
+        onCheckedChange={handleChange}
+      />
+    </div>
+  );
+};
+
+export default PushNotificationToggle;
@@ -1,16 +1,37 @@
 import React, { useEffect, useRef, useState } from 'react';
 import L from 'leaflet';
 import { useToast } from '@/hooks/use-toast';
+import { apiService, RiskLevel, SafeRoute } from '@/services/ApiService';
 
 interface Props {
   map: L.Map | null;
   origin: { lat: number; lng: number } | null;
   destination: { lat: number; lng: number } | null;
-  onRouteCalculated?: (distanceKm: number, durationMin: number) => void;
+  travelMode?: SafeRoute['travelMode'];
+  avoidHighRiskAreas?: boolean;
+  onRouteCalculated?: (distanceKm: number, durationMin: number, route?: SafeRoute) => void;
   onRouteError?: (error: string) => void;
 }
 
-const SafeRouteCalculatorLeaflet: React.FC<Props> = ({ map, origin, destination, onRouteCalculated, onRouteError }) => {
+const RISK_COLORS: Record<RiskLevel, string> = {
+  low: '#10b981',
+  medium: '#f59e0b',
+  high: '#f97316',
+  critical: '#ef4444',
+};
+
+const toLatLngs = (coordinates: [number, number][]) =>
+  coordinates.map(([lng, lat]) => [lat, lng] as [number, number]);
+
+const SafeRouteCalculatorLeaflet: React.FC<Props> = ({
+  map,
+  origin,
+  destination,
+  travelMode = 'driving',
+  avoidHighRiskAreas = true,
+  onRouteCalculated,
+  onRouteError,
+}) => {
   const { toast } = useToast();
   const layerRef = useRef<L.LayerGroup | null>(null);
   const [isCalculating, setIsCalculating] = useState(false);
@@ -33,20 +54,53 @@ const SafeRouteCalculatorLeaflet: React.FC<Props> = ({ map, origin, destination,
       setIsCalculating(true);
       layerRef.current?.clearLayers();
       try {
-        const url = `https://router.project-osrm.org/route/v1/driving/${origin.lng},${origin.lat};${destination.lng},${destination.lat}?overview=full&geometries=geojson`;
-        const res = await fetch(url);
-        const data = await res.json();
-        if (!data.routes || data.routes.length === 0) throw new Error('No route found');
-        const route = data.routes[0];
-        const coords = route.geometry.coordinates.map((c: [number, number]) => [c[1], c[0]] as [number, number]);
-        const polyline = L.polyline(coords, { color: '#10b981', weight: 4, opacity: 0.9 }).addTo(layerRef.current!);
-        map.fitBounds(polyline.getBounds(), { padding: [20, 20] });
+        const response = await apiService.calculateSafeRoute({
+          origin: { coordinates: [origin.lng, origin.lat] },
+          destination: { coordinates: [destination.lng, destination.lat] },
+          travelMode,
+          avoidHighRiskAreas,
+        });
+        const route = response.data;
+        if (!route || route.geometry.coordinates.length === 0) throw new Error('No route found');
+
+        // Draw the full route as a casing, then colour each stretch by its risk level
+        const casing = L.polyline(toLatLngs(route.geometry.coordinates), {
+          color: '#1f2937',
+          weight: 7,
+          opacity: 0.35,
+        }).addTo(layerRef.current!);
+
+        route.segments.forEach((segment) => {
+          const line = L.polyline(toLatLngs(segment.geometry.coordinates), {
+            color: RISK_COLORS[segment.riskLevel],
+            weight: segment.riskLevel === 'low' ? 4 : 6,
+            opacity: 0.9,
+          }).addTo(layerRef.current!);
+
+          if (segment.riskLevel !== 'low') {
+            line.bindTooltip(
+              `${segment.riskLevel} risk · ${segment.incidentCount} recent incidents · ${(segment.distance / 1000).toFixed(1)} km`,
+              { sticky: true }
+            );
+          }
+        });
+
+        L.circleMarker([origin.lat, origin.lng], { radius: 6, color: '#10b981', fillOpacity: 1 }).addTo(layerRef.current!);
+        L.circleMarker([destination.lat, destination.lng], { radius: 6, color: '#ef4444', fillOpacity: 1 }).addTo(layerRef.current!);
+
+        map.fitBounds(casing.getBounds(), { padding: [20, 20] });
         const distanceKm = route.distance / 1000;
         const durationMin = route.duration / 60;
-        onRouteCalculated?.(distanceKm, durationMin);
-        toast({ title: 'Route calculated', description: `${distanceKm.toFixed(1)} km, ${Math.round(durationMin)} min` });
-      } catch (e: any) {
-        const msg = e?.message || 'Failed to calculate route';
+        onRouteCalculated?.(distanceKm, durationMin, route);
+        toast({
+          title: 'Route calculated',
+          description: route.warnings.length > 0
+            ? `${route.distanceText}, ${route.durationText}. ${route.warnings[0]}`
+            : `${route.distanceText}, ${route.durationText}`,
+          variant: route.warnings.length > 0 ? 'destructive' : 'default',
+        });
+      } catch (e) {
+        const msg = e instanceof Error && e.message ? e.message : 'Failed to calculate route';
         onRouteError?.(msg);
         toast({ title: 'Route calculation failed', description: msg, variant: 'destructive' });
       } finally {
@@ -54,10 +108,9 @@ const SafeRouteCalculatorLeaflet: React.FC<Props> = ({ map, origin, destination,
       }
     };
     fetchRoute();
-  }, [map, origin, destination]);
+  }, [map, origin, destination, travelMode, avoidHighRiskAreas]);
 
   return null;
 };
 
 export default SafeRouteCalculatorLeaflet;
-
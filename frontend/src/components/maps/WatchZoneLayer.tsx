@@ -0,0 +1,77 @@
+import React from 'react';
+import { Circle, CircleMarker, Polygon, Polyline, Tooltip, useMapEvents } from 'react-leaflet';
+import type { WatchZone } from '@/services/ApiService';
+import { LatLngLiteral } from '@/config/map';
+
+export type WatchZoneDrawMode = 'circle' | 'polygon' | null;
+
+interface WatchZoneLayerProps {
+  zones: WatchZone[];
+  mode: WatchZoneDrawMode;
+  draft: LatLngLiteral[];
+  radiusKm: number;
+  onMapClick: (point: LatLngLiteral) => void;
+}
+
+const ZONE_STYLE = { color: '#2563eb', weight: 2, fillOpacity: 0.1 };
+const PAUSED_STYLE = { color: '#94a3b8', weight: 1, dashArray: '4 4', fillOpacity: 0.05 };
+const DRAFT_STYLE = { color: '#f59e0b', weight: 2, dashArray: '6 4', fillOpacity: 0.15 };
+
+// Map clicks only place points while a shape is being drawn
+const DrawHandler: React.FC<{ onMapClick: (point: LatLngLiteral) => void }> = ({ onMapClick }) => {
+  useMapEvents({
+    click: (event) => onMapClick({ lat: event.latlng.lat, lng: event.latlng.lng }),
+  });
+  return null;
+};
+
+const WatchZoneLayer: React.FC<WatchZoneLayerProps> = ({ zones, mode, draft, radiusKm, onMapClick }) => {
+  return (
+    <>
+      {zones.map((zone) => {
+        const style = zone.isActive ? ZONE_STYLE : PAUSED_STYLE;
+        const label = <Tooltip sticky>{zone.name}{zone.isActive ? '' : ' (paused)'}</Tooltip>;
+
+        if (zone.area.type === 'Point') {
+          const [lng, lat] = zone.area.coordinates;
+          return (
+            <Circle key={zone._id} center={[lat, lng]} radius={(zone.radius ?? 0) * 1000} pathOptions={style}>
+              {label}
+            </Circle>
+          );
+        }
+
+        return (
+          <Polygon
+            key={zone._id}
+            positions={zone.area.coordinates.map((ring) => ring.map(([lng, lat]) => [lat, lng] as [number, number]))}
+            pathOptions={style}
+          >
+            {label}
+          </Polygon>
+        );
+      })}
+
+      {mode === 'circle' && draft[0] && (
+        <Circle center={[draft[0].lat, draft[0].lng]} radius={radiusKm * 1000} pathOptions={DRAFT_STYLE} />
+      )}
+
+      {mode === 'polygon' && draft.length > 0 && (
+        <>
+          {draft.length >= 3 ? (
+            <Polygon positions={draft.map((point) => [point.lat, point.lng] as [number, number])} pathOptions={DRAFT_STYLE} />
+          ) : (
+            <Polyline positions={draft.map((point) => [point.lat, point.lng] as [number, number])} pathOptions={DRAFT_STYLE} />
+          )}
+          {draft.map((point, index) => (
+            <CircleMarker key={index} center={[point.lat, point.lng]} radius={4} pathOptions={DRAFT_STYLE} />
+          ))}
+        </>
+      )}
+
+      {mode && <DrawHandler onMapClick={onMapClick} />}
+    </>
+  );
+};
+
+export default WatchZoneLayer;
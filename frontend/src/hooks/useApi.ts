@@ -13,8 +13,11 @@ import {
   UpdatePostRequest, 
   CreateAlertRequest,
   User,
+  LoginResult,
+  TwoFactorChallenge,
   ApiError,
-  PaginatedResponse
+  PaginatedResponse,
+  WatchZoneRequest
 } from '@/services/ApiService';
 
 // Query keys for React Query
@@ -24,11 +27,16 @@ export const QUERY_KEYS = {
   ALERTS: 'alerts',
   ALERT: 'alert',
   PROFILE: 'profile',
+  SESSIONS: 'sessions',
+  WATCH_ZONES: 'watchZones',
   DASHBOARD_METRICS: 'dashboardMetrics',
   NEARBY_ACTIVITY: 'nearbyActivity',
 } as const;
 
 // Authentication hooks
+const isTwoFactorChallenge = (data: LoginResult | TwoFactorChallenge): data is TwoFactorChallenge =>
+  'twoFactorRequired' in data && data.twoFactorRequired;
+
 export const useLogin = () => {
   const { toast } = useToast();
   const queryClient = useQueryClient();
@@ -37,9 +45,11 @@ export const useLogin = () => {
     mutationFn: ({ email, password }: { email: string; password: string }) =>
       apiService.login(email, password),
     onSuccess: (response) => {
-      if (response.success && response.data) {
+      // Accounts with 2FA finish signing in through useVerifyTwoFactor
+      if (response.success && response.data && !isTwoFactorChallenge(response.data)) {
         // Store token and initialize API service
         localStorage.setItem('authToken', response.data.token);
+        localStorage.setItem('refreshToken', response.data.refreshToken);
         apiService.setAuthToken(response.data.token);
         
         // Cache user data
@@ -61,6 +71,36 @@ export const useLogin = () => {
   });
 };
 
+export const useVerifyTwoFactor = () => {
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ challengeToken, code }: { challengeToken: string; code: string }) =>
+      apiService.verifyTwoFactor(challengeToken, code),
+    onSuccess: (response) => {
+      if (response.success && response.data) {
+        localStorage.setItem('authToken', response.data.token);
+        localStorage.setItem('refreshToken', response.data.refreshToken);
+        apiService.setAuthToken(response.data.token);
+        queryClient.setQueryData([QUERY_KEYS.PROFILE], response.data.user);
+
+        toast({
+          title: 'Login successful',
+          description: 'Welcome back to SecurePath!',
+        });
+      }
+    },
+    onError: (error: ApiError) => {
+      toast({
+        title: 'Verification failed',
+        description: error.message,
+        variant: 'destructive',
+      });
+    },
+  });
+};
+
 export const useRegister = () => {
   const { toast } = useToast();
   const queryClient = useQueryClient();
@@ -76,6 +116,7 @@ export const useRegister = () => {
     onSuccess: (response) => {
       if (response.success && response.data) {
         localStorage.setItem('authToken', response.data.token);
+        localStorage.setItem('refreshToken', response.data.refreshToken);
         apiService.setAuthToken(response.data.token);
         queryClient.setQueryData([QUERY_KEYS.PROFILE], response.data.user);
         
@@ -103,6 +144,7 @@ export const useLogout = () => {
     mutationFn: () => apiService.logout(),
     onSuccess: () => {
       localStorage.removeItem('authToken');
+      localStorage.removeItem('refreshToken');
       apiService.setAuthToken(null);
       queryClient.clear();
       
@@ -114,6 +156,7 @@ export const useLogout = () => {
     onError: (error: ApiError) => {
       // Even if logout fails on server, clear local data
       localStorage.removeItem('authToken');
+      localStorage.removeItem('refreshToken');
       apiService.setAuthToken(null);
       queryClient.clear();
       
@@ -182,6 +225,117 @@ export const useUpdateProfile = () => {
   });
 };
 
+export const useSessions = () => {
+  return useQuery({
+    queryKey: [QUERY_KEYS.SESSIONS],
+    queryFn: async () => {
+      const response = await apiService.getSessions();
+      return response.data?.sessions ?? [];
+    },
+    enabled: !!localStorage.getItem('authToken'),
+  });
+};
+
+export const useRevokeSession = () => {
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (sessionId: string) => apiService.revokeSession(sessionId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: [QUERY_KEYS.SESSIONS] });
+      toast({
+        title: 'Device signed out',
+        description: 'That device will need to sign in again.',
+      });
+    },
+    onError: (error: ApiError) => {
+      toast({
+        title: 'Sign out failed',
+        description: error.message,
+        variant: 'destructive',
+      });
+    },
+  });
+};
+
+// Watch zone hooks
+export const useWatchZones = () => {
+  return useQuery({
+    queryKey: [QUERY_KEYS.WATCH_ZONES],
+    queryFn: async () => {
+      const response = await apiService.getWatchZones();
+      return response.data ?? { zones: [], limit: 0 };
+    },
+    enabled: !!localStorage.getItem('authToken'),
+  });
+};
+
+export const useCreateWatchZone = () => {
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (zone: WatchZoneRequest) => apiService.createWatchZone(zone),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: [QUERY_KEYS.WATCH_ZONES] });
+      toast({
+        title: 'Watch zone saved',
+        description: 'You will be notified about new incidents in this area.',
+      });
+    },
+    onError: (error: ApiError) => {
+      toast({
+        title: 'Could not save watch zone',
+        description: error.message,
+        variant: 'destructive',
+      });
+    },
+  });
+};
+
+export const useUpdateWatchZone = () => {
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, data }: { id: string; data: WatchZoneRequest }) =>
+      apiService.updateWatchZone(id, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: [QUERY_KEYS.WATCH_ZONES] });
+    },
+    onError: (error: ApiError) => {
+      toast({
+        title: 'Could not update watch zone',
+        description: error.message,
+        variant: 'destructive',
+      });
+    },
+  });
+};
+
+export const useDeleteWatchZone = () => {
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (id: string) => apiService.deleteWatchZone(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: [QUERY_KEYS.WATCH_ZONES] });
+      toast({
+        title: 'Watch zone removed',
+      });
+    },
+    onError: (error: ApiError) => {
+      toast({
+        title: 'Could not remove watch zone',
+        description: error.message,
+        variant: 'destructive',
+      });
+    },
+  });
+};
+
 // Posts/Incidents hooks
 export const usePosts = (params?: {
   page?: number;
@@ -280,9 +434,12 @@ export const useCreatePost = () => {
         queryClient.invalidateQueries({ queryKey: [QUERY_KEYS.POSTS] });
         queryClient.invalidateQueries({ queryKey: [QUERY_KEYS.DASHBOARD_METRICS] });
         
+        const duplicateCount = response.possibleDuplicates.length;
         toast({
           title: 'Post created',
-          description: 'Your safety report has been submitted successfully.',
+          description: duplicateCount > 0
+            ? `Your safety report has been submitted. ${duplicateCount} similar report(s) nearby may describe the same event and could be merged by an authority.`
+            : 'Your safety report has been submitted successfully.',
         });
       }
     },
@@ -455,9 +612,13 @@ export const useCreateAlert = () => {
         queryClient.invalidateQueries({ queryKey: [QUERY_KEYS.ALERTS] });
         queryClient.invalidateQueries({ queryKey: [QUERY_KEYS.DASHBOARD_METRICS] });
         
+        // Alerts held back by the approval policy are not sent yet
+        const pending = response.message === 'Alert submitted for approval';
         toast({
-          title: 'Alert created',
-          description: 'Emergency alert has been broadcasted successfully.',
+          title: pending ? 'Alert submitted for approval' : 'Alert created',
+          description: pending
+            ? 'It will be broadcast once an administrator approves it.'
+            : 'Emergency alert has been broadcasted successfully.',
         });
       }
     },
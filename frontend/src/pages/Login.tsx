@@ -1,21 +1,23 @@
 /**
  * Login Page - User authentication login form
- * Features: Form validation, error handling, navigation to dashboard on success
+ * Features: Form validation, error handling, two-factor code challenge,
+ * navigation to dashboard on success
  */
 
 import { useState, useEffect } from 'react';
 import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { Link, useNavigate } from 'react-router-dom';
-import { Eye, EyeOff, Loader2, LogIn, ArrowLeft } from 'lucide-react';
+import { Eye, EyeOff, Loader2, LogIn, ArrowLeft, ShieldCheck } from 'lucide-react';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Alert, AlertDescription } from '@/components/ui/alert';
 import { Form, FormControl, FormField, FormItem, FormLabel, FormMessage } from '@/components/ui/form';
+import { InputOTP, InputOTPGroup, InputOTPSlot } from '@/components/ui/input-otp';
 import { useToast } from '@/hooks/use-toast';
-import { useLogin, useProfile } from '@/hooks/useApi';
+import { useLogin, useProfile, useVerifyTwoFactor } from '@/hooks/useApi';
 import { loginSchema } from '@/lib/validations';
 import ShinyText from '@/components/ui/ShinyText';
 
@@ -26,9 +28,14 @@ type LoginFormData = {
 
 const Login = () => {
   const [showPassword, setShowPassword] = useState(false);
+  // Set when the password was accepted and a second factor is required
+  const [challengeToken, setChallengeToken] = useState<string | null>(null);
+  const [code, setCode] = useState('');
+  const [useBackupCode, setUseBackupCode] = useState(false);
   const { toast } = useToast();
   const navigate = useNavigate();
   const loginMutation = useLogin();
+  const verifyMutation = useVerifyTwoFactor();
   const { data: profile } = useProfile();
 
   const form = useForm<LoginFormData>({
@@ -46,18 +53,46 @@ const Login = () => {
     }
   }, [profile, navigate]);
 
+  const redirectAfterLogin = () => {
+    // Redirect to intended page or dashboard
+    const from = location.state?.from || '/dashboard';
+    navigate(from, { replace: true });
+  };
+
   const onSubmit = async (data: LoginFormData) => {
     try {
-      await loginMutation.mutateAsync(data);
-      // Redirect to intended page or dashboard
-      const from = location.state?.from || '/dashboard';
-      navigate(from, { replace: true });
+      const response = await loginMutation.mutateAsync(data);
+      if (response.data && 'twoFactorRequired' in response.data) {
+        setChallengeToken(response.data.challengeToken);
+        return;
+      }
+      redirectAfterLogin();
     } catch (error) {
       // Error is handled by the mutation's onError callback
       console.error('Login failed:', error);
     }
   };
 
+  const onVerify = async (event: React.FormEvent) => {
+    event.preventDefault();
+    if (!challengeToken) return;
+
+    try {
+      await verifyMutation.mutateAsync({ challengeToken, code });
+      redirectAfterLogin();
+    } catch (error) {
+      // Clear the rejected code so a fresh one can be entered
+      setCode('');
+      console.error('Two-factor verification failed:', error);
+    }
+  };
+
+  const cancelChallenge = () => {
+    setChallengeToken(null);
+    setCode('');
+    setUseBackupCode(false);
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-blue-50 dark:from-gray-900 dark:via-gray-800 dark:to-gray-900">
       <div className="container mx-auto px-4 py-8">
@@ -83,6 +118,78 @@ const Login = () => {
               </CardDescription>
             </CardHeader>
             <CardContent>
+              {challengeToken ? (
+                <form onSubmit={onVerify} className="space-y-4">
+                  <div className="flex flex-col items-center gap-2 text-center">
+                    <ShieldCheck className="h-8 w-8 text-primary" />
+                    <p className="text-sm text-muted-foreground">
+                      {useBackupCode
+                        ? 'Enter one of your backup codes.'
+                        : 'Enter the 6-digit code from your authenticator app.'}
+                    </p>
+                  </div>
+
+                  {useBackupCode ? (
+                    <Input
+                      value={code}
+                      onChange={(event) => setCode(event.target.value)}
+                      placeholder="xxxx-xxxx"
+                      autoComplete="one-time-code"
+                      autoFocus
+                    />
+                  ) : (
+                    <div className="flex justify-center">
+                      <InputOTP maxLength={6} value={code} onChange={setCode} autoFocus>
+                        <InputOTPGroup>
+                          {[0, 1, 2, 3, 4, 5].map((index) => (
+                            <InputOTPSlot key={index} index={index} />
+                          ))}
+                        </InputOTPGroup>
+                      </InputOTP>
+                    </div>
+                  )}
+
+                  <Button
+                    type="submit"
+                    className="w-full"
+                    disabled={verifyMutation.isPending || (!useBackupCode && code.length !== 6) || !code}
+                  >
+                    {verifyMutation.isPending ? (
+                      <>
+                        <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                        Verifying...
+                      </>
+                    ) : (
+                      'Verify'
+                    )}
+                  </Button>
+
+                  {verifyMutation.isError && (
+                    <Alert variant="destructive">
+                      <AlertDescription>
+                        {verifyMutation.error?.message || 'Verification failed. Please try again.'}
+                      </AlertDescription>
+                    </Alert>
+                  )}
+
+                  <div className="flex justify-between text-sm">
+                    <Button
+                      type="button"
+                      variant="link"
+                      className="px-0"
+                      onClick={() => {
+                        setUseBackupCode(!useBackupCode);
+                        setCode('');
+                      }}
+                    >
+                      {useBackupCode ? 'Use authenticator code' : 'Use a backup code'}
+                    </Button>
+                    <Button type="button" variant="link" className="px-0" onClick={cancelChallenge}>
+                      Back to sign in
+                    </Button>
+                  </div>
+                </form>
+              ) : (
               <Form {...form}>
                 <form onSubmit={form.handleSubmit(onSubmit)} className="space-y-4">
                   {/* Email Field */}
@@ -167,6 +274,7 @@ const Login = () => {
                   )}
                 </form>
               </Form>
+              )}
 
               {/* Sign Up Link */}
               <div className="mt-6 text-center">
@@ -1,121 +1,181 @@
-import React, { useState, useEffect } from 'react';
-import { Bell, Clock, Filter, Search, Trash2, Eye, EyeOff, Volume2 } from 'lucide-react';
-import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Archive, ArchiveRestore, Bell, ChevronLeft, ChevronRight, Clock, Eye, EyeOff, Filter, Inbox, Search } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Badge } from '@/components/ui/badge';
+import { Checkbox } from '@/components/ui/checkbox';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
-import { Separator } from '@/components/ui/separator';
 import ShinyText from '@/components/ui/ShinyText';
 import NotificationView from '@/components/NotificationView';
 import { useRealTime } from '@/hooks/useRealTime';
+import { useToast } from '@/hooks/use-toast';
+import { apiService, InboxNotification, NotificationInbox } from '@/services/ApiService';
+import { realTimeService, RealTimeNotification, RealTimeNotificationUpdate } from '@/services/RealTimeService';
 import { formatDistanceToNow } from 'date-fns';
 
-interface NotificationItem {
-  id: string;
-  type: 'alert' | 'incident' | 'system';
-  title: string;
-  message: string;
-  timestamp: string;
-  priority: 'low' | 'medium' | 'high' | 'critical';
-  read: boolean;
-  location?: string;
-}
+const PAGE_SIZE = 20;
+
+const TYPE_LABELS: Record<InboxNotification['type'], string> = {
+  alert: 'Alert',
+  incident_update: 'Incident update',
+  comment_reply: 'Reply',
+  verification: 'Verification',
+  watch_zone: 'Watch zone',
+  system: 'System',
+};
+
+type TypeFilter = 'all' | InboxNotification['type'];
+type ReadFilter = 'all' | 'read' | 'unread';
 
 const Notifications = () => {
-  const { alerts, incidents, notifications: systemNotifications, markAlertAsRead } = useRealTime();
-  const [notifications, setNotifications] = useState<NotificationItem[]>([]);
+  // Keeps the socket connected so new notifications arrive while the page is open
+  useRealTime();
+  const { toast } = useToast();
+  const [inbox, setInbox] = useState<NotificationInbox | null>(null);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [page, setPage] = useState(1);
   const [searchQuery, setSearchQuery] = useState('');
-  const [filterType, setFilterType] = useState<'all' | 'alert' | 'incident' | 'system'>('all');
-  const [filterRead, setFilterRead] = useState<'all' | 'read' | 'unread'>('all');
-  const [selectedNotification, setSelectedNotification] = useState<NotificationItem | null>(null);
+  const [filterType, setFilterType] = useState<TypeFilter>('all');
+  const [filterRead, setFilterRead] = useState<ReadFilter>('all');
+  const [showArchived, setShowArchived] = useState(false);
+  const [selected, setSelected] = useState<Set<string>>(new Set());
+  const [selectedNotification, setSelectedNotification] = useState<InboxNotification | null>(null);
   const [showNotificationView, setShowNotificationView] = useState(false);
 
-  // Combine all notifications into a single list
+  const loadInbox = useCallback(async () => {
+    try {
+      const response = await apiService.getNotifications({
+        page,
+        limit: PAGE_SIZE,
+        status: filterRead,
+        type: filterType === 'all' ? undefined : filterType,
+        archived: showArchived || undefined,
+      });
+      if (response.data) {
+        setInbox(response.data);
+        setUnreadCount(response.data.unreadCount);
+      }
+    } catch (error) {
+      console.error('Failed to load notifications:', error);
+      toast({
+        title: 'Notifications',
+        description: 'Could not load your notifications',
+        variant: 'destructive',
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [page, filterRead, filterType, showArchived, toast]);
+
   useEffect(() => {
-    const allNotifications: NotificationItem[] = [
-      // Convert real-time alerts
-      ...alerts.map(alert => ({
-        id: alert.id,
-        type: 'alert' as const,
-        title: alert.title,
-        message: alert.message,
-        timestamp: alert.createdAt,
-        priority: alert.priority === 'critical' || alert.priority === 'urgent' ? 'critical' as const :
-                 alert.priority === 'high' ? 'high' as const :
-                 alert.priority === 'medium' ? 'medium' as const : 'low' as const,
-        read: false,
-        location: alert.location.address
-      })),
-      // Convert incidents
-      ...incidents.map(incident => ({
-        id: incident.id,
-        type: 'incident' as const,
-        title: incident.title,
-        message: incident.description,
-        timestamp: incident.createdAt,
-        priority: incident.severity as 'low' | 'medium' | 'high' | 'critical',
-        read: false,
-        location: incident.location.address
-      })),
-      // Convert system notifications
-      ...systemNotifications.map((notification, index) => ({
-        id: `system-${index}-${notification.timestamp}`,
-        type: 'system' as const,
-        title: notification.title || 'System Notification',
-        message: notification.message || 'System notification received',
-        timestamp: new Date(notification.timestamp).toISOString(),
-        priority: 'medium' as const,
-        read: false
-      }))
-    ];
+    loadInbox();
+  }, [loadInbox]);
 
-    // Sort by timestamp (newest first)
-    allNotifications.sort((a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime());
-    
-    setNotifications(allNotifications);
-  }, [alerts, incidents, systemNotifications]);
+  // Filter changes start again from the first page
+  const resetPaging = () => {
+    setPage(1);
+    setSelected(new Set());
+  };
 
-  // Filter notifications
-  const filteredNotifications = notifications.filter(notification => {
-    const matchesSearch = notification.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-                         notification.message.toLowerCase().includes(searchQuery.toLowerCase());
-    
-    const matchesType = filterType === 'all' || notification.type === filterType;
-    
-    const matchesRead = filterRead === 'all' || 
-                       (filterRead === 'read' && notification.read) ||
-                       (filterRead === 'unread' && !notification.read);
+  // New notifications and changes made in other tabs or on other devices
+  useEffect(() => {
+    const handleNew = ({ notification }: RealTimeNotification) => {
+      setUnreadCount(count => count + 1);
+      const matches = !showArchived &&
+        filterRead !== 'read' &&
+        (filterType === 'all' || filterType === notification.type);
+      if (page !== 1 || !matches) return;
+
+      setInbox(prev => prev && !prev.notifications.some(n => n._id === notification._id) ? {
+        ...prev,
+        notifications: [notification, ...prev.notifications].slice(0, PAGE_SIZE),
+        pagination: { ...prev.pagination, total: prev.pagination.total + 1 },
+      } : prev);
+    };
+
+    const handleUpdated = (update: RealTimeNotificationUpdate) => {
+      setUnreadCount(update.unreadCount);
+      loadInbox();
+    };
+
+    realTimeService.on('inbox_notification', handleNew);
+    realTimeService.on('inbox_updated', handleUpdated);
+    return () => {
+      realTimeService.off('inbox_notification', handleNew);
+      realTimeService.off('inbox_updated', handleUpdated);
+    };
+  }, [page, filterRead, filterType, showArchived, loadInbox]);
 
-    return matchesSearch && matchesType && matchesRead;
+  const notifications = inbox?.notifications ?? [];
+  const pagination = inbox?.pagination;
+
+  // Search narrows down the page that is loaded
+  const filteredNotifications = notifications.filter(notification => {
+    const query = searchQuery.toLowerCase();
+    return notification.title.toLowerCase().includes(query) ||
+           notification.message.toLowerCase().includes(query);
   });
 
-  const handleNotificationClick = (notification: NotificationItem) => {
-    setSelectedNotification(notification);
-    setShowNotificationView(true);
-    
-    // Mark as read
-    setNotifications(prev => prev.map(n => 
-      n.id === notification.id ? { ...n, read: true } : n
-    ));
-    
-    // If it's an alert, also mark it as read in the real-time service
-    if (notification.type === 'alert') {
-      markAlertAsRead(notification.id);
+  const runBulk = async (action: 'mark-read' | 'mark-unread' | 'archive' | 'unarchive', ids?: string[]) => {
+    try {
+      const response = await apiService.bulkUpdateNotifications(action, ids);
+      if (response.data) setUnreadCount(response.data.unreadCount);
+      setSelected(new Set());
+      await loadInbox();
+    } catch (error) {
+      console.error('Failed to update notifications:', error);
+      toast({
+        title: 'Notifications',
+        description: 'Could not update your notifications',
+        variant: 'destructive',
+      });
+    }
+  };
+
+  const updateOne = async (notification: InboxNotification, changes: { read?: boolean; archived?: boolean }) => {
+    try {
+      const response = await apiService.updateNotification(notification._id, changes);
+      if (!response.data) return;
+      setUnreadCount(response.data.unreadCount);
+      if (changes.archived !== undefined) {
+        await loadInbox();
+        return;
+      }
+      const updated = response.data.notification;
+      setInbox(prev => prev && {
+        ...prev,
+        notifications: prev.notifications.map(n => n._id === updated._id ? updated : n),
+      });
+    } catch (error) {
+      console.error('Failed to update notification:', error);
     }
   };
 
-  const markAllAsRead = () => {
-    setNotifications(prev => prev.map(n => ({ ...n, read: true })));
+  const handleNotificationClick = (notification: InboxNotification) => {
+    setSelectedNotification(notification);
+    setShowNotificationView(true);
+
+    // Reading an alert notification also marks the alert itself read
+    if (!notification.isRead) {
+      updateOne(notification, { read: true });
+    }
   };
 
-  const clearAll = () => {
-    setNotifications([]);
+  const toggleSelected = (id: string, checked: boolean) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (checked) next.add(id);
+      else next.delete(id);
+      return next;
+    });
   };
 
   const getPriorityColor = (priority: string) => {
     switch (priority) {
       case 'critical':
+      case 'urgent':
         return 'text-destructive border-destructive';
       case 'high':
         return 'text-warning border-warning';
@@ -128,20 +188,15 @@ const Notifications = () => {
     }
   };
 
-  const getTypeIcon = (type: string) => {
-    switch (type) {
-      case 'alert':
-        return <Bell className="h-4 w-4" />;
-      case 'incident':
-        return <Bell className="h-4 w-4" />;
-      case 'system':
-        return <Bell className="h-4 w-4" />;
-      default:
-        return <Bell className="h-4 w-4" />;
+  const getViewType = (notification: InboxNotification) => {
+    if (notification.type === 'verification') {
+      return notification.title.includes('false alarm') ? 'info' : 'safe';
     }
+    if (['critical', 'urgent'].includes(notification.priority)) return 'critical';
+    return notification.priority === 'high' ? 'warning' : 'info';
   };
 
-  const unreadCount = notifications.filter(n => !n.read).length;
+  const selectedIds = [...selected];
 
   return (
     <div className="container mx-auto px-4 py-6 space-y-6">
@@ -152,17 +207,30 @@ const Notifications = () => {
             <ShinyText text="Notifications" speed={4} />
           </h1>
           <p className="text-muted-foreground">
-            <ShinyText text={`${notifications.length} total notifications (${unreadCount} unread)`} speed={5} />
+            <ShinyText text={`${pagination?.total ?? 0} ${showArchived ? 'archived' : 'total'} notifications (${unreadCount} unread)`} speed={5} />
           </p>
         </div>
-        <div className="flex items-center space-x-2">
-          <Button variant="outline" onClick={markAllAsRead} disabled={unreadCount === 0}>
-            <Eye className="h-4 w-4 mr-2" />
-            Mark All Read
-          </Button>
-          <Button variant="outline" onClick={clearAll} disabled={notifications.length === 0}>
-            <Trash2 className="h-4 w-4 mr-2" />
-            Clear All
+        <div className="flex flex-wrap items-center gap-2">
+          {selectedIds.length > 0 ? (
+            <>
+              <Button variant="outline" onClick={() => runBulk('mark-read', selectedIds)}>
+                <Eye className="h-4 w-4 mr-2" />
+                Mark Read ({selectedIds.length})
+              </Button>
+              <Button variant="outline" onClick={() => runBulk(showArchived ? 'unarchive' : 'archive', selectedIds)}>
+                {showArchived ? <ArchiveRestore className="h-4 w-4 mr-2" /> : <Archive className="h-4 w-4 mr-2" />}
+                {showArchived ? 'Restore' : 'Archive'} ({selectedIds.length})
+              </Button>
+            </>
+          ) : (
+            <Button variant="outline" onClick={() => runBulk('mark-read')} disabled={unreadCount === 0}>
+              <Eye className="h-4 w-4 mr-2" />
+              Mark All Read
+            </Button>
+          )}
+          <Button variant="outline" onClick={() => { setShowArchived(archived => !archived); resetPaging(); }}>
+            {showArchived ? <Inbox className="h-4 w-4 mr-2" /> : <Archive className="h-4 w-4 mr-2" />}
+            {showArchived ? 'Inbox' : 'Archived'}
           </Button>
         </div>
       </div>
@@ -188,18 +256,18 @@ const Notifications = () => {
                 />
               </div>
             </div>
-            <Select value={filterType} onValueChange={(value: any) => setFilterType(value)}>
-              <SelectTrigger className="w-full md:w-40">
+            <Select value={filterType} onValueChange={(value: TypeFilter) => { setFilterType(value); resetPaging(); }}>
+              <SelectTrigger className="w-full md:w-44">
                 <SelectValue placeholder="Type" />
               </SelectTrigger>
               <SelectContent>
                 <SelectItem value="all">All Types</SelectItem>
-                <SelectItem value="alert">Alerts</SelectItem>
-                <SelectItem value="incident">Incidents</SelectItem>
-                <SelectItem value="system">System</SelectItem>
+                {Object.entries(TYPE_LABELS).map(([value, label]) => (
+                  <SelectItem key={value} value={value}>{label}</SelectItem>
+                ))}
               </SelectContent>
             </Select>
-            <Select value={filterRead} onValueChange={(value: any) => setFilterRead(value)}>
+            <Select value={filterRead} onValueChange={(value: ReadFilter) => { setFilterRead(value); resetPaging(); }}>
               <SelectTrigger className="w-full md:w-40">
                 <SelectValue placeholder="Status" />
               </SelectTrigger>
@@ -215,7 +283,13 @@ const Notifications = () => {
 
       {/* Notifications List */}
       <div className="space-y-4">
-        {filteredNotifications.length === 0 ? (
+        {loading ? (
+          <Card>
+            <CardContent className="text-center py-12 text-sm text-muted-foreground">
+              Loading notifications...
+            </CardContent>
+          </Card>
+        ) : filteredNotifications.length === 0 ? (
           <Card>
             <CardContent className="text-center py-12">
               <Bell className="h-12 w-12 mx-auto text-muted-foreground mb-4" />
@@ -223,62 +297,81 @@ const Notifications = () => {
                 No notifications found
               </h3>
               <p className="text-sm text-muted-foreground">
-                {notifications.length === 0 
-                  ? "You don't have any notifications yet"
-                  : "Try adjusting your filters"
+                {notifications.length === 0 && filterType === 'all' && filterRead === 'all'
+                  ? showArchived ? 'Nothing has been archived' : "You don't have any notifications yet"
+                  : 'Try adjusting your filters'
                 }
               </p>
             </CardContent>
           </Card>
         ) : (
           filteredNotifications.map((notification) => (
-            <Card 
-              key={notification.id} 
+            <Card
+              key={notification._id}
               className={`cursor-pointer transition-all hover:shadow-md ${
-                notification.read ? 'opacity-60' : 'border-l-4 border-l-primary'
+                notification.isRead ? 'opacity-60' : 'border-l-4 border-l-primary'
               }`}
               onClick={() => handleNotificationClick(notification)}
             >
               <CardContent className="p-4">
-                <div className="flex items-start justify-between">
-                  <div className="flex items-start space-x-3 flex-1">
-                    <div className="mt-1">
-                      {getTypeIcon(notification.type)}
-                    </div>
-                    <div className="flex-1 space-y-2">
-                      <div className="flex items-center justify-between">
-                        <h3 className={`font-semibold ${notification.read ? 'text-muted-foreground' : 'text-foreground'}`}>
-                          <ShinyText text={notification.title} speed={3} />
-                        </h3>
-                        <div className="flex items-center space-x-2">
-                          {!notification.read && (
-                            <div className="h-2 w-2 bg-primary rounded-full" />
-                          )}
-                          <Badge 
-                            variant="outline" 
-                            className={`capitalize ${getPriorityColor(notification.priority)}`}
-                          >
-                            {notification.priority}
-                          </Badge>
-                        </div>
+                <div className="flex items-start space-x-3">
+                  <div className="mt-1" onClick={(e) => e.stopPropagation()}>
+                    <Checkbox
+                      checked={selected.has(notification._id)}
+                      onCheckedChange={(checked) => toggleSelected(notification._id, checked === true)}
+                      aria-label={`Select ${notification.title}`}
+                    />
+                  </div>
+                  <div className="flex-1 space-y-2">
+                    <div className="flex items-center justify-between">
+                      <h3 className={`font-semibold ${notification.isRead ? 'text-muted-foreground' : 'text-foreground'}`}>
+                        <ShinyText text={notification.title} speed={3} />
+                      </h3>
+                      <div className="flex items-center space-x-2">
+                        {!notification.isRead && (
+                          <div className="h-2 w-2 bg-primary rounded-full" />
+                        )}
+                        <Badge
+                          variant="outline"
+                          className={`capitalize ${getPriorityColor(notification.priority)}`}
+                        >
+                          {notification.priority}
+                        </Badge>
                       </div>
-                      
-                      <p className="text-sm text-muted-foreground">
-                        <ShinyText text={notification.message} speed={5} />
-                      </p>
-                      
+                    </div>
+
+                    <p className="text-sm text-muted-foreground">
+                      <ShinyText text={notification.message} speed={5} />
+                    </p>
+
+                    <div className="flex items-center justify-between">
                       <div className="flex items-center space-x-4 text-xs text-muted-foreground">
                         <div className="flex items-center space-x-1">
                           <Clock className="h-3 w-3" />
-                          <span>{formatDistanceToNow(new Date(notification.timestamp), { addSuffix: true })}</span>
+                          <span>{formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true })}</span>
                         </div>
-                        {notification.location && (
-                          <span>{notification.location}</span>
-                        )}
-                        <Badge variant="secondary" className="text-xs capitalize">
-                          {notification.type}
+                        <Badge variant="secondary" className="text-xs">
+                          {TYPE_LABELS[notification.type]}
                         </Badge>
                       </div>
+                      <div className="flex items-center space-x-1" onClick={(e) => e.stopPropagation()}>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          title={notification.isRead ? 'Mark as unread' : 'Mark as read'}
+                          onClick={() => updateOne(notification, { read: !notification.isRead })}
+                        >
+                          {notification.isRead ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          title={showArchived ? 'Move to inbox' : 'Archive'}
+                          onClick={() => updateOne(notification, { archived: !showArchived })}
+                        >
+                          {showArchived ? <ArchiveRestore className="h-4 w-4" /> : <Archive className="h-4 w-4" />}
+                        </Button>
+                      </div>
                     </div>
                   </div>
                 </div>
@@ -288,18 +381,34 @@ const Notifications = () => {
         )}
       </div>
 
+      {/* Pagination */}
+      {pagination && pagination.pages > 1 && (
+        <div className="flex items-center justify-center space-x-4">
+          <Button variant="outline" size="sm" onClick={() => setPage(p => p - 1)} disabled={!pagination.hasPrev}>
+            <ChevronLeft className="h-4 w-4 mr-1" />
+            Newer
+          </Button>
+          <span className="text-sm text-muted-foreground">
+            Page {pagination.page} of {pagination.pages}
+          </span>
+          <Button variant="outline" size="sm" onClick={() => setPage(p => p + 1)} disabled={!pagination.hasNext}>
+            Older
+            <ChevronRight className="h-4 w-4 ml-1" />
+          </Button>
+        </div>
+      )}
+
       {/* Notification Detail View */}
       <NotificationView
         alert={selectedNotification ? {
-          id: parseInt(selectedNotification.id.replace(/\D/g, '') || '0'),
-          type: selectedNotification.type === 'alert' ? selectedNotification.priority as any : 'info',
+          id: parseInt(selectedNotification._id.slice(-6), 16),
+          type: getViewType(selectedNotification),
           title: selectedNotification.title,
-          location: selectedNotification.location || 'Unknown',
-          time: formatDistanceToNow(new Date(selectedNotification.timestamp), { addSuffix: true }),
+          location: 'Unknown',
+          time: formatDistanceToNow(new Date(selectedNotification.createdAt), { addSuffix: true }),
           distance: '—',
-          verified: true,
+          verified: selectedNotification.type === 'verification' && !selectedNotification.title.includes('false alarm'),
           description: selectedNotification.message,
-          fullDescription: selectedNotification.message,
           priority: selectedNotification.priority
         } : undefined}
         isOpen={showNotificationView}
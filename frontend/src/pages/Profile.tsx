@@ -10,6 +10,8 @@ import { Avatar, AvatarFallback } from '@/components/ui/avatar';
 import { useToast } from '@/hooks/use-toast';
 import ShinyText from '@/components/ui/ShinyText';
 import NotificationView from '@/components/NotificationView';
+import PushNotificationToggle from '@/components/PushNotificationToggle';
+import AuthorityApplicationCard from '@/components/AuthorityApplicationCard';
 
 const Profile = () => {
   const { toast } = useToast();
@@ -192,6 +194,7 @@ const Profile = () => {
               </CardDescription>
             </CardHeader>
             <CardContent className="space-y-4">
+              <PushNotificationToggle />
               <div className="flex items-center justify-between">
                 <div>
                   <Label htmlFor="alerts">Safety Alerts</Label>
@@ -318,6 +321,8 @@ const Profile = () => {
             </CardContent>
           </Card>
 
+          <AuthorityApplicationCard />
+
           {/* Quick Actions */}
           <Card>
             <CardHeader>
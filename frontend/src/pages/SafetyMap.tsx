@@ -1,11 +1,14 @@
-import { useState } from 'react';
-import { MapPin, Navigation, Filter, Layers, Route, AlertTriangle } from 'lucide-react';
+import { useEffect, useState } from 'react';
+import { MapPin, Navigation, Filter, Layers, Route, AlertTriangle, Circle as CircleIcon, Hexagon, Trash2 } from 'lucide-react';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Badge } from '@/components/ui/badge';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { ToggleGroup, ToggleGroupItem } from '@/components/ui/toggle-group';
+import { Switch } from '@/components/ui/switch';
+import { Label } from '@/components/ui/label';
 import ShinyText from '@/components/ui/ShinyText';
 import OSMMapWrapper from '@/components/maps/OSMMapWrapper';
 import { Marker, Popup } from 'react-leaflet';
@@ -15,6 +18,10 @@ import { useToast } from '@/hooks/use-toast';
 import { MAP_CONFIG, MAJOR_CITIES, LatLngLiteral } from '@/config/map';
 import LocationSearchNominatim from '@/components/maps/LocationSearchNominatim';
 import SafeRouteCalculatorLeaflet from '@/components/maps/SafeRouteCalculatorLeaflet';
+import WatchZoneLayer, { WatchZoneDrawMode } from '@/components/maps/WatchZoneLayer';
+import { useWatchZones, useCreateWatchZone, useUpdateWatchZone, useDeleteWatchZone } from '@/hooks/useApi';
+import { realTimeService, RealTimeWatchZoneIncident } from '@/services/RealTimeService';
+import type { IncidentType, WatchZone } from '@/services/ApiService';
 
 interface AlertMarker {
   id: string;
@@ -26,6 +33,19 @@ interface AlertMarker {
   severity?: 'low' | 'medium' | 'high' | 'critical';
 }
 
+const WATCH_ZONE_TYPES: Array<{ value: IncidentType; label: string }> = [
+  { value: 'theft', label: 'Theft' },
+  { value: 'assault', label: 'Assault' },
+  { value: 'vandalism', label: 'Vandalism' },
+  { value: 'traffic_accident', label: 'Traffic' },
+  { value: 'suspicious_activity', label: 'Suspicious' },
+  { value: 'fire', label: 'Fire' },
+  { value: 'medical_emergency', label: 'Medical' },
+  { value: 'natural_disaster', label: 'Disaster' },
+  { value: 'road_hazard', label: 'Road hazard' },
+  { value: 'other', label: 'Other' },
+];
+
 const SafetyMap = () => {
   const [selectedFilter, setSelectedFilter] = useState('all');
   const [searchQuery, setSearchQuery] = useState('');
@@ -37,8 +57,34 @@ const SafetyMap = () => {
   const [activeTab, setActiveTab] = useState('alerts');
   const [isFullscreen, setIsFullscreen] = useState(false);
   const [visibleLayers, setVisibleLayers] = useState<string[]>([]);
+  const [zoneMode, setZoneMode] = useState<WatchZoneDrawMode>(null);
+  const [zoneDraft, setZoneDraft] = useState<LatLngLiteral[]>([]);
+  const [zoneName, setZoneName] = useState('');
+  const [zoneRadius, setZoneRadius] = useState(1);
+  const [zoneTypes, setZoneTypes] = useState<IncidentType[]>([]);
+  const [zoneSeverity, setZoneSeverity] = useState<WatchZone['minSeverity']>('low');
   
   const { toast } = useToast();
+  const { data: watchZoneData } = useWatchZones();
+  const createWatchZone = useCreateWatchZone();
+  const updateWatchZone = useUpdateWatchZone();
+  const deleteWatchZone = useDeleteWatchZone();
+  const watchZones = watchZoneData?.zones ?? [];
+
+  // New incidents inside the user's watch zones
+  useEffect(() => {
+    const handleWatchZoneIncident = (update: RealTimeWatchZoneIncident) => {
+      toast({
+        title: `New ${update.incident.severity} incident in ${update.zones.map(zone => zone.name).join(', ')}`,
+        description: update.incident.title,
+      });
+    };
+
+    realTimeService.on('watch_zone_incident', handleWatchZoneIncident);
+    return () => {
+      realTimeService.off('watch_zone_incident', handleWatchZoneIncident);
+    };
+  }, [toast]);
 
   // Real-time alerts from backend
   const { alerts, isConnected } = useRealTime({
@@ -179,6 +225,52 @@ const SafetyMap = () => {
     }
   };
 
+  // Watch zone drawing: circles take one click for the centre, polygons one click per corner
+  const startDrawingZone = (mode: Exclude<WatchZoneDrawMode, null>) => {
+    setZoneMode(mode);
+    setZoneDraft([]);
+  };
+
+  const cancelDrawingZone = () => {
+    setZoneMode(null);
+    setZoneDraft([]);
+  };
+
+  const handleZoneMapClick = (point: LatLngLiteral) => {
+    setZoneDraft(prev => (zoneMode === 'circle' ? [point] : [...prev, point]));
+  };
+
+  const canSaveZone = zoneName.trim().length > 0 &&
+    (zoneMode === 'circle' ? zoneDraft.length === 1 : zoneDraft.length >= 3);
+
+  const handleSaveZone = () => {
+    if (!zoneMode || !canSaveZone) return;
+
+    const area = zoneMode === 'circle'
+      ? { type: 'Point' as const, coordinates: [zoneDraft[0].lng, zoneDraft[0].lat] as [number, number], radius: zoneRadius }
+      : { type: 'Polygon' as const, coordinates: [zoneDraft.map(point => [point.lng, point.lat] as [number, number])] };
+
+    createWatchZone.mutate(
+      { name: zoneName.trim(), area, types: zoneTypes, minSeverity: zoneSeverity },
+      {
+        onSuccess: () => {
+          cancelDrawingZone();
+          setZoneName('');
+          setZoneTypes([]);
+        },
+      }
+    );
+  };
+
+  const handleZoneClick = (zone: WatchZone) => {
+    if (!map) return;
+    if (zone.area.type === 'Point') {
+      map.setView([zone.area.coordinates[1], zone.area.coordinates[0]], 14);
+    } else {
+      map.fitBounds(zone.area.coordinates[0].map(([lng, lat]) => [lat, lng] as [number, number]));
+    }
+  };
+
   // Handle reset view
   const handleResetView = () => {
     if (map) {
@@ -222,9 +314,10 @@ const SafetyMap = () => {
       <Card>
         <CardContent className="p-4">
           <Tabs value={activeTab} onValueChange={setActiveTab}>
-            <TabsList className="grid w-full grid-cols-2">
+            <TabsList className="grid w-full grid-cols-3">
               <TabsTrigger value="alerts">Safety Alerts</TabsTrigger>
               <TabsTrigger value="routes">Safe Routes</TabsTrigger>
+              <TabsTrigger value="zones">Watch Zones</TabsTrigger>
             </TabsList>
             
             <TabsContent value="alerts" className="space-y-4 mt-4">
@@ -266,6 +359,87 @@ const SafetyMap = () => {
                 />
               )}
             </TabsContent>
+
+            <TabsContent value="zones" className="space-y-4 mt-4">
+              <div className="flex flex-col md:flex-row gap-4">
+                <Input
+                  placeholder="Name, e.g. Home or School"
+                  value={zoneName}
+                  maxLength={50}
+                  onChange={(e) => setZoneName(e.target.value)}
+                  className="md:w-64"
+                />
+                <div className="flex gap-2">
+                  <Button
+                    variant={zoneMode === 'circle' ? 'default' : 'outline'}
+                    onClick={() => startDrawingZone('circle')}
+                  >
+                    <CircleIcon className="h-4 w-4 mr-2" />
+                    Circle
+                  </Button>
+                  <Button
+                    variant={zoneMode === 'polygon' ? 'default' : 'outline'}
+                    onClick={() => startDrawingZone('polygon')}
+                  >
+                    <Hexagon className="h-4 w-4 mr-2" />
+                    Polygon
+                  </Button>
+                </div>
+                {zoneMode === 'circle' && (
+                  <div className="flex items-center gap-2">
+                    <Label htmlFor="zone-radius" className="whitespace-nowrap">Radius (km)</Label>
+                    <Input
+                      id="zone-radius"
+                      type="number"
+                      min={0.1}
+                      max={50}
+                      step={0.1}
+                      value={zoneRadius}
+                      onChange={(e) => setZoneRadius(Math.min(Math.max(Number(e.target.value) || 0.1, 0.1), 50))}
+                      className="w-24"
+                    />
+                  </div>
+                )}
+                <Select value={zoneSeverity} onValueChange={(value) => setZoneSeverity(value as WatchZone['minSeverity'])}>
+                  <SelectTrigger className="w-44">
+                    <SelectValue placeholder="Minimum severity" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="low">Any severity</SelectItem>
+                    <SelectItem value="medium">Medium and above</SelectItem>
+                    <SelectItem value="high">High and above</SelectItem>
+                    <SelectItem value="critical">Critical only</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <ToggleGroup
+                type="multiple"
+                value={zoneTypes}
+                onValueChange={(value) => setZoneTypes(value as IncidentType[])}
+                className="flex flex-wrap justify-start"
+              >
+                {WATCH_ZONE_TYPES.map((type) => (
+                  <ToggleGroupItem key={type.value} value={type.value} size="sm" variant="outline">
+                    {type.label}
+                  </ToggleGroupItem>
+                ))}
+              </ToggleGroup>
+              <div className="flex items-center justify-between gap-4">
+                <p className="text-sm text-muted-foreground">
+                  {zoneMode === 'circle' && 'Click the map to place the centre of the circle.'}
+                  {zoneMode === 'polygon' && `Click the map to add corners (${zoneDraft.length} placed, at least 3).`}
+                  {!zoneMode && (zoneTypes.length === 0 ? 'All incident types. ' : '') + 'Choose a shape to start drawing.'}
+                </p>
+                {zoneMode && (
+                  <div className="flex gap-2">
+                    <Button variant="outline" onClick={cancelDrawingZone}>Cancel</Button>
+                    <Button onClick={handleSaveZone} disabled={!canSaveZone || createWatchZone.isPending}>
+                      Save zone
+                    </Button>
+                  </div>
+                )}
+              </div>
+            </TabsContent>
           </Tabs>
         </CardContent>
       </Card>
@@ -294,6 +468,13 @@ const SafetyMap = () => {
                     </Popup>
                   </Marker>
                 ))}
+                <WatchZoneLayer
+                  zones={watchZones}
+                  mode={activeTab === 'zones' ? zoneMode : null}
+                  draft={zoneDraft}
+                  radiusKm={zoneRadius}
+                  onMapClick={handleZoneMapClick}
+                />
               </OSMMapWrapper>
               
               {/* Map Controls Overlay */}
@@ -325,6 +506,48 @@ const SafetyMap = () => {
             </CardContent>
           </Card>
 
+          {/* Watch Zones */}
+          {watchZones.length > 0 && (
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-lg">
+                  <ShinyText text="My Watch Zones" speed={3} />
+                </CardTitle>
+                <CardDescription>
+                  {watchZones.length} of {watchZoneData?.limit} areas
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                {watchZones.map((zone) => (
+                  <div key={zone._id} className="flex items-center gap-3">
+                    <div className="flex-1 cursor-pointer" onClick={() => handleZoneClick(zone)}>
+                      <p className="text-sm font-medium">{zone.name}</p>
+                      <p className="text-xs text-muted-foreground">
+                        {zone.area.type === 'Point' ? `${zone.radius} km radius` : 'Drawn area'}
+                        {' · '}
+                        {zone.types.length === 0 ? 'all types' : `${zone.types.length} types`}
+                        {zone.minSeverity !== 'low' && ` · ${zone.minSeverity}+`}
+                      </p>
+                    </div>
+                    <Switch
+                      checked={zone.isActive}
+                      onCheckedChange={(checked) => updateWatchZone.mutate({ id: zone._id, data: { isActive: checked } })}
+                      aria-label={`Notify me about ${zone.name}`}
+                    />
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      onClick={() => deleteWatchZone.mutate(zone._id)}
+                      aria-label={`Delete ${zone.name}`}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </div>
+                ))}
+              </CardContent>
+            </Card>
+          )}
+
           {/* Legend */}
           <Card>
             <CardHeader>
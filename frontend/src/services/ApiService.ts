@@ -31,13 +31,28 @@ export interface PaginatedResponse<T> {
 }
 
 // User types
+export type ReputationLevel = 'new' | 'low' | 'standard' | 'reliable' | 'trusted';
+
+export interface UserReputation {
+  score: number;
+  level: ReputationLevel;
+  reportsConfirmed?: number;
+  reportsFalse?: number;
+  votesAgreed?: number;
+  votesDisagreed?: number;
+  commentsFlagged?: number;
+}
+
 export interface User {
   _id: string;
   firstName: string;
   lastName: string;
   email: string;
   role: 'citizen' | 'authority' | 'admin';
+  // Named permissions granted to the role, e.g. 'comments:moderate'
+  permissions?: string[];
   isActive: boolean;
+  reputation?: UserReputation;
   location?: {
     coordinates: [number, number];
     address: {
@@ -52,6 +67,156 @@ export interface User {
   updatedAt: string;
 }
 
+export interface AuthTokens {
+  token: string;
+  refreshToken: string;
+}
+
+export type LoginResult = { user: User; twoFactorSetupRequired?: boolean } & AuthTokens;
+
+// Returned by login instead of tokens when the account has 2FA enabled
+export interface TwoFactorChallenge {
+  twoFactorRequired: true;
+  challengeToken: string;
+}
+
+export interface TwoFactorStatus {
+  enabled: boolean;
+  enabledAt: string | null;
+  required: boolean;
+  backupCodesRemaining: number;
+}
+
+export interface AuthSession {
+  id: string;
+  device: { browser: string; os: string };
+  userAgent: string;
+  ipAddress: string;
+  createdAt: string;
+  lastUsedAt: string;
+  expiresAt: string;
+  current: boolean;
+}
+
+export interface PushSubscriptionInfo {
+  _id: string;
+  endpoint: string;
+  device: { browser: string; os: string };
+  lastSuccessAt?: string;
+  createdAt: string;
+}
+
+export interface PushSubscriptionRequest {
+  endpoint: string;
+  expirationTime?: number | null;
+  keys: { p256dh: string; auth: string };
+}
+
+export type InboxNotificationType =
+  | 'alert'
+  | 'incident_update'
+  | 'comment_reply'
+  | 'verification'
+  | 'watch_zone'
+  | 'system';
+
+export interface InboxNotification {
+  _id: string;
+  type: InboxNotificationType;
+  title: string;
+  message: string;
+  priority: 'low' | 'medium' | 'high' | 'urgent' | 'critical';
+  link: string;
+  alert?: string;
+  incident?: string;
+  comment?: string;
+  actor?: { _id: string; firstName: string; lastName: string; role: string } | string;
+  readAt: string | null;
+  archivedAt: string | null;
+  isRead: boolean;
+  createdAt: string;
+}
+
+export interface NotificationInbox {
+  notifications: InboxNotification[];
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    pages: number;
+    hasNext: boolean;
+    hasPrev: boolean;
+  };
+  unreadCount: number;
+}
+
+export interface NotificationBulkResult {
+  modified: number;
+  unreadCount: number;
+}
+
+export type IncidentType =
+  | 'theft'
+  | 'assault'
+  | 'vandalism'
+  | 'traffic_accident'
+  | 'suspicious_activity'
+  | 'fire'
+  | 'medical_emergency'
+  | 'natural_disaster'
+  | 'road_hazard'
+  | 'other';
+
+// Circle (centre + radius in km) or drawn polygon, [lng, lat] positions
+export type WatchZoneArea =
+  | { type: 'Point'; coordinates: [number, number]; radius: number }
+  | { type: 'Polygon'; coordinates: [number, number][][] };
+
+export interface WatchZone {
+  _id: string;
+  name: string;
+  area: WatchZoneArea;
+  radius?: number;
+  types: IncidentType[];
+  minSeverity: 'low' | 'medium' | 'high' | 'critical';
+  isActive: boolean;
+  lastTriggeredAt?: string;
+  createdAt: string;
+}
+
+export interface WatchZoneRequest {
+  name?: string;
+  area?: WatchZoneArea;
+  types?: IncidentType[];
+  minSeverity?: WatchZone['minSeverity'];
+  isActive?: boolean;
+}
+
+// Request to be granted the authority role, reviewed by an administrator
+export interface AuthorityApplication {
+  _id: string;
+  user: string | Pick<User, '_id' | 'firstName' | 'lastName' | 'email' | 'role'>;
+  badgeNumber: string;
+  agency: string;
+  jurisdictionName: string;
+  jurisdiction: string | { _id: string; name: string; type: string } | null;
+  notes?: string;
+  documents: Array<{ _id: string; originalName: string; mimeType: string; size: number; uploadedAt: string }>;
+  status: 'pending' | 'approved' | 'rejected' | 'withdrawn';
+  reviewedBy: string | { _id: string; firstName: string; lastName: string } | null;
+  reviewedAt: string | null;
+  reviewComment?: string;
+  createdAt: string;
+}
+
+export interface AuthorityApplicationRequest {
+  badgeNumber: string;
+  agency: string;
+  jurisdictionName: string;
+  jurisdiction?: string;
+  notes?: string;
+}
+
 // Post/Incident types
 export interface Post {
   _id: string;
@@ -78,11 +243,31 @@ export interface Post {
   }>;
   reportedBy: User;
   verifiedBy?: User;
+  jurisdiction?: Jurisdiction | string | null;
+  assignedTo?: User | null;
+  assignedAt?: string;
   isActive: boolean;
   createdAt: string;
   updatedAt: string;
 }
 
+export interface Jurisdiction {
+  _id: string;
+  name: string;
+  type: 'precinct' | 'municipality';
+}
+
+export interface WorkQueue {
+  incidents: Post[];
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    pages: number;
+  };
+  scope: string[] | 'all';
+}
+
 // Alert types
 export interface Alert {
   _id: string;
@@ -106,10 +291,32 @@ export interface Alert {
   createdBy: User;
   isActive: boolean;
   expiresAt?: string;
+  status?: AlertStatus;
+  submittedAt?: string;
+  publishedAt?: string;
+  isApproved?: boolean;
+  approvedBy?: string;
+  approvalDate?: string;
+  reviews?: AlertReview[];
   createdAt: string;
   updatedAt: string;
 }
 
+export type AlertStatus = 'draft' | 'pending_approval' | 'approved' | 'rejected' | 'published';
+
+export interface AlertReview {
+  _id: string;
+  reviewer: string;
+  decision: 'approved' | 'rejected';
+  comment?: string;
+  createdAt: string;
+}
+
+export interface AlertApprovalPolicy {
+  minPriority: 'low' | 'medium' | 'high' | 'urgent' | 'critical' | null;
+  roles: string[];
+}
+
 // Request types
 export interface CreatePostRequest {
   type: Post['type'];
@@ -139,6 +346,135 @@ export interface CreateAlertRequest {
   targetAudience?: Alert['targetAudience'];
   radius?: number;
   expiresAt?: string;
+  draft?: boolean;
+}
+
+// Safe route types
+export type RiskLevel = 'low' | 'medium' | 'high' | 'critical';
+
+export interface LineStringGeometry {
+  type: 'LineString';
+  coordinates: [number, number][];
+}
+
+export interface RouteStep {
+  instruction: string;
+  name: string | null;
+  distance: number; // meters
+  duration: number; // seconds
+  maneuver: {
+    type: 'depart' | 'turn' | 'continue' | 'waypoint' | 'arrive';
+    modifier: string | null;
+    location: [number, number];
+  };
+  geometry: LineStringGeometry;
+}
+
+export interface RouteSegment {
+  geometry: LineStringGeometry;
+  distance: number;
+  duration: number;
+  risk: number; // 0..1
+  riskLevel: RiskLevel;
+  incidentCount: number;
+}
+
+export interface SafeRoute {
+  travelMode: 'driving' | 'walking' | 'cycling';
+  avoidHighRiskAreas: boolean;
+  distance: number; // meters
+  duration: number; // seconds
+  distanceText: string;
+  durationText: string;
+  geometry: LineStringGeometry;
+  riskScore: number;
+  steps: RouteStep[];
+  segments: RouteSegment[];
+  warnings: string[];
+  calculatedAt: string;
+}
+
+export interface SafeRouteRequest {
+  origin: { coordinates: [number, number] };
+  destination: { coordinates: [number, number] };
+  waypoints?: Array<{ coordinates: [number, number] }>;
+  travelMode?: SafeRoute['travelMode'];
+  avoidHighRiskAreas?: boolean;
+}
+
+// Incident evidence types
+export interface IncidentEvidence {
+  _id: string;
+  incident: string;
+  uploadedBy: string | Pick<User, '_id' | 'firstName' | 'lastName' | 'role'>;
+  originalName: string;
+  mimeType: string;
+  url: string;
+  thumbnailUrl: string;
+  size: number;
+  width: number;
+  height: number;
+  caption?: string;
+  capturedAt?: string;
+  exifLocation?: { type: 'Point'; coordinates: [number, number] };
+  duplicateOf: string | null;
+  createdAt: string;
+}
+
+export interface EvidenceUsage {
+  bytesUsed: number;
+  filesToday: number;
+  maxBytes: number;
+  maxDailyFiles: number;
+}
+
+export interface EvidenceUploadResult {
+  evidence: IncidentEvidence[];
+  rejected: Array<{ file: string; message: string }>;
+  duplicates: Array<{ file: string; evidenceId: string; matchesIncident: string }>;
+  locationSuggestion: { coordinates: [number, number]; distanceMeters: number } | null;
+  usage: EvidenceUsage;
+}
+
+// Likely duplicate of a newly reported incident
+export interface PossibleDuplicate {
+  incident: Pick<Post, '_id' | 'title' | 'type' | 'severity' | 'status' | 'location' | 'createdAt'>;
+  score: number;
+  distanceMeters: number;
+  minutesApart: number;
+  sameType: boolean;
+  textSimilarity: number;
+}
+
+// Incident comment types
+export type CommentFlagReason = 'spam' | 'abuse' | 'misinformation' | 'personal_info' | 'other';
+
+export interface IncidentComment {
+  _id: string;
+  incident: string;
+  parent: string | null;
+  depth: number;
+  body: string | null;
+  author: Pick<User, '_id' | 'firstName' | 'lastName' | 'role'> | null;
+  authorRole: User['role'];
+  isAuthorityResponse: boolean;
+  isDeleted: boolean;
+  isEdited: boolean;
+  editedAt?: string;
+  moderationStatus: 'visible' | 'flagged' | 'hidden';
+  flagCount: number;
+  hasFlagged: boolean;
+  canEdit: boolean;
+  canDelete: boolean;
+  createdAt: string;
+  updatedAt: string;
+  replies?: IncidentComment[];
+}
+
+export interface IncidentCommentThread {
+  comments: IncidentComment[];
+  total: number;
+  editWindowMinutes: number;
 }
 
 // API Error class
@@ -153,9 +489,13 @@ export class ApiError extends Error {
   }
 }
 
+// Auth endpoints whose 401s mean bad credentials, not an expired access token
+const NO_REFRESH_ENDPOINTS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/2fa/verify'];
+
 class ApiService {
   private authToken: string | null = null;
   private queryClient: QueryClient | null = null;
+  private refreshPromise: Promise<boolean> | null = null;
 
   /**
    * Initialize the API service with authentication token and query client
@@ -192,7 +532,8 @@ class ApiService {
    */
   private async request<T>(
     endpoint: string,
-    options: RequestInit = {}
+    options: RequestInit = {},
+    retried = false
   ): Promise<ApiResponse<T>> {
     const url = `${API_BASE_URL}${endpoint}`;
     
@@ -205,6 +546,12 @@ class ApiService {
         },
       });
 
+      // Expired access token: rotate the refresh token once and retry
+      if (response.status === 401 && !retried && !NO_REFRESH_ENDPOINTS.includes(endpoint)
+        && await this.refreshSession()) {
+        return this.request<T>(endpoint, options, true);
+      }
+
       const data = await response.json();
 
       if (!response.ok) {
@@ -274,21 +621,85 @@ class ApiService {
     }
   }
 
+  /**
+   * Exchange the stored refresh token for new tokens. Concurrent 401s share
+   * one refresh, since a rotated refresh token cannot be used twice.
+   */
+  private refreshSession(): Promise<boolean> {
+    if (!localStorage.getItem('refreshToken')) {
+      return Promise.resolve(false);
+    }
+
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.refreshToken()
+        .then(() => true)
+        .catch(() => {
+          localStorage.removeItem('authToken');
+          localStorage.removeItem('refreshToken');
+          this.authToken = null;
+          return false;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+
+    return this.refreshPromise;
+  }
+
   // Authentication endpoints
-  async login(email: string, password: string): Promise<ApiResponse<{ user: User; token: string }>> {
+  async login(email: string, password: string): Promise<ApiResponse<LoginResult | TwoFactorChallenge>> {
     return this.request('/auth/login', {
       method: 'POST',
       body: JSON.stringify({ email, password }),
     });
   }
 
+  async verifyTwoFactor(challengeToken: string, code: string): Promise<ApiResponse<LoginResult>> {
+    return this.request('/auth/2fa/verify', {
+      method: 'POST',
+      body: JSON.stringify({ challengeToken, code }),
+    });
+  }
+
+  async getTwoFactorStatus(): Promise<ApiResponse<TwoFactorStatus>> {
+    return this.request('/auth/2fa');
+  }
+
+  async setupTwoFactor(): Promise<ApiResponse<{ secret: string; otpauthUrl: string }>> {
+    return this.request('/auth/2fa/setup', {
+      method: 'POST',
+    });
+  }
+
+  async enableTwoFactor(code: string): Promise<ApiResponse<{ backupCodes: string[] }>> {
+    return this.request('/auth/2fa/enable', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  }
+
+  async disableTwoFactor(password: string, code: string): Promise<ApiResponse> {
+    return this.request('/auth/2fa/disable', {
+      method: 'POST',
+      body: JSON.stringify({ password, code }),
+    });
+  }
+
+  async regenerateBackupCodes(code: string): Promise<ApiResponse<{ backupCodes: string[] }>> {
+    return this.request('/auth/2fa/backup-codes', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  }
+
   async register(userData: {
     firstName: string;
     lastName: string;
     email: string;
     password: string;
     location?: { coordinates: [number, number]; address: string };
-  }): Promise<ApiResponse<{ user: User; token: string }>> {
+  }): Promise<ApiResponse<{ user: User } & AuthTokens>> {
     return this.request('/auth/register', {
       method: 'POST',
       body: JSON.stringify(userData),
@@ -301,9 +712,120 @@ class ApiService {
     });
   }
 
-  async refreshToken(): Promise<ApiResponse<{ token: string }>> {
-    return this.request('/auth/refresh', {
+  async refreshToken(): Promise<ApiResponse<AuthTokens>> {
+    const response = await this.request<AuthTokens>('/auth/refresh', {
+      method: 'POST',
+      body: JSON.stringify({ refreshToken: localStorage.getItem('refreshToken') }),
+    });
+
+    if (response.data) {
+      localStorage.setItem('authToken', response.data.token);
+      localStorage.setItem('refreshToken', response.data.refreshToken);
+      this.authToken = response.data.token;
+    }
+
+    return response;
+  }
+
+  async getSessions(): Promise<ApiResponse<{ sessions: AuthSession[] }>> {
+    return this.request('/auth/sessions');
+  }
+
+  async revokeSession(sessionId: string): Promise<ApiResponse> {
+    return this.request(`/auth/sessions/${sessionId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Watch zone endpoints
+  async getWatchZones(): Promise<ApiResponse<{ zones: WatchZone[]; limit: number }>> {
+    return this.request('/auth/watch-zones');
+  }
+
+  async createWatchZone(zone: WatchZoneRequest): Promise<ApiResponse<{ zone: WatchZone }>> {
+    return this.request('/auth/watch-zones', {
       method: 'POST',
+      body: JSON.stringify(zone),
+    });
+  }
+
+  async updateWatchZone(id: string, zone: WatchZoneRequest): Promise<ApiResponse<{ zone: WatchZone }>> {
+    return this.request(`/auth/watch-zones/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(zone),
+    });
+  }
+
+  async deleteWatchZone(id: string): Promise<ApiResponse> {
+    return this.request(`/auth/watch-zones/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Web Push endpoints
+  async getVapidPublicKey(): Promise<ApiResponse<{ publicKey: string }>> {
+    return this.request('/notifications/vapid-public-key');
+  }
+
+  async getPushSubscriptions(): Promise<ApiResponse<{ subscriptions: PushSubscriptionInfo[] }>> {
+    return this.request('/notifications/subscriptions');
+  }
+
+  async savePushSubscription(
+    subscription: PushSubscriptionRequest
+  ): Promise<ApiResponse<{ subscription: PushSubscriptionInfo }>> {
+    return this.request('/notifications/subscriptions', {
+      method: 'POST',
+      body: JSON.stringify(subscription),
+    });
+  }
+
+  async deletePushSubscription(endpoint: string): Promise<ApiResponse> {
+    return this.request('/notifications/subscriptions', {
+      method: 'DELETE',
+      body: JSON.stringify({ endpoint }),
+    });
+  }
+
+  // Notification inbox endpoints
+  async getNotifications(params?: {
+    page?: number;
+    limit?: number;
+    status?: 'all' | 'read' | 'unread';
+    type?: string;
+    archived?: boolean;
+  }): Promise<ApiResponse<NotificationInbox>> {
+    const searchParams = new URLSearchParams();
+    Object.entries(params ?? {}).forEach(([key, value]) => {
+      if (value !== undefined) searchParams.append(key, value.toString());
+    });
+
+    const query = searchParams.toString();
+    return this.request(`/notifications${query ? `?${query}` : ''}`);
+  }
+
+  async getUnreadNotificationCount(): Promise<ApiResponse<{ unreadCount: number }>> {
+    return this.request('/notifications/unread-count');
+  }
+
+  async updateNotification(
+    id: string,
+    changes: { read?: boolean; archived?: boolean }
+  ): Promise<ApiResponse<{ notification: InboxNotification; unreadCount: number }>> {
+    return this.request(`/notifications/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes),
+    });
+  }
+
+  // Pass ids, or nothing for the whole inbox
+  async bulkUpdateNotifications(
+    action: 'mark-read' | 'mark-unread' | 'archive' | 'unarchive',
+    ids?: string[]
+  ): Promise<ApiResponse<NotificationBulkResult>> {
+    return this.request(`/notifications/${action}`, {
+      method: 'POST',
+      body: JSON.stringify(ids ? { ids } : { all: true }),
     });
   }
 
@@ -318,6 +840,68 @@ class ApiService {
     });
   }
 
+  // Authority applications
+  async getAuthorityApplication(): Promise<ApiResponse<{
+    application: AuthorityApplication | null;
+    jurisdictions: Array<{ _id: string; name: string; type: string }>;
+    canApply: boolean;
+  }>> {
+    return this.request('/auth/authority-application');
+  }
+
+  async applyForAuthority(
+    fields: AuthorityApplicationRequest,
+    documents: File[]
+  ): Promise<ApiResponse<{ application: AuthorityApplication }>> {
+    const formData = new FormData();
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value) formData.append(key, value);
+    });
+    documents.forEach(file => formData.append('documents', file));
+
+    return this.uploadFiles('/auth/authority-application', formData);
+  }
+
+  async withdrawAuthorityApplication(): Promise<ApiResponse<{ application: AuthorityApplication }>> {
+    return this.request('/auth/authority-application', {
+      method: 'DELETE',
+    });
+  }
+
+  async getAuthorityApplications(params?: {
+    status?: AuthorityApplication['status'] | 'all';
+    page?: number;
+    limit?: number;
+  }): Promise<ApiResponse<{
+    applications: AuthorityApplication[];
+    pagination: { page: number; limit: number; total: number; pages: number };
+  }>> {
+    const searchParams = new URLSearchParams();
+    if (params?.status) searchParams.append('status', params.status);
+    if (params?.page) searchParams.append('page', String(params.page));
+    if (params?.limit) searchParams.append('limit', String(params.limit));
+
+    const query = searchParams.toString();
+    return this.request(`/admin/authority-applications${query ? `?${query}` : ''}`);
+  }
+
+  async approveAuthorityApplication(
+    id: string,
+    options: { comment?: string; jurisdictions?: string[] } = {}
+  ): Promise<ApiResponse<{ application: AuthorityApplication; user: User }>> {
+    return this.request(`/admin/authority-applications/${id}/approve`, {
+      method: 'POST',
+      body: JSON.stringify(options),
+    });
+  }
+
+  async rejectAuthorityApplication(id: string, comment: string): Promise<ApiResponse<{ application: AuthorityApplication }>> {
+    return this.request(`/admin/authority-applications/${id}/reject`, {
+      method: 'POST',
+      body: JSON.stringify({ comment }),
+    });
+  }
+
   // Posts/Incidents endpoints
   async getPosts(params?: {
     page?: number;
@@ -351,36 +935,35 @@ class ApiService {
     return this.request(`/incidents/${id}`);
   }
 
-  async createPost(postData: CreatePostRequest): Promise<ApiResponse<Post>> {
-    if (postData.media && postData.media.length > 0) {
-      const formData = new FormData();
-      
-      // Add text fields
-      formData.append('type', postData.type);
-      formData.append('title', postData.title);
-      formData.append('description', postData.description);
-      formData.append('severity', postData.severity);
-      formData.append('latitude', postData.location.coordinates[1].toString());
-      formData.append('longitude', postData.location.coordinates[0].toString());
-      formData.append('address', postData.location.address);
-      
-      // Add media files
-      postData.media.forEach((file) => {
-        formData.append('media', file);
-      });
+  async createPost(
+    postData: CreatePostRequest
+  ): Promise<ApiResponse<Post> & { possibleDuplicates: PossibleDuplicate[] }> {
+    const { media, ...fields } = postData;
+    const response = await this.request<{ incident: Post; possibleDuplicates?: PossibleDuplicate[] }>('/incidents', {
+      method: 'POST',
+      body: JSON.stringify({
+        ...fields,
+        latitude: fields.location.coordinates[1],
+        longitude: fields.location.coordinates[0],
+        address: fields.location.address,
+      }),
+    });
+    const incident = response.data?.incident;
 
-      return this.uploadFiles('/incidents', formData);
-    } else {
-      return this.request('/incidents', {
-        method: 'POST',
-        body: JSON.stringify({
-          ...postData,
-          latitude: postData.location.coordinates[1],
-          longitude: postData.location.coordinates[0],
-          address: postData.location.address,
-        }),
-      });
+    // Evidence is attached once the incident exists
+    if (media && media.length > 0 && incident?._id) {
+      try {
+        await this.uploadIncidentEvidence(incident._id, media);
+      } catch (error) {
+        const message = error instanceof Error ? error.message : 'Upload failed';
+        throw new ApiError(
+          error instanceof ApiError ? error.statusCode : 0,
+          `Incident reported, but attaching images failed: ${message}`
+        );
+      }
     }
+
+    return { ...response, data: incident, possibleDuplicates: response.data?.possibleDuplicates ?? [] };
   }
 
   async updatePost(id: string, postData: UpdatePostRequest): Promise<ApiResponse<Post>> {
@@ -396,6 +979,122 @@ class ApiService {
     });
   }
 
+  // Authority work queue endpoints
+  async getWorkQueue(params?: {
+    page?: number;
+    limit?: number;
+    status?: string;
+    jurisdiction?: string;
+    assignedTo?: 'me' | 'unassigned' | string;
+  }): Promise<ApiResponse<WorkQueue>> {
+    const searchParams = new URLSearchParams();
+    Object.entries(params ?? {}).forEach(([key, value]) => {
+      if (value !== undefined) searchParams.append(key, value.toString());
+    });
+
+    const query = searchParams.toString();
+    return this.request(`/incidents/queue${query ? `?${query}` : ''}`);
+  }
+
+  async assignIncident(id: string, assigneeId?: string, note?: string): Promise<ApiResponse<{ incident: Post }>> {
+    return this.request(`/incidents/${id}/assign`, {
+      method: 'POST',
+      body: JSON.stringify({ assigneeId, note }),
+    });
+  }
+
+  async unassignIncident(id: string): Promise<ApiResponse<{ incident: Post }>> {
+    return this.request(`/incidents/${id}/assign`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Incident evidence endpoints
+  async getIncidentEvidence(incidentId: string): Promise<ApiResponse<{ evidence: IncidentEvidence[] }>> {
+    return this.request(`/incidents/${incidentId}/evidence`);
+  }
+
+  async uploadIncidentEvidence(
+    incidentId: string,
+    files: File[],
+    captions: string[] = []
+  ): Promise<ApiResponse<EvidenceUploadResult>> {
+    const formData = new FormData();
+    files.forEach((file, index) => {
+      formData.append('files', file);
+      formData.append('captions', captions[index] ?? '');
+    });
+
+    return this.uploadFiles(`/incidents/${incidentId}/evidence`, formData);
+  }
+
+  async deleteIncidentEvidence(incidentId: string, evidenceId: string): Promise<ApiResponse> {
+    return this.request(`/incidents/${incidentId}/evidence/${evidenceId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getEvidenceUsage(): Promise<ApiResponse<EvidenceUsage>> {
+    return this.request('/incidents/evidence/usage');
+  }
+
+  // Incident comment endpoints
+  async getIncidentComments(incidentId: string): Promise<ApiResponse<IncidentCommentThread>> {
+    return this.request(`/incidents/${incidentId}/comments`);
+  }
+
+  async addIncidentComment(
+    incidentId: string,
+    body: string,
+    parentId?: string
+  ): Promise<ApiResponse<{ comment: IncidentComment }>> {
+    return this.request(`/incidents/${incidentId}/comments`, {
+      method: 'POST',
+      body: JSON.stringify({ body, parentId }),
+    });
+  }
+
+  async updateIncidentComment(
+    incidentId: string,
+    commentId: string,
+    body: string
+  ): Promise<ApiResponse<{ comment: IncidentComment }>> {
+    return this.request(`/incidents/${incidentId}/comments/${commentId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ body }),
+    });
+  }
+
+  async deleteIncidentComment(incidentId: string, commentId: string): Promise<ApiResponse> {
+    return this.request(`/incidents/${incidentId}/comments/${commentId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async flagIncidentComment(
+    incidentId: string,
+    commentId: string,
+    reason: CommentFlagReason,
+    details?: string
+  ): Promise<ApiResponse<{ comment: IncidentComment }>> {
+    return this.request(`/incidents/${incidentId}/comments/${commentId}/flag`, {
+      method: 'POST',
+      body: JSON.stringify({ reason, details }),
+    });
+  }
+
+  async moderateIncidentComment(
+    incidentId: string,
+    commentId: string,
+    action: 'hide' | 'restore',
+    note?: string
+  ): Promise<ApiResponse<{ comment: IncidentComment }>> {
+    return this.request(`/incidents/${incidentId}/comments/${commentId}/moderation`, {
+      method: 'PUT',
+      body: JSON.stringify({ action, note }),
+    });
+  }
+
   // Alerts endpoints
   async getAlerts(params?: {
     page?: number;
@@ -453,6 +1152,40 @@ class ApiService {
     });
   }
 
+  // Alert approval
+  async getAlertApprovals(params?: { page?: number; limit?: number }): Promise<ApiResponse<{
+    alerts: Alert[];
+    pagination: { page: number; limit: number; total: number; pages: number };
+    policy: AlertApprovalPolicy;
+  }>> {
+    const searchParams = new URLSearchParams();
+    if (params?.page) searchParams.append('page', String(params.page));
+    if (params?.limit) searchParams.append('limit', String(params.limit));
+
+    const query = searchParams.toString();
+    return this.request(`/alerts/approvals${query ? `?${query}` : ''}`);
+  }
+
+  async submitAlert(id: string): Promise<ApiResponse<{ alert: Alert }>> {
+    return this.request(`/alerts/${id}/submit`, {
+      method: 'POST',
+    });
+  }
+
+  async approveAlert(id: string, comment?: string): Promise<ApiResponse<{ alert: Alert }>> {
+    return this.request(`/alerts/${id}/approve`, {
+      method: 'POST',
+      body: JSON.stringify({ comment }),
+    });
+  }
+
+  async rejectAlert(id: string, comment: string): Promise<ApiResponse<{ alert: Alert }>> {
+    return this.request(`/alerts/${id}/reject`, {
+      method: 'POST',
+      body: JSON.stringify({ comment }),
+    });
+  }
+
   // Dashboard/Analytics endpoints
   async getDashboardMetrics(): Promise<ApiResponse<{
     totalIncidents: number;
@@ -487,6 +1220,14 @@ class ApiService {
     return this.request(`/dashboard/nearby?${params.toString()}`);
   }
 
+  // Maps endpoints
+  async calculateSafeRoute(routeData: SafeRouteRequest): Promise<ApiResponse<SafeRoute>> {
+    return this.request('/maps/route', {
+      method: 'POST',
+      body: JSON.stringify(routeData),
+    });
+  }
+
   // Utility methods for React Query integration
   async invalidateQueries(queryKeys: string[]) {
     if (this.queryClient) {
@@ -0,0 +1,118 @@
+/**
+ * PushService - Web Push subscription for this browser
+ * Registers the service worker in public/sw.js, subscribes with the
+ * backend's VAPID key and stores the subscription so alerts and watched-area
+ * incidents arrive even when SecurePath isn't open
+ */
+
+import { apiService } from './ApiService';
+
+export type PushStatus = 'unsupported' | 'denied' | 'subscribed' | 'unsubscribed';
+
+const SERVICE_WORKER_URL = '/sw.js';
+
+// PushManager wants the VAPID key as bytes, the backend sends URL-safe base64
+const urlBase64ToUint8Array = (base64: string): Uint8Array => {
+  const padding = '='.repeat((4 - (base64.length % 4)) % 4);
+  const raw = atob((base64 + padding).replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+};
+
+const sameKey = (current: ArrayBuffer | null, expected: Uint8Array): boolean => {
+  if (!current) return true;
+  const bytes = new Uint8Array(current);
+  return bytes.length === expected.length && bytes.every((byte, index) => byte === expected[index]);
+};
+
+class PushService {
+  /**
+   * Check if the browser supports service workers and Web Push
+   */
+  isSupported(): boolean {
+    return typeof window !== 'undefined' &&
+           'serviceWorker' in navigator &&
+           'PushManager' in window &&
+           'Notification' in window;
+  }
+
+  private async getRegistration(): Promise<ServiceWorkerRegistration> {
+    const existing = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+    return existing ?? navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  }
+
+  /**
+   * Current subscription state of this browser
+   */
+  async getStatus(): Promise<PushStatus> {
+    if (!this.isSupported()) return 'unsupported';
+    if (Notification.permission === 'denied') return 'denied';
+
+    const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+    const subscription = await registration?.pushManager.getSubscription();
+    return subscription ? 'subscribed' : 'unsubscribed';
+  }
+
+  /**
+   * Ask for permission, subscribe and store the subscription on the backend
+   */
+  async subscribe(): Promise<PushStatus> {
+    if (!this.isSupported()) return 'unsupported';
+
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      return permission === 'denied' ? 'denied' : 'unsubscribed';
+    }
+
+    const registration = await this.getRegistration();
+    const { data } = await apiService.getVapidPublicKey();
+    if (!data) throw new Error('Push notifications are not available');
+
+    const applicationServerKey = urlBase64ToUint8Array(data.publicKey);
+    let subscription = await registration.pushManager.getSubscription();
+
+    // A subscription made with keys that were since rotated can't receive anything
+    if (subscription && !sameKey(subscription.options.applicationServerKey, applicationServerKey)) {
+      await subscription.unsubscribe();
+      subscription = null;
+    }
+
+    subscription = subscription ?? await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey,
+    });
+
+    const json = subscription.toJSON();
+    await apiService.savePushSubscription({
+      endpoint: json.endpoint!,
+      expirationTime: json.expirationTime ?? null,
+      keys: { p256dh: json.keys!.p256dh, auth: json.keys!.auth },
+    });
+
+    return 'subscribed';
+  }
+
+  /**
+   * Stop push notifications for this browser
+   */
+  async unsubscribe(): Promise<PushStatus> {
+    if (!this.isSupported()) return 'unsupported';
+
+    const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+    const subscription = await registration?.pushManager.getSubscription();
+    if (subscription) {
+      try {
+        await apiService.deletePushSubscription(subscription.endpoint);
+      } catch (error) {
+        // Already removed on the backend, e.g. after a key rotation
+        console.warn('Failed to remove push subscription:', error);
+      }
+      await subscription.unsubscribe();
+    }
+
+    return 'unsubscribed';
+  }
+}
+
+// Create singleton instance
+export const pushService = new PushService();
+export default PushService;
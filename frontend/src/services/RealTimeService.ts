@@ -5,6 +5,7 @@
 
 import { io, Socket } from 'socket.io-client';
 import { notificationService, AlertType } from './NotificationService';
+import type { IncidentComment, InboxNotification } from './ApiService';
 
 export interface RealTimeAlert {
   id: string;
@@ -35,6 +36,40 @@ export interface RealTimeIncident {
   createdAt: string;
 }
 
+export interface RealTimeCommentUpdate {
+  action: 'created' | 'updated' | 'deleted' | 'hidden' | 'restored';
+  incidentId: string;
+  comment: IncidentComment;
+  timestamp: string;
+}
+
+export interface RealTimeWatchZoneIncident {
+  incident: {
+    _id: string;
+    title: string;
+    type: string;
+    severity: 'low' | 'medium' | 'high' | 'critical';
+    status: string;
+    location: { coordinates: [number, number] };
+    createdAt: string;
+  };
+  zones: Array<{ _id: string; name: string }>;
+  timestamp: string;
+}
+
+export interface RealTimeNotification {
+  notification: InboxNotification;
+  timestamp: string;
+}
+
+// ids is null when the change applied to the whole inbox
+export interface RealTimeNotificationUpdate {
+  action: 'read' | 'unread' | 'archived' | 'unarchived';
+  ids: string[] | null;
+  unreadCount: number;
+  timestamp: string;
+}
+
 type EventCallback<T = any> = (data: T) => void;
 
 class RealTimeService {
@@ -122,6 +157,24 @@ class RealTimeService {
       this.emit('incident_updated', incident);
     });
 
+    this.socket.on('incident:comment', (update: RealTimeCommentUpdate) => {
+      this.emit('incident_comment', update);
+    });
+
+    // New incidents inside the user's watch zones
+    this.socket.on('watch-zone:incident', (update: RealTimeWatchZoneIncident) => {
+      this.emit('watch_zone_incident', update);
+    });
+
+    // Notification inbox, kept in step across the user's tabs and devices
+    this.socket.on('notification:new', (update: RealTimeNotification) => {
+      this.emit('inbox_notification', update);
+    });
+
+    this.socket.on('notification:updated', (update: RealTimeNotificationUpdate) => {
+      this.emit('inbox_updated', update);
+    });
+
     // Location-based events
     this.socket.on('emergency_broadcast', (data: any) => {
       console.log('Emergency broadcast received:', data);
@@ -271,6 +324,27 @@ class RealTimeService {
     console.log(`Left location room: ${latitude}, ${longitude}`);
   }
 
+  /**
+   * Follow live comments on an incident
+   */
+  joinIncidentRoom(incidentId: string): void {
+    if (!this.socket?.connected) {
+      console.warn('Cannot join incident room: not connected');
+      return;
+    }
+
+    this.socket.emit('incident:join', { incidentId });
+  }
+
+  /**
+   * Stop following live comments on an incident
+   */
+  leaveIncidentRoom(incidentId: string): void {
+    if (!this.socket?.connected) return;
+
+    this.socket.emit('incident:leave', { incidentId });
+  }
+
   /**
    * Subscribe to real-time events
    */